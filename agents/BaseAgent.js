@@ -2,6 +2,7 @@
 const EventEmitter = require('events');
 const resolve = require('../utils/moduleResolver');
 const logger = require(resolve('utils/logger'));
+const { DEFAULT_MAX_RETRIES, getSlotType, slotTypeForField, checkSlotValue } = require(resolve('agents/slotTypes'));
 
 // Agent execution timeout (30 seconds)
 const AGENT_TIMEOUT_MS = 30000;
@@ -11,38 +12,131 @@ class BaseAgent extends EventEmitter {
     super();
     this.callId = callId;
     this.clientId = clientId || initialData.client_id; // ✅ MULTI-TENANCY: Store client context
-    this.data = initialData;
+    this.data = { ...initialData };
     this.state = 'INITIALIZING';
-    this.requiredFields = []; // Override in subclass
+    this.requiredFields = []; // Override in subclass, or declare typed slots with defineSlots()
+    this.slots = null; // field -> { type, required, confirm, maxRetries, prompts }
+    this.slotAttempts = {}; // field -> invalid values received
+    this.invalidSlots = new Set(); // last value given for these fields was not valid
     this.result = null;
     this.isCancelled = false;
+    this.confirmed = false; // set once the customer confirmed (requestConfirmation)
     this.timeoutHandle = null;
     
     // Prevent memory leaks from too many listeners
     this.setMaxListeners(10);
   }
 
+  /**
+   * Declare the fields this agent collects. requiredFields is derived from
+   * it, so agents that only list names keep working.
+   * @param {object} slots - field -> {
+   *   type: slotTypes name (default 'text'),
+   *   required: default true,
+   *   confirm: read the value back and wait for a yes before executing,
+   *   maxRetries: invalid answers before escalating (default DEFAULT_MAX_RETRIES),
+   *   prompts: { en, hi, ... } instead of the type's prompts
+   * }
+   */
+  defineSlots(slots) {
+    this.slots = {};
+    for (const [field, spec] of Object.entries(slots)) {
+      this.slots[field] = {
+        type: 'text',
+        required: true,
+        confirm: false,
+        maxRetries: DEFAULT_MAX_RETRIES,
+        ...spec
+      };
+    }
+    this.requiredFields = Object.keys(this.slots).filter(field => this.slots[field].required);
+  }
+
+  /**
+   * Slot spec of a field; fields only listed in requiredFields get the
+   * type named like the field (order_id, phone, email...)
+   */
+  getSlot(field) {
+    if (this.slots && this.slots[field]) {
+      return this.slots[field];
+    }
+    return { type: slotTypeForField(field), required: true, confirm: false, maxRetries: DEFAULT_MAX_RETRIES };
+  }
+
+  isSlot(field) {
+    return Boolean(this.slots && this.slots[field]) || this.requiredFields.includes(field);
+  }
+
   /**
    * Check if agent has all required data
    */
   hasRequiredData() {
-    for (const field of this.requiredFields) {
-      if (!this.data[field]) {
-        return false;
+    return this.getMissingFields().length === 0;
+  }
+
+  /**
+   * Get missing required fields: not given, or given but not valid.
+   * Read-only - values are normalized and rejected in validateSlots.
+   */
+  getMissingFields() {
+    return this.requiredFields.filter(field => !checkSlotValue(this.getSlot(field).type, this.data[field]).valid);
+  }
+
+  /**
+   * Store the slot values given normalized ("98 76 54" -> "987654"). An
+   * invalid one is counted as a failed attempt and the value given before
+   * (if any) is kept, so the field is asked for again.
+   * @param {object} values - Newly given data, already merged into this.data
+   * @param {object} previous - this.data before the merge
+   * @returns {boolean} true if a confirm slot got a different value
+   */
+  validateSlots(values, previous = {}) {
+    let confirmedValueChanged = false;
+
+    for (const field of Object.keys(values)) {
+      if (!this.isSlot(field) || values[field] === undefined || values[field] === null || values[field] === '') {
+        continue;
+      }
+
+      const check = checkSlotValue(this.getSlot(field).type, values[field]);
+      if (!check.valid) {
+        this.rejectSlotValue(field, values[field]);
+        if (previous[field] !== undefined) {
+          this.data[field] = previous[field];
+        }
+        continue;
+      }
+
+      this.data[field] = check.value;
+      this.invalidSlots.delete(field);
+      if (this.getSlot(field).confirm && previous[field] !== undefined && previous[field] !== check.value) {
+        confirmedValueChanged = true;
       }
     }
-    return true;
+
+    return confirmedValueChanged;
   }
 
   /**
-   * Get missing required fields
+   * Drop a value that failed validation and count the attempt
    */
-  getMissingFields() {
-    return this.requiredFields.filter(field => !this.data[field]);
+  rejectSlotValue(field, value) {
+    delete this.data[field];
+    this.slotAttempts[field] = (this.slotAttempts[field] || 0) + 1;
+    this.invalidSlots.add(field);
+
+    logger.info('Agent rejected slot value', {
+      callId: this.callId,
+      agentType: this.constructor.name,
+      field,
+      type: this.getSlot(field).type,
+      attempt: this.slotAttempts[field]
+    });
   }
 
   /**
-   * Request missing information
+   * Request missing information. After more invalid answers than the slot
+   * allows, the call goes to a human instead.
    */
   requestMissingInfo() {
     const missing = this.getMissingFields();
@@ -52,56 +146,181 @@ class BaseAgent extends EventEmitter {
     }
 
     const field = missing[0]; // Request one at a time
+    const slot = this.getSlot(field);
+    const attempts = this.slotAttempts[field] || 0;
+
+    if (attempts > slot.maxRetries) {
+      logger.warn('Agent slot retries exceeded', {
+        callId: this.callId,
+        field,
+        attempts,
+        agentType: this.constructor.name
+      });
+
+      this.emit('need_escalation', {
+        reason: 'slot_retries_exceeded',
+        message: `Could not get a valid ${field} after ${attempts} attempts`,
+        field
+      });
+      return;
+    }
+
+    const invalid = this.invalidSlots.has(field);
     
     logger.info('Agent requesting info', { 
       callId: this.callId,
       field,
+      invalid,
       agentType: this.constructor.name 
     });
 
     // Get appropriate prompt for field
-    const prompt = this.getPromptForField(field);
+    const prompts = this.getSlotPrompts(field, invalid);
+    const prompt = invalid ? prompts.en : this.getPromptForField(field);
 
     this.emit('need_info', {
       field,
-      prompt
+      prompt,
+      prompts,
+      type: slot.type,
+      attempt: attempts + 1,
+      invalid
     });
   }
 
+  /**
+   * Prompts for a field by call language: the slot's own, else its type's
+   * @param {boolean} invalid - The last answer was not valid
+   */
+  getSlotPrompts(field, invalid = false) {
+    const slot = this.getSlot(field);
+    const slotType = getSlotType(slot.type);
+
+    if (invalid) {
+      return { en: `${field} is not valid`, ...slotType.invalidPrompts };
+    }
+    return { en: `${field} required`, ...slotType.prompts, ...slot.prompts };
+  }
+
   /**
    * Get prompt for field (override in subclass for custom prompts)
+   * @param {string} language - Call language code
    */
-  getPromptForField(field) {
-    const prompts = {
-      order_id: 'Order ID required',
-      phone: 'Phone number required',
-      email: 'Email required',
-      reason: 'Reason required',
-      pin_code: 'PIN code required'
-    };
+  getPromptForField(field, language = 'en') {
+    const prompts = this.getSlotPrompts(field);
+    return prompts[language] || prompts.en;
+  }
+
+  /**
+   * Some collected value must be confirmed by the customer before execute()
+   * goes ahead (slots declared with confirm: true)
+   */
+  needsConfirmation() {
+    if (this.confirmed || !this.slots) {
+      return false;
+    }
+    return Object.values(this.slots).some(slot => slot.confirm);
+  }
+
+  /**
+   * Ask the customer to confirm before doing something that can't be undone.
+   * execute() runs again once they confirm (with this.confirmed set).
+   * The values of confirm slots go along so they can be read back.
+   * @param {string} summary - What will be done, e.g. "cancel order 12345"
+   */
+  requestConfirmation(summary) {
+    this.state = 'WAITING_FOR_CONFIRMATION';
+
+    const values = {};
+    for (const [field, slot] of Object.entries(this.slots || {})) {
+      if (slot.confirm && this.data[field] !== undefined) {
+        values[field] = this.data[field];
+      }
+    }
+
+    // Not the summary: it carries the values ("cancel order 12345")
+    logger.info('Agent requesting confirmation', {
+      callId: this.callId,
+      agentType: this.constructor.name,
+      fields: Object.keys(values)
+    });
 
-    return prompts[field] || `${field} required`;
+    this.emit('need_confirmation', { summary, values });
   }
 
   /**
-   * Update agent data
+   * Customer's answer to requestConfirmation
+   * @param {boolean} confirmed
+   * @returns {boolean} false if no confirmation was pending
+   */
+  confirm(confirmed) {
+    if (this.state !== 'WAITING_FOR_CONFIRMATION') {
+      return false;
+    }
+
+    if (!confirmed) {
+      this.complete({
+        success: false,
+        declined: true,
+        contextUpdate: 'Customer did not confirm, nothing was changed. Ask if there is anything else you can help with.'
+      });
+      return true;
+    }
+
+    this.confirmed = true;
+    this.state = 'RUNNING';
+    this.continueExecution();
+    return true;
+  }
+
+  /**
+   * Update agent data. Slot values are validated first: an invalid one
+   * does not replace what was given before and is asked for again. A new
+   * value for a confirmed slot needs a new confirmation.
    */
   updateData(newData) {
+    const previous = this.data;
     this.data = { ...this.data, ...newData };
+    const confirmedValueChanged = this.validateSlots(newData, previous);
     
     logger.debug('Agent data updated', { 
       callId: this.callId,
       agentType: this.constructor.name,
-      data: this.data 
+      fields: Object.keys(this.data)
     });
 
-    // If we now have required data, continue execution
-    if (this.state === 'WAITING_FOR_INFO' && this.hasRequiredData()) {
+    // "Nahi, order 12346" while the old number was being confirmed
+    if (confirmedValueChanged && (this.confirmed || this.state === 'WAITING_FOR_CONFIRMATION')) {
+      this.confirmed = false;
+      if (this.state === 'WAITING_FOR_CONFIRMATION') {
+        this.state = 'RUNNING';
+        this.continueExecution();
+      }
+      return;
+    }
+
+    if (this.state !== 'WAITING_FOR_INFO') {
+      return;
+    }
+
+    // If we now have required data, continue execution; else ask for the rest
+    if (this.hasRequiredData()) {
       this.state = 'RUNNING';
       this.continueExecution();
+    } else {
+      this.requestMissingInfo();
     }
   }
 
+  /**
+   * First run: the values the agent was launched with are checked like any
+   * later answer, then execute()
+   */
+  async start() {
+    this.validateSlots(this.data);
+    await this.execute();
+  }
+
   /**
    * Main execution logic - OVERRIDE in subclass
    */
@@ -177,7 +396,7 @@ class BaseAgent extends EventEmitter {
     logger.info('Agent completed', { 
       callId: this.callId,
       agentType: this.constructor.name,
-      result 
+      success: result ? result.success : undefined
     });
 
     this.emit('completed', result);
@@ -0,0 +1,146 @@
+// agents/agentTools.js - Expose orchestrator agents as Realtime function tools
+
+// JSON-schema for every slot an agent can take
+const FIELD_SCHEMAS = {
+  order_id: { type: 'string', description: 'Order number/ID exactly as the customer said it (digits only if spoken as numbers)' },
+  phone: { type: 'string', description: '10 digit Indian mobile number' },
+  email: { type: 'string', description: 'Email address' },
+  name: { type: 'string', description: 'Customer full name' },
+  reason: { type: 'string', description: 'Reason given by the customer, in their own words' },
+  new_address: { type: 'string', description: 'Complete new delivery address' },
+  pin_code: { type: 'string', description: '6 digit PIN code' },
+  issue_type: { type: 'string', description: 'Payment problem type, e.g. double_charge, failed_payment, refund_not_received' },
+  transaction_id: { type: 'string', description: 'UPI / bank transaction reference, if the customer has it' },
+  query: { type: 'string', description: 'What the customer wants to know about the product' },
+  product_id: { type: 'string', description: 'Product ID or SKU, if known' },
+  category: { type: 'string', description: 'Product category, if known' },
+  exchange_for: { type: 'string', description: 'Size/colour/variant the customer wants instead' },
+  issue_description: { type: 'string', description: 'Description of the technical problem' },
+  platform: { type: 'string', description: 'Where the problem happens, e.g. android, ios, website' }
+};
+
+// What each agent does (the model picks tools from this)
+const AGENT_TOOL_SPECS = {
+  OrderLookupAgent: {
+    description: 'Look up an order and its current status.'
+  },
+  ReturnAgent: {
+    description: 'Start a return for an order the customer wants to send back.',
+    optional: ['reason']
+  },
+  RefundAgent: {
+    description: 'Process or check a refund for an order.'
+  },
+  CancelOrderAgent: {
+    description: 'Cancel an order that has not shipped yet. Only call after the customer clearly asks to cancel.'
+  },
+  TrackingAgent: {
+    description: 'Get shipment tracking and expected delivery for an order.'
+  },
+  ComplaintAgent: {
+    description: 'Register a complaint about an order (damaged, wrong item, bad service).'
+  },
+  ProductInquiryAgent: {
+    description: 'Answer questions about products: price, availability, sizes, features.',
+    optional: ['query', 'product_id', 'category']
+  },
+  PaymentIssueAgent: {
+    description: 'Investigate a payment problem for an order (money deducted, double charge, failed payment).',
+    optional: ['issue_type', 'transaction_id']
+  },
+  AddressChangeAgent: {
+    description: 'Change the delivery address of an order that has not shipped yet.',
+    optional: ['pin_code']
+  },
+  ExchangeAgent: {
+    description: 'Exchange an item in an order for a different size, colour or variant.',
+    optional: ['exchange_for']
+  },
+  CODAgent: {
+    description: 'Answer cash-on-delivery questions for an order.'
+  },
+  InvoiceAgent: {
+    description: 'Send the invoice / bill for an order.'
+  },
+  RegistrationAgent: {
+    description: 'Register the caller as a new customer.',
+    optional: ['name']
+  },
+  TechnicalSupportAgent: {
+    description: 'Help with app or website problems (login, OTP, payment page errors).',
+    optional: ['platform']
+  }
+};
+
+/**
+ * Required fields are set in each agent's constructor, so read them off a
+ * throwaway instance (constructors have no side effects)
+ */
+function getRequiredFields(AgentClass) {
+  const probe = new AgentClass('__tool_schema__', {});
+  return [...probe.requiredFields];
+}
+
+/**
+ * Build a Realtime function tool for one agent
+ * @param {string} agentType - Registry key, also used as the tool name
+ * @param {Function} AgentClass - Agent constructor
+ */
+function buildAgentTool(agentType, AgentClass) {
+  const spec = AGENT_TOOL_SPECS[agentType] || { description: `Run ${agentType}.` };
+  const required = getRequiredFields(AgentClass);
+  const fields = [...new Set([...required, ...(spec.optional || [])])];
+
+  const properties = {};
+  for (const field of fields) {
+    properties[field] = FIELD_SCHEMAS[field] || { type: 'string' };
+  }
+
+  return {
+    type: 'function',
+    name: agentType,
+    description: spec.description,
+    parameters: {
+      type: 'object',
+      properties,
+      required
+    }
+  };
+}
+
+/**
+ * Build tools for every registered agent
+ * @param {object} agentRegistry - agentType -> AgentClass
+ * @returns {Array} Realtime session tools
+ */
+function buildAgentTools(agentRegistry) {
+  return Object.entries(agentRegistry).map(([agentType, AgentClass]) =>
+    buildAgentTool(agentType, AgentClass)
+  );
+}
+
+/**
+ * Shape an agent result as a function_call_output payload
+ */
+function formatToolResult(result = {}) {
+  const output = {
+    success: !!result.success
+  };
+
+  if (result.message) {
+    output.message = result.message;
+  }
+  if (result.contextUpdate) {
+    output.details = result.contextUpdate;
+  }
+
+  return output;
+}
+
+module.exports = {
+  FIELD_SCHEMAS,
+  AGENT_TOOL_SPECS,
+  buildAgentTool,
+  buildAgentTools,
+  formatToolResult
+};
@@ -0,0 +1,337 @@
+// agents/evaluation/intentEvaluator.js - Score intent detectors on labeled corpora
+/**
+ * Corpora live in agents/evaluation/corpus/<sector>.json:
+ *   { sector, description, utterances: [{ text, language, intent, entities }] }
+ * language is hi (Devanagari), hinglish or en; intent CHAT means no agent;
+ * entities lists everything the turn should yield ({} = nothing).
+ *
+ * baselines.json holds the last accepted metrics per sector and detector;
+ * compareToBaseline() reports every metric that fell more than the
+ * tolerance below it (tests/intentEvaluation.test.js fails on those).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const resolve = require('../../utils/moduleResolver');
+const IntentDetector = require(resolve('agents/intentDetector'));
+const IntentDetectorV2 = require(resolve('agents/intentDetectorV2'));
+const IntentClassifier = require(resolve('agents/intentClassifier'));
+const { SECTOR_INTENT_EXAMPLES } = require(resolve('agents/intentExamples'));
+
+const CORPUS_DIR = path.join(__dirname, 'corpus');
+const BASELINE_FILE = path.join(__dirname, 'baselines.json');
+const DEFAULT_TOLERANCE = 0.02;
+// What the detectors answer when no agent is needed
+const NO_INTENT = 'CHAT';
+// Corpus language -> call language passed to the detector
+const DETECTOR_LANGUAGES = { hinglish: 'hi' };
+
+const DETECTORS = {
+  // agents/intentDetector.js, with the call language's patterns
+  intentDetector: () => {
+    const detector = new IntentDetector();
+    return ({ text, language }) => detector.detect(text, [], DETECTOR_LANGUAGES[language] || language);
+  },
+
+  // agents/intentDetectorV2.js with its built-in sector patterns (no database)
+  intentDetectorV2: ({ sector }) => {
+    const detector = new IntentDetectorV2(null);
+    const patterns = detector.getDefaultPatternsForSector(sector);
+    const entities = detector.getDefaultEntityPatternsForSector(sector);
+    return ({ text }) => {
+      const detection = detector.detect(text, { patterns, entities, sector });
+      return detection.intent === 'UNKNOWN' ? { ...detection, intent: NO_INTENT } : detection;
+    };
+  },
+
+  // Local classifier as used in regex intent mode: cancellations, greetings
+  // and multi-intent turns still come from the patterns, entities always do
+  classifier: ({ sector, classifier }) => {
+    const detector = new IntentDetector();
+    const model = classifier || trainBuiltInClassifier(sector);
+    return ({ text, language }) => {
+      const patterns = detector.detect(text, [], DETECTOR_LANGUAGES[language] || language);
+      if (patterns.shouldCancelAgent || patterns.intent === 'GREETING' || patterns.intents) {
+        return patterns;
+      }
+
+      const prediction = model.classify(text);
+      return {
+        intent: prediction ? prediction.intent : patterns.intent,
+        entities: patterns.entities || {}
+      };
+    };
+  }
+};
+
+function trainBuiltInClassifier(sector) {
+  const examples = Object.entries(SECTOR_INTENT_EXAMPLES[sector] || {})
+    .flatMap(([intent, texts]) => texts.map(text => ({ text, intent })));
+
+  if (examples.length === 0) {
+    throw new Error(`No classifier examples for sector ${sector}`);
+  }
+  return new IntentClassifier().train(examples);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? round(part / whole) : 0;
+}
+
+/**
+ * Sectors with a corpus
+ */
+function listCorpora() {
+  return fs.readdirSync(CORPUS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+/**
+ * Read and check a corpus file
+ * @param {string} file - Path to a .json corpus
+ */
+function readCorpusFile(file) {
+  const corpus = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!corpus.sector || !Array.isArray(corpus.utterances)) {
+    throw new Error(`Corpus ${file} needs a sector and an utterances array`);
+  }
+  corpus.utterances.forEach((utterance, i) => {
+    if (!utterance.text || !utterance.intent) {
+      throw new Error(`Corpus ${file}: utterance ${i} needs text and intent`);
+    }
+  });
+
+  return corpus;
+}
+
+/**
+ * A sector's bundled corpus
+ * @returns {object|null} Corpus, null when the sector has none
+ */
+function loadCorpus(sector) {
+  const name = String(sector || '');
+  return listCorpora().includes(name) ? readCorpusFile(path.join(CORPUS_DIR, `${name}.json`)) : null;
+}
+
+function loadBaselines() {
+  if (!fs.existsSync(BASELINE_FILE)) {
+    return { tolerance: DEFAULT_TOLERANCE, sectors: {} };
+  }
+  return JSON.parse(fs.readFileSync(BASELINE_FILE, 'utf8'));
+}
+
+function saveBaselines(baselines) {
+  fs.writeFileSync(BASELINE_FILE, `${JSON.stringify(baselines, null, 2)}\n`);
+}
+
+/**
+ * Precision, recall and F1 per intent, and the confusion matrix
+ */
+function scoreIntents(results) {
+  const labels = [...new Set(results.flatMap(({ expected, predicted }) => [expected, predicted]))].sort();
+  const confusion = {};
+  labels.forEach(expected => {
+    confusion[expected] = Object.fromEntries(labels.map(predicted => [predicted, 0]));
+  });
+  results.forEach(({ expected, predicted }) => {
+    confusion[expected][predicted]++;
+  });
+
+  const intents = {};
+  for (const label of labels) {
+    const tp = confusion[label][label];
+    const support = labels.reduce((sum, predicted) => sum + confusion[label][predicted], 0);
+    const predictedCount = labels.reduce((sum, expected) => sum + confusion[expected][label], 0);
+    const precision = ratio(tp, predictedCount);
+    const recall = ratio(tp, support);
+
+    intents[label] = {
+      support,
+      precision,
+      recall,
+      f1: precision + recall > 0 ? round((2 * precision * recall) / (precision + recall)) : 0
+    };
+  }
+
+  const supported = labels.filter(label => intents[label].support > 0);
+  const macroF1 = ratio(supported.reduce((sum, label) => sum + intents[label].f1, 0), supported.length);
+
+  return { labels, intents, confusion, macroF1 };
+}
+
+/**
+ * Entity extraction: per type, and how many turns came out exactly as labeled
+ */
+function scoreEntities(results) {
+  const types = {};
+  const typeStats = (type) => {
+    if (!types[type]) {
+      types[type] = { expected: 0, correct: 0, wrong: 0, missed: 0, spurious: 0 };
+    }
+    return types[type];
+  };
+  const same = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+  let labeled = 0;
+  let exact = 0;
+
+  for (const { expectedEntities, entities } of results) {
+    if (!expectedEntities) {
+      continue;
+    }
+    labeled++;
+
+    let allRight = true;
+    for (const [type, value] of Object.entries(expectedEntities)) {
+      const stats = typeStats(type);
+      stats.expected++;
+      if (entities[type] === undefined) {
+        stats.missed++;
+        allRight = false;
+      } else if (same(entities[type], value)) {
+        stats.correct++;
+      } else {
+        stats.wrong++;
+        allRight = false;
+      }
+    }
+    for (const type of Object.keys(entities)) {
+      if (expectedEntities[type] === undefined) {
+        typeStats(type).spurious++;
+        allRight = false;
+      }
+    }
+
+    if (allRight) {
+      exact++;
+    }
+  }
+
+  for (const stats of Object.values(types)) {
+    stats.precision = ratio(stats.correct, stats.correct + stats.wrong + stats.spurious);
+    stats.recall = ratio(stats.correct, stats.expected);
+  }
+
+  return { labeled, exact, accuracy: ratio(exact, labeled), types };
+}
+
+/**
+ * Run a detector over a corpus
+ * @param {object} corpus - From loadCorpus()
+ * @param {object} options
+ * @param {string} options.detector - intentDetector | intentDetectorV2 | classifier
+ * @param {IntentClassifier} options.classifier - Model for the classifier detector
+ *   (default: trained on the sector's built-in examples)
+ * @returns {object} Report: accuracy, macro_f1, per-intent scores, confusion
+ *   matrix, entity scores, accuracy per language and the misclassified turns
+ */
+function evaluateCorpus(corpus, { detector = 'intentDetector', classifier = null } = {}) {
+  const createDetector = DETECTORS[detector];
+  if (!createDetector) {
+    throw new Error(`Unknown detector: ${detector} (use ${Object.keys(DETECTORS).join(', ')})`);
+  }
+  const detect = createDetector({ sector: corpus.sector, classifier });
+
+  const results = corpus.utterances.map(utterance => {
+    const detection = detect(utterance) || {};
+    return {
+      text: utterance.text,
+      language: utterance.language || null,
+      expected: utterance.intent,
+      predicted: detection.intent || NO_INTENT,
+      expectedEntities: utterance.entities || null,
+      entities: detection.entities || {}
+    };
+  });
+
+  const { labels, intents, confusion, macroF1 } = scoreIntents(results);
+  const entities = scoreEntities(results);
+  const correct = results.filter(({ expected, predicted }) => expected === predicted).length;
+
+  const languages = {};
+  results.forEach(({ language, expected, predicted }) => {
+    const key = language || 'unknown';
+    languages[key] = languages[key] || { total: 0, correct: 0 };
+    languages[key].total++;
+    if (expected === predicted) {
+      languages[key].correct++;
+    }
+  });
+  Object.values(languages).forEach(stats => {
+    stats.accuracy = ratio(stats.correct, stats.total);
+  });
+
+  return {
+    sector: corpus.sector,
+    detector,
+    total: results.length,
+    accuracy: ratio(correct, results.length),
+    macro_f1: macroF1,
+    entity_accuracy: entities.accuracy,
+    intents,
+    labels,
+    confusion,
+    entities,
+    languages,
+    errors: results
+      .filter(({ expected, predicted }) => expected !== predicted)
+      .map(({ text, language, expected, predicted }) => ({ text, language, expected, predicted }))
+  };
+}
+
+/**
+ * The metrics kept as a baseline
+ */
+function toBaseline(report) {
+  return {
+    accuracy: report.accuracy,
+    macro_f1: report.macro_f1,
+    entity_accuracy: report.entity_accuracy,
+    f1: Object.fromEntries(
+      Object.entries(report.intents)
+        .filter(([, scores]) => scores.support > 0)
+        .map(([intent, scores]) => [intent, scores.f1])
+    )
+  };
+}
+
+/**
+ * Metrics that fell more than the tolerance below the baseline
+ * @returns {Array<{metric, baseline, actual}>} Empty when nothing regressed
+ */
+function compareToBaseline(report, baseline, { tolerance = DEFAULT_TOLERANCE } = {}) {
+  if (!baseline) {
+    return [];
+  }
+
+  const current = toBaseline(report);
+  const regressions = [];
+  const check = (metric, expected, actual) => {
+    if (actual === undefined || actual < expected - tolerance) {
+      regressions.push({ metric, baseline: expected, actual: actual === undefined ? null : actual });
+    }
+  };
+
+  ['accuracy', 'macro_f1', 'entity_accuracy'].forEach(metric => check(metric, baseline[metric], current[metric]));
+  Object.entries(baseline.f1 || {}).forEach(([intent, f1]) => check(`f1.${intent}`, f1, current.f1[intent]));
+
+  return regressions;
+}
+
+module.exports = {
+  DETECTORS,
+  listCorpora,
+  loadCorpus,
+  readCorpusFile,
+  loadBaselines,
+  saveBaselines,
+  evaluateCorpus,
+  toBaseline,
+  compareToBaseline
+};
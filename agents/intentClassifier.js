@@ -0,0 +1,235 @@
+// agents/intentClassifier.js - Trainable intent classifier (runs locally, no API calls)
+/**
+ * TF-IDF over words, word pairs and character n-grams, scored against one
+ * centroid per intent. Character n-grams carry romanized spelling variants
+ * ("aaya" / "aya", "kahan" / "kaha") that the regex patterns miss.
+ *
+ * Scores are turned into probabilities with a softmax whose temperature is
+ * fitted on the training examples themselves (leave-one-out), so a
+ * confidence of 0.8 means about 80% of such guesses were right.
+ */
+
+// Character n-gram sizes, taken inside each word (with boundary markers)
+const CHAR_NGRAM_SIZES = [3, 4];
+// Softmax temperatures tried during calibration
+const TEMPERATURES = [0.01, 0.02, 0.03, 0.05, 0.075, 0.1, 0.15, 0.2, 0.3, 0.5, 1];
+// Used when there is nothing to calibrate on (one example per intent)
+const DEFAULT_TEMPERATURE = 0.1;
+
+/**
+ * Words of a transcript: lowercased, punctuation dropped, any script
+ */
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Feature counts of a transcript
+ * @returns {Map<string, number>}
+ */
+function extractFeatures(text) {
+  const words = tokenize(text);
+  const counts = new Map();
+  const add = (feature) => counts.set(feature, (counts.get(feature) || 0) + 1);
+
+  words.forEach((word, i) => {
+    add(`w:${word}`);
+    if (i > 0) {
+      add(`b:${words[i - 1]}_${word}`);
+    }
+
+    const padded = ` ${word} `;
+    for (const size of CHAR_NGRAM_SIZES) {
+      for (let start = 0; start + size <= padded.length; start++) {
+        add(`c:${padded.slice(start, start + size)}`);
+      }
+    }
+  });
+
+  return counts;
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (const weight of vector.values()) {
+    norm += weight * weight;
+  }
+  norm = Math.sqrt(norm);
+  if (norm === 0) {
+    return vector;
+  }
+  for (const [feature, weight] of vector) {
+    vector.set(feature, weight / norm);
+  }
+  return vector;
+}
+
+function dot(vector, other) {
+  let sum = 0;
+  for (const [feature, weight] of vector) {
+    const otherWeight = other.get(feature);
+    if (otherWeight) {
+      sum += weight * otherWeight;
+    }
+  }
+  return sum;
+}
+
+function softmax(scores, temperature) {
+  const max = Math.max(...scores);
+  const exps = scores.map(score => Math.exp((score - max) / temperature));
+  const total = exps.reduce((sum, value) => sum + value, 0);
+  return exps.map(value => value / total);
+}
+
+class IntentClassifier {
+  constructor() {
+    this.intents = [];
+    this.idf = new Map();
+    this.centroids = new Map(); // intent -> unit vector
+    this.temperature = DEFAULT_TEMPERATURE;
+    this.exampleCount = 0;
+  }
+
+  /**
+   * Train on labeled examples (replaces any earlier training)
+   * @param {Array<{text: string, intent: string}>} examples
+   * @returns {IntentClassifier} this
+   */
+  train(examples) {
+    const docs = examples
+      .map(({ text, intent }) => ({ intent, counts: extractFeatures(text) }))
+      .filter(doc => doc.intent && doc.counts.size > 0);
+
+    // Inverse document frequency over all examples
+    const documentFrequency = new Map();
+    for (const { counts } of docs) {
+      for (const feature of counts.keys()) {
+        documentFrequency.set(feature, (documentFrequency.get(feature) || 0) + 1);
+      }
+    }
+    this.idf = new Map();
+    for (const [feature, df] of documentFrequency) {
+      this.idf.set(feature, Math.log((1 + docs.length) / (1 + df)) + 1);
+    }
+
+    // Sum of example vectors per intent (centroid = normalized sum)
+    const vectors = docs.map(doc => ({ intent: doc.intent, vector: this.vectorize(doc.counts) }));
+    const sums = new Map();
+    for (const { intent, vector } of vectors) {
+      if (!sums.has(intent)) {
+        sums.set(intent, new Map());
+      }
+      const sum = sums.get(intent);
+      for (const [feature, weight] of vector) {
+        sum.set(feature, (sum.get(feature) || 0) + weight);
+      }
+    }
+
+    this.intents = [...sums.keys()];
+    this.centroids = new Map(this.intents.map(intent => [intent, normalize(new Map(sums.get(intent)))]));
+    this.exampleCount = vectors.length;
+    this.temperature = this.calibrate(vectors, sums);
+
+    return this;
+  }
+
+  /**
+   * TF-IDF unit vector of feature counts (features never seen in training are dropped)
+   */
+  vectorize(counts) {
+    const vector = new Map();
+    for (const [feature, count] of counts) {
+      const idf = this.idf.get(feature);
+      if (idf) {
+        vector.set(feature, (1 + Math.log(count)) * idf);
+      }
+    }
+    return normalize(vector);
+  }
+
+  /**
+   * Pick the softmax temperature with the lowest leave-one-out log loss:
+   * each example is scored against centroids built without it
+   */
+  calibrate(vectors, sums) {
+    const perIntent = new Map();
+    vectors.forEach(({ intent }) => perIntent.set(intent, (perIntent.get(intent) || 0) + 1));
+    const held = vectors.filter(({ intent }) => perIntent.get(intent) > 1);
+    if (held.length === 0 || this.intents.length < 2) {
+      return DEFAULT_TEMPERATURE;
+    }
+
+    const rows = held.map(({ intent, vector }) => {
+      const scores = this.intents.map(candidate => {
+        const sum = sums.get(candidate);
+        if (candidate !== intent) {
+          return dot(vector, this.centroids.get(candidate));
+        }
+
+        // Own centroid minus this example
+        let norm = 0;
+        let score = 0;
+        for (const [feature, weight] of sum) {
+          const rest = weight - (vector.get(feature) || 0);
+          norm += rest * rest;
+          score += rest * (vector.get(feature) || 0);
+        }
+        return norm > 0 ? score / Math.sqrt(norm) : 0;
+      });
+      return { scores, truth: this.intents.indexOf(intent) };
+    });
+
+    let best = { temperature: DEFAULT_TEMPERATURE, loss: Infinity };
+    for (const temperature of TEMPERATURES) {
+      const loss = rows.reduce((total, { scores, truth }) => {
+        return total - Math.log(Math.max(softmax(scores, temperature)[truth], 1e-12));
+      }, 0) / rows.length;
+
+      if (loss < best.loss) {
+        best = { temperature, loss };
+      }
+    }
+
+    return best.temperature;
+  }
+
+  /**
+   * Classify a transcript
+   * @param {string} text - Caller transcript
+   * @param {object} options
+   * @param {number} options.topK - How many alternatives to return (default 3)
+   * @returns {{ intent: string, confidence: number, alternatives: Array<{intent, confidence}> }|null}
+   *   null when untrained or nothing in the text was seen in training
+   */
+  classify(text, { topK = 3 } = {}) {
+    if (this.intents.length === 0) {
+      return null;
+    }
+
+    const vector = this.vectorize(extractFeatures(text));
+    if (vector.size === 0) {
+      return null;
+    }
+
+    const scores = this.intents.map(intent => dot(vector, this.centroids.get(intent)));
+    const probabilities = softmax(scores, this.temperature);
+    const ranked = this.intents
+      .map((intent, i) => ({ intent, confidence: Math.round(probabilities[i] * 1000) / 1000 }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    return {
+      intent: ranked[0].intent,
+      confidence: ranked[0].confidence,
+      alternatives: ranked.slice(0, topK)
+    };
+  }
+}
+
+IntentClassifier.tokenize = tokenize;
+
+module.exports = IntentClassifier;
@@ -1,6 +1,13 @@
 // agents/intentDetector.js - Intent detection and entity extraction
 const resolve = require('../utils/moduleResolver');
 const logger = require(resolve('utils/logger'));
+const { LANGUAGE_INTENT_PATTERNS, LANGUAGE_ENTITY_PATTERNS } = require(resolve('agents/languagePatterns'));
+const { normalizeSpokenEntities } = require(resolve('utils/spokenEntityNormalizer'));
+
+// Words that join two requests in one turn
+const CLAUSE_SEPARATOR = /[,;]|(?:^|\s)(?:aur|and|also|then|phir|plus|saath hi|uske baad|और|फिर|तथा)(?=\s|$)/;
+// "order cancel karo" names the order; plain "cancel karo" drops what is going on
+const ORDER_CANCELLATION = /(order|ऑर्डर).*(cancel|कैंसल)|(cancel|कैंसल).*(order|ऑर्डर)/;
 
 class IntentDetector {
   constructor() {
@@ -123,12 +130,13 @@ class IntentDetector {
       ]
     };
 
-    // Entity extraction patterns
+    // Entity extraction patterns, matched after spoken numbers, emails and
+    // dates are normalized (utils/spokenEntityNormalizer)
     this.entityPatterns = {
       order_id: [
-        /order.*?(\d{4,10})/i,
-        /\b(\d{4,10})\b/,
-        /number.*?(\d{4,10})/i
+        /order.*?(\d{4,10})(?!-\d)/i,
+        /(?<!₹)\b(\d{4,10})\b(?!-\d)/,
+        /number.*?(\d{4,10})(?!-\d)/i
       ],
       phone: [
         /(\+?\d{10,12})/,
@@ -147,23 +155,106 @@ class IntentDetector {
         /pin.*?(\d{6})/i,
         /pincode.*?(\d{6})/i,
         /postal.*?(\d{6})/i
+      ],
+      date: [
+        /\b(\d{4}-\d{2}-\d{2})\b/
       ]
     };
+
+    // Merged pattern sets by call language
+    this.languagePatterns = new Map();
   }
 
   /**
-   * Detect intent from user transcript
+   * Intent and entity patterns for a call language: the Hinglish patterns
+   * plus the language's own (native-script patterns tried first for entities)
+   * @param {string} language - Language code (hi, en, ta, bn, mr)
+   * @returns {object} { intentPatterns, entityPatterns }
+   */
+  getPatterns(language) {
+    if (!language || !LANGUAGE_INTENT_PATTERNS[language]) {
+      return { intentPatterns: this.intentPatterns, entityPatterns: this.entityPatterns };
+    }
+
+    if (!this.languagePatterns.has(language)) {
+      const intentOverlay = LANGUAGE_INTENT_PATTERNS[language];
+      const entityOverlay = LANGUAGE_ENTITY_PATTERNS[language] || {};
+      const intentPatterns = { ...this.intentPatterns };
+      const entityPatterns = { ...this.entityPatterns };
+
+      for (const [intent, patterns] of Object.entries(intentOverlay)) {
+        intentPatterns[intent] = [...(intentPatterns[intent] || []), ...patterns];
+      }
+      for (const [entityType, patterns] of Object.entries(entityOverlay)) {
+        entityPatterns[entityType] = [...patterns, ...(entityPatterns[entityType] || [])];
+      }
+
+      this.languagePatterns.set(language, { intentPatterns, entityPatterns });
+    }
+
+    return this.languagePatterns.get(language);
+  }
+
+  /**
+   * Detect intent from user transcript. A turn asking for several things
+   * ("order cancel karo aur refund kab aayega") also gets intents: one entry
+   * per agent intent, in the order the caller said them; the detection
+   * itself is the first of them, with the entities of the whole turn.
    * @param {string} transcript - User's speech text
    * @param {object} conversationContext - Previous conversation
-   * @returns {object} - { intent, confidence, entities, requiresAgent }
+   * @param {string} language - Call language; adds that language's patterns
+   * @returns {object} - { intent, confidence, entities, requiresAgent, intents? }
    */
-  detect(transcript, conversationContext = []) {
+  detect(transcript, conversationContext = [], language = null) {
     const text = transcript.toLowerCase().trim();
+    const { intentPatterns, entityPatterns } = this.getPatterns(language);
 
-    logger.debug('Detecting intent', { transcript: text });
+    logger.debug('Detecting intent', { transcript: text, language });
 
-    // Check for cancellation first
-    if (this.matchesIntent(text, 'CANCEL_ACTION')) {
+    const intents = [];
+    for (const clause of this.splitClauses(text)) {
+      const detection = this.detectText(clause, transcript, intentPatterns, entityPatterns);
+      if (detection.requiresAgent && !intents.some(({ intent }) => intent === detection.intent)) {
+        intents.push({
+          intent: detection.intent,
+          agentType: detection.agentType,
+          entities: detection.entities,
+          text: clause
+        });
+      }
+    }
+
+    if (intents.length < 2) {
+      return this.detectText(text, transcript, intentPatterns, entityPatterns);
+    }
+
+    return {
+      intent: intents[0].intent,
+      confidence: 0.85,
+      entities: this.extractEntities(text, entityPatterns),
+      requiresAgent: true,
+      agentType: intents[0].agentType,
+      intents,
+      originalText: transcript
+    };
+  }
+
+  /**
+   * Parts of a turn joined by "aur", "and", "phir", commas...
+   */
+  splitClauses(text) {
+    return text
+      .split(CLAUSE_SEPARATOR)
+      .map(clause => (clause || '').trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * The one intent of a text (a whole turn or a clause of it)
+   */
+  detectText(text, transcript, intentPatterns, entityPatterns) {
+    // Check for cancellation first ("order cancel karo" cancels the order, not the action)
+    if (this.matchesIntent(text, 'CANCEL_ACTION', intentPatterns) && !ORDER_CANCELLATION.test(text)) {
       return {
         intent: 'CANCEL_ACTION',
         confidence: 0.95,
@@ -174,7 +265,7 @@ class IntentDetector {
     }
 
     // Check for simple greetings
-    if (this.matchesIntent(text, 'GREETING') && text.length < 20) {
+    if (this.matchesIntent(text, 'GREETING', intentPatterns) && text.length < 20) {
       return {
         intent: 'GREETING',
         confidence: 0.9,
@@ -183,12 +274,12 @@ class IntentDetector {
       };
     }
 
-    // Check all agent-triggering intents
+    // Check all agent-triggering intents ("mera order ... cancel" is a cancellation, not a lookup)
     const intents = [
+      'CANCEL_ORDER',
       'ORDER_LOOKUP',
       'RETURN_REQUEST',
       'REFUND',
-      'CANCEL_ORDER',
       'TRACKING',
       'PRODUCT_INQUIRY',
       'PAYMENT_ISSUE',
@@ -202,8 +293,8 @@ class IntentDetector {
     ];
 
     for (const intent of intents) {
-      if (this.matchesIntent(text, intent)) {
-        const entities = this.extractEntities(text);
+      if (this.matchesIntent(text, intent, intentPatterns)) {
+        const entities = this.extractEntities(text, entityPatterns);
         
         return {
           intent,
@@ -220,7 +311,7 @@ class IntentDetector {
     return {
       intent: 'CHAT',
       confidence: 0.7,
-      entities: this.extractEntities(text),
+      entities: this.extractEntities(text, entityPatterns),
       requiresAgent: false,
       originalText: transcript
     };
@@ -229,20 +320,21 @@ class IntentDetector {
   /**
    * Check if text matches intent patterns
    */
-  matchesIntent(text, intent) {
-    const patterns = this.intentPatterns[intent] || [];
+  matchesIntent(text, intent, intentPatterns = this.intentPatterns) {
+    const patterns = intentPatterns[intent] || [];
     return patterns.some(pattern => pattern.test(text));
   }
 
   /**
-   * Extract entities from text
+   * Extract entities from text ("ek do teen chaar paanch" is read as 12345)
    */
-  extractEntities(text) {
+  extractEntities(text, entityPatterns = this.entityPatterns) {
     const entities = {};
+    const normalized = normalizeSpokenEntities(text);
 
-    for (const [entityType, patterns] of Object.entries(this.entityPatterns)) {
+    for (const [entityType, patterns] of Object.entries(entityPatterns)) {
       for (const pattern of patterns) {
-        const match = text.match(pattern);
+        const match = normalized.match(pattern);
         if (match) {
           entities[entityType] = match[1] || match[0];
           break;
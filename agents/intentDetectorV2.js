@@ -3,6 +3,7 @@
 
 const resolve = require('../utils/moduleResolver');
 const logger = require(resolve('utils/logger'));
+const { normalizeSpokenEntities } = require(resolve('utils/spokenEntityNormalizer'));
 
 class IntentDetectorV2 {
   constructor(database) {
@@ -299,7 +300,7 @@ class IntentDetectorV2 {
   getDefaultEntityPatternsForSector(sector) {
     const defaultEntities = {
       ecommerce: {
-        order_id: [/order.*?(\d{4,10})/i, /\b(\d{4,10})\b/],
+        order_id: [/order.*?(\d{4,10})(?!-\d)/i, /(?<!₹)\b(\d{4,10})\b(?!-\d)/],
         product_id: [/product.*?(\d+)/i, /sku.*?(\d+)/i],
         tracking_number: [/tracking.*?(\d+)/i, /awb.*?(\d+)/i],
         phone: [/(\+?\d{10,12})/],
@@ -436,7 +437,7 @@ class IntentDetectorV2 {
   }
 
   /**
-   * Extract entities from transcript
+   * Extract entities from transcript (spoken numbers and emails normalized first)
    */
   extractEntities(transcript, entityPatterns = {}) {
     const entities = {};
@@ -445,6 +446,8 @@ class IntentDetectorV2 {
       return entities;
     }
 
+    const normalized = normalizeSpokenEntities(transcript);
+
     // For each entity type, try to extract from transcript
     for (const [entityType, hints] of Object.entries(entityPatterns)) {
       // Create regex patterns from hints if they're strings
@@ -457,7 +460,7 @@ class IntentDetectorV2 {
 
       // Try to match
       for (const pattern of patterns) {
-        const match = transcript.match(pattern);
+        const match = normalized.match(pattern);
         if (match) {
           entities[entityType] = match[match.length - 1] || match[0];
           break;
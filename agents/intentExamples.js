@@ -0,0 +1,179 @@
+// agents/intentExamples.js - Built-in training examples for the intent classifier
+/**
+ * Starting corpus per sector, trained together with the sector's
+ * sector_intent_patterns examples and the client's labeled transcripts
+ * (intent_training_examples). Intents are IntentDetector's, so each maps to
+ * an agent through intentToAgent; CHAT is everything that needs no agent.
+ * Greetings and "rehne do" cancellations stay with the regex patterns.
+ */
+
+const SECTOR_INTENT_EXAMPLES = {
+  ecommerce: {
+    ORDER_LOOKUP: [
+      'mera order kahan hai',
+      'order ka status batao',
+      'mera order abhi tak nahi aaya',
+      'order kab tak aayega',
+      'delivery kab hogi',
+      'saman kab milega',
+      'parcel kab aayega',
+      'where is my order',
+      'my order has not arrived yet',
+      'when will my order be delivered',
+      'order check karna hai',
+      'ek hafte se order ka wait kar raha hoon'
+    ],
+    RETURN_REQUEST: [
+      'mujhe ye product return karna hai',
+      'galat product aaya hai wapas lena hoga',
+      'saman wapas bhejna hai',
+      'product damaged aaya hai',
+      'size galat hai return chahiye',
+      'i want to return this item',
+      'the product is defective i want to send it back',
+      'toota hua saman mila hai',
+      'return pickup kab aayega',
+      'ye mujhe pasand nahi aaya wapas karna hai'
+    ],
+    REFUND: [
+      'mera refund kab aayega',
+      'paisa wapas chahiye',
+      'refund abhi tak nahi mila',
+      'paise kab wapas aayenge',
+      'return kiya tha paisa nahi aaya',
+      'i want my money back',
+      'refund status kya hai',
+      'amount account mein wapas kab aayega',
+      'refund ka paisa kitne din mein aayega',
+      'when will i get my refund'
+    ],
+    CANCEL_ORDER: [
+      'order cancel karna hai',
+      'mera order cancel kar do',
+      'mujhe ye order nahi chahiye cancel karo',
+      'galti se order ho gaya cancel karna hai',
+      'please cancel my order',
+      'i want to cancel the order i placed',
+      'order mat bhejo cancel kar do',
+      'abhi order cancel ho sakta hai kya'
+    ],
+    TRACKING: [
+      'tracking number batao',
+      'mera parcel abhi kahan pahuncha hai',
+      'delivery boy ka number chahiye',
+      'shipment track karna hai',
+      'courier kahan tak pahuncha',
+      'track my package',
+      'live location dikhao parcel ki',
+      'awb number kya hai'
+    ],
+    PRODUCT_INQUIRY: [
+      'ye product stock mein hai kya',
+      'is phone ki price kya hai',
+      'product ke specifications batao',
+      'kya ye blue colour mein milega',
+      'is it available in large size',
+      'product ki warranty kitni hai',
+      'ye item kab tak available hoga',
+      'is product ka material kya hai'
+    ],
+    PAYMENT_ISSUE: [
+      'payment fail ho gaya',
+      'paisa cut gaya par order nahi hua',
+      'account se paise kat gaye',
+      'transaction fail hua lekin debit ho gaya',
+      'payment nahi ho raha',
+      'my payment failed but money was deducted',
+      'upi payment pending dikha raha hai',
+      'do baar paise kat gaye'
+    ],
+    ADDRESS_CHANGE: [
+      'delivery address change karna hai',
+      'address update karna hai',
+      'galat address daal diya',
+      'naya address pe bhejo',
+      'i want to change my delivery address',
+      'pincode galat hai address badalna hai',
+      'ghar shift ho gaya address badal do'
+    ],
+    COMPLAINT: [
+      'mujhe complaint karni hai',
+      'bahut bura experience raha',
+      'delivery boy ne badtameezi ki',
+      'service se bilkul khush nahi hoon',
+      'i want to file a complaint',
+      'aapki service bahut kharab hai',
+      'shikayat darj karni hai',
+      'teen baar call kiya koi solution nahi mila'
+    ],
+    EXCHANGE: [
+      'size exchange karna hai',
+      'dusre colour se badal do',
+      'exchange ho sakta hai kya',
+      'ye medium hai mujhe large chahiye',
+      'i want to exchange it for a different size',
+      'product badalna hai',
+      'same product dusre size mein chahiye'
+    ],
+    COD_ISSUE: [
+      'cash on delivery available hai kya',
+      'cod option nahi dikh raha',
+      'delivery pe cash de sakte hain',
+      'can i pay cash on delivery',
+      'cod order ka payment kaise karu',
+      'delivery ke time card se pay kar sakta hoon'
+    ],
+    INVOICE: [
+      'invoice chahiye',
+      'bill bhej do',
+      'gst bill chahiye',
+      'please send me the invoice',
+      'order ki receipt nahi mili',
+      'company ke naam pe bill chahiye'
+    ],
+    REGISTRATION: [
+      'naya account banana hai',
+      'sign up kaise karu',
+      'register karna hai',
+      'how do i create an account',
+      'mobile number se account banana hai',
+      'registration nahi ho raha'
+    ],
+    TECHNICAL_SUPPORT: [
+      'app nahi chal raha',
+      'login nahi ho raha',
+      'website pe error aa raha hai',
+      'otp nahi aa raha',
+      'app baar baar band ho jata hai',
+      'the app keeps crashing',
+      'password reset nahi ho raha',
+      'checkout page load nahi ho raha'
+    ],
+    CHAT: [
+      'haan ji bataiye',
+      'theek hai',
+      'aap kaun bol rahe ho',
+      'ek minute ruko',
+      'samajh gaya dhanyavaad',
+      'okay thank you',
+      'aapka naam kya hai',
+      'main baad mein call karta hoon',
+      'kuch nahi bas aise hi',
+      'aur batao',
+      'awaaz nahi aa rahi',
+      'yes that is correct',
+      'accha',
+      'thank you so much'
+    ]
+  }
+};
+
+// sector_intent_patterns names (migration 001) for the same intents
+const INTENT_ALIASES = {
+  ORDER_STATUS: 'ORDER_LOOKUP',
+  DELIVERY_ETA: 'ORDER_LOOKUP',
+  REFUND_STATUS: 'REFUND',
+  PRODUCT_INFO: 'PRODUCT_INQUIRY'
+};
+
+module.exports = { SECTOR_INTENT_EXAMPLES, INTENT_ALIASES };
@@ -0,0 +1,91 @@
+// agents/languagePatterns.js - Intent/entity patterns per call language
+/**
+ * Added on top of IntentDetector's Hinglish patterns, which stay active for
+ * every language (callers mix in English and Hinglish words). Keyed by the
+ * language codes of config/promptDefaults LANGUAGE_NAMES; 'hi' covers
+ * Hindi written in Devanagari. Transcripts are lowercased before matching.
+ */
+
+const LANGUAGE_INTENT_PATTERNS = {
+  hi: {
+    ORDER_LOOKUP: [/ऑर्डर.*(कहाँ|कहां|स्टेटस)/, /मेरा.*ऑर्डर/, /डिलीवरी.*कब/],
+    RETURN_REQUEST: [/वापस.*(करना|भेज)/, /रिटर्न/, /गलत.*(प्रोडक्ट|सामान)/],
+    REFUND: [/रिफंड/, /पैसा.*वापस/, /पैसे.*वापस/],
+    CANCEL_ORDER: [/ऑर्डर.*कैंसिल/, /कैंसिल.*कर/],
+    TRACKING: [/ट्रैक/, /कहाँ.*पहुँच/, /कहां.*पहुंच/],
+    PAYMENT_ISSUE: [/पेमेंट.*(फेल|नहीं)/, /पैसा.*कट/],
+    COMPLAINT: [/शिकायत/],
+    GREETING: [/^नमस्ते$/, /^हाँ$/, /^जी$/],
+    CANCEL_ACTION: [/रहने.*दो/, /छोड़ो/, /मत.*करो/]
+  },
+  mr: {
+    ORDER_LOOKUP: [/ऑर्डर.*(कुठे|कुठं|स्टेटस)/, /माझ[ाीे].*ऑर्डर/, /डिलिव्हरी.*केव्हा/, /order.*kuthe/i],
+    RETURN_REQUEST: [/परत.*(करायच|पाठव)/, /रिटर्न/, /chukicha.*product/i],
+    REFUND: [/रिफंड/, /पैसे.*परत/, /paise.*parat/i],
+    CANCEL_ORDER: [/ऑर्डर.*(कॅन्सल|रद्द)/, /(कॅन्सल|रद्द).*कर/, /cancel.*kara/i],
+    TRACKING: [/ट्रॅक/, /कुठे.*पोहोच/],
+    PAYMENT_ISSUE: [/पेमेंट.*(फेल|झाल[ंे]?.*नाही)/, /पैसे.*कापल/],
+    COMPLAINT: [/तक्रार/],
+    GREETING: [/^नमस्कार$/, /^हो$/],
+    CANCEL_ACTION: [/राहू.*द्या/, /नको/, /^nako$/i]
+  },
+  ta: {
+    ORDER_LOOKUP: [/ஆர்டர்.*(எங்கே|எங்க|நிலை|ஸ்டேட்டஸ்)/, /என்.*ஆர்டர்/, /டெலிவரி.*எப்போ/, /order.*(enga|eppo)/i],
+    RETURN_REQUEST: [/திருப்பி.*(அனுப்ப|கொடுக்க)/, /ரிட்டர்ன்/, /return.*pannanum/i],
+    REFUND: [/ரீஃபண்ட்/, /ரிஃபண்ட்/, /பணம்.*திரும்ப/, /panam.*thirumba/i],
+    CANCEL_ORDER: [/ஆர்டர்.*(கேன்சல்|ரத்து)/, /(கேன்சல்|ரத்து).*பண்ண/, /cancel.*pannunga/i],
+    TRACKING: [/ட்ராக்/, /எங்கே.*இருக்கு/],
+    PAYMENT_ISSUE: [/பேமெண்ட்.*(ஃபெயில்|ஆகல)/, /பணம்.*கட்/],
+    COMPLAINT: [/புகார்/],
+    GREETING: [/^வணக்கம்$/, /^ஆமா$/, /^vanakkam$/i],
+    CANCEL_ACTION: [/வேண்டாம்/, /விடுங்க/, /^vendam$/i]
+  },
+  bn: {
+    ORDER_LOOKUP: [/অর্ডার.*(কোথায়|স্ট্যাটাস)/, /আমার.*অর্ডার/, /ডেলিভারি.*কবে/, /order.*kothay/i],
+    RETURN_REQUEST: [/ফেরত.*(দিতে|পাঠা)/, /রিটার্ন/, /bhul.*product/i],
+    REFUND: [/রিফান্ড/, /টাকা.*ফেরত/, /taka.*ferot/i],
+    CANCEL_ORDER: [/অর্ডার.*(ক্যান্সেল|বাতিল)/, /(ক্যান্সেল|বাতিল).*কর/, /cancel.*korun/i],
+    TRACKING: [/ট্র্যাক/, /কোথায়.*পৌঁছ/],
+    PAYMENT_ISSUE: [/পেমেন্ট.*(ফেল|হয়নি)/, /টাকা.*কেটে/],
+    COMPLAINT: [/অভিযোগ/],
+    GREETING: [/^নমস্কার$/, /^হ্যাঁ$/, /^nomoskar$/i],
+    CANCEL_ACTION: [/^থাক/, /দরকার.*নেই/, /lagbe.*na/i]
+  },
+  en: {
+    ORDER_LOOKUP: [/where.*my.*order/i, /order.*(arrive|deliver)/i, /when.*(arrive|deliver)/i],
+    RETURN_REQUEST: [/return.*(item|product|order)/i, /send.*back/i, /wrong.*(item|product)/i],
+    REFUND: [/get.*money/i, /want.*my.*money/i],
+    CANCEL_ORDER: [/cancel.*(my|the).*order/i, /don'?t.*want.*order/i],
+    TRACKING: [/where.*is.*(it|package|parcel)/i],
+    PAYMENT_ISSUE: [/payment.*(failed|declined)/i, /charged.*twice/i, /money.*deducted/i],
+    COMPLAINT: [/complain/i, /unhappy/i, /terrible/i],
+    GREETING: [/^hey$/i, /^good (morning|afternoon|evening)$/i],
+    CANCEL_ACTION: [/never.*mind/i, /leave.*it/i, /don'?t.*bother/i]
+  }
+};
+
+// Native words for "order" and "pincode" before the number
+const LANGUAGE_ENTITY_PATTERNS = {
+  hi: {
+    order_id: [/ऑर्डर.*?(\d{4,10})/],
+    pin_code: [/पिन\s*कोड.*?(\d{6})/]
+  },
+  mr: {
+    order_id: [/ऑर्डर.*?(\d{4,10})/],
+    pin_code: [/पिन\s*कोड.*?(\d{6})/]
+  },
+  ta: {
+    order_id: [/ஆர்டர்.*?(\d{4,10})/],
+    pin_code: [/பின்\s*கோடு.*?(\d{6})/]
+  },
+  bn: {
+    order_id: [/অর্ডার.*?(\d{4,10})/],
+    pin_code: [/পিন\s*কোড.*?(\d{6})/]
+  },
+  en: {}
+};
+
+module.exports = {
+  LANGUAGE_INTENT_PATTERNS,
+  LANGUAGE_ENTITY_PATTERNS
+};
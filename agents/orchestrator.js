@@ -2,6 +2,7 @@
 const resolve = require('../utils/moduleResolver');
 const logger = require(resolve('utils/logger'));
 const EventEmitter = require('events');
+const { buildAgentTools } = require('./agentTools');
 
 // Import all agents
 const OrderLookupAgent = require('./types/OrderLookupAgent');
@@ -24,8 +25,11 @@ const {
 class AgentOrchestrator extends EventEmitter {
   constructor() {
     super();
-    this.activeAgents = new Map(); // callId -> { agent, state, startTime }
+    this.activeAgents = new Map(); // callId -> { agent, agentType, intent, state, startTime }
+    this.agentQueues = new Map(); // callId -> [{ agentType, intent, data }] waiting their turn
     this.agentRegistry = this.registerAgents();
+    this.toolDefinitions = null;
+    this.cleanupInterval = null;
   }
 
   /**
@@ -53,6 +57,23 @@ class AgentOrchestrator extends EventEmitter {
     };
   }
 
+  /**
+   * Realtime function tools for all registered agents (built once)
+   */
+  getToolDefinitions() {
+    if (!this.toolDefinitions) {
+      this.toolDefinitions = buildAgentTools(this.agentRegistry);
+    }
+    return this.toolDefinitions;
+  }
+
+  /**
+   * Check if agent type is registered
+   */
+  hasAgentType(agentType) {
+    return Object.prototype.hasOwnProperty.call(this.agentRegistry, agentType);
+  }
+
   /**
    * Launch agent with optimized execution
    */
@@ -62,20 +83,22 @@ class AgentOrchestrator extends EventEmitter {
       if (this.activeAgents.has(callId)) {
         const existing = this.activeAgents.get(callId);
         
-        // If same type, update it
-        if (existing.agent.constructor.name === agentType) {
+        // If same type and still running, update it
+        if (existing.agent.constructor.name === agentType && existing.state === 'RUNNING') {
           logger.info('Updating existing agent', { callId, agentType });
           existing.agent.updateData(initialData);
           return existing.agent;
         }
         
-        // Cancel old agent
-        logger.info('Cancelling previous agent', { 
-          callId,
-          oldAgent: existing.agent.constructor.name,
-          newAgent: agentType 
-        });
-        await this.cancelAgent(callId);
+        // Cancel old agent (a finished one is just replaced)
+        if (existing.state === 'RUNNING') {
+          logger.info('Cancelling previous agent', { 
+            callId,
+            oldAgent: existing.agent.constructor.name,
+            newAgent: agentType 
+          });
+          await this.cancelAgent(callId);
+        }
       }
 
       // Get agent class
@@ -93,6 +116,7 @@ class AgentOrchestrator extends EventEmitter {
       this.activeAgents.set(callId, {
         agent,
         agentType,
+        intent: null, // set by queueAgents / launchNextAgent
         state: 'RUNNING',
         startTime: Date.now()
       });
@@ -100,7 +124,7 @@ class AgentOrchestrator extends EventEmitter {
       logger.info('Agent launched', { 
         callId,
         agentType,
-        initialData 
+        fields: Object.keys(initialData || {})
       });
 
       // Setup handlers
@@ -121,6 +145,151 @@ class AgentOrchestrator extends EventEmitter {
     }
   }
 
+  /**
+   * Run agents one after another: the first starts now unless an agent is
+   * still working on the call, the rest wait in the call's queue. A request
+   * for an agent that is already running or queued adds its data to it. An
+   * agent waiting for the caller's answer does not hold up a new request:
+   * it goes back to the front of the queue and the new one starts.
+   * @param {string} callId
+   * @param {Array<{agentType, intent, data}>} requests - In the order the caller asked
+   * @returns {Promise<{launched: string|null, queued: string[], pending: Array<{agentType, intent}>}>}
+   *   launched: agent started now; queued: agents added to the queue by this
+   *   call; pending: the whole queue
+   */
+  async queueAgents(callId, requests) {
+    const queue = this.agentQueues.get(callId) || [];
+    const queued = [];
+    let launched = null;
+
+    // Asked before this turn and still waiting for the caller's answer
+    const current = this.activeAgents.get(callId);
+    const waitingAgent = current && current.state === 'RUNNING' && current.agent.state === 'WAITING_FOR_INFO'
+      ? current.agent
+      : null;
+
+    for (const request of requests) {
+      const active = this.activeAgents.get(callId);
+      let running = active && active.state === 'RUNNING';
+
+      if (running && active.agentType === request.agentType) {
+        active.agent.updateData(request.data || {});
+        continue;
+      }
+
+      const waiting = queue.find(({ agentType }) => agentType === request.agentType);
+      if (waiting) {
+        waiting.data = { ...waiting.data, ...request.data };
+        continue;
+      }
+
+      // The caller moved on instead of answering: the agent resumes after this
+      if (running && active.agent === waitingAgent && waitingAgent.state === 'WAITING_FOR_INFO') {
+        queue.unshift({ agentType: active.agentType, intent: active.intent, data: { ...active.agent.data } });
+        queued.push(active.agentType);
+        await this.setAsideAgent(callId);
+        running = false;
+      }
+
+      if (!running) {
+        const agent = await this.launchAgent(callId, request.agentType, request.data || {});
+        this.setAgentIntent(callId, agent, request.intent);
+        launched = request.agentType;
+        continue;
+      }
+
+      queue.push({ agentType: request.agentType, intent: request.intent || null, data: request.data || {} });
+      queued.push(request.agentType);
+      logger.info('Agent queued', {
+        callId,
+        agentType: request.agentType,
+        behind: active.agentType,
+        position: queue.length
+      });
+    }
+
+    if (queue.length > 0) {
+      this.agentQueues.set(callId, queue);
+    }
+
+    return { launched, queued, pending: this.getQueue(callId) };
+  }
+
+  /**
+   * Remember the intent an agent serves, for when it is set aside
+   * (an agent that already finished is left alone)
+   */
+  setAgentIntent(callId, agent, intent) {
+    const agentData = this.activeAgents.get(callId);
+    if (agentData && agentData.agent === agent) {
+      agentData.intent = intent || null;
+    }
+  }
+
+  /**
+   * Stop the active agent without dropping the queue (queueAgents puts it
+   * back in line with the data it gathered)
+   */
+  async setAsideAgent(callId) {
+    const agentData = this.activeAgents.get(callId);
+    if (!agentData) {
+      return;
+    }
+
+    logger.info('Agent set aside for a new request', { callId, agentType: agentData.agentType });
+
+    await agentData.agent.cancel();
+    this.activeAgents.delete(callId);
+
+    this.emit('agent_set_aside', { callId, agentType: agentData.agentType });
+  }
+
+  /**
+   * Agents waiting for the current one to finish
+   * @returns {Array<{agentType, intent}>}
+   */
+  getQueue(callId) {
+    return (this.agentQueues.get(callId) || []).map(({ agentType, intent }) => ({ agentType, intent }));
+  }
+
+  /**
+   * Drop the agents waiting on a call
+   */
+  clearQueue(callId) {
+    const queue = this.agentQueues.get(callId);
+    if (queue && queue.length > 0) {
+      logger.info('Agent queue cleared', { callId, dropped: queue.map(({ agentType }) => agentType) });
+    }
+    this.agentQueues.delete(callId);
+  }
+
+  /**
+   * Start the next queued agent. What the previous agent gathered (order id,
+   * phone...) carries over; the queued request's own entities win.
+   */
+  async launchNextAgent(callId, sharedData = {}) {
+    const queue = this.agentQueues.get(callId);
+    if (!queue || queue.length === 0) {
+      return null;
+    }
+
+    const next = queue.shift();
+    if (queue.length === 0) {
+      this.agentQueues.delete(callId);
+    }
+
+    logger.info('Launching queued agent', { callId, agentType: next.agentType, remaining: queue.length });
+
+    try {
+      const agent = await this.launchAgent(callId, next.agentType, { ...sharedData, ...next.data });
+      this.setAgentIntent(callId, agent, next.intent);
+      return agent;
+    } catch (error) {
+      logger.error('Error launching queued agent', { callId, agentType: next.agentType, error: error.message });
+      return this.launchNextAgent(callId, sharedData);
+    }
+  }
+
   /**
    * Setup event handlers for agent
    */
@@ -135,7 +304,25 @@ class AgentOrchestrator extends EventEmitter {
       this.emit('agent_needs_info', {
         callId,
         field: data.field,
-        prompt: data.prompt
+        prompt: data.prompt,
+        prompts: data.prompts || {},
+        invalid: Boolean(data.invalid)
+      });
+    });
+
+    // Agent waits for the customer to confirm an irreversible action
+    agent.on('need_confirmation', (data) => {
+      logger.info('Agent needs confirmation', {
+        callId,
+        agentType: agent.constructor.name,
+        fields: Object.keys(data.values || {})
+      });
+
+      this.emit('agent_needs_confirmation', {
+        callId,
+        agentType: agent.constructor.name,
+        summary: data.summary,
+        values: data.values || {}
       });
     });
 
@@ -150,6 +337,9 @@ class AgentOrchestrator extends EventEmitter {
         duration 
       });
 
+      // Only the call's current agent finishing moves the queue on
+      const finished = Boolean(agentData && agentData.agent === agent && agentData.state === 'RUNNING');
+
       if (agentData) {
         agentData.state = 'COMPLETED';
       }
@@ -160,6 +350,36 @@ class AgentOrchestrator extends EventEmitter {
         result,
         duration
       });
+
+      if (finished) {
+        this.launchNextAgent(callId, agent.data);
+      }
+    });
+
+    // Agent can't finish on its own - a human has to take the call
+    agent.on('need_escalation', (data = {}) => {
+      const { message, reason, escalation_type: escalationType, ...details } = data;
+
+      logger.info('Agent needs escalation', {
+        callId,
+        agentType: agent.constructor.name,
+        reason: reason || escalationType
+      });
+
+      const agentData = this.activeAgents.get(callId);
+      if (agentData) {
+        agentData.state = 'ESCALATED';
+      }
+      // A human takes over the call, and the rest of what the caller asked
+      this.clearQueue(callId);
+
+      this.emit('agent_needs_escalation', {
+        callId,
+        agentType: agent.constructor.name,
+        reason: reason || escalationType || null,
+        message: message || null,
+        details
+      });
     });
 
     // Agent error
@@ -171,6 +391,7 @@ class AgentOrchestrator extends EventEmitter {
       });
 
       const agentData = this.activeAgents.get(callId);
+      const finished = Boolean(agentData && agentData.agent === agent && agentData.state === 'RUNNING');
       if (agentData) {
         agentData.state = 'ERROR';
       }
@@ -180,6 +401,10 @@ class AgentOrchestrator extends EventEmitter {
         agentType: agent.constructor.name,
         error
       });
+
+      if (finished) {
+        this.launchNextAgent(callId, agent.data);
+      }
     });
   }
 
@@ -188,7 +413,7 @@ class AgentOrchestrator extends EventEmitter {
    */
   async executeAgent(callId, agent) {
     try {
-      await agent.execute();
+      await agent.start();
     } catch (error) {
       logger.error('Agent execution failed', { 
         callId,
@@ -212,7 +437,7 @@ class AgentOrchestrator extends EventEmitter {
     logger.info('Updating agent', { 
       callId,
       agentType: agentData.agent.constructor.name,
-      data 
+      fields: Object.keys(data || {})
     });
 
     agentData.agent.updateData(data);
@@ -220,10 +445,32 @@ class AgentOrchestrator extends EventEmitter {
   }
 
   /**
-   * Cancel active agent
+   * Pass the customer's yes/no to an agent waiting for confirmation
+   * @returns {boolean} true if the agent was waiting for it
+   */
+  confirmAgent(callId, confirmed) {
+    const agentData = this.activeAgents.get(callId);
+
+    if (!agentData) {
+      logger.warn('No active agent to confirm', { callId });
+      return false;
+    }
+
+    logger.info('Agent confirmation received', {
+      callId,
+      agentType: agentData.agent.constructor.name,
+      confirmed
+    });
+
+    return agentData.agent.confirm(confirmed);
+  }
+
+  /**
+   * Cancel active agent, and the ones queued behind it
    */
   async cancelAgent(callId) {
     const agentData = this.activeAgents.get(callId);
+    this.clearQueue(callId);
     
     if (!agentData) {
       logger.debug('No active agent to cancel', { callId });
@@ -281,6 +528,17 @@ class AgentOrchestrator extends EventEmitter {
     return this.activeAgents.has(callId);
   }
 
+  /**
+   * Check if an agent is still working (not finished, not waiting on the caller)
+   */
+  isAgentBusy(callId) {
+    const agentData = this.activeAgents.get(callId);
+    if (!agentData || agentData.state !== 'RUNNING') {
+      return false;
+    }
+    return agentData.agent.state === 'RUNNING' || agentData.agent.state === 'INITIALIZING';
+  }
+
   /**
    * Get all active agents
    */
@@ -318,6 +576,16 @@ class AgentOrchestrator extends EventEmitter {
     return stats;
   }
 
+  /**
+   * Stop the periodic cleanup (process exit, tests)
+   */
+  stopCleanup() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+  }
+
   /**
    * Cleanup completed agents
    */
@@ -338,6 +606,13 @@ class AgentOrchestrator extends EventEmitter {
         }
       }
     }
+
+    // Queues of calls whose agent is gone
+    for (const callId of this.agentQueues.keys()) {
+      if (!this.activeAgents.has(callId)) {
+        this.agentQueues.delete(callId);
+      }
+    }
   }
 }
 
@@ -345,7 +620,7 @@ class AgentOrchestrator extends EventEmitter {
 const orchestrator = new AgentOrchestrator();
 
 // Cleanup every 2 minutes
-setInterval(() => {
+orchestrator.cleanupInterval = setInterval(() => {
   orchestrator.cleanup();
 }, 2 * 60 * 1000);
 
@@ -0,0 +1,169 @@
+// agents/slotTypes.js - Value types for the fields agents collect
+/**
+ * An agent slot names a type from SLOT_TYPES. The type turns what the
+ * caller or the model gave into one canonical form (normalize), says
+ * whether that form is usable (validate), and carries the prompts to ask
+ * for the value - again when the last answer was not valid. Prompts are
+ * keyed by call language; 'en' is what the model is told, the others are
+ * lines it can say as they are.
+ *
+ * Fields without a type of their own (reason, new_address...) are 'text'.
+ */
+
+const resolve = require('../utils/moduleResolver');
+const { normalizeSpokenEntities } = require(resolve('utils/spokenEntityNormalizer'));
+
+// Invalid answers a slot takes before the agent hands the call to a human
+const DEFAULT_MAX_RETRIES = 2;
+
+// Spoken forms ("ek do teen", "at the rate") only when there are words to rewrite
+function normalizeSpoken(value) {
+  const text = String(value).trim();
+  return /\s/.test(text) ? normalizeSpokenEntities(text).replace(/\s+/g, '') : text;
+}
+
+function isRealDate(iso) {
+  const date = new Date(`${iso}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === iso;
+}
+
+const SLOT_TYPES = {
+  order_id: {
+    // "#1001", "SHOP-1234", "ek do teen chaar" - letters, digits and dashes, at least one digit
+    normalize: value => normalizeSpoken(value).replace(/^#/, ''),
+    validate: value => /^[a-z0-9-]{3,20}$/i.test(value) && /\d/.test(value),
+    prompts: {
+      en: 'Order ID required',
+      hi: 'Ji, apna order number batayiye please.'
+    },
+    invalidPrompts: {
+      en: 'That order ID does not look right (order IDs have 3 to 20 letters or digits)',
+      hi: 'Maaf kijiye, yeh order number sahi nahi lag raha. Kripya dobara batayiye.'
+    }
+  },
+
+  phone: {
+    // +91 / 0 prefixes dropped: 10 digit Indian mobile starting 6-9
+    normalize: value => {
+      const digits = normalizeSpoken(value).replace(/\D/g, '');
+      if (digits.length === 12 && digits.startsWith('91')) return digits.slice(2);
+      if (digits.length === 11 && digits.startsWith('0')) return digits.slice(1);
+      return digits;
+    },
+    validate: value => /^[6-9]\d{9}$/.test(value),
+    prompts: {
+      en: 'Phone number required',
+      hi: 'Ji, apna 10 digit mobile number batayiye please.'
+    },
+    invalidPrompts: {
+      en: 'That phone number is not a valid 10 digit Indian mobile number',
+      hi: 'Maaf kijiye, yeh mobile number poora nahi lag raha. Kripya apna 10 digit number dobara batayiye.'
+    }
+  },
+
+  pin_code: {
+    normalize: value => normalizeSpoken(value).replace(/\D/g, ''),
+    validate: value => /^[1-9]\d{5}$/.test(value),
+    prompts: {
+      en: 'PIN code required',
+      hi: 'Ji, apne area ka 6 digit PIN code batayiye please.'
+    },
+    invalidPrompts: {
+      en: 'That PIN code is not valid (6 digits, not starting with 0)',
+      hi: 'Maaf kijiye, yeh PIN code sahi nahi lag raha. Kripya 6 digit PIN code dobara batayiye.'
+    }
+  },
+
+  email: {
+    normalize: value => normalizeSpoken(value).toLowerCase(),
+    validate: value => /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/.test(value),
+    prompts: {
+      en: 'Email required',
+      hi: 'Ji, apna email address batayiye please.'
+    },
+    invalidPrompts: {
+      en: 'That email address is not valid',
+      hi: 'Maaf kijiye, yeh email address sahi nahi lag raha. Kripya dobara batayiye, jaise "ravi at the rate gmail dot com".'
+    }
+  },
+
+  amount: {
+    // "₹1,500", "das hazaar" -> 1500, 10000
+    normalize: value => {
+      const text = typeof value === 'number' ? String(value) : normalizeSpokenEntities(String(value));
+      const number = Number(text.replace(/₹|rs\.?|inr|,|\s/gi, ''));
+      return Number.isFinite(number) ? number : value;
+    },
+    validate: value => typeof value === 'number' && value > 0,
+    prompts: {
+      en: 'Amount required',
+      hi: 'Ji, kitne rupaye ki baat hai?'
+    },
+    invalidPrompts: {
+      en: 'That amount is not valid',
+      hi: 'Maaf kijiye, amount samajh nahi aaya. Kripya dobara batayiye kitne rupaye.'
+    }
+  },
+
+  date: {
+    // "paanch march", "5/3/2026" -> 2026-03-05
+    normalize: value => normalizeSpokenEntities(String(value).trim()),
+    validate: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && isRealDate(value),
+    prompts: {
+      en: 'Date required',
+      hi: 'Ji, kaunsi tareekh?'
+    },
+    invalidPrompts: {
+      en: 'That date is not valid',
+      hi: 'Maaf kijiye, tareekh samajh nahi aayi. Kripya dobara batayiye.'
+    }
+  },
+
+  // Anything given; strings must not be blank (lists and objects pass as they are)
+  text: {
+    normalize: value => (typeof value === 'string' ? value.trim() : value),
+    validate: value => typeof value !== 'string' || value.length > 0,
+    prompts: {},
+    invalidPrompts: {}
+  }
+};
+
+/**
+ * @param {string} type
+ * @returns {object} Slot type, 'text' for unknown types
+ */
+function getSlotType(type) {
+  return SLOT_TYPES[type] || SLOT_TYPES.text;
+}
+
+/**
+ * Type of a field declared only by name (requiredFields): the type of the
+ * same name if there is one
+ */
+function slotTypeForField(field) {
+  return SLOT_TYPES[field] ? field : 'text';
+}
+
+/**
+ * Normalize and validate one value
+ * @returns {{ valid: boolean, value: * }} Normalized value if valid, else the value given
+ */
+function checkSlotValue(type, value) {
+  if (value === undefined || value === null || value === '') {
+    return { valid: false, value };
+  }
+
+  const slotType = getSlotType(type);
+  const normalized = slotType.normalize(value);
+  return slotType.validate(normalized)
+    ? { valid: true, value: normalized }
+    : { valid: false, value };
+}
+
+module.exports = {
+  SLOT_TYPES,
+  DEFAULT_MAX_RETRIES,
+  getSlotType,
+  slotTypeForField,
+  checkSlotValue
+};
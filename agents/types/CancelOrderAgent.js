@@ -7,7 +7,9 @@ const ShopifyService = require('../../services/ShopifyService');
 class CancelOrderAgent extends BaseAgent {
   constructor(callId, initialData = {}) {
     super(callId, initialData);
-    this.requiredFields = ['order_id'];
+    this.defineSlots({
+      order_id: { type: 'order_id', confirm: true }
+    });
     this.agentType = 'CancelOrderAgent';
   }
 
@@ -19,6 +21,12 @@ class CancelOrderAgent extends BaseAgent {
         return;
       }
 
+      // A cancellation can't be undone - the customer confirms the order number first
+      if (this.needsConfirmation()) {
+        this.requestConfirmation(`cancel order ${this.data.order_id}`);
+        return;
+      }
+
       this.state = 'RUNNING';
       logger.info('Executing order cancellation', { callId: this.callId, orderId: this.data.order_id });
 
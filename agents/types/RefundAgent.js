@@ -7,7 +7,9 @@ const ShopifyService = require('../../services/ShopifyService');
 class RefundAgent extends BaseAgent {
   constructor(callId, initialData = {}) {
     super(callId, initialData);
-    this.requiredFields = ['order_id'];
+    this.defineSlots({
+      order_id: { type: 'order_id', confirm: true }
+    });
     this.agentType = 'RefundAgent';
   }
 
@@ -19,6 +21,12 @@ class RefundAgent extends BaseAgent {
         return;
       }
 
+      // Money goes out - the customer confirms the order number first
+      if (this.needsConfirmation()) {
+        this.requestConfirmation(`refund for order ${this.data.order_id}`);
+        return;
+      }
+
       this.state = 'RUNNING';
       logger.info('Executing refund request', { callId: this.callId, orderId: this.data.order_id });
 
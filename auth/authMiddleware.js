@@ -138,9 +138,51 @@ const optionalAuth = (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate a WebSocket upgrade request
+ * Browsers can't set headers on WebSocket connections, so the token may
+ * also come as ?token=... or the accessToken cookie.
+ * @returns {object} user (same shape as req.user)
+ * @throws {Error} if no token or the token is invalid
+ */
+const authenticateSocket = (req) => {
+  const url = new URL(req.url, 'http://localhost');
+  let token = url.searchParams.get('token');
+
+  const authHeader = req.headers.authorization;
+  if (!token && authHeader && authHeader.startsWith('Bearer ')) {
+    token = authHeader.substring(7);
+  }
+
+  if (!token && req.headers.cookie) {
+    const cookie = req.headers.cookie
+      .split(';')
+      .map(part => part.trim())
+      .find(part => part.startsWith('accessToken='));
+    if (cookie) {
+      token = decodeURIComponent(cookie.substring('accessToken='.length));
+    }
+  }
+
+  if (!token) {
+    throw new Error('Missing token');
+  }
+
+  const decoded = JWTUtils.verifyToken(token);
+
+  return {
+    id: decoded.userId,
+    email: decoded.email,
+    client_id: decoded.client_id,
+    role: decoded.role,
+    companyName: decoded.companyName
+  };
+};
+
 module.exports = {
   authMiddleware,
   enforceClientAccess,
   requireRole,
-  optionalAuth
+  optionalAuth,
+  authenticateSocket
 };
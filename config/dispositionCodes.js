@@ -0,0 +1,43 @@
+// config/dispositionCodes.js - Call outcome categories for post-call summaries
+/**
+ * Every call gets one disposition code when it is summarized. Clients
+ * replace this list with their own in clients.settings.dispositions
+ * ([{ code, label, description }]); the description tells the summary
+ * model when to pick the code.
+ *
+ * Codes the session sets itself when it ends the call (e.g. 'no_response'
+ * after dead air) are kept as they are.
+ */
+
+const DEFAULT_DISPOSITION_CODES = [
+  { code: 'resolved', label: 'Resolved', description: 'The customer\'s request was fully handled on the call' },
+  { code: 'information_provided', label: 'Information provided', description: 'The customer got the information they asked for (order status, tracking, product or policy details)' },
+  { code: 'refund_initiated', label: 'Refund initiated', description: 'A refund was started for the customer' },
+  { code: 'return_initiated', label: 'Return initiated', description: 'A return or pickup was booked' },
+  { code: 'order_cancelled', label: 'Order cancelled', description: 'An order was cancelled' },
+  { code: 'escalated', label: 'Escalated', description: 'The call was transferred to a team member' },
+  { code: 'callback_scheduled', label: 'Callback scheduled', description: 'The team will call the customer back or act on a ticket' },
+  { code: 'no_response', label: 'No response', description: 'The caller stayed silent' },
+  { code: 'unresolved', label: 'Unresolved', description: 'The call ended without the request being handled' }
+];
+
+const RESOLUTION_STATUSES = ['resolved', 'partially_resolved', 'unresolved', 'escalated'];
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+// Disposition for an agent that finished its work
+const AGENT_DISPOSITIONS = {
+  RefundAgent: 'refund_initiated',
+  ReturnAgent: 'return_initiated',
+  CancelOrderAgent: 'order_cancelled',
+  OrderLookupAgent: 'information_provided',
+  TrackingAgent: 'information_provided',
+  ProductInquiryAgent: 'information_provided'
+};
+
+module.exports = {
+  DEFAULT_DISPOSITION_CODES,
+  RESOLUTION_STATUSES,
+  SENTIMENTS,
+  AGENT_DISPOSITIONS
+};
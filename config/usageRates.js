@@ -0,0 +1,94 @@
+// config/usageRates.js - Rate card for metering call cost
+/**
+ * Model prices are USD per 1M tokens, as published by the provider;
+ * telephony prices are INR per started minute. Call costs are stored in
+ * INR (like calls.charge_amount), converted at usd_to_inr.
+ *
+ * A model is priced by the longest key its name starts with
+ * ('gpt-4o-mini-realtime-preview-2024-12-17' -> 'gpt-4o-mini-realtime'),
+ * else by 'default'.
+ *
+ * Override any part with USAGE_RATE_CARD (JSON, merged over these
+ * defaults) and the exchange rate with USD_TO_INR.
+ */
+
+const resolve = require('../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+
+const DEFAULT_RATE_CARD = {
+  currency: 'INR',
+  usd_to_inr: 83,
+  models: {
+    'gpt-4o-realtime': {
+      input_text: 5, cached_input_text: 2.5, input_audio: 40, cached_input_audio: 2.5, output_text: 20, output_audio: 80
+    },
+    'gpt-4o-mini-realtime': {
+      input_text: 0.6, cached_input_text: 0.3, input_audio: 10, cached_input_audio: 0.3, output_text: 2.4, output_audio: 20
+    },
+    'gpt-4o-audio-mini': {
+      input_text: 0.6, cached_input_text: 0.3, input_audio: 10, cached_input_audio: 0.3, output_text: 2.4, output_audio: 20
+    },
+    'gpt-realtime': {
+      input_text: 4, cached_input_text: 0.4, input_audio: 32, cached_input_audio: 0.4, output_text: 16, output_audio: 64
+    },
+    // Cascaded pipeline: LLM text, TTS audio reported as output audio tokens
+    'gpt-4o-mini': {
+      input_text: 0.15, cached_input_text: 0.075, input_audio: 0, cached_input_audio: 0, output_text: 0.6, output_audio: 15
+    },
+    default: {
+      input_text: 5, cached_input_text: 2.5, input_audio: 40, cached_input_audio: 2.5, output_text: 20, output_audio: 80
+    }
+  },
+  telephony_per_minute: {
+    exotel: 0.5,
+    twilio: 0.85,
+    default: 0.5
+  }
+};
+
+/**
+ * Rate card with environment overrides applied
+ * @returns {object} Same shape as DEFAULT_RATE_CARD
+ */
+function loadRateCard() {
+  let overrides = {};
+  if (process.env.USAGE_RATE_CARD) {
+    try {
+      overrides = JSON.parse(process.env.USAGE_RATE_CARD);
+    } catch (error) {
+      logger.warn('Invalid USAGE_RATE_CARD, using default rates', { error: error.message });
+      overrides = {};
+    }
+  }
+
+  const usdToInr = Number(process.env.USD_TO_INR || overrides.usd_to_inr);
+
+  return {
+    ...DEFAULT_RATE_CARD,
+    ...overrides,
+    usd_to_inr: usdToInr > 0 ? usdToInr : DEFAULT_RATE_CARD.usd_to_inr,
+    models: { ...DEFAULT_RATE_CARD.models, ...(overrides.models || {}) },
+    telephony_per_minute: { ...DEFAULT_RATE_CARD.telephony_per_minute, ...(overrides.telephony_per_minute || {}) }
+  };
+}
+
+/**
+ * Prices for a model
+ * @param {object} rateCard
+ * @param {string} model - Model name reported by the speech backend
+ * @returns {object} { key, rates }
+ */
+function getModelRates(rateCard, model) {
+  const name = String(model || '');
+  const key = Object.keys(rateCard.models)
+    .filter(prefix => prefix !== 'default' && name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0] || 'default';
+
+  return { key, rates: rateCard.models[key] };
+}
+
+module.exports = {
+  DEFAULT_RATE_CARD,
+  loadRateCard,
+  getModelRates
+};
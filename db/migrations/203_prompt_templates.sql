@@ -0,0 +1,54 @@
+-- ==========================================
+-- Per-client persona & prompt templates
+-- Migration: 203_prompt_templates.sql
+-- ==========================================
+
+-- ============================================
+-- 1. Versioned prompt templates
+-- ============================================
+-- kind: 'system_prompt' | 'greeting'
+-- sector: client sector, or 'default' for all sectors
+-- Every edit inserts a new version; rollback re-activates an older one.
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id SERIAL PRIMARY KEY,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  sector VARCHAR(50) NOT NULL DEFAULT 'default',
+  kind VARCHAR(30) NOT NULL,
+  version INT NOT NULL,
+  body TEXT NOT NULL,
+  variables JSONB DEFAULT '{}'::jsonb,  -- template-level variable overrides
+  is_active BOOLEAN DEFAULT false,
+  notes TEXT,
+  created_by UUID,
+  created_at TIMESTAMP DEFAULT NOW(),
+  activated_at TIMESTAMP,
+  UNIQUE(client_id, sector, kind, version)
+);
+
+-- Only one active version per client/sector/kind
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_active
+ON prompt_templates(client_id, sector, kind)
+WHERE is_active = true;
+
+CREATE INDEX IF NOT EXISTS idx_prompt_templates_client
+ON prompt_templates(client_id, kind);
+
+-- ============================================
+-- 2. Persona defaults on the client record
+-- ============================================
+-- settings.persona: { agent_name, language, voice, say_voice, greeting, vad: {...} }
+UPDATE clients
+SET settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object(
+  'persona', jsonb_build_object(
+    'agent_name', 'Caly',
+    'language', COALESCE(settings->'localization'->>'language', 'hi'),
+    'voice', 'alloy',
+    'say_voice', 'woman',
+    'vad', jsonb_build_object(
+      'threshold', 0.5,
+      'prefix_padding_ms', 300,
+      'silence_duration_ms', 700
+    )
+  )
+)
+WHERE settings IS NULL OR NOT (settings ? 'persona');
@@ -0,0 +1,22 @@
+-- ==========================================
+-- Per-call event log
+-- Migration: 204_call_events.sql
+-- ==========================================
+
+-- Timeline of things that happen during a live call that are not
+-- transcript lines or agent actions: STS reconnects, barge-ins, DTMF,
+-- transfers, reprompts...
+CREATE TABLE IF NOT EXISTS call_events (
+  id BIGSERIAL PRIMARY KEY,
+  call_id UUID NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+  client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+  event_type VARCHAR(50) NOT NULL,
+  payload JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_events_call
+ON call_events(call_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_call_events_type
+ON call_events(event_type, created_at);
@@ -0,0 +1,30 @@
+-- ==========================================
+-- Text-mode conversation simulator
+-- Migration: 205_simulator_runs.sql
+-- ==========================================
+
+-- Simulated calls run through the same session/agent pipeline as phone
+-- calls; flag them so analytics and billing can leave them out
+ALTER TABLE IF EXISTS calls ADD COLUMN IF NOT EXISTS is_simulated BOOLEAN DEFAULT FALSE;
+
+-- One typed conversation against a tenant's agents. Turns hold the
+-- user text, assistant replies and the intents/actions each turn
+-- triggered, so a run can be shared as a reproduction.
+CREATE TABLE IF NOT EXISTS simulator_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  call_id UUID REFERENCES calls(id) ON DELETE SET NULL,
+  created_by UUID,
+  share_token VARCHAR(64) UNIQUE NOT NULL,
+  title VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  backend VARCHAR(50),
+  intent_mode VARCHAR(20),
+  turns JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  ended_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_simulator_runs_client
+ON simulator_runs(client_id, created_at DESC);
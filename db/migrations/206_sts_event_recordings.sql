@@ -0,0 +1,36 @@
+-- ==========================================
+-- Per-call speech (STS) event recording
+-- Migration: 206_sts_event_recordings.sql
+-- ==========================================
+
+-- One row per recorded call. Audio deltas are not stored in Postgres:
+-- each direction is one raw pcm16 object in Wasabi, and events point
+-- into it by byte offset.
+CREATE TABLE IF NOT EXISTS sts_recordings (
+  call_id UUID PRIMARY KEY REFERENCES calls(id) ON DELETE CASCADE,
+  client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+  backend VARCHAR(50),
+  intent_mode VARCHAR(20),
+  audio_format JSONB DEFAULT '{}'::jsonb,
+  event_count INTEGER DEFAULT 0,
+  inbound_audio_url TEXT,
+  outbound_audio_url TEXT,
+  audio_truncated BOOLEAN DEFAULT FALSE,
+  started_at TIMESTAMP DEFAULT NOW(),
+  ended_at TIMESTAMP
+);
+
+-- Ordered client/server event stream (seq is per call)
+CREATE TABLE IF NOT EXISTS sts_events (
+  id BIGSERIAL PRIMARY KEY,
+  call_id UUID NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+  seq INTEGER NOT NULL,
+  offset_ms INTEGER NOT NULL,
+  direction VARCHAR(10) NOT NULL, -- client | server | meta
+  event_type VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+  UNIQUE (call_id, seq)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sts_recordings_client
+ON sts_recordings(client_id, started_at DESC);
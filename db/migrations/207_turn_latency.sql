@@ -0,0 +1,35 @@
+-- ==========================================
+-- Per-turn latency of voice calls
+-- Migration: 207_turn_latency.sql
+-- ==========================================
+
+-- One row per caller turn. Stage timestamps are wall-clock; the *_ms
+-- columns are measured from the end of caller speech (or the transcript
+-- when no speech_stopped was seen). response_ms is how long the caller
+-- waited for the first byte of audio.
+CREATE TABLE IF NOT EXISTS call_turn_latency (
+  id BIGSERIAL PRIMARY KEY,
+  call_id UUID NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+  client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+  turn_index INTEGER NOT NULL,
+  provider VARCHAR(50),
+  agent_type VARCHAR(100),
+  speech_stopped_at TIMESTAMP,
+  transcript_completed_at TIMESTAMP,
+  intent_detected_at TIMESTAMP,
+  agent_launched_at TIMESTAMP,
+  agent_completed_at TIMESTAMP,
+  first_audio_at TIMESTAMP,
+  transcript_ms INTEGER,
+  intent_ms INTEGER,
+  agent_ms INTEGER,
+  response_ms INTEGER,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(call_id, turn_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_turn_latency_client
+ON call_turn_latency(client_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_call_turn_latency_call
+ON call_turn_latency(call_id, turn_index);
@@ -0,0 +1,35 @@
+-- ==========================================
+-- Warm transfers to human team members
+-- Migration: 208_call_transfers.sql
+-- ==========================================
+
+-- Number a live call is transferred to
+ALTER TABLE IF EXISTS team_members ADD COLUMN IF NOT EXISTS phone_number VARCHAR(20);
+
+-- One row per escalation attempt. screen_pop is what the team member sees
+-- before the call reaches them (caller, intents, entities, summary);
+-- fallback records what the caller got instead when the transfer failed.
+CREATE TABLE IF NOT EXISTS call_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  call_id UUID NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+  client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+  team_id UUID,
+  team_member_id UUID,
+  user_id UUID,
+  target_number VARCHAR(20),
+  provider VARCHAR(50),
+  reason VARCHAR(100),
+  agent_type VARCHAR(100),
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'transferred', 'failed')),
+  fallback VARCHAR(20) CHECK (fallback IN ('voicemail', 'callback')),
+  screen_pop JSONB DEFAULT '{}'::jsonb,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_transfers_call
+ON call_transfers(call_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_call_transfers_user
+ON call_transfers(user_id, status, created_at);
@@ -0,0 +1,10 @@
+-- ==========================================
+-- Call disposition (how the call ended)
+-- Migration: 209_call_disposition.sql
+-- ==========================================
+
+-- Set by the session when it ends the call itself, e.g. 'no_response'
+-- after the caller stayed silent through every reprompt
+ALTER TABLE IF EXISTS calls ADD COLUMN IF NOT EXISTS disposition VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_calls_client_disposition ON calls(client_id, disposition);
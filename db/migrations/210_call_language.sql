@@ -0,0 +1,10 @@
+-- ==========================================
+-- Call language (detected from the caller's speech)
+-- Migration: 210_call_language.sql
+-- ==========================================
+
+-- Language the call ended in (hi, en, ta, bn, mr); starts as the client's
+-- default and follows the caller when they speak another allowed language
+ALTER TABLE IF EXISTS calls ADD COLUMN IF NOT EXISTS language VARCHAR(10);
+
+CREATE INDEX IF NOT EXISTS idx_calls_client_language ON calls(client_id, language);
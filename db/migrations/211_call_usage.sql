@@ -0,0 +1,28 @@
+-- ==========================================
+-- Metered call cost (model tokens + telephony minutes)
+-- Migration: 211_call_usage.sql
+-- ==========================================
+
+-- Real cost of the call in INR, priced from config/usageRates
+ALTER TABLE IF EXISTS calls ADD COLUMN IF NOT EXISTS call_cost DECIMAL(12, 4);
+
+-- What the call was charged (total_amount) next to what it cost
+ALTER TABLE IF EXISTS call_charges
+  ADD COLUMN IF NOT EXISTS model VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS provider VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS telephony_minutes INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS ai_cost DECIMAL(12, 4) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS telephony_cost DECIMAL(12, 4) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS total_cost DECIMAL(12, 4) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS usage JSONB DEFAULT '{}'::jsonb;
+
+-- One charge per call (recorded when the session ends)
+DROP INDEX IF EXISTS idx_call_charges_call_id;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_call_charges_call_id ON call_charges(call_id);
+
+ALTER TABLE IF EXISTS call_billing
+  ADD COLUMN IF NOT EXISTS ai_cost DECIMAL(12, 4) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS telephony_cost DECIMAL(12, 4) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS total_cost DECIMAL(12, 4) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS input_tokens INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS output_tokens INTEGER DEFAULT 0;
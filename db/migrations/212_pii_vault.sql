@@ -0,0 +1,35 @@
+-- ==========================================
+-- PII redaction vault
+-- Migration: 212_pii_vault.sql
+-- ==========================================
+
+-- Originals of values redacted from transcripts and logs, encrypted with
+-- ENCRYPTION_KEY. token is the id in the placeholder left in the text
+-- ('[AADHAAR#3f9a1c2e]').
+CREATE TABLE IF NOT EXISTS pii_vault (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  token VARCHAR(32) NOT NULL UNIQUE,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  call_id UUID REFERENCES calls(id) ON DELETE CASCADE,
+  pii_type VARCHAR(20) NOT NULL,
+  value_encrypted TEXT NOT NULL,
+  source VARCHAR(50),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pii_vault_call
+ON pii_vault(call_id, client_id);
+
+-- Every reveal: who, which call, which tokens and the stated reason
+CREATE TABLE IF NOT EXISTS pii_vault_access (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  call_id UUID REFERENCES calls(id) ON DELETE SET NULL,
+  user_id UUID,
+  reason TEXT NOT NULL,
+  tokens TEXT[] DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pii_vault_access_client
+ON pii_vault_access(client_id, created_at);
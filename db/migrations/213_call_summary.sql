@@ -0,0 +1,19 @@
+-- ==========================================
+-- Post-call summary and disposition
+-- Migration: 213_call_summary.sql
+-- ==========================================
+
+-- Written by services/callSummaryService after the call ends:
+-- { reason, actions_taken, resolution_status, follow_ups, sentiment,
+--   disposition, source, model, generated_at }
+ALTER TABLE IF EXISTS calls ADD COLUMN IF NOT EXISTS summary JSONB;
+
+-- resolved / partially_resolved / unresolved / escalated
+ALTER TABLE IF EXISTS calls ADD COLUMN IF NOT EXISTS resolution_status VARCHAR(20);
+
+-- Customer sentiment: positive / neutral / negative
+ALTER TABLE IF EXISTS calls ADD COLUMN IF NOT EXISTS sentiment VARCHAR(20);
+
+-- Call search filters
+CREATE INDEX IF NOT EXISTS idx_calls_client_resolution ON calls(client_id, resolution_status);
+CREATE INDEX IF NOT EXISTS idx_calls_client_sentiment ON calls(client_id, sentiment);
@@ -0,0 +1,22 @@
+-- ==========================================
+-- Labeled caller transcripts for the intent classifier
+-- Migration: 214_intent_training_examples.sql
+-- ==========================================
+
+-- One caller turn and the intent it should have been given, labeled by the
+-- client's team (usually from a reviewed call). Trained together with the
+-- sector's sector_intent_patterns examples by services/intentModelService.
+CREATE TABLE IF NOT EXISTS intent_training_examples (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  sector VARCHAR(50) NOT NULL,
+  language VARCHAR(10),
+  text TEXT NOT NULL,
+  intent VARCHAR(100) NOT NULL,
+  call_id UUID REFERENCES calls(id) ON DELETE SET NULL,
+  labeled_by UUID,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_intent_training_examples_client_sector
+ON intent_training_examples(client_id, sector);
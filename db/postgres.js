@@ -196,6 +196,468 @@ const entities = {
   }
 };
 
+// Call event operations (reconnects, barge-ins, DTMF, transfers...)
+const callEvents = {
+  // Record event on a call
+  create: async (data) => {
+    const { call_id, client_id, event_type, payload } = data;
+    const result = await query(
+      `INSERT INTO call_events (call_id, client_id, event_type, payload) 
+       VALUES ($1, $2, $3, $4) 
+       RETURNING *`,
+      [call_id, client_id || null, event_type, JSON.stringify(payload || {})]
+    );
+    return result.rows[0];
+  },
+
+  // Get events by call
+  getByCall: async (callId) => {
+    const result = await query(
+      `SELECT * FROM call_events WHERE call_id = $1 ORDER BY created_at, id`,
+      [callId]
+    );
+    return result.rows;
+  }
+};
+
+// Per-turn latency of voice calls
+const turnLatency = {
+  // Record one finished turn
+  create: async (data) => {
+    const {
+      call_id, client_id, turn_index, provider, agent_type,
+      speech_stopped_at, transcript_completed_at, intent_detected_at,
+      agent_launched_at, agent_completed_at, first_audio_at,
+      transcript_ms, intent_ms, agent_ms, response_ms
+    } = data;
+    const result = await query(
+      `INSERT INTO call_turn_latency (
+         call_id, client_id, turn_index, provider, agent_type,
+         speech_stopped_at, transcript_completed_at, intent_detected_at,
+         agent_launched_at, agent_completed_at, first_audio_at,
+         transcript_ms, intent_ms, agent_ms, response_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       ON CONFLICT (call_id, turn_index) DO NOTHING
+       RETURNING *`,
+      [
+        call_id, client_id || null, turn_index, provider || null, agent_type || null,
+        speech_stopped_at, transcript_completed_at, intent_detected_at,
+        agent_launched_at, agent_completed_at, first_audio_at,
+        transcript_ms, intent_ms, agent_ms, response_ms
+      ]
+    );
+    return result.rows[0];
+  },
+
+  // Get turns by call
+  getByCall: async (callId) => {
+    const result = await query(
+      'SELECT * FROM call_turn_latency WHERE call_id = $1 ORDER BY turn_index',
+      [callId]
+    );
+    return result.rows;
+  },
+
+  // p50/p95 per stage for a client, grouped by agent_type or provider (or overall)
+  getPercentiles: async (clientId, startDate, endDate, groupBy = null) => {
+    const groupColumn = { agent: 'agent_type', provider: 'provider' }[groupBy] || null;
+    const stages = ['transcript_ms', 'intent_ms', 'agent_ms', 'response_ms']
+      .map(stage => `
+         ROUND(PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ${stage})::NUMERIC, 0) AS ${stage}_p50,
+         ROUND(PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY ${stage})::NUMERIC, 0) AS ${stage}_p95`)
+      .join(',');
+
+    const result = await query(
+      `SELECT ${groupColumn ? `${groupColumn} AS group_key,` : ''}
+         COUNT(*)::INT AS turns,${stages}
+       FROM call_turn_latency
+       WHERE client_id = $1 AND created_at::DATE BETWEEN $2 AND $3
+       ${groupColumn ? `GROUP BY ${groupColumn} ORDER BY turns DESC` : ''}`,
+      [clientId, startDate, endDate]
+    );
+    return result.rows;
+  }
+};
+
+// Recorded speech (STS) event streams, for debugging and replay
+const stsRecordings = {
+  // Start (or restart) a recording
+  create: async (data) => {
+    const { call_id, client_id, backend, intent_mode, audio_format } = data;
+    const result = await query(
+      `INSERT INTO sts_recordings (call_id, client_id, backend, intent_mode, audio_format)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (call_id) DO UPDATE SET backend = EXCLUDED.backend, intent_mode = EXCLUDED.intent_mode
+       RETURNING *`,
+      [call_id, client_id || null, backend || null, intent_mode || null, JSON.stringify(audio_format || {})]
+    );
+    return result.rows[0];
+  },
+
+  // Append a batch of events (one multi-row insert)
+  appendEvents: async (callId, events) => {
+    if (events.length === 0) {
+      return 0;
+    }
+
+    const values = [];
+    const rows = events.map((event, index) => {
+      const base = index * 6;
+      values.push(callId, event.seq, event.offset_ms, event.direction, event.event_type, JSON.stringify(event.payload));
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6})`;
+    });
+
+    const result = await query(
+      `INSERT INTO sts_events (call_id, seq, offset_ms, direction, event_type, payload)
+       VALUES ${rows.join(', ')}
+       ON CONFLICT (call_id, seq) DO NOTHING`,
+      values
+    );
+    return result.rowCount;
+  },
+
+  // Close the recording with audio locations
+  finish: async (callId, data) => {
+    const { event_count, inbound_audio_url, outbound_audio_url, audio_truncated } = data;
+    const result = await query(
+      `UPDATE sts_recordings
+       SET event_count = $2, inbound_audio_url = $3, outbound_audio_url = $4,
+           audio_truncated = $5, ended_at = NOW()
+       WHERE call_id = $1
+       RETURNING *`,
+      [callId, event_count, inbound_audio_url || null, outbound_audio_url || null, Boolean(audio_truncated)]
+    );
+    return result.rows[0];
+  },
+
+  // Get recording by call
+  getByCall: async (callId) => {
+    const result = await query('SELECT * FROM sts_recordings WHERE call_id = $1', [callId]);
+    return result.rows[0];
+  },
+
+  // Get ordered events by call
+  getEvents: async (callId) => {
+    const result = await query(
+      `SELECT seq, offset_ms, direction, event_type, payload
+       FROM sts_events WHERE call_id = $1 ORDER BY seq`,
+      [callId]
+    );
+    return result.rows;
+  }
+};
+
+// Text-mode simulator runs (synthetic calls typed against the agents)
+const simulatorRuns = {
+  // Create run for a synthetic call
+  create: async (data) => {
+    const { client_id, call_id, created_by, share_token, title, backend, intent_mode } = data;
+    const result = await query(
+      `INSERT INTO simulator_runs (client_id, call_id, created_by, share_token, title, backend, intent_mode)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [client_id, call_id, created_by || null, share_token, title || null, backend || null, intent_mode || null]
+    );
+    return result.rows[0];
+  },
+
+  // Append one turn to the run
+  appendTurn: async (id, turn) => {
+    const result = await query(
+      `UPDATE simulator_runs
+       SET turns = turns || $2::jsonb, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, JSON.stringify([turn])]
+    );
+    return result.rows[0];
+  },
+
+  // Mark run ended
+  end: async (id, status = 'ended') => {
+    const result = await query(
+      `UPDATE simulator_runs
+       SET status = $2, ended_at = COALESCE(ended_at, NOW()), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, status]
+    );
+    return result.rows[0];
+  },
+
+  // Get run scoped to a client
+  getById: async (id, clientId) => {
+    const result = await query(
+      'SELECT * FROM simulator_runs WHERE id = $1 AND client_id = $2',
+      [id, clientId]
+    );
+    return result.rows[0];
+  },
+
+  // Get run by share token (any tenant holding the link)
+  // Shared run, only within the client that owns it
+  getByShareToken: async (shareToken, clientId) => {
+    const result = await query(
+      'SELECT * FROM simulator_runs WHERE share_token = $1 AND client_id = $2',
+      [shareToken, clientId]
+    );
+    return result.rows[0];
+  },
+
+  // List runs by client (without turns)
+  getByClient: async (clientId, limit = 50, offset = 0) => {
+    const result = await query(
+      `SELECT id, call_id, created_by, share_token, title, status, backend, intent_mode,
+              jsonb_array_length(turns) AS turn_count, created_at, updated_at, ended_at
+       FROM simulator_runs
+       WHERE client_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [clientId, limit, offset]
+    );
+    return result.rows;
+  }
+};
+
+// Warm transfers of live calls to human team members
+const callTransfers = {
+  // Record an escalation attempt (with the screen pop sent to the team member)
+  create: async (data) => {
+    const {
+      call_id, client_id, team_id, team_member_id, user_id,
+      target_number, reason, agent_type, screen_pop
+    } = data;
+    const result = await query(
+      `INSERT INTO call_transfers (
+         call_id, client_id, team_id, team_member_id, user_id,
+         target_number, reason, agent_type, screen_pop)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        call_id, client_id || null, team_id || null, team_member_id || null, user_id || null,
+        target_number || null, reason || null, agent_type || null, JSON.stringify(screen_pop || {})
+      ]
+    );
+    return result.rows[0];
+  },
+
+  // Update status (transferred / failed) with provider, fallback or error
+  updateStatus: async (id, status, fields = {}) => {
+    const result = await query(
+      `UPDATE call_transfers
+       SET status = $2,
+           provider = COALESCE($3, provider),
+           fallback = COALESCE($4, fallback),
+           error = COALESCE($5, error),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, status, fields.provider || null, fields.fallback || null, fields.error || null]
+    );
+    return result.rows[0];
+  },
+
+  // Get transfer scoped to a client
+  getById: async (id, clientId) => {
+    const result = await query(
+      'SELECT * FROM call_transfers WHERE id = $1 AND client_id = $2',
+      [id, clientId]
+    );
+    return result.rows[0];
+  },
+
+  // Screen pops for a team member's user: transfers of the last few minutes
+  getRecentForUser: async (userId, clientId, minutes = 10) => {
+    const result = await query(
+      `SELECT * FROM call_transfers
+       WHERE user_id = $1 AND client_id = $2 AND status IN ('pending', 'transferred')
+         AND created_at > NOW() - ($3 || ' minutes')::INTERVAL
+       ORDER BY created_at DESC`,
+      [userId, clientId, String(minutes)]
+    );
+    return result.rows;
+  },
+
+  // Number a call is being transferred to, by provider call SID
+  getTargetByCallSid: async (callSid) => {
+    const result = await query(
+      `SELECT ct.* FROM call_transfers ct
+       JOIN calls c ON c.id = ct.call_id
+       WHERE c.call_sid = $1 AND ct.status IN ('pending', 'transferred')
+       ORDER BY ct.created_at DESC
+       LIMIT 1`,
+      [callSid]
+    );
+    return result.rows[0];
+  }
+};
+
+// Charge and metered cost of finished calls
+const callCharges = {
+  // Record a call's charge, token usage and cost in call_charges and call_billing
+  // (a second record of the same call replaces the first)
+  record: async (data) => {
+    const {
+      call_id, client_id, sector, start_time, end_time, duration_seconds,
+      rate_per_minute, total_amount, status, escalated, usage
+    } = data;
+
+    const charge = await query(
+      `INSERT INTO call_charges (
+         call_id, client_id, duration_seconds, rate_per_minute, total_amount,
+         model, provider, telephony_minutes, ai_cost, telephony_cost, total_cost, usage)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (call_id) DO UPDATE SET
+         duration_seconds = EXCLUDED.duration_seconds,
+         total_amount = EXCLUDED.total_amount,
+         provider = EXCLUDED.provider,
+         telephony_minutes = EXCLUDED.telephony_minutes,
+         ai_cost = EXCLUDED.ai_cost,
+         telephony_cost = EXCLUDED.telephony_cost,
+         total_cost = EXCLUDED.total_cost,
+         usage = EXCLUDED.usage
+       RETURNING *`,
+      [
+        call_id, client_id, duration_seconds, rate_per_minute, total_amount,
+        usage.model || null, usage.provider || null, usage.telephony_minutes,
+        usage.ai_cost, usage.telephony_cost, usage.total_cost, JSON.stringify(usage)
+      ]
+    );
+
+    await query(
+      `INSERT INTO call_billing (
+         call_id, client_id, sector, start_time, end_time, duration_sec, charge_amount,
+         status, escalated_to_human, provider, ai_cost, telephony_cost, total_cost,
+         input_tokens, output_tokens)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       ON CONFLICT (call_id) DO UPDATE SET
+         end_time = EXCLUDED.end_time,
+         duration_sec = EXCLUDED.duration_sec,
+         charge_amount = EXCLUDED.charge_amount,
+         status = EXCLUDED.status,
+         escalated_to_human = EXCLUDED.escalated_to_human,
+         provider = COALESCE(EXCLUDED.provider, call_billing.provider),
+         ai_cost = EXCLUDED.ai_cost,
+         telephony_cost = EXCLUDED.telephony_cost,
+         total_cost = EXCLUDED.total_cost,
+         input_tokens = EXCLUDED.input_tokens,
+         output_tokens = EXCLUDED.output_tokens,
+         updated_at = NOW()`,
+      [
+        call_id, client_id, sector || null, start_time, end_time, duration_seconds, total_amount,
+        status || 'completed', Boolean(escalated), usage.provider || null,
+        usage.ai_cost, usage.telephony_cost, usage.total_cost,
+        usage.tokens.input_text + usage.tokens.cached_input_text + usage.tokens.input_audio + usage.tokens.cached_input_audio,
+        usage.tokens.output_text + usage.tokens.output_audio
+      ]
+    );
+
+    return charge.rows[0];
+  },
+
+  // Get charge by call
+  getByCall: async (callId) => {
+    const result = await query('SELECT * FROM call_charges WHERE call_id = $1', [callId]);
+    return result.rows[0];
+  }
+};
+
+// Encrypted originals of redacted PII, by placeholder token
+const piiVault = {
+  // Store encrypted originals of redacted values (one row per placeholder token)
+  store: async (entries) => {
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const values = [];
+    const rows = entries.map((entry, i) => {
+      values.push(entry.token, entry.client_id, entry.call_id || null, entry.pii_type, entry.value_encrypted, entry.source || null);
+      const base = i * 6;
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6})`;
+    });
+
+    const result = await query(
+      `INSERT INTO pii_vault (token, client_id, call_id, pii_type, value_encrypted, source)
+       VALUES ${rows.join(', ')}
+       RETURNING id, token`,
+      values
+    );
+    return result.rows;
+  },
+
+  // Vaulted values of a call (optionally only some tokens), still encrypted
+  getByCall: async (callId, clientId, tokens = null) => {
+    const params = [callId, clientId];
+    let sql = 'SELECT * FROM pii_vault WHERE call_id = $1 AND client_id = $2';
+    if (tokens && tokens.length > 0) {
+      params.push(tokens);
+      sql += ' AND token = ANY($3)';
+    }
+    const result = await query(`${sql} ORDER BY created_at`, params);
+    return result.rows;
+  },
+
+  // Who revealed which values and why
+  logAccess: async (data) => {
+    const { client_id, call_id, user_id, reason, tokens } = data;
+    const result = await query(
+      `INSERT INTO pii_vault_access (client_id, call_id, user_id, reason, tokens)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [client_id, call_id, user_id, reason, tokens]
+    );
+    return result.rows[0];
+  },
+
+  getAccessLog: async (clientId, callId = null) => {
+    const params = [clientId];
+    let sql = 'SELECT * FROM pii_vault_access WHERE client_id = $1';
+    if (callId) {
+      params.push(callId);
+      sql += ' AND call_id = $2';
+    }
+    const result = await query(`${sql} ORDER BY created_at DESC LIMIT 200`, params);
+    return result.rows;
+  }
+};
+
+// Training data of the intent classifier
+const intentExamples = {
+  // Label a caller transcript with its intent
+  create: async (data) => {
+    const { client_id, sector, language, text, intent, call_id, labeled_by } = data;
+    const result = await query(
+      `INSERT INTO intent_training_examples (client_id, sector, language, text, intent, call_id, labeled_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [client_id, sector, language || null, text, intent, call_id || null, labeled_by || null]
+    );
+    return result.rows[0];
+  },
+
+  // A client's labeled transcripts for a sector
+  getByClient: async (clientId, sector) => {
+    const result = await query(
+      `SELECT * FROM intent_training_examples
+       WHERE client_id = $1 AND sector = $2
+       ORDER BY created_at DESC`,
+      [clientId, sector]
+    );
+    return result.rows;
+  },
+
+  // Example phrases of the sector's intent patterns (all languages)
+  getPatternExamples: async (sector) => {
+    const result = await query(
+      `SELECT intent, examples FROM sector_intent_patterns
+       WHERE sector = $1 AND examples IS NOT NULL`,
+      [sector]
+    );
+    return result.rows;
+  }
+};
+
 // Client operations
 const clients = {
   // Get client by ID
@@ -233,6 +695,14 @@ module.exports = {
   calls,
   actions,
   entities,
+  callEvents,
+  turnLatency,
+  stsRecordings,
+  simulatorRuns,
+  callTransfers,
+  callCharges,
+  piiVault,
+  intentExamples,
   clients,
   auditLog,
   close,
@@ -46,6 +46,7 @@ class RateLimitStore {
     this.cleanupInterval = setInterval(() => {
       this.cleanup();
     }, 60000); // Cleanup every minute
+    this.cleanupInterval.unref(); // never what keeps the process (or a test run) alive
   }
 
   /**
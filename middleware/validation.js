@@ -271,6 +271,9 @@ const errorMessages = {
   },
   language: {
     helper: 'Default language for communications'
+  },
+  languages: {
+    helper: 'Languages calls can switch to when the caller speaks them'
   }
 };
 
@@ -866,6 +869,10 @@ const commonSchemas = {
       type: 'string',
       required: false,
     },
+    languages: {
+      type: 'array',
+      required: false,
+    },
     enableWhatsApp: {
       type: 'boolean',
       required: false,
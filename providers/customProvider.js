@@ -137,6 +137,30 @@ class CustomProvider {
     }
   }
 
+  /**
+   * Transfer a live call to another number
+   */
+  async transferCall(callId, toNumber, credentials) {
+    try {
+      const response = await axios.post(
+        `${credentials.provider_url}/api/calls/${callId}/transfer`,
+        { to: toNumber },
+        {
+          headers: {
+            'Authorization': `Bearer ${credentials.api_key}`,
+            'X-Webhook-Secret': credentials.webhook_secret || ''
+          }
+        }
+      );
+
+      logger.info('Call transferred via custom provider', { callId });
+      return { success: true, provider: 'custom', end_stream: Boolean(response.data?.end_stream) };
+    } catch (error) {
+      logger.error('Error transferring call', { error: error.message });
+      throw new Error(`Custom provider call transfer failed: ${error.message}`);
+    }
+  }
+
   /**
    * Get call details
    */
@@ -133,6 +133,16 @@ class ExotelProvider {
     }
   }
 
+  /**
+   * Transfer a live call. Exotel cannot redirect a call that is streaming,
+   * so the stream is ended and the call flow moves on to its Connect applet,
+   * which fetches the number from /webhooks/exotel/transfer-target.
+   */
+  async transferCall(callId, toNumber, credentials) {
+    logger.info('Call transfer via Exotel flow', { callId });
+    return { success: true, provider: 'exotel', end_stream: true };
+  }
+
   /**
    * Get call details
    */
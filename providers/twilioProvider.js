@@ -129,6 +129,27 @@ class TwilioProvider {
     }
   }
 
+  /**
+   * Transfer a live call: new TwiML dials the number, which also ends the
+   * media stream of the current call
+   */
+  async transferCall(callId, toNumber, credentials) {
+    try {
+      const client = this.initializeClient(credentials);
+
+      const response = new twilio.twiml.VoiceResponse();
+      response.dial(toNumber);
+
+      await client.calls(callId).update({ twiml: response.toString() });
+
+      logger.info('Call transferred via Twilio', { callId });
+      return { success: true, provider: 'twilio', end_stream: false };
+    } catch (error) {
+      logger.error('Error transferring call', { error: error.message });
+      throw new Error(`Twilio call transfer failed: ${error.message}`);
+    }
+  }
+
   /**
    * Get call details
    */
@@ -0,0 +1,64 @@
+// realtime/audio/AudioChunker.js - Fixed-size framing for outbound telephony audio
+/**
+ * Model audio arrives in deltas of arbitrary size; providers expect
+ * evenly-sized frames (Exotel wants multiples of 320 bytes). Buffers bytes
+ * and hands out whole frames; flush() pads the tail with silence.
+ */
+class AudioChunker {
+  /**
+   * @param {number} frameBytes - Frame size in bytes
+   * @param {number} silenceByte - Byte value for silence in the target encoding
+   */
+  constructor(frameBytes, silenceByte = 0x00) {
+    if (!Number.isInteger(frameBytes) || frameBytes <= 0) {
+      throw new Error(`Invalid frame size: ${frameBytes}`);
+    }
+
+    this.frameBytes = frameBytes;
+    this.silenceByte = silenceByte;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  get bufferedBytes() {
+    return this.buffer.length;
+  }
+
+  /**
+   * @param {Buffer} audio
+   * @returns {Buffer[]} Complete frames
+   */
+  push(audio) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, audio]) : Buffer.from(audio);
+
+    const frames = [];
+    let offset = 0;
+    while (this.buffer.length - offset >= this.frameBytes) {
+      frames.push(this.buffer.subarray(offset, offset + this.frameBytes));
+      offset += this.frameBytes;
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+    return frames;
+  }
+
+  /**
+   * Emit whatever is buffered as one silence-padded frame
+   * @returns {Buffer|null}
+   */
+  flush() {
+    if (this.buffer.length === 0) {
+      return null;
+    }
+
+    const frame = Buffer.alloc(this.frameBytes, this.silenceByte);
+    this.buffer.copy(frame);
+    this.buffer = Buffer.alloc(0);
+    return frame;
+  }
+
+  reset() {
+    this.buffer = Buffer.alloc(0);
+  }
+}
+
+module.exports = AudioChunker;
@@ -0,0 +1,76 @@
+// realtime/audio/AudioTranscoder.js - Streaming decode -> resample -> encode
+const g711 = require('./g711');
+const Resampler = require('./Resampler');
+const { SUPPORTED_ENCODINGS } = require('./formats');
+
+const DECODERS = {
+  pcm16: (audio) => audio,
+  mulaw: g711.mulawToPcm16,
+  alaw: g711.alawToPcm16
+};
+
+const ENCODERS = {
+  pcm16: (pcm) => pcm,
+  mulaw: g711.pcm16ToMulaw,
+  alaw: g711.pcm16ToAlaw
+};
+
+/**
+ * Converts a stream of audio chunks from one format to another.
+ * Chunks may arrive with any size - a PCM16 chunk that ends mid-sample has
+ * its odd byte carried into the next chunk instead of shifting every
+ * following sample (which is what turns speech into noise).
+ */
+class AudioTranscoder {
+  /**
+   * @param {object} from - { encoding: pcm16|mulaw|alaw, sampleRate }
+   * @param {object} to - { encoding: pcm16|mulaw|alaw, sampleRate }
+   */
+  constructor(from, to) {
+    for (const format of [from, to]) {
+      if (!SUPPORTED_ENCODINGS.includes(format.encoding)) {
+        throw new Error(`Unsupported audio encoding: ${format.encoding}`);
+      }
+    }
+
+    this.from = { encoding: from.encoding, sampleRate: from.sampleRate };
+    this.to = { encoding: to.encoding, sampleRate: to.sampleRate };
+    this.passthrough = from.encoding === to.encoding && from.sampleRate === to.sampleRate;
+    this.resampler = new Resampler(from.sampleRate, to.sampleRate);
+    this.carry = null;
+  }
+
+  /**
+   * @param {Buffer} audio - Chunk in the source format
+   * @returns {Buffer} Chunk in the target format (may be empty)
+   */
+  process(audio) {
+    let input = Buffer.from(audio);
+
+    if (this.from.encoding === 'pcm16') {
+      if (this.carry) {
+        input = Buffer.concat([this.carry, input]);
+        this.carry = null;
+      }
+      if (input.length % 2 === 1) {
+        this.carry = input.subarray(input.length - 1);
+        input = input.subarray(0, input.length - 1);
+      }
+    }
+
+    if (this.passthrough) {
+      return input;
+    }
+
+    const pcm = DECODERS[this.from.encoding](input);
+    const resampled = this.resampler.process(pcm);
+    return ENCODERS[this.to.encoding](resampled);
+  }
+
+  reset() {
+    this.carry = null;
+    this.resampler.reset();
+  }
+}
+
+module.exports = AudioTranscoder;
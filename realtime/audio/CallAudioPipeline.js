@@ -0,0 +1,57 @@
+// realtime/audio/CallAudioPipeline.js - Telephony <-> model audio for one call
+const AudioTranscoder = require('./AudioTranscoder');
+const AudioChunker = require('./AudioChunker');
+const { SILENCE_BYTES } = require('./formats');
+
+/**
+ * Inbound:  provider format (8 kHz mu-law / slin) -> model pcm16 (24 kHz)
+ * Outbound: model pcm16 -> provider format, cut into fixed-size frames
+ */
+class CallAudioPipeline {
+  /**
+   * @param {object} formats - Result of negotiateAudioFormats()
+   */
+  constructor({ telephony, model, warnings = [] }) {
+    this.telephony = telephony;
+    this.model = model;
+    this.warnings = warnings; // negotiation fallbacks, for logging
+
+    this.inbound = new AudioTranscoder(telephony, model);
+    this.outbound = new AudioTranscoder(model, telephony);
+    this.chunker = new AudioChunker(telephony.frameBytes, SILENCE_BYTES[telephony.encoding]);
+  }
+
+  /**
+   * Caller audio for the speech backend
+   */
+  toModel(audio) {
+    return this.inbound.process(audio);
+  }
+
+  /**
+   * Assistant audio for the provider
+   * @returns {Buffer[]} Whole frames ready to send
+   */
+  toTelephony(audio) {
+    return this.chunker.push(this.outbound.process(audio));
+  }
+
+  /**
+   * End of a response - push out the partial last frame
+   * @returns {Buffer[]}
+   */
+  flushTelephony() {
+    const frame = this.chunker.flush();
+    return frame ? [frame] : [];
+  }
+
+  /**
+   * Drop outbound audio not yet framed (barge-in)
+   */
+  clearTelephony() {
+    this.outbound.reset();
+    this.chunker.reset();
+  }
+}
+
+module.exports = CallAudioPipeline;
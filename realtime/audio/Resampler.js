@@ -0,0 +1,134 @@
+// realtime/audio/Resampler.js - Streaming PCM16 sample-rate conversion
+/**
+ * Converts PCM16 between rates (8k/16k/24k telephony and model rates) one
+ * chunk at a time. State carries across chunks, so splitting a stream at
+ * any sample boundary produces exactly the same output as one big chunk.
+ *
+ * Downsampling runs a windowed-sinc low-pass first so energy above the new
+ * Nyquist frequency doesn't alias into the speech band; interpolation is
+ * linear.
+ */
+
+const DEFAULT_TAPS = 31;
+
+/**
+ * Hamming-windowed sinc low-pass with unity DC gain
+ * @param {number} cutoff - Cutoff as a fraction of the input rate (0 - 0.5)
+ * @param {number} taps - Filter length (odd)
+ */
+function designLowPass(cutoff, taps) {
+  const coefficients = new Float64Array(taps);
+  const middle = (taps - 1) / 2;
+  let sum = 0;
+
+  for (let n = 0; n < taps; n++) {
+    const x = n - middle;
+    const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+    const window = 0.54 - 0.46 * Math.cos((2 * Math.PI * n) / (taps - 1));
+    coefficients[n] = sinc * window;
+    sum += coefficients[n];
+  }
+
+  for (let n = 0; n < taps; n++) {
+    coefficients[n] /= sum;
+  }
+
+  return coefficients;
+}
+
+class Resampler {
+  /**
+   * @param {number} fromRate - Input sample rate (Hz)
+   * @param {number} toRate - Output sample rate (Hz)
+   * @param {object} options
+   * @param {number} options.taps - Anti-alias filter length when downsampling
+   */
+  constructor(fromRate, toRate, options = {}) {
+    if (!(fromRate > 0) || !(toRate > 0)) {
+      throw new Error(`Invalid sample rates: ${fromRate} -> ${toRate}`);
+    }
+
+    this.fromRate = fromRate;
+    this.toRate = toRate;
+
+    this.filter = toRate < fromRate
+      ? designLowPass(0.45 * (toRate / fromRate), options.taps || DEFAULT_TAPS)
+      : null;
+
+    this.reset();
+  }
+
+  reset() {
+    // Read position into this.pending, in 1/toRate fractions of an input sample
+    // (integer arithmetic keeps chunked and one-shot output identical)
+    this.position = 0;
+    this.pending = new Float64Array(0); // filtered samples not yet consumed
+    this.history = this.filter ? new Float64Array(this.filter.length - 1) : null;
+  }
+
+  /**
+   * @param {Buffer} pcm - PCM16 LE at fromRate (whole samples)
+   * @returns {Buffer} PCM16 LE at toRate
+   */
+  process(pcm) {
+    const count = pcm.length >> 1;
+
+    if (this.fromRate === this.toRate) {
+      return pcm.subarray(0, count * 2);
+    }
+
+    let samples = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      samples[i] = pcm.readInt16LE(i * 2);
+    }
+
+    if (this.filter) {
+      samples = this.lowPass(samples);
+    }
+
+    const input = new Float64Array(this.pending.length + samples.length);
+    input.set(this.pending);
+    input.set(samples, this.pending.length);
+
+    const output = [];
+    let position = this.position;
+    while (Math.floor(position / this.toRate) + 1 < input.length) {
+      const index = Math.floor(position / this.toRate);
+      const fraction = (position % this.toRate) / this.toRate;
+      output.push(input[index] + (input[index + 1] - input[index]) * fraction);
+      position += this.fromRate;
+    }
+
+    const consumed = Math.min(Math.floor(position / this.toRate), input.length);
+    this.pending = input.slice(consumed);
+    this.position = position - consumed * this.toRate;
+
+    const buffer = Buffer.alloc(output.length * 2);
+    for (let i = 0; i < output.length; i++) {
+      const value = Math.round(output[i]);
+      buffer.writeInt16LE(value > 32767 ? 32767 : value < -32768 ? -32768 : value, i * 2);
+    }
+    return buffer;
+  }
+
+  lowPass(samples) {
+    const taps = this.filter.length;
+    const extended = new Float64Array(this.history.length + samples.length);
+    extended.set(this.history);
+    extended.set(samples, this.history.length);
+
+    const filtered = new Float64Array(samples.length);
+    for (let n = 0; n < samples.length; n++) {
+      let acc = 0;
+      for (let k = 0; k < taps; k++) {
+        acc += this.filter[k] * extended[n + taps - 1 - k];
+      }
+      filtered[n] = acc;
+    }
+
+    this.history = extended.slice(extended.length - this.history.length);
+    return filtered;
+  }
+}
+
+module.exports = Resampler;
@@ -0,0 +1,123 @@
+// realtime/audio/formats.js - Audio formats and per-provider negotiation
+
+// What STSSession configures on the speech backend (input/output_audio_format: 'pcm16')
+const MODEL_AUDIO_FORMAT = { encoding: 'pcm16', sampleRate: 24000 };
+
+const SUPPORTED_ENCODINGS = ['pcm16', 'mulaw', 'alaw'];
+const SUPPORTED_SAMPLE_RATES = [8000, 16000, 24000];
+
+// Provider defaults when the start frame carries no (usable) media format.
+// frameMs is the outbound frame duration sent per media frame.
+const PROVIDER_AUDIO_FORMATS = {
+  exotel: { encoding: 'pcm16', sampleRate: 8000, frameMs: 100 },
+  twilio: { encoding: 'mulaw', sampleRate: 8000, frameMs: 20 }
+};
+
+const ENCODING_ALIASES = {
+  'audio/x-mulaw': 'mulaw',
+  'audio/mulaw': 'mulaw',
+  'audio/pcmu': 'mulaw',
+  pcmu: 'mulaw',
+  ulaw: 'mulaw',
+  mulaw: 'mulaw',
+  g711_ulaw: 'mulaw',
+  'audio/x-alaw': 'alaw',
+  'audio/alaw': 'alaw',
+  'audio/pcma': 'alaw',
+  pcma: 'alaw',
+  alaw: 'alaw',
+  g711_alaw: 'alaw',
+  'raw/slin': 'pcm16',
+  slin: 'pcm16',
+  'audio/x-l16': 'pcm16',
+  'audio/l16': 'pcm16',
+  l16: 'pcm16',
+  linear16: 'pcm16',
+  pcm16: 'pcm16'
+};
+
+// Byte value that decodes to silence in each encoding
+const SILENCE_BYTES = {
+  pcm16: 0x00,
+  mulaw: 0xff,
+  alaw: 0xd5
+};
+
+/**
+ * Map a provider encoding name to pcm16 | mulaw | alaw
+ * @returns {string|null} null if unknown
+ */
+function normalizeEncoding(encoding) {
+  if (!encoding) return null;
+  return ENCODING_ALIASES[String(encoding).toLowerCase()] || null;
+}
+
+function bytesPerSample(encoding) {
+  return encoding === 'pcm16' ? 2 : 1;
+}
+
+/**
+ * Bytes of audio per millisecond for a format
+ */
+function bytesPerMs(format) {
+  return (format.sampleRate * bytesPerSample(format.encoding)) / 1000;
+}
+
+/**
+ * Pick the telephony-side format for a stream
+ * @param {string} provider - exotel | twilio
+ * @param {object} mediaFormat - { encoding, sampleRate } from the start frame
+ * @returns {object} { telephony: { encoding, sampleRate, frameMs, frameBytes }, model, warnings }
+ */
+function negotiateAudioFormats(provider, mediaFormat = null) {
+  const defaults = PROVIDER_AUDIO_FORMATS[provider] || PROVIDER_AUDIO_FORMATS.exotel;
+  const warnings = [];
+
+  let encoding = defaults.encoding;
+  let sampleRate = defaults.sampleRate;
+
+  if (mediaFormat && mediaFormat.encoding) {
+    const normalized = normalizeEncoding(mediaFormat.encoding);
+    if (normalized) {
+      encoding = normalized;
+    } else {
+      warnings.push(`Unsupported encoding ${mediaFormat.encoding}, assuming ${defaults.encoding}`);
+    }
+  }
+
+  if (mediaFormat && mediaFormat.sampleRate) {
+    const rate = Number(mediaFormat.sampleRate);
+    if (SUPPORTED_SAMPLE_RATES.includes(rate)) {
+      sampleRate = rate;
+    } else {
+      warnings.push(`Unsupported sample rate ${mediaFormat.sampleRate}, assuming ${defaults.sampleRate}`);
+    }
+  }
+
+  // G.711 is only defined at 8 kHz
+  if (encoding !== 'pcm16' && sampleRate !== 8000) {
+    warnings.push(`${encoding} at ${sampleRate} Hz is not valid G.711, using 8000 Hz`);
+    sampleRate = 8000;
+  }
+
+  const telephony = { encoding, sampleRate, frameMs: defaults.frameMs };
+  telephony.frameBytes = Math.round(bytesPerMs(telephony) * telephony.frameMs);
+
+  return {
+    telephony,
+    model: { ...MODEL_AUDIO_FORMAT },
+    warnings
+  };
+}
+
+module.exports = {
+  MODEL_AUDIO_FORMAT,
+  SUPPORTED_ENCODINGS,
+  SUPPORTED_SAMPLE_RATES,
+  PROVIDER_AUDIO_FORMATS,
+  SILENCE_BYTES,
+  normalizeEncoding,
+  bytesPerSample,
+  bytesPerMs,
+  negotiateAudioFormats
+};
@@ -0,0 +1,141 @@
+// realtime/audio/g711.js - G.711 mu-law / A-law <-> 16-bit linear PCM
+/**
+ * Standard ITU-T G.711 companding (same tables as Sun's g711.c).
+ * PCM16 buffers are little-endian signed 16-bit samples.
+ */
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 8159; // on the 14-bit scale used by the encoder
+
+const MULAW_DECODE = new Int16Array(256);
+const ALAW_DECODE = new Int16Array(256);
+
+for (let i = 0; i < 256; i++) {
+  // mu-law
+  const u = ~i & 0xff;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0f;
+  const magnitude = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  MULAW_DECODE[i] = u & 0x80 ? -magnitude : magnitude;
+
+  // A-law
+  const a = i ^ 0x55;
+  const segment = (a & 0x70) >> 4;
+  let value = (a & 0x0f) << 4;
+  if (segment === 0) {
+    value += 8;
+  } else {
+    value = (value + 0x108) << (segment - 1);
+  }
+  ALAW_DECODE[i] = a & 0x80 ? value : -value;
+}
+
+// Segment end points for encoding
+const MULAW_SEGMENT_END = [0x3f, 0x7f, 0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff, 0x1fff];
+const ALAW_SEGMENT_END = [0x1f, 0x3f, 0x7f, 0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff];
+
+function encodeMulawSample(sample) {
+  // mu-law works on 14-bit magnitudes
+  let value = sample >> 2;
+  let mask;
+  if (value < 0) {
+    value = -value;
+    mask = 0x7f;
+  } else {
+    mask = 0xff;
+  }
+  if (value > MULAW_CLIP) value = MULAW_CLIP;
+  value += MULAW_BIAS >> 2;
+
+  let segment = 0;
+  while (segment < 8 && value > MULAW_SEGMENT_END[segment]) {
+    segment++;
+  }
+
+  if (segment >= 8) {
+    return 0x7f ^ mask;
+  }
+
+  return ((segment << 4) | ((value >> (segment + 1)) & 0x0f)) ^ mask;
+}
+
+function encodeAlawSample(sample) {
+  // A-law works on 13-bit magnitudes
+  let value = sample >> 3;
+  let mask;
+  if (value >= 0) {
+    mask = 0xd5;
+  } else {
+    mask = 0x55;
+    value = -value - 1;
+  }
+
+  let segment = 0;
+  while (segment < 8 && value > ALAW_SEGMENT_END[segment]) {
+    segment++;
+  }
+
+  if (segment >= 8) {
+    return 0x7f ^ mask;
+  }
+
+  let code = segment << 4;
+  code |= segment < 2 ? (value >> 1) & 0x0f : (value >> segment) & 0x0f;
+  return code ^ mask;
+}
+
+function decode(table, encoded) {
+  const output = Buffer.alloc(encoded.length * 2);
+  for (let i = 0; i < encoded.length; i++) {
+    output.writeInt16LE(table[encoded[i]], i * 2);
+  }
+  return output;
+}
+
+function encode(encodeSample, pcm) {
+  const samples = pcm.length >> 1;
+  const output = Buffer.alloc(samples);
+  for (let i = 0; i < samples; i++) {
+    output[i] = encodeSample(pcm.readInt16LE(i * 2));
+  }
+  return output;
+}
+
+/**
+ * @param {Buffer} mulaw - 8-bit mu-law bytes
+ * @returns {Buffer} PCM16 LE
+ */
+function mulawToPcm16(mulaw) {
+  return decode(MULAW_DECODE, mulaw);
+}
+
+/**
+ * @param {Buffer} pcm - PCM16 LE (trailing odd byte ignored)
+ * @returns {Buffer} 8-bit mu-law bytes
+ */
+function pcm16ToMulaw(pcm) {
+  return encode(encodeMulawSample, pcm);
+}
+
+/**
+ * @param {Buffer} alaw - 8-bit A-law bytes
+ * @returns {Buffer} PCM16 LE
+ */
+function alawToPcm16(alaw) {
+  return decode(ALAW_DECODE, alaw);
+}
+
+/**
+ * @param {Buffer} pcm - PCM16 LE (trailing odd byte ignored)
+ * @returns {Buffer} 8-bit A-law bytes
+ */
+function pcm16ToAlaw(pcm) {
+  return encode(encodeAlawSample, pcm);
+}
+
+module.exports = {
+  mulawToPcm16,
+  pcm16ToMulaw,
+  alawToPcm16,
+  pcm16ToAlaw
+};
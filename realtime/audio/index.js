@@ -0,0 +1,26 @@
+// realtime/audio/index.js - Codecs, resampling and framing between telephony and the model
+const g711 = require('./g711');
+const Resampler = require('./Resampler');
+const AudioChunker = require('./AudioChunker');
+const AudioTranscoder = require('./AudioTranscoder');
+const CallAudioPipeline = require('./CallAudioPipeline');
+const formats = require('./formats');
+
+/**
+ * Pipeline for a media stream
+ * @param {string} provider - exotel | twilio
+ * @param {object} mediaFormat - { encoding, sampleRate } from the start frame
+ */
+function createCallAudioPipeline(provider, mediaFormat = null) {
+  return new CallAudioPipeline(formats.negotiateAudioFormats(provider, mediaFormat));
+}
+
+module.exports = {
+  ...g711,
+  ...formats,
+  Resampler,
+  AudioChunker,
+  AudioTranscoder,
+  CallAudioPipeline,
+  createCallAudioPipeline
+};
@@ -0,0 +1,59 @@
+// realtime/backends/BaseSpeechBackend.js - Speech backend interface for STSSession
+const EventEmitter = require('events');
+
+/**
+ * Every speech backend speaks the OpenAI Realtime event protocol:
+ * STSSession sends client events (session.update, input_audio_buffer.append,
+ * conversation.item.create, response.create, ...) through send() and
+ * receives server events (session.created, response.audio.delta, ...)
+ * through the 'event' emitter.
+ *
+ * Events emitted:
+ *   'open'  - backend is ready to accept client events
+ *   'event' - server event object
+ *   'error' - transport or backend failure
+ *   'close' - backend is gone (code, reason)
+ */
+class BaseSpeechBackend extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.callId = options.callId || null;
+    this.name = 'base';
+    // Model the usage in response.done is priced as (config/usageRates)
+    this.model = null;
+    // session.update can't change the voice once the session has produced audio
+    this.voiceFixedAfterAudio = false;
+  }
+
+  /**
+   * Open the backend. Resolves once client events can be sent.
+   */
+  async connect() {
+    throw new Error('connect() must be implemented by speech backend');
+  }
+
+  /**
+   * Send a client event
+   * @param {object} event - Realtime client event
+   */
+  send(event) {
+    throw new Error('send() must be implemented by speech backend');
+  }
+
+  /**
+   * Close the backend
+   */
+  close(code = 1000, reason = 'Normal closure') {
+    throw new Error('close() must be implemented by speech backend');
+  }
+
+  /**
+   * Whether client events can currently be sent
+   */
+  isOpen() {
+    return false;
+  }
+}
+
+module.exports = BaseSpeechBackend;
@@ -0,0 +1,418 @@
+// realtime/backends/CascadedBackend.js - ASR -> LLM -> TTS pipeline behind the Realtime protocol
+const OpenAI = require('openai');
+const resolve = require('../../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const BaseSpeechBackend = require('./BaseSpeechBackend');
+
+// Realtime pcm16 is 24kHz mono
+const SAMPLE_RATE = 24000;
+const BYTES_PER_MS = (SAMPLE_RATE * 2) / 1000;
+const TTS_CHUNK_BYTES = 4800; // 100ms
+
+/**
+ * Wrap raw pcm16 mono audio in a WAV container (for the transcription API)
+ */
+function pcm16ToWav(pcm, sampleRate = SAMPLE_RATE) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Root-mean-square energy of a pcm16 chunk
+ */
+function rms(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  if (samples === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = pcm.readInt16LE(i * 2);
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+/**
+ * Runs a classic cascaded pipeline (Whisper -> chat completion -> TTS) but
+ * exposes the same client/server events as the Realtime API, so STSSession
+ * and CallSessionManager do not care which one they are talking to.
+ * Turn detection is a simple energy VAD driven by session.turn_detection.
+ */
+class CascadedBackend extends BaseSpeechBackend {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey - OpenAI API key
+   * @param {object} options.client - Pre-built OpenAI client (tests)
+   * @param {number} options.energyThreshold - RMS level treated as speech
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'cascaded';
+    this.client = options.client || new OpenAI({ apiKey: options.apiKey });
+    this.asrModel = options.asrModel || process.env.CASCADED_ASR_MODEL || 'whisper-1';
+    this.llmModel = options.llmModel || process.env.CASCADED_LLM_MODEL || 'gpt-4o-mini';
+    this.ttsModel = options.ttsModel || process.env.CASCADED_TTS_MODEL || 'tts-1';
+    this.model = this.llmModel;
+    this.energyThreshold = options.energyThreshold || 500;
+
+    this.session = {
+      id: null,
+      modalities: ['text', 'audio'],
+      instructions: '',
+      voice: 'alloy',
+      temperature: 0.8,
+      max_response_output_tokens: 300,
+      turn_detection: { type: 'server_vad', prefix_padding_ms: 300, silence_duration_ms: 700 }
+    };
+
+    this.items = [];
+    this.open = false;
+    this.idCounter = 0;
+
+    // VAD state
+    this.inSpeech = false;
+    this.speechChunks = [];
+    this.prefixChunks = [];
+    this.prefixMs = 0;
+    this.silenceMs = 0;
+
+    this.activeResponse = null;
+  }
+
+  async connect() {
+    this.open = true;
+    this.session.id = this.nextId('sess');
+    this.emit('open');
+    this.emitEvent({ type: 'session.created', session: { ...this.session } });
+  }
+
+  send(event) {
+    if (!this.open) {
+      throw new Error('Cascaded backend is not open');
+    }
+
+    switch (event.type) {
+      case 'session.update':
+        this.session = { ...this.session, ...event.session };
+        this.emitEvent({ type: 'session.updated', session: { ...this.session } });
+        break;
+
+      case 'input_audio_buffer.append':
+        this.handleAudio(Buffer.from(event.audio || '', 'base64'));
+        break;
+
+      case 'input_audio_buffer.commit':
+        this.finishUtterance();
+        break;
+
+      case 'input_audio_buffer.clear':
+        this.resetVad();
+        this.emitEvent({ type: 'input_audio_buffer.cleared' });
+        break;
+
+      case 'conversation.item.create': {
+        const item = { id: event.item.id || this.nextId('item'), ...event.item };
+        this.items.push(item);
+        this.emitEvent({ type: 'conversation.item.created', previous_item_id: null, item });
+        break;
+      }
+
+      case 'conversation.item.truncate':
+        this.emitEvent({
+          type: 'conversation.item.truncated',
+          item_id: event.item_id,
+          content_index: event.content_index || 0,
+          audio_end_ms: event.audio_end_ms
+        });
+        break;
+
+      case 'response.create':
+        this.respond(event.response || {}).catch(error => this.emitError(error));
+        break;
+
+      case 'response.cancel':
+        this.cancelResponse();
+        break;
+
+      default:
+        logger.debug('Cascaded backend ignoring event', { callId: this.callId, type: event.type });
+    }
+  }
+
+  /**
+   * Energy-based turn detection
+   */
+  handleAudio(chunk) {
+    const chunkMs = chunk.length / BYTES_PER_MS;
+    const turnDetection = this.session.turn_detection || {};
+    const isSpeech = rms(chunk) >= this.energyThreshold;
+
+    if (isSpeech) {
+      if (!this.inSpeech) {
+        this.inSpeech = true;
+        this.speechChunks = [...this.prefixChunks];
+        this.prefixChunks = [];
+        this.prefixMs = 0;
+        this.emitEvent({ type: 'input_audio_buffer.speech_started', audio_start_ms: 0 });
+      }
+      this.speechChunks.push(chunk);
+      this.silenceMs = 0;
+      return;
+    }
+
+    if (this.inSpeech) {
+      this.speechChunks.push(chunk);
+      this.silenceMs += chunkMs;
+      if (this.silenceMs >= (turnDetection.silence_duration_ms || 700)) {
+        this.finishUtterance();
+      }
+      return;
+    }
+
+    // Keep a short pre-roll so the first syllable is not clipped
+    this.prefixChunks.push(chunk);
+    this.prefixMs += chunkMs;
+    while (this.prefixMs > (turnDetection.prefix_padding_ms || 300) && this.prefixChunks.length > 1) {
+      const dropped = this.prefixChunks.shift();
+      this.prefixMs -= dropped.length / BYTES_PER_MS;
+    }
+  }
+
+  resetVad() {
+    this.inSpeech = false;
+    this.speechChunks = [];
+    this.prefixChunks = [];
+    this.prefixMs = 0;
+    this.silenceMs = 0;
+  }
+
+  /**
+   * Transcribe the buffered utterance and respond
+   */
+  async finishUtterance() {
+    const audio = Buffer.concat(this.speechChunks);
+    this.resetVad();
+
+    if (audio.length === 0) {
+      return;
+    }
+
+    const itemId = this.nextId('item');
+    this.emitEvent({ type: 'input_audio_buffer.speech_stopped', item_id: itemId, audio_end_ms: 0 });
+    this.emitEvent({ type: 'input_audio_buffer.committed', item_id: itemId, previous_item_id: null });
+
+    try {
+      const transcription = await this.client.audio.transcriptions.create({
+        file: await OpenAI.toFile(pcm16ToWav(audio), 'utterance.wav'),
+        model: this.asrModel
+      });
+      const transcript = (transcription.text || '').trim();
+
+      const item = {
+        id: itemId,
+        type: 'message',
+        role: 'user',
+        content: [{ type: 'input_text', text: transcript }]
+      };
+      this.items.push(item);
+      this.emitEvent({ type: 'conversation.item.created', previous_item_id: null, item });
+      this.emitEvent({
+        type: 'conversation.item.input_audio_transcription.completed',
+        item_id: itemId,
+        content_index: 0,
+        transcript
+      });
+
+      if (!this.session.turn_detection || this.session.turn_detection.create_response !== false) {
+        await this.respond({});
+      }
+    } catch (error) {
+      this.emitError(error);
+    }
+  }
+
+  /**
+   * Map conversation items to chat messages
+   */
+  buildMessages() {
+    const messages = [];
+    if (this.session.instructions) {
+      messages.push({ role: 'system', content: this.session.instructions });
+    }
+
+    for (const item of this.items) {
+      if (item.type !== 'message') continue;
+      const text = (item.content || [])
+        .map(part => part.text || part.transcript || '')
+        .join(' ')
+        .trim();
+      if (text) {
+        messages.push({ role: item.role, content: text });
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Generate an assistant response (LLM, then TTS)
+   */
+  async respond(options) {
+    if (this.activeResponse) {
+      this.cancelResponse();
+    }
+
+    const responseId = this.nextId('resp');
+    const itemId = this.nextId('item');
+    const controller = new AbortController();
+    const response = { id: responseId, itemId, controller };
+    this.activeResponse = response;
+
+    const modalities = options.modalities || this.session.modalities || ['text', 'audio'];
+    const instructions = options.instructions;
+
+    this.emitEvent({ type: 'response.created', response: { id: responseId, status: 'in_progress', output: [] } });
+
+    const messages = this.buildMessages();
+    if (instructions) {
+      messages.push({ role: 'system', content: instructions });
+    }
+
+    const completion = await this.client.chat.completions.create({
+      model: this.llmModel,
+      messages,
+      temperature: this.session.temperature,
+      max_tokens: this.session.max_response_output_tokens === 'inf'
+        ? undefined
+        : this.session.max_response_output_tokens
+    }, { signal: controller.signal });
+
+    if (this.activeResponse !== response) return;
+
+    const text = (completion.choices[0].message.content || '').trim();
+    const usage = completion.usage || {};
+    const outputItem = {
+      id: itemId,
+      type: 'message',
+      role: 'assistant',
+      status: 'completed',
+      content: [{ type: modalities.includes('audio') ? 'audio' : 'text', transcript: text, text }]
+    };
+
+    this.emitEvent({
+      type: 'response.output_item.added',
+      response_id: responseId,
+      output_index: 0,
+      item: { ...outputItem, status: 'in_progress', content: [] }
+    });
+
+    let audioTokens = 0;
+    if (modalities.includes('audio')) {
+      this.emitEvent({ type: 'response.audio_transcript.delta', response_id: responseId, item_id: itemId, delta: text });
+
+      const speech = await this.client.audio.speech.create({
+        model: this.ttsModel,
+        voice: this.session.voice || 'alloy',
+        input: text,
+        response_format: 'pcm'
+      }, { signal: controller.signal });
+      const audio = Buffer.from(await speech.arrayBuffer());
+
+      if (this.activeResponse !== response) return;
+
+      for (let offset = 0; offset < audio.length; offset += TTS_CHUNK_BYTES) {
+        if (this.activeResponse !== response) return;
+        this.emitEvent({
+          type: 'response.audio.delta',
+          response_id: responseId,
+          item_id: itemId,
+          delta: audio.subarray(offset, offset + TTS_CHUNK_BYTES).toString('base64')
+        });
+      }
+      audioTokens = Math.ceil(audio.length / BYTES_PER_MS / 50); // ~20 tokens/sec of audio
+
+      this.emitEvent({ type: 'response.audio.done', response_id: responseId, item_id: itemId });
+      this.emitEvent({ type: 'response.audio_transcript.done', response_id: responseId, item_id: itemId, transcript: text });
+    } else {
+      this.emitEvent({ type: 'response.text.delta', response_id: responseId, item_id: itemId, delta: text });
+      this.emitEvent({ type: 'response.text.done', response_id: responseId, item_id: itemId, text });
+    }
+
+    this.items.push(outputItem);
+    this.activeResponse = null;
+
+    this.emitEvent({ type: 'response.output_item.done', response_id: responseId, output_index: 0, item: outputItem });
+    this.emitEvent({
+      type: 'response.done',
+      response: {
+        id: responseId,
+        status: 'completed',
+        output: [outputItem],
+        usage: {
+          total_tokens: (usage.total_tokens || 0) + audioTokens,
+          input_tokens: usage.prompt_tokens || 0,
+          output_tokens: (usage.completion_tokens || 0) + audioTokens,
+          input_token_details: { text_tokens: usage.prompt_tokens || 0, audio_tokens: 0, cached_tokens: 0 },
+          output_token_details: { text_tokens: usage.completion_tokens || 0, audio_tokens: audioTokens }
+        }
+      }
+    });
+  }
+
+  cancelResponse() {
+    if (!this.activeResponse) {
+      return;
+    }
+
+    const { id, controller } = this.activeResponse;
+    this.activeResponse = null;
+    controller.abort();
+    this.emitEvent({ type: 'response.done', response: { id, status: 'cancelled', output: [] } });
+  }
+
+  emitError(error) {
+    if (error.name === 'AbortError' || /abort/i.test(error.message || '')) {
+      return;
+    }
+    logger.error('Cascaded backend error', { callId: this.callId, error: error.message });
+    this.emitEvent({ type: 'error', error: { type: 'server_error', message: error.message } });
+  }
+
+  emitEvent(event) {
+    this.emit('event', { event_id: this.nextId('event'), ...event });
+  }
+
+  nextId(prefix) {
+    this.idCounter++;
+    return `${prefix}_cascade_${this.idCounter}`;
+  }
+
+  close(code = 1000, reason = 'Normal closure') {
+    if (!this.open) {
+      return;
+    }
+    this.open = false;
+    this.cancelResponse();
+    this.emit('close', code, reason);
+  }
+
+  isOpen() {
+    return this.open;
+  }
+}
+
+CascadedBackend.pcm16ToWav = pcm16ToWav;
+
+module.exports = CascadedBackend;
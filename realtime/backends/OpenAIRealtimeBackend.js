@@ -0,0 +1,102 @@
+// realtime/backends/OpenAIRealtimeBackend.js - OpenAI Realtime API over WebSocket
+const WebSocket = require('ws');
+const resolve = require('../../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const BaseSpeechBackend = require('./BaseSpeechBackend');
+
+const DEFAULT_REALTIME_URL = 'wss://api.openai.com/v1/realtime';
+const DEFAULT_REALTIME_MODEL = 'gpt-4o-audio-mini-2025-10-06';
+
+class OpenAIRealtimeBackend extends BaseSpeechBackend {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey - OpenAI API key
+   * @param {string} options.url - Realtime endpoint (defaults to OPENAI_REALTIME_URL or OpenAI)
+   * @param {string} options.model - Realtime model
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'openai';
+    this.voiceFixedAfterAudio = true;
+    this.apiKey = options.apiKey;
+    this.url = options.url || process.env.OPENAI_REALTIME_URL || DEFAULT_REALTIME_URL;
+    this.model = options.model || process.env.OPENAI_REALTIME_MODEL || DEFAULT_REALTIME_MODEL;
+    this.ws = null;
+  }
+
+  /**
+   * Build endpoint URL with model query param
+   */
+  getEndpoint() {
+    const separator = this.url.includes('?') ? '&' : '?';
+    return `${this.url}${separator}model=${encodeURIComponent(this.model)}`;
+  }
+
+  async connect() {
+    const headers = { 'OpenAI-Beta': 'realtime=v1' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    this.ws = new WebSocket(this.getEndpoint(), { headers });
+
+    this.ws.on('message', (data) => {
+      try {
+        this.emit('event', JSON.parse(data.toString()));
+      } catch (error) {
+        logger.error('Error parsing STS message', {
+          callId: this.callId,
+          error: error.message
+        });
+      }
+    });
+
+    this.ws.on('error', (error) => {
+      this.emit('error', error);
+    });
+
+    this.ws.on('close', (code, reason) => {
+      this.emit('close', code, reason ? reason.toString() : '');
+    });
+
+    await new Promise((resolvePromise, reject) => {
+      const onOpen = () => {
+        this.ws.removeListener('error', onError);
+        resolvePromise();
+      };
+      const onError = (error) => {
+        this.ws.removeListener('open', onOpen);
+        reject(error);
+      };
+      this.ws.once('open', onOpen);
+      this.ws.once('error', onError);
+    });
+
+    this.emit('open');
+  }
+
+  send(event) {
+    this.ws.send(JSON.stringify(event));
+  }
+
+  close(code = 1000, reason = 'Normal closure') {
+    if (!this.ws) {
+      return;
+    }
+
+    try {
+      this.ws.close(code, reason);
+    } finally {
+      this.ws = null;
+    }
+  }
+
+  isOpen() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+}
+
+OpenAIRealtimeBackend.DEFAULT_REALTIME_URL = DEFAULT_REALTIME_URL;
+OpenAIRealtimeBackend.DEFAULT_REALTIME_MODEL = DEFAULT_REALTIME_MODEL;
+
+module.exports = OpenAIRealtimeBackend;
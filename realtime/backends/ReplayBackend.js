@@ -0,0 +1,210 @@
+// realtime/backends/ReplayBackend.js - Plays a recorded STS event stream back into STSSession
+const BaseSpeechBackend = require('./BaseSpeechBackend');
+
+// How long to wait for the session to send a client event the recording has
+const CLIENT_WAIT_MS = 2000;
+
+// Client events that come from caller audio - not produced during a replay
+const SKIPPED_CLIENT_EVENTS = ['input_audio_buffer.append'];
+
+/**
+ * Speech backend that emits the server events of a recorded call
+ * (StsEventRecorder) in their original order.
+ *
+ * Replay runs in lockstep with the recording: where the original session
+ * sent client events (function_call_output, response.create...), the
+ * replay waits until the replayed session sends the same kind of event
+ * before continuing. Anything missing, extra or different is reported as
+ * a divergence - that is where intent detection or orchestration changed.
+ *
+ * Typed caller turns (text-mode calls) are emitted as 'caller_text' for the
+ * caller of the replay to send back into the session.
+ * Emits 'replay_done' ({ eventsReplayed, divergences }) once the stream ends.
+ */
+class ReplayBackend extends BaseSpeechBackend {
+  /**
+   * @param {object} options
+   * @param {object[]} options.events - Recorded events ({ seq, direction, event_type, payload })
+   * @param {object} options.audio - { inbound, outbound } pcm16 Buffers; silence is used if missing
+   * @param {number} options.clientWaitMs - Per client event, defaults to CLIENT_WAIT_MS
+   * @param {boolean} options.autoplay - Start playing on connect (default true); else call play()
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'replay';
+    this.events = [...(options.events || [])].sort((a, b) => a.seq - b.seq);
+    this.audio = options.audio || {};
+    this.clientWaitMs = options.clientWaitMs !== undefined ? options.clientWaitMs : CLIENT_WAIT_MS;
+    this.autoplay = options.autoplay !== false;
+
+    this.open = false;
+    this.started = false;
+    this.sentEvents = []; // every client event sent, in order
+    this.unmatched = []; // client events not yet matched to the recording
+    this.divergences = [];
+    this.eventsReplayed = 0;
+    this.sendWaiter = null;
+  }
+
+  async connect() {
+    this.open = true;
+    this.emit('open');
+
+    if (this.autoplay && !this.started) {
+      setImmediate(() => this.play());
+    }
+  }
+
+  send(event) {
+    if (!this.open) {
+      throw new Error('Replay backend is not open');
+    }
+
+    this.sentEvents.push(event);
+    if (!SKIPPED_CLIENT_EVENTS.includes(event.type)) {
+      this.unmatched.push(event);
+    }
+
+    if (this.sendWaiter) {
+      this.sendWaiter();
+    }
+  }
+
+  /**
+   * Walk the recording in order
+   */
+  async play() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    for (const entry of this.events) {
+      if (!this.open) {
+        break;
+      }
+
+      if (entry.direction === 'server') {
+        this.emit('event', this.restoreAudio(entry.payload));
+        this.eventsReplayed++;
+        // Let the session's handlers run before the next event
+        await new Promise(resolvePromise => setImmediate(resolvePromise));
+      } else if (entry.direction === 'client' && !SKIPPED_CLIENT_EVENTS.includes(entry.event_type)) {
+        const callerText = getCallerText(entry.payload);
+        if (callerText !== null) {
+          this.emit('caller_text', callerText);
+        }
+        await this.expectClientEvent(entry);
+      }
+    }
+
+    // Whatever the replayed session sent beyond the recording
+    this.unmatched.forEach(event => this.divergences.push({ kind: 'unexpected', actual: describeEvent(event) }));
+    this.unmatched = [];
+
+    this.emit('replay_done', { eventsReplayed: this.eventsReplayed, divergences: this.divergences });
+  }
+
+  /**
+   * Wait until the session sends an event shaped like the recorded one
+   */
+  async expectClientEvent(entry) {
+    const deadline = Date.now() + this.clientWaitMs;
+
+    while (this.open) {
+      const index = this.unmatched.findIndex(event => sameShape(event, entry.payload));
+      if (index >= 0) {
+        // Events sent before the match were not in the recording
+        this.unmatched.splice(0, index).forEach(event => {
+          this.divergences.push({ kind: 'unexpected', seq: entry.seq, actual: describeEvent(event) });
+        });
+        this.unmatched.shift();
+        return true;
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        break;
+      }
+
+      await new Promise(resolvePromise => {
+        const timer = setTimeout(done, remaining);
+        function done() {
+          clearTimeout(timer);
+          resolvePromise();
+        }
+        this.sendWaiter = done;
+      });
+      this.sendWaiter = null;
+    }
+
+    this.divergences.push({ kind: 'missing', seq: entry.seq, expected: describeEvent(entry.payload) });
+    return false;
+  }
+
+  /**
+   * Put recorded audio (or silence of the same length) back into an audio delta
+   */
+  restoreAudio(payload) {
+    if (payload.type !== 'response.audio.delta' || !payload.audio) {
+      return payload;
+    }
+
+    const { audio: reference, ...event } = payload;
+    const track = this.audio[reference.track];
+    const chunk = track && reference.offset !== null && reference.offset + reference.bytes <= track.length
+      ? track.subarray(reference.offset, reference.offset + reference.bytes)
+      : Buffer.alloc(reference.bytes);
+
+    return { ...event, delta: chunk.toString('base64') };
+  }
+
+  close(code = 1000, reason = 'Normal closure') {
+    if (!this.open) {
+      return;
+    }
+    this.open = false;
+    if (this.sendWaiter) {
+      this.sendWaiter();
+    }
+    setImmediate(() => this.emit('close', code, reason));
+  }
+
+  isOpen() {
+    return this.open;
+  }
+}
+
+/**
+ * Client events match on type, plus item type/role for conversation items
+ */
+function sameShape(actual, recorded) {
+  if (actual.type !== recorded.type) {
+    return false;
+  }
+  if (actual.type === 'conversation.item.create') {
+    const a = actual.item || {};
+    const b = recorded.item || {};
+    return a.type === b.type && a.role === b.role;
+  }
+  return true;
+}
+
+/**
+ * Text of a typed caller turn, or null for any other client event
+ */
+function getCallerText(event) {
+  const item = event.item;
+  if (event.type !== 'conversation.item.create' || !item || item.role !== 'user') {
+    return null;
+  }
+  const content = (item.content || []).find(part => part.type === 'input_text');
+  return content ? content.text : null;
+}
+
+function describeEvent(event) {
+  const item = event.item || {};
+  return [event.type, item.type, item.role].filter(Boolean).join(':');
+}
+
+module.exports = ReplayBackend;
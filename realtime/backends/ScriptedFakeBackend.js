@@ -0,0 +1,69 @@
+// realtime/backends/ScriptedFakeBackend.js - In-process scripted Realtime backend (tests/offline)
+const BaseSpeechBackend = require('./BaseSpeechBackend');
+const ScriptedRealtimeEngine = require('../fake/ScriptedRealtimeEngine');
+
+class ScriptedFakeBackend extends BaseSpeechBackend {
+  /**
+   * @param {object} options
+   * @param {object} options.script - Script for ScriptedRealtimeEngine
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'fake';
+    this.engine = null;
+    this.open = false;
+    // Every client event sent, in order - handy for assertions
+    this.sentEvents = [];
+  }
+
+  async connect() {
+    const script = { ...(this.options.script || {}) };
+    // Reconnect: continue the script where the dropped engine left off
+    if (this.engine) {
+      script.turns = this.engine.turns;
+    }
+
+    this.engine = new ScriptedRealtimeEngine(script);
+    this.engine.on('event', (event) => this.emit('event', event));
+    this.open = true;
+    this.engine.start();
+    this.emit('open');
+  }
+
+  send(event) {
+    if (!this.open) {
+      throw new Error('Scripted fake backend is not open');
+    }
+    this.sentEvents.push(event);
+    this.engine.receive(event);
+  }
+
+  /**
+   * Simulate the caller saying something
+   */
+  speak(transcript, assistant = null) {
+    this.engine.speak(transcript, assistant);
+  }
+
+  /**
+   * Simulate the connection dropping (code 1006, no close frame)
+   */
+  drop() {
+    this.close(1006, 'Connection dropped');
+  }
+
+  close(code = 1000, reason = 'Normal closure') {
+    if (!this.open) {
+      return;
+    }
+    this.open = false;
+    this.engine.close();
+    setImmediate(() => this.emit('close', code, reason));
+  }
+
+  isOpen() {
+    return this.open;
+  }
+}
+
+module.exports = ScriptedFakeBackend;
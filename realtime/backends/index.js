@@ -0,0 +1,43 @@
+// realtime/backends/index.js - Speech backend factory
+const OpenAIRealtimeBackend = require('./OpenAIRealtimeBackend');
+const CascadedBackend = require('./CascadedBackend');
+const ScriptedFakeBackend = require('./ScriptedFakeBackend');
+// Not selectable by name - built from a recording by the replay harness
+const ReplayBackend = require('./ReplayBackend');
+
+const BACKENDS = {
+  openai: OpenAIRealtimeBackend,
+  cascaded: CascadedBackend,
+  fake: ScriptedFakeBackend
+};
+
+const DEFAULT_BACKEND = 'openai';
+
+/**
+ * Create a speech backend by name
+ * @param {object} options
+ * @param {string} options.type - openai | cascaded | fake (defaults to SPEECH_BACKEND)
+ * @param {string} options.apiKey - OpenAI API key
+ * @param {string} options.callId - Call identifier (for logging)
+ * @param {object} options.script - Script for the fake backend
+ */
+function createSpeechBackend(options = {}) {
+  const type = (options.type || process.env.SPEECH_BACKEND || DEFAULT_BACKEND).toLowerCase();
+  const Backend = BACKENDS[type];
+
+  if (!Backend) {
+    throw new Error(`Unknown speech backend: ${type}`);
+  }
+
+  return new Backend(options);
+}
+
+module.exports = {
+  createSpeechBackend,
+  BACKENDS,
+  DEFAULT_BACKEND,
+  OpenAIRealtimeBackend,
+  CascadedBackend,
+  ScriptedFakeBackend,
+  ReplayBackend
+};
@@ -0,0 +1,95 @@
+// realtime/fake/FakeRealtimeServer.js - Local WebSocket server speaking the Realtime protocol
+const http = require('http');
+const WebSocket = require('ws');
+const resolve = require('../../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const ScriptedRealtimeEngine = require('./ScriptedRealtimeEngine');
+
+/**
+ * Hosts one ScriptedRealtimeEngine per connection so the real OpenAI backend
+ * (or any Realtime client) can be pointed at ws://localhost:<port>.
+ *
+ * Usage:
+ *   const server = new FakeRealtimeServer({ script: { turns: [...] } });
+ *   const url = await server.listen();   // ws://127.0.0.1:<port>
+ *   process.env.OPENAI_REALTIME_URL = url;
+ *   ...
+ *   await server.close();
+ *
+ * `script` may also be a function (req) => script for per-connection scripts.
+ */
+class FakeRealtimeServer {
+  constructor(options = {}) {
+    this.script = options.script || {};
+    this.httpServer = null;
+    this.wss = null;
+    this.engines = new Set();
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - 0 picks a free port
+   * @returns {Promise<string>} WebSocket URL
+   */
+  async listen(port = 0, host = '127.0.0.1') {
+    this.httpServer = http.createServer();
+    this.wss = new WebSocket.Server({ server: this.httpServer });
+
+    this.wss.on('connection', (ws, req) => {
+      const script = typeof this.script === 'function' ? this.script(req) : this.script;
+      const engine = new ScriptedRealtimeEngine(script);
+      this.engines.add(engine);
+
+      engine.on('event', (event) => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify(event));
+        }
+      });
+
+      ws.on('message', (data) => {
+        try {
+          engine.receive(JSON.parse(data.toString()));
+        } catch (error) {
+          logger.warn('Fake realtime server received invalid event', { error: error.message });
+        }
+      });
+
+      ws.on('close', () => {
+        engine.close();
+        this.engines.delete(engine);
+      });
+
+      engine.start();
+    });
+
+    await new Promise((resolvePromise) => this.httpServer.listen(port, host, resolvePromise));
+
+    const address = this.httpServer.address();
+    return `ws://${host}:${address.port}`;
+  }
+
+  /**
+   * Stop the server and drop all connections
+   */
+  async close() {
+    for (const engine of this.engines) {
+      engine.close();
+    }
+    this.engines.clear();
+
+    if (this.wss) {
+      for (const client of this.wss.clients) {
+        client.terminate();
+      }
+      await new Promise((resolvePromise) => this.wss.close(resolvePromise));
+      this.wss = null;
+    }
+
+    if (this.httpServer) {
+      await new Promise((resolvePromise) => this.httpServer.close(resolvePromise));
+      this.httpServer = null;
+    }
+  }
+}
+
+module.exports = FakeRealtimeServer;
@@ -0,0 +1,442 @@
+// realtime/fake/ScriptedRealtimeEngine.js - Scripted stand-in for the OpenAI Realtime API
+const EventEmitter = require('events');
+
+// 24kHz pcm16 mono = 48 bytes per millisecond
+const PCM16_24K_BYTES_PER_MS = 48;
+
+/**
+ * Speaks the Realtime server event protocol without any network or model.
+ * Used in-process by ScriptedFakeBackend and over a socket by FakeRealtimeServer.
+ *
+ * Script format:
+ * {
+ *   turns: [
+ *     { user: 'mera order kahan hai', assistant: 'Ji, order number batayiye' },
+ *     { user: 'order 12345', tool: { name: 'OrderLookupAgent', arguments: { order_id: '12345' } },
+ *       assistant: 'Aapka order kal tak aa jayega' }   // reply after function_call_output
+ *   ],
+ *   defaultReply: 'Ji, main samajh gayi.',   // used when the script runs out
+ *   turnAudioBytes: 9600,                      // caller audio that counts as one utterance
+ *   audioMsPerWord: 200,                       // length of generated assistant audio
+ *   latencyMs: 0                               // delay between emitted server events
+ * }
+ *
+ * Caller audio is never decoded: every `turnAudioBytes` of appended audio (or an
+ * explicit input_audio_buffer.commit) consumes the next scripted turn.
+ */
+class ScriptedRealtimeEngine extends EventEmitter {
+  constructor(script = {}) {
+    super();
+    this.turns = Array.isArray(script.turns) ? [...script.turns] : [];
+    this.defaultReply = script.defaultReply || 'Ji, main samajh gayi.';
+    this.turnAudioBytes = script.turnAudioBytes || 9600;
+    this.audioMsPerWord = script.audioMsPerWord || 200;
+    this.latencyMs = script.latencyMs || 0;
+
+    this.session = null;
+    this.items = [];
+    this.bufferedAudioBytes = 0;
+    this.activeResponse = null;
+    this.pendingTurn = null; // turn waiting for a function_call_output
+    this.outbox = [];
+    this.drainTimer = null;
+    this.idCounter = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Begin the session (emits session.created)
+   */
+  start() {
+    this.session = {
+      id: this.nextId('sess'),
+      object: 'realtime.session',
+      model: 'scripted-fake',
+      modalities: ['text', 'audio'],
+      voice: 'alloy',
+      input_audio_format: 'pcm16',
+      output_audio_format: 'pcm16',
+      turn_detection: { type: 'server_vad' },
+      tools: []
+    };
+    this.queue({ type: 'session.created', session: { ...this.session } });
+  }
+
+  /**
+   * Append a scripted turn at runtime
+   */
+  pushTurn(turn) {
+    this.turns.push(turn);
+  }
+
+  /**
+   * Simulate the caller saying `transcript` (VAD + transcription + response)
+   * @param {string} transcript - What the caller said
+   * @param {string} assistant - Scripted reply (defaults to defaultReply)
+   */
+  speak(transcript, assistant = null) {
+    this.commitUserTurn({ user: transcript, assistant }, true);
+  }
+
+  /**
+   * Handle a client event
+   */
+  receive(event) {
+    if (this.closed || !event || !event.type) {
+      return;
+    }
+
+    switch (event.type) {
+      case 'session.update':
+        this.session = { ...this.session, ...event.session };
+        this.queue({ type: 'session.updated', session: { ...this.session } });
+        break;
+
+      case 'input_audio_buffer.append': {
+        const bytes = Buffer.from(event.audio || '', 'base64').length;
+        this.bufferedAudioBytes += bytes;
+        if (this.bufferedAudioBytes >= this.turnAudioBytes) {
+          this.bufferedAudioBytes = 0;
+          this.commitUserTurn(this.nextTurn());
+        }
+        break;
+      }
+
+      case 'input_audio_buffer.commit':
+        this.bufferedAudioBytes = 0;
+        this.commitUserTurn(this.nextTurn());
+        break;
+
+      case 'input_audio_buffer.clear':
+        this.bufferedAudioBytes = 0;
+        this.queue({ type: 'input_audio_buffer.cleared' });
+        break;
+
+      case 'conversation.item.create': {
+        const item = { id: event.item.id || this.nextId('item'), ...event.item };
+        this.items.push(item);
+        this.queue({
+          type: 'conversation.item.created',
+          previous_item_id: event.previous_item_id || null,
+          item
+        });
+        break;
+      }
+
+      case 'conversation.item.truncate':
+        this.queue({
+          type: 'conversation.item.truncated',
+          item_id: event.item_id,
+          content_index: event.content_index || 0,
+          audio_end_ms: event.audio_end_ms
+        });
+        break;
+
+      case 'conversation.item.delete':
+        this.items = this.items.filter(item => item.id !== event.item_id);
+        this.queue({ type: 'conversation.item.deleted', item_id: event.item_id });
+        break;
+
+      case 'response.create': {
+        const turn = this.pendingTurn || this.nextTurn();
+        this.pendingTurn = null;
+        this.createResponse(turn, event.response || {});
+        break;
+      }
+
+      case 'response.cancel':
+        this.cancelResponse();
+        break;
+
+      default:
+        this.queue({
+          type: 'error',
+          error: {
+            type: 'invalid_request_error',
+            code: 'unknown_event',
+            message: `Scripted fake does not support ${event.type}`
+          }
+        });
+    }
+  }
+
+  /**
+   * Emit user VAD/transcription events, then respond
+   */
+  commitUserTurn(turn, forceTranscript = false) {
+    const itemId = this.nextId('item');
+    const transcript = turn.user || '';
+
+    this.queue({ type: 'input_audio_buffer.speech_started', item_id: itemId, audio_start_ms: 0 });
+    this.queue({ type: 'input_audio_buffer.speech_stopped', item_id: itemId, audio_end_ms: 0 });
+    this.queue({ type: 'input_audio_buffer.committed', item_id: itemId, previous_item_id: null });
+
+    const item = {
+      id: itemId,
+      type: 'message',
+      role: 'user',
+      content: [{ type: 'input_audio', transcript: null }]
+    };
+    this.items.push(item);
+    this.queue({ type: 'conversation.item.created', previous_item_id: null, item });
+
+    if (transcript || forceTranscript) {
+      this.queue({
+        type: 'conversation.item.input_audio_transcription.completed',
+        item_id: itemId,
+        content_index: 0,
+        transcript
+      });
+    }
+
+    const createResponse = !this.session || !this.session.turn_detection ||
+      this.session.turn_detection.create_response !== false;
+    if (createResponse) {
+      this.createResponse(turn, {});
+    }
+  }
+
+  /**
+   * Emit a full assistant response for a scripted turn
+   */
+  createResponse(turn, options) {
+    if (this.activeResponse) {
+      this.cancelResponse();
+    }
+
+    const responseId = this.nextId('resp');
+    const itemId = this.nextId('item');
+    const modalities = options.modalities || (this.session && this.session.modalities) || ['text', 'audio'];
+    const withAudio = modalities.includes('audio');
+    const text = (turn && turn.assistant) || this.defaultReply;
+
+    this.activeResponse = { id: responseId, itemId };
+
+    if (turn && turn.tool) {
+      this.createFunctionCall(responseId, itemId, turn);
+      return;
+    }
+
+    const outputItem = {
+      id: itemId,
+      object: 'realtime.item',
+      type: 'message',
+      role: 'assistant',
+      status: 'completed',
+      content: [withAudio ? { type: 'audio', transcript: text } : { type: 'text', text }]
+    };
+
+    this.queue({ type: 'response.created', response: { id: responseId, status: 'in_progress', output: [] } }, responseId);
+    this.queue({
+      type: 'response.output_item.added',
+      response_id: responseId,
+      output_index: 0,
+      item: { ...outputItem, status: 'in_progress', content: [] }
+    }, responseId);
+
+    const words = text.split(/\s+/).filter(Boolean);
+
+    if (withAudio) {
+      const audioBytes = Math.max(words.length, 1) * this.audioMsPerWord * PCM16_24K_BYTES_PER_MS;
+      const chunk = Buffer.alloc(Math.min(audioBytes, 4800)).toString('base64');
+      const chunkCount = Math.ceil(audioBytes / 4800);
+
+      words.forEach((word, index) => {
+        this.queue({
+          type: 'response.audio_transcript.delta',
+          response_id: responseId,
+          item_id: itemId,
+          output_index: 0,
+          content_index: 0,
+          delta: index === 0 ? word : ` ${word}`
+        }, responseId);
+      });
+
+      for (let i = 0; i < chunkCount; i++) {
+        this.queue({
+          type: 'response.audio.delta',
+          response_id: responseId,
+          item_id: itemId,
+          output_index: 0,
+          content_index: 0,
+          delta: chunk
+        }, responseId);
+      }
+
+      this.queue({ type: 'response.audio.done', response_id: responseId, item_id: itemId }, responseId);
+      this.queue({
+        type: 'response.audio_transcript.done',
+        response_id: responseId,
+        item_id: itemId,
+        output_index: 0,
+        content_index: 0,
+        transcript: text
+      }, responseId);
+    } else {
+      this.queue({ type: 'response.text.delta', response_id: responseId, item_id: itemId, delta: text }, responseId);
+      this.queue({ type: 'response.text.done', response_id: responseId, item_id: itemId, text }, responseId);
+    }
+
+    this.queue({ type: 'response.output_item.done', response_id: responseId, output_index: 0, item: outputItem }, responseId);
+    this.queue({
+      type: 'response.done',
+      response: {
+        id: responseId,
+        status: 'completed',
+        output: [outputItem],
+        usage: this.buildUsage(words.length, withAudio)
+      }
+    }, responseId, () => {
+      this.items.push(outputItem);
+      if (this.activeResponse && this.activeResponse.id === responseId) {
+        this.activeResponse = null;
+      }
+    });
+  }
+
+  /**
+   * Emit a function_call output item; the scripted reply is held until the
+   * client sends function_call_output + response.create
+   */
+  createFunctionCall(responseId, itemId, turn) {
+    const args = JSON.stringify(turn.tool.arguments || {});
+    const item = {
+      id: itemId,
+      object: 'realtime.item',
+      type: 'function_call',
+      status: 'completed',
+      name: turn.tool.name,
+      call_id: this.nextId('call'),
+      arguments: args
+    };
+
+    this.pendingTurn = { user: turn.user, assistant: turn.assistant };
+
+    this.queue({ type: 'response.created', response: { id: responseId, status: 'in_progress', output: [] } }, responseId);
+    this.queue({
+      type: 'response.output_item.added',
+      response_id: responseId,
+      output_index: 0,
+      item: { ...item, status: 'in_progress', arguments: '' }
+    }, responseId);
+    this.queue({
+      type: 'response.function_call_arguments.delta',
+      response_id: responseId,
+      item_id: itemId,
+      output_index: 0,
+      call_id: item.call_id,
+      delta: args
+    }, responseId);
+    this.queue({
+      type: 'response.function_call_arguments.done',
+      response_id: responseId,
+      item_id: itemId,
+      output_index: 0,
+      call_id: item.call_id,
+      name: item.name,
+      arguments: args
+    }, responseId);
+    this.queue({ type: 'response.output_item.done', response_id: responseId, output_index: 0, item }, responseId);
+    this.queue({
+      type: 'response.done',
+      response: {
+        id: responseId,
+        status: 'completed',
+        output: [item],
+        usage: this.buildUsage(Math.ceil(args.length / 4), false)
+      }
+    }, responseId, () => {
+      this.items.push(item);
+      if (this.activeResponse && this.activeResponse.id === responseId) {
+        this.activeResponse = null;
+      }
+    });
+  }
+
+  /**
+   * Cancel in-flight response
+   */
+  cancelResponse() {
+    if (!this.activeResponse) {
+      return;
+    }
+
+    const { id } = this.activeResponse;
+    this.outbox = this.outbox.filter(entry => entry.responseId !== id);
+    this.activeResponse = null;
+    this.queue({ type: 'response.done', response: { id, status: 'cancelled', output: [] } });
+  }
+
+  /**
+   * Token usage shaped like the real response.done payload
+   */
+  buildUsage(wordCount, withAudio) {
+    const outputText = wordCount * 2;
+    const outputAudio = withAudio ? wordCount * 10 : 0;
+    const inputText = 50 + this.items.length * 5;
+    return {
+      total_tokens: inputText + outputText + outputAudio,
+      input_tokens: inputText,
+      output_tokens: outputText + outputAudio,
+      input_token_details: { text_tokens: inputText, audio_tokens: 0, cached_tokens: 0 },
+      output_token_details: { text_tokens: outputText, audio_tokens: outputAudio }
+    };
+  }
+
+  nextTurn() {
+    return this.turns.shift() || { user: '', assistant: null };
+  }
+
+  nextId(prefix) {
+    this.idCounter++;
+    return `${prefix}_fake_${this.idCounter}`;
+  }
+
+  /**
+   * Queue a server event for asynchronous delivery (preserves ordering)
+   */
+  queue(event, responseId = null, onSent = null) {
+    this.outbox.push({ event: { event_id: this.nextId('event'), ...event }, responseId, onSent });
+    this.scheduleDrain();
+  }
+
+  scheduleDrain() {
+    if (this.drainTimer || this.closed) {
+      return;
+    }
+
+    const deliver = () => {
+      this.drainTimer = null;
+      const entry = this.outbox.shift();
+      if (!entry || this.closed) {
+        return;
+      }
+      if (entry.onSent) {
+        entry.onSent();
+      }
+      this.emit('event', entry.event);
+      if (this.outbox.length > 0) {
+        this.scheduleDrain();
+      }
+    };
+
+    this.drainTimer = this.latencyMs > 0
+      ? setTimeout(deliver, this.latencyMs)
+      : setImmediate(deliver);
+  }
+
+  /**
+   * Stop emitting events
+   */
+  close() {
+    this.closed = true;
+    this.outbox = [];
+    if (this.drainTimer) {
+      clearTimeout(this.drainTimer);
+      clearImmediate(this.drainTimer);
+      this.drainTimer = null;
+    }
+  }
+}
+
+module.exports = ScriptedRealtimeEngine;
@@ -0,0 +1,176 @@
+// realtime/mediaStreams/BaseMediaStreamProtocol.js - Telephony media-stream framing
+/**
+ * Exotel and Twilio stream call audio over a WebSocket as JSON frames:
+ *   connected -> start -> media* (dtmf | mark)* -> stop
+ * and accept media / mark / clear frames back. Both use the same events and
+ * differ only in field naming (stream_sid vs streamSid) and default audio
+ * format, so providers subclass this and declare a field map.
+ *
+ * parse() normalizes an inbound frame to:
+ *   { event, streamSid, sequenceNumber, ... }
+ *   start: callSid, accountSid, from, to, tracks, customParameters, mediaFormat
+ *   media: payload (Buffer), track, chunk, timestamp
+ *   dtmf:  digit, duration
+ *   mark:  name
+ */
+class BaseMediaStreamProtocol {
+  constructor() {
+    this.name = 'base';
+
+    // Normalized name -> provider field name
+    this.fields = {
+      streamSid: 'streamSid',
+      callSid: 'callSid',
+      accountSid: 'accountSid',
+      sequenceNumber: 'sequenceNumber',
+      customParameters: 'customParameters',
+      mediaFormat: 'mediaFormat',
+      sampleRate: 'sampleRate'
+    };
+
+    // Assumed when the start frame carries no media format
+    this.defaultMediaFormat = { encoding: 'audio/x-l16', sampleRate: 8000, channels: 1 };
+  }
+
+  /**
+   * Parse an inbound frame
+   * @param {string|object} raw - JSON text or already-parsed frame
+   * @returns {object|null} Normalized event, null if not a media-stream frame
+   */
+  parse(raw) {
+    let frame = raw;
+    if (typeof raw === 'string') {
+      try {
+        frame = JSON.parse(raw);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    if (!frame || typeof frame !== 'object' || typeof frame.event !== 'string') {
+      return null;
+    }
+
+    const f = this.fields;
+    const event = {
+      event: frame.event,
+      streamSid: frame[f.streamSid] || null,
+      sequenceNumber: frame[f.sequenceNumber] !== undefined ? Number(frame[f.sequenceNumber]) : null
+    };
+
+    switch (frame.event) {
+      case 'connected':
+        event.protocol = frame.protocol || null;
+        event.version = frame.version || null;
+        break;
+
+      case 'start': {
+        const start = frame.start || {};
+        event.streamSid = event.streamSid || start[f.streamSid] || null;
+        event.callSid = start[f.callSid] || null;
+        event.accountSid = start[f.accountSid] || null;
+        event.from = start.from || null;
+        event.to = start.to || null;
+        event.tracks = start.tracks || null;
+        event.customParameters = start[f.customParameters] || {};
+        event.mediaFormat = this.parseMediaFormat(start[f.mediaFormat]);
+        break;
+      }
+
+      case 'media': {
+        const media = frame.media || {};
+        event.payload = Buffer.from(media.payload || '', 'base64');
+        event.track = media.track || 'inbound';
+        event.chunk = media.chunk !== undefined ? Number(media.chunk) : null;
+        event.timestamp = media.timestamp !== undefined ? Number(media.timestamp) : null;
+        break;
+      }
+
+      case 'dtmf': {
+        const dtmf = frame.dtmf || {};
+        event.digit = dtmf.digit !== undefined ? String(dtmf.digit) : null;
+        event.duration = dtmf.duration !== undefined ? Number(dtmf.duration) : null;
+        break;
+      }
+
+      case 'mark':
+        event.name = (frame.mark && frame.mark.name) || null;
+        break;
+
+      case 'stop': {
+        const stop = frame.stop || {};
+        event.callSid = stop[f.callSid] || null;
+        event.reason = stop.reason || null;
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    return event;
+  }
+
+  /**
+   * Normalize the provider's media format block
+   */
+  parseMediaFormat(format) {
+    if (!format) {
+      return { ...this.defaultMediaFormat };
+    }
+
+    return {
+      encoding: format.encoding || this.defaultMediaFormat.encoding,
+      sampleRate: Number(format[this.fields.sampleRate]) || this.defaultMediaFormat.sampleRate,
+      channels: Number(format.channels) || this.defaultMediaFormat.channels
+    };
+  }
+
+  /**
+   * Outbound audio frame
+   * @param {string} streamSid
+   * @param {Buffer} audio - Audio already in the stream's media format
+   */
+  buildMedia(streamSid, audio) {
+    return {
+      event: 'media',
+      [this.fields.streamSid]: streamSid,
+      media: { payload: Buffer.from(audio).toString('base64') }
+    };
+  }
+
+  /**
+   * Mark frame - echoed back by the provider once audio sent before it has played
+   */
+  buildMark(streamSid, name) {
+    return {
+      event: 'mark',
+      [this.fields.streamSid]: streamSid,
+      mark: { name }
+    };
+  }
+
+  /**
+   * Clear frame - drops audio buffered on the provider side
+   */
+  buildClear(streamSid) {
+    return {
+      event: 'clear',
+      [this.fields.streamSid]: streamSid
+    };
+  }
+
+  /**
+   * Whether a parsed-JSON frame uses this provider's field naming
+   */
+  matches(frame) {
+    if (!frame || typeof frame !== 'object') return false;
+    const f = this.fields;
+    const start = frame.start || {};
+    return frame[f.streamSid] !== undefined ||
+      frame[f.sequenceNumber] !== undefined ||
+      start[f.streamSid] !== undefined;
+  }
+}
+
+module.exports = BaseMediaStreamProtocol;
@@ -0,0 +1,25 @@
+// realtime/mediaStreams/ExotelMediaStream.js - Exotel Voicebot/Stream applet framing
+const BaseMediaStreamProtocol = require('./BaseMediaStreamProtocol');
+
+/**
+ * Exotel uses snake_case fields (stream_sid, call_sid, media_format) and
+ * streams 16-bit linear PCM at 8 kHz unless configured otherwise.
+ */
+class ExotelMediaStream extends BaseMediaStreamProtocol {
+  constructor() {
+    super();
+    this.name = 'exotel';
+    this.fields = {
+      streamSid: 'stream_sid',
+      callSid: 'call_sid',
+      accountSid: 'account_sid',
+      sequenceNumber: 'sequence_number',
+      customParameters: 'custom_parameters',
+      mediaFormat: 'media_format',
+      sampleRate: 'sample_rate'
+    };
+    this.defaultMediaFormat = { encoding: 'raw/slin', sampleRate: 8000, channels: 1 };
+  }
+}
+
+module.exports = ExotelMediaStream;
@@ -0,0 +1,255 @@
+// realtime/mediaStreams/MediaStreamConnection.js - One telephony media-stream WebSocket
+const WebSocket = require('ws');
+const EventEmitter = require('events');
+const resolve = require('../../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const { getMediaStreamProtocol, detectMediaStreamProtocol, DEFAULT_PROTOCOL } = require('./protocols');
+
+// Outbound audio produced before the provider's start frame (greeting)
+const MAX_QUEUED_OUTBOUND_CHUNKS = 200;
+
+/**
+ * Wraps the /audio WebSocket of a single call. Parses provider frames,
+ * frames outbound audio with the stream SID and tracks playback with marks.
+ *
+ * Frames that are binary or not JSON are treated as raw audio and answered
+ * with raw audio (legacy streaming mode).
+ *
+ * Events emitted:
+ *   'connected' - provider handshake
+ *   'start'     - { provider, streamSid, callSid, accountSid, mediaFormat, customParameters }
+ *   'media'     - { payload, track, chunk, timestamp }
+ *   'dtmf'      - { digit, duration }
+ *   'mark'      - { name, pendingMarks } once audio sent before the mark has played
+ *   'cleared'   - { droppedMarks } after clear()
+ *   'stop'      - { streamSid, callSid, reason }
+ */
+class MediaStreamConnection extends EventEmitter {
+  /**
+   * @param {WebSocket} ws - Accepted /audio socket
+   * @param {object} options
+   * @param {string} options.callId - Call identifier (for logging)
+   * @param {string} options.provider - exotel | twilio (detected from frames if omitted)
+   */
+  constructor(ws, options = {}) {
+    super();
+    this.ws = ws;
+    this.callId = options.callId || null;
+    this.protocol = options.provider ? getMediaStreamProtocol(options.provider) : null;
+
+    this.streamSid = null;
+    this.callSid = null;
+    this.mediaFormat = null;
+    this.rawMode = false;
+
+    this.outboundQueue = [];
+    this.pendingMarks = []; // mark names sent, in playback order
+    this.markSequence = 0;
+    this.audioSinceMark = false;
+
+    this.ws.on('message', (data, isBinary) => this.handleMessage(data, isBinary));
+  }
+
+  get provider() {
+    return this.protocol ? this.protocol.name : null;
+  }
+
+  /**
+   * Handle one inbound WebSocket message
+   */
+  handleMessage(data, isBinary = false) {
+    if (isBinary) {
+      this.handleRawAudio(data);
+      return;
+    }
+
+    let frame;
+    try {
+      frame = JSON.parse(data.toString());
+    } catch (error) {
+      this.handleRawAudio(data);
+      return;
+    }
+
+    if (!this.protocol) {
+      this.protocol = detectMediaStreamProtocol(frame);
+    }
+
+    const event = (this.protocol || getMediaStreamProtocol(DEFAULT_PROTOCOL)).parse(frame);
+    if (!event) {
+      logger.debug('Ignoring non media-stream frame', { callId: this.callId });
+      return;
+    }
+
+    switch (event.event) {
+      case 'connected':
+        this.emit('connected', event);
+        break;
+
+      case 'start':
+        this.handleStart(event);
+        break;
+
+      case 'media':
+        // With track=both_tracks providers also echo our own audio back
+        if (event.track !== 'inbound' && event.track !== 'inbound_track') {
+          return;
+        }
+        this.emit('media', event);
+        break;
+
+      case 'dtmf':
+        // Never the digit: it may be part of a PIN or OTP
+        logger.info('DTMF received', { callId: this.callId });
+        this.emit('dtmf', event);
+        break;
+
+      case 'mark':
+        this.handleMark(event);
+        break;
+
+      case 'stop':
+        logger.info('Media stream stopped', { callId: this.callId, streamSid: this.streamSid });
+        this.emit('stop', event);
+        break;
+
+      default:
+        logger.debug('Unhandled media stream event', { callId: this.callId, event: event.event });
+    }
+  }
+
+  handleStart(event) {
+    if (!this.protocol) {
+      this.protocol = getMediaStreamProtocol(DEFAULT_PROTOCOL);
+    }
+
+    this.streamSid = event.streamSid;
+    this.callSid = event.callSid;
+    this.mediaFormat = event.mediaFormat;
+
+    logger.info('Media stream started', {
+      callId: this.callId,
+      provider: this.provider,
+      streamSid: this.streamSid,
+      callSid: this.callSid,
+      mediaFormat: this.mediaFormat
+    });
+
+    this.emit('start', {
+      provider: this.provider,
+      streamSid: event.streamSid,
+      callSid: event.callSid,
+      accountSid: event.accountSid,
+      from: event.from,
+      to: event.to,
+      mediaFormat: event.mediaFormat,
+      customParameters: event.customParameters
+    });
+
+    // Audio generated before the stream was ready (e.g. greeting)
+    const queued = this.outboundQueue;
+    this.outboundQueue = [];
+    queued.forEach(chunk => this.sendAudio(chunk));
+  }
+
+  handleMark(event) {
+    // Marks are echoed in order; anything queued before this one has played too
+    const index = this.pendingMarks.indexOf(event.name);
+    if (index !== -1) {
+      this.pendingMarks.splice(0, index + 1);
+    }
+
+    this.emit('mark', { name: event.name, pendingMarks: this.pendingMarks.length });
+  }
+
+  handleRawAudio(data) {
+    this.rawMode = true;
+    this.emit('media', {
+      event: 'media',
+      payload: Buffer.from(data),
+      track: 'inbound',
+      chunk: null,
+      timestamp: null
+    });
+  }
+
+  /**
+   * Send assistant audio to the caller
+   * @param {Buffer} audio - Audio in the stream's media format
+   */
+  sendAudio(audio) {
+    if (this.rawMode) {
+      this.sendRaw(audio);
+      return;
+    }
+
+    if (!this.streamSid) {
+      if (this.outboundQueue.length < MAX_QUEUED_OUTBOUND_CHUNKS) {
+        this.outboundQueue.push(audio);
+      }
+      return;
+    }
+
+    this.sendFrame(this.protocol.buildMedia(this.streamSid, audio));
+    this.audioSinceMark = true;
+  }
+
+  /**
+   * Mark the end of the audio sent so far
+   * @param {string} name - Mark name (generated if omitted)
+   * @returns {string|null} Mark name, null if the stream has no SID
+   */
+  sendMark(name = null) {
+    if (this.rawMode || !this.streamSid) {
+      return null;
+    }
+
+    const markName = name || `mark-${++this.markSequence}`;
+    this.pendingMarks.push(markName);
+    this.audioSinceMark = false;
+    this.sendFrame(this.protocol.buildMark(this.streamSid, markName));
+    return markName;
+  }
+
+  /**
+   * Drop assistant audio the provider has buffered but not yet played
+   * @returns {boolean} Whether a clear was sent
+   */
+  clear() {
+    this.outboundQueue = [];
+
+    if (this.rawMode || !this.streamSid || !this.isPlaying()) {
+      return false;
+    }
+
+    const droppedMarks = this.pendingMarks;
+    this.pendingMarks = [];
+    this.audioSinceMark = false;
+    this.sendFrame(this.protocol.buildClear(this.streamSid));
+
+    logger.debug('Media stream cleared', { callId: this.callId, droppedMarks: droppedMarks.length });
+    this.emit('cleared', { droppedMarks });
+    return true;
+  }
+
+  /**
+   * Whether sent audio may still be playing to the caller
+   */
+  isPlaying() {
+    return this.pendingMarks.length > 0 || this.audioSinceMark;
+  }
+
+  sendFrame(frame) {
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(frame));
+    }
+  }
+
+  sendRaw(audio) {
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(audio);
+    }
+  }
+}
+
+module.exports = MediaStreamConnection;
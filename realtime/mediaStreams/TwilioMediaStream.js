@@ -0,0 +1,16 @@
+// realtime/mediaStreams/TwilioMediaStream.js - Twilio <Stream> framing
+const BaseMediaStreamProtocol = require('./BaseMediaStreamProtocol');
+
+/**
+ * Twilio uses camelCase fields (streamSid, callSid, mediaFormat) and
+ * streams 8 kHz mu-law.
+ */
+class TwilioMediaStream extends BaseMediaStreamProtocol {
+  constructor() {
+    super();
+    this.name = 'twilio';
+    this.defaultMediaFormat = { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 };
+  }
+}
+
+module.exports = TwilioMediaStream;
@@ -0,0 +1,20 @@
+// realtime/mediaStreams/index.js - Telephony media streams (Exotel, Twilio)
+const ExotelMediaStream = require('./ExotelMediaStream');
+const TwilioMediaStream = require('./TwilioMediaStream');
+const MediaStreamConnection = require('./MediaStreamConnection');
+const {
+  getMediaStreamProtocol,
+  detectMediaStreamProtocol,
+  PROTOCOLS,
+  DEFAULT_PROTOCOL
+} = require('./protocols');
+
+module.exports = {
+  getMediaStreamProtocol,
+  detectMediaStreamProtocol,
+  PROTOCOLS,
+  DEFAULT_PROTOCOL,
+  ExotelMediaStream,
+  TwilioMediaStream,
+  MediaStreamConnection
+};
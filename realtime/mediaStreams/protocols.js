@@ -0,0 +1,45 @@
+// realtime/mediaStreams/protocols.js - Media-stream protocol lookup
+const ExotelMediaStream = require('./ExotelMediaStream');
+const TwilioMediaStream = require('./TwilioMediaStream');
+
+const PROTOCOLS = {
+  exotel: ExotelMediaStream,
+  twilio: TwilioMediaStream
+};
+
+const DEFAULT_PROTOCOL = 'exotel';
+
+/**
+ * Protocol instance by provider name
+ * @param {string} provider - exotel | twilio
+ */
+function getMediaStreamProtocol(provider) {
+  const Protocol = PROTOCOLS[(provider || DEFAULT_PROTOCOL).toLowerCase()];
+
+  if (!Protocol) {
+    throw new Error(`Unknown media stream provider: ${provider}`);
+  }
+
+  return new Protocol();
+}
+
+/**
+ * Guess the provider from a parsed frame's field naming
+ * @returns {object|null} Protocol instance, null if the frame carries no SID
+ */
+function detectMediaStreamProtocol(frame) {
+  for (const Protocol of Object.values(PROTOCOLS)) {
+    const protocol = new Protocol();
+    if (protocol.matches(frame)) {
+      return protocol;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  getMediaStreamProtocol,
+  detectMediaStreamProtocol,
+  PROTOCOLS,
+  DEFAULT_PROTOCOL
+};
@@ -0,0 +1,231 @@
+// realtime/recording/StsEventRecorder.js - Persist a call's ordered STS event stream
+const resolve = require('../../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const db = require(resolve('db/postgres'));
+const wasabiStorage = require(resolve('services/wasabiStorage'));
+const piiRedactionService = require(resolve('services/piiRedactionService'));
+const { MODEL_AUDIO_FORMAT } = require('../audio/formats');
+
+// Events are written in batches, not one insert per audio delta
+const FLUSH_INTERVAL_MS = 2000;
+const FLUSH_BATCH_SIZE = 100;
+// Audio kept per direction (~10 minutes of 24 kHz pcm16)
+const MAX_AUDIO_BYTES = 24000 * 2 * 60 * 10;
+
+// Events whose base64 audio goes to Wasabi instead of the event row
+const AUDIO_FIELDS = {
+  'input_audio_buffer.append': { track: 'inbound', field: 'audio' },
+  'response.audio.delta': { track: 'outbound', field: 'delta' }
+};
+
+// What the caller and the model said, tool arguments and injected context
+// (keypad values, read-backs) - masked before the event is stored
+const TEXT_FIELDS = new Set(['transcript', 'text', 'delta', 'arguments', 'output']);
+
+/**
+ * Records every client event sent and server event received by an
+ * STSSession, in order. Audio payloads are replaced by a reference
+ * ({ track, offset, bytes }) into one pcm16 buffer per direction, which
+ * is uploaded to Wasabi when the call ends. Text fields are masked with
+ * the call's PII redaction policy.
+ *
+ * Recording never throws into the call: storage failures are logged.
+ */
+class StsEventRecorder {
+  /**
+   * @param {string} callId
+   * @param {object} options - { clientId, redaction (PII policy), flushIntervalMs, batchSize, maxAudioBytes }
+   */
+  constructor(callId, options = {}) {
+    this.callId = callId;
+    this.clientId = options.clientId || null;
+    this.redaction = options.redaction || null;
+    this.flushIntervalMs = options.flushIntervalMs || FLUSH_INTERVAL_MS;
+    this.batchSize = options.batchSize || FLUSH_BATCH_SIZE;
+    this.maxAudioBytes = options.maxAudioBytes || MAX_AUDIO_BYTES;
+
+    this.startedAt = Date.now();
+    this.seq = 0;
+    this.pending = []; // events not yet written
+    this.audio = {
+      inbound: { chunks: [], bytes: 0 },
+      outbound: { chunks: [], bytes: 0 }
+    };
+    this.audioTruncated = false;
+    this.flushing = Promise.resolve();
+    this.flushTimer = null;
+    this.ready = null; // recording row insert
+    this.finished = false;
+  }
+
+  /**
+   * Create the recording row and start periodic flushing
+   * @param {object} meta - { backend, intentMode }
+   */
+  start(meta = {}) {
+    this.ready = db.stsRecordings.create({
+      call_id: this.callId,
+      client_id: this.clientId,
+      backend: meta.backend,
+      intent_mode: meta.intentMode,
+      audio_format: MODEL_AUDIO_FORMAT
+    }).catch(error => {
+      logger.error('Could not start STS event recording', { callId: this.callId, error: error.message });
+    });
+
+    this.flushTimer = setInterval(() => this.flush(), this.flushIntervalMs);
+    if (this.flushTimer.unref) {
+      this.flushTimer.unref();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Record one event
+   * @param {string} direction - client | server | meta
+   * @param {object} event - Realtime event (not modified)
+   */
+  record(direction, event) {
+    if (this.finished || !event || !event.type) {
+      return;
+    }
+
+    let payload = event;
+    const audioField = AUDIO_FIELDS[event.type];
+    if (audioField && typeof event[audioField.field] === 'string') {
+      const { [audioField.field]: encoded, ...rest } = event;
+      payload = { ...rest, audio: this.storeAudio(audioField.track, Buffer.from(encoded, 'base64')) };
+    }
+    payload = this.maskText(payload);
+
+    this.seq++;
+    this.pending.push({
+      seq: this.seq,
+      offset_ms: Date.now() - this.startedAt,
+      direction,
+      event_type: event.type,
+      payload
+    });
+
+    if (this.pending.length >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Copy of an event part with its text fields masked (at any depth:
+   * item.content[].text, item.arguments...)
+   */
+  maskText(value) {
+    if (Array.isArray(value)) {
+      return value.map(part => this.maskText(part));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+      key,
+      TEXT_FIELDS.has(key) && typeof field === 'string'
+        ? piiRedactionService.mask(field, this.redaction)
+        : this.maskText(field)
+    ]));
+  }
+
+  /**
+   * Append audio to its track
+   * @returns {object} { track, offset, bytes } (offset null once the track is full)
+   */
+  storeAudio(trackName, chunk) {
+    const track = this.audio[trackName];
+
+    if (track.bytes + chunk.length > this.maxAudioBytes) {
+      this.audioTruncated = true;
+      return { track: trackName, offset: null, bytes: chunk.length };
+    }
+
+    const reference = { track: trackName, offset: track.bytes, bytes: chunk.length };
+    track.chunks.push(chunk);
+    track.bytes += chunk.length;
+    return reference;
+  }
+
+  /**
+   * Write pending events (serialized, so batches land in order)
+   */
+  flush() {
+    if (this.pending.length === 0) {
+      return this.flushing;
+    }
+
+    const batch = this.pending;
+    this.pending = [];
+
+    this.flushing = this.flushing
+      .then(() => this.ready)
+      .then(() => db.stsRecordings.appendEvents(this.callId, batch))
+      .catch(error => {
+        logger.error('Could not save STS events', { callId: this.callId, events: batch.length, error: error.message });
+      });
+
+    return this.flushing;
+  }
+
+  /**
+   * Flush remaining events, upload audio and close the recording
+   * @returns {object} { eventCount, inboundAudioUrl, outboundAudioUrl, audioTruncated }
+   */
+  async finish() {
+    if (this.finished) {
+      return null;
+    }
+    this.finished = true;
+
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    await this.flush();
+
+    const summary = {
+      eventCount: this.seq,
+      inboundAudioUrl: await this.uploadTrack('inbound'),
+      outboundAudioUrl: await this.uploadTrack('outbound'),
+      audioTruncated: this.audioTruncated
+    };
+
+    try {
+      await this.ready;
+      await db.stsRecordings.finish(this.callId, {
+        event_count: summary.eventCount,
+        inbound_audio_url: summary.inboundAudioUrl,
+        outbound_audio_url: summary.outboundAudioUrl,
+        audio_truncated: summary.audioTruncated
+      });
+    } catch (error) {
+      logger.error('Could not finish STS event recording', { callId: this.callId, error: error.message });
+    }
+
+    logger.info('STS event recording saved', { callId: this.callId, ...summary });
+    return summary;
+  }
+
+  async uploadTrack(trackName) {
+    const track = this.audio[trackName];
+    if (track.bytes === 0) {
+      return null;
+    }
+
+    try {
+      return await wasabiStorage.uploadStsAudio(this.callId, trackName, Buffer.concat(track.chunks));
+    } catch (error) {
+      logger.error('Could not upload STS audio', { callId: this.callId, track: trackName, error: error.message });
+      return null;
+    } finally {
+      track.chunks = [];
+    }
+  }
+}
+
+module.exports = StsEventRecorder;
@@ -0,0 +1,255 @@
+// realtime/recording/callReplayer.js - Re-run a recorded call through CallSessionManager
+const resolve = require('../../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const db = require(resolve('db/postgres'));
+const wasabiStorage = require(resolve('services/wasabiStorage'));
+const BaseAgent = require(resolve('agents/BaseAgent'));
+const sessionManager = require(resolve('sessions/CallSessionManager'));
+const ReplayBackend = require('../backends/ReplayBackend');
+
+const AGENT_EVENTS = ['agent_needs_info', 'agent_completed', 'agent_error', 'agent_cancelled'];
+
+/**
+ * Load a recorded call from the database (and its audio from Wasabi)
+ * @param {string} callId
+ * @param {object} options - { withAudio } download audio tracks (default false: silence is used)
+ * @returns {object} { call, recording, events, audio }
+ */
+async function loadRecording(callId, { withAudio = false } = {}) {
+  const recording = await db.stsRecordings.getByCall(callId);
+  if (!recording) {
+    throw new Error(`No STS event recording for call ${callId}`);
+  }
+
+  const [call, events] = await Promise.all([
+    db.calls.getById(callId),
+    db.stsRecordings.getEvents(callId)
+  ]);
+
+  const audio = {};
+  if (withAudio) {
+    for (const track of ['inbound', 'outbound']) {
+      const url = recording[`${track}_audio_url`];
+      if (url) {
+        const data = await wasabiStorage.downloadCallRecording(url);
+        audio[track] = data ? Buffer.from(data) : null;
+      }
+    }
+  }
+
+  return { call: call || { id: callId, client_id: recording.client_id }, recording, events, audio };
+}
+
+/**
+ * Agent results the original call returned to the model, per agent type,
+ * taken from the recorded function_call_output events
+ */
+function extractAgentResults(events) {
+  const toolNames = new Map(); // function call_id -> agent type
+  const results = {};
+
+  for (const { direction, payload } of events) {
+    const item = payload && payload.item;
+    if (!item) continue;
+
+    if (direction === 'server' && payload.type === 'response.output_item.done' && item.type === 'function_call') {
+      toolNames.set(item.call_id, item.name);
+    }
+
+    if (direction === 'client' && payload.type === 'conversation.item.create' && item.type === 'function_call_output') {
+      const agentType = toolNames.get(item.call_id);
+      let output;
+      try {
+        output = JSON.parse(item.output);
+      } catch (error) {
+        continue;
+      }
+      // Superseded calls are answered by the session, not the agent
+      if (!agentType || output.status === 'superseded') continue;
+      (results[agentType] = results[agentType] || []).push(output);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Text-mode calls (conversation simulator) configured the session without audio
+ */
+function isTextOnly(events) {
+  const update = events.find(entry => entry.direction === 'client' && entry.event_type === 'session.update');
+  const modalities = update && update.payload.session && update.payload.session.modalities;
+  return Array.isArray(modalities) && !modalities.includes('audio');
+}
+
+/**
+ * Stand-ins for every registered agent. Each launch returns the next
+ * recorded result for its type (or an override), without touching
+ * Shopify, the database or anything else.
+ * @param {string[]} agentTypes
+ * @param {object} recordedResults - From extractAgentResults()
+ * @param {object} overrides - { AgentType: result | result[] } used before recorded results
+ */
+function buildMockAgentRegistry(agentTypes, recordedResults = {}, overrides = {}) {
+  const registry = {};
+
+  for (const agentType of agentTypes) {
+    const override = overrides[agentType];
+    const queue = [
+      ...(override ? [].concat(override) : []),
+      ...(recordedResults[agentType] || [])
+    ];
+
+    class MockAgent extends BaseAgent {
+      async execute() {
+        // Complete asynchronously, like a real agent
+        await Promise.resolve();
+        if (this.isCancelled) return;
+
+        const output = queue.shift() || { success: true, details: `${agentType} completed (replay)` };
+
+        if (output.status === 'needs_info') {
+          this.state = 'WAITING_FOR_INFO';
+          this.emit('need_info', { field: output.missing_field, prompt: `${output.missing_field} required` });
+          return;
+        }
+
+        if (output.status === 'error') {
+          this.handleError(new Error(output.message || `${agentType} failed (replay)`));
+          return;
+        }
+
+        this.state = 'RUNNING';
+        this.complete({
+          ...output,
+          success: Boolean(output.success),
+          contextUpdate: output.contextUpdate || output.details
+        });
+      }
+    }
+
+    // Orchestrator reports agents by class name
+    Object.defineProperty(MockAgent, 'name', { value: agentType });
+    registry[agentType] = MockAgent;
+  }
+
+  return registry;
+}
+
+/**
+ * Feed a recorded call back through CallSessionManager
+ * Nothing is written to the database or Wasabi.
+ *
+ * @param {object} recording - From loadRecording() (or an exported copy)
+ * @param {object} options
+ * @param {boolean} options.mockAgents - Replace agents with recorded results (default true)
+ * @param {object} options.agentResults - Per-agent result overrides for the mocks
+ * @param {number} options.clientWaitMs - See ReplayBackend
+ * @returns {object} { callId, eventsReplayed, divergences, intents, agentEvents, transcript }
+ */
+async function replayCall(recording, options = {}) {
+  const { mockAgents = true, agentResults = {}, clientWaitMs } = options;
+  const callId = recording.call.id;
+  const replayCallId = `replay-${callId}`;
+  const orchestrator = sessionManager.agentOrchestrator;
+
+  // Played once the session exists, so typed caller turns can be sent back in
+  const backend = new ReplayBackend({
+    events: recording.events,
+    audio: recording.audio,
+    clientWaitMs,
+    autoplay: false
+  });
+  const replayDone = new Promise(resolvePromise => backend.once('replay_done', resolvePromise));
+
+  const report = { callId, replayCallId, intents: [], agentEvents: [] };
+  const listeners = [];
+  const listen = (emitter, eventName, handler) => {
+    emitter.on(eventName, handler);
+    listeners.push({ emitter, eventName, handler });
+  };
+  // Report covers the recording only, not cancellations while ending the session
+  const stopListening = () => {
+    listeners.splice(0).forEach(({ emitter, eventName, handler }) => emitter.removeListener(eventName, handler));
+  };
+
+  listen(backend, 'caller_text', (text) => {
+    try {
+      sessionManager.sendUserText(replayCallId, text);
+    } catch (error) {
+      logger.warn('Could not replay caller text', { callId, error: error.message });
+    }
+  });
+  listen(sessionManager, 'intent_detected', (data) => {
+    if (data.callId !== replayCallId) return;
+    report.intents.push({ source: data.source, intent: data.intent, agentType: data.agentType, entities: data.entities });
+  });
+  AGENT_EVENTS.forEach(eventName => listen(orchestrator, eventName, (data) => {
+    if (data.callId !== replayCallId) return;
+    report.agentEvents.push({
+      event: eventName,
+      agentType: data.agentType || null,
+      ...(data.field ? { field: data.field } : {}),
+      ...(data.result ? { success: Boolean(data.result.success) } : {})
+    });
+  }));
+
+  // Tool definitions come from the real agents
+  orchestrator.getToolDefinitions();
+  const realRegistry = orchestrator.agentRegistry;
+  if (mockAgents) {
+    orchestrator.agentRegistry = buildMockAgentRegistry(
+      Object.keys(realRegistry),
+      extractAgentResults(recording.events),
+      agentResults
+    );
+  }
+
+  logger.info('Replaying call', { callId, events: recording.events.length, mockAgents });
+
+  try {
+    const session = await sessionManager.createSession(replayCallId, {
+      ...recording.call,
+      intent_mode: recording.recording && recording.recording.intent_mode,
+      record_events: false
+    }, {
+      backend,
+      backendType: 'replay',
+      persist: false,
+      textMode: isTextOnly(recording.events)
+    });
+
+    backend.play();
+    const { eventsReplayed, divergences } = await replayDone;
+
+    report.transcript = session.stsSession.getConversationHistory()
+      .filter(entry => entry.role !== 'system')
+      .map(entry => ({ role: entry.role, content: entry.content, ...(entry.interrupted ? { interrupted: true } : {}) }));
+    report.eventsReplayed = eventsReplayed;
+    report.divergences = divergences;
+
+    stopListening();
+    await sessionManager.endSession(replayCallId);
+  } finally {
+    stopListening();
+    orchestrator.agentRegistry = realRegistry;
+    if (sessionManager.getSession(replayCallId)) {
+      await sessionManager.endSession(replayCallId);
+    }
+  }
+
+  logger.info('Call replay finished', {
+    callId,
+    eventsReplayed: report.eventsReplayed,
+    divergences: report.divergences.length
+  });
+
+  return report;
+}
+
+module.exports = {
+  loadRecording,
+  extractAgentResults,
+  buildMockAgentRegistry,
+  replayCall
+};
@@ -0,0 +1,105 @@
+// realtime/simulatorSocket.js - /simulator WebSocket for the text-mode conversation simulator
+const resolve = require('../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const WebSocket = require('ws');
+const conversationSimulator = require(resolve('services/conversationSimulator'));
+
+/**
+ * One authenticated simulator connection. JSON messages:
+ *
+ * client -> server
+ *   { type: 'start', title?, backend?, intent_mode?, script? }   new run
+ *   { type: 'user_text', text }                                  one turn
+ *   { type: 'end' }                                              end the run
+ *
+ * server -> client
+ *   { type: 'run_started', run }
+ *   { type: 'assistant_text' | 'intent' | 'agent_event', ... }   live, during a turn
+ *   { type: 'turn', turn }                                       turn finished
+ *   { type: 'run_ended', run }
+ *   { type: 'error', error }
+ *
+ * A run started on the socket ends when the socket closes, like hanging up.
+ *
+ * @param {WebSocket} ws
+ * @param {object} user - Authenticated user (authenticateSocket)
+ */
+function handleSimulatorSocket(ws, user) {
+  const clientId = user.client_id;
+  let runId = null;
+
+  const send = (message) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
+
+  const handlers = {
+    start: async (message) => {
+      if (runId) {
+        throw new Error('A run is already active on this connection');
+      }
+      const { title, backend, intent_mode, script } = message;
+      const run = await conversationSimulator.startRun(clientId, user.id, { title, backend, intent_mode, script });
+      runId = run.id;
+      send({ type: 'run_started', run });
+    },
+
+    user_text: async (message) => {
+      if (!runId) {
+        throw new Error('Start a run first');
+      }
+      const turn = await conversationSimulator.sendTurn(clientId, runId, message.text, { onEvent: send });
+      send({ type: 'turn', turn });
+    },
+
+    end: async () => {
+      if (!runId) {
+        throw new Error('No active run');
+      }
+      const run = await conversationSimulator.endRun(clientId, runId);
+      runId = null;
+      send({ type: 'run_ended', run });
+    }
+  };
+
+  ws.on('message', async (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      send({ type: 'error', error: 'Messages must be JSON' });
+      return;
+    }
+
+    const handler = message && handlers[message.type];
+    if (!handler) {
+      send({ type: 'error', error: `Unknown message type: ${message && message.type}` });
+      return;
+    }
+
+    try {
+      await handler(message);
+    } catch (error) {
+      if (!error.statusCode || error.statusCode >= 500) {
+        logger.error('Simulator socket error', { clientId, runId, type: message.type, error: error.message });
+      }
+      send({ type: 'error', error: error.message });
+    }
+  });
+
+  ws.on('close', async () => {
+    if (!runId) return;
+    try {
+      await conversationSimulator.endRun(clientId, runId);
+    } catch (error) {
+      logger.warn('Could not end simulator run on close', { clientId, runId, error: error.message });
+    }
+  });
+
+  ws.on('error', (error) => {
+    logger.error('Simulator WebSocket error', { clientId, error: error.message });
+  });
+}
+
+module.exports = { handleSimulatorSocket };
@@ -1,24 +1,72 @@
 // realtime/stsSession.js - OpenAI Realtime API (Speech-to-Speech Mode)
-const WebSocket = require('ws');
 const resolve = require('../utils/moduleResolver');
 const logger = require(resolve('utils/logger'));
 const EventEmitter = require('events');
+const { createSpeechBackend } = require('./backends');
+const promptTemplateService = require(resolve('services/promptTemplateService'));
+const { DEFAULT_PERSONA } = require(resolve('config/promptDefaults'));
+const { MODEL_AUDIO_FORMAT, bytesPerMs } = require('./audio/formats');
 
 // Reconnection settings
 const MAX_RECONNECT_ATTEMPTS = 3;
-const RECONNECT_DELAY_MS = 1000;
+const RECONNECT_DELAY_MS = 1000; // doubled on every attempt
+// Conversation items replayed into a fresh session
+const MAX_REPLAY_ITEMS = 30;
+// Caller audio kept while reconnecting (~10s of 24kHz pcm16)
+const MAX_PENDING_AUDIO_BYTES = 24000 * 2 * 10;
+
+/**
+ * Words of an assistant reply the caller heard before interrupting,
+ * assuming speech is spread evenly over the audio
+ */
+function heardPortion(text, playedMs, totalMs) {
+  if (!text || totalMs <= 0 || playedMs >= totalMs) {
+    return text;
+  }
+
+  const words = text.split(/\s+/).filter(Boolean);
+  const heard = Math.floor(words.length * (playedMs / totalMs));
+  return words.slice(0, heard).join(' ');
+}
 
 class STSSession extends EventEmitter {
-  constructor(apiKey) {
+  /**
+   * @param {string} apiKey - OpenAI API key
+   * @param {object} options
+   * @param {object} options.backend - Pre-built speech backend
+   * @param {string} options.backendType - openai | cascaded | fake
+   * @param {object} options.script - Script for the fake backend
+   * @param {number} options.maxReconnectAttempts - Defaults to MAX_RECONNECT_ATTEMPTS
+   * @param {number} options.reconnectDelayMs - Base backoff delay, defaults to RECONNECT_DELAY_MS
+   * @param {object} options.recorder - StsEventRecorder persisting every event sent/received
+   */
+  constructor(apiKey, options = {}) {
     super();
     this.apiKey = apiKey;
-    this.ws = null;
+    this.options = options;
+    this.backend = options.backend || null;
     this.isConnected = false;
     this.callId = null;
     this.sessionId = null;
     this.conversationContext = [];
     this.reconnectAttempts = 0;
+    this.maxReconnectAttempts = options.maxReconnectAttempts !== undefined
+      ? options.maxReconnectAttempts
+      : MAX_RECONNECT_ATTEMPTS;
+    this.reconnectDelayMs = options.reconnectDelayMs !== undefined
+      ? options.reconnectDelayMs
+      : RECONNECT_DELAY_MS;
+    this.isReconnecting = false;
+    this.reconnectTimer = null;
+    this.sessionConfig = {};
+    this.pendingAudio = []; // caller audio received while reconnecting
+    this.pendingAudioBytes = 0;
     this.isStopping = false;
+    this.activeResponse = null; // response being generated: { responseId }
+    this.lastAudioItem = null; // newest assistant audio item: { itemId, responseId, audioBytes }
+    this.hasSpoken = false; // the current backend session has produced audio
+    this.interruptedItems = new Map(); // itemId -> { audioEndMs, sentMs } for late transcripts
+    this.recorder = options.recorder || null;
     
     // Prevent memory leak warnings
     this.setMaxListeners(15);
@@ -32,26 +80,25 @@ class STSSession extends EventEmitter {
   async start(callId, config = {}) {
     try {
       this.callId = callId;
-
-      const url = 'wss://api.openai.com/v1/realtime?model=gpt-4o-audio-mini-2025-10-06';
-
-      this.ws = new WebSocket(url, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'OpenAI-Beta': 'realtime=v1'
-        }
-      });
+      this.sessionConfig = config; // re-applied after a reconnect
+
+      if (!this.backend) {
+        this.backend = createSpeechBackend({
+          type: this.options.backendType,
+          apiKey: this.apiKey,
+          callId,
+          script: this.options.script
+        });
+      }
+      this.backend.callId = callId;
 
       this.setupEventHandlers();
 
-      await new Promise((resolve, reject) => {
-        this.ws.once('open', resolve);
-        this.ws.once('error', reject);
-      });
+      await this.backend.connect();
 
       await this.configureSession(config);
 
-      logger.info('OpenAI STS session started', { callId });
+      logger.info('STS session started', { callId, backend: this.backend.name });
 
     } catch (error) {
       logger.error('Error starting STS session', { 
@@ -64,90 +111,271 @@ class STSSession extends EventEmitter {
 
   /**
    * Configure session with system prompt
+   * @param {object} config - instructions, voice, vad, tools, modalities
    */
   async configureSession(config = {}) {
-    const systemPrompt = `You are Caly, a highly empathetic, professional Hindi/Hinglish customer support agent for e-commerce.
-
-CRITICAL RULES:
-1. Speak ONLY in Hindi/Hinglish - natural, conversational tone with "ji", "sir/madam"
-2. Be warm, helpful, and patient like a professional sales person
-3. Keep responses SHORT (5-10 seconds of speech)
-4. NEVER say you're performing actions - just acknowledge naturally
-5. When collecting info (order_id, phone), ask politely and confirm
-
-TONE EXAMPLES:
-- Greeting: "Namaste ji, main Caly hoon. Aapki kaise madad kar sakti hoon?"
-- Asking for info: "Ji sir, apna order number batayiye please"
-- Confirming: "Ji, order number 12345, sahi hai na?"
-- Processing: "Ek minute sir, check kar rahi hoon"
-- Success: "Ji ho gaya sir, aapka return request create ho gaya hai"
-- Error: "Maaf kijiye sir, thoda technical issue aa raha hai. Main manager se connect karti hoon"
-
-IMPORTANT: 
-- DO NOT mention APIs, databases, or technical terms
-- DO NOT say "I'm executing" or "calling backend" - just be natural
-- If user says "rehne do" or "cancel karo" - acknowledge and move on
-- Always be humble and respectful`;
+    // Client persona prompt (promptTemplateService), else the built-in one
+    const systemPrompt = config.instructions || promptTemplateService.getDefaultPersona().instructions;
+    const vad = { ...DEFAULT_PERSONA.vad, ...(config.vad || {}) };
+    // ['text'] for typed sessions (simulator): no audio out, no VAD
+    const modalities = Array.isArray(config.modalities) ? config.modalities : ['text', 'audio'];
+    const withAudio = modalities.includes('audio');
+
+    const tools = Array.isArray(config.tools) ? config.tools : [];
+    const toolPrompt = `
+
+TOOLS:
+- Use the provided tools to look up orders, returns, refunds, tracking etc. - never guess order details
+- Collect every required parameter from the customer before calling a tool
+- While a tool runs, say something natural like "Ek minute sir, check kar rahi hoon"
+- Explain the tool result to the customer simply, in the language you are speaking`;
 
     const sessionConfig = {
       type: 'session.update',
       session: {
-        modalities: ['text', 'audio'],
-        instructions: systemPrompt,
-        voice: config.voice || 'alloy',
+        modalities,
+        instructions: tools.length > 0 ? systemPrompt + toolPrompt : systemPrompt,
+        voice: config.voice || DEFAULT_PERSONA.voice,
         input_audio_format: 'pcm16',
         output_audio_format: 'pcm16',
         input_audio_transcription: {
           model: 'whisper-1'
         },
-        turn_detection: {
+        turn_detection: withAudio ? {
           type: 'server_vad',
-          threshold: 0.5,
-          prefix_padding_ms: 300,
-          silence_duration_ms: 700
-        },
+          threshold: vad.threshold,
+          prefix_padding_ms: vad.prefix_padding_ms,
+          silence_duration_ms: vad.silence_duration_ms
+        } : null,
         temperature: 0.8,
         max_response_output_tokens: 300
       }
     };
 
+    if (tools.length > 0) {
+      sessionConfig.session.tools = tools;
+      sessionConfig.session.tool_choice = 'auto';
+    }
+
     this.send(sessionConfig);
   }
 
   /**
-   * Setup WebSocket event handlers
+   * Change the session mid-call (e.g. instructions and voice after a language
+   * switch). Changes are kept for re-configuring after a reconnect.
+   * A voice change is skipped on backends that fix the voice once the
+   * session has produced audio.
+   * @param {object} changes - instructions, voice, vad, tools, modalities
+   * @returns {object} The changes applied
+   */
+  updateSession(changes = {}) {
+    const applied = { ...changes };
+    if (applied.voice && this.hasSpoken && this.backend && this.backend.voiceFixedAfterAudio) {
+      logger.info('Voice is fixed for this session, keeping it', {
+        callId: this.callId,
+        voice: this.sessionConfig.voice,
+        requested: applied.voice
+      });
+      delete applied.voice;
+    }
+
+    this.sessionConfig = { ...this.sessionConfig, ...applied };
+
+    if (this.isConnected) {
+      this.configureSession(this.sessionConfig);
+    }
+    return applied;
+  }
+
+  /**
+   * Setup speech backend event handlers
    */
   setupEventHandlers() {
-    this.ws.on('open', () => {
+    this.backend.on('open', () => {
       this.isConnected = true;
-      logger.info('STS WebSocket connected', { callId: this.callId });
+      if (this.recorder) {
+        this.recorder.record('meta', { type: 'backend.open', backend: this.backend.name });
+      }
+      logger.info('STS backend connected', { callId: this.callId, backend: this.backend.name });
     });
 
-    this.ws.on('message', (data) => {
+    this.backend.on('event', (event) => {
       try {
-        const event = JSON.parse(data.toString());
         this.handleEvent(event);
       } catch (error) {
-        logger.error('Error parsing STS message', { 
+        logger.error('Error handling STS event', { 
           callId: this.callId,
           error: error.message 
         });
       }
     });
 
-    this.ws.on('error', (error) => {
-      logger.error('STS WebSocket error', { 
+    this.backend.on('error', (error) => {
+      logger.error('STS backend error', { 
         callId: this.callId,
         error: error.message 
       });
       this.emit('error', error);
     });
 
-    this.ws.on('close', () => {
+    this.backend.on('close', (code, reason) => {
       this.isConnected = false;
-      logger.info('STS WebSocket closed', { callId: this.callId });
-      this.emit('closed');
+      if (this.recorder) {
+        this.recorder.record('meta', { type: 'backend.close', code, reason: String(reason || '') });
+      }
+
+      // Failed attempts are handled by the reconnect loop
+      if (this.isReconnecting) {
+        return;
+      }
+
+      if (this.isStopping || this.maxReconnectAttempts === 0) {
+        logger.info('STS backend closed', { callId: this.callId });
+        this.emit('closed');
+        return;
+      }
+
+      logger.warn('STS backend closed unexpectedly, reconnecting', { 
+        callId: this.callId,
+        code,
+        reason 
+      });
+      this.reconnect(code, reason);
+    });
+  }
+
+  /**
+   * Reconnect with exponential backoff, then re-configure the session,
+   * replay the conversation and flush caller audio buffered meanwhile
+   * @returns {Promise<boolean>} true if reconnected
+   */
+  async reconnect(code = null, reason = '') {
+    this.isReconnecting = true;
+    const disconnectedAt = Date.now();
+    // Items of the old session don't exist on the new one
+    this.activeResponse = null;
+    this.lastAudioItem = null;
+    this.hasSpoken = false;
+
+    while (this.reconnectAttempts < this.maxReconnectAttempts && !this.isStopping) {
+      this.reconnectAttempts++;
+      const attempt = this.reconnectAttempts;
+      const delayMs = this.reconnectDelayMs * Math.pow(2, attempt - 1);
+
+      this.emit('reconnecting', { attempt, delayMs, code, reason });
+
+      await new Promise((resolvePromise) => {
+        this.reconnectTimer = setTimeout(resolvePromise, delayMs);
+      });
+      this.reconnectTimer = null;
+
+      if (this.isStopping || !this.backend) {
+        break;
+      }
+
+      try {
+        await this.backend.connect();
+        await this.configureSession(this.sessionConfig);
+        const replayedItems = this.replayConversation();
+        const flushedBytes = this.flushPendingAudio();
+
+        this.reconnectAttempts = 0;
+        this.isReconnecting = false;
+
+        logger.info('STS session reconnected', { 
+          callId: this.callId,
+          attempts: attempt,
+          replayedItems,
+          flushedBytes 
+        });
+
+        this.emit('reconnected', {
+          attempts: attempt,
+          replayedItems,
+          flushedBytes,
+          downtimeMs: Date.now() - disconnectedAt
+        });
+        return true;
+
+      } catch (error) {
+        logger.warn('STS reconnect attempt failed', { 
+          callId: this.callId,
+          attempt,
+          error: error.message 
+        });
+      }
+    }
+
+    const attempts = this.reconnectAttempts;
+    this.isReconnecting = false;
+    this.pendingAudio = [];
+    this.pendingAudioBytes = 0;
+
+    if (this.isStopping) {
+      return false;
+    }
+
+    logger.error('STS reconnect failed', { callId: this.callId, attempts });
+    this.emit('reconnect_failed', {
+      attempts,
+      code,
+      reason,
+      downtimeMs: Date.now() - disconnectedAt
     });
+    this.emit('closed');
+    return false;
+  }
+
+  /**
+   * Re-create conversation items in a fresh session so the model
+   * continues mid-dialogue
+   * @returns {number} Items replayed
+   */
+  replayConversation() {
+    const entries = this.conversationContext
+      .filter(entry => entry.content)
+      .slice(-MAX_REPLAY_ITEMS);
+
+    for (const entry of entries) {
+      this.send({
+        type: 'conversation.item.create',
+        item: {
+          type: 'message',
+          role: entry.role,
+          content: [{
+            type: entry.role === 'assistant' ? 'text' : 'input_text',
+            text: entry.content
+          }]
+        }
+      });
+    }
+
+    // Caller spoke but the answer was lost in the drop - answer now
+    const last = entries[entries.length - 1];
+    if (last && last.role === 'user') {
+      this.send({ type: 'response.create' });
+    }
+
+    return entries.length;
+  }
+
+  /**
+   * Send caller audio buffered during the reconnect
+   * @returns {number} Bytes flushed
+   */
+  flushPendingAudio() {
+    const flushedBytes = this.pendingAudioBytes;
+
+    for (const chunk of this.pendingAudio) {
+      this.send({
+        type: 'input_audio_buffer.append',
+        audio: chunk.toString('base64')
+      });
+    }
+
+    this.pendingAudio = [];
+    this.pendingAudioBytes = 0;
+    return flushedBytes;
   }
 
   /**
@@ -156,6 +384,10 @@ IMPORTANT:
   handleEvent(event) {
     const eventType = event.type;
 
+    if (this.recorder) {
+      this.recorder.record('server', event);
+    }
+
     // Log all events at debug level
     if (!eventType.includes('audio.delta')) {
       logger.debug('STS event', { 
@@ -193,9 +425,10 @@ IMPORTANT:
       // Transcript events - CRITICAL FOR INTENT DETECTION
       case 'conversation.item.input_audio_transcription.completed':
         const userTranscript = event.transcript;
+        // Text itself is logged by the session manager, with personal data masked
         logger.info('USER TRANSCRIPT COMPLETED', { 
           callId: this.callId,
-          transcript: userTranscript 
+          chars: userTranscript ? userTranscript.length : 0 
         });
         
         // Store in context
@@ -213,6 +446,8 @@ IMPORTANT:
         break;
 
       case 'response.transcript.delta':
+      case 'response.audio_transcript.delta':
+      case 'response.text.delta':
         // AI is speaking (partial)
         this.emit('ai_transcript_delta', {
           delta: event.delta,
@@ -221,41 +456,103 @@ IMPORTANT:
         break;
 
       case 'response.transcript.done':
+      case 'response.audio_transcript.done':
+      case 'response.text.done': {
         // AI finished speaking (text)
+        const fullTranscript = event.transcript !== undefined ? event.transcript : event.text;
+        const interruption = this.interruptedItems.get(event.item_id);
+        const aiTranscript = interruption
+          ? heardPortion(fullTranscript, interruption.audioEndMs, interruption.sentMs)
+          : fullTranscript;
+        this.interruptedItems.delete(event.item_id);
+
         logger.info('AI TRANSCRIPT COMPLETED', { 
           callId: this.callId,
-          transcript: event.transcript 
+          chars: aiTranscript ? aiTranscript.length : 0,
+          interrupted: Boolean(interruption)
         });
 
         this.conversationContext.push({
           role: 'assistant',
-          content: event.transcript,
+          content: aiTranscript,
+          itemId: event.item_id || null,
+          interrupted: Boolean(interruption),
           timestamp: Date.now()
         });
 
         this.emit('ai_transcript_completed', {
-          transcript: event.transcript,
-          response_id: event.response_id
+          transcript: aiTranscript,
+          full_transcript: fullTranscript,
+          interrupted: Boolean(interruption),
+          response_id: event.response_id,
+          item_id: event.item_id || null
         });
         break;
+      }
+
+      case 'response.created':
+        this.activeResponse = { responseId: event.response && event.response.id };
+        break;
 
       // Audio output events - STREAM TO USER
-      case 'response.audio.delta':
+      case 'response.audio.delta': {
         // Stream audio chunk to user
         const audioChunk = Buffer.from(event.delta, 'base64');
-        this.emit('audio_output', audioChunk);
+        if (!this.lastAudioItem || this.lastAudioItem.itemId !== event.item_id) {
+          this.lastAudioItem = { itemId: event.item_id, responseId: event.response_id, audioBytes: 0 };
+        }
+        this.lastAudioItem.audioBytes += audioChunk.length;
+        this.hasSpoken = true;
+        this.emit('audio_output', audioChunk, { item_id: event.item_id, response_id: event.response_id });
         break;
+      }
 
       case 'response.audio.done':
         this.emit('audio_output_done');
         break;
 
+      // Function calling - model wants an agent to run
+      case 'response.output_item.done':
+        if (event.item && event.item.type === 'function_call') {
+          let args = {};
+          try {
+            args = event.item.arguments ? JSON.parse(event.item.arguments) : {};
+          } catch (error) {
+            logger.warn('Invalid function call arguments', {
+              callId: this.callId,
+              name: event.item.name
+            });
+          }
+
+          // Argument names only - the values are what the caller said
+          logger.info('FUNCTION CALL', {
+            callId: this.callId,
+            name: event.item.name,
+            arguments: Object.keys(args)
+          });
+
+          this.emit('function_call', {
+            call_id: event.item.call_id,
+            name: event.item.name,
+            arguments: args,
+            item_id: event.item.id
+          });
+        }
+        break;
+
       // Turn events
       case 'response.done':
         logger.debug('Response completed', { 
           callId: this.callId,
           response_id: event.response.id 
         });
+        if (this.activeResponse && this.activeResponse.responseId === event.response.id) {
+          this.activeResponse = null;
+        }
+        // Token usage of the response (metered per call)
+        if (event.response.usage) {
+          this.emit('usage', event.response.usage, { response_id: event.response.id });
+        }
         this.emit('response_done', event.response);
         break;
 
@@ -266,6 +563,11 @@ IMPORTANT:
 
       // Error handling
       case 'error':
+        // The server already cancelled the response (server VAD) - nothing to do
+        if (event.error && event.error.code === 'response_cancel_not_active') {
+          logger.debug('Response already cancelled', { callId: this.callId });
+          break;
+        }
         logger.error('STS error event', { 
           callId: this.callId,
           error: event.error 
@@ -284,6 +586,17 @@ IMPORTANT:
    * @param {Buffer} audioChunk - PCM16 audio data
    */
   sendAudio(audioChunk) {
+    if (this.isReconnecting) {
+      this.pendingAudio.push(audioChunk);
+      this.pendingAudioBytes += audioChunk.length;
+
+      // Keep only the most recent audio
+      while (this.pendingAudioBytes > MAX_PENDING_AUDIO_BYTES && this.pendingAudio.length > 1) {
+        this.pendingAudioBytes -= this.pendingAudio.shift().length;
+      }
+      return;
+    }
+
     if (!this.isConnected) {
       logger.warn('Cannot send audio, STS not connected', { 
         callId: this.callId 
@@ -305,11 +618,51 @@ IMPORTANT:
     }
   }
 
+  /**
+   * Send a typed caller turn and ask for a response (text-mode sessions)
+   * Emits user_transcript_completed like a transcribed audio turn, so
+   * intent detection runs the same way.
+   * @param {string} text - What the caller "said"
+   */
+  sendUserText(text) {
+    if (!this.isConnected) {
+      logger.warn('Cannot send user text, STS not connected', { 
+        callId: this.callId 
+      });
+      return false;
+    }
+
+    this.conversationContext.push({
+      role: 'user',
+      content: text,
+      timestamp: Date.now()
+    });
+
+    this.send({
+      type: 'conversation.item.create',
+      item: {
+        type: 'message',
+        role: 'user',
+        content: [{ type: 'input_text', text }]
+      }
+    });
+
+    this.emit('user_transcript_completed', {
+      transcript: text,
+      item_id: null,
+      source: 'text'
+    });
+
+    this.send({ type: 'response.create' });
+    return true;
+  }
+
   /**
    * Update conversation context (inject agent results)
    * @param {string} contextUpdate - New information to add
+   * @param {boolean} respond - Have the model answer it right away (no caller turn to answer)
    */
-  updateContext(contextUpdate) {
+  updateContext(contextUpdate, respond = false) {
     if (!this.isConnected) {
       logger.warn('Cannot update context, STS not connected', { 
         callId: this.callId 
@@ -317,9 +670,17 @@ IMPORTANT:
       return;
     }
 
+    // Length only - updates carry keypad values, read-backs and whispers
     logger.info('Updating conversation context', { 
       callId: this.callId,
-      update: contextUpdate.substring(0, 100) 
+      length: contextUpdate.length
+    });
+
+    // Kept for replay after a reconnect
+    this.conversationContext.push({
+      role: 'system',
+      content: contextUpdate,
+      timestamp: Date.now()
     });
 
     // Add context as a system message
@@ -338,23 +699,147 @@ IMPORTANT:
     };
 
     this.send(event);
+
+    if (respond) {
+      this.send({ type: 'response.create' });
+    }
   }
 
   /**
-   * Interrupt current response (when user speaks)
+   * Make the model speak without a caller turn (reprompts, goodbyes).
+   * The instructions go in as a system message rather than as response
+   * instructions, which would replace the persona prompt for the response.
+   * They are not replayed after a reconnect.
+   * @param {string} instructions
    */
-  interrupt() {
+  prompt(instructions) {
     if (!this.isConnected) {
+      logger.warn('Cannot prompt, STS not connected', {
+        callId: this.callId
+      });
+      return false;
+    }
+
+    this.send({
+      type: 'conversation.item.create',
+      item: {
+        type: 'message',
+        role: 'system',
+        content: [{ type: 'input_text', text: instructions }]
+      }
+    });
+    this.send({ type: 'response.create' });
+    return true;
+  }
+
+  /**
+   * Return a tool result to the model and let it respond
+   * @param {string} functionCallId - call_id from the function_call item
+   * @param {object} output - Result (serialized to JSON)
+   */
+  sendFunctionResult(functionCallId, output, respond = true) {
+    if (!this.isConnected) {
+      logger.warn('Cannot send function result, STS not connected', { 
+        callId: this.callId 
+      });
       return;
     }
 
-    logger.debug('Interrupting current response', { callId: this.callId });
-    
-    const event = {
-      type: 'response.cancel'
+    logger.info('Sending function result', { 
+      callId: this.callId,
+      functionCallId 
+    });
+
+    const serialized = typeof output === 'string' ? output : JSON.stringify(output);
+
+    // Function call items are lost on reconnect - replay the result as context
+    this.conversationContext.push({
+      role: 'system',
+      content: `Tool result: ${serialized}`,
+      timestamp: Date.now()
+    });
+
+    this.send({
+      type: 'conversation.item.create',
+      item: {
+        type: 'function_call_output',
+        call_id: functionCallId,
+        output: serialized
+      }
+    });
+
+    if (respond) {
+      this.send({ type: 'response.create' });
+    }
+  }
+
+  /**
+   * Interrupt current response (when user speaks)
+   * Cancels generation and truncates the assistant audio item to what the
+   * caller actually heard, so the model doesn't assume the rest was said.
+   * @param {object} options
+   * @param {number} options.audioEndMs - Audio played to the caller (defaults to all audio sent)
+   * @returns {object} { itemId, responseId, audioEndMs, sentMs, cancelled, truncated,
+   *   fullTranscript?, heardTranscript? } (transcripts only if it had already completed)
+   */
+  interrupt({ audioEndMs = null } = {}) {
+    const result = {
+      itemId: null,
+      responseId: null,
+      audioEndMs: 0,
+      sentMs: 0,
+      cancelled: false,
+      truncated: false
     };
 
-    this.send(event);
+    if (!this.isConnected) {
+      return result;
+    }
+
+    logger.debug('Interrupting current response', { callId: this.callId });
+
+    if (this.activeResponse) {
+      this.send({ type: 'response.cancel' });
+      this.activeResponse = null;
+      result.cancelled = true;
+    }
+
+    const item = this.lastAudioItem;
+    this.lastAudioItem = null;
+    if (!item || !item.itemId) {
+      return result;
+    }
+
+    const sentMs = Math.floor(item.audioBytes / bytesPerMs(MODEL_AUDIO_FORMAT));
+    const endMs = audioEndMs === null ? sentMs : Math.max(0, Math.min(Math.floor(audioEndMs), sentMs));
+
+    Object.assign(result, { itemId: item.itemId, responseId: item.responseId, audioEndMs: endMs, sentMs });
+
+    if (endMs < sentMs) {
+      this.send({
+        type: 'conversation.item.truncate',
+        item_id: item.itemId,
+        content_index: 0,
+        audio_end_ms: endMs
+      });
+      result.truncated = true;
+    }
+
+    // Replays after a reconnect should only contain what was heard
+    const entry = this.conversationContext.find(e => e.role === 'assistant' && e.itemId === item.itemId);
+    if (entry) {
+      result.fullTranscript = entry.content;
+      entry.content = heardPortion(entry.content, endMs, sentMs);
+      entry.interrupted = true;
+      result.heardTranscript = entry.content;
+    } else {
+      // Transcript not finished yet - trim it when it arrives
+      this.interruptedItems.set(item.itemId, { audioEndMs: endMs, sentMs });
+    }
+
+    logger.info('Response interrupted', { callId: this.callId, ...result });
+    this.emit('interrupted', result);
+    return result;
   }
 
   /**
@@ -365,10 +850,10 @@ IMPORTANT:
   }
 
   /**
-   * Send raw event to OpenAI
+   * Send raw client event to the speech backend
    */
   send(event) {
-    if (!this.isConnected || !this.ws) {
+    if (!this.isConnected || !this.backend) {
       logger.warn('Cannot send event, STS not connected', { 
         callId: this.callId 
       });
@@ -376,7 +861,10 @@ IMPORTANT:
     }
 
     try {
-      this.ws.send(JSON.stringify(event));
+      this.backend.send(event);
+      if (this.recorder) {
+        this.recorder.record('client', event);
+      }
     } catch (error) {
       logger.error('Error sending to STS', { 
         callId: this.callId,
@@ -389,14 +877,22 @@ IMPORTANT:
    * Stop STS session
    */
   async stop() {
-    if (!this.ws) {
+    if (!this.backend) {
       return;
     }
 
     try {
       this.isStopping = true;
+      if (this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+      }
+      this.pendingAudio = [];
+      this.pendingAudioBytes = 0;
       this.removeAllListeners(); // Clean up event listeners
-      this.ws.close(1000, 'Normal closure');
+      this.backend.removeAllListeners();
+      this.backend.on('error', () => {}); // Late transport errors after stop
+      this.backend.close(1000, 'Normal closure');
       this.isConnected = false;
       logger.info('STS session stopped', { callId: this.callId });
     } catch (error) {
@@ -405,7 +901,7 @@ IMPORTANT:
         error: error.message 
       });
     } finally {
-      this.ws = null;
+      this.backend = null;
     }
   }
 
@@ -417,4 +913,6 @@ IMPORTANT:
   }
 }
 
+STSSession.heardPortion = heardPortion;
+
 module.exports = STSSession;
\ No newline at end of file
@@ -0,0 +1,310 @@
+// realtime/supervisorSocket.js - /supervisor WebSocket: listen in, whisper to, take over and end live calls
+const resolve = require('../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const db = require(resolve('db/postgres'));
+const WebSocket = require('ws');
+const sessionManager = require(resolve('sessions/CallSessionManager'));
+
+// Roles allowed to monitor and steer live calls
+const SUPERVISOR_ROLES = ['admin', 'manager', 'supervisor'];
+const MAX_WHISPER_LENGTH = 1000;
+
+/**
+ * One authenticated supervisor connection, watching one call at a time.
+ * Calls carried by another node are followed through the session registry:
+ * transcript, intents, whisper, handback and end work the same, audio and
+ * takeover need the node the caller's stream is on.
+ * JSON messages:
+ *
+ * client -> server
+ *   { type: 'listen', callId, audio? }      start monitoring (audio: also stream both sides)
+ *   { type: 'whisper', text }               instruction for the AI, not heard by the caller
+ *   { type: 'takeover' }                    supervisor takes the call from the AI
+ *   { type: 'handback', note? }             give the call back to the AI
+ *   { type: 'end' }                         hang up the call
+ *   { type: 'stop' }                        stop monitoring
+ *   binary frames                           supervisor speech while taken over
+ *                                           (the call's telephony audio format)
+ *
+ * server -> client
+ *   { type: 'listening', call, transcript, takenOver }
+ *   { type: 'transcript', role, text, interrupted?, timestamp }
+ *   { type: 'intent', source, intent, agentType }
+ *   { type: 'audio', direction: 'caller' | 'assistant', payload }   base64, if audio was requested
+ *   { type: 'whispered' | 'taken_over' | 'handed_back' | 'ended' | 'stopped' }
+ *   { type: 'call_ended' }
+ *   { type: 'error', error }
+ *
+ * Every action is written to audit_logs before it is carried out; if the
+ * audit write fails the action is refused.
+ *
+ * @param {WebSocket} ws
+ * @param {object} user - Authenticated user (authenticateSocket)
+ * @param {object} req - Upgrade request (for the audit IP address)
+ */
+function handleSupervisorSocket(ws, user, req = {}) {
+  const ipAddress = req.socket ? req.socket.remoteAddress : null;
+  let watching = null; // { callId, audio, listeners } here, { callId, remote, unwatch } on another node
+
+  const send = (message) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
+
+  if (!SUPERVISOR_ROLES.includes(user.role)) {
+    logger.warn('Supervisor WebSocket rejected - insufficient role', { userId: user.id, role: user.role });
+    send({ type: 'error', error: 'Insufficient permissions' });
+    ws.close(4403, 'Insufficient permissions');
+    return;
+  }
+
+  const audit = async (callId, eventType, payload = {}) => {
+    await db.auditLog({
+      call_id: callId,
+      client_id: user.client_id,
+      event_type: eventType,
+      payload,
+      user_id: user.id,
+      ip_address: ipAddress
+    });
+  };
+
+  const requireWatching = () => {
+    if (!watching) {
+      throw new Error('Listen to a call first');
+    }
+    if (!watching.remote && !sessionManager.getSession(watching.callId)) {
+      throw new Error('Call has ended');
+    }
+  };
+
+  const stopWatching = () => {
+    if (!watching) return;
+    if (watching.remote) {
+      watching.unwatch().catch(error => logger.warn('Could not stop following call', { callId: watching.callId, error: error.message }));
+    } else {
+      watching.listeners.forEach(([eventName, handler]) => sessionManager.removeListener(eventName, handler));
+    }
+    watching = null;
+  };
+
+  // Same messages as startWatching, from the call's registry channel
+  const startWatchingRemote = async (callId) => {
+    const current = { callId, remote: true, unwatch: null };
+    current.unwatch = await sessionManager.watchLiveCall(callId, (event) => {
+      if (watching !== current) return;
+      if (event.type === 'transcript') {
+        const { role, text, interrupted, timestamp } = event;
+        send({ type: 'transcript', role, text, ...(interrupted ? { interrupted } : {}), timestamp });
+      } else if (event.type === 'intent_detected') {
+        send({ type: 'intent', source: event.source, intent: event.intent, agentType: event.agentType });
+      } else if (event.type === 'session_ended') {
+        send({ type: 'call_ended' });
+        stopWatching();
+      }
+    });
+    watching = current;
+  };
+
+  // Run a call action here, or on the node carrying the call
+  const act = (command, args, local) => (
+    watching.remote ? sessionManager.sendCallCommand(watching.callId, command, args) : local()
+  );
+
+  const startWatching = (callId, audio) => {
+    const forCall = (handler) => (data) => {
+      if (data.callId === callId) handler(data);
+    };
+
+    const listeners = [
+      ['transcript', forCall(({ role, text, interrupted, timestamp }) => {
+        send({ type: 'transcript', role, text, ...(interrupted ? { interrupted } : {}), timestamp });
+      })],
+      ['intent_detected', forCall(({ source, intent, agentType }) => {
+        send({ type: 'intent', source, intent, agentType });
+      })],
+      ['session_ended', forCall(() => {
+        send({ type: 'call_ended' });
+        stopWatching();
+      })]
+    ];
+
+    if (audio) {
+      listeners.push(
+        ['audio_input', forCall(({ audioData }) => {
+          send({ type: 'audio', direction: 'caller', payload: audioData.toString('base64') });
+        })],
+        ['audio_output', forCall(({ audioData, source }) => {
+          if (source === 'supervisor') return; // their own voice
+          send({ type: 'audio', direction: 'assistant', payload: audioData.toString('base64') });
+        })]
+      );
+    }
+
+    listeners.forEach(([eventName, handler]) => sessionManager.on(eventName, handler));
+    watching = { callId, audio, listeners };
+  };
+
+  const handlers = {
+    listen: async (message) => {
+      const session = message.callId && sessionManager.getSession(message.callId);
+      const local = Boolean(session && session.isActive);
+      const clientId = local
+        ? session.callData && session.callData.client_id
+        : await liveCallClientId(message.callId);
+
+      // Other tenants' calls look the same as calls that don't exist
+      if (!clientId || clientId !== user.client_id) {
+        throw new Error('Call not found');
+      }
+      if (!local && message.audio) {
+        throw new Error('Audio is only available on the node carrying the call');
+      }
+
+      await audit(message.callId, 'supervisor_listen', { audio: Boolean(message.audio) });
+      stopWatching();
+
+      let snapshot;
+      if (local) {
+        startWatching(message.callId, Boolean(message.audio));
+        snapshot = sessionManager.inspectSession(message.callId);
+      } else {
+        // Follow first so nothing said after the snapshot is missed
+        await startWatchingRemote(message.callId);
+        try {
+          snapshot = await sessionManager.sendCallCommand(message.callId, 'inspect');
+        } catch (error) {
+          stopWatching();
+          throw error;
+        }
+      }
+
+      send({
+        type: 'listening',
+        call: {
+          id: snapshot.id,
+          phone_from: snapshot.phone_from,
+          started_at: snapshot.started_at
+        },
+        transcript: snapshot.transcript,
+        takenOver: snapshot.takenOver
+      });
+    },
+
+    whisper: async (message) => {
+      requireWatching();
+      const text = typeof message.text === 'string' ? message.text.trim() : '';
+      if (!text || text.length > MAX_WHISPER_LENGTH) {
+        throw new Error(`Whisper text must be 1-${MAX_WHISPER_LENGTH} characters`);
+      }
+
+      await audit(watching.callId, 'supervisor_whisper', { text });
+      await act('whisper', { text }, () => sessionManager.whisper(watching.callId, text));
+      send({ type: 'whispered' });
+    },
+
+    takeover: async () => {
+      requireWatching();
+      if (watching.remote) {
+        throw new Error('Takeover is only available on the node carrying the call');
+      }
+      await audit(watching.callId, 'supervisor_takeover');
+      await sessionManager.takeOver(watching.callId, { userId: user.id });
+      send({ type: 'taken_over' });
+    },
+
+    handback: async (message) => {
+      requireWatching();
+      const note = typeof message.note === 'string' ? message.note.slice(0, MAX_WHISPER_LENGTH) : null;
+      await audit(watching.callId, 'supervisor_handback', note ? { note } : {});
+      await act('hand_back', { note }, () => sessionManager.handBack(watching.callId, note));
+      send({ type: 'handed_back' });
+    },
+
+    end: async () => {
+      requireWatching();
+      const { callId } = watching;
+      await audit(callId, 'supervisor_end');
+      await act('end', {}, () => sessionManager.hangUp(callId));
+      send({ type: 'ended' });
+    },
+
+    stop: async () => {
+      stopWatching();
+      send({ type: 'stopped' });
+    }
+  };
+
+  ws.on('message', async (data, isBinary) => {
+    // Supervisor speech
+    if (isBinary) {
+      if (watching && !watching.remote) {
+        sessionManager.sendSupervisorAudio(watching.callId, user.id, Buffer.from(data));
+      }
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      send({ type: 'error', error: 'Messages must be JSON' });
+      return;
+    }
+
+    const handler = message && handlers[message.type];
+    if (!handler) {
+      send({ type: 'error', error: `Unknown message type: ${message && message.type}` });
+      return;
+    }
+
+    try {
+      await handler(message);
+    } catch (error) {
+      logger.warn('Supervisor action failed', {
+        userId: user.id,
+        callId: watching && watching.callId,
+        type: message.type,
+        error: error.message
+      });
+      send({ type: 'error', error: error.message });
+    }
+  });
+
+  ws.on('close', () => {
+    // A supervisor who disconnects mid-takeover hands the call back
+    const session = watching && sessionManager.getSession(watching.callId);
+    if (session && session.isActive && session.supervisor && session.supervisor.userId === user.id) {
+      audit(session.callId, 'supervisor_handback', { reason: 'disconnected' })
+        .catch(error => logger.error('Could not audit supervisor handback', { callId: session.callId, error: error.message }))
+        .finally(() => {
+          try {
+            sessionManager.handBack(session.callId);
+          } catch (error) {
+            logger.warn('Could not hand back call on disconnect', { callId: session.callId, error: error.message });
+          }
+          stopWatching();
+        });
+      return;
+    }
+    stopWatching();
+  });
+
+  ws.on('error', (error) => {
+    logger.error('Supervisor WebSocket error', { userId: user.id, error: error.message });
+  });
+}
+
+/**
+ * Tenant of a call on another node, null if it isn't live
+ */
+async function liveCallClientId(callId) {
+  if (!callId) {
+    return null;
+  }
+  const entry = await sessionManager.getLiveCall(callId);
+  return entry ? entry.clientId : null;
+}
+
+module.exports = { handleSupervisorSocket, SUPERVISOR_ROLES };
@@ -5,6 +5,7 @@ const resolve = require('../utils/moduleResolver');
 const db = require(resolve('db/postgres'));
 const logger = require(resolve('utils/logger'));
 const { authMiddleware } = require(resolve('auth/authMiddleware'));
+const { loadRateCard } = require(resolve('config/usageRates'));
 
 /**
  * GET /api/analytics/comprehensive - Get comprehensive analytics (OPTIMIZED)
@@ -167,7 +168,9 @@ router.get('/cost-analysis', async (req, res) => {
       SELECT 
         COUNT(*) as total_calls,
         SUM(CASE WHEN resolved = true THEN 1 ELSE 0 END) as automated_calls,
-        ROUND(AVG(EXTRACT(EPOCH FROM (end_ts - start_ts))), 1) as avg_handling_time
+        ROUND(AVG(EXTRACT(EPOCH FROM (end_ts - start_ts))), 1) as avg_handling_time,
+        COUNT(call_cost) as metered_calls,
+        COALESCE(SUM(call_cost), 0) as metered_cost
       FROM calls
       ${whereClause}
     `, params);
@@ -191,10 +194,14 @@ router.get('/cost-analysis', async (req, res) => {
     const automatedCalls = parseInt(data.automated_calls);
     const humanCalls = totalCalls - automatedCalls;
 
-    const costPerAICall = 0.15; // $0.15 per call
+    const estimatedCostPerAICall = 0.15; // $0.15 per call, for calls without metered cost
     const costPerHumanCall = 5.00; // $5 per call (agent + infrastructure)
 
-    const aiCost = (totalCalls * costPerAICall).toFixed(2);
+    // Metered cost (calls.call_cost, INR) where recorded, the estimate for older calls
+    const meteredCalls = parseInt(data.metered_calls) || 0;
+    const meteredCost = parseFloat(data.metered_cost) / loadRateCard().usd_to_inr;
+    const aiCost = (meteredCost + (totalCalls - meteredCalls) * estimatedCostPerAICall).toFixed(2);
+    const costPerAICall = totalCalls > 0 ? parseFloat((aiCost / totalCalls).toFixed(4)) : estimatedCostPerAICall;
     const humanCost = (totalCalls * costPerHumanCall).toFixed(2);
     const monthlySavings = (automatedCalls * (costPerHumanCall - costPerAICall)).toFixed(2);
     const savingsPercent = Math.round(((costPerHumanCall - costPerAICall) / costPerHumanCall) * 100);
@@ -212,6 +219,7 @@ router.get('/cost-analysis', async (req, res) => {
       metrics: {
         costPerAICall,
         costPerHumanCall,
+        meteredCalls,
         avgHandlingTime: parseFloat(data.avg_handling_time)
       }
     });
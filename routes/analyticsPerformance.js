@@ -10,6 +10,7 @@ const router = express.Router();
 const db = require('../db/postgres');
 const { authMiddleware } = require('../auth/authMiddleware');
 const logger = require('../utils/logger');
+const latencyMetrics = require('../services/latencyMetrics');
 
 // ============================================================================
 // 1. AGENT PERFORMANCE ENDPOINTS
@@ -427,6 +428,76 @@ router.get('/performance/summary', authMiddleware, async (req, res) => {
   }
 });
 
+// ============================================================================
+// 6. TURN LATENCY ENDPOINT
+// ============================================================================
+
+const { LATENCY_STAGES } = latencyMetrics;
+
+// Percentile row -> { turns, transcript_ms: { p50, p95 }, ... }
+function formatLatencyRow(row = {}) {
+  const formatted = { turns: row.turns || 0 };
+  const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+  LATENCY_STAGES.forEach(stage => {
+    formatted[stage] = {
+      p50: toNumber(row[`${stage}_p50`]),
+      p95: toNumber(row[`${stage}_p95`])
+    };
+  });
+
+  return formatted;
+}
+
+function formatLatencyGroups(rows) {
+  return Object.fromEntries(rows.map(row => [row.group_key || 'none', formatLatencyRow(row)]));
+}
+
+/**
+ * GET /api/analytics/performance/latency
+ * p50/p95 per-turn latency of voice calls, overall and per agent/provider
+ * Stages (ms from end of caller speech): transcript, intent, agent (run time),
+ * response (first audio byte)
+ */
+router.get('/performance/latency', authMiddleware, async (req, res) => {
+  try {
+    const userClientId = req.user.client_id;
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        error: 'startDate and endDate are required'
+      });
+    }
+
+    const [overall, byAgent, byProvider] = await Promise.all([
+      db.turnLatency.getPercentiles(userClientId, startDate, endDate),
+      db.turnLatency.getPercentiles(userClientId, startDate, endDate, 'agent'),
+      db.turnLatency.getPercentiles(userClientId, startDate, endDate, 'provider')
+    ]);
+
+    logger.info('Turn latency retrieved', {
+      clientId: userClientId,
+      dateRange: `${startDate} to ${endDate}`
+    });
+
+    res.json({
+      success: true,
+      data: {
+        overall: formatLatencyRow(overall[0]),
+        byAgent: formatLatencyGroups(byAgent),
+        byProvider: formatLatencyGroups(byProvider)
+      },
+      dateRange: { startDate, endDate }
+    });
+  } catch (error) {
+    logger.error('Error fetching turn latency', {
+      error: error.message
+    });
+    res.status(500).json({ error: 'Failed to fetch turn latency' });
+  }
+});
+
 // ============================================================================
 // ERROR HANDLERS
 // ============================================================================
@@ -218,6 +218,52 @@ router.get('/cost/summary', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analytics/cost/calls
+ * Metered cost of calls (model tokens + telephony) next to what they were charged
+ */
+router.get('/cost/calls', authMiddleware, async (req, res) => {
+  try {
+    const userClientId = req.user.client_id;
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        error: 'startDate and endDate are required'
+      });
+    }
+
+    const query = `
+      SELECT 
+        COUNT(*) as metered_calls,
+        COALESCE(SUM(total_amount), 0) as charged,
+        COALESCE(SUM(ai_cost), 0) as ai_cost,
+        COALESCE(SUM(telephony_cost), 0) as telephony_cost,
+        COALESCE(SUM(total_cost), 0) as total_cost,
+        COALESCE(SUM(telephony_minutes), 0) as telephony_minutes,
+        ROUND(AVG(total_cost)::NUMERIC, 4) as avg_cost_per_call,
+        ROUND((SUM(total_amount) - SUM(total_cost)) / NULLIF(SUM(total_amount), 0) * 100, 2) as margin_percent
+      FROM call_charges
+      WHERE client_id = $1 
+        AND created_at::DATE BETWEEN $2 AND $3
+    `;
+
+    const result = await db.query(query, [userClientId, startDate, endDate]);
+
+    logger.info('Call cost summary retrieved');
+
+    res.json({
+      success: true,
+      data: result.rows[0] || {}
+    });
+  } catch (error) {
+    logger.error('Error fetching call cost summary', {
+      error: error.message
+    });
+    res.status(500).json({ error: 'Failed to fetch call cost summary' });
+  }
+});
+
 /**
  * POST /api/analytics/cost/record
  * Record cost metrics
@@ -293,7 +339,8 @@ router.post('/cost/record', authMiddleware, async (req, res) => {
 
 /**
  * GET /api/analytics/roi/summary
- * Get ROI summary
+ * Get ROI summary. Cost is the cost recorded in cost_analysis plus the
+ * metered cost of the period's calls (call_charges).
  */
 router.get('/roi/summary', authMiddleware, async (req, res) => {
   try {
@@ -307,16 +354,29 @@ router.get('/roi/summary', authMiddleware, async (req, res) => {
     }
 
     const query = `
+      WITH recorded AS (
+        SELECT 
+          SUM(total_revenue) as total_revenue,
+          COALESCE(SUM(total_cost), 0) as recorded_cost
+        FROM cost_analysis
+        WHERE client_id = $1 
+          AND cost_period_start::DATE >= $2 
+          AND cost_period_end::DATE <= $3
+      ), metered AS (
+        SELECT COALESCE(SUM(total_cost), 0) as call_cost
+        FROM call_charges
+        WHERE client_id = $1 
+          AND created_at::DATE BETWEEN $2 AND $3
+      )
       SELECT 
-        SUM(total_revenue) as total_revenue,
-        SUM(total_cost) as total_cost,
-        SUM(total_revenue) - SUM(total_cost) as gross_profit,
-        ROUND((SUM(total_revenue) - SUM(total_cost)) / NULLIF(SUM(total_cost), 0) * 100, 2) as roi_percent,
-        ROUND((SUM(total_revenue) - SUM(total_cost)) / NULLIF(SUM(total_revenue), 0) * 100, 2) as margin_percent
-      FROM cost_analysis
-      WHERE client_id = $1 
-        AND cost_period_start::DATE >= $2 
-        AND cost_period_end::DATE <= $3
+        r.total_revenue,
+        r.recorded_cost,
+        m.call_cost,
+        r.recorded_cost + m.call_cost as total_cost,
+        r.total_revenue - (r.recorded_cost + m.call_cost) as gross_profit,
+        ROUND((r.total_revenue - (r.recorded_cost + m.call_cost)) / NULLIF(r.recorded_cost + m.call_cost, 0) * 100, 2) as roi_percent,
+        ROUND((r.total_revenue - (r.recorded_cost + m.call_cost)) / NULLIF(r.total_revenue, 0) * 100, 2) as margin_percent
+      FROM recorded r, metered m
     `;
 
     const result = await db.query(query, [userClientId, startDate, endDate]);
@@ -5,8 +5,13 @@ const resolve = require('../utils/moduleResolver');
 const db = require(resolve('db/postgres'));
 const logger = require(resolve('utils/logger'));
 const Pagination = require(resolve('utils/pagination'));
-const { authMiddleware } = require(resolve('auth/authMiddleware'));
+const { authMiddleware, requireRole } = require(resolve('auth/authMiddleware'));
 const { sectorFilterMiddleware } = require(resolve('middleware/sectorFilter'));
+const { AuditEventType, logAuditEvent } = require(resolve('services/auditLogger'));
+const callSummaryService = require(resolve('services/callSummaryService'));
+const { RESOLUTION_STATUSES, SENTIMENTS } = require(resolve('config/dispositionCodes'));
+
+const MAX_DISPOSITION_CODES = 50;
 
 // Apply auth middleware globally
 router.use(authMiddleware);
@@ -29,7 +34,10 @@ router.get('/', async (req, res) => {
       days,
       search,
       resolved,
-      phone_from
+      phone_from,
+      disposition,
+      resolution_status,
+      sentiment
     } = req.query;
 
     // Validate pagination inputs
@@ -60,11 +68,11 @@ router.get('/', async (req, res) => {
       whereConditions.push(`start_ts >= NOW() - INTERVAL '${daysInt} days'`);
     }
 
-    // Add search filter - search in phone_from, phone_to, transcript_full
+    // Add search filter - search in phone_from, phone_to, transcript_full, post-call summary
     if (search && search.trim()) {
       const searchTerm = `%${search.trim()}%`;
       whereConditions.push(
-        `(phone_from ILIKE $${paramCount} OR phone_to ILIKE $${paramCount} OR transcript_full ILIKE $${paramCount})`
+        `(phone_from ILIKE $${paramCount} OR phone_to ILIKE $${paramCount} OR transcript_full ILIKE $${paramCount} OR summary::text ILIKE $${paramCount})`
       );
       queryParams.push(searchTerm);
       paramCount++;
@@ -84,6 +92,31 @@ router.get('/', async (req, res) => {
       paramCount++;
     }
 
+    // Post-call summary filters
+    if (disposition) {
+      whereConditions.push(`disposition = $${paramCount}`);
+      queryParams.push(disposition);
+      paramCount++;
+    }
+
+    if (resolution_status) {
+      if (!RESOLUTION_STATUSES.includes(resolution_status)) {
+        return res.status(400).json({ success: false, error: `resolution_status must be one of: ${RESOLUTION_STATUSES.join(', ')}` });
+      }
+      whereConditions.push(`resolution_status = $${paramCount}`);
+      queryParams.push(resolution_status);
+      paramCount++;
+    }
+
+    if (sentiment) {
+      if (!SENTIMENTS.includes(sentiment)) {
+        return res.status(400).json({ success: false, error: `sentiment must be one of: ${SENTIMENTS.join(', ')}` });
+      }
+      whereConditions.push(`sentiment = $${paramCount}`);
+      queryParams.push(sentiment);
+      paramCount++;
+    }
+
     const whereClause = whereConditions.join(' AND ');
 
     // Get total count - also filtered by client_id
@@ -106,6 +139,10 @@ router.get('/', async (req, res) => {
         recording_url,
         resolved,
         customer_satisfaction,
+        disposition,
+        resolution_status,
+        sentiment,
+        summary,
         created_at,
         updated_at
       FROM calls 
@@ -140,6 +177,77 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/calls/dispositions - Disposition codes the post-call summary picks from
+router.get('/dispositions', async (req, res) => {
+  try {
+    const client = await db.clients.getById(req.user.client_id);
+
+    if (!client) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({ dispositions: callSummaryService.getDispositionCodes(client) });
+  } catch (error) {
+    logger.error('Error fetching disposition codes', { error: error.message, clientId: req.user?.client_id });
+    res.status(500).json({ error: 'Failed to fetch disposition codes' });
+  }
+});
+
+// PUT /api/calls/dispositions - Replace the company's disposition codes (clients.settings.dispositions)
+router.put('/dispositions', requireRole(['admin', 'manager']), async (req, res) => {
+  try {
+    const clientId = req.user.client_id;
+    const { dispositions } = req.body;
+
+    if (!Array.isArray(dispositions) || dispositions.length === 0 || dispositions.length > MAX_DISPOSITION_CODES) {
+      return res.status(400).json({ error: `dispositions must be a list of 1-${MAX_DISPOSITION_CODES} codes` });
+    }
+
+    const codes = [];
+    for (const entry of dispositions) {
+      if (!entry || typeof entry.code !== 'string' || !/^[a-z0-9_]{2,50}$/.test(entry.code)) {
+        return res.status(400).json({ error: 'Each code must be 2-50 lowercase letters, digits or underscores' });
+      }
+      if (codes.some(code => code.code === entry.code)) {
+        return res.status(400).json({ error: `Duplicate code: ${entry.code}` });
+      }
+      codes.push({
+        code: entry.code,
+        label: typeof entry.label === 'string' ? entry.label.slice(0, 100) : entry.code,
+        description: typeof entry.description === 'string' ? entry.description.slice(0, 300) : ''
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE clients
+       SET settings = jsonb_set(COALESCE(settings, '{}'::jsonb), '{dispositions}', $1::jsonb),
+       updated_at = NOW()
+       WHERE id = $2
+       RETURNING id`,
+      [JSON.stringify(codes), clientId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    await logAuditEvent(AuditEventType.SETTINGS_CHANGED, {
+      clientId,
+      userId: req.user.id,
+      description: 'Disposition codes updated',
+      resource: 'client_dispositions',
+      resourceId: clientId,
+      changes: { dispositions: codes.map(code => code.code) },
+      ipAddress: req.ip
+    });
+
+    res.json({ dispositions: codes });
+  } catch (error) {
+    logger.error('Error updating disposition codes', { error: error.message, clientId: req.user?.client_id });
+    res.status(500).json({ error: 'Failed to update disposition codes' });
+  }
+});
+
 // GET /api/calls/:id - Get single call with actions (MULTI-TENANT: verify ownership)
 router.get('/:id', authMiddleware, async (req, res) => {
   try {
@@ -172,6 +280,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
 
     res.json({
       call,
+      summary: call.rows[0].summary || null,
       actions,
       entities
     });
@@ -6,6 +6,7 @@ const db = require(resolve('db/postgres'));
 const logger = require(resolve('utils/logger'));
 const { enforceClientAccess } = require(resolve('auth/authMiddleware'));
 const { validateBody, commonSchemas } = require(resolve('middleware/validation')); // ✅ PHASE 2 FIX 4
+const { LANGUAGE_NAMES } = require(resolve('config/promptDefaults'));
 
 // GET /api/clients/:id - Get single client (MULTI-TENANT: user can only access their own)
 router.get('/:id', enforceClientAccess, async (req, res) => {
@@ -67,11 +68,19 @@ router.put('/:id', enforceClientAccess, validateBody(commonSchemas.settingsUpdat
       enableSMS,
       enableEmail,
       timezone,
-      language
+      language,
+      languages
     } = req.body;
 
     // Note: validateBody middleware already validated required fields and formats
 
+    // Languages calls may switch to (the default language is always allowed)
+    if (languages !== undefined && (!Array.isArray(languages) || languages.some(code => !LANGUAGE_NAMES[code]))) {
+      return res.status(400).json({
+        error: `languages must be a list of: ${Object.keys(LANGUAGE_NAMES).join(', ')}`
+      });
+    }
+
     // Build settings object
     const settings = {
       shopify: {
@@ -97,14 +106,19 @@ router.put('/:id', enforceClientAccess, validateBody(commonSchemas.settingsUpdat
       },
       localization: {
         timezone: timezone || 'Asia/Kolkata',
-        language: language || 'hi'
+        language: language || 'hi',
+        ...(languages ? { languages } : {})
       }
     };
 
-    // Update client settings
+    // Update client settings (keep persona/speech sections managed elsewhere)
     const result = await db.query(
       `UPDATE clients 
-       SET settings = $1, updated_at = NOW() 
+       SET settings = $1::jsonb || jsonb_strip_nulls(jsonb_build_object(
+             'persona', settings->'persona',
+             'speech', settings->'speech'
+           )),
+           updated_at = NOW() 
        WHERE id = $2 
        RETURNING id, name as company_name, settings`,
       [JSON.stringify(settings), userClientId]
@@ -5,6 +5,7 @@ const db = require(resolve('db/postgres'));
 const logger = require(resolve('utils/logger'));
 const { queueRecordingUpload } = require(resolve('services/recordingService'));
 const agentRouter = require(resolve('services/agentRouter'));
+const promptTemplateService = require(resolve('services/promptTemplateService'));
 
 // Get webhook base URL - strict production validation
 const getWebhookBaseUrl = () => {
@@ -131,18 +132,30 @@ const handleCallStart = async (req, res) => {
       ip_address: req.ip
     });
 
+    // Client greeting/voice from persona settings + greeting template
+    let persona;
+    try {
+      persona = await promptTemplateService.resolveCallPersona(client.id, { sector: client.sector });
+    } catch (personaError) {
+      logger.warn('Failed to load client persona, using default greeting', {
+        clientId: client.id,
+        error: personaError.message
+      });
+      persona = promptTemplateService.getDefaultPersona();
+    }
+
     // Return Exotel response with streaming instructions
     // This tells Exotel to stream audio to our WebSocket
     const response = {
       Response: {
         Say: {
-          _text: 'Namaste, main Caly hoon. Aapki kaise madad kar sakti hoon?',
-          voice: 'woman',
-          language: 'hi-IN'
+          _text: persona.greeting,
+          voice: persona.sayVoice,
+          language: persona.sayLanguage
         },
         Stream: {
           _attributes: {
-            url: `${getWebhookBaseUrl()}/audio?callId=${call.id}`,
+            url: `${getWebhookBaseUrl()}/audio?callId=${call.id}&provider=exotel`,
             track: 'both_tracks' // Record both inbound and outbound
           }
         }
@@ -318,8 +331,41 @@ const handleRecording = async (req, res) => {
   }
 };
 
+// Number for the flow's Connect applet (dynamic URL) after a warm transfer
+// ended the stream: Exotel asks who to dial next for this CallSid
+const handleTransferTarget = async (req, res) => {
+  try {
+    const CallSid = req.query.CallSid || (req.body && req.body.CallSid);
+
+    const transfer = CallSid ? await db.callTransfers.getTargetByCallSid(CallSid) : null;
+
+    if (!transfer || !transfer.target_number) {
+      logger.warn('No transfer target for call', { callSid: CallSid });
+      return res.status(404).json({ error: 'No transfer for this call' });
+    }
+
+    logger.info('Exotel fetched transfer target', { callSid: CallSid, transferId: transfer.id });
+
+    res.status(200).json({
+      fetch_after_attempt: false,
+      destination: {
+        numbers: [transfer.target_number]
+      },
+      record: true
+    });
+
+  } catch (error) {
+    logger.error('Error handling transfer target', { 
+      error: error.message,
+      stack: error.stack 
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 module.exports = {
   handleCallStart,
   handleCallEnd,
-  handleRecording
+  handleRecording,
+  handleTransferTarget
 };
\ No newline at end of file
@@ -171,6 +171,15 @@ router.get('/live', (req, res) => {
  * Readiness probe - is the application ready to serve traffic?
  */
 router.get('/ready', async (req, res) => {
+  // Shutting down: load balancer stops sending calls while ours drain
+  const shutdown = req.app.locals.shutdown;
+  if (shutdown && shutdown.isShuttingDown) {
+    return res.status(503).json({
+      status: 'draining',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
   try {
     const checks = {
       database: await checkDatabase(),
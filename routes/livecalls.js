@@ -4,28 +4,48 @@ const router = express.Router();
 const resolve = require('../utils/moduleResolver');
 const db = require(resolve('db/postgres'));
 const logger = require(resolve('utils/logger'));
+const { requireRole } = require(resolve('auth/authMiddleware'));
+const sessionManager = require(resolve('sessions/CallSessionManager'));
+const { SUPERVISOR_ROLES } = require(resolve('realtime/supervisorSocket'));
 
 /**
- * GET /api/calls/active - Get all active calls in real-time
+ * GET /api/calls/active - Live calls of the user's company on every node
+ * (session registry), with their call records
  */
 router.get('/active', async (req, res) => {
   try {
-    const result = await db.query(
-      `SELECT 
-        c.id, c.call_sid, c.phone_from, c.phone_to, c.start_ts,
-        cli.name as client_name,
-        c.transcript_partial, c.current_intent, c.agent_type, c.agent_state,
-        EXTRACT(EPOCH FROM (NOW() - c.start_ts)) as duration_seconds
-      FROM calls c
-      LEFT JOIN clients cli ON c.client_id = cli.id
-      WHERE c.end_ts IS NULL
-      AND c.start_ts > NOW() - INTERVAL '1 hour'
-      ORDER BY c.start_ts DESC`
-    );
+    const live = (await sessionManager.listLiveCalls({ clientId: req.user.client_id })).reverse();
+    const result = live.length > 0
+      ? await db.query(
+        `SELECT 
+          c.id, c.call_sid, c.phone_from, c.phone_to, c.start_ts,
+          cli.name as client_name,
+          c.transcript_partial, c.current_intent, c.agent_type, c.agent_state
+        FROM calls c
+        LEFT JOIN clients cli ON c.client_id = cli.id
+        WHERE c.id = ANY($1::uuid[])`,
+        [live.map(entry => entry.callId)]
+      )
+      : { rows: [] };
+
+    const records = new Map(result.rows.map(row => [row.id, row]));
+    const calls = live.map(entry => ({
+      id: entry.callId,
+      phone_from: entry.phoneFrom,
+      start_ts: entry.startedAt,
+      ...records.get(entry.callId),
+      duration_seconds: Math.max(0, Math.floor((Date.now() - Date.parse(entry.startedAt)) / 1000)),
+      language: entry.language || null,
+      intent: entry.intent || null,
+      taken_over_by: entry.takenOverBy || null,
+      transfer: entry.transfer || null,
+      simulated: Boolean(entry.simulated),
+      node_id: entry.nodeId
+    }));
 
     res.json({
-      calls: result.rows,
-      count: result.rows.length,
+      calls,
+      count: calls.length,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -34,6 +54,60 @@ router.get('/active', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/calls/active/:id - Live state and transcript of a call, from
+ * whichever node carries it
+ */
+router.get('/active/:id', requireRole(SUPERVISOR_ROLES), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await findLiveCall(id, req.user))) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    await db.auditLog({
+      call_id: id,
+      client_id: req.user.client_id,
+      event_type: 'supervisor_inspect',
+      payload: {},
+      user_id: req.user.id,
+      ip_address: req.ip
+    });
+
+    res.json(await sessionManager.sendCallCommand(id, 'inspect'));
+  } catch (error) {
+    logger.error('Error inspecting live call', { callId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to inspect call', details: error.message });
+  }
+});
+
+/**
+ * POST /api/calls/active/:id/end - Hang up a live call on any node
+ */
+router.post('/active/:id/end', requireRole(SUPERVISOR_ROLES), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await findLiveCall(id, req.user))) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    await db.auditLog({
+      call_id: id,
+      client_id: req.user.client_id,
+      event_type: 'supervisor_end',
+      payload: {},
+      user_id: req.user.id,
+      ip_address: req.ip
+    });
+
+    await sessionManager.sendCallCommand(id, 'end');
+    res.json({ success: true, id });
+  } catch (error) {
+    logger.error('Error ending live call', { callId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to end call', details: error.message });
+  }
+});
+
 /**
  * GET /api/calls/:id/playback - Get call with playback data
  */
@@ -88,4 +162,12 @@ router.get('/:id/playback', async (req, res) => {
   }
 });
 
+/**
+ * Registry entry of a live call, if it belongs to the user's company
+ */
+async function findLiveCall(callId, user) {
+  const entry = await sessionManager.getLiveCall(callId);
+  return entry && entry.clientId === user.client_id ? entry : null;
+}
+
 module.exports = router;
@@ -10,6 +10,7 @@ const router = express.Router();
 const db = require('../db/postgres');
 const { authMiddleware } = require('../auth/authMiddleware');
 const logger = require('../utils/logger');
+const latencyMetrics = require('../services/latencyMetrics');
 
 // ============================================================================
 // 1. LIVE METRICS ENDPOINTS
@@ -77,7 +78,8 @@ router.get('/live', authMiddleware, async (req, res) => {
         busy: parseInt(busyAgents.rows[0].total),
         total: parseInt(availableAgents.rows[0].total) + parseInt(busyAgents.rows[0].total)
       },
-      recentMetrics: recentMetrics.rows[0]
+      recentMetrics: recentMetrics.rows[0],
+      turnLatency: latencyMetrics.getSnapshot(userClientId).overall
     };
 
     logger.info('Live metrics retrieved', {
@@ -97,6 +99,29 @@ router.get('/live', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/metrics/latency
+ * p50/p95 per-turn latency of the last few minutes, overall and per agent/provider
+ */
+router.get('/latency', authMiddleware, async (req, res) => {
+  try {
+    const userClientId = req.user.client_id;
+
+    res.json({
+      success: true,
+      data: {
+        timestamp: new Date(),
+        ...latencyMetrics.getSnapshot(userClientId)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching live latency', {
+      error: error.message
+    });
+    res.status(500).json({ error: 'Failed to fetch live latency' });
+  }
+});
+
 // ============================================================================
 // 2. AGENT STATUS ENDPOINTS
 // ============================================================================
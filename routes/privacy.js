@@ -0,0 +1,141 @@
+// routes/privacy.js - PII redaction policy and vault access
+const express = require('express');
+const router = express.Router();
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const { validateBody, validateQuery } = require(resolve('middleware/validation'));
+const { requireRole } = require(resolve('auth/authMiddleware'));
+const { AuditEventType, logAuditEvent } = require(resolve('services/auditLogger'));
+const piiRedactionService = require(resolve('services/piiRedactionService'));
+const { DETECTOR_ORDER } = require(resolve('utils/piiRedactor'));
+
+const policySchema = {
+  enabled: { required: false, type: 'boolean' },
+  detectors: { required: false, type: 'array' },
+  vault: { required: false, type: 'boolean' }
+};
+
+const revealSchema = {
+  call_id: { required: true, type: 'uuid' },
+  tokens: { required: false, type: 'array' },
+  reason: { required: true, type: 'string', minLength: 10, maxLength: 500 }
+};
+
+const accessQuerySchema = {
+  call_id: { required: false, type: 'uuid' }
+};
+
+/**
+ * GET /api/privacy/redaction
+ * The company's redaction policy and the detectors it can turn on
+ */
+router.get('/redaction', async (req, res) => {
+  try {
+    const policy = await piiRedactionService.getPolicy(req.user.client_id);
+    res.json({ policy, detectors: DETECTOR_ORDER });
+  } catch (error) {
+    logger.error('Error fetching redaction policy', { error: error.message, clientId: req.user?.client_id });
+    res.status(500).json({ error: 'Failed to fetch redaction policy' });
+  }
+});
+
+/**
+ * PUT /api/privacy/redaction
+ * Update the redaction policy (clients.settings.privacy.redaction) - admins only
+ */
+router.put('/redaction', requireRole(['admin']), validateBody(policySchema), async (req, res) => {
+  try {
+    const clientId = req.user.client_id;
+
+    const unknown = (req.body.detectors || []).filter(type => !DETECTOR_ORDER.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown detectors: ${unknown.join(', ')}` });
+    }
+
+    const current = await piiRedactionService.getPolicy(clientId);
+    const policy = piiRedactionService.normalizePolicy({ ...current, ...req.body });
+
+    const result = await db.query(
+      `UPDATE clients
+       SET settings = jsonb_set(
+         COALESCE(settings, '{}'::jsonb),
+         '{privacy}',
+         COALESCE(settings->'privacy', '{}'::jsonb) || jsonb_build_object('redaction', $1::jsonb)
+       ),
+       updated_at = NOW()
+       WHERE id = $2
+       RETURNING id`,
+      [JSON.stringify(policy), clientId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    await logAuditEvent(AuditEventType.SETTINGS_CHANGED, {
+      clientId,
+      userId: req.user.id,
+      description: 'PII redaction policy updated',
+      resource: 'privacy_redaction',
+      resourceId: clientId,
+      changes: { from: current, to: policy },
+      ipAddress: req.ip
+    });
+
+    res.json({ policy });
+  } catch (error) {
+    logger.error('Error updating redaction policy', { error: error.message, clientId: req.user?.client_id });
+    res.status(500).json({ error: 'Failed to update redaction policy' });
+  }
+});
+
+/**
+ * POST /api/privacy/vault/reveal
+ * Original values redacted from a call - admins only, with a stated reason.
+ * Every reveal is recorded in pii_vault_access and the audit log.
+ */
+router.post('/vault/reveal', requireRole(['admin']), validateBody(revealSchema), async (req, res) => {
+  try {
+    const clientId = req.user.client_id;
+    const { call_id: callId, tokens = null, reason } = req.body;
+
+    const values = await piiRedactionService.reveal(clientId, {
+      callId,
+      tokens,
+      userId: req.user.id,
+      reason
+    });
+
+    await logAuditEvent(AuditEventType.DATA_ACCESSED, {
+      clientId,
+      userId: req.user.id,
+      description: `Redacted call data revealed: ${reason}`,
+      resource: 'pii_vault',
+      resourceId: callId,
+      changes: { tokens: values.map(value => value.token) },
+      ipAddress: req.ip
+    });
+
+    res.json({ call_id: callId, values, count: values.length });
+  } catch (error) {
+    logger.error('Error revealing vaulted values', { error: error.message, callId: req.body?.call_id });
+    res.status(500).json({ error: 'Failed to reveal redacted values' });
+  }
+});
+
+/**
+ * GET /api/privacy/vault/access
+ * Who revealed redacted values and why (optionally for one call) - admins only
+ */
+router.get('/vault/access', requireRole(['admin']), validateQuery(accessQuerySchema), async (req, res) => {
+  try {
+    const access = await db.piiVault.getAccessLog(req.user.client_id, req.query.call_id || null);
+    res.json({ access, count: access.length });
+  } catch (error) {
+    logger.error('Error fetching vault access log', { error: error.message, clientId: req.user?.client_id });
+    res.status(500).json({ error: 'Failed to fetch vault access log' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,280 @@
+// routes/promptTemplates.js - Per-client persona & prompt template management
+const express = require('express');
+const router = express.Router();
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const { validateBody } = require(resolve('middleware/validation'));
+const { AuditEventType, logAuditEvent } = require(resolve('services/auditLogger'));
+const promptTemplateService = require(resolve('services/promptTemplateService'));
+const { TEMPLATE_KINDS, DEFAULT_SECTOR, LANGUAGE_NAMES } = require(resolve('config/promptDefaults'));
+
+const templateSchema = {
+  kind: { required: true, type: 'string', enum: TEMPLATE_KINDS },
+  sector: { required: false, type: 'string', maxLength: 50 },
+  body: { required: true, type: 'string', maxLength: 20000 },
+  notes: { required: false, type: 'string', maxLength: 500 },
+  activate: { required: false, type: 'boolean' }
+};
+
+const rollbackSchema = {
+  kind: { required: true, type: 'string', enum: TEMPLATE_KINDS },
+  sector: { required: false, type: 'string', maxLength: 50 },
+  version: { required: true, type: 'number', min: 1 }
+};
+
+const previewSchema = {
+  kind: { required: true, type: 'string', enum: TEMPLATE_KINDS },
+  sector: { required: false, type: 'string', maxLength: 50 },
+  body: { required: false, type: 'string', maxLength: 20000 }
+};
+
+const personaSchema = {
+  agent_name: { required: false, type: 'string', maxLength: 50 },
+  language: { required: false, type: 'string', enum: Object.keys(LANGUAGE_NAMES) },
+  voice: { required: false, type: 'string', maxLength: 30 },
+  say_voice: { required: false, type: 'string', maxLength: 30 },
+  greeting: { required: false, type: 'string', maxLength: 500 }
+};
+
+const PERSONA_FIELDS = Object.keys(personaSchema);
+
+/**
+ * Validate VAD overrides ({ threshold, prefix_padding_ms, silence_duration_ms })
+ */
+function validateVad(vad) {
+  if (vad === undefined) return null;
+  if (!vad || typeof vad !== 'object') return 'vad must be an object';
+  if (vad.threshold !== undefined && (typeof vad.threshold !== 'number' || vad.threshold < 0 || vad.threshold > 1)) {
+    return 'vad.threshold must be between 0 and 1';
+  }
+  for (const field of ['prefix_padding_ms', 'silence_duration_ms']) {
+    if (vad[field] !== undefined && (!Number.isInteger(vad[field]) || vad[field] < 0 || vad[field] > 5000)) {
+      return `vad.${field} must be an integer between 0 and 5000`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate per-language voices ({ ta: 'shimmer', en: 'alloy' })
+ */
+function validateVoices(voices) {
+  if (voices === undefined) return null;
+  if (!voices || typeof voices !== 'object' || Array.isArray(voices)) return 'voices must be an object';
+  for (const [language, voice] of Object.entries(voices)) {
+    if (!LANGUAGE_NAMES[language]) {
+      return `voices.${language} is not a supported language`;
+    }
+    if (typeof voice !== 'string' || voice.length === 0 || voice.length > 30) {
+      return `voices.${language} must be a voice name`;
+    }
+  }
+  return null;
+}
+
+/**
+ * GET /api/prompt-templates
+ * List template versions (?kind=&sector=)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const clientId = req.user.client_id;
+    const { kind, sector } = req.query;
+
+    const versions = await promptTemplateService.listVersions(clientId, { kind, sector });
+
+    res.json({ templates: versions, count: versions.length });
+  } catch (error) {
+    logger.error('Error listing prompt templates', { error: error.message, clientId: req.user?.client_id });
+    res.status(500).json({ error: 'Failed to list prompt templates' });
+  }
+});
+
+/**
+ * GET /api/prompt-templates/active?kind=system_prompt&sector=ecommerce
+ * Active template (client sector -> client default -> built-in)
+ */
+router.get('/active', async (req, res) => {
+  try {
+    const clientId = req.user.client_id;
+    const { kind = 'system_prompt', sector = DEFAULT_SECTOR } = req.query;
+
+    if (!TEMPLATE_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${TEMPLATE_KINDS.join(', ')}` });
+    }
+
+    const template = await promptTemplateService.getActiveTemplate(clientId, sector, kind);
+    res.json({ template });
+  } catch (error) {
+    logger.error('Error fetching active prompt template', { error: error.message, clientId: req.user?.client_id });
+    res.status(500).json({ error: 'Failed to fetch prompt template' });
+  }
+});
+
+/**
+ * POST /api/prompt-templates
+ * Save a new version (active by default)
+ */
+router.post('/', validateBody(templateSchema), async (req, res) => {
+  try {
+    const clientId = req.user.client_id;
+    const { kind, sector = DEFAULT_SECTOR, body, variables = {}, notes, activate = true } = req.body;
+
+    if (variables && typeof variables !== 'object') {
+      return res.status(400).json({ error: 'variables must be an object' });
+    }
+
+    const template = await promptTemplateService.createVersion(
+      clientId,
+      { kind, sector, body, variables, notes, activate },
+      req.user.id
+    );
+
+    await logAuditEvent(AuditEventType.SETTINGS_CHANGED, {
+      clientId,
+      userId: req.user.id,
+      description: `Prompt template ${kind} v${template.version} saved`,
+      resource: 'prompt_template',
+      resourceId: String(template.id),
+      changes: { kind, sector, version: template.version, activate },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({ template });
+  } catch (error) {
+    logger.error('Error saving prompt template', { error: error.message, clientId: req.user?.client_id });
+    res.status(500).json({ error: 'Failed to save prompt template' });
+  }
+});
+
+/**
+ * POST /api/prompt-templates/rollback
+ * Re-activate an older version
+ */
+router.post('/rollback', validateBody(rollbackSchema), async (req, res) => {
+  try {
+    const clientId = req.user.client_id;
+    const { kind, sector = DEFAULT_SECTOR } = req.body;
+    const version = parseInt(req.body.version, 10);
+
+    const template = await promptTemplateService.activateVersion(clientId, { kind, sector, version });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    await logAuditEvent(AuditEventType.SETTINGS_CHANGED, {
+      clientId,
+      userId: req.user.id,
+      description: `Prompt template ${kind} rolled back to v${version}`,
+      resource: 'prompt_template',
+      resourceId: String(template.id),
+      changes: { kind, sector, version },
+      ipAddress: req.ip
+    });
+
+    res.json({ template });
+  } catch (error) {
+    logger.error('Error rolling back prompt template', { error: error.message, clientId: req.user?.client_id });
+    res.status(500).json({ error: 'Failed to roll back prompt template' });
+  }
+});
+
+/**
+ * POST /api/prompt-templates/preview
+ * Render active (or draft `body`) template with the client's variables
+ */
+router.post('/preview', validateBody(previewSchema), async (req, res) => {
+  try {
+    const clientId = req.user.client_id;
+    const { kind, sector, body, variables = {} } = req.body;
+
+    const preview = await promptTemplateService.preview(clientId, { kind, sector, body, variables });
+    res.json(preview);
+  } catch (error) {
+    logger.error('Error previewing prompt template', { error: error.message, clientId: req.user?.client_id });
+    res.status(500).json({ error: 'Failed to preview prompt template' });
+  }
+});
+
+/**
+ * GET /api/prompt-templates/persona
+ * Persona settings (agent name, language, voice, greeting, VAD)
+ */
+router.get('/persona', async (req, res) => {
+  try {
+    const client = await db.clients.getById(req.user.client_id);
+
+    if (!client) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({ persona: promptTemplateService.getPersonaSettings(client) });
+  } catch (error) {
+    logger.error('Error fetching persona', { error: error.message, clientId: req.user?.client_id });
+    res.status(500).json({ error: 'Failed to fetch persona' });
+  }
+});
+
+/**
+ * PUT /api/prompt-templates/persona
+ * Update persona settings (merged into clients.settings.persona)
+ */
+router.put('/persona', validateBody(personaSchema), async (req, res) => {
+  try {
+    const clientId = req.user.client_id;
+
+    const vadError = validateVad(req.body.vad) || validateVoices(req.body.voices);
+    if (vadError) {
+      return res.status(400).json({ error: vadError });
+    }
+
+    const updates = {};
+    for (const field of PERSONA_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+    if (req.body.vad) {
+      updates.vad = req.body.vad;
+    }
+    if (req.body.voices) {
+      updates.voices = req.body.voices;
+    }
+
+    const result = await db.query(
+      `UPDATE clients
+       SET settings = jsonb_set(
+         COALESCE(settings, '{}'::jsonb),
+         '{persona}',
+         COALESCE(settings->'persona', '{}'::jsonb) || $1::jsonb
+       ),
+       updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [JSON.stringify(updates), clientId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    await logAuditEvent(AuditEventType.SETTINGS_CHANGED, {
+      clientId,
+      userId: req.user.id,
+      description: 'Persona settings updated',
+      resource: 'client_persona',
+      resourceId: clientId,
+      changes: updates,
+      ipAddress: req.ip
+    });
+
+    res.json({ persona: promptTemplateService.getPersonaSettings(result.rows[0]) });
+  } catch (error) {
+    logger.error('Error updating persona', { error: error.message, clientId: req.user?.client_id });
+    res.status(500).json({ error: 'Failed to update persona' });
+  }
+});
+
+module.exports = router;
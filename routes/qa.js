@@ -17,7 +17,7 @@ const router = express.Router();
 router.get('/calls-to-review', async (req, res) => {
   try {
     const { client_id } = req.user;
-    const { limit = 20, offset = 0, team_member_id, status } = req.query;
+    const { limit = 20, offset = 0, team_member_id, status, disposition, resolution_status, sentiment } = req.query;
 
     // Base query - get recent calls with agent/team info
     let query = `
@@ -25,6 +25,7 @@ router.get('/calls-to-review', async (req, res) => {
         c.id, c.call_sid, c.phone_from, c.phone_to,
         c.created_at, c.end_ts, c.duration,
         c.team_member_id, c.agent_type, c.resolved, c.escalated,
+        c.disposition, c.resolution_status, c.sentiment, c.summary,
         tm.title as team_member_name,
         COALESCE(
           json_agg(json_build_object(
@@ -49,6 +50,14 @@ router.get('/calls-to-review', async (req, res) => {
       params.push(team_member_id);
     }
 
+    // Filter by post-call summary (e.g. unresolved calls with an unhappy customer)
+    for (const [column, value] of Object.entries({ disposition, resolution_status, sentiment })) {
+      if (value) {
+        query += ` AND c.${column} = $${params.length + 1}`;
+        params.push(value);
+      }
+    }
+
     // Filter by review status (pending, reviewed, flagged)
     if (status === 'pending') {
       query += ` AND qr.id IS NULL`;
@@ -6,6 +6,8 @@ const router = express.Router();
 const resolve = require('../utils/moduleResolver');
 const logger = require(resolve('utils/logger'));
 const db = require(resolve('db/postgres'));
+const intentModelService = require(resolve('services/intentModelService'));
+const intentEvaluator = require(resolve('agents/evaluation/intentEvaluator'));
 
 // Middleware to verify client ownership of sector
 async function verifySectorAccess(req, res, next) {
@@ -319,6 +321,126 @@ router.get('/:sectorId/intent-patterns', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/sector/:sectorId/intent-examples
+ * Transcripts the client labeled for the sector's intent classifier
+ */
+router.get('/:sectorId/intent-examples', verifySectorAccess, async (req, res) => {
+  try {
+    const { sectorId } = req.params;
+    const clientId = req.user?.client_id;
+
+    const examples = await db.intentExamples.getByClient(clientId, sectorId);
+
+    res.json({ sector: sectorId, examples });
+  } catch (error) {
+    logger.error('❌ [SectorConfig] Fetch intent examples error', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch intent examples' });
+  }
+});
+
+/**
+ * POST /api/sector/:sectorId/intent-examples
+ * Label a caller transcript with its intent; the client's intent classifier
+ * for the sector is retrained on its next use
+ * Body: { text, intent, language?, call_id? }
+ */
+router.post('/:sectorId/intent-examples', verifySectorAccess, async (req, res) => {
+  try {
+    const { sectorId } = req.params;
+    const clientId = req.user?.client_id;
+    const { text, intent, language, call_id: callId } = req.body || {};
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'text is required' });
+    }
+    if (typeof intent !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(intent)) {
+      return res.status(400).json({ error: 'intent must be an intent name like ORDER_LOOKUP' });
+    }
+
+    if (callId) {
+      const call = await db.calls.getById(callId);
+      if (!call || call.client_id !== clientId) {
+        return res.status(404).json({ error: 'Call not found' });
+      }
+    }
+
+    const example = await db.intentExamples.create({
+      client_id: clientId,
+      sector: sectorId,
+      language,
+      text: text.trim(),
+      intent,
+      call_id: callId,
+      labeled_by: req.user?.id
+    });
+    intentModelService.invalidate(sectorId, clientId);
+
+    logger.info('✅ [SectorConfig] Intent example labeled', { clientId, sectorId, intent });
+
+    res.status(201).json(example);
+  } catch (error) {
+    logger.error('❌ [SectorConfig] Label intent example error', { error: error.message });
+    res.status(500).json({ error: 'Failed to save intent example' });
+  }
+});
+
+/**
+ * GET /api/sector/:sectorId/intent-evaluation?detector=intentDetector
+ * Score an intent detector on the sector's labeled corpus: precision, recall
+ * and F1 per intent, confusion matrix, entity accuracy, and regressions
+ * against the accepted baseline. detector=classifier scores the client's own
+ * trained model (no baseline to compare with).
+ */
+router.get('/:sectorId/intent-evaluation', verifySectorAccess, async (req, res) => {
+  try {
+    const { sectorId } = req.params;
+    const clientId = req.user?.client_id;
+    const detector = req.query.detector || 'intentDetector';
+
+    if (!intentEvaluator.DETECTORS[detector]) {
+      return res.status(400).json({
+        error: `detector must be one of ${Object.keys(intentEvaluator.DETECTORS).join(', ')}`
+      });
+    }
+
+    const corpus = intentEvaluator.loadCorpus(sectorId);
+    if (!corpus) {
+      return res.status(404).json({ error: 'No evaluation corpus for this sector' });
+    }
+
+    let report;
+    let regressions = null;
+    if (detector === 'classifier') {
+      const classifier = await intentModelService.getClassifier(sectorId, clientId);
+      if (!classifier) {
+        return res.status(404).json({ error: 'No intent classifier for this sector' });
+      }
+      report = intentEvaluator.evaluateCorpus(corpus, { detector, classifier });
+    } else {
+      const baselines = intentEvaluator.loadBaselines();
+      report = intentEvaluator.evaluateCorpus(corpus, { detector });
+      regressions = intentEvaluator.compareToBaseline(
+        report,
+        (baselines.sectors[sectorId] || {})[detector],
+        { tolerance: baselines.tolerance }
+      );
+    }
+
+    logger.info('✅ [SectorConfig] Intent evaluation run', {
+      sectorId,
+      detector,
+      accuracy: report.accuracy,
+      regressions: regressions ? regressions.length : null
+    });
+
+    res.json({ ...report, regressions });
+  } catch (error) {
+    logger.error('❌ [SectorConfig] Intent evaluation error', { error: error.message });
+    res.status(500).json({ error: 'Failed to evaluate intents' });
+  }
+});
+
 /**
  * POST /api/sector/:sectorId/enable
  * Enable a sector for a client
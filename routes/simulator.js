@@ -0,0 +1,112 @@
+// routes/simulator.js - Text-mode conversation simulator (test agents without a phone call)
+const express = require('express');
+const router = express.Router();
+const resolve = require('../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const { validateBody } = require(resolve('middleware/validation'));
+const conversationSimulator = require(resolve('services/conversationSimulator'));
+
+const runSchema = {
+  title: { required: false, type: 'string', maxLength: 255 },
+  backend: { required: false, type: 'string', enum: ['openai', 'cascaded', 'fake'] },
+  intent_mode: { required: false, type: 'string', enum: ['tools', 'regex'] }
+};
+
+const turnSchema = {
+  text: { required: true, type: 'string', maxLength: 2000 }
+};
+
+/**
+ * Map simulator errors (ValidationError, NotFoundError, ConflictError) to a response
+ */
+function sendError(res, error, message, clientId) {
+  if (error.statusCode && error.statusCode < 500) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  logger.error(message, { error: error.message, clientId });
+  return res.status(500).json({ error: message });
+}
+
+/**
+ * POST /api/simulator/runs
+ * Start a run: synthetic call + text-mode session for this tenant
+ */
+router.post('/runs', validateBody(runSchema), async (req, res) => {
+  try {
+    const run = await conversationSimulator.startRun(req.user.client_id, req.user.id, req.body);
+    res.status(201).json({ run });
+  } catch (error) {
+    sendError(res, error, 'Failed to start simulator run', req.user?.client_id);
+  }
+});
+
+/**
+ * GET /api/simulator/runs
+ * List this tenant's runs (?limit=&offset=)
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const runs = await conversationSimulator.listRuns(req.user.client_id, { limit, offset });
+    res.json({ runs, count: runs.length });
+  } catch (error) {
+    sendError(res, error, 'Failed to list simulator runs', req.user?.client_id);
+  }
+});
+
+/**
+ * GET /api/simulator/runs/:id
+ * Run with all turns
+ */
+router.get('/runs/:id', async (req, res) => {
+  try {
+    const run = await conversationSimulator.getRun(req.user.client_id, req.params.id);
+    res.json({ run });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch simulator run', req.user?.client_id);
+  }
+});
+
+/**
+ * POST /api/simulator/runs/:id/turns
+ * Send a user turn; responds once the assistant and any agents are done
+ */
+router.post('/runs/:id/turns', validateBody(turnSchema), async (req, res) => {
+  try {
+    const turn = await conversationSimulator.sendTurn(req.user.client_id, req.params.id, req.body.text);
+    res.json({ turn });
+  } catch (error) {
+    sendError(res, error, 'Failed to run simulator turn', req.user?.client_id);
+  }
+});
+
+/**
+ * POST /api/simulator/runs/:id/end
+ * End the run and its session
+ */
+router.post('/runs/:id/end', async (req, res) => {
+  try {
+    const run = await conversationSimulator.endRun(req.user.client_id, req.params.id);
+    res.json({ run });
+  } catch (error) {
+    sendError(res, error, 'Failed to end simulator run', req.user?.client_id);
+  }
+});
+
+/**
+ * GET /api/simulator/shared/:token
+ * Shared reproduction (read-only, any signed-in user of the same client
+ * with the link)
+ */
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const run = await conversationSimulator.getSharedRun(req.user.client_id, req.params.token);
+    res.json({ run });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch shared simulator run', req.user?.client_id);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// routes/transfers.js - Warm transfer screen pops for team members
+const express = require('express');
+const router = express.Router();
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+
+/**
+ * GET /api/transfers/pending
+ * Calls being transferred to the signed-in user (screen pops, last 10 minutes)
+ */
+router.get('/pending', async (req, res) => {
+  try {
+    const transfers = await db.callTransfers.getRecentForUser(req.user.id, req.user.client_id);
+    res.json({ transfers, count: transfers.length });
+  } catch (error) {
+    logger.error('Failed to fetch pending transfers', { error: error.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to fetch pending transfers' });
+  }
+});
+
+/**
+ * GET /api/transfers/:id
+ * One transfer with its screen pop
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const transfer = await db.callTransfers.getById(req.params.id, req.user.client_id);
+
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    res.json({ transfer });
+  } catch (error) {
+    logger.error('Failed to fetch transfer', { error: error.message, transferId: req.params.id });
+    res.status(500).json({ error: 'Failed to fetch transfer' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// Backend/scripts/evaluate-intents.js
+// Score the intent detectors on the labeled corpora in agents/evaluation/corpus
+//
+// Usage:
+//   node scripts/evaluate-intents.js [--sector ecommerce] [--detector intentDetector]
+//                                    [--corpus file.json] [--confusion] [--json] [--update-baseline]
+//
+//   --sector           Only this sector's corpus (default: every corpus)
+//   --detector         intentDetector, intentDetectorV2 or classifier
+//                      (default: the detectors in the sector's baseline)
+//   --corpus           Score a corpus file instead of the bundled ones
+//   --confusion        Print the confusion matrix
+//   --json             Print the full reports as JSON
+//   --update-baseline  Accept the current metrics as the new baseline
+//
+// Exits 1 when a metric fell below its baseline by more than the tolerance.
+
+const resolve = require('../utils/moduleResolver');
+const {
+  DETECTORS,
+  listCorpora,
+  loadCorpus,
+  readCorpusFile,
+  loadBaselines,
+  saveBaselines,
+  evaluateCorpus,
+  toBaseline,
+  compareToBaseline
+} = require(resolve('agents/evaluation/intentEvaluator'));
+
+function parseArgs(argv) {
+  const args = { confusion: false, json: false, updateBaseline: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--confusion') args.confusion = true;
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--update-baseline') args.updateBaseline = true;
+    else if (arg === '--sector') args.sector = argv[++i];
+    else if (arg === '--detector') args.detector = argv[++i];
+    else if (arg === '--corpus') args.corpus = argv[++i];
+  }
+
+  return args;
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`.padStart(6);
+}
+
+function printReport(report, regressions, showConfusion) {
+  console.log(`\n${report.sector} / ${report.detector}: ${report.total} utterances`);
+  console.log(`  Accuracy ${percent(report.accuracy)}   Macro F1 ${percent(report.macro_f1)}   Entities ${percent(report.entity_accuracy)} of turns exact`);
+
+  console.log('\n  Intent                 Support  Precision  Recall     F1');
+  Object.entries(report.intents).forEach(([intent, scores]) => {
+    console.log(`  ${intent.padEnd(22)} ${String(scores.support).padStart(7)}  ${percent(scores.precision).padStart(9)}  ${percent(scores.recall)} ${percent(scores.f1)}`);
+  });
+
+  console.log('\n  Language   Accuracy');
+  Object.entries(report.languages).forEach(([language, stats]) => {
+    console.log(`  ${language.padEnd(10)} ${percent(stats.accuracy)} (${stats.correct}/${stats.total})`);
+  });
+
+  console.log('\n  Entity            Expected  Correct  Wrong  Missed  Spurious');
+  Object.entries(report.entities.types).forEach(([type, stats]) => {
+    console.log(`  ${type.padEnd(17)} ${String(stats.expected).padStart(8)} ${String(stats.correct).padStart(8)} ${String(stats.wrong).padStart(6)} ${String(stats.missed).padStart(7)} ${String(stats.spurious).padStart(9)}`);
+  });
+
+  if (showConfusion) {
+    console.log('\n  Confusion (rows: labeled, columns: detected)');
+    const width = Math.max(...report.labels.map(label => label.length)) + 1;
+    console.log(`  ${''.padEnd(width)}${report.labels.map((label, i) => String(i + 1).padStart(4)).join('')}`);
+    report.labels.forEach((expected, i) => {
+      const row = report.labels.map(predicted => String(report.confusion[expected][predicted] || '.').padStart(4)).join('');
+      console.log(`  ${`${i + 1} ${expected}`.padEnd(width + 3).slice(0, width)}${row}`);
+    });
+  }
+
+  console.log(`\n  Misclassified: ${report.errors.length}`);
+  report.errors.forEach(error => {
+    console.log(`    [${error.language || '-'}] "${error.text}": ${error.expected} -> ${error.predicted}`);
+  });
+
+  if (regressions) {
+    console.log(`\n  Regressions: ${regressions.length}`);
+    regressions.forEach(({ metric, baseline, actual }) => {
+      console.log(`    ${metric}: ${baseline} -> ${actual}`);
+    });
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.detector && !DETECTORS[args.detector]) {
+    console.error(`Unknown detector ${args.detector}; use ${Object.keys(DETECTORS).join(', ')}`);
+    process.exit(2);
+  }
+
+  const corpora = args.corpus
+    ? [readCorpusFile(args.corpus)]
+    : (args.sector ? [args.sector] : listCorpora()).map(sector => loadCorpus(sector));
+
+  if (corpora.some(corpus => !corpus)) {
+    console.error(`No corpus for sector ${args.sector}; sectors with one: ${listCorpora().join(', ')}`);
+    process.exit(2);
+  }
+
+  const baselines = loadBaselines();
+  const reports = [];
+  let regressed = false;
+
+  for (const corpus of corpora) {
+    const sectorBaselines = baselines.sectors[corpus.sector] || {};
+    const detectors = args.detector
+      ? [args.detector]
+      : (Object.keys(sectorBaselines).length > 0 ? Object.keys(sectorBaselines) : ['intentDetector']);
+
+    for (const detector of detectors) {
+      const report = evaluateCorpus(corpus, { detector });
+      // A corpus file passed in is not what the baseline was measured on
+      const regressions = args.corpus
+        ? null
+        : compareToBaseline(report, sectorBaselines[detector], { tolerance: baselines.tolerance });
+
+      if (regressions && regressions.length > 0) {
+        regressed = true;
+      }
+      if (args.updateBaseline) {
+        baselines.sectors[corpus.sector] = { ...baselines.sectors[corpus.sector], [detector]: toBaseline(report) };
+      }
+
+      reports.push({ ...report, regressions });
+      if (!args.json) {
+        printReport(report, regressions, args.confusion);
+      }
+    }
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  }
+
+  if (args.updateBaseline) {
+    saveBaselines(baselines);
+    console.log('\nBaseline updated');
+    return;
+  }
+
+  process.exit(regressed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// Backend/scripts/replay-call.js
+// Replay a recorded call's STS event stream through CallSessionManager
+//
+// Usage:
+//   node scripts/replay-call.js <callId> [--audio] [--live-agents] [--export file.json] [--json]
+//   node scripts/replay-call.js --file file.json [--live-agents] [--json]
+//
+//   --audio        Download recorded audio from Wasabi (silence otherwise)
+//   --live-agents  Run the real agents instead of the recorded results
+//   --export       Save the recording to a JSON file (replay it later with --file)
+//   --file         Replay an exported recording without the database
+//   --json         Print the full replay report as JSON
+//
+// Exits 1 when the replay diverged from the recording.
+
+const fs = require('fs');
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const { loadRecording, replayCall } = require(resolve('realtime/recording/callReplayer'));
+
+function parseArgs(argv) {
+  const args = { audio: false, liveAgents: false, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--audio') args.audio = true;
+    else if (arg === '--live-agents') args.liveAgents = true;
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--export') args.exportFile = argv[++i];
+    else if (arg === '--file') args.file = argv[++i];
+    else if (!arg.startsWith('--')) args.callId = arg;
+  }
+
+  return args;
+}
+
+function printReport(report) {
+  console.log(`\nReplay of call ${report.callId}`);
+  console.log(`  Server events replayed: ${report.eventsReplayed}`);
+
+  console.log('\n  Transcript:');
+  report.transcript.forEach(entry => {
+    console.log(`    ${entry.role === 'user' ? 'Caller' : 'AI    '}: ${entry.content}${entry.interrupted ? ' [interrupted]' : ''}`);
+  });
+
+  console.log('\n  Intents:');
+  if (report.intents.length === 0) console.log('    (none)');
+  report.intents.forEach(intent => {
+    console.log(`    [${intent.source}] ${intent.intent || intent.agentType} -> ${intent.agentType}`);
+  });
+
+  console.log('\n  Agents:');
+  if (report.agentEvents.length === 0) console.log('    (none)');
+  report.agentEvents.forEach(event => {
+    console.log(`    ${event.event} ${event.agentType || ''}${event.field ? ` (${event.field})` : ''}`);
+  });
+
+  console.log(`\n  Divergences: ${report.divergences.length}`);
+  report.divergences.forEach(divergence => {
+    const detail = divergence.kind === 'missing' ? `expected ${divergence.expected}` : `got ${divergence.actual}`;
+    console.log(`    seq ${divergence.seq || '-'}: ${divergence.kind} - ${detail}`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.callId && !args.file) {
+    console.error('Usage: node scripts/replay-call.js <callId> [--audio] [--live-agents] [--export file.json] [--json]');
+    console.error('       node scripts/replay-call.js --file file.json [--live-agents] [--json]');
+    process.exit(2);
+  }
+
+  let exitCode = 0;
+
+  try {
+    let recording;
+    if (args.file) {
+      recording = JSON.parse(fs.readFileSync(args.file, 'utf-8'));
+      recording.audio = {};
+    } else {
+      recording = await loadRecording(args.callId, { withAudio: args.audio });
+    }
+
+    if (args.exportFile) {
+      const { audio, ...exported } = recording;
+      fs.writeFileSync(args.exportFile, JSON.stringify(exported, null, 2));
+      logger.info(`Recording exported: ${args.exportFile}`);
+    }
+
+    const report = await replayCall(recording, { mockAgents: !args.liveAgents });
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+
+    exitCode = report.divergences.length > 0 ? 1 : 0;
+  } catch (error) {
+    logger.error('Replay failed:', { error: error.message });
+    exitCode = 1;
+  }
+
+  await db.close().catch(() => {});
+  process.exit(exitCode);
+}
+
+main();
@@ -49,6 +49,9 @@ const logger = require(resolve('./utils/logger'));
 const db = require(resolve('db/postgres'));
 const pool = require(resolve('db/pooling')).pool;
 const sessionManager = require(resolve('sessions/CallSessionManager'));
+const { MediaStreamConnection } = require(resolve('realtime/mediaStreams/index'));
+const { handleSimulatorSocket } = require(resolve('realtime/simulatorSocket'));
+const { handleSupervisorSocket } = require(resolve('realtime/supervisorSocket'));
 const GracefulShutdown = require(resolve('utils/gracefulShutdown'));
 const requestIdMiddleware = require(resolve('middleware/requestId'));
 const setupSwagger = require(resolve('docs/swagger'));
@@ -118,7 +121,10 @@ const {
 
 const app = express();
 const server = createServer(app);
-const wss = new WebSocket.Server({ server, path: '/audio' });
+// Upgrades are routed by path below (server.on('upgrade'))
+const wss = new WebSocket.Server({ noServer: true }); // /audio - telephony media streams
+const simulatorWss = new WebSocket.Server({ noServer: true }); // /simulator - typed test conversations
+const supervisorWss = new WebSocket.Server({ noServer: true }); // /supervisor - live call monitoring
 
 // Import new Phase 2 middleware
 const {
@@ -333,9 +339,10 @@ const exotelRoutes = require(resolve('routes/exotel'));
 app.post('/webhooks/exotel/call-start', webhookRateLimiter, verifyExotelWebhook, exotelRoutes.handleCallStart);
 app.post('/webhooks/exotel/call-end', webhookRateLimiter, verifyExotelWebhook, exotelRoutes.handleCallEnd);
 app.post('/webhooks/exotel/recording', webhookRateLimiter, verifyExotelWebhook, exotelRoutes.handleRecording);
+app.get('/webhooks/exotel/transfer-target', webhookRateLimiter, verifyExotelWebhook, exotelRoutes.handleTransferTarget);
 
 // Protected dashboard API routes (require authentication)
-const { authMiddleware } = require(resolve('auth/authMiddleware'));
+const { authMiddleware, authenticateSocket } = require(resolve('auth/authMiddleware'));
 const { multiTenancyContext } = require(resolve('middleware/multiTenancy'));
 
 // Apply API rate limiting to all protected routes
@@ -350,6 +357,8 @@ app.use('/api/monitoring', require(resolve('routes/monitoring')));
 
 // Onboarding setup routes (protected - clients configure during setup)
 app.use('/api/onboarding', authMiddleware, require(resolve('routes/onboarding')));
+// Live calls first so /api/calls/active isn't read as a call id
+app.use('/api/calls', authMiddleware, require(resolve('routes/livecalls')));
 app.use('/api/calls', authMiddleware, require(resolve('routes/calls')));
 app.use('/api/actions', authMiddleware, require(resolve('routes/actions')));
 app.use('/api/analytics', authMiddleware, require(resolve('routes/analytics')));
@@ -365,12 +374,15 @@ app.use('/api/analytics', authMiddleware, require(resolve('routes/predictions'))
 app.use('/api/analytics', authMiddleware, require(resolve('routes/reports'))); // Report generation
 app.use('/api/metrics', authMiddleware, require(resolve('routes/metricsLive'))); // Real-time metrics & health
 
-app.use('/api/calls', authMiddleware, require(resolve('routes/livecalls')));
 app.use('/api/clients', authMiddleware, require(resolve('routes/clients'))); // Multi-tenancy + dashboard route
 app.use('/api/recordings', authMiddleware, require(resolve('routes/recordings'))); // Call recordings from Wasabi
 
 // ✅ PHASE 8: Team Management & Sector-Specific Configuration Routes
 app.use('/api/sector-config', authMiddleware, require(resolve('routes/sectorConfig'))); // Sector-specific API configuration
+app.use('/api/prompt-templates', authMiddleware, require(resolve('routes/promptTemplates'))); // Persona, greeting & system prompt templates
+app.use('/api/simulator', authMiddleware, require(resolve('routes/simulator'))); // Text-mode conversation simulator
+app.use('/api/transfers', authMiddleware, require(resolve('routes/transfers'))); // Warm transfer screen pops
+app.use('/api/privacy', authMiddleware, require(resolve('routes/privacy'))); // PII redaction policy + vault reveal
 app.use('/api/teams', authMiddleware, require(resolve('routes/teams'))); // Team member CRUD + agent assignments + performance
 
 // ✅ PHASE 9: QA Workflow & Call Review System Routes
@@ -461,7 +473,7 @@ app.get('/api/analytics/dashboard', authMiddleware, async (req, res) => {
   }
 });
 
-// WebSocket connection for audio streaming
+// WebSocket connection for audio streaming (Exotel/Twilio media-stream frames)
 wss.on('connection', async (ws, req) => {
   const urlParams = new URLSearchParams(req.url.split('?')[1]);
   const callId = urlParams.get('callId');
@@ -474,6 +486,23 @@ wss.on('connection', async (ws, req) => {
 
   logger.info('WebSocket connection established', { callId });
 
+  // Attach the protocol layer right away so connected/start frames sent while
+  // the session is being created are not lost
+  let stream;
+  try {
+    stream = new MediaStreamConnection(ws, { callId, provider: urlParams.get('provider') });
+  } catch (error) {
+    logger.error('WebSocket connection rejected', { callId, error: error.message });
+    ws.close();
+    return;
+  }
+
+  let streamInfo = null;
+  stream.on('start', (info) => {
+    streamInfo = info;
+    sessionManager.attachMediaStream(callId, info);
+  });
+
   try {
     // Get call data
     const call = await db.calls.getById(callId);
@@ -486,12 +515,14 @@ wss.on('connection', async (ws, req) => {
 
     // Create audio session
     await sessionManager.createSession(callId, call);
+    if (streamInfo) {
+      sessionManager.attachMediaStream(callId, streamInfo);
+    }
 
-    // Handle incoming audio chunks from Exotel
-    ws.on('message', async (data) => {
+    // Caller audio, keypad and playback marks
+    stream.on('media', (event) => {
       try {
-        const audioChunk = Buffer.from(data);
-        sessionManager.processIncomingAudio(callId, audioChunk);
+        sessionManager.processIncomingAudio(callId, event.payload);
       } catch (error) {
         logger.error('Error processing audio chunk', { 
           callId, 
@@ -499,16 +530,33 @@ wss.on('connection', async (ws, req) => {
         });
       }
     });
-
-    // Handle session audio output (TTS to send back to Exotel)
-    sessionManager.on('audio_output', (data) => {
-      if (data.callId === callId && ws.readyState === WebSocket.OPEN) {
-        ws.send(data.audioData);
+    stream.on('dtmf', (event) => sessionManager.handleDtmf(callId, event.digit));
+    stream.on('mark', (event) => sessionManager.handlePlaybackMark(callId, event.name));
+    stream.on('stop', () => ws.close());
+
+    // Session audio output (assistant speech back to the provider)
+    const sessionListeners = {
+      audio_output: (data) => {
+        if (data.callId !== callId) return;
+        stream.sendAudio(data.audioData);
+        if (data.mark) stream.sendMark(data.mark);
+      },
+      audio_output_done: (data) => {
+        if (data.callId === callId) stream.sendMark(data.mark);
+      },
+      audio_clear: (data) => {
+        if (data.callId === callId) stream.clear();
+      },
+      // Transfer carried on by the provider's call flow once the stream ends
+      stream_end: (data) => {
+        if (data.callId === callId) ws.close();
       }
-    });
+    };
+    Object.entries(sessionListeners).forEach(([eventName, handler]) => sessionManager.on(eventName, handler));
 
     ws.on('close', async () => {
       logger.info('WebSocket connection closed', { callId });
+      Object.entries(sessionListeners).forEach(([eventName, handler]) => sessionManager.off(eventName, handler));
       await sessionManager.endSession(callId);
     });
 
@@ -525,6 +573,58 @@ wss.on('connection', async (ws, req) => {
   }
 });
 
+// WebSocket connection for the text-mode simulator (authenticated)
+simulatorWss.on('connection', (ws, req, user) => {
+  logger.info('Simulator WebSocket connected', { userId: user.id, clientId: user.client_id });
+  handleSimulatorSocket(ws, user);
+});
+
+// WebSocket connection for supervisors (listen in, whisper, take over)
+supervisorWss.on('connection', (ws, req, user) => {
+  logger.info('Supervisor WebSocket connected', { userId: user.id, clientId: user.client_id });
+  handleSupervisorSocket(ws, user, req);
+});
+
+// Dashboard sockets that require a logged-in user
+const authenticatedSockets = {
+  '/simulator': simulatorWss,
+  '/supervisor': supervisorWss
+};
+
+// Route WebSocket upgrades by path
+server.on('upgrade', (req, socket, head) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (pathname === '/audio') {
+    // Draining - new calls belong on a node that is staying up
+    if (shutdown.isShuttingDown) {
+      logger.warn('Audio stream rejected - shutting down', { ip: req.socket.remoteAddress });
+      socket.write('HTTP/1.1 503 Service Unavailable\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+    return;
+  }
+
+  const authenticatedWss = authenticatedSockets[pathname];
+  if (authenticatedWss) {
+    let user;
+    try {
+      user = authenticateSocket(req);
+    } catch (error) {
+      logger.warn('WebSocket upgrade rejected', { path: pathname, error: error.message, ip: req.socket.remoteAddress });
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    authenticatedWss.handleUpgrade(req, socket, head, (ws) => authenticatedWss.emit('connection', ws, req, user));
+    return;
+  }
+
+  socket.destroy();
+});
+
 // 404 handler - must come before error handler
 app.use((req, res, next) => {
   const error = new NotFoundError('API endpoint');
@@ -542,31 +642,16 @@ app.use(errorResponseMiddleware);
 // Error handling middleware - MUST BE LAST
 app.use(errorHandler);
 
-// ✅ PHASE 3: Graceful shutdown - flush pending error events to Sentry
+// ✅ PHASE 3: Graceful shutdown - drain live calls, flush pending error events to Sentry
 const { flush: sentryflush } = require(resolve('utils/sentryIntegration'));
 
-const gracefulShutdown = async () => {
-  logger.info('Shutting down gracefully...');
-  
-  server.close(() => {
-    logger.info('HTTP server closed');
-  });
-  
-  wss.close(() => {
-    logger.info('WebSocket server closed');
-  });
-  
-  await db.close();
-  logger.info('Database connections closed');
-  
-  // Flush Sentry events before exit
-  await sentryflush(5000);
-  
-  process.exit(0);
-};
-
-process.on('SIGTERM', gracefulShutdown);
-process.on('SIGINT', gracefulShutdown);
+const shutdown = new GracefulShutdown(server, db, null, {
+  sessionManager,
+  webSocketServers: [wss, simulatorWss, supervisorWss],
+  onClosed: () => sentryflush(5000)
+});
+// Readiness probe reports 503 while shutting down
+app.locals.shutdown = shutdown;
 
 /**
  * 🚀 START APPLICATION
@@ -594,7 +679,6 @@ async function startApplication() {
     }
 
     // Step 2: Setup graceful shutdown handlers
-    const shutdown = new GracefulShutdown(server, db, null);
     shutdown.attachHandlers();
 
     // Step 3: Start server
@@ -622,6 +706,16 @@ async function startApplication() {
         });
       }
 
+      // Step 5: Join the other nodes in the session registry
+      // Live calls and supervisor commands are shared across nodes
+      try {
+        await sessionManager.registry.start();
+      } catch (error) {
+        logger.error('❌ Session registry unavailable - live calls on other nodes are not visible', {
+          error: error.message,
+        });
+      }
+
       // 🔒 PHASE 2 FIX 2.1: Start session cleanup service
       // Automatically cleans up expired sessions every 30 minutes
       // Prevents memory leaks and orphaned connections
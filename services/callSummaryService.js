@@ -0,0 +1,268 @@
+/**
+ * Call Summary Service - Structured summary and disposition after each call
+ * Features: reason, actions taken, resolution status, follow-ups and customer
+ * sentiment from the (redacted) transcript, disposition from the client's
+ * code list (config/dispositionCodes), rule-based fallback when the model is
+ * unavailable, stored on the call (calls.summary, disposition, resolution_status,
+ * sentiment)
+ */
+
+const OpenAI = require('openai');
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const { withTimeout } = require(resolve('utils/timeoutUtil'));
+const {
+  DEFAULT_DISPOSITION_CODES,
+  RESOLUTION_STATUSES,
+  SENTIMENTS,
+  AGENT_DISPOSITIONS
+} = require(resolve('config/dispositionCodes'));
+
+const SUMMARY_TIMEOUT_MS = 15000;
+const MAX_TRANSCRIPT_LINES = 60;
+const MAX_LIST_ITEMS = 5;
+
+// Caller words for the rule-based sentiment
+const NEGATIVE_WORDS = /\b(bakwas|bekar|ghatiya|gussa|pareshan|worst|terrible|angry|frustrated|useless|fraud|complaint|shikayat)\b/gi;
+const POSITIVE_WORDS = /\b(thank you|thanks|dhanyavaad|dhanyawad|shukriya|bahut accha|great|perfect|helpful)\b/gi;
+
+class CallSummaryService {
+  constructor() {
+    this.client = null; // OpenAI client, created on first summary
+    this.summaryModel = process.env.CALL_SUMMARY_MODEL || 'gpt-4o-mini';
+  }
+
+  /**
+   * A client's disposition codes (clients.settings.dispositions), else the defaults
+   * @param {object} client - clients row
+   */
+  getDispositionCodes(client) {
+    const codes = client && client.settings && client.settings.dispositions;
+    const valid = Array.isArray(codes)
+      ? codes.filter(entry => entry && typeof entry.code === 'string' && entry.code.trim())
+      : [];
+
+    return valid.length > 0 ? valid : DEFAULT_DISPOSITION_CODES;
+  }
+
+  /**
+   * Summarize a finished call and store the result on it. Never throws.
+   * @param {object} context - { callId, clientId, transcript: [{ role, text }],
+   *   intents, outcomes: [{ agent_type, status }], transfer, disposition (set by
+   *   the session), durationSeconds }
+   * @returns {object|null} The stored summary
+   */
+  async summarizeCall(context) {
+    const { callId, clientId } = context;
+
+    try {
+      const client = clientId ? await db.clients.getById(clientId) : null;
+      const codes = this.getDispositionCodes(client);
+
+      const summary = await this.buildSummary(context, codes);
+
+      await db.calls.update(callId, {
+        summary,
+        disposition: summary.disposition,
+        resolution_status: summary.resolution_status,
+        sentiment: summary.sentiment,
+        resolved: summary.resolution_status === 'resolved'
+      });
+
+      logger.info('Call summarized', {
+        callId,
+        disposition: summary.disposition,
+        resolutionStatus: summary.resolution_status,
+        sentiment: summary.sentiment,
+        source: summary.source
+      });
+
+      return summary;
+    } catch (error) {
+      logger.error('Call summary failed', { callId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Model summary checked against the code list, rules for anything missing
+   */
+  async buildSummary(context, codes) {
+    const rules = this.ruleBasedSummary(context, codes);
+    const generated = await this.modelSummary(context, codes);
+
+    if (!generated) {
+      return rules;
+    }
+
+    const allowed = codes.map(entry => entry.code);
+
+    return {
+      reason: stringOr(generated.reason, rules.reason),
+      actions_taken: listOr(generated.actions_taken, rules.actions_taken),
+      resolution_status: RESOLUTION_STATUSES.includes(generated.resolution_status)
+        ? generated.resolution_status
+        : rules.resolution_status,
+      follow_ups: listOr(generated.follow_ups, []),
+      sentiment: SENTIMENTS.includes(generated.sentiment) ? generated.sentiment : rules.sentiment,
+      // What the session itself ended the call with is a fact, not a guess
+      disposition: context.disposition || (allowed.includes(generated.disposition) ? generated.disposition : rules.disposition),
+      source: 'model',
+      model: this.summaryModel,
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Ask the model for the structured summary
+   * @returns {object|null} Parsed JSON, null when unavailable or unusable
+   */
+  async modelSummary(context, codes) {
+    const client = this.getClient();
+    const lines = (context.transcript || [])
+      .slice(-MAX_TRANSCRIPT_LINES)
+      .map(entry => `${entry.role === 'user' ? 'Customer' : 'Assistant'}: ${entry.text}`);
+
+    if (!client || lines.length === 0) {
+      return null;
+    }
+
+    const facts = [
+      `Intents detected: ${(context.intents || []).join(', ') || 'none'}`,
+      `Agent outcomes: ${(context.outcomes || []).map(o => `${o.agent_type} ${o.status}`).join(', ') || 'none'}`,
+      `Transferred to a human: ${context.transfer ? context.transfer.status : 'no'}`
+    ];
+
+    try {
+      const completion = await withTimeout(
+        client.chat.completions.create({
+          model: this.summaryModel,
+          temperature: 0.1,
+          max_tokens: 400,
+          response_format: { type: 'json_object' },
+          messages: [
+            {
+              role: 'system',
+              content: 'You summarize finished customer service calls for QA reviewers. Answer with a JSON object: ' +
+                '{"reason": one English sentence on why the customer called, ' +
+                '"actions_taken": short English phrases for what the assistant did, ' +
+                `"resolution_status": one of ${RESOLUTION_STATUSES.join(', ')}, ` +
+                '"follow_ups": short English phrases for what the team still has to do (empty if nothing), ' +
+                `"sentiment": the customer's sentiment, one of ${SENTIMENTS.join(', ')}, ` +
+                '"disposition": one code from this list:\n' +
+                codes.map(entry => `- ${entry.code}: ${entry.description || entry.label || entry.code}`).join('\n') +
+                '}\nOnly use facts from the call. Redacted values like [CARD#...] stay as they are.'
+            },
+            { role: 'user', content: `${facts.join('\n')}\n\nTranscript:\n${lines.join('\n')}` }
+          ]
+        }),
+        SUMMARY_TIMEOUT_MS,
+        'Call summary'
+      );
+
+      return JSON.parse(completion.choices[0].message.content || '');
+    } catch (error) {
+      logger.warn('Call summary model failed, using rules', { callId: context.callId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Summary from what the session recorded: intents, agent outcomes, transfer
+   */
+  ruleBasedSummary(context, codes) {
+    const { intents = [], outcomes = [], transfer = null, transcript = [] } = context;
+    const allowed = codes.map(entry => entry.code);
+    const pick = (...candidates) => candidates.find(code => code && allowed.includes(code)) || null;
+
+    const completed = outcomes.filter(outcome => outcome.status === 'completed');
+    const failed = outcomes.filter(outcome => outcome.status === 'failed' || outcome.status === 'error');
+    const callerSpoke = transcript.some(entry => entry.role === 'user');
+
+    let resolutionStatus;
+    if (transfer && transfer.status === 'transferred') {
+      resolutionStatus = 'escalated';
+    } else if (completed.length > 0) {
+      resolutionStatus = failed.length > 0 || transfer ? 'partially_resolved' : 'resolved';
+    } else {
+      resolutionStatus = 'unresolved';
+    }
+
+    const followUps = [];
+    if (transfer && transfer.fallback) {
+      followUps.push(transfer.fallback === 'voicemail' ? 'Listen to the voicemail and contact the customer' : 'Call the customer back');
+    }
+    if (failed.length > 0) {
+      followUps.push(`Retry ${failed.map(outcome => outcome.agent_type).join(', ')}`);
+    }
+
+    let disposition;
+    if (context.disposition) {
+      disposition = context.disposition;
+    } else if (transfer && transfer.status === 'transferred') {
+      disposition = pick('escalated', 'unresolved');
+    } else if (transfer && transfer.fallback) {
+      disposition = pick('callback_scheduled', 'escalated', 'unresolved');
+    } else if (completed.length > 0) {
+      const last = completed[completed.length - 1];
+      disposition = pick(AGENT_DISPOSITIONS[last.agent_type], 'resolved');
+    } else {
+      disposition = pick(callerSpoke ? 'unresolved' : 'no_response', 'unresolved');
+    }
+
+    return {
+      reason: intents.length > 0
+        ? `Customer called about ${intents.map(describeIntent).join(', ')}`
+        : (callerSpoke ? 'General enquiry' : 'Caller did not speak'),
+      actions_taken: outcomes.map(outcome => `${outcome.agent_type} ${outcome.status}`),
+      resolution_status: resolutionStatus,
+      follow_ups: followUps,
+      sentiment: this.ruleBasedSentiment(transcript),
+      disposition: disposition || (codes[0] && codes[0].code) || null,
+      source: 'rules',
+      generated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Positive/negative words the caller used
+   */
+  ruleBasedSentiment(transcript = []) {
+    const said = transcript.filter(entry => entry.role === 'user').map(entry => entry.text).join(' ');
+    const negative = (said.match(NEGATIVE_WORDS) || []).length;
+    const positive = (said.match(POSITIVE_WORDS) || []).length;
+
+    if (negative > positive) return 'negative';
+    if (positive > negative) return 'positive';
+    return 'neutral';
+  }
+
+  getClient() {
+    if (!this.client && process.env.OPENAI_API_KEY) {
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return this.client;
+  }
+}
+
+// 'ORDER_LOOKUP' (regex intent) or 'OrderLookupAgent' (tool call) -> 'order lookup'
+function describeIntent(intent) {
+  return intent
+    .replace(/Agent$/, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/_/g, ' ')
+    .toLowerCase();
+}
+
+function stringOr(value, fallback) {
+  return typeof value === 'string' && value.trim() ? value.trim() : fallback;
+}
+
+function listOr(value, fallback) {
+  return Array.isArray(value)
+    ? value.filter(item => typeof item === 'string' && item.trim()).slice(0, MAX_LIST_ITEMS)
+    : fallback;
+}
+
+module.exports = new CallSummaryService();
@@ -0,0 +1,372 @@
+/**
+ * Conversation Simulator - Typed conversations through the live call pipeline
+ * Features: synthetic tenant calls (calls.is_simulated), text-only STS sessions
+ * driven by CallSessionManager, per-turn assistant text, intents, entities and
+ * agent actions, saved runs shareable by token
+ */
+
+const crypto = require('crypto');
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const sessionManager = require(resolve('sessions/CallSessionManager'));
+const { ValidationError, NotFoundError, ConflictError } = require(resolve('middleware/errorHandler'));
+
+// A turn ends once nothing happened for TURN_SETTLE_MS and nothing is pending
+const TURN_SETTLE_MS = 300;
+const TURN_TIMEOUT_MS = 20000;
+// Every active run holds a speech session open
+const MAX_ACTIVE_RUNS_PER_CLIENT = 5;
+const MAX_TURN_TEXT_LENGTH = 2000;
+const SIMULATOR_BACKENDS = ['openai', 'cascaded', 'fake'];
+const INTENT_MODES = ['tools', 'regex'];
+const AGENT_EVENTS = ['agent_needs_info', 'agent_completed', 'agent_error', 'agent_cancelled'];
+
+class ConversationSimulator {
+  constructor() {
+    this.activeRuns = new Map(); // runId -> { runId, callId, clientId, turnCount, turnInProgress }
+    this.turnSettleMs = TURN_SETTLE_MS;
+    this.turnTimeoutMs = TURN_TIMEOUT_MS;
+  }
+
+  /**
+   * Create a synthetic call and start a text-mode session for it
+   * @param {string} clientId - Tenant
+   * @param {string} userId - User starting the run
+   * @param {object} options - { title, backend, intent_mode, script (fake backend only) }
+   */
+  async startRun(clientId, userId, options = {}) {
+    const { title = null, backend = null, intent_mode: intentMode = null, script = null } = options;
+
+    if (backend && !SIMULATOR_BACKENDS.includes(backend)) {
+      throw new ValidationError(`backend must be one of: ${SIMULATOR_BACKENDS.join(', ')}`);
+    }
+    if (intentMode && !INTENT_MODES.includes(intentMode)) {
+      throw new ValidationError(`intent_mode must be one of: ${INTENT_MODES.join(', ')}`);
+    }
+    if (script && backend !== 'fake') {
+      throw new ValidationError('script is only supported with the fake backend');
+    }
+
+    const activeForClient = [...this.activeRuns.values()].filter(run => run.clientId === clientId).length;
+    if (activeForClient >= MAX_ACTIVE_RUNS_PER_CLIENT) {
+      throw new ConflictError(`At most ${MAX_ACTIVE_RUNS_PER_CLIENT} simulator runs can be active at once`);
+    }
+
+    const callResult = await db.query(
+      `INSERT INTO calls (client_id, call_sid, phone_from, phone_to, is_simulated)
+       VALUES ($1, $2, 'simulator', 'simulator', true)
+       RETURNING *`,
+      [clientId, `sim-${crypto.randomBytes(8).toString('hex')}`]
+    );
+    const call = callResult.rows[0];
+
+    const callData = {
+      ...call,
+      client_id: clientId,
+      is_simulated: true,
+      ...(backend ? { speech_backend: backend } : {}),
+      ...(intentMode ? { intent_mode: intentMode } : {})
+    };
+
+    const session = await sessionManager.createSession(call.id, callData, {
+      textMode: true,
+      ...(script ? { script } : {})
+    });
+
+    let run;
+    try {
+      run = await db.simulatorRuns.create({
+        client_id: clientId,
+        call_id: call.id,
+        created_by: userId,
+        share_token: crypto.randomBytes(24).toString('hex'),
+        title,
+        backend: session.stsSession.backend ? session.stsSession.backend.name : backend,
+        intent_mode: session.intentMode
+      });
+    } catch (error) {
+      await sessionManager.endSession(call.id);
+      throw error;
+    }
+
+    this.activeRuns.set(run.id, {
+      runId: run.id,
+      callId: call.id,
+      clientId,
+      turnCount: 0,
+      turnInProgress: false
+    });
+
+    logger.info('Simulator run started', {
+      runId: run.id,
+      callId: call.id,
+      clientId,
+      backend: run.backend,
+      intentMode: run.intent_mode
+    });
+
+    return run;
+  }
+
+  /**
+   * Send one typed user turn and wait for everything it triggers
+   * @param {object} options - { onEvent } called with live events during the turn
+   * @returns {object} The turn as saved on the run
+   */
+  async sendTurn(clientId, runId, text, options = {}) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new ValidationError('text is required');
+    }
+    if (text.length > MAX_TURN_TEXT_LENGTH) {
+      throw new ValidationError(`text must be at most ${MAX_TURN_TEXT_LENGTH} characters`);
+    }
+
+    const active = this.activeRuns.get(runId);
+    if (!active || active.clientId !== clientId) {
+      const run = await db.simulatorRuns.getById(runId, clientId);
+      if (!run) {
+        throw new NotFoundError('Simulator run');
+      }
+      throw new ConflictError('Simulator run has ended');
+    }
+
+    const session = sessionManager.getSession(active.callId);
+    if (!session || !session.isActive) {
+      // Session timed out or the speech backend gave up
+      await this.finishRun(active, 'ended');
+      throw new ConflictError('Simulator run has ended');
+    }
+
+    if (active.turnInProgress) {
+      throw new ConflictError('A turn is already in progress');
+    }
+
+    active.turnInProgress = true;
+    try {
+      const turn = await this.collectTurn(session, text.trim(), active.turnCount, options.onEvent);
+      active.turnCount++;
+      await db.simulatorRuns.appendTurn(runId, turn);
+      return turn;
+    } finally {
+      active.turnInProgress = false;
+    }
+  }
+
+  /**
+   * Drive one turn through the session and record what it produced
+   */
+  async collectTurn(session, text, index, onEvent = null) {
+    const { callId, stsSession } = session;
+    const orchestrator = sessionManager.agentOrchestrator;
+    const startedAt = Date.now();
+    const actionsBefore = await this.getActionIds(callId);
+
+    const turn = {
+      index,
+      user: text,
+      assistant: '',
+      replies: [],
+      intents: [],
+      entities: {},
+      agent_events: [],
+      actions: [],
+      timed_out: false,
+      started_at: new Date(startedAt).toISOString(),
+      duration_ms: 0
+    };
+
+    const emitEvent = (event) => {
+      if (onEvent) {
+        onEvent(event);
+      }
+    };
+
+    await new Promise((resolvePromise) => {
+      let respondedAt = null;
+      let settleTimer = null;
+      let timeoutTimer = null;
+      const listeners = [];
+
+      const listen = (emitter, eventName, handler) => {
+        emitter.on(eventName, handler);
+        listeners.push({ emitter, eventName, handler });
+      };
+
+      const finish = () => {
+        clearTimeout(settleTimer);
+        clearTimeout(timeoutTimer);
+        listeners.forEach(({ emitter, eventName, handler }) => emitter.removeListener(eventName, handler));
+        resolvePromise();
+      };
+
+      const isIdle = () => respondedAt !== null &&
+        !session.pendingToolCall &&
+        !stsSession.activeResponse &&
+        !orchestrator.isAgentBusy(callId);
+
+      const scheduleSettle = () => {
+        clearTimeout(settleTimer);
+        settleTimer = setTimeout(() => {
+          if (!session.isActive || isIdle()) {
+            finish();
+          } else {
+            scheduleSettle();
+          }
+        }, this.turnSettleMs);
+      };
+
+      listen(stsSession, 'ai_transcript_completed', (data) => {
+        turn.replies.push(data.transcript);
+        emitEvent({ type: 'assistant_text', text: data.transcript });
+        scheduleSettle();
+      });
+
+      listen(stsSession, 'response_done', () => {
+        respondedAt = Date.now();
+        scheduleSettle();
+      });
+
+      listen(sessionManager, 'intent_detected', (data) => {
+        if (data.callId !== callId) return;
+        const intent = {
+          source: data.source,
+          intent: data.intent,
+          agent_type: data.agentType,
+          confidence: data.confidence,
+          entities: data.entities
+        };
+        turn.intents.push(intent);
+        Object.assign(turn.entities, data.entities);
+        emitEvent({ type: 'intent', ...intent });
+        scheduleSettle();
+      });
+
+      AGENT_EVENTS.forEach(eventName => {
+        listen(orchestrator, eventName, (data) => {
+          if (data.callId !== callId) return;
+          const agentEvent = {
+            event: eventName,
+            agent_type: data.agentType || null,
+            ...(data.field ? { field: data.field } : {}),
+            ...(data.result ? { success: Boolean(data.result.success) } : {}),
+            ...(data.error ? { error: data.error.message } : {})
+          };
+          turn.agent_events.push(agentEvent);
+          emitEvent({ type: 'agent_event', ...agentEvent });
+          scheduleSettle();
+        });
+      });
+
+      timeoutTimer = setTimeout(() => {
+        turn.timed_out = true;
+        logger.warn('Simulator turn timed out', { callId, index });
+        finish();
+      }, this.turnTimeoutMs);
+
+      if (!sessionManager.sendUserText(callId, text)) {
+        finish();
+        return;
+      }
+      scheduleSettle();
+    });
+
+    turn.assistant = turn.replies.join(' ');
+    turn.actions = (await this.getActions(callId)).filter(action => !actionsBefore.has(action.id));
+    turn.duration_ms = Date.now() - startedAt;
+
+    logger.info('Simulator turn completed', {
+      callId,
+      index,
+      intents: turn.intents.map(intent => intent.intent),
+      actions: turn.actions.length,
+      durationMs: turn.duration_ms,
+      timedOut: turn.timed_out
+    });
+
+    return turn;
+  }
+
+  async getActions(callId) {
+    try {
+      const actions = await db.actions.getByCall(callId);
+      return (actions || []).map(action => ({
+        id: action.id,
+        action_type: action.action_type,
+        params: action.params,
+        status: action.status,
+        result: action.result || null
+      }));
+    } catch (error) {
+      logger.warn('Could not load simulator actions', { callId, error: error.message });
+      return [];
+    }
+  }
+
+  async getActionIds(callId) {
+    return new Set((await this.getActions(callId)).map(action => action.id));
+  }
+
+  /**
+   * End a run and its session
+   */
+  async endRun(clientId, runId) {
+    const active = this.activeRuns.get(runId);
+
+    if (!active || active.clientId !== clientId) {
+      const run = await db.simulatorRuns.getById(runId, clientId);
+      if (!run) {
+        throw new NotFoundError('Simulator run');
+      }
+      return run;
+    }
+
+    return this.finishRun(active, 'ended');
+  }
+
+  async finishRun(active, status) {
+    this.activeRuns.delete(active.runId);
+    await sessionManager.endSession(active.callId);
+
+    logger.info('Simulator run ended', { runId: active.runId, callId: active.callId, turns: active.turnCount });
+
+    return db.simulatorRuns.end(active.runId, status);
+  }
+
+  async getRun(clientId, runId) {
+    const run = await db.simulatorRuns.getById(runId, clientId);
+    if (!run) {
+      throw new NotFoundError('Simulator run');
+    }
+    return { ...run, active: this.activeRuns.has(runId) };
+  }
+
+  async listRuns(clientId, { limit = 50, offset = 0 } = {}) {
+    return db.simulatorRuns.getByClient(clientId, limit, offset);
+  }
+
+  /**
+   * Shared reproduction, read-only, for users of the run's own client
+   */
+  async getSharedRun(clientId, shareToken) {
+    const run = shareToken ? await db.simulatorRuns.getByShareToken(shareToken, clientId) : null;
+    if (!run) {
+      throw new NotFoundError('Simulator run');
+    }
+
+    const { id, title, status, backend, intent_mode, turns, created_at, ended_at } = run;
+    return { id, title, status, backend, intent_mode, turns, created_at, ended_at };
+  }
+
+  /**
+   * End every active run (shutdown)
+   */
+  async endAll() {
+    for (const active of [...this.activeRuns.values()]) {
+      await this.finishRun(active, 'ended');
+    }
+  }
+}
+
+// Singleton instance
+module.exports = new ConversationSimulator();
@@ -0,0 +1,301 @@
+/**
+ * Escalation Service - Warm transfer of live calls to human team members
+ * Features: team member selection (agentRouter), screen pop with caller,
+ * intents, entities and an AI handoff summary, transfer through the client's
+ * telephony provider, voicemail/callback fallback when nobody can take the call
+ */
+
+const EventEmitter = require('events');
+const OpenAI = require('openai');
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const agentRouter = require(resolve('services/agentRouter'));
+const { withTimeout } = require(resolve('utils/timeoutUtil'));
+
+const FALLBACK_MODES = ['voicemail', 'callback'];
+const DEFAULT_FALLBACK = 'callback';
+const SUMMARY_TIMEOUT_MS = 5000;
+const SCREEN_POP_TRANSCRIPT_LINES = 6;
+
+class EscalationService extends EventEmitter {
+  constructor() {
+    super();
+    this.client = null; // OpenAI client, created on first summary
+    this.summaryModel = process.env.HANDOFF_SUMMARY_MODEL || 'gpt-4o-mini';
+  }
+
+  /**
+   * Escalate a live call: pick a team member, send the screen pop, transfer.
+   * Never throws - on failure the caller gets the client's fallback.
+   * @param {object} context - { callId, callData, conversationHistory, intents,
+   *   entities, reason, agentType }
+   * @returns {object} { success, transferId, teamMemberId, provider, endStream }
+   *   or { success: false, transferId, fallback, error }
+   */
+  async warmTransfer(context) {
+    const { callId, callData = {}, reason = null, agentType = null } = context;
+    const clientId = callData.client_id;
+    let transfer = null;
+
+    try {
+      const member = await this.selectTeamMember(clientId, callData);
+      if (!member) {
+        throw new Error('No team member available');
+      }
+      if (!member.phone_number) {
+        throw new Error('Team member has no phone number');
+      }
+
+      const screenPop = await this.buildScreenPop(context, member);
+      transfer = await db.callTransfers.create({
+        call_id: callId,
+        client_id: clientId,
+        team_id: member.team_id,
+        team_member_id: member.id,
+        user_id: member.user_id,
+        target_number: member.phone_number,
+        reason,
+        agent_type: agentType,
+        screen_pop: screenPop
+      });
+
+      // The team member sees who is coming before their phone rings
+      this.emit('screen_pop', {
+        transferId: transfer.id,
+        clientId,
+        userId: member.user_id,
+        screenPop
+      });
+
+      if (!callData.call_sid) {
+        throw new Error('No telephony call to transfer');
+      }
+
+      const result = await this.getTelephonyRouter().transferCall(clientId, callData.call_sid, member.phone_number);
+
+      await db.callTransfers.updateStatus(transfer.id, 'transferred', { provider: result.provider });
+      await db.calls.update(callId, {
+        escalated: true,
+        team_id: member.team_id,
+        team_member_id: member.id
+      });
+
+      logger.info('Call transferred to team member', {
+        callId,
+        transferId: transfer.id,
+        teamMemberId: member.id,
+        provider: result.provider
+      });
+
+      return {
+        success: true,
+        transferId: transfer.id,
+        teamMemberId: member.id,
+        provider: result.provider,
+        endStream: Boolean(result.end_stream)
+      };
+    } catch (error) {
+      logger.warn('Warm transfer failed, using fallback', { callId, reason, error: error.message });
+      return this.fallback(context, transfer, error);
+    }
+  }
+
+  /**
+   * Voicemail or callback instead of the transfer (client settings.escalation.fallback)
+   */
+  async fallback(context, transfer, error) {
+    const { callId, callData = {}, reason = null } = context;
+    const fallback = await this.getFallbackMode(callData.client_id);
+
+    try {
+      if (fallback === 'callback') {
+        await db.actions.create({
+          call_id: callId,
+          action_type: 'callback_request',
+          params: {
+            phone: callData.phone_from || null,
+            reason,
+            summary: this.extractiveSummary(context.conversationHistory || [])
+          },
+          confidence: 1.0
+        });
+      }
+
+      if (transfer) {
+        await db.callTransfers.updateStatus(transfer.id, 'failed', { fallback, error: error.message });
+      }
+    } catch (fallbackError) {
+      logger.error('Error recording transfer fallback', { callId, fallback, error: fallbackError.message });
+    }
+
+    return {
+      success: false,
+      transferId: transfer ? transfer.id : null,
+      fallback,
+      error: error.message
+    };
+  }
+
+  async getFallbackMode(clientId) {
+    try {
+      const client = clientId ? await db.clients.getById(clientId) : null;
+      const mode = client && client.settings && client.settings.escalation && client.settings.escalation.fallback;
+      return FALLBACK_MODES.includes(mode) ? mode : DEFAULT_FALLBACK;
+    } catch (error) {
+      logger.warn('Could not load client escalation settings', { clientId, error: error.message });
+      return DEFAULT_FALLBACK;
+    }
+  }
+
+  /**
+   * Best available team member of the call's team (or the client's team for
+   * its sector), with the number to transfer to
+   */
+  async selectTeamMember(clientId, callData = {}) {
+    const team = await this.resolveTeam(clientId, callData.team_id);
+    if (!team) {
+      logger.warn('No team to escalate to', { clientId });
+      return null;
+    }
+
+    const selected = await agentRouter.selectTeamAgent(clientId, team.id, team.sector);
+    if (!selected || !selected.team_member_id) {
+      return null;
+    }
+
+    const result = await db.query(
+      `SELECT tm.id, tm.team_id, tm.user_id, tm.phone_number, u.name
+       FROM team_members tm
+       LEFT JOIN users u ON u.id = tm.user_id
+       WHERE tm.id = $1`,
+      [selected.team_member_id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async resolveTeam(clientId, teamId = null) {
+    if (teamId) {
+      const result = await db.query(
+        'SELECT id, sector FROM teams WHERE id = $1 AND client_id = $2',
+        [teamId, clientId]
+      );
+      if (result.rows[0]) {
+        return result.rows[0];
+      }
+    }
+
+    // Active team of the client's own sector first
+    const result = await db.query(
+      `SELECT t.id, t.sector
+       FROM teams t
+       JOIN clients c ON c.id = t.client_id
+       WHERE t.client_id = $1 AND t.status = 'active'
+       ORDER BY (t.sector = c.sector) DESC, t.created_at
+       LIMIT 1`,
+      [clientId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * What the team member sees before taking the call
+   */
+  async buildScreenPop(context, member) {
+    const { callId, callData = {}, conversationHistory = [], intents = [], entities = {} } = context;
+
+    return {
+      call_id: callId,
+      caller: {
+        phone: callData.phone_from || null,
+        called_number: callData.phone_to || null
+      },
+      team_member: { id: member.id, name: member.name || null },
+      reason: context.reason || null,
+      agent_type: context.agentType || null,
+      intents: [...new Set(intents.map(entry => entry.intent).filter(Boolean))],
+      entities,
+      summary: await this.summarizeConversation(conversationHistory),
+      recent_transcript: conversationHistory
+        .filter(entry => entry.role === 'user' || entry.role === 'assistant')
+        .slice(-SCREEN_POP_TRANSCRIPT_LINES)
+        .map(entry => ({ role: entry.role, text: entry.content })),
+      created_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Short handoff summary of the conversation so far. Falls back to the
+   * caller's own words when the model is unavailable.
+   */
+  async summarizeConversation(conversationHistory = []) {
+    const lines = conversationHistory
+      .filter(entry => entry.role === 'user' || entry.role === 'assistant')
+      .map(entry => `${entry.role === 'user' ? 'Customer' : 'Assistant'}: ${entry.content}`);
+
+    if (lines.length === 0) {
+      return '';
+    }
+
+    const client = this.getClient();
+    if (!client) {
+      return this.extractiveSummary(conversationHistory);
+    }
+
+    try {
+      const completion = await withTimeout(
+        client.chat.completions.create({
+          model: this.summaryModel,
+          temperature: 0.2,
+          max_tokens: 150,
+          messages: [
+            {
+              role: 'system',
+              content: 'Summarize this customer service call for the human agent taking it over. ' +
+                'In 2-3 short English sentences: what the customer wants, what was already done or ' +
+                'collected, and what is still open. No greetings, no filler.'
+            },
+            { role: 'user', content: lines.join('\n') }
+          ]
+        }),
+        SUMMARY_TIMEOUT_MS,
+        'Handoff summary'
+      );
+
+      const summary = (completion.choices[0].message.content || '').trim();
+      return summary || this.extractiveSummary(conversationHistory);
+    } catch (error) {
+      logger.warn('Handoff summary failed, using transcript excerpt', { error: error.message });
+      return this.extractiveSummary(conversationHistory);
+    }
+  }
+
+  /**
+   * Last few things the caller said
+   */
+  extractiveSummary(conversationHistory = []) {
+    return conversationHistory
+      .filter(entry => entry.role === 'user')
+      .slice(-3)
+      .map(entry => entry.content)
+      .join(' / ');
+  }
+
+  /**
+   * Loaded on the first transfer: the provider SDKs and the router's health
+   * check loop aren't needed by calls that are never escalated
+   */
+  getTelephonyRouter() {
+    return require(resolve('services/telephonyRouter'));
+  }
+
+  getClient() {
+    if (!this.client && process.env.OPENAI_API_KEY) {
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return this.client;
+  }
+}
+
+module.exports = new EscalationService();
@@ -0,0 +1,132 @@
+/**
+ * Intent Model Service - Local intent classifiers per sector and client
+ * Features: trained from the built-in examples (agents/intentExamples), the
+ * sector's sector_intent_patterns examples and the client's labeled
+ * transcripts (intent_training_examples); cached, retrained when labels change
+ */
+
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const IntentClassifier = require(resolve('agents/intentClassifier'));
+const { SECTOR_INTENT_EXAMPLES, INTENT_ALIASES } = require(resolve('agents/intentExamples'));
+
+const DEFAULT_SECTOR = 'ecommerce';
+// Retrain at least this often (picks up pattern examples edited in the database)
+const MODEL_TTL_MS = 60 * 60 * 1000;
+
+class IntentModelService {
+  constructor() {
+    this.models = new Map(); // `${sector}:${clientId}` -> { classifier (promise), trainedAt }
+  }
+
+  modelKey(sector, clientId) {
+    return `${sector || DEFAULT_SECTOR}:${clientId || '-'}`;
+  }
+
+  /**
+   * Training examples for a sector and client
+   * @returns {Promise<Array<{text: string, intent: string}>>}
+   */
+  async loadExamples(sector = DEFAULT_SECTOR, clientId = null) {
+    const examples = [];
+    const add = (text, intent) => {
+      if (text && intent) {
+        examples.push({ text, intent: INTENT_ALIASES[intent] || intent });
+      }
+    };
+
+    for (const [intent, texts] of Object.entries(SECTOR_INTENT_EXAMPLES[sector] || {})) {
+      texts.forEach(text => add(text, intent));
+    }
+
+    try {
+      const patterns = await db.intentExamples.getPatternExamples(sector);
+      patterns.forEach(row => (row.examples || []).forEach(text => add(text, row.intent)));
+
+      if (clientId) {
+        const labeled = await db.intentExamples.getByClient(clientId, sector);
+        labeled.forEach(row => add(row.text, row.intent));
+      }
+    } catch (error) {
+      logger.warn('Could not load intent training examples, using built-in ones', {
+        sector,
+        clientId,
+        error: error.message
+      });
+    }
+
+    return examples;
+  }
+
+  /**
+   * Trained classifier for a sector and client (null without examples)
+   * @returns {Promise<IntentClassifier|null>}
+   */
+  async getClassifier(sector = DEFAULT_SECTOR, clientId = null) {
+    const key = this.modelKey(sector, clientId);
+    const cached = this.models.get(key);
+
+    if (cached && Date.now() - cached.trainedAt < MODEL_TTL_MS) {
+      return cached.classifier;
+    }
+
+    // Cache the promise so concurrent calls train once
+    const classifier = this.loadExamples(sector, clientId).then(examples => {
+      if (examples.length === 0) {
+        return null;
+      }
+
+      const trained = new IntentClassifier().train(examples);
+      logger.info('Intent classifier trained', {
+        sector,
+        clientId,
+        examples: trained.exampleCount,
+        intents: trained.intents.length,
+        temperature: trained.temperature
+      });
+      return trained;
+    });
+
+    this.models.set(key, { classifier, trainedAt: Date.now() });
+    return classifier;
+  }
+
+  /**
+   * Classify a caller transcript
+   * @param {string} text - Transcript
+   * @param {object} options - { sector, clientId, topK }
+   * @returns {Promise<object|null>} { intent, confidence, alternatives } or null
+   *   when there is no model or nothing in the text is known to it
+   */
+  async classify(text, { sector, clientId, topK } = {}) {
+    try {
+      const classifier = await this.getClassifier(sector || DEFAULT_SECTOR, clientId);
+      return classifier ? classifier.classify(text, { topK }) : null;
+    } catch (error) {
+      logger.error('Intent classification failed', { sector, clientId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Drop cached models so the next call retrains
+   * @param {string} sector - Sector whose models to drop
+   * @param {string} clientId - Only this client's model (default: every client's)
+   */
+  invalidate(sector, clientId = null) {
+    if (clientId) {
+      this.models.delete(this.modelKey(sector, clientId));
+      return;
+    }
+
+    const prefix = `${sector || DEFAULT_SECTOR}:`;
+    for (const key of this.models.keys()) {
+      if (key.startsWith(prefix)) {
+        this.models.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = new IntentModelService();
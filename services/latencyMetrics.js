@@ -0,0 +1,95 @@
+/**
+ * Latency Metrics - Live per-turn latency percentiles
+ * Keeps the turns of the last few minutes in memory for the live metrics
+ * routes; historical percentiles come from call_turn_latency.
+ */
+
+const LATENCY_STAGES = ['transcript_ms', 'intent_ms', 'agent_ms', 'response_ms'];
+const WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_SAMPLES = 5000;
+
+/**
+ * Nearest-rank percentile of a list of numbers (null when empty)
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+/**
+ * p50/p95 of each stage over a set of turns
+ */
+function summarizeTurns(turns) {
+  const summary = { turns: turns.length };
+
+  LATENCY_STAGES.forEach(stage => {
+    const values = turns.map(turn => turn[stage]).filter(value => typeof value === 'number');
+    summary[stage] = { p50: percentile(values, 50), p95: percentile(values, 95) };
+  });
+
+  return summary;
+}
+
+function groupTurns(turns, key) {
+  const groups = {};
+  turns.forEach(turn => {
+    const group = turn[key] || 'none';
+    (groups[group] = groups[group] || []).push(turn);
+  });
+
+  return Object.fromEntries(
+    Object.entries(groups).map(([group, groupTurnsList]) => [group, summarizeTurns(groupTurnsList)])
+  );
+}
+
+class LatencyMetrics {
+  constructor() {
+    this.windowMs = WINDOW_MS;
+    this.samples = [];
+  }
+
+  /**
+   * Add a finished turn (TurnLatencyTracker output)
+   */
+  record(turn) {
+    this.samples.push({ ...turn, recordedAt: Date.now() });
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.splice(0, this.samples.length - MAX_SAMPLES);
+    }
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.windowMs;
+    const firstKept = this.samples.findIndex(sample => sample.recordedAt >= cutoff);
+    this.samples = firstKept === -1 ? [] : this.samples.slice(firstKept);
+  }
+
+  /**
+   * Percentiles for a client's recent turns, overall and by agent/provider
+   */
+  getSnapshot(clientId) {
+    this.prune();
+    const turns = this.samples.filter(sample => sample.client_id === clientId);
+
+    return {
+      windowMinutes: Math.round(this.windowMs / 60000),
+      overall: summarizeTurns(turns),
+      byAgent: groupTurns(turns, 'agent_type'),
+      byProvider: groupTurns(turns, 'provider')
+    };
+  }
+
+  reset() {
+    this.samples = [];
+  }
+}
+
+const latencyMetrics = new LatencyMetrics();
+latencyMetrics.LATENCY_STAGES = LATENCY_STAGES;
+latencyMetrics.percentile = percentile;
+
+module.exports = latencyMetrics;
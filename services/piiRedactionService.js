@@ -0,0 +1,206 @@
+/**
+ * PII Redaction Service - Masks personal data before it is logged or stored
+ * Features: per-client policy (clients.settings.privacy.redaction), Indian
+ * detectors from utils/piiRedactor, encrypted vault of the originals so an
+ * authorized user can reveal them later (every reveal is logged)
+ */
+
+const crypto = require('crypto');
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const { encrypt, decrypt } = require(resolve('utils/encryption'));
+const { DETECTOR_ORDER, LABELS, findPii, redactText } = require(resolve('utils/piiRedactor'));
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  detectors: DETECTOR_ORDER,
+  vault: true
+};
+
+// Vault tokens are unique across all clients (pii_vault.token VARCHAR(32))
+// and one duplicate fails the whole batch: 128 random bits never collide
+const TOKEN_BYTES = 16;
+
+class PiiRedactionService {
+  constructor() {
+    this.vaultWarningLogged = false;
+  }
+
+  /**
+   * Client policy merged over the defaults: { enabled, detectors, vault }
+   * @param {object} settings - clients.settings.privacy.redaction
+   */
+  normalizePolicy(settings = {}) {
+    const policy = settings || {};
+
+    return {
+      enabled: policy.enabled !== undefined ? Boolean(policy.enabled) : DEFAULT_POLICY.enabled,
+      detectors: Array.isArray(policy.detectors)
+        ? DETECTOR_ORDER.filter(type => policy.detectors.includes(type))
+        : [...DEFAULT_POLICY.detectors],
+      vault: policy.vault !== undefined ? Boolean(policy.vault) : DEFAULT_POLICY.vault
+    };
+  }
+
+  /**
+   * Load a client's redaction policy. Falls back to the defaults (redact
+   * everything) when the client cannot be loaded.
+   * @param {string} clientId
+   */
+  async getPolicy(clientId) {
+    if (!clientId) {
+      return this.normalizePolicy();
+    }
+
+    try {
+      const client = await db.clients.getById(clientId);
+      const privacy = (client && client.settings && client.settings.privacy) || {};
+      return this.normalizePolicy(privacy.redaction);
+    } catch (error) {
+      logger.warn('Could not load redaction policy, using defaults', { clientId, error: error.message });
+      return this.normalizePolicy();
+    }
+  }
+
+  /**
+   * Mask a text for storage, keeping the originals in the vault
+   * ('[AADHAAR#3f9a1c2e]'). Without a vault (policy, no client, no
+   * ENCRYPTION_KEY) the placeholder carries no token ('[AADHAAR]').
+   * @param {string} text
+   * @param {object} policy - From getPolicy
+   * @param {object} context - { clientId, callId, source, vault: false to skip the vault }
+   * @returns {object} { text, findings: [{ type, token }] }
+   */
+  async redact(text, policy, context = {}) {
+    if (!policy || !policy.enabled) {
+      return { text, findings: [] };
+    }
+
+    const findings = findPii(text, { detectors: policy.detectors });
+    if (findings.length === 0) {
+      return { text, findings: [] };
+    }
+
+    const tokens = policy.vault && context.vault !== false && context.clientId
+      ? await this.vaultFindings(findings, context)
+      : null;
+
+    const redacted = redactText(text, {
+      findings,
+      placeholder: finding => {
+        const token = tokens && tokens.get(finding);
+        return token ? `[${LABELS[finding.type]}#${token}]` : `[${LABELS[finding.type]}]`;
+      }
+    });
+
+    return {
+      text: redacted.text,
+      findings: findings.map(finding => ({ type: finding.type, token: (tokens && tokens.get(finding)) || null }))
+    };
+  }
+
+  /**
+   * Mask a text without vaulting anything (log lines)
+   * @returns {string}
+   */
+  mask(text, policy) {
+    if (!policy || !policy.enabled || typeof text !== 'string') {
+      return text;
+    }
+    return redactText(text, { detectors: policy.detectors }).text;
+  }
+
+  /**
+   * Mask every string value of an object (detected entities, tool arguments)
+   */
+  maskValues(values, policy) {
+    if (!values || typeof values !== 'object') {
+      return values;
+    }
+    return Object.fromEntries(
+      Object.entries(values).map(([key, value]) => [key, typeof value === 'string' ? this.mask(value, policy) : value])
+    );
+  }
+
+  /**
+   * Encrypt and store the originals
+   * @returns {Map|null} finding -> token, null when nothing could be stored
+   */
+  async vaultFindings(findings, context) {
+    if (!process.env.ENCRYPTION_KEY) {
+      this.warnVaultUnavailable('ENCRYPTION_KEY not set');
+      return null;
+    }
+
+    const tokens = new Map();
+    const entries = [];
+
+    try {
+      for (const finding of findings) {
+        const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+        tokens.set(finding, token);
+        entries.push({
+          token,
+          client_id: context.clientId,
+          call_id: context.callId || null,
+          pii_type: finding.type,
+          value_encrypted: encrypt(finding.value),
+          source: context.source || null
+        });
+      }
+    } catch (error) {
+      this.warnVaultUnavailable(error.message);
+      return null;
+    }
+
+    try {
+      await db.piiVault.store(entries);
+      return tokens;
+    } catch (error) {
+      logger.error('Failed to store redacted values in the vault', {
+        callId: context.callId,
+        source: context.source,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  warnVaultUnavailable(reason) {
+    if (!this.vaultWarningLogged) {
+      logger.warn('PII vault unavailable, redacting without keeping originals', { reason });
+      this.vaultWarningLogged = true;
+    }
+  }
+
+  /**
+   * Decrypt a call's vaulted values and log the access
+   * @param {string} clientId
+   * @param {object} request - { callId, tokens (optional), userId, reason }
+   * @returns {Array} [{ token, type, value, source, created_at }]
+   */
+  async reveal(clientId, { callId, tokens = null, userId, reason }) {
+    const rows = await db.piiVault.getByCall(callId, clientId, tokens);
+
+    await db.piiVault.logAccess({
+      client_id: clientId,
+      call_id: callId,
+      user_id: userId,
+      reason,
+      tokens: rows.map(row => row.token)
+    });
+
+    logger.info('PII vault values revealed', { clientId, callId, userId, count: rows.length });
+
+    return rows.map(row => ({
+      token: row.token,
+      type: row.pii_type,
+      value: decrypt(row.value_encrypted),
+      source: row.source,
+      created_at: row.created_at
+    }));
+  }
+}
+
+module.exports = new PiiRedactionService();
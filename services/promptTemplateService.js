@@ -0,0 +1,368 @@
+/**
+ * Prompt Template Service - Per-client persona, greeting and system prompt
+ * Features: Versioned templates per client/sector, rollback, preview,
+ * persona (agent name, voice, VAD, language) from clients.settings.persona,
+ * default and allowed call languages from clients.settings.localization
+ */
+
+const resolve = require('../utils/moduleResolver');
+const db = require(resolve('db/postgres'));
+const logger = require(resolve('utils/logger'));
+const { renderTemplate, extractVariables } = require(resolve('utils/templateRenderer'));
+const {
+  TEMPLATE_KINDS,
+  DEFAULT_SECTOR,
+  DEFAULT_PERSONA,
+  LANGUAGE_NAMES,
+  SAY_LANGUAGES,
+  DEFAULT_TEMPLATES
+} = require(resolve('config/promptDefaults'));
+
+class PromptTemplateService {
+  /**
+   * Merge client persona settings over the defaults
+   * @param {object} client - clients row
+   */
+  getPersonaSettings(client) {
+    const settings = (client && client.settings) || {};
+    const persona = settings.persona || {};
+    const localization = settings.localization || {};
+
+    return {
+      ...DEFAULT_PERSONA,
+      language: localization.language || DEFAULT_PERSONA.language,
+      ...persona,
+      vad: { ...DEFAULT_PERSONA.vad, ...(persona.vad || {}) }
+    };
+  }
+
+  /**
+   * Languages a client's calls may switch to (settings.localization.languages),
+   * always including the default language. All supported languages if unset.
+   * @param {object} client - clients row
+   * @returns {string[]} Language codes, default first
+   */
+  getAllowedLanguages(client) {
+    const localization = (client && client.settings && client.settings.localization) || {};
+    const defaultLanguage = this.getPersonaSettings(client).language;
+    const configured = Array.isArray(localization.languages)
+      ? localization.languages.filter(language => LANGUAGE_NAMES[language])
+      : [];
+    const languages = configured.length > 0 ? configured : Object.keys(LANGUAGE_NAMES);
+
+    return [defaultLanguage, ...languages.filter(language => language !== defaultLanguage)];
+  }
+
+  /**
+   * TTS voice for a call language: settings.persona.voices[language], else the persona voice
+   */
+  getVoice(persona, language) {
+    return (persona.voices && persona.voices[language]) || persona.voice;
+  }
+
+  /**
+   * Describe store policies from settings.business for the prompt
+   */
+  buildPolicies(client) {
+    const business = (client && client.settings && client.settings.business) || {};
+    const policies = [];
+
+    if (business.returnWindowDays) {
+      policies.push(`- Returns accepted within ${business.returnWindowDays} days of delivery`);
+    }
+    if (business.refundAutoThreshold) {
+      policies.push(`- Refunds up to ₹${business.refundAutoThreshold} are approved automatically; larger refunds need review`);
+    }
+    if (business.cancelWindowHours) {
+      policies.push(`- Orders can be cancelled within ${business.cancelWindowHours} hours of placing them`);
+    }
+    if (business.policies) {
+      policies.push(String(business.policies));
+    }
+
+    return policies.length > 0 ? policies.join('\n') : '- Follow standard store policies';
+  }
+
+  /**
+   * Build template variables for a client
+   * @param {object} client - clients row
+   * @param {object} overrides - Extra/overriding variables
+   */
+  buildVariables(client, overrides = {}) {
+    const persona = this.getPersonaSettings(client);
+    const language = overrides.language || persona.language;
+
+    return {
+      brand_name: (client && client.name) || 'an e-commerce store',
+      agent_name: persona.agent_name,
+      policies: this.buildPolicies(client),
+      language,
+      language_name: LANGUAGE_NAMES[language] || language,
+      voice: persona.voice,
+      ...overrides
+    };
+  }
+
+  /**
+   * Built-in template for a kind
+   */
+  getDefaultTemplate(kind) {
+    return {
+      id: null,
+      sector: DEFAULT_SECTOR,
+      kind,
+      version: 0,
+      body: DEFAULT_TEMPLATES[kind],
+      variables: {},
+      is_active: true,
+      source: 'default'
+    };
+  }
+
+  /**
+   * Active template for client/sector/kind, falling back to the client's
+   * 'default' sector template and then to the built-in template
+   */
+  async getActiveTemplate(clientId, sector, kind) {
+    if (!clientId) {
+      return this.getDefaultTemplate(kind);
+    }
+
+    const sectors = sector && sector !== DEFAULT_SECTOR ? [sector, DEFAULT_SECTOR] : [DEFAULT_SECTOR];
+
+    const result = await db.query(
+      `SELECT * FROM prompt_templates
+       WHERE client_id = $1 AND kind = $2 AND is_active = true AND sector = ANY($3)`,
+      [clientId, kind, sectors]
+    );
+
+    for (const candidate of sectors) {
+      const row = result.rows.find(r => r.sector === candidate);
+      if (row) {
+        return { ...row, source: 'client' };
+      }
+    }
+
+    return this.getDefaultTemplate(kind);
+  }
+
+  /**
+   * List template versions for a client (newest first)
+   */
+  async listVersions(clientId, { kind = null, sector = null } = {}) {
+    const params = [clientId];
+    let sql = 'SELECT * FROM prompt_templates WHERE client_id = $1';
+
+    if (kind) {
+      params.push(kind);
+      sql += ` AND kind = $${params.length}`;
+    }
+    if (sector) {
+      params.push(sector);
+      sql += ` AND sector = $${params.length}`;
+    }
+
+    sql += ' ORDER BY kind, sector, version DESC';
+
+    const result = await db.query(sql, params);
+    return result.rows;
+  }
+
+  /**
+   * Save a new template version (optionally activating it)
+   */
+  async createVersion(clientId, { kind, sector = DEFAULT_SECTOR, body, variables = {}, notes = null, activate = true }, userId = null) {
+    this.assertKind(kind);
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const versionResult = await client.query(
+        `SELECT COALESCE(MAX(version), 0) + 1 AS next_version
+         FROM prompt_templates
+         WHERE client_id = $1 AND sector = $2 AND kind = $3`,
+        [clientId, sector, kind]
+      );
+      const version = versionResult.rows[0].next_version;
+
+      if (activate) {
+        await client.query(
+          `UPDATE prompt_templates SET is_active = false
+           WHERE client_id = $1 AND sector = $2 AND kind = $3 AND is_active = true`,
+          [clientId, sector, kind]
+        );
+      }
+
+      const insertResult = await client.query(
+        `INSERT INTO prompt_templates
+           (client_id, sector, kind, version, body, variables, is_active, notes, created_by, activated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [clientId, sector, kind, version, body, JSON.stringify(variables), activate, notes, userId, activate ? new Date() : null]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info('Prompt template version created', { clientId, sector, kind, version, activate });
+      return insertResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Activate an existing version (rollback)
+   * @returns {object|null} Activated row, null if version not found
+   */
+  async activateVersion(clientId, { kind, sector = DEFAULT_SECTOR, version }) {
+    this.assertKind(kind);
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        `SELECT id FROM prompt_templates
+         WHERE client_id = $1 AND sector = $2 AND kind = $3 AND version = $4`,
+        [clientId, sector, kind, version]
+      );
+
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await client.query(
+        `UPDATE prompt_templates SET is_active = false
+         WHERE client_id = $1 AND sector = $2 AND kind = $3 AND is_active = true`,
+        [clientId, sector, kind]
+      );
+
+      const result = await client.query(
+        `UPDATE prompt_templates SET is_active = true, activated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [existing.rows[0].id]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info('Prompt template version activated', { clientId, sector, kind, version });
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Render a template for a client without saving anything
+   * @param {string} clientId
+   * @param {object} options - kind, sector, body (draft; defaults to active), variables
+   */
+  async preview(clientId, { kind, sector = null, body = null, variables = {} }) {
+    this.assertKind(kind);
+
+    const client = await db.clients.getById(clientId);
+    const template = body
+      ? { body, variables: {}, version: null, source: 'draft' }
+      : await this.getActiveTemplate(clientId, sector || (client && client.sector), kind);
+
+    const allVariables = this.buildVariables(client, { ...(template.variables || {}), ...variables });
+    const { text, missing } = renderTemplate(template.body, allVariables);
+
+    return {
+      kind,
+      version: template.version,
+      source: template.source,
+      rendered: text,
+      variables: allVariables,
+      usedVariables: extractVariables(template.body),
+      missingVariables: missing
+    };
+  }
+
+  /**
+   * Everything a call needs to sound like the client's agent
+   * @param {string} clientId
+   * @param {object} options - sector override, language override
+   * @returns {object} { agentName, language, allowedLanguages, voice, sayVoice, sayLanguage, vad,
+   *   instructions, greeting, templateVersions }
+   */
+  async resolveCallPersona(clientId, { sector = null, language = null } = {}) {
+    let client = null;
+    if (clientId) {
+      client = await db.clients.getById(clientId);
+    }
+
+    const persona = this.getPersonaSettings(client);
+    const callSector = sector || (client && client.sector) || DEFAULT_SECTOR;
+    const overrides = language ? { language } : {};
+
+    const [promptTemplate, greetingTemplate] = await Promise.all([
+      this.getActiveTemplate(clientId, callSector, 'system_prompt'),
+      this.getActiveTemplate(clientId, callSector, 'greeting')
+    ]);
+
+    const promptVariables = this.buildVariables(client, { ...(promptTemplate.variables || {}), ...overrides });
+    const greetingVariables = this.buildVariables(client, { ...(greetingTemplate.variables || {}), ...overrides });
+
+    // An explicit greeting on the client record wins over the template
+    const greeting = persona.greeting
+      ? renderTemplate(persona.greeting, greetingVariables).text
+      : renderTemplate(greetingTemplate.body, greetingVariables).text;
+
+    const callLanguage = promptVariables.language;
+
+    return {
+      agentName: persona.agent_name,
+      language: callLanguage,
+      allowedLanguages: this.getAllowedLanguages(client),
+      voice: this.getVoice(persona, callLanguage),
+      sayVoice: persona.say_voice,
+      sayLanguage: SAY_LANGUAGES[callLanguage] || SAY_LANGUAGES[DEFAULT_PERSONA.language],
+      vad: persona.vad,
+      instructions: renderTemplate(promptTemplate.body, promptVariables).text,
+      greeting,
+      templateVersions: {
+        system_prompt: promptTemplate.version,
+        greeting: greetingTemplate.version
+      }
+    };
+  }
+
+  /**
+   * Persona when nothing can be loaded (no client / DB down)
+   * @param {string} language - Call language, defaults to the built-in one
+   */
+  getDefaultPersona(language = DEFAULT_PERSONA.language) {
+    const variables = this.buildVariables(null, { language });
+    return {
+      agentName: DEFAULT_PERSONA.agent_name,
+      language,
+      allowedLanguages: this.getAllowedLanguages(null),
+      voice: DEFAULT_PERSONA.voice,
+      sayVoice: DEFAULT_PERSONA.say_voice,
+      sayLanguage: SAY_LANGUAGES[language] || SAY_LANGUAGES[DEFAULT_PERSONA.language],
+      vad: { ...DEFAULT_PERSONA.vad },
+      instructions: renderTemplate(DEFAULT_TEMPLATES.system_prompt, variables).text,
+      greeting: renderTemplate(DEFAULT_TEMPLATES.greeting, variables).text,
+      templateVersions: { system_prompt: 0, greeting: 0 }
+    };
+  }
+
+  assertKind(kind) {
+    if (!TEMPLATE_KINDS.includes(kind)) {
+      throw new Error(`Invalid template kind: ${kind}`);
+    }
+  }
+}
+
+// Export singleton
+module.exports = new PromptTemplateService();
@@ -6,6 +6,7 @@
  * - EventListener cleanup on disconnect
  * - Memory leak detection
  * - Orphaned connection cleanup
+ * - Live calls left behind by lost nodes (session registry)
  * - Graceful session termination
  */
 
@@ -21,6 +22,7 @@ class SessionCleanupService {
       sessionsCleanedUp: 0,
       orphanedConnectionsClosed: 0,
       memoryLeaksDetected: 0,
+      orphanedCallsClosed: 0,
       lastCleanupTime: null,
       cleanupDuration: 0
     };
@@ -79,7 +81,8 @@ class SessionCleanupService {
     const stats = {
       expiredSessions: 0,
       orphanedConnections: 0,
-      memoryLeaks: 0
+      memoryLeaks: 0,
+      orphanedCalls: 0
     };
 
     try {
@@ -97,6 +100,9 @@ class SessionCleanupService {
       // 4. Clean up stale WebSocket connections
       stats.wsConnections = await this.cleanupStaleWebsockets();
 
+      // 5. Close live calls of nodes that went away (any node, not just this one)
+      stats.orphanedCalls = await this.cleanupOrphanedCalls();
+
       const duration = Date.now() - startTime;
       this.cleanupStats.lastCleanupTime = new Date();
       this.cleanupStats.cleanupDuration = duration;
@@ -106,6 +112,7 @@ class SessionCleanupService {
         orphanedConnections: stats.orphanedConnections,
         memoryLeaks: stats.memoryLeaks,
         wsConnections: stats.wsConnections,
+        orphanedCalls: stats.orphanedCalls,
         duration: `${duration}ms`,
         memoryUsage: {
           heapUsed: `${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`,
@@ -116,6 +123,7 @@ class SessionCleanupService {
       this.cleanupStats.sessionsCleanedUp += stats.expiredSessions;
       this.cleanupStats.orphanedConnectionsClosed += stats.orphanedConnections;
       this.cleanupStats.memoryLeaksDetected += stats.memoryLeaks;
+      this.cleanupStats.orphanedCallsClosed += stats.orphanedCalls;
 
     } catch (error) {
       logger.error('Cleanup cycle failed', {
@@ -256,6 +264,27 @@ class SessionCleanupService {
     }
   }
 
+  /**
+   * Claim and close calls registered to nodes whose heartbeat expired
+   * (the registry sweeps on every heartbeat too)
+   */
+  async cleanupOrphanedCalls() {
+    try {
+      // Loaded here: the session manager pulls in the whole call stack
+      const sessionManager = require('../sessions/CallSessionManager');
+      const claimed = await sessionManager.registry.claimOrphans();
+      if (claimed > 0) {
+        logger.info(`Closed ${claimed} calls left by lost nodes`);
+      }
+      return claimed;
+    } catch (error) {
+      logger.error('Failed to cleanup orphaned calls', {
+        error: error.message
+      });
+      return 0;
+    }
+  }
+
   /**
    * Get cleanup statistics
    */
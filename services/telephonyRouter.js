@@ -411,6 +411,108 @@ class TelephonyRouter {
     }
   }
 
+  /**
+   * Transfer a live call to another number through the client's active provider.
+   * No failover: the call lives on the provider it was placed with.
+   * @param {string} clientId
+   * @param {string} externalCallId - Provider call SID
+   * @param {string} toNumber - Number to connect the caller to
+   * @returns {object} { success, provider, end_stream } - end_stream: the media
+   *   stream has to be closed for the provider to carry out the transfer
+   */
+  async transferCall(clientId, externalCallId, toNumber) {
+    try {
+      const config = await this.getClientProvider(clientId);
+      if (!config) {
+        throw new Error(`No provider configured for client: ${clientId}`);
+      }
+
+      const provider = this.providers[config.provider_name];
+      if (!provider) {
+        throw new Error(`Unknown provider: ${config.provider_name}`);
+      }
+      if (typeof provider.transferCall !== 'function') {
+        throw new Error(`Provider ${config.provider_name} does not support call transfer`);
+      }
+
+      if (!this.circuitBreakers[config.provider_name].isAllowed()) {
+        throw new Error(`Provider ${config.provider_name} circuit breaker open`);
+      }
+
+      const credentials = this.decryptCredentials(config.credentials);
+
+      try {
+        const result = await withTimeout(
+          provider.transferCall(externalCallId, toNumber, credentials),
+          15000,
+          `Call transfer for ${config.provider_name}`
+        );
+
+        this.circuitBreakers[config.provider_name].recordSuccess();
+
+        await this.logAudit(clientId, 'call_transferred', config.provider_name, {
+          call_sid: externalCallId
+        });
+
+        return { ...result, provider: config.provider_name };
+      } catch (error) {
+        this.circuitBreakers[config.provider_name].recordFailure();
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Error transferring call', { clientId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Hang up a live call through the client's active provider
+   * @param {string} clientId
+   * @param {string} externalCallId - Provider call SID
+   * @returns {object} { success, provider }
+   */
+  async endCall(clientId, externalCallId) {
+    try {
+      const config = await this.getClientProvider(clientId);
+      if (!config) {
+        throw new Error(`No provider configured for client: ${clientId}`);
+      }
+
+      const provider = this.providers[config.provider_name];
+      if (!provider || typeof provider.endCall !== 'function') {
+        throw new Error(`Provider ${config.provider_name} cannot end calls`);
+      }
+
+      if (!this.circuitBreakers[config.provider_name].isAllowed()) {
+        throw new Error(`Provider ${config.provider_name} circuit breaker open`);
+      }
+
+      const credentials = this.decryptCredentials(config.credentials);
+
+      try {
+        const result = await withTimeout(
+          provider.endCall(externalCallId, credentials),
+          10000,
+          `Call hangup for ${config.provider_name}`
+        );
+
+        this.circuitBreakers[config.provider_name].recordSuccess();
+
+        await this.logAudit(clientId, 'call_ended', config.provider_name, {
+          call_sid: externalCallId
+        });
+
+        return { ...result, provider: config.provider_name };
+      } catch (error) {
+        this.circuitBreakers[config.provider_name].recordFailure();
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Error ending call', { clientId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Failover to backup provider
    */
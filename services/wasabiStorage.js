@@ -79,6 +79,51 @@ class WasabiStorage {
     }
   }
 
+  /**
+   * Upload one direction of a call's speech-event audio (raw pcm16)
+   * @param {string} callId
+   * @param {string} track - inbound (caller) | outbound (assistant)
+   * @param {Buffer} audioBuffer
+   */
+  async uploadStsAudio(callId, track, audioBuffer) {
+    if (!this.enabled) {
+      logger.warn('Wasabi disabled - STS audio not uploaded', { callId, track });
+      return null;
+    }
+
+    try {
+      const timestamp = new Date().toISOString().split('T')[0];
+      const fileName = `sts-events/${timestamp}/${callId}/${track}.pcm`;
+      const uploadUrl = `${this.endpoint}/${this.bucketName}/${fileName}`;
+
+      await axios.put(uploadUrl, audioBuffer, {
+        headers: {
+          'Content-Type': 'application/octet-stream',
+        },
+        auth: {
+          username: this.accessKeyId,
+          password: this.secretAccessKey,
+        },
+        timeout: WASABI_UPLOAD_TIMEOUT,
+      });
+
+      logger.info('✅ STS audio uploaded to Wasabi', {
+        callId,
+        track,
+        size: audioBuffer.length,
+      });
+
+      return uploadUrl;
+    } catch (error) {
+      logger.error('❌ Wasabi STS audio upload failed', {
+        callId,
+        track,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Download call recording from Wasabi using HTTP GET
    */
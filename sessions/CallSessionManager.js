@@ -1,18 +1,106 @@
 // sessions/CallSessionManager.js - Main call session orchestrator
 const resolve = require('../utils/moduleResolver');
 const STSSession = require(resolve('realtime/stsSession'));
+const StsEventRecorder = require(resolve('realtime/recording/StsEventRecorder'));
+const TurnLatencyTracker = require(resolve('sessions/TurnLatencyTracker'));
+const SilenceMonitor = require(resolve('sessions/SilenceMonitor'));
+const KeypadInput = require(resolve('sessions/KeypadInput'));
+const UsageMeter = require(resolve('sessions/UsageMeter'));
+const { createSessionRegistry } = require(resolve('sessions/registry/index'));
 const IntentDetector = require(resolve('agents/intentDetector'));
 const AgentOrchestrator = require(resolve('agents/orchestrator'));
+const { formatToolResult } = require(resolve('agents/agentTools'));
 const logger = require(resolve('utils/logger'));
 const db = require(resolve('db/postgres'));
 const wasabiStorage = require(resolve('services/wasabiStorage'));
 const performanceTracker = require(resolve('services/performanceTracker'));
+const promptTemplateService = require(resolve('services/promptTemplateService'));
+const latencyMetrics = require(resolve('services/latencyMetrics'));
+const escalationService = require(resolve('services/escalationService'));
+const piiRedactionService = require(resolve('services/piiRedactionService'));
+const callSummaryService = require(resolve('services/callSummaryService'));
+const intentModelService = require(resolve('services/intentModelService'));
+const { createCallAudioPipeline, MODEL_AUDIO_FORMAT, bytesPerMs } = require(resolve('realtime/audio/index'));
+const { LANGUAGE_NAMES } = require(resolve('config/promptDefaults'));
+const { detectLanguage } = require(resolve('utils/languageDetector'));
+const { parseConfirmation } = require(resolve('utils/spokenConfirmation'));
 const EventEmitter = require('events');
 
 // Session timeout (15 minutes of inactivity)
 const SESSION_TIMEOUT_MS = 15 * 60 * 1000;
+// What a call is charged (₹ per minute, simulated calls are free)
+const CHARGE_PER_MINUTE = 30;
 // Max conversation history to prevent unbounded memory growth
 const MAX_HISTORY_MESSAGES = 20;
+// Playback marks placed in assistant audio (barge-in truncation precision)
+const PLAYBACK_MARK_INTERVAL_MS = 200;
+// What the caller is told when no team member could take the call
+const TRANSFER_FALLBACK_PROMPTS = {
+  voicemail: 'SYSTEM: No team member could take the call. Apologize and ask the customer to leave a short message with their details; it is recorded for the team. Say in Hindi: "Maaf kijiye sir, abhi sabhi team members busy hain. Kripya apna naam aur samasya bataiye, hamari team aapse sampark karegi."',
+  callback: 'SYSTEM: No team member could take the call. Apologize and tell the customer the team will call them back soon. Say in Hindi: "Maaf kijiye sir, abhi sabhi team members busy hain. Hamari team aapko jald hi call back karegi."'
+};
+// What the assistant says when the caller goes quiet (one-off system prompts, not replayed after a reconnect)
+const SILENCE_PROMPTS = {
+  reprompt: {
+    instructions: 'The customer has not said anything for a while. Briefly and politely check whether they are still on the line and how you can help.',
+    hindi: 'Hello sir, kya aap line par hain? Main aapki kaise madad kar sakti hoon?'
+  },
+  goodbye: {
+    instructions: 'The customer is still silent. Say that you cannot hear them, that they can call back any time, and say goodbye. Do not ask anything.',
+    hindi: 'Sir, aapki awaaz nahi aa rahi hai. Aap kabhi bhi dobara call kar sakte hain. Dhanyavaad, aapka din shubh ho!'
+  }
+};
+// Longest wait for the goodbye to be spoken before hanging up
+const GOODBYE_TIMEOUT_MS = 10000;
+// Node shutting down: how long calls in progress may go on (CALL_DRAIN_TIMEOUT_SECONDS),
+// and what the assistant says to the callers still on the line after that
+const CALL_DRAIN_TIMEOUT_SECONDS = 60;
+const DRAIN_PROMPT = {
+  instructions: 'This call has to end now for system maintenance. Apologize, tell the customer the team will call them back shortly to finish helping them, and say goodbye. Do not ask anything.',
+  hindi: 'Maaf kijiye sir, system maintenance ki wajah se humein yeh call abhi band karni pad rahi hai. Hamari team aapko jald hi call back karke aapki madad karegi. Dhanyavaad!'
+};
+// Language switching: one turn this sure switches right away; less sure
+// detections (but at least LANGUAGE_HINT_CONFIDENCE) must repeat for
+// LANGUAGE_SWITCH_TURNS turns in a row, so one English sentence in a
+// Hinglish call doesn't flip the persona
+const LANGUAGE_SWITCH_CONFIDENCE = 0.8;
+const LANGUAGE_HINT_CONFIDENCE = 0.5;
+const LANGUAGE_SWITCH_TURNS = 2;
+// Local intent classifier (regex intent mode): trusted from INTENT_CONFIDENCE;
+// below it the regex patterns decide, and when they find nothing the caller is
+// asked to choose if the two best agent intents are each at least
+// INTENT_CLARIFY_CONFIDENCE and together reach INTENT_CONFIDENCE
+const INTENT_CONFIDENCE = 0.5;
+const INTENT_CLARIFY_CONFIDENCE = 0.2;
+// How clarifying questions and queued requests name each intent
+const INTENT_LABELS = {
+  ORDER_LOOKUP: { en: 'the status of an order', hi: 'order ke status' },
+  RETURN_REQUEST: { en: 'returning a product', hi: 'product return' },
+  REFUND: { en: 'a refund', hi: 'refund' },
+  CANCEL_ORDER: { en: 'cancelling an order', hi: 'order cancel karne' },
+  TRACKING: { en: 'tracking a delivery', hi: 'delivery tracking' },
+  PRODUCT_INQUIRY: { en: 'product details', hi: 'product ki jaankari' },
+  PAYMENT_ISSUE: { en: 'a payment problem', hi: 'payment ki problem' },
+  ADDRESS_CHANGE: { en: 'changing the delivery address', hi: 'address badalne' },
+  COMPLAINT: { en: 'a complaint', hi: 'complaint' },
+  EXCHANGE: { en: 'an exchange', hi: 'exchange' },
+  COD_ISSUE: { en: 'cash on delivery', hi: 'cash on delivery' },
+  INVOICE: { en: 'an invoice', hi: 'invoice' },
+  REGISTRATION: { en: 'creating an account', hi: 'naya account banane' },
+  TECHNICAL_SUPPORT: { en: 'a problem with the app or website', hi: 'app ya website ki problem' }
+};
+// Live events relayed to nodes following a call on another node
+const SHARED_CALL_EVENTS = ['transcript', 'intent_detected', 'supervisor_takeover', 'supervisor_handback'];
+// What the registry entry shows other nodes, kept current from the call's events
+const REGISTRY_UPDATES = {
+  intent_detected: ({ intent, agentType }) => (agentType ? { intent, agentType } : null),
+  language_switched: ({ to }) => ({ language: to }),
+  supervisor_takeover: ({ userId }) => ({ takenOverBy: userId }),
+  supervisor_handback: () => ({ takenOverBy: null }),
+  transfer_started: () => ({ transfer: 'pending' }),
+  call_transferred: () => ({ transfer: 'transferred' }),
+  transfer_failed: () => ({ transfer: 'failed' })
+};
 
 class CallSessionManager extends EventEmitter {
   constructor() {
@@ -21,20 +109,54 @@ class CallSessionManager extends EventEmitter {
     this.intentDetector = new IntentDetector();
     this.agentOrchestrator = AgentOrchestrator;
     this.sessionTimeouts = new Map(); // Track timeout handles
+    this.summaryJobs = new Set(); // post-call summaries still running
+    this.draining = false; // node shutting down: no new calls
     this.setMaxListeners(50); // Prevent memory leak warnings
+
+    // Live calls on every node (Redis when shared, memory on a single node)
+    this.registry = createSessionRegistry({
+      onCommand: (callId, command, args) => this.runCallCommand(callId, command, args),
+      onOrphan: (entry) => this.closeOrphanedCall(entry)
+    });
+    this.shareCallEvents();
   }
 
   /**
    * Create new call session
    * @param {string} callId - Call identifier
    * @param {object} callData - Call metadata
+   * @param {object} options - STSSession options (backend, backendType, script),
+   *   textMode for typed sessions without audio (conversation simulator),
+   *   persist: false to skip all database/storage writes (call replay)
    */
-  async createSession(callId, callData) {
+  async createSession(callId, callData, options = {}) {
+    if (this.draining) {
+      throw new Error('Server is shutting down, not taking new calls');
+    }
+
     try {
-      logger.info('Creating call session', { callId });
+      const speechSettings = await this.getClientSpeechSettings(callData);
+      const backendType = options.backendType || await this.resolveSpeechBackend(callData, speechSettings);
+      const intentMode = this.resolveIntentMode(callData, speechSettings, backendType);
+      const persona = await this.resolvePersona(callData);
+      const redaction = await piiRedactionService.getPolicy(callData && callData.client_id);
+      const persist = options.persist !== false;
+      const eventRecorder = persist && this.shouldRecordEvents(callData, speechSettings)
+        ? new StsEventRecorder(callId, { clientId: callData && callData.client_id, redaction })
+        : null;
+
+      logger.info('Creating call session', {
+        callId,
+        backend: options.backend ? options.backend.name : backendType,
+        intentMode
+      });
 
       // Initialize STS session
-      const stsSession = new STSSession(process.env.OPENAI_API_KEY);
+      const stsSession = new STSSession(process.env.OPENAI_API_KEY, {
+        ...options,
+        backendType,
+        recorder: eventRecorder
+      });
 
       const session = {
         callId,
@@ -44,9 +166,55 @@ class CallSessionManager extends EventEmitter {
         startTime: Date.now(),
         isActive: true,
         currentIntent: null,
-        waitingForEntity: null
+        waitingForEntity: null,
+        intents: [], // { intent, agentType, source, at } - for the transfer screen pop
+        collectedEntities: {}, // slots heard so far (detected entities, tool arguments)
+        agentOutcomes: [], // { agent_type, status, at } - what agents did, for the post-call summary
+        persona, // agent name, language, voice, VAD, rendered prompt/greeting
+        redaction, // PII redaction policy for logs and stored transcripts
+        language: persona.language, // language the call is being held in (calls.language)
+        languageCandidate: null, // { language, turns } - another language heard, not yet switched to
+        intentMode, // 'tools' (Realtime function calling) or 'regex' (local classifier, IntentDetector patterns)
+        textMode: Boolean(options.textMode), // typed turns, text-only responses
+        persist, // false for replays: nothing written to the database or Wasabi
+        eventRecorder, // StsEventRecorder when event recording is on
+        latency: null, // TurnLatencyTracker for voice calls
+        pendingToolCall: null, // { callId, agentType } awaiting function_call_output
+        agentListeners: [],
+        mediaStream: null, // { provider, streamSid, callSid, mediaFormat } from the start frame
+        audioPipeline: null, // telephony <-> model transcoding, set once the stream starts
+        playback: null, // assistant audio item being played: { itemId, framedMs, markedMs, playedMs, startedAt }
+        dtmfDigits: [],
+        keypad: new KeypadInput(callId), // DTMF entry the session is waiting for
+        keypadResumed: false, // keypad input (or a spoken yes/no) resumed an agent - its outcome has no caller turn to answer
+        lastPlayedMark: null,
+        supervisor: null, // { userId, since } while a human supervisor has taken over
+        transfer: null, // { status, reason, transferId, fallback } once escalated to a team member
+        silence: null, // SilenceMonitor for voice calls
+        usage: null, // UsageMeter - model tokens and cost so far
+        disposition: null // how the call ended when the session ended it itself (calls.disposition)
       };
 
+      // Per-turn latency (voice calls only - typed turns have no audio)
+      if (persist && !options.textMode) {
+        session.latency = new TurnLatencyTracker(callId, {
+          clientId: callData && callData.client_id,
+          provider: options.backend ? options.backend.name : backendType,
+          onTurn: (turn) => this.saveTurnLatency(turn)
+        });
+      }
+
+      // Dead air: reprompt a silent caller, then hang up (voice calls only)
+      const silenceSettings = this.resolveSilenceSettings(callData, speechSettings);
+      if (persist && !options.textMode && silenceSettings.timeoutMs > 0) {
+        session.silence = new SilenceMonitor(callId, {
+          ...silenceSettings,
+          isBusy: () => this.isSilenceExpected(session),
+          onReprompt: (attempt) => this.repromptSilentCaller(session, attempt),
+          onHangup: (reprompts) => this.hangUpSilentCall(session, reprompts)
+        });
+      }
+
       // Setup session timeout (cleanup after inactivity)
       this.resetSessionTimeout(callId);
 
@@ -56,11 +224,33 @@ class CallSessionManager extends EventEmitter {
       // Setup agent orchestrator handlers
       this.setupAgentHandlers(session);
 
-      // Start STS session
-      await stsSession.start(callId);
+      // Start STS session (agents exposed as tools unless on regex fallback)
+      await stsSession.start(callId, {
+        instructions: this.buildInstructions(persona),
+        voice: persona.voice,
+        vad: persona.vad,
+        tools: intentMode === 'tools' ? this.agentOrchestrator.getToolDefinitions() : [],
+        ...(options.textMode ? { modalities: ['text'] } : {})
+      });
+
+      // Token usage priced for the backend's model (not for replays)
+      if (persist) {
+        session.usage = new UsageMeter(callId, { model: stsSession.backend && stsSession.backend.model });
+      }
+
+      if (eventRecorder) {
+        eventRecorder.start({ backend: stsSession.backend && stsSession.backend.name, intentMode });
+      }
 
       // Store session
       this.sessions.set(callId, session);
+      await this.registerSession(session);
+
+      // A caller who never says a word (or a line dead from the start) is
+      // dead air too - not only silence after an assistant turn
+      if (session.silence) {
+        session.silence.arm();
+      }
 
       logger.info('Call session created successfully', { callId });
 
@@ -75,6 +265,219 @@ class CallSessionManager extends EventEmitter {
     }
   }
 
+  /**
+   * Load client settings.speech ({ backend, intent_mode })
+   */
+  async getClientSpeechSettings(callData = {}) {
+    if (!callData || !callData.client_id) {
+      return {};
+    }
+
+    try {
+      const client = await db.clients.getById(callData.client_id);
+      return (client && client.settings && client.settings.speech) || {};
+    } catch (error) {
+      logger.warn('Could not load client speech settings', {
+        clientId: callData.client_id,
+        error: error.message
+      });
+      return {};
+    }
+  }
+
+  /**
+   * Whether to record the STS event stream:
+   * call override -> client settings.speech.record_events -> STS_EVENT_RECORDING
+   */
+  shouldRecordEvents(callData = {}, speechSettings = {}) {
+    if (callData && callData.record_events !== undefined) {
+      return Boolean(callData.record_events);
+    }
+    if (speechSettings.record_events !== undefined) {
+      return Boolean(speechSettings.record_events);
+    }
+    return process.env.STS_EVENT_RECORDING === 'true';
+  }
+
+  /**
+   * Dead-air timers for a call:
+   * call override -> client settings.speech.silence -> SILENCE_TIMEOUT_SECONDS /
+   * SILENCE_MAX_REPROMPTS -> defaults. A timeout of 0 turns them off.
+   * @returns {object} { timeoutMs, maxReprompts }
+   */
+  resolveSilenceSettings(callData = {}, speechSettings = {}) {
+    const silence = speechSettings.silence || {};
+    const pick = (values, fallback) => {
+      const value = values.find(v => v !== undefined && v !== null && v !== '');
+      const number = Number(value);
+      return value !== undefined && Number.isFinite(number) && number >= 0 ? number : fallback;
+    };
+
+    const timeoutSeconds = pick([
+      callData && callData.silence_timeout_seconds,
+      silence.timeout_seconds,
+      process.env.SILENCE_TIMEOUT_SECONDS
+    ], SilenceMonitor.DEFAULT_TIMEOUT_SECONDS);
+
+    const maxReprompts = pick([
+      callData && callData.silence_max_reprompts,
+      silence.max_reprompts,
+      process.env.SILENCE_MAX_REPROMPTS
+    ], SilenceMonitor.DEFAULT_MAX_REPROMPTS);
+
+    return { timeoutMs: timeoutSeconds * 1000, maxReprompts: Math.floor(maxReprompts) };
+  }
+
+  /**
+   * Client persona and rendered prompt templates for a call
+   */
+  async resolvePersona(callData = {}, language = null) {
+    try {
+      return await promptTemplateService.resolveCallPersona(callData && callData.client_id, {
+        sector: callData && callData.sector,
+        language
+      });
+    } catch (error) {
+      logger.warn('Could not load client persona, using default', {
+        clientId: callData && callData.client_id,
+        error: error.message
+      });
+      return language
+        ? promptTemplateService.getDefaultPersona(language)
+        : promptTemplateService.getDefaultPersona();
+    }
+  }
+
+  /**
+   * Session instructions for a persona. Outside Hindi, the Hindi lines
+   * suggested in system messages are only a guide to what to say.
+   */
+  buildInstructions(persona) {
+    if (persona.language === 'hi') {
+      return persona.instructions;
+    }
+
+    const languageName = LANGUAGE_NAMES[persona.language] || persona.language;
+    return `${persona.instructions}
+
+LANGUAGE:
+- The customer speaks ${languageName} - reply only in ${languageName}
+- If a system message suggests a Hindi line, say the same thing in ${languageName}`;
+  }
+
+  /**
+   * Detect the language of a caller turn and switch the call to it once
+   * it is clearly not the current one. Only the client's allowed
+   * languages are considered; a client with one language never switches.
+   */
+  async trackLanguage(session, transcript) {
+    const allowed = (session.persona && session.persona.allowedLanguages) || [];
+    if (allowed.length < 2) {
+      return;
+    }
+
+    const detected = detectLanguage(transcript, { allowed });
+    // Numbers, "ok", unclear mixes: no evidence either way
+    if (!detected || detected.confidence < LANGUAGE_HINT_CONFIDENCE) {
+      return;
+    }
+
+    if (detected.language === session.language) {
+      session.languageCandidate = null;
+      return;
+    }
+
+    const candidate = session.languageCandidate;
+    const turns = candidate && candidate.language === detected.language ? candidate.turns + 1 : 1;
+
+    if (detected.confidence >= LANGUAGE_SWITCH_CONFIDENCE || turns >= LANGUAGE_SWITCH_TURNS) {
+      await this.switchLanguage(session, detected.language, detected.confidence);
+      return;
+    }
+
+    session.languageCandidate = { language: detected.language, turns };
+  }
+
+  /**
+   * Move the call to another language: persona re-rendered in it, session
+   * instructions and voice updated, call record updated
+   */
+  async switchLanguage(session, language, confidence = null) {
+    const { callId } = session;
+    const from = session.language;
+
+    session.languageCandidate = null;
+    const persona = await this.resolvePersona(session.callData, language);
+    if (!session.isActive) {
+      return;
+    }
+
+    session.persona = persona;
+    session.language = persona.language;
+
+    const applied = session.stsSession.updateSession({
+      instructions: this.buildInstructions(persona),
+      voice: persona.voice
+    });
+
+    logger.info('Call language switched', {
+      callId,
+      from,
+      to: persona.language,
+      confidence,
+      voice: applied.voice || null
+    });
+
+    this.recordCallEvent(session, 'language_switched', { from, to: persona.language, confidence });
+    this.emit('language_switched', { callId, from, to: persona.language, confidence });
+
+    if (session.persist) {
+      try {
+        await db.calls.update(callId, { language: persona.language });
+      } catch (error) {
+        logger.error('Error saving call language', {
+          callId,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Pick the speech backend for a call:
+   * call override -> client settings.speech.backend -> SPEECH_BACKEND -> openai
+   */
+  async resolveSpeechBackend(callData = {}, speechSettings = null) {
+    if (callData && callData.speech_backend) {
+      return callData.speech_backend;
+    }
+
+    const speech = speechSettings || await this.getClientSpeechSettings(callData);
+    if (speech.backend) {
+      return speech.backend;
+    }
+
+    return process.env.SPEECH_BACKEND || 'openai';
+  }
+
+  /**
+   * Pick intent routing for a call:
+   * call override -> client settings.speech.intent_mode -> INTENT_MODE -> tools
+   */
+  resolveIntentMode(callData = {}, speechSettings = {}, backendType = null) {
+    // Cascaded pipeline has no function calling
+    if (backendType === 'cascaded') {
+      return 'regex';
+    }
+
+    const mode = (callData && callData.intent_mode) ||
+      speechSettings.intent_mode ||
+      process.env.INTENT_MODE ||
+      'tools';
+
+    return mode === 'regex' ? 'regex' : 'tools';
+  }
+
   /**
    * Setup STS event handlers
    */
@@ -84,63 +487,104 @@ class CallSessionManager extends EventEmitter {
     // User started speaking
     stsSession.on('speech_started', () => {
       logger.debug('User speech started', { callId });
-      // User interrupted - could cancel any TTS if needed
+      this.resetSilence(session);
+
+      // Caller talked over the assistant
+      if (this.isAssistantSpeaking(session)) {
+        this.handleBargeIn(session);
+      }
     });
 
     // User stopped speaking
     stsSession.on('speech_stopped', () => {
       logger.debug('User speech stopped', { callId });
+      this.markLatency(session, 'speech_stopped');
     });
 
     // User transcript completed - CRITICAL EVENT
     stsSession.on('user_transcript_completed', async (data) => {
-      logger.info('USER SAID', { 
-        callId,
-        transcript: data.transcript 
-      });
+      this.markLatency(session, 'transcript_completed');
 
       // Store in conversation history (with limit to prevent unbounded growth)
-      session.conversationHistory.push({
+      const entry = {
         role: 'user',
         content: data.transcript,
         timestamp: Date.now()
-      });
+      };
+      session.conversationHistory.push(entry);
 
       // Limit conversation history to prevent memory leaks
       if (session.conversationHistory.length > MAX_HISTORY_MESSAGES) {
         session.conversationHistory = session.conversationHistory.slice(-MAX_HISTORY_MESSAGES);
       }
 
+      // Relayed to supervisors on other nodes: masked like everything else that leaves the call
+      this.emit('transcript', { callId, role: 'user', text: this.getRedactedContent(session, entry), timestamp: Date.now() });
+
       // Reset activity timeout
       this.resetSessionTimeout(callId);
+      this.resetSilence(session);
+      session.keypadResumed = false;
 
-      // Save to database
-      try {
-        await db.entities.create({
-          call_id: callId,
-          entity_type: 'transcript_user',
-          value: data.transcript,
-          confidence: 1.0
-        });
-      } catch (error) {
-        logger.error('Error saving transcript', { 
-          callId,
-          error: error.message 
-        });
+      // Card numbers, OTPs, Aadhaar... never reach the logs or the database
+      entry.redacted = await this.redactTranscript(session, data.transcript, 'transcript_user');
+      logger.info('USER SAID', { 
+        callId,
+        transcript: entry.redacted 
+      });
+
+      // Save to database (not for replays)
+      if (session.persist) {
+        try {
+          await db.entities.create({
+            call_id: callId,
+            entity_type: 'transcript_user',
+            value: entry.redacted,
+            confidence: 1.0
+          });
+        } catch (error) {
+          logger.error('Error saving transcript', { 
+            callId,
+            error: error.message 
+          });
+        }
+      }
+
+      // Follow the caller into another language (prompt, voice, intent patterns)
+      await this.trackLanguage(session, data.transcript);
+
+      // "Haan" / "nahi" to a pending confirmation, in either intent mode
+      if (this.handleSpokenConfirmation(session, data.transcript)) {
+        return;
+      }
+
+      // Tool mode: the model routes to agents through function calls
+      if (session.intentMode !== 'regex') {
+        return;
       }
 
       // Detect intent
-      const detection = this.intentDetector.detect(
-        data.transcript,
-        session.conversationHistory
-      );
+      const detection = await this.detectIntent(session, data.transcript);
 
       logger.info('Intent detected', { 
         callId,
         intent: detection.intent,
         confidence: detection.confidence,
+        source: detection.source,
+        alternatives: detection.alternatives,
         requiresAgent: detection.requiresAgent,
-        entities: detection.entities
+        entities: piiRedactionService.maskValues(detection.entities, session.redaction)
+      });
+
+      this.markLatency(session, 'intent_detected', { agentType: detection.agentType });
+      this.trackIntent(session, {
+        source: detection.source,
+        intent: detection.intent,
+        confidence: detection.confidence,
+        agentType: detection.agentType || null,
+        entities: detection.entities || {},
+        ...(detection.alternatives ? { alternatives: detection.alternatives } : {}),
+        ...(detection.intents ? { intents: detection.intents.map(({ intent, agentType }) => ({ intent, agentType })) } : {})
       });
 
       // Handle based on intent
@@ -149,103 +593,432 @@ class CallSessionManager extends EventEmitter {
 
     // AI transcript completed
     stsSession.on('ai_transcript_completed', async (data) => {
-      logger.info('AI SAID', { 
-        callId,
-        transcript: data.transcript 
-      });
-
       // Store in conversation history
-      session.conversationHistory.push({
+      const entry = {
         role: 'assistant',
         content: data.transcript,
+        itemId: data.item_id || null,
+        ...(data.interrupted ? { interrupted: true, fullContent: data.full_transcript } : {}),
+        timestamp: Date.now()
+      };
+      session.conversationHistory.push(entry);
+
+      this.emit('transcript', {
+        callId,
+        role: 'assistant',
+        text: this.getRedactedContent(session, entry),
+        ...(data.interrupted ? { interrupted: true } : {}),
         timestamp: Date.now()
       });
 
-      // Save to database
-      try {
-        await db.entities.create({
-          call_id: callId,
-          entity_type: 'transcript_assistant',
-          value: data.transcript,
-          confidence: 1.0
-        });
-      } catch (error) {
-        logger.error('Error saving AI transcript', { 
-          callId,
-          error: error.message 
-        });
+      // The assistant reads back what the caller said
+      const redacted = await this.redactTranscript(session, data.transcript, 'transcript_assistant');
+      if (entry.content === data.transcript) {
+        entry.redacted = redacted; // unless trimmed by a barge-in meanwhile
+      }
+      logger.info('AI SAID', { 
+        callId,
+        transcript: redacted 
+      });
+
+      // Save to database (not for replays)
+      if (session.persist) {
+        try {
+          await db.entities.create({
+            call_id: callId,
+            entity_type: 'transcript_assistant',
+            value: redacted,
+            confidence: 1.0
+          });
+        } catch (error) {
+          logger.error('Error saving AI transcript', { 
+            callId,
+            error: error.message 
+          });
+        }
       }
     });
 
+    // Token usage of each model response
+    stsSession.on('usage', (usage) => {
+      if (!session.usage) return;
+      const totals = session.usage.add(usage);
+      this.emit('call_usage', { callId, ...totals });
+    });
+
+    // Model called an agent tool
+    stsSession.on('function_call', async (call) => {
+      this.resetSessionTimeout(callId);
+      await this.handleFunctionCall(session, call);
+    });
+
     // Audio output - stream to Exotel
-    stsSession.on('audio_output', (audioChunk) => {
-      // Emit to be sent to Exotel
-      this.emit('audio_output', {
+    stsSession.on('audio_output', (audioChunk, meta = {}) => {
+      // A supervisor has the call - the model stays silent
+      if (session.supervisor) return;
+
+      this.markLatency(session, 'first_audio');
+      const playback = this.trackPlayback(session, meta.item_id);
+
+      // Without a negotiated media stream, pass model audio through untouched
+      const frames = session.audioPipeline
+        ? session.audioPipeline.toTelephony(audioChunk)
+        : [audioChunk];
+
+      frames.forEach(audioData => {
+        playback.framedMs += audioData.length / bytesPerMs(this.getOutputFormat(session));
+
+        let mark = null;
+        if (session.mediaStream && playback.framedMs - playback.markedMs >= PLAYBACK_MARK_INTERVAL_MS) {
+          mark = this.getPlaybackMarkName(playback);
+        }
+
+        this.emit('audio_output', { callId, audioData, mark });
+      });
+    });
+
+    // End of one response's audio - lets the stream place a playback mark
+    stsSession.on('audio_output_done', () => {
+      const playback = session.playback;
+
+      if (session.audioPipeline) {
+        session.audioPipeline.flushTelephony().forEach(audioData => {
+          if (playback) {
+            playback.framedMs += audioData.length / bytesPerMs(this.getOutputFormat(session));
+          }
+          this.emit('audio_output', { callId, audioData, mark: null });
+        });
+      }
+
+      this.emit('audio_output_done', {
         callId,
-        audioData: audioChunk
+        mark: playback && session.mediaStream ? this.getPlaybackMarkName(playback) : null
       });
     });
 
+    // Assistant finished its turn - the caller is expected to answer
+    stsSession.on('response_done', () => {
+      if (session.silence) {
+        session.silence.arm();
+      }
+    });
+
     // Error handling
     stsSession.on('error', (error) => {
       logger.error('STS error', { callId, error: error.message });
       this.emit('session_error', { callId, component: 'sts', error });
     });
+
+    // Speech backend dropped - STSSession reconnects on its own
+    stsSession.on('reconnecting', (data) => {
+      this.recordCallEvent(session, 'sts_reconnecting', data);
+    });
+
+    stsSession.on('reconnected', (data) => {
+      this.recordCallEvent(session, 'sts_reconnected', data);
+    });
+
+    stsSession.on('reconnect_failed', async (data) => {
+      logger.error('STS reconnect failed, ending session', { callId, attempts: data.attempts });
+      await this.recordCallEvent(session, 'sts_reconnect_failed', data);
+      this.emit('session_error', { callId, component: 'sts', error: new Error('STS reconnect failed') });
+      await this.endSession(callId);
+    });
   }
 
   /**
-   * Setup agent orchestrator handlers
+   * Transcript as it may be logged and stored: personal data masked per the
+   * client's policy, originals in the PII vault (not for replays)
    */
-  setupAgentHandlers(session) {
-    const { callId } = session;
+  async redactTranscript(session, text, source) {
+    const { text: redacted } = await piiRedactionService.redact(text, session.redaction, {
+      clientId: session.callData && session.callData.client_id,
+      callId: session.callId,
+      source,
+      vault: session.persist
+    });
+    return redacted;
+  }
 
-    // Agent needs more info
-    this.agentOrchestrator.on('agent_needs_info', (data) => {
-      if (data.callId !== callId) return;
+  /**
+   * Stored form of a conversation history entry (masked without the vault
+   * when it was never redacted or changed since, e.g. trimmed on barge-in)
+   */
+  getRedactedContent(session, entry) {
+    return entry.redacted !== undefined
+      ? entry.redacted
+      : piiRedactionService.mask(entry.content, session.redaction);
+  }
 
-      logger.info('Agent needs info', { 
-        callId,
-        field: data.field,
-        prompt: data.prompt 
+  /**
+   * Timestamp a stage of the caller's current turn
+   */
+  markLatency(session, stage, data) {
+    if (session.latency) {
+      session.latency.mark(stage, data);
+    }
+  }
+
+  /**
+   * Finished turn: live percentiles + call_turn_latency
+   */
+  async saveTurnLatency(turn) {
+    latencyMetrics.record(turn);
+
+    try {
+      await db.turnLatency.create(turn);
+    } catch (error) {
+      logger.error('Error saving turn latency', {
+        callId: turn.call_id,
+        turn: turn.turn_index,
+        error: error.message
       });
+    }
+  }
+
+  /**
+   * Intent of a caller turn in regex intent mode. The local classifier
+   * decides when it is confident; otherwise the regex patterns do, and when
+   * they find nothing either but the classifier's two best guesses are
+   * close, the caller is asked which one they mean (clarify).
+   * @returns {Promise<object>} IntentDetector detection plus source
+   *   (classifier | regex) and the classifier's alternatives
+   */
+  async detectIntent(session, transcript) {
+    const patterns = this.intentDetector.detect(transcript, session.conversationHistory, session.language);
 
-      // Update STS context so AI knows to ask for this info
-      const contextUpdate = `SYSTEM: ${data.prompt}. Ask user naturally for this information in Hindi.`;
-      session.stsSession.updateContext(contextUpdate);
+    // Cancellations, greetings and turns asking for several things stay with the patterns
+    if (patterns.shouldCancelAgent || patterns.intent === 'GREETING' || patterns.intents) {
+      return { ...patterns, source: 'regex' };
+    }
 
-      // Track what we're waiting for
-      session.waitingForEntity = data.field;
+    const prediction = await intentModelService.classify(transcript, {
+      sector: session.callData && session.callData.sector,
+      clientId: session.callData && session.callData.client_id
     });
+    if (!prediction) {
+      return { ...patterns, source: 'regex' };
+    }
 
-    // Agent completed
-    this.agentOrchestrator.on('agent_completed', async (data) => {
-      if (data.callId !== callId) return;
+    const { alternatives } = prediction;
+
+    if (prediction.confidence >= INTENT_CONFIDENCE) {
+      const agentType = this.intentDetector.intentToAgent(prediction.intent);
+      return {
+        intent: prediction.intent,
+        confidence: prediction.confidence,
+        entities: patterns.entities || {},
+        requiresAgent: Boolean(agentType),
+        ...(agentType ? { agentType } : {}),
+        originalText: transcript,
+        alternatives,
+        source: 'classifier'
+      };
+    }
 
-      logger.info('Agent completed', { 
-        callId,
-        agentType: data.agentType,
-        success: data.result.success 
-      });
+    if (!patterns.requiresAgent) {
+      const candidates = alternatives.filter(({ intent }) => this.intentDetector.intentToAgent(intent));
+      const [first, second] = candidates;
+
+      if (second && second.confidence >= INTENT_CLARIFY_CONFIDENCE &&
+          first.confidence + second.confidence >= INTENT_CONFIDENCE) {
+        return {
+          intent: 'CLARIFY',
+          confidence: prediction.confidence,
+          entities: patterns.entities || {},
+          requiresAgent: false,
+          clarify: [first.intent, second.intent],
+          originalText: transcript,
+          alternatives,
+          source: 'classifier'
+        };
+      }
+    }
 
-      // Update STS context with agent result
-      const contextUpdate = `SYSTEM: ${data.result.contextUpdate}`;
-      session.stsSession.updateContext(contextUpdate);
+    return { ...patterns, alternatives, source: 'regex' };
+  }
 
-      // 🎯 PHASE 8: Update team member performance metrics
-      try {
-        if (session.callData.team_member_id) {
-          // Calculate call metrics from agent result
-          const callResult = {
-            resolved: data.result.success,
-            escalated: data.result.escalated || false,
-            success: data.result.success ? 1 : 0,
-            handling_time_seconds: Math.round((Date.now() - session.startTime) / 1000),
-            customer_satisfaction: data.result.satisfaction_score || 0,
-            agent_type: data.agentType
-          };
+  /**
+   * Question asking the caller which of two intents they mean
+   */
+  buildClarifyPrompt(intents) {
+    const labels = intents.map(intent => this.intentLabel(intent));
 
-          // Update team member performance in database
-          await performanceTracker.updateTeamMemberPerformance(
+    return `SYSTEM: It is not clear whether the customer needs help with ${labels[0].en} or ${labels[1].en}. ` +
+      `Ask which one they mean before doing anything. Say in Hindi: "Sir, kya aap ${labels[0].hi} ke baare mein baat kar rahe hain ya ${labels[1].hi} ke baare mein?"`;
+  }
+
+  /**
+   * How an intent is named to the model (en) and in Hindi lines (hi)
+   */
+  intentLabel(intent) {
+    return INTENT_LABELS[intent] || {
+      en: String(intent).toLowerCase().replace(/_/g, ' '),
+      hi: String(intent).toLowerCase().replace(/_/g, ' ')
+    };
+  }
+
+  /**
+   * Tell the model what else the caller asked for, handled after the current request
+   */
+  buildPendingPrompt(currentIntent, pending) {
+    const current = this.intentLabel(currentIntent);
+    const next = pending.map(({ intent, agentType }) => this.intentLabel(intent || agentType));
+
+    return `SYSTEM: The customer also asked about ${next.map(label => label.en).join(', ')}. ` +
+      `Help with ${current.en} first; the rest follows right after, so do not drop it. ` +
+      `Say in Hindi: "Ji sir, pehle ${current.hi} wali baat kar lete hain, uske baad ${next.map(label => label.hi).join(' aur ')} ke baare mein bhi madad karti hoon."`;
+  }
+
+  /**
+   * What comes next after an agent finished, for its context update
+   */
+  nextRequestNote(callId) {
+    const [next] = this.agentOrchestrator.getQueue(callId);
+    if (!next) {
+      return '';
+    }
+    return ` Then move on to the next thing the customer asked about: ${this.intentLabel(next.intent || next.agentType).en}.`;
+  }
+
+  /**
+   * Remember a detected intent and its entities, and report it
+   */
+  trackIntent(session, detection) {
+    const { callId } = session;
+
+    // Intents that route to an agent (not chat, greetings, cancellations),
+    // each of them when the caller asked for several
+    if (detection.agentType) {
+      (detection.intents || [detection]).forEach(({ intent, agentType }) => {
+        session.intents.push({
+          intent,
+          agentType,
+          source: detection.source,
+          at: Date.now()
+        });
+      });
+    }
+    Object.assign(session.collectedEntities, detection.entities);
+
+    this.emit('intent_detected', { callId, ...detection });
+  }
+
+  /**
+   * Remember how an agent run ended (actions taken, for the post-call summary)
+   */
+  trackAgentOutcome(session, agentType, status) {
+    session.agentOutcomes.push({ agent_type: agentType, status, at: Date.now() });
+  }
+
+  /**
+   * Record an event on the call timeline (call_events)
+   */
+  async recordCallEvent(session, eventType, payload = {}) {
+    if (!session.persist) {
+      return;
+    }
+
+    try {
+      await db.callEvents.create({
+        call_id: session.callId,
+        client_id: session.callData && session.callData.client_id,
+        event_type: eventType,
+        payload
+      });
+    } catch (error) {
+      logger.error('Error recording call event', { 
+        callId: session.callId,
+        eventType,
+        error: error.message 
+      });
+    }
+  }
+
+  /**
+   * Setup agent orchestrator handlers
+   */
+  setupAgentHandlers(session) {
+    const { callId } = session;
+    const listen = (eventName, handler) => {
+      this.agentOrchestrator.on(eventName, handler);
+      session.agentListeners.push({ eventName, handler });
+    };
+
+    // Agent needs more info
+    listen('agent_needs_info', (data) => {
+      if (data.callId !== callId) return;
+
+      logger.info('Agent needs info', { 
+        callId,
+        field: data.field,
+        prompt: data.prompt 
+      });
+
+      // Numbers, PINs and OTPs can also be typed on the keypad
+      const keypadHint = this.expectKeypadEntity(session, data.field);
+      const language = session.language === 'hi' ? 'Hindi' : (LANGUAGE_NAMES[session.language] || session.language);
+      // The agent's own line in the call language, if it has one
+      const localized = session.language !== 'en' && data.prompts && data.prompts[session.language];
+      const sayLine = localized ? ` Say in ${language}: "${localized}"` : '';
+
+      // Tool mode: tell the model which parameter is missing
+      const answered = this.respondToToolCall(session, {
+        success: false,
+        status: data.invalid ? 'invalid_value' : 'needs_info',
+        missing_field: data.field,
+        message: `${data.prompt}. Ask the customer for it, then call ${session.pendingToolCall ? session.pendingToolCall.agentType : 'the tool'} again.${keypadHint}${sayLine}`
+      });
+
+      if (!answered) {
+        // Update STS context so AI knows to ask for this info
+        const contextUpdate = `SYSTEM: ${data.prompt}. Ask user naturally for this information in ${language}.${keypadHint}${sayLine}`;
+        this.updateAgentContext(session, contextUpdate);
+      }
+
+      // Track what we're waiting for
+      session.waitingForEntity = data.field;
+    });
+
+    // Agent completed
+    listen('agent_completed', async (data) => {
+      if (data.callId !== callId) return;
+
+      logger.info('Agent completed', { 
+        callId,
+        agentType: data.agentType,
+        success: data.result.success 
+      });
+      this.markLatency(session, 'agent_completed', { agentType: data.agentType });
+      this.trackAgentOutcome(session, data.agentType, data.result.success ? 'completed' : 'failed');
+
+      // Tool mode: return result as function_call_output, else inject as context
+      if (!this.respondToToolCall(session, formatToolResult(data.result))) {
+        const contextUpdate = `SYSTEM: ${data.result.contextUpdate}${this.nextRequestNote(callId)}`;
+        this.updateAgentContext(session, contextUpdate);
+      }
+
+      // The next queued request (if any) starts right after this
+      const [next] = this.agentOrchestrator.getQueue(callId);
+      session.currentIntent = next ? next.intent : null;
+      session.waitingForEntity = null;
+      session.keypad.cancel();
+
+      // 🎯 PHASE 8: Update team member performance metrics
+      try {
+        if (session.persist && session.callData.team_member_id) {
+          // Calculate call metrics from agent result
+          const callResult = {
+            resolved: data.result.success,
+            escalated: data.result.escalated || false,
+            success: data.result.success ? 1 : 0,
+            handling_time_seconds: Math.round((Date.now() - session.startTime) / 1000),
+            customer_satisfaction: data.result.satisfaction_score || 0,
+            agent_type: data.agentType
+          };
+
+          // Update team member performance in database
+          await performanceTracker.updateTeamMemberPerformance(
             session.callData.team_member_id,
             callResult
           );
@@ -264,13 +1037,10 @@ class CallSessionManager extends EventEmitter {
           error: trackerError.message
         });
       }
-
-      session.currentIntent = null;
-      session.waitingForEntity = null;
     });
 
     // Agent error
-    this.agentOrchestrator.on('agent_error', (data) => {
+    listen('agent_error', (data) => {
       if (data.callId !== callId) return;
 
       logger.error('Agent error', { 
@@ -278,117 +1048,1012 @@ class CallSessionManager extends EventEmitter {
         agentType: data.agentType,
         error: data.error.message 
       });
+      this.trackAgentOutcome(session, data.agentType, 'error');
+
+      const answered = this.respondToToolCall(session, {
+        success: false,
+        status: 'error',
+        message: 'Technical issue occurred. Apologize and offer to create a support ticket; the team will contact within 24 hours.'
+      });
+
+      if (!answered) {
+        // Update STS to inform user of error
+        const contextUpdate = `SYSTEM: Technical issue occurred. Apologize to user and offer to create a support ticket. Say in Hindi: "Maaf kijiye sir, thoda technical issue aa raha hai. Main aapka ticket create kar deti hoon, team 24 ghante mein contact karegi."${this.nextRequestNote(callId)}`;
+        this.updateAgentContext(session, contextUpdate);
+      }
+
+      const [next] = this.agentOrchestrator.getQueue(callId);
+      if (next) {
+        session.currentIntent = next.intent;
+        session.waitingForEntity = null;
+        session.keypad.cancel();
+      }
+    });
+
+    // Irreversible action - the customer says yes or presses 1 to go ahead
+    listen('agent_needs_confirmation', (data) => {
+      if (data.callId !== callId) return;
+
+      session.keypad.expectConfirmation(data.agentType);
+
+      const message = `Before doing it, tell the customer what will be done (${data.summary})${this.readBackValues(data.values)} and ask them to say yes or press 1 on their phone keypad to confirm, or say no or press 2 to cancel. Their answer is picked up automatically - do not call the tool again. Say in Hindi: "Confirm karne ke liye 'haan' boliye ya 1 dabaiye, cancel karne ke liye 'nahi' boliye ya 2 dabaiye."`;
+      if (!this.respondToToolCall(session, { success: false, status: 'needs_confirmation', message })) {
+        this.updateAgentContext(session, `SYSTEM: ${message}`);
+      }
+
+      this.recordCallEvent(session, 'confirmation_requested', { agent_type: data.agentType, summary: data.summary });
+    });
+
+    // Agent can't finish - hand the call to a human
+    listen('agent_needs_escalation', (data) => {
+      if (data.callId !== callId) return;
+
+      this.transferToHuman(callId, { reason: data.reason, agentType: data.agentType })
+        .catch(error => logger.error('Error escalating call', { callId, error: error.message }));
+    });
+
+    // Agent waiting for an answer made way for a new request (back in the queue)
+    listen('agent_set_aside', (data) => {
+      if (data.callId !== callId) return;
+
+      session.waitingForEntity = null;
+      session.keypad.cancel();
+    });
+
+    // Agent cancelled
+    listen('agent_cancelled', (data) => {
+      if (data.callId !== callId) return;
+
+      logger.info('Agent cancelled', { 
+        callId,
+        agentType: data.agentType 
+      });
+      // Not the agents cancelled by the call ending
+      if (session.isActive) {
+        this.trackAgentOutcome(session, data.agentType, 'cancelled');
+      }
+
+      session.currentIntent = null;
+      session.waitingForEntity = null;
+      session.keypad.cancel();
+    });
+  }
+
+  /**
+   * Handle a Realtime function call by launching the matching agent.
+   * The agent's outcome is returned through respondToToolCall.
+   */
+  async handleFunctionCall(session, call) {
+    const { callId, stsSession } = session;
+
+    if (!this.agentOrchestrator.hasAgentType(call.name)) {
+      logger.warn('Model called unknown tool', { callId, name: call.name });
+      stsSession.sendFunctionResult(call.call_id, {
+        success: false,
+        message: `Unknown tool ${call.name}`
+      });
+      return;
+    }
+
+    // A previous call still waiting for its result is superseded
+    if (session.pendingToolCall) {
+      this.respondToToolCall(session, { success: false, status: 'superseded' }, false);
+    }
+
+    session.pendingToolCall = { callId: call.call_id, agentType: call.name };
+
+    this.markLatency(session, 'intent_detected', { agentType: call.name });
+    this.trackIntent(session, {
+      source: 'tool',
+      intent: call.name,
+      confidence: null,
+      agentType: call.name,
+      entities: call.arguments || {}
+    });
+
+    try {
+      await this.agentOrchestrator.launchAgent(callId, call.name, {
+        ...call.arguments,
+        client_id: session.callData && session.callData.client_id
+      });
+      this.markLatency(session, 'agent_launched', { agentType: call.name });
+      session.currentIntent = call.name;
+    } catch (error) {
+      logger.error('Error launching agent from tool call', { 
+        callId,
+        name: call.name,
+        error: error.message 
+      });
+
+      this.respondToToolCall(session, {
+        success: false,
+        status: 'error',
+        message: 'Could not process request. Apologize and ask if there is anything else.'
+      });
+    }
+  }
+
+  /**
+   * Send output for the pending tool call, if any
+   * @returns {boolean} true if a tool call was answered
+   */
+  respondToToolCall(session, output, respond = true) {
+    if (!session.pendingToolCall) {
+      return false;
+    }
+
+    const { callId: functionCallId } = session.pendingToolCall;
+    session.pendingToolCall = null;
+    session.stsSession.sendFunctionResult(functionCallId, output, respond);
+    return true;
+  }
+
+  /**
+   * Agent update as a system message. Normally the model answers it on the
+   * caller's next turn; after keypad input there is no such turn, so it
+   * answers right away.
+   */
+  updateAgentContext(session, contextUpdate) {
+    const respond = session.keypadResumed;
+    session.keypadResumed = false;
+    session.stsSession.updateContext(contextUpdate, respond);
+  }
+
+  /**
+   * Handle detected intent
+   */
+  async handleIntent(session, detection) {
+    const { callId } = session;
+
+    // Handle cancellation
+    if (detection.shouldCancelAgent) {
+      logger.info('User requested cancellation', { callId });
+      
+      // Cancel active agent
+      await this.agentOrchestrator.cancelAgent(callId);
+      
+      // Update context
+      session.stsSession.updateContext(
+        'SYSTEM: User cancelled the action. Acknowledge politely: "Ji sir, koi baat nahi. Kuch aur batayiye?"'
+      );
+      return;
+    }
+
+    // Not sure what the caller wants - ask
+    if (detection.clarify) {
+      logger.info('Asking caller to clarify intent', { callId, intents: detection.clarify });
+      session.stsSession.updateContext(this.buildClarifyPrompt(detection.clarify));
+      return;
+    }
+
+    // Normal chat - no agent needed
+    if (!detection.requiresAgent) {
+      logger.debug('Normal conversation, no agent needed', { 
+        callId,
+        intent: detection.intent 
+      });
+      return; // STS handles conversation naturally
+    }
+
+    // Agent-triggering intent detected
+    logger.info('Launching agent', { 
+      callId,
+      intent: detection.intent,
+      agentType: detection.agentType,
+      intents: detection.intents ? detection.intents.map(({ intent }) => intent) : undefined,
+      entities: piiRedactionService.maskValues(detection.entities, session.redaction)
+    });
+
+    // Check if we're waiting for specific entity
+    if (session.waitingForEntity && detection.entities[session.waitingForEntity]) {
+      // User provided the entity we were waiting for
+      logger.info('Received expected entity', { 
+        callId,
+        entity: session.waitingForEntity
+      });
+
+      // Cleared first: an invalid value makes the agent ask again right away
+      session.waitingForEntity = null;
+      session.keypad.cancel();
+
+      // Update active agent with new data
+      this.agentOrchestrator.updateAgent(callId, detection.entities);
+
+      // "12345, aur refund bhi chahiye": the other requests still get queued
+      if (!detection.intents) {
+        return;
+      }
+    }
+
+    // One agent per request, in the order asked, each after the previous
+    // one finished; all of them get the entities of the whole turn
+    const requests = (detection.intents || [detection]).map(({ intent, agentType, entities }) => ({
+      agentType,
+      intent,
+      data: { ...detection.entities, ...entities }
+    }));
+
+    try {
+      const { launched, queued, pending } = await this.agentOrchestrator.queueAgents(callId, requests);
+
+      if (launched) {
+        session.currentIntent = requests.find(({ agentType }) => agentType === launched).intent;
+        this.markLatency(session, 'agent_launched', { agentType: launched });
+      }
+      if (queued.length > 0) {
+        session.stsSession.updateContext(this.buildPendingPrompt(session.currentIntent || detection.intent, pending));
+      }
+    } catch (error) {
+      logger.error('Error launching agent', { 
+        callId,
+        error: error.message 
+      });
+
+      // Inform user of error
+      session.stsSession.updateContext(
+        'SYSTEM: Could not process request. Apologize: "Maaf kijiye, thodi problem aa rahi hai. Kuch aur madad kar sakti hoon?"'
+      );
+    }
+  }
+
+  /**
+   * Process incoming audio from Exotel
+   * @param {string} callId - Call identifier
+   * @param {Buffer} audioData - Audio chunk
+   */
+  processIncomingAudio(callId, audioData) {
+    const session = this.sessions.get(callId);
+
+    if (!session || !session.isActive) {
+      logger.warn('Cannot process audio, session not found or inactive', { 
+        callId 
+      });
+      return;
+    }
+
+    // Caller audio as received, for supervisors listening in
+    this.emit('audio_input', { callId, audioData });
+
+    // Taken over: the caller talks to the supervisor, not the model
+    if (session.supervisor) {
+      return;
+    }
+
+    const audio = session.audioPipeline ? session.audioPipeline.toModel(audioData) : audioData;
+    if (audio.length === 0) {
+      return;
+    }
+
+    // Send audio to STS
+    session.stsSession.sendAudio(audio);
+  }
+
+  /**
+   * Typed caller turn (conversation simulator)
+   * @param {string} callId - Call identifier
+   * @param {string} text - What the caller "said"
+   */
+  sendUserText(callId, text) {
+    const session = this.sessions.get(callId);
+
+    if (!session || !session.isActive) {
+      throw new Error('Session not found or inactive');
+    }
+
+    this.resetSessionTimeout(callId);
+    return session.stsSession.sendUserText(text);
+  }
+
+  /**
+   * Telephony media stream started (stream/call SIDs, audio format)
+   * @param {string} callId
+   * @param {object} stream - { provider, streamSid, callSid, mediaFormat, customParameters }
+   */
+  attachMediaStream(callId, stream) {
+    const session = this.sessions.get(callId);
+
+    if (!session) {
+      logger.warn('Cannot attach media stream, session not found', { callId });
+      return;
+    }
+
+    session.mediaStream = {
+      provider: stream.provider,
+      streamSid: stream.streamSid,
+      callSid: stream.callSid,
+      mediaFormat: stream.mediaFormat
+    };
+
+    // Transcode between the provider's format and the model's pcm16
+    session.audioPipeline = createCallAudioPipeline(stream.provider, stream.mediaFormat);
+    if (session.audioPipeline.warnings.length > 0) {
+      logger.warn('Media format negotiation fell back to defaults', {
+        callId,
+        warnings: session.audioPipeline.warnings
+      });
+    }
+
+    this.recordCallEvent(session, 'media_stream_started', {
+      ...session.mediaStream,
+      negotiatedFormat: session.audioPipeline.telephony,
+      customParameters: stream.customParameters || {}
+    });
+
+    // Count silence from when the caller's audio starts flowing
+    if (session.silence) {
+      session.silence.arm();
+    }
+  }
+
+  /**
+   * Keypad digit pressed by the caller
+   */
+  handleDtmf(callId, digit) {
+    const session = this.sessions.get(callId);
+
+    if (!session || !session.isActive || !digit) {
+      logger.warn('Cannot handle DTMF, session not found or inactive', { callId });
+      return;
+    }
+
+    this.resetSessionTimeout(callId);
+
+    // Keypad input may not get a spoken answer - keep counting from here
+    this.resetSilence(session);
+    if (session.silence) {
+      session.silence.arm();
+    }
+
+    // PIN/OTP digits are never stored or shown
+    if (session.keypad.isSecret()) {
+      session.dtmfDigits.push({ digit: null, masked: true, timestamp: Date.now() });
+      this.recordCallEvent(session, 'dtmf', { masked: true });
+      this.emit('dtmf', { callId, masked: true });
+    } else if (this.isRedactedKeypadEntry(session)) {
+      // A phone or order number typed key by key: stored once, redacted, with the entry
+      session.dtmfDigits.push({ digit, timestamp: Date.now() });
+      this.recordCallEvent(session, 'dtmf', { field: session.keypad.expected.field });
+      this.emit('dtmf', { callId, digit });
+    } else {
+      session.dtmfDigits.push({ digit, timestamp: Date.now() });
+      this.recordCallEvent(session, 'dtmf', { digit });
+      this.emit('dtmf', { callId, digit });
+    }
+
+    const entry = session.keypad.push(digit);
+    if (entry) {
+      this.handleKeypadEntry(session, entry);
+    }
+  }
+
+  /**
+   * Keys typed for a field value while the client redacts PII: the single
+   * keys are not stored, the finished entry is (masked)
+   */
+  isRedactedKeypadEntry(session) {
+    const expected = session.keypad.expected;
+    return Boolean(expected && expected.kind === 'entity' && session.redaction && session.redaction.enabled);
+  }
+
+  /**
+   * Field value the keypad is collecting, if the field can be typed
+   * @returns {string} Hint for the model on how the customer can enter it ('' if spoken only)
+   */
+  expectKeypadEntity(session, field) {
+    if (!session.keypad.expectEntity(field)) {
+      return '';
+    }
+
+    return session.keypad.isSecret()
+      ? ' Ask the customer to type it on their phone keypad and press # - never ask them to say it aloud.'
+      : ' The customer can also type it on their phone keypad and press #.';
+  }
+
+  /**
+   * Finished keypad entry: a field value for the waiting agent, or the
+   * answer to a "press 1 to confirm" prompt
+   */
+  handleKeypadEntry(session, entry) {
+    const { callId } = session;
+
+    if (entry.kind === 'confirm') {
+      logger.info('Keypad confirmation', { callId, agentType: entry.agentType, confirmed: entry.confirmed });
+      this.recordCallEvent(session, 'dtmf_confirmation', { agent_type: entry.agentType, confirmed: entry.confirmed });
+      this.emit('keypad_input', { callId, kind: 'confirm', confirmed: entry.confirmed });
+
+      session.stsSession.updateContext(entry.confirmed
+        ? 'SYSTEM: The customer pressed 1 to confirm. Going ahead - wait for the result.'
+        : 'SYSTEM: The customer pressed 2 to cancel.');
+      session.keypadResumed = true;
+      if (!this.agentOrchestrator.confirmAgent(callId, entry.confirmed)) {
+        session.keypadResumed = false;
+      }
+      return;
+    }
+
+    const { field, value, secret } = entry;
+    session.waitingForEntity = null;
+
+    // Supervisors and other nodes get it masked, like the call event
+    const redactedValue = piiRedactionService.mask(value, session.redaction);
+    logger.info('Keypad entry', { callId, field, digits: value.length });
+    this.recordCallEvent(session, 'dtmf_entry', secret ? { field, masked: true } : { field, value: redactedValue });
+    this.emit('keypad_input', { callId, kind: 'entity', field, ...(secret ? { masked: true } : { value: redactedValue }) });
+
+    if (!secret) {
+      session.collectedEntities[field] = value;
+    }
+
+    const contextUpdate = secret
+      ? `SYSTEM: The customer typed their ${field} on the keypad. It has been passed on for verification - never repeat it or ask for it aloud.`
+      : `SYSTEM: The customer typed the ${field} on the keypad: ${value}. It has been passed on - wait for the result.`;
+
+    const agent = this.agentOrchestrator.getAgent(callId);
+    if (!agent) {
+      // Nothing waiting for it any more - let the model take it from here
+      session.stsSession.updateContext(contextUpdate, true);
+      return;
+    }
+
+    // The agent asks for whatever is still missing (or invalid) itself
+    session.stsSession.updateContext(contextUpdate);
+    session.keypadResumed = true;
+    this.agentOrchestrator.updateAgent(callId, { [field]: value });
+  }
+
+  /**
+   * Spoken answer to a pending "confirm or cancel" question
+   * @returns {boolean} true if the transcript was the answer (no intent detection then)
+   */
+  handleSpokenConfirmation(session, transcript) {
+    const expected = session.keypad.expected;
+    if (!expected || expected.kind !== 'confirm') {
+      return false;
+    }
+
+    const confirmed = parseConfirmation(transcript);
+    if (confirmed === null) {
+      return false;
+    }
+
+    const { callId } = session;
+    logger.info('Spoken confirmation', { callId, agentType: expected.agentType, confirmed });
+    this.recordCallEvent(session, 'confirmation_received', { agent_type: expected.agentType, confirmed, via: 'speech' });
+
+    session.keypad.cancel();
+    session.stsSession.updateContext(confirmed
+      ? 'SYSTEM: The customer said yes. Going ahead - wait for the result.'
+      : 'SYSTEM: The customer said no.');
+    // The result comes after the caller's turn was answered: it is spoken on its own
+    session.keypadResumed = true;
+    if (!this.agentOrchestrator.confirmAgent(callId, confirmed)) {
+      session.keypadResumed = false;
+    }
+    return true;
+  }
+
+  /**
+   * Values to confirm, read out one character at a time ("5 5 5") so the
+   * customer hears exactly what will be used
+   */
+  readBackValues(values = {}) {
+    const entries = Object.entries(values);
+    if (entries.length === 0) {
+      return '';
+    }
+
+    const spoken = entries.map(([field, value]) => `${field} ${String(value).split('').join(' ')}`);
+    return `. Read back ${spoken.join(', ')} character by character`;
+  }
+
+  /**
+   * Provider confirmed assistant audio up to a mark has played
+   * Mark names are "<itemId>:<ms of the item framed so far>"
+   */
+  handlePlaybackMark(callId, name) {
+    const session = this.sessions.get(callId);
+
+    if (!session) {
+      return;
+    }
+
+    session.lastPlayedMark = name;
+
+    const separator = name ? name.lastIndexOf(':') : -1;
+    if (separator > 0 && session.playback && session.playback.itemId === name.slice(0, separator)) {
+      const playedMs = Number(name.slice(separator + 1));
+      if (Number.isFinite(playedMs)) {
+        session.playback.playedMs = Math.max(session.playback.playedMs, playedMs);
+      }
+    }
+
+    this.emit('playback_mark', { callId, name });
+  }
+
+  /**
+   * Playback state for the assistant audio item being streamed
+   */
+  trackPlayback(session, itemId = null) {
+    if (!session.playback || (itemId && session.playback.itemId !== itemId)) {
+      session.playback = {
+        itemId,
+        framedMs: 0, // audio handed to the provider
+        markedMs: 0, // audio covered by the last mark sent
+        playedMs: 0, // audio the provider confirmed as played
+        startedAt: Date.now()
+      };
+    }
+    return session.playback;
+  }
+
+  getPlaybackMarkName(playback) {
+    playback.markedMs = playback.framedMs;
+    return `${playback.itemId}:${Math.floor(playback.framedMs)}`;
+  }
+
+  getOutputFormat(session) {
+    return session.audioPipeline ? session.audioPipeline.telephony : MODEL_AUDIO_FORMAT;
+  }
+
+  /**
+   * Milliseconds of the current assistant item the caller has heard.
+   * Media streams report it through marks; raw streams are estimated from
+   * wall-clock time since the first audio chunk.
+   */
+  getPlayedMs(session) {
+    const playback = session.playback;
+    if (!playback) {
+      return 0;
+    }
+
+    const played = session.mediaStream
+      ? playback.playedMs
+      : Date.now() - playback.startedAt;
+
+    return Math.min(played, playback.framedMs);
+  }
+
+  isAssistantSpeaking(session) {
+    if (!session.playback) {
+      return false;
+    }
+    return Boolean(session.stsSession.activeResponse) || this.getPlayedMs(session) < session.playback.framedMs;
+  }
+
+  /**
+   * Caller interrupted the assistant: stop generation, flush telephony
+   * audio and truncate the assistant item to what was actually played
+   */
+  handleBargeIn(session) {
+    const { callId } = session;
+    const playedMs = this.getPlayedMs(session);
+
+    if (session.audioPipeline) {
+      session.audioPipeline.clearTelephony();
+    }
+    this.emit('audio_clear', { callId });
+
+    const result = session.stsSession.interrupt({ audioEndMs: playedMs });
+    session.playback = null;
+
+    // Transcript already stored - mark it; otherwise STSSession trims it on arrival
+    const entry = result.itemId && session.conversationHistory.find(
+      e => e.role === 'assistant' && e.itemId === result.itemId
+    );
+    if (entry && result.heardTranscript !== undefined) {
+      entry.fullContent = result.fullTranscript;
+      entry.content = result.heardTranscript;
+      entry.interrupted = true;
+      delete entry.redacted; // masked again from the heard part when stored
+    }
+
+    logger.info('Caller barged in', { callId, itemId: result.itemId, playedMs: result.audioEndMs, sentMs: result.sentMs });
+
+    this.recordCallEvent(session, 'barge_in', {
+      item_id: result.itemId,
+      audio_end_ms: result.audioEndMs,
+      sent_ms: result.sentMs,
+      cancelled: result.cancelled,
+      truncated: result.truncated
+    });
+    this.emit('barge_in', { callId, ...result });
+  }
+
+  /**
+   * Supervisor instruction the caller doesn't hear, injected as context
+   * @param {string} callId
+   * @param {string} text
+   */
+  whisper(callId, text) {
+    const session = this.sessions.get(callId);
+
+    if (!session || !session.isActive) {
+      throw new Error('Session not found or inactive');
+    }
+
+    session.stsSession.updateContext(`SUPERVISOR INSTRUCTION (do not mention it to the customer): ${text}`);
+    this.recordCallEvent(session, 'supervisor_whisper', { text });
+    this.emit('supervisor_whisper', { callId, text });
+  }
+
+  /**
+   * Human supervisor takes the call: the model is cut off mid-response,
+   * caller audio stops going to it and its audio is no longer played.
+   * @param {string} callId
+   * @param {object} supervisor - { userId }
+   */
+  async takeOver(callId, supervisor) {
+    const session = this.sessions.get(callId);
+
+    if (!session || !session.isActive) {
+      throw new Error('Session not found or inactive');
+    }
+    if (session.supervisor) {
+      throw new Error('Call already taken over');
+    }
+
+    session.supervisor = { userId: supervisor.userId, since: Date.now() };
+
+    // Silence the assistant right away
+    if (session.audioPipeline) {
+      session.audioPipeline.clearTelephony();
+    }
+    this.emit('audio_clear', { callId });
+    session.stsSession.interrupt({ audioEndMs: this.getPlayedMs(session) });
+    session.playback = null;
+
+    // Nothing left for the model to answer
+    session.pendingToolCall = null;
+    await this.agentOrchestrator.cancelAgent(callId);
+
+    logger.info('Call taken over by supervisor', { callId, userId: supervisor.userId });
+    this.recordCallEvent(session, 'supervisor_takeover', { user_id: supervisor.userId });
+    this.emit('supervisor_takeover', { callId, userId: supervisor.userId });
+  }
+
+  /**
+   * Supervisor hands the call back to the model
+   * @param {string} callId
+   * @param {string} note - What happened while the supervisor had the call
+   */
+  handBack(callId, note = null) {
+    const session = this.sessions.get(callId);
+
+    if (!session || !session.isActive) {
+      throw new Error('Session not found or inactive');
+    }
+    if (!session.supervisor) {
+      throw new Error('Call is not taken over');
+    }
+
+    const { userId, since } = session.supervisor;
+    session.supervisor = null;
+
+    session.stsSession.updateContext(
+      `SYSTEM: A human supervisor spoke with the customer and has handed the call back to you.${note ? ` Supervisor note: ${note}` : ''} Continue helping the customer.`
+    );
+
+    logger.info('Call handed back by supervisor', { callId, userId });
+    this.recordCallEvent(session, 'supervisor_handback', { user_id: userId, duration_ms: Date.now() - since });
+    this.emit('supervisor_handback', { callId, userId });
+  }
+
+  /**
+   * Supervisor speech to the caller (telephony format) while taken over
+   */
+  sendSupervisorAudio(callId, userId, audioData) {
+    const session = this.sessions.get(callId);
+
+    if (!session || !session.isActive || !session.supervisor || session.supervisor.userId !== userId) {
+      return false;
+    }
+
+    this.emit('audio_output', { callId, audioData, mark: null, source: 'supervisor' });
+    return true;
+  }
+
+  /**
+   * Warm transfer to a human team member: the caller is asked to hold while
+   * the team member gets the screen pop and the provider connects the call.
+   * If nobody can take it the caller is offered voicemail or a callback.
+   * @param {string} callId
+   * @param {object} escalation - { reason, agentType }
+   * @returns {object} session.transfer
+   */
+  async transferToHuman(callId, { reason = null, agentType = null } = {}) {
+    const session = this.sessions.get(callId);
+
+    if (!session || !session.isActive) {
+      throw new Error('Session not found or inactive');
+    }
+    // One transfer at a time; a failed one can be retried
+    if (session.transfer && session.transfer.status !== 'failed') {
+      return session.transfer;
+    }
+
+    session.transfer = { status: 'pending', reason, agentType, startedAt: Date.now() };
+
+    const holdMessage = 'Tell the customer you are connecting them to a team member and ask them to stay on the line. Say in Hindi: "Ek minute sir, main aapko hamari team se connect kar rahi hoon. Kripya line par bane rahiye."';
+    if (!this.respondToToolCall(session, { success: false, status: 'transferring', message: holdMessage })) {
+      session.stsSession.updateContext(`SYSTEM: ${holdMessage}`);
+    }
+
+    logger.info('Transferring call to team member', { callId, reason, agentType });
+    this.recordCallEvent(session, 'transfer_requested', { reason, agent_type: agentType });
+    this.emit('transfer_started', { callId, reason, agentType });
+
+    // Replays write nothing and have no phone call behind them
+    const result = session.persist
+      ? await escalationService.warmTransfer({
+        callId,
+        callData: session.callData,
+        conversationHistory: session.conversationHistory.map(entry => ({
+          ...entry,
+          content: this.getRedactedContent(session, entry)
+        })),
+        intents: session.intents,
+        entities: piiRedactionService.maskValues(session.collectedEntities, session.redaction),
+        reason,
+        agentType
+      })
+      : { success: false, transferId: null, fallback: 'callback', error: 'Replayed call' };
+
+    // Call ended while the transfer was being placed
+    if (!session.isActive) {
+      return session.transfer;
+    }
+
+    if (result.success) {
+      session.transfer = {
+        ...session.transfer,
+        status: 'transferred',
+        transferId: result.transferId,
+        teamMemberId: result.teamMemberId
+      };
+      this.recordCallEvent(session, 'transfer_completed', {
+        transfer_id: result.transferId,
+        team_member_id: result.teamMemberId,
+        provider: result.provider
+      });
+      this.emit('call_transferred', { callId, transferId: result.transferId, teamMemberId: result.teamMemberId });
+
+      // Provider continues the transfer once our stream is gone (Exotel flow)
+      if (result.endStream) {
+        this.emit('stream_end', { callId });
+      }
+      return session.transfer;
+    }
 
-      // Update STS to inform user of error
-      const contextUpdate = `SYSTEM: Technical issue occurred. Apologize to user and offer to create a support ticket. Say in Hindi: "Maaf kijiye sir, thoda technical issue aa raha hai. Main aapka ticket create kar deti hoon, team 24 ghante mein contact karegi."`;
-      session.stsSession.updateContext(contextUpdate);
+    session.transfer = {
+      ...session.transfer,
+      status: 'failed',
+      transferId: result.transferId,
+      fallback: result.fallback
+    };
+    session.stsSession.updateContext(TRANSFER_FALLBACK_PROMPTS[result.fallback]);
+    this.recordCallEvent(session, 'transfer_failed', {
+      transfer_id: result.transferId,
+      fallback: result.fallback,
+      error: result.error
     });
+    this.emit('transfer_failed', { callId, fallback: result.fallback, error: result.error });
+    return session.transfer;
+  }
 
-    // Agent cancelled
-    this.agentOrchestrator.on('agent_cancelled', (data) => {
-      if (data.callId !== callId) return;
+  /**
+   * Caller spoke or pressed a key - the reprompt count starts over
+   */
+  resetSilence(session) {
+    if (session.silence) {
+      session.silence.reset();
+    }
+  }
 
-      logger.info('Agent cancelled', { 
-        callId,
-        agentType: data.agentType 
-      });
+  /**
+   * Silence that isn't dead air: the caller is listening, waiting on an
+   * agent or talking to a human
+   */
+  isSilenceExpected(session) {
+    return Boolean(session.supervisor) ||
+      Boolean(session.transfer && session.transfer.status !== 'failed') ||
+      Boolean(session.pendingToolCall) ||
+      this.agentOrchestrator.isAgentBusy(session.callId) ||
+      this.isAssistantSpeaking(session);
+  }
 
-      session.currentIntent = null;
-      session.waitingForEntity = null;
-    });
+  /**
+   * Response instructions for a silence prompt in the call's language
+   * @param {string} kind - 'reprompt' or 'goodbye'
+   */
+  buildSilencePrompt(session, kind) {
+    return this.buildSpokenPrompt(session, SILENCE_PROMPTS[kind]);
   }
 
   /**
-   * Handle detected intent
+   * One-off system prompt ({ instructions, hindi }) in the call's language
    */
-  async handleIntent(session, detection) {
+  buildSpokenPrompt(session, prompt) {
+    const language = (session.persona && session.persona.language) || 'hi';
+    const instructions = `${prompt.instructions} Speak in ${LANGUAGE_NAMES[language] || language}.`;
+
+    return language === 'hi' ? `${instructions} Say in Hindi: "${prompt.hindi}"` : instructions;
+  }
+
+  repromptSilentCaller(session, attempt) {
     const { callId } = session;
 
-    // Handle cancellation
-    if (detection.shouldCancelAgent) {
-      logger.info('User requested cancellation', { callId });
-      
-      // Cancel active agent
-      await this.agentOrchestrator.cancelAgent(callId);
-      
-      // Update context
-      session.stsSession.updateContext(
-        'SYSTEM: User cancelled the action. Acknowledge politely: "Ji sir, koi baat nahi. Kuch aur batayiye?"'
-      );
-      return;
-    }
+    logger.info('Caller silent, reprompting', { callId, attempt });
+    session.stsSession.prompt(this.buildSilencePrompt(session, 'reprompt'));
+    this.recordCallEvent(session, 'silence_reprompt', { attempt });
+    this.emit('silence_reprompt', { callId, attempt });
+  }
 
-    // Normal chat - no agent needed
-    if (!detection.requiresAgent) {
-      logger.debug('Normal conversation, no agent needed', { 
-        callId,
-        intent: detection.intent 
-      });
-      return; // STS handles conversation naturally
-    }
+  async hangUpSilentCall(session, reprompts) {
+    logger.info('Caller silent after reprompts, ending call', { callId: session.callId, reprompts });
+    this.recordCallEvent(session, 'silence_hangup', { reprompts });
 
-    // Agent-triggering intent detected
-    logger.info('Launching agent', { 
-      callId,
-      intent: detection.intent,
-      agentType: detection.agentType,
-      entities: detection.entities 
+    await this.hangUp(session.callId, {
+      disposition: 'no_response',
+      goodbye: this.buildSilencePrompt(session, 'goodbye')
     });
+  }
 
-    session.currentIntent = detection.intent;
+  /**
+   * Post-call job: structured summary and disposition, stored on the call
+   * (calls.summary). Runs after the session has ended so the call end never
+   * waits on the summary model.
+   */
+  scheduleCallSummary(session, duration) {
+    const context = {
+      callId: session.callId,
+      clientId: session.callData && session.callData.client_id,
+      transcript: session.conversationHistory
+        .filter(entry => entry.role === 'user' || entry.role === 'assistant')
+        .map(entry => ({ role: entry.role, text: this.getRedactedContent(session, entry) })),
+      intents: [...new Set(session.intents.map(entry => entry.intent).filter(Boolean))],
+      outcomes: session.agentOutcomes,
+      transfer: session.transfer,
+      disposition: session.disposition,
+      durationSeconds: duration
+    };
+
+    const job = new Promise(resolvePromise => setImmediate(resolvePromise))
+      .then(() => callSummaryService.summarizeCall(context))
+      .then((summary) => {
+        if (summary) {
+          this.emit('call_summarized', { callId: context.callId, summary });
+        }
+      })
+      .finally(() => this.summaryJobs.delete(job));
+    this.summaryJobs.add(job);
+  }
 
-    // Check if we're waiting for specific entity
-    if (session.waitingForEntity && detection.entities[session.waitingForEntity]) {
-      // User provided the entity we were waiting for
-      logger.info('Received expected entity', { 
-        callId,
-        entity: session.waitingForEntity,
-        value: detection.entities[session.waitingForEntity] 
-      });
+  /**
+   * Provider carrying the call's phone leg (null for typed sessions)
+   */
+  getTelephonyProvider(session) {
+    if (session.textMode) {
+      return null;
+    }
+    return (session.mediaStream && session.mediaStream.provider) ||
+      (session.callData && session.callData.provider) ||
+      null;
+  }
 
-      // Update active agent with new data
-      this.agentOrchestrator.updateAgent(callId, detection.entities);
-      session.waitingForEntity = null;
+  /**
+   * Record what the call was charged and what it cost (call_charges, call_billing)
+   */
+  async saveCallCharges(session, { duration, chargeAmount, usage }) {
+    const { callId, callData } = session;
+    if (!callData || !callData.client_id) {
       return;
     }
 
-    // Launch new agent
     try {
-      await this.agentOrchestrator.launchAgent(
+      await db.callCharges.record({
+        call_id: callId,
+        client_id: callData.client_id,
+        sector: callData.sector,
+        start_time: new Date(session.startTime),
+        end_time: new Date(),
+        duration_seconds: duration,
+        rate_per_minute: CHARGE_PER_MINUTE,
+        total_amount: chargeAmount,
+        status: session.disposition || (session.transfer ? 'escalated' : 'completed'),
+        escalated: Boolean(session.transfer),
+        usage
+      });
+
+      logger.info('Call cost recorded', {
         callId,
-        detection.agentType,
-        detection.entities
-      );
+        aiCost: usage.ai_cost,
+        telephonyCost: usage.telephony_cost,
+        totalCost: usage.total_cost,
+        responses: usage.responses
+      });
     } catch (error) {
-      logger.error('Error launching agent', { 
+      logger.error('Error recording call charges', {
         callId,
-        error: error.message 
+        error: error.message
       });
-
-      // Inform user of error
-      session.stsSession.updateContext(
-        'SYSTEM: Could not process request. Apologize: "Maaf kijiye, thodi problem aa rahi hai. Kuch aur madad kar sakti hoon?"'
-      );
     }
   }
 
   /**
-   * Process incoming audio from Exotel
-   * @param {string} callId - Call identifier
-   * @param {Buffer} audioData - Audio chunk
+   * End the call from our side: say goodbye, hang up through the provider
+   * and end the session. The disposition is saved with the call.
+   * @param {string} callId
+   * @param {object} options - { disposition, goodbye: instructions for the last response }
    */
-  processIncomingAudio(callId, audioData) {
+  async hangUp(callId, { disposition = null, goodbye = null } = {}) {
     const session = this.sessions.get(callId);
 
     if (!session || !session.isActive) {
-      logger.warn('Cannot process audio, session not found or inactive', { 
-        callId 
-      });
       return;
     }
 
-    // Send audio to STS
-    session.stsSession.sendAudio(audioData);
+    if (session.silence) {
+      session.silence.stop();
+    }
+    session.disposition = disposition;
+
+    if (goodbye && session.stsSession.prompt(goodbye)) {
+      await this.waitForGoodbye(session);
+    }
+
+    // Caller hung up during the goodbye
+    if (!session.isActive) {
+      return;
+    }
+
+    const callSid = session.callData && session.callData.call_sid;
+    if (session.persist && callSid) {
+      try {
+        await this.getTelephonyRouter().endCall(session.callData.client_id, callSid);
+      } catch (error) {
+        // Closing the stream below still ends the call flow
+        logger.warn('Provider hangup failed', { callId, error: error.message });
+      }
+    }
+
+    logger.info('Call hung up', { callId, disposition });
+    this.emit('call_hangup', { callId, disposition });
+
+    await this.endSession(callId);
+    this.emit('stream_end', { callId });
+  }
+
+  /**
+   * Resolves once the goodbye response is done and its audio has played
+   * (or after GOODBYE_TIMEOUT_MS)
+   */
+  waitForGoodbye(session) {
+    const { stsSession } = session;
+
+    return new Promise((resolvePromise) => {
+      let timer = null;
+      const onDone = () => {
+        clearTimeout(timer);
+        const remainingMs = session.playback
+          ? session.playback.framedMs - this.getPlayedMs(session)
+          : 0;
+        setTimeout(resolvePromise, Math.min(Math.max(remainingMs, 0), GOODBYE_TIMEOUT_MS));
+      };
+
+      timer = setTimeout(() => {
+        stsSession.removeListener('response_done', onDone);
+        resolvePromise();
+      }, GOODBYE_TIMEOUT_MS);
+      stsSession.once('response_done', onDone);
+    });
+  }
+
+  /**
+   * Loaded on the first hangup, like in escalationService: the provider SDKs
+   * and the router's health check loop aren't needed otherwise
+   */
+  getTelephonyRouter() {
+    return require(resolve('services/telephonyRouter'));
   }
 
   /**
@@ -409,6 +2074,11 @@ class CallSessionManager extends EventEmitter {
       return;
     }
 
+    // Already ending (our hangup racing the provider's stream stop)
+    if (!session.isActive) {
+      return;
+    }
+
     try {
       logger.info('Ending call session', { callId, isTimeout });
 
@@ -422,9 +2092,14 @@ class CallSessionManager extends EventEmitter {
         await session.stsSession.stop();
       }
 
+      // Flush the recorded event stream and upload its audio
+      if (session.eventRecorder) {
+        await session.eventRecorder.finish();
+      }
+
       // Save final transcript
       const fullTranscript = session.conversationHistory
-        .map(t => `${t.role}: ${t.content}`)
+        .map(t => `${t.role}: ${this.getRedactedContent(session, t)}${t.interrupted ? ' [interrupted]' : ''}`)
         .join('\n');
 
       // Calculate call duration
@@ -432,7 +2107,7 @@ class CallSessionManager extends EventEmitter {
 
       // Upload recording to Wasabi if available
       let recordingUrl = null;
-      if (session.audioBuffer && session.audioBuffer.length > 0) {
+      if (session.persist && session.audioBuffer && session.audioBuffer.length > 0) {
         try {
           recordingUrl = await wasabiStorage.uploadCallRecording(
             callId,
@@ -455,21 +2130,40 @@ class CallSessionManager extends EventEmitter {
 
       // Calculate charges
       const durationMinutes = duration / 60;
-      const chargeAmount = durationMinutes * 30; // ₹30/minute
+      const isSimulated = Boolean(session.callData && session.callData.is_simulated);
+      const chargeAmount = isSimulated ? 0 : durationMinutes * CHARGE_PER_MINUTE;
+
+      // What the call really cost: model tokens + telephony minutes
+      const usage = session.usage
+        ? session.usage.summary({ durationSeconds: duration, provider: this.getTelephonyProvider(session) })
+        : null;
+
+      if (session.persist) {
+        await db.calls.update(callId, {
+          transcript_full: fullTranscript,
+          end_ts: new Date(),
+          duration_seconds: duration,
+          recording_url: recordingUrl,
+          charge_amount: chargeAmount,
+          language: session.language,
+          ...(usage ? { call_cost: usage.total_cost } : {}),
+          ...(session.disposition ? { disposition: session.disposition } : {})
+        });
 
-      await db.calls.update(callId, {
-        transcript_full: fullTranscript,
-        end_ts: new Date(),
-        duration_seconds: duration,
-        recording_url: recordingUrl,
-        charge_amount: chargeAmount
-      });
+        if (usage) {
+          await this.saveCallCharges(session, { duration, chargeAmount, usage });
+        }
+
+        this.scheduleCallSummary(session, duration);
+      }
 
       // Clean up session resources
       this.cleanupSession(session);
 
       // Remove session
       this.sessions.delete(callId);
+      await this.unregisterSession(session);
+      this.emit('session_ended', { callId });
 
       logger.info('Call session ended successfully', { 
         callId,
@@ -484,6 +2178,8 @@ class CallSessionManager extends EventEmitter {
       // Ensure cleanup happens even on error
       this.cleanupSession(session);
       this.sessions.delete(callId);
+      await this.unregisterSession(session);
+      this.emit('session_ended', { callId });
     }
   }
 
@@ -501,6 +2197,311 @@ class CallSessionManager extends EventEmitter {
     return this.sessions.size;
   }
 
+  /**
+   * How long calls in progress may go on when the node shuts down
+   * (CALL_DRAIN_TIMEOUT_SECONDS, default 60s)
+   */
+  getDrainTimeoutMs() {
+    const seconds = Number(process.env.CALL_DRAIN_TIMEOUT_SECONDS);
+    return (Number.isFinite(seconds) && seconds >= 0 ? seconds : CALL_DRAIN_TIMEOUT_SECONDS) * 1000;
+  }
+
+  /**
+   * Node is shutting down (deploy, scale-in): take no new calls, let the
+   * calls in progress finish until the deadline, then wrap up the rest
+   * politely with a callback request for each. Resolves once every session
+   * has ended and its post-call summary is stored.
+   * @param {object} options - { timeoutMs } (default getDrainTimeoutMs())
+   * @returns {object} { finished, wrappedUp }
+   */
+  async drain({ timeoutMs = this.getDrainTimeoutMs() } = {}) {
+    this.draining = true;
+    const active = this.sessions.size;
+
+    logger.info('Draining call sessions', { active, timeoutMs });
+    this.emit('draining', { active, timeoutMs });
+
+    await this.waitForSessionsToEnd(timeoutMs);
+
+    const remaining = [...this.sessions.values()].filter(session => session.isActive);
+    await Promise.all(remaining.map(session => this.wrapUpForShutdown(session)));
+
+    // Anything the wrap-up couldn't end (stuck provider, no goodbye)
+    await Promise.all([...this.sessions.keys()].map(callId => this.endSession(callId)));
+    await Promise.all([...this.summaryJobs]);
+
+    logger.info('Call sessions drained', { finished: active - remaining.length, wrappedUp: remaining.length });
+    return { finished: active - remaining.length, wrappedUp: remaining.length };
+  }
+
+  /**
+   * Release everything the manager keeps running: end the sessions still
+   * open (their silence and session timers go with them), leave the
+   * session registry and stop the agent cleanup interval. For process
+   * exit and tests; the manager takes no calls afterwards.
+   */
+  async destroy() {
+    this.draining = true;
+    await Promise.all([...this.sessions.keys()].map(callId => this.endSession(callId)));
+    await Promise.all([...this.summaryJobs]);
+    await this.registry.stop();
+    this.agentOrchestrator.stopCleanup();
+  }
+
+  /**
+   * Resolves when no session is left, or after timeoutMs
+   */
+  waitForSessionsToEnd(timeoutMs) {
+    return new Promise((resolvePromise) => {
+      if (this.sessions.size === 0) {
+        resolvePromise();
+        return;
+      }
+
+      let timer = null;
+      const onEnded = () => {
+        if (this.sessions.size > 0) return;
+        clearTimeout(timer);
+        this.removeListener('session_ended', onEnded);
+        resolvePromise();
+      };
+
+      timer = setTimeout(() => {
+        this.removeListener('session_ended', onEnded);
+        resolvePromise();
+      }, timeoutMs);
+      this.on('session_ended', onEnded);
+    });
+  }
+
+  /**
+   * Deadline passed with the caller still on the line: save where the call
+   * got to for a callback, then say goodbye and hang up
+   */
+  async wrapUpForShutdown(session) {
+    const { callId } = session;
+
+    logger.warn('Wrapping up call for shutdown', { callId, intent: session.currentIntent });
+    this.recordCallEvent(session, 'shutdown_wrap_up', { intent: session.currentIntent });
+
+    if (session.persist && !(session.callData && session.callData.is_simulated)) {
+      await this.saveCallbackRequest(session, 'server_shutdown');
+    }
+
+    await this.hangUp(callId, {
+      disposition: 'callback_scheduled',
+      goodbye: this.buildSpokenPrompt(session, DRAIN_PROMPT)
+    });
+  }
+
+  /**
+   * Callback request (actions) with what the team needs to pick the call up
+   * again: what was asked, what was collected, what was in progress
+   */
+  async saveCallbackRequest(session, reason) {
+    const { callId, callData = {} } = session;
+
+    try {
+      await db.actions.create({
+        call_id: callId,
+        action_type: 'callback_request',
+        params: {
+          phone: callData.phone_from || null,
+          reason,
+          summary: escalationService.extractiveSummary(session.conversationHistory.map(entry => ({
+            ...entry,
+            content: this.getRedactedContent(session, entry)
+          }))),
+          intents: [...new Set(session.intents.map(entry => entry.intent).filter(Boolean))],
+          in_progress: session.currentIntent,
+          entities: piiRedactionService.maskValues(session.collectedEntities, session.redaction),
+          language: session.language
+        },
+        confidence: 1.0
+      });
+    } catch (error) {
+      logger.error('Error saving callback request', { callId, reason, error: error.message });
+    }
+  }
+
+  /**
+   * Add the call to the cluster-wide registry (replays aren't live calls)
+   */
+  async registerSession(session) {
+    if (!session.persist) {
+      return;
+    }
+
+    const { callId, callData = {} } = session;
+    try {
+      await this.registry.register(callId, {
+        clientId: callData.client_id || null,
+        phoneFrom: callData.phone_from || null,
+        startedAt: new Date(session.startTime).toISOString(),
+        language: session.language,
+        simulated: Boolean(callData.is_simulated || session.textMode)
+      });
+    } catch (error) {
+      // The call still works on this node, other nodes just don't see it
+      logger.warn('Could not register call session', { callId, error: error.message });
+    }
+  }
+
+  async unregisterSession(session) {
+    if (!session.persist) {
+      return;
+    }
+
+    try {
+      await this.registry.unregister(session.callId);
+    } catch (error) {
+      logger.warn('Could not unregister call session', { callId: session.callId, error: error.message });
+    }
+  }
+
+  /**
+   * Keep the registry entry current and relay live events to nodes
+   * following the call elsewhere (see watchLiveCall)
+   */
+  shareCallEvents() {
+    const eventNames = new Set([...SHARED_CALL_EVENTS, ...Object.keys(REGISTRY_UPDATES)]);
+
+    for (const eventName of eventNames) {
+      this.on(eventName, (data) => {
+        const session = this.sessions.get(data.callId);
+        if (!session || !session.persist) return;
+
+        if (SHARED_CALL_EVENTS.includes(eventName)) {
+          this.registry.publishCallEvent(data.callId, eventName, data);
+        }
+
+        const fields = REGISTRY_UPDATES[eventName] && REGISTRY_UPDATES[eventName](data);
+        if (fields) {
+          this.registry.update(data.callId, fields).catch((error) => {
+            logger.warn('Could not update call registry entry', { callId: data.callId, error: error.message });
+          });
+        }
+      });
+    }
+  }
+
+  /**
+   * Live calls on every node
+   * @param {object} filter - { clientId }
+   */
+  listLiveCalls(filter = {}) {
+    return this.registry.list(filter);
+  }
+
+  /**
+   * Registry entry of a live call on any node
+   */
+  getLiveCall(callId) {
+    return this.registry.get(callId);
+  }
+
+  /**
+   * Run a command on whichever node carries the call
+   * @param {string} callId
+   * @param {string} command - see runCallCommand
+   * @param {object} args
+   */
+  sendCallCommand(callId, command, args = {}) {
+    return this.registry.sendCommand(callId, command, args);
+  }
+
+  /**
+   * Follow a call carried by another node
+   * @param {string} callId
+   * @param {function} handler - ({ type, ... }) for SHARED_CALL_EVENTS and session_ended
+   * @returns {function} Stops following
+   */
+  watchLiveCall(callId, handler) {
+    return this.registry.watchCall(callId, handler);
+  }
+
+  /**
+   * Commands other nodes send for calls on this node
+   */
+  async runCallCommand(callId, command, args = {}) {
+    switch (command) {
+      case 'inspect':
+        return this.inspectSession(callId);
+      case 'whisper':
+        this.whisper(callId, args.text);
+        return null;
+      case 'hand_back':
+        this.handBack(callId, args.note || null);
+        return null;
+      case 'transfer':
+        return this.transferToHuman(callId, { reason: args.reason || null });
+      case 'end':
+        await this.hangUp(callId, { disposition: args.disposition || null });
+        return null;
+      default:
+        throw new Error(`Unknown call command: ${command}`);
+    }
+  }
+
+  /**
+   * What a supervisor sees of a live call
+   */
+  inspectSession(callId) {
+    const session = this.sessions.get(callId);
+
+    if (!session || !session.isActive) {
+      throw new Error('Session not found or inactive');
+    }
+
+    const { callData = {} } = session;
+    return {
+      id: callId,
+      client_id: callData.client_id || null,
+      phone_from: callData.phone_from || null,
+      started_at: new Date(session.startTime).toISOString(),
+      language: session.language,
+      current_intent: session.currentIntent,
+      transfer: session.transfer ? session.transfer.status : null,
+      takenOver: Boolean(session.supervisor),
+      transcript: session.conversationHistory.map(entry => ({
+        role: entry.role,
+        text: this.getRedactedContent(session, entry),
+        ...(entry.interrupted ? { interrupted: true } : {}),
+        timestamp: entry.timestamp
+      }))
+    };
+  }
+
+  /**
+   * A node died with this call on it. The caller's media stream went with
+   * it, so the call can't go on: it is closed here and leaves the registry.
+   * @param {object} entry - Registry entry, now owned by this node
+   */
+  async closeOrphanedCall(entry) {
+    const { callId } = entry;
+    const startedAt = Date.parse(entry.startedAt);
+
+    logger.warn('Closing call left by a lost node', { callId, lostNodeId: entry.claimedFrom });
+
+    try {
+      await db.calls.update(callId, {
+        end_ts: new Date(),
+        ...(Number.isFinite(startedAt) ? { duration_seconds: Math.floor((Date.now() - startedAt) / 1000) } : {})
+      });
+      await db.callEvents.create({
+        call_id: callId,
+        client_id: entry.clientId,
+        event_type: 'node_lost',
+        payload: { node_id: entry.claimedFrom, closed_by: this.registry.nodeId }
+      });
+      await this.registry.unregister(callId);
+    } catch (error) {
+      logger.error('Error closing orphaned call', { callId, error: error.message });
+    }
+
+    this.emit('call_orphaned', { callId, nodeId: entry.claimedFrom });
+  }
+
   /**
    * Reset session timeout (30 min inactivity cleanup)
    */
@@ -526,14 +2527,34 @@ class CallSessionManager extends EventEmitter {
     if (!session) return;
 
     try {
+      // Detach orchestrator listeners for this call
+      for (const { eventName, handler } of session.agentListeners || []) {
+        this.agentOrchestrator.removeListener(eventName, handler);
+      }
+      session.agentListeners = [];
+
       // Stop STS session
       if (session.stsSession) {
         session.stsSession.removeAllListeners();
-        if (session.stsSession.ws) {
-          session.stsSession.ws.close();
+        if (session.stsSession.backend) {
+          session.stsSession.stop();
         }
       }
 
+      if (session.silence) {
+        session.silence.stop();
+      }
+
+      // Last turn has no following speech to close it
+      if (session.latency) {
+        session.latency.finishTurn();
+      }
+
+      // Session ended abnormally - still save what was recorded
+      if (session.eventRecorder && !session.eventRecorder.finished) {
+        session.eventRecorder.finish();
+      }
+
       // Limit conversation history to prevent memory leaks
       if (session.conversationHistory.length > MAX_HISTORY_MESSAGES) {
         session.conversationHistory = session.conversationHistory.slice(-MAX_HISTORY_MESSAGES);
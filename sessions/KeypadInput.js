@@ -0,0 +1,108 @@
+// sessions/KeypadInput.js - DTMF entry for one call
+
+// Agent fields a caller can type: ids, numbers, phone, PIN/OTP, postal codes
+const KEYPAD_FIELD_PATTERN = /(^|_)(id|number|phone|pin|mpin|otp|cvv|zip|code|reference)$/;
+// Typed but never spoken back, logged or shown to the model
+const SECRET_FIELD_PATTERN = /(^|_)(pin|mpin|otp|cvv)$/;
+// "Press 1 to confirm, 2 to cancel"
+const CONFIRM_KEYS = { 1: true, 2: false };
+// Longest entry accepted without a '#'
+const MAX_DIGITS = 20;
+
+/**
+ * What the session expects from the caller's keypad, and the digits typed
+ * so far:
+ * - entity: digits for the field an agent is waiting on, ended with '#'
+ *   ('*' clears what was typed)
+ * - confirm: a single key, 1 to go ahead or 2 to cancel
+ * Keys pressed while nothing is expected are ignored here.
+ */
+class KeypadInput {
+  constructor(callId) {
+    this.callId = callId;
+    this.expected = null; // { kind: 'entity', field, secret } or { kind: 'confirm', agentType }
+    this.digits = '';
+  }
+
+  static acceptsField(field) {
+    return KEYPAD_FIELD_PATTERN.test(field || '');
+  }
+
+  static isSecretField(field) {
+    return SECRET_FIELD_PATTERN.test(field || '');
+  }
+
+  /**
+   * Collect digits for an agent field
+   * @returns {boolean} false if the field can't be typed on a keypad
+   */
+  expectEntity(field) {
+    if (!KeypadInput.acceptsField(field)) {
+      return false;
+    }
+    this.expected = { kind: 'entity', field, secret: KeypadInput.isSecretField(field) };
+    this.digits = '';
+    return true;
+  }
+
+  expectConfirmation(agentType = null) {
+    this.expected = { kind: 'confirm', agentType };
+    this.digits = '';
+  }
+
+  cancel() {
+    this.expected = null;
+    this.digits = '';
+  }
+
+  /**
+   * Digits being typed must not be recorded (PIN, OTP)
+   */
+  isSecret() {
+    return Boolean(this.expected && this.expected.secret);
+  }
+
+  /**
+   * Handle one key
+   * @param {string} digit - 0-9, * or #
+   * @returns {object|null} Finished entry: { kind: 'entity', field, value, secret }
+   *   or { kind: 'confirm', agentType, confirmed }
+   */
+  push(digit) {
+    const expected = this.expected;
+    if (!expected) {
+      return null;
+    }
+
+    if (expected.kind === 'confirm') {
+      if (CONFIRM_KEYS[digit] === undefined) {
+        return null;
+      }
+      this.cancel();
+      return { kind: 'confirm', agentType: expected.agentType, confirmed: CONFIRM_KEYS[digit] };
+    }
+
+    if (digit === '*') {
+      this.digits = '';
+      return null;
+    }
+    if (digit === '#') {
+      return this.digits ? this.finishEntity() : null;
+    }
+    if (!/^[0-9]$/.test(digit)) {
+      return null;
+    }
+
+    this.digits += digit;
+    return this.digits.length >= MAX_DIGITS ? this.finishEntity() : null;
+  }
+
+  finishEntity() {
+    const { field, secret } = this.expected;
+    const value = this.digits;
+    this.cancel();
+    return { kind: 'entity', field, value, secret };
+  }
+}
+
+module.exports = KeypadInput;
@@ -0,0 +1,97 @@
+// sessions/SilenceMonitor.js - Dead-air timer for one call
+
+// Seconds of caller silence before a reprompt, and reprompts before hanging up
+const DEFAULT_TIMEOUT_SECONDS = 8;
+const DEFAULT_MAX_REPROMPTS = 2;
+
+/**
+ * Counts caller silence from the moment the assistant has finished its
+ * turn (and from the start of the call, so a caller who never speaks is
+ * caught too). Each timeout is either a reprompt or, once maxReprompts have gone
+ * unanswered, the hangup. Caller speech stops the timer and resets the
+ * count; the next finished assistant turn starts it again.
+ *
+ * isBusy() is checked when the timer fires: while the assistant is still
+ * playing, an agent is working or a human has the call, silence is
+ * expected and the timer simply starts over.
+ */
+class SilenceMonitor {
+  /**
+   * @param {string} callId
+   * @param {object} options - { timeoutMs, maxReprompts, isBusy(),
+   *   onReprompt(attempt), onHangup(reprompts) }
+   */
+  constructor(callId, options = {}) {
+    this.callId = callId;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_SECONDS * 1000;
+    this.maxReprompts = options.maxReprompts !== undefined ? options.maxReprompts : DEFAULT_MAX_REPROMPTS;
+    this.isBusy = options.isBusy || (() => false);
+    this.onReprompt = options.onReprompt || (() => {});
+    this.onHangup = options.onHangup || (() => {});
+    this.reprompts = 0;
+    this.timer = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Assistant finished its turn - the caller is expected to answer
+   */
+  arm() {
+    if (this.stopped) {
+      return;
+    }
+    this.clearTimer();
+    this.timer = setTimeout(() => this.fire(), this.timeoutMs);
+  }
+
+  /**
+   * Caller spoke - nothing to count until the assistant answers
+   */
+  reset() {
+    this.clearTimer();
+    this.reprompts = 0;
+  }
+
+  /**
+   * No more silence handling for this call (hangup under way, call ended)
+   */
+  stop() {
+    this.clearTimer();
+    this.stopped = true;
+  }
+
+  fire() {
+    this.timer = null;
+    if (this.stopped) {
+      return;
+    }
+
+    if (this.isBusy()) {
+      this.arm();
+      return;
+    }
+
+    if (this.reprompts < this.maxReprompts) {
+      this.reprompts++;
+      this.onReprompt(this.reprompts);
+      // Normally re-armed when the reprompt finishes; this covers a reprompt that never plays
+      this.arm();
+      return;
+    }
+
+    this.stop();
+    this.onHangup(this.reprompts);
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+SilenceMonitor.DEFAULT_TIMEOUT_SECONDS = DEFAULT_TIMEOUT_SECONDS;
+SilenceMonitor.DEFAULT_MAX_REPROMPTS = DEFAULT_MAX_REPROMPTS;
+
+module.exports = SilenceMonitor;
@@ -0,0 +1,118 @@
+// sessions/TurnLatencyTracker.js - Stage timestamps for each caller turn
+
+// Stages in the order they normally happen within a turn
+const STAGES = [
+  'speech_stopped',
+  'transcript_completed',
+  'intent_detected',
+  'agent_launched',
+  'agent_completed',
+  'first_audio'
+];
+
+/**
+ * Tracks one call's turns. A turn starts when the caller stops speaking
+ * (or, without VAD, when their transcript arrives) and stays open until
+ * the next turn starts or the call ends, so slow agents still land in the
+ * turn that launched them.
+ *
+ * Each stage keeps its first timestamp only: a second audio delta or a
+ * re-launched agent does not move it.
+ */
+class TurnLatencyTracker {
+  /**
+   * @param {string} callId
+   * @param {object} options - { clientId, provider, onTurn(turn) called for each finished turn }
+   */
+  constructor(callId, options = {}) {
+    this.callId = callId;
+    this.clientId = options.clientId || null;
+    this.provider = options.provider || null;
+    this.onTurn = options.onTurn || (() => {});
+    this.turnCount = 0;
+    this.current = null;
+  }
+
+  /**
+   * Record a stage of the current turn
+   * @param {string} stage - One of STAGES
+   * @param {object} data - { agentType }
+   * @param {number} at - Timestamp (ms), defaults to now
+   */
+  mark(stage, data = {}, at = Date.now()) {
+    if (!STAGES.includes(stage)) {
+      return;
+    }
+
+    if (stage === 'speech_stopped') {
+      this.finishTurn();
+      this.startTurn();
+    } else if (!this.current) {
+      // Typed turns and transcripts without a VAD event open the turn themselves
+      if (stage !== 'transcript_completed') {
+        return;
+      }
+      this.startTurn();
+    }
+
+    if (this.current.stages[stage] === undefined) {
+      this.current.stages[stage] = at;
+    }
+    if (data.agentType && !this.current.agentType) {
+      this.current.agentType = data.agentType;
+    }
+  }
+
+  startTurn() {
+    this.current = { index: this.turnCount, agentType: null, stages: {} };
+    this.turnCount++;
+  }
+
+  /**
+   * Close the open turn
+   * @returns {object|null} Finished turn (see summarize)
+   */
+  finishTurn() {
+    if (!this.current) {
+      return null;
+    }
+
+    const turn = this.summarize(this.current);
+    this.current = null;
+    this.onTurn(turn);
+    return turn;
+  }
+
+  /**
+   * Durations in ms, measured from the end of caller speech
+   */
+  summarize({ index, agentType, stages }) {
+    const start = stages.speech_stopped !== undefined ? stages.speech_stopped : stages.transcript_completed;
+    const since = (stage) => (stages[stage] !== undefined && start !== undefined ? stages[stage] - start : null);
+    const timestamp = (stage) => (stages[stage] !== undefined ? new Date(stages[stage]) : null);
+
+    return {
+      call_id: this.callId,
+      client_id: this.clientId,
+      turn_index: index,
+      provider: this.provider,
+      agent_type: agentType,
+      speech_stopped_at: timestamp('speech_stopped'),
+      transcript_completed_at: timestamp('transcript_completed'),
+      intent_detected_at: timestamp('intent_detected'),
+      agent_launched_at: timestamp('agent_launched'),
+      agent_completed_at: timestamp('agent_completed'),
+      first_audio_at: timestamp('first_audio'),
+      transcript_ms: since('transcript_completed'),
+      intent_ms: since('intent_detected'),
+      agent_ms: stages.agent_launched !== undefined && stages.agent_completed !== undefined
+        ? stages.agent_completed - stages.agent_launched
+        : null,
+      response_ms: since('first_audio')
+    };
+  }
+}
+
+TurnLatencyTracker.STAGES = STAGES;
+
+module.exports = TurnLatencyTracker;
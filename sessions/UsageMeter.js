@@ -0,0 +1,110 @@
+// sessions/UsageMeter.js - Token and telephony usage of one call
+const resolve = require('../utils/moduleResolver');
+const { loadRateCard, getModelRates } = require(resolve('config/usageRates'));
+
+const TOKEN_KINDS = ['input_text', 'cached_input_text', 'input_audio', 'cached_input_audio', 'output_text', 'output_audio'];
+
+/**
+ * Adds up the usage of every model response (response.done) as it
+ * arrives and prices it from the rate card (config/usageRates).
+ * Telephony minutes are added when the call ends.
+ *
+ * Cached input tokens are counted apart from the rest of the input,
+ * since they are priced lower.
+ */
+class UsageMeter {
+  /**
+   * @param {string} callId
+   * @param {object} options - { model, rateCard }
+   */
+  constructor(callId, options = {}) {
+    this.callId = callId;
+    this.model = options.model || null;
+    this.rateCard = options.rateCard || loadRateCard();
+    this.responses = 0;
+    this.tokens = Object.fromEntries(TOKEN_KINDS.map(kind => [kind, 0]));
+  }
+
+  /**
+   * Add one response's usage
+   * @param {object} usage - response.done usage ({ input_token_details, output_token_details })
+   * @returns {object} Running totals: { responses, tokens, ai_cost }
+   */
+  add(usage = {}) {
+    const input = usage.input_token_details || {};
+    const output = usage.output_token_details || {};
+    const cached = input.cached_tokens_details || { text_tokens: input.cached_tokens || 0, audio_tokens: 0 };
+
+    const cachedText = cached.text_tokens || 0;
+    const cachedAudio = cached.audio_tokens || 0;
+
+    this.tokens.input_text += Math.max(0, (input.text_tokens || 0) - cachedText);
+    this.tokens.cached_input_text += cachedText;
+    this.tokens.input_audio += Math.max(0, (input.audio_tokens || 0) - cachedAudio);
+    this.tokens.cached_input_audio += cachedAudio;
+    this.tokens.output_text += output.text_tokens || 0;
+    this.tokens.output_audio += output.audio_tokens || 0;
+    this.responses++;
+
+    return { responses: this.responses, tokens: { ...this.tokens }, ai_cost: this.getAiCost() };
+  }
+
+  /**
+   * Model cost so far, in the rate card currency
+   */
+  getAiCost() {
+    const { rates } = getModelRates(this.rateCard, this.model);
+    const usd = TOKEN_KINDS.reduce((sum, kind) => sum + this.tokens[kind] * (rates[kind] || 0), 0) / 1e6;
+    return roundCost(usd * this.rateCard.usd_to_inr);
+  }
+
+  /**
+   * Telephony cost: every started minute at the provider's rate
+   * @param {number} durationSeconds
+   * @param {string} provider - exotel, twilio; null for calls without a phone leg
+   */
+  getTelephonyCost(durationSeconds, provider) {
+    if (!provider) {
+      return { minutes: 0, cost: 0 };
+    }
+
+    const rates = this.rateCard.telephony_per_minute;
+    const perMinute = rates[provider] !== undefined ? rates[provider] : rates.default;
+    const minutes = Math.ceil(Math.max(0, durationSeconds) / 60);
+
+    return { minutes, cost: roundCost(minutes * perMinute) };
+  }
+
+  /**
+   * Usage and cost of the whole call
+   * @param {object} options - { durationSeconds, provider }
+   * @returns {object} { model, rate_key, provider, responses, tokens, telephony_minutes,
+   *   ai_cost, telephony_cost, total_cost, currency }
+   */
+  summary({ durationSeconds = 0, provider = null } = {}) {
+    const aiCost = this.getAiCost();
+    const telephony = this.getTelephonyCost(durationSeconds, provider);
+
+    return {
+      model: this.model,
+      rate_key: getModelRates(this.rateCard, this.model).key,
+      provider,
+      responses: this.responses,
+      tokens: { ...this.tokens },
+      telephony_minutes: telephony.minutes,
+      ai_cost: aiCost,
+      telephony_cost: telephony.cost,
+      total_cost: roundCost(aiCost + telephony.cost),
+      currency: this.rateCard.currency
+    };
+  }
+}
+
+// Costs are kept to 4 decimals (paise fractions add up over many calls)
+function roundCost(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+UsageMeter.TOKEN_KINDS = TOKEN_KINDS;
+
+module.exports = UsageMeter;
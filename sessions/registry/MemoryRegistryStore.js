@@ -0,0 +1,107 @@
+// sessions/registry/MemoryRegistryStore.js - In-process store for the session registry
+/**
+ * Same operations as RedisRegistryStore, kept in memory. Backs the registry
+ * on a single node (no REDIS_URL) and in tests; several SessionRegistry
+ * instances sharing one store behave like nodes sharing one Redis.
+ *
+ * Keys expire lazily (checked on read), messages are delivered
+ * asynchronously like Redis pub/sub.
+ */
+class MemoryRegistryStore {
+  constructor() {
+    this.name = 'memory';
+    this.values = new Map(); // key -> { value, expiresAt }
+    this.hashes = new Map(); // key -> Map(field -> value)
+    this.channels = new Map(); // channel -> Set(handler)
+  }
+
+  /**
+   * @param {object} options - { ttlMs, onlyIfAbsent }
+   * @returns {boolean} Whether the value was written
+   */
+  async set(key, value, { ttlMs = null, onlyIfAbsent = false } = {}) {
+    // Checked and written in one step, like SET NX
+    if (onlyIfAbsent && this.read(key) !== null) {
+      return false;
+    }
+    this.values.set(key, { value: String(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    return true;
+  }
+
+  async get(key) {
+    return this.read(key);
+  }
+
+  read(key) {
+    const entry = this.values.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.values.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async del(key) {
+    this.values.delete(key);
+  }
+
+  async hSet(key, field, value) {
+    if (!this.hashes.has(key)) {
+      this.hashes.set(key, new Map());
+    }
+    this.hashes.get(key).set(field, String(value));
+  }
+
+  async hGet(key, field) {
+    const hash = this.hashes.get(key);
+    return hash && hash.has(field) ? hash.get(field) : null;
+  }
+
+  async hGetAll(key) {
+    return Object.fromEntries(this.hashes.get(key) || []);
+  }
+
+  async hDel(key, field) {
+    const hash = this.hashes.get(key);
+    if (hash) {
+      hash.delete(field);
+    }
+  }
+
+  async publish(channel, message) {
+    const handlers = this.channels.get(channel);
+    if (!handlers) {
+      return;
+    }
+    for (const handler of handlers) {
+      setImmediate(() => handler(message));
+    }
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set());
+    }
+    this.channels.get(channel).add(handler);
+  }
+
+  async unsubscribe(channel, handler) {
+    const handlers = this.channels.get(channel);
+    if (!handlers) {
+      return;
+    }
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this.channels.delete(channel);
+    }
+  }
+
+  async close() {
+    this.channels.clear();
+  }
+}
+
+module.exports = MemoryRegistryStore;
@@ -0,0 +1,149 @@
+// sessions/registry/RedisRegistryStore.js - Redis store for the session registry
+const resolve = require('../../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+const { withTimeout } = require(resolve('utils/timeoutUtil'));
+
+const CONNECT_TIMEOUT_MS = 3000;
+
+/**
+ * Shared store for all nodes (redis v4). Commands go over one connection,
+ * subscriptions over a second one (a subscribed Redis connection can't
+ * run other commands). Connects on first use (REDIS_URL).
+ */
+class RedisRegistryStore {
+  /**
+   * @param {object} options - { url } (defaults to REDIS_URL)
+   */
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.url = options.url || process.env.REDIS_URL;
+    this.client = null;
+    this.subscriber = null;
+    this.connecting = null;
+    this.channels = new Map(); // channel -> Set(handler)
+  }
+
+  /**
+   * Commands fail right away while Redis is unreachable (no offline queue),
+   * so a Redis outage never holds up a call; the clients keep reconnecting
+   * in the background
+   */
+  async connect() {
+    if (!this.client) {
+      // Only loaded when the registry is shared
+      const { createClient } = require('redis');
+
+      this.client = createClient({ url: this.url, disableOfflineQueue: true });
+      this.subscriber = this.client.duplicate();
+
+      for (const connection of [this.client, this.subscriber]) {
+        connection.on('error', (error) => {
+          logger.error('Session registry Redis error', { error: error.message });
+        });
+      }
+
+      this.connecting = withTimeout(
+        Promise.all([this.client.connect(), this.subscriber.connect()]),
+        CONNECT_TIMEOUT_MS,
+        'Session registry Redis connection'
+      );
+    }
+
+    if (!this.client.isReady) {
+      await this.connecting;
+    }
+    if (!this.client.isReady || !this.subscriber.isReady) {
+      throw new Error('Session registry Redis is not connected');
+    }
+    return this.client;
+  }
+
+  /**
+   * @param {object} options - { ttlMs, onlyIfAbsent }
+   * @returns {boolean} Whether the value was written
+   */
+  async set(key, value, { ttlMs = null, onlyIfAbsent = false } = {}) {
+    const client = await this.connect();
+    const reply = await client.set(key, String(value), {
+      ...(ttlMs ? { PX: ttlMs } : {}),
+      ...(onlyIfAbsent ? { NX: true } : {})
+    });
+    return reply === 'OK';
+  }
+
+  async get(key) {
+    return (await this.connect()).get(key);
+  }
+
+  async del(key) {
+    await (await this.connect()).del(key);
+  }
+
+  async hSet(key, field, value) {
+    await (await this.connect()).hSet(key, field, String(value));
+  }
+
+  async hGet(key, field) {
+    const value = await (await this.connect()).hGet(key, field);
+    return value === undefined ? null : value;
+  }
+
+  async hGetAll(key) {
+    return (await this.connect()).hGetAll(key);
+  }
+
+  async hDel(key, field) {
+    await (await this.connect()).hDel(key, field);
+  }
+
+  async publish(channel, message) {
+    await (await this.connect()).publish(channel, message);
+  }
+
+  async subscribe(channel, handler) {
+    await this.connect();
+
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set());
+      await this.subscriber.subscribe(channel, (message) => {
+        for (const subscribed of this.channels.get(channel) || []) {
+          subscribed(message);
+        }
+      });
+    }
+    this.channels.get(channel).add(handler);
+  }
+
+  async unsubscribe(channel, handler) {
+    const handlers = this.channels.get(channel);
+    if (!handlers) {
+      return;
+    }
+
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this.channels.delete(channel);
+      await this.subscriber.unsubscribe(channel);
+    }
+  }
+
+  async close() {
+    if (!this.client) {
+      return;
+    }
+
+    this.channels.clear();
+    const connections = [this.subscriber, this.client];
+    this.client = null;
+    this.subscriber = null;
+    this.connecting = null;
+
+    try {
+      await Promise.all(connections.filter(connection => connection.isOpen).map(connection => connection.disconnect()));
+    } catch (error) {
+      logger.warn('Session registry Redis close failed', { error: error.message });
+    }
+  }
+}
+
+module.exports = RedisRegistryStore;
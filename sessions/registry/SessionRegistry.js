@@ -0,0 +1,416 @@
+// sessions/registry/SessionRegistry.js - Live calls across every node
+const os = require('os');
+const crypto = require('crypto');
+const resolve = require('../../utils/moduleResolver');
+const logger = require(resolve('utils/logger'));
+
+const KEY_PREFIX = 'caly:live';
+// Hash of callId -> entry JSON for every live call
+const CALLS_KEY = `${KEY_PREFIX}:calls`;
+
+const HEARTBEAT_INTERVAL_MS = 5000;
+// A node that hasn't refreshed its heartbeat for this long is gone
+const NODE_TTL_MS = 15000;
+const COMMAND_TIMEOUT_MS = 5000;
+
+const nodeKey = (nodeId) => `${KEY_PREFIX}:node:${nodeId}`;
+const claimKey = (callId) => `${KEY_PREFIX}:claim:${callId}`;
+const inboxChannel = (nodeId) => `${KEY_PREFIX}:inbox:${nodeId}`;
+const callChannel = (callId) => `${KEY_PREFIX}:call:${callId}`;
+
+/**
+ * Shared registry of live calls. Every node registers the calls it carries
+ * (entry: { callId, nodeId, clientId, ... }) and keeps a heartbeat key
+ * alive; any node can list and look up calls, send a command to the node
+ * that owns a call (over that node's inbox channel) and follow a call's
+ * events (transcript, intents, end) on the call's channel.
+ *
+ * When a node's heartbeat expires its calls are orphaned: the first node to
+ * take the claim lock becomes the owner and gets onOrphan(entry) to close
+ * the call (the caller's media stream died with the old node).
+ *
+ * Options:
+ *   nodeId      - this node (NODE_ID, else host-pid-random)
+ *   onCommand   - async (callId, command, args) => result, run for calls on this node
+ *   onOrphan    - async (entry) => void, after this node claimed a dead node's call
+ *   heartbeatMs, nodeTtlMs, commandTimeoutMs
+ */
+class SessionRegistry {
+  /**
+   * @param {MemoryRegistryStore|RedisRegistryStore} store
+   * @param {object} options
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.nodeId = options.nodeId || process.env.NODE_ID ||
+      `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    this.onCommand = options.onCommand || null;
+    this.onOrphan = options.onOrphan || null;
+    this.heartbeatMs = options.heartbeatMs || HEARTBEAT_INTERVAL_MS;
+    this.nodeTtlMs = options.nodeTtlMs || NODE_TTL_MS;
+    this.commandTimeoutMs = options.commandTimeoutMs || COMMAND_TIMEOUT_MS;
+
+    this.starting = null;
+    this.timer = null;
+    this.pending = new Map(); // command id -> { resolve, reject, timer }
+    this.localCalls = new Set(); // calls this node registered or claimed
+    this.inboxHandler = (message) => this.handleMessage(message);
+  }
+
+  /**
+   * Join the cluster: heartbeat, inbox subscription, orphan sweeps.
+   * Idempotent - also called on the first register().
+   */
+  async start() {
+    if (!this.starting) {
+      this.starting = (async () => {
+        await this.store.subscribe(inboxChannel(this.nodeId), this.inboxHandler);
+        await this.heartbeat();
+
+        this.timer = setInterval(() => this.tick(), this.heartbeatMs);
+        this.timer.unref();
+
+        logger.info('Session registry started', { nodeId: this.nodeId, store: this.store.name });
+      })().catch((error) => {
+        this.starting = null;
+        throw error;
+      });
+    }
+    return this.starting;
+  }
+
+  /**
+   * Leave the cluster. Calls still registered to this node are picked up
+   * by another node once the heartbeat is gone.
+   */
+  async stop() {
+    if (!this.starting) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.starting = null;
+
+    for (const [id, pending] of this.pending) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('Session registry stopped'));
+      this.pending.delete(id);
+    }
+
+    try {
+      await this.store.unsubscribe(inboxChannel(this.nodeId), this.inboxHandler);
+      await this.store.del(nodeKey(this.nodeId));
+    } catch (error) {
+      logger.warn('Session registry stop failed', { nodeId: this.nodeId, error: error.message });
+    }
+  }
+
+  async tick() {
+    try {
+      await this.heartbeat();
+      await this.claimOrphans();
+    } catch (error) {
+      logger.error('Session registry heartbeat failed', { nodeId: this.nodeId, error: error.message });
+    }
+  }
+
+  async heartbeat() {
+    await this.store.set(nodeKey(this.nodeId), Date.now(), { ttlMs: this.nodeTtlMs });
+  }
+
+  async isNodeAlive(nodeId) {
+    return nodeId === this.nodeId || (await this.store.get(nodeKey(nodeId))) !== null;
+  }
+
+  /**
+   * Add a call carried by this node
+   * @param {string} callId
+   * @param {object} details - clientId, phoneFrom, startedAt, ...
+   */
+  async register(callId, details = {}) {
+    await this.start();
+
+    const now = new Date().toISOString();
+    const entry = { ...details, callId, nodeId: this.nodeId, registeredAt: now, updatedAt: now };
+    this.localCalls.add(callId);
+    await this.store.hSet(CALLS_KEY, callId, JSON.stringify(entry));
+    return entry;
+  }
+
+  /**
+   * Merge fields into a call's entry (only the owning node updates it)
+   */
+  async update(callId, fields) {
+    if (!this.localCalls.has(callId)) {
+      return null;
+    }
+    const entry = await this.get(callId);
+    if (!entry || entry.nodeId !== this.nodeId) {
+      return null;
+    }
+
+    const updated = { ...entry, ...fields, callId, nodeId: this.nodeId, updatedAt: new Date().toISOString() };
+    await this.store.hSet(CALLS_KEY, callId, JSON.stringify(updated));
+
+    // Unregistered while we were writing - don't bring the call back
+    if (!this.localCalls.has(callId)) {
+      await this.store.hDel(CALLS_KEY, callId);
+      return null;
+    }
+    return updated;
+  }
+
+  /**
+   * Remove a call that ended and tell whoever follows it
+   */
+  async unregister(callId) {
+    this.localCalls.delete(callId);
+    await this.store.hDel(CALLS_KEY, callId);
+    await this.store.del(claimKey(callId));
+    await this.publishCallEvent(callId, 'session_ended');
+  }
+
+  async get(callId) {
+    return parseEntry(await this.store.hGet(CALLS_KEY, callId));
+  }
+
+  /**
+   * Live calls on all nodes
+   * @param {object} filter - { clientId }
+   */
+  async list({ clientId = null } = {}) {
+    const entries = Object.values(await this.store.hGetAll(CALLS_KEY))
+      .map(parseEntry)
+      .filter(Boolean);
+
+    return entries
+      .filter(entry => !clientId || entry.clientId === clientId)
+      .sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+  }
+
+  /**
+   * Take over the calls of nodes whose heartbeat expired
+   * @returns {number} Calls this node claimed
+   */
+  async claimOrphans() {
+    const deadNodes = new Map(); // nodeId -> gone, checked once per sweep
+    let claimed = 0;
+
+    for (const entry of await this.list()) {
+      let orphaned;
+      if (entry.nodeId === this.nodeId) {
+        // Left behind by an earlier run of this node (same NODE_ID)
+        orphaned = !this.localCalls.has(entry.callId);
+      } else {
+        if (!deadNodes.has(entry.nodeId)) {
+          deadNodes.set(entry.nodeId, !(await this.isNodeAlive(entry.nodeId)));
+        }
+        orphaned = deadNodes.get(entry.nodeId);
+      }
+
+      if (orphaned && await this.claim(entry)) {
+        claimed++;
+      }
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Become the owner of an orphaned call. Only one node wins the claim lock.
+   * @returns {object|null} The entry now owned by this node
+   */
+  async claim(entry) {
+    const locked = await this.store.set(claimKey(entry.callId), this.nodeId, {
+      ttlMs: this.nodeTtlMs,
+      onlyIfAbsent: true
+    });
+    if (!locked) {
+      return null;
+    }
+
+    // Ended or claimed in the meantime
+    const current = await this.get(entry.callId);
+    if (!current || current.nodeId !== entry.nodeId) {
+      return null;
+    }
+
+    const claimed = {
+      ...current,
+      nodeId: this.nodeId,
+      claimedFrom: current.nodeId,
+      claimedAt: new Date().toISOString()
+    };
+    this.localCalls.add(entry.callId);
+    await this.store.hSet(CALLS_KEY, entry.callId, JSON.stringify(claimed));
+
+    logger.warn('Claimed call from lost node', {
+      callId: entry.callId,
+      nodeId: this.nodeId,
+      lostNodeId: current.nodeId
+    });
+
+    if (this.onOrphan) {
+      try {
+        await this.onOrphan(claimed);
+      } catch (error) {
+        logger.error('Orphaned call handling failed', { callId: entry.callId, error: error.message });
+      }
+    }
+    return claimed;
+  }
+
+  /**
+   * Run a command on the node that owns the call
+   * @param {string} callId
+   * @param {string} command - end, whisper, hand_back, inspect... (see CallSessionManager.runCallCommand)
+   * @param {object} args
+   * @returns {*} What the owning node's onCommand returned
+   */
+  async sendCommand(callId, command, args = {}) {
+    const entry = await this.get(callId);
+    if (!entry) {
+      throw new Error('Call not found');
+    }
+
+    // Owner is gone: claim the call first, then it's ours to answer for
+    if (entry.nodeId !== this.nodeId && !(await this.isNodeAlive(entry.nodeId))) {
+      await this.claim(entry);
+      const current = await this.get(callId);
+      if (!current) {
+        throw new Error('Call has ended');
+      }
+      if (current.nodeId === entry.nodeId) {
+        throw new Error('Call is moving to another node, try again');
+      }
+      return this.sendCommand(callId, command, args);
+    }
+
+    if (entry.nodeId === this.nodeId) {
+      return this.runCommand(callId, command, args);
+    }
+
+    await this.start();
+    const id = crypto.randomUUID();
+
+    return new Promise((resolvePromise, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Node ${entry.nodeId} did not answer`));
+      }, this.commandTimeoutMs);
+      this.pending.set(id, { resolve: resolvePromise, reject, timer });
+
+      this.store.publish(inboxChannel(entry.nodeId), JSON.stringify({
+        type: 'command',
+        id,
+        from: this.nodeId,
+        callId,
+        command,
+        args
+      })).catch((error) => {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        reject(error);
+      });
+    });
+  }
+
+  async runCommand(callId, command, args) {
+    if (!this.onCommand) {
+      throw new Error('This node does not take call commands');
+    }
+    return this.onCommand(callId, command, args);
+  }
+
+  /**
+   * Inbox: commands for calls on this node, replies to commands we sent
+   */
+  async handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      logger.warn('Session registry message is not JSON', { nodeId: this.nodeId });
+      return;
+    }
+
+    if (message.type === 'reply') {
+      const pending = this.pending.get(message.id);
+      if (!pending) return;
+      this.pending.delete(message.id);
+      clearTimeout(pending.timer);
+
+      if (message.error) {
+        pending.reject(new Error(message.error));
+      } else {
+        pending.resolve(message.result);
+      }
+      return;
+    }
+
+    if (message.type !== 'command') {
+      return;
+    }
+
+    const reply = { type: 'reply', id: message.id };
+    try {
+      const result = await this.runCommand(message.callId, message.command, message.args || {});
+      reply.result = result === undefined ? null : result;
+    } catch (error) {
+      reply.error = error.message;
+    }
+
+    try {
+      await this.store.publish(inboxChannel(message.from), JSON.stringify(reply));
+    } catch (error) {
+      logger.error('Session registry reply failed', { callId: message.callId, error: error.message });
+    }
+  }
+
+  /**
+   * Event for nodes following the call (see watchCall)
+   */
+  async publishCallEvent(callId, type, data = {}) {
+    try {
+      await this.store.publish(callChannel(callId), JSON.stringify({ ...data, type, callId }));
+    } catch (error) {
+      logger.warn('Could not publish call event', { callId, type, error: error.message });
+    }
+  }
+
+  /**
+   * Follow a call on any node
+   * @param {string} callId
+   * @param {function} handler - (event) with event.type
+   * @returns {function} Stops following
+   */
+  async watchCall(callId, handler) {
+    const listener = (raw) => {
+      try {
+        handler(JSON.parse(raw));
+      } catch (error) {
+        logger.warn('Call event handling failed', { callId, error: error.message });
+      }
+    };
+
+    await this.store.subscribe(callChannel(callId), listener);
+    return () => this.store.unsubscribe(callChannel(callId), listener);
+  }
+}
+
+function parseEntry(raw) {
+  if (!raw) {
+    return null;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return null;
+  }
+}
+
+SessionRegistry.HEARTBEAT_INTERVAL_MS = HEARTBEAT_INTERVAL_MS;
+SessionRegistry.NODE_TTL_MS = NODE_TTL_MS;
+
+module.exports = SessionRegistry;
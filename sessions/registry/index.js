@@ -0,0 +1,42 @@
+// sessions/registry/index.js - Session registry factory
+const SessionRegistry = require('./SessionRegistry');
+const MemoryRegistryStore = require('./MemoryRegistryStore');
+const RedisRegistryStore = require('./RedisRegistryStore');
+
+const STORES = {
+  memory: MemoryRegistryStore,
+  redis: RedisRegistryStore
+};
+
+const DEFAULT_STORE = 'memory';
+
+/**
+ * Create the session registry for this node
+ * @param {object} options - SessionRegistry options, plus:
+ * @param {string} options.type - memory | redis (defaults to SESSION_REGISTRY, else memory;
+ *   redis is needed as soon as more than one node takes calls)
+ * @param {object} options.store - Store instance to use instead (tests share one between registries)
+ */
+function createSessionRegistry(options = {}) {
+  const { type: requestedType, store: givenStore, ...registryOptions } = options;
+  let store = givenStore;
+
+  if (!store) {
+    const type = (requestedType || process.env.SESSION_REGISTRY || DEFAULT_STORE).toLowerCase();
+    const Store = STORES[type];
+
+    if (!Store) {
+      throw new Error(`Unknown session registry store: ${type}`);
+    }
+    store = new Store();
+  }
+
+  return new SessionRegistry(store, registryOptions);
+}
+
+module.exports = {
+  createSessionRegistry,
+  SessionRegistry,
+  MemoryRegistryStore,
+  RedisRegistryStore
+};
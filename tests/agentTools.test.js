@@ -0,0 +1,192 @@
+/**
+ * Agent Tools Test Suite
+ * Tests for: agent -> Realtime tool schemas, function calling through
+ * CallSessionManager, regex fallback mode
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn().mockResolvedValue({ rows: [] }),
+  calls: { update: jest.fn().mockResolvedValue({}) },
+  entities: { create: jest.fn().mockResolvedValue({}) },
+  clients: { getById: jest.fn().mockResolvedValue(null) }
+}));
+
+jest.mock('../services/wasabiStorage', () => ({
+  uploadCallRecording: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../services/performanceTracker', () => ({
+  updateTeamMemberPerformance: jest.fn().mockResolvedValue(null)
+}));
+
+const db = require('../db/postgres');
+const orchestrator = require('../agents/orchestrator');
+const sessionManager = require('../sessions/CallSessionManager');
+const { formatToolResult } = require('../agents/agentTools');
+
+function waitFor(emitter, eventName, timeoutMs = 2000) {
+  return new Promise((resolvePromise, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${eventName}`)), timeoutMs);
+    emitter.once(eventName, (data) => {
+      clearTimeout(timer);
+      resolvePromise(data);
+    });
+  });
+}
+
+function sentOfType(session, type) {
+  return session.stsSession.backend.sentEvents.filter(event => event.type === type);
+}
+
+/**
+ * Test Suite: Tool definitions
+ */
+afterAll(() => sessionManager.destroy());
+
+describe('Agent tool definitions', () => {
+  const tools = orchestrator.getToolDefinitions();
+
+  test('should expose all 14 agents as function tools', () => {
+    expect(tools).toHaveLength(14);
+    expect(tools.map(tool => tool.name)).toEqual(Object.keys(orchestrator.agentRegistry));
+    tools.forEach(tool => {
+      expect(tool.type).toBe('function');
+      expect(tool.description).toBeTruthy();
+      expect(tool.parameters.type).toBe('object');
+    });
+  });
+
+  test('should turn requiredFields into required JSON-schema params', () => {
+    const byName = Object.fromEntries(tools.map(tool => [tool.name, tool]));
+
+    expect(byName.OrderLookupAgent.parameters.required).toEqual(['order_id']);
+    expect(byName.OrderLookupAgent.parameters.properties.order_id.type).toBe('string');
+    expect(byName.AddressChangeAgent.parameters.required).toEqual(['order_id', 'new_address']);
+    expect(byName.AddressChangeAgent.parameters.properties).toHaveProperty('pin_code');
+    expect(byName.RegistrationAgent.parameters.required).toEqual(['phone', 'email']);
+    expect(byName.ProductInquiryAgent.parameters.required).toEqual([]);
+  });
+
+  test('should format agent results as compact tool output', () => {
+    expect(formatToolResult({ success: true, order: { id: 1 }, contextUpdate: 'Shipped' }))
+      .toEqual({ success: true, details: 'Shipped' });
+  });
+});
+
+/**
+ * Test Suite: Function calling through CallSessionManager
+ */
+describe('CallSessionManager tool mode', () => {
+  let launchSpy;
+
+  afterEach(async () => {
+    for (const callId of sessionManager.getActiveSessions()) {
+      await sessionManager.endSession(callId);
+    }
+    if (launchSpy) {
+      launchSpy.mockRestore();
+      launchSpy = null;
+    }
+    jest.clearAllMocks();
+    delete process.env.INTENT_MODE;
+  });
+
+  test('should register tools and return agent results as function_call_output', async () => {
+    launchSpy = jest.spyOn(orchestrator, 'launchAgent').mockImplementation(async (callId, agentType) => {
+      setImmediate(() => orchestrator.emit('agent_completed', {
+        callId,
+        agentType,
+        result: { success: true, contextUpdate: 'Order 12345 shipped, arriving tomorrow' }
+      }));
+      return {};
+    });
+
+    const session = await sessionManager.createSession('call-tool-1', { speech_backend: 'fake', client_id: 'client-1' }, {
+      script: {
+        turns: [{
+          user: 'mera order 12345 kahan hai',
+          tool: { name: 'OrderLookupAgent', arguments: { order_id: '12345' } },
+          assistant: 'Aapka order kal tak aa jayega'
+        }]
+      }
+    });
+
+    expect(session.intentMode).toBe('tools');
+    expect(sentOfType(session, 'session.update')[0].session.tools).toHaveLength(14);
+
+    const aiDone = waitFor(session.stsSession, 'ai_transcript_completed');
+    sessionManager.processIncomingAudio('call-tool-1', Buffer.alloc(9600));
+    const reply = await aiDone;
+
+    expect(reply.transcript).toBe('Aapka order kal tak aa jayega');
+    expect(launchSpy).toHaveBeenCalledWith('call-tool-1', 'OrderLookupAgent', { order_id: '12345', client_id: 'client-1' });
+
+    const [output] = sentOfType(session, 'conversation.item.create')
+      .filter(event => event.item.type === 'function_call_output');
+    expect(JSON.parse(output.item.output)).toEqual({ success: true, details: 'Order 12345 shipped, arriving tomorrow' });
+    expect(session.pendingToolCall).toBeNull();
+  });
+
+  test('should report missing required fields back to the model', async () => {
+    launchSpy = jest.spyOn(orchestrator, 'launchAgent').mockImplementation(async (callId) => {
+      orchestrator.emit('agent_needs_info', { callId, field: 'reason', prompt: 'Reason required' });
+      return {};
+    });
+
+    const session = await sessionManager.createSession('call-tool-2', { speech_backend: 'fake' }, {
+      script: { turns: [{ user: 'complaint karni hai', tool: { name: 'ComplaintAgent', arguments: { order_id: '555' } } }] }
+    });
+
+    const aiDone = waitFor(session.stsSession, 'ai_transcript_completed');
+    sessionManager.processIncomingAudio('call-tool-2', Buffer.alloc(9600));
+    await aiDone;
+
+    const [output] = sentOfType(session, 'conversation.item.create')
+      .filter(event => event.item.type === 'function_call_output');
+    expect(JSON.parse(output.item.output)).toMatchObject({ status: 'needs_info', missing_field: 'reason' });
+    expect(session.waitingForEntity).toBe('reason');
+  });
+
+  test('should reject unknown tools without launching an agent', async () => {
+    launchSpy = jest.spyOn(orchestrator, 'launchAgent');
+
+    const session = await sessionManager.createSession('call-tool-3', { speech_backend: 'fake' });
+    await sessionManager.handleFunctionCall(session, { call_id: 'call_x', name: 'DropTablesAgent', arguments: {} });
+
+    expect(launchSpy).not.toHaveBeenCalled();
+    const [output] = sentOfType(session, 'conversation.item.create');
+    expect(output.item).toMatchObject({ type: 'function_call_output', call_id: 'call_x' });
+  });
+
+  test('should use regex routing when the client opts out of tools', async () => {
+    launchSpy = jest.spyOn(orchestrator, 'launchAgent').mockResolvedValue({});
+    db.clients.getById.mockResolvedValueOnce({ settings: { speech: { intent_mode: 'regex' } } });
+
+    const session = await sessionManager.createSession('call-tool-4', { speech_backend: 'fake', client_id: 'client-2' }, {
+      script: { turns: [{ user: 'mera order 98765 track karo' }] }
+    });
+
+    expect(session.intentMode).toBe('regex');
+    expect(sentOfType(session, 'session.update')[0].session.tools).toBeUndefined();
+
+    const aiDone = waitFor(session.stsSession, 'ai_transcript_completed');
+    sessionManager.processIncomingAudio('call-tool-4', Buffer.alloc(9600));
+    await aiDone;
+
+    expect(launchSpy).toHaveBeenCalledWith('call-tool-4', expect.any(String), expect.objectContaining({ order_id: '98765' }));
+  });
+
+  test('should fall back to regex for the cascaded backend', () => {
+    expect(sessionManager.resolveIntentMode({}, {}, 'cascaded')).toBe('regex');
+    process.env.INTENT_MODE = 'regex';
+    expect(sessionManager.resolveIntentMode({}, {}, 'openai')).toBe('regex');
+    expect(sessionManager.resolveIntentMode({ intent_mode: 'tools' }, {}, 'openai')).toBe('tools');
+  });
+});
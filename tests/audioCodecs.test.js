@@ -0,0 +1,249 @@
+/**
+ * Audio Codec Test Suite
+ * Tests for: G.711 mu-law/A-law against reference fixtures, 8k/16k/24k
+ * resampling, chunk-split invariance, outbound framing, format negotiation
+ *
+ * Fixtures (tests/fixtures/audio): 0.5 s of 300/1200/2500 Hz tones at 8 kHz,
+ * G.711-encoded by an independent encoder (Python audioop), plus that
+ * encoder's own PCM16 decoding of each file.
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb());
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+const fs = require('fs');
+const path = require('path');
+const {
+  mulawToPcm16,
+  pcm16ToMulaw,
+  alawToPcm16,
+  pcm16ToAlaw,
+  Resampler,
+  AudioChunker,
+  AudioTranscoder,
+  negotiateAudioFormats
+} = require('../realtime/audio');
+const { startCall, endAllCalls } = require('./utils/callTestHelpers');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'audio');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name));
+
+function sine(frequency, sampleRate, durationMs, amplitude = 8000) {
+  const count = Math.round((sampleRate * durationMs) / 1000);
+  const pcm = Buffer.alloc(count * 2);
+  for (let i = 0; i < count; i++) {
+    pcm.writeInt16LE(Math.round(amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate)), i * 2);
+  }
+  return pcm;
+}
+
+// Relative power of one frequency (Goertzel)
+function power(pcm, frequency, sampleRate) {
+  const count = pcm.length >> 1;
+  const coefficient = 2 * Math.cos((2 * Math.PI * frequency) / sampleRate);
+  let s1 = 0;
+  let s2 = 0;
+  for (let i = 0; i < count; i++) {
+    const s = pcm.readInt16LE(i * 2) + coefficient * s1 - s2;
+    s2 = s1;
+    s1 = s;
+  }
+  return (s1 * s1 + s2 * s2 - coefficient * s1 * s2) / (count * count);
+}
+
+function rms(pcm) {
+  const count = pcm.length >> 1;
+  let sum = 0;
+  for (let i = 0; i < count; i++) {
+    sum += pcm.readInt16LE(i * 2) ** 2;
+  }
+  return Math.sqrt(sum / count);
+}
+
+// Feed a buffer through process() in uneven pieces, like network jitter
+function processJittered(transcoder, audio, sizes = [1, 7, 160, 33, 2, 641, 3, 320]) {
+  const output = [];
+  let offset = 0;
+  let i = 0;
+  while (offset < audio.length) {
+    const size = sizes[i++ % sizes.length];
+    output.push(transcoder.process(audio.subarray(offset, offset + size)));
+    offset += size;
+  }
+  return Buffer.concat(output);
+}
+
+/**
+ * Test Suite: G.711
+ */
+describe('G.711 codecs', () => {
+  test('should decode mu-law exactly like the reference decoder', () => {
+    expect(mulawToPcm16(fixture('tones_8k.ulaw')).equals(fixture('tones_8k_ulaw_decoded.pcm'))).toBe(true);
+  });
+
+  test('should decode A-law exactly like the reference decoder', () => {
+    expect(alawToPcm16(fixture('tones_8k.alaw')).equals(fixture('tones_8k_alaw_decoded.pcm'))).toBe(true);
+  });
+
+  test('should re-encode decoded fixtures to the original bytes', () => {
+    const ulaw = fixture('tones_8k.ulaw');
+    const alaw = fixture('tones_8k.alaw');
+
+    expect(pcm16ToMulaw(mulawToPcm16(ulaw)).equals(ulaw)).toBe(true);
+    expect(pcm16ToAlaw(alawToPcm16(alaw)).equals(alaw)).toBe(true);
+  });
+
+  test('should map silence to the G.711 silence codes', () => {
+    const silence = Buffer.alloc(4);
+    expect([...pcm16ToMulaw(silence)]).toEqual([0xff, 0xff]);
+    expect([...pcm16ToAlaw(silence)]).toEqual([0xd5, 0xd5]);
+  });
+});
+
+/**
+ * Test Suite: Resampling
+ */
+describe('Resampler', () => {
+  test.each([
+    [8000, 24000],
+    [8000, 16000],
+    [16000, 24000],
+    [24000, 8000],
+    [24000, 16000]
+  ])('should convert %i Hz to %i Hz keeping duration and pitch', (fromRate, toRate) => {
+    const input = sine(1000, fromRate, 200);
+    const output = new Resampler(fromRate, toRate).process(input);
+
+    const expectedSamples = (toRate * 200) / 1000;
+    expect(Math.abs(output.length / 2 - expectedSamples)).toBeLessThanOrEqual(3);
+    expect(power(output, 1000, toRate)).toBeGreaterThan(100 * power(output, 2000, toRate));
+  });
+
+  test('should filter content above the new Nyquist frequency when downsampling', () => {
+    const input = sine(10000, 24000, 200);
+    const output = new Resampler(24000, 8000).process(input);
+
+    // Without the low-pass, 10 kHz would alias to an audible 2 kHz tone
+    expect(rms(output.subarray(200))).toBeLessThan(0.05 * rms(input));
+  });
+
+  test('should give identical output for any chunking of the stream', () => {
+    const input = mulawToPcm16(fixture('tones_8k.ulaw'));
+
+    for (const [fromRate, toRate] of [[8000, 24000], [24000, 8000]]) {
+      const whole = new Resampler(fromRate, toRate).process(input);
+      const pieces = processJittered(new Resampler(fromRate, toRate), input, [2, 160, 34, 642, 320]);
+      expect(pieces.equals(whole)).toBe(true);
+    }
+  });
+});
+
+/**
+ * Test Suite: Streaming transcoding
+ */
+describe('AudioTranscoder', () => {
+  test('should turn jittery 8 kHz mu-law into the same 24 kHz pcm16 as one chunk', () => {
+    const ulaw = fixture('tones_8k.ulaw');
+    const format = { from: { encoding: 'mulaw', sampleRate: 8000 }, to: { encoding: 'pcm16', sampleRate: 24000 } };
+
+    const whole = new AudioTranscoder(format.from, format.to).process(ulaw);
+    const jittered = processJittered(new AudioTranscoder(format.from, format.to), ulaw);
+
+    expect(jittered.equals(whole)).toBe(true);
+    expect(power(whole, 1200, 24000)).toBeGreaterThan(100 * power(whole, 700, 24000));
+  });
+
+  test('should carry odd bytes of slin instead of shifting samples', () => {
+    const slin = fixture('tones_8k_ulaw_decoded.pcm');
+    const transcoder = new AudioTranscoder({ encoding: 'pcm16', sampleRate: 8000 }, { encoding: 'pcm16', sampleRate: 8000 });
+
+    expect(processJittered(transcoder, slin).equals(slin)).toBe(true);
+  });
+
+  test('should round-trip model audio to mu-law and back', () => {
+    const model = sine(440, 24000, 300);
+    const toPhone = new AudioTranscoder({ encoding: 'pcm16', sampleRate: 24000 }, { encoding: 'mulaw', sampleRate: 8000 });
+    const fromPhone = new AudioTranscoder({ encoding: 'mulaw', sampleRate: 8000 }, { encoding: 'pcm16', sampleRate: 24000 });
+
+    const back = fromPhone.process(toPhone.process(model));
+
+    expect(Math.abs(back.length - model.length)).toBeLessThan(100);
+    expect(power(back, 440, 24000)).toBeGreaterThan(100 * power(back, 880, 24000));
+  });
+
+  test('should reject unsupported encodings', () => {
+    expect(() => new AudioTranscoder({ encoding: 'opus', sampleRate: 48000 }, { encoding: 'pcm16', sampleRate: 24000 }))
+      .toThrow('Unsupported audio encoding');
+  });
+});
+
+/**
+ * Test Suite: Framing and negotiation
+ */
+describe('AudioChunker and format negotiation', () => {
+  test('should cut fixed frames and pad the tail with silence', () => {
+    const chunker = new AudioChunker(160, 0xff);
+
+    expect(chunker.push(Buffer.alloc(100, 1))).toHaveLength(0);
+    const frames = chunker.push(Buffer.alloc(300, 1));
+    expect(frames.map(f => f.length)).toEqual([160, 160]);
+    expect(chunker.bufferedBytes).toBe(80);
+
+    const tail = chunker.flush();
+    expect(tail.length).toBe(160);
+    expect(tail[79]).toBe(1);
+    expect(tail[80]).toBe(0xff);
+    expect(chunker.flush()).toBeNull();
+  });
+
+  test('should negotiate provider defaults and start-frame formats', () => {
+    expect(negotiateAudioFormats('twilio', { encoding: 'audio/x-mulaw', sampleRate: 8000 }).telephony)
+      .toEqual({ encoding: 'mulaw', sampleRate: 8000, frameMs: 20, frameBytes: 160 });
+
+    expect(negotiateAudioFormats('exotel', { encoding: 'raw/slin', sampleRate: 16000 }).telephony)
+      .toEqual({ encoding: 'pcm16', sampleRate: 16000, frameMs: 100, frameBytes: 3200 });
+
+    const fallback = negotiateAudioFormats('exotel', { encoding: 'raw/slin', sampleRate: 11025 });
+    expect(fallback.telephony.sampleRate).toBe(8000);
+    expect(fallback.warnings).toHaveLength(1);
+    expect(fallback.model).toEqual({ encoding: 'pcm16', sampleRate: 24000 });
+  });
+});
+
+/**
+ * Test Suite: Call session transcoding
+ */
+describe('CallSessionManager audio pipeline', () => {
+  const sessionManager = require('../sessions/CallSessionManager');
+
+  afterEach(() => endAllCalls());
+
+  afterAll(() => sessionManager.destroy());
+
+  test('should transcode Twilio mu-law in and frame model audio out', async () => {
+    const { session } = await startCall({ id: 'call-audio-1' });
+    sessionManager.attachMediaStream('call-audio-1', {
+      provider: 'twilio',
+      streamSid: 'MZ1',
+      callSid: 'CA1',
+      mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 }
+    });
+
+    const sendAudio = jest.spyOn(session.stsSession, 'sendAudio');
+    sessionManager.processIncomingAudio('call-audio-1', fixture('tones_8k.ulaw').subarray(0, 160));
+    expect(sendAudio).toHaveBeenCalledTimes(1);
+    expect(sendAudio.mock.calls[0][0].length).toBeGreaterThan(470 * 2);
+
+    const frames = [];
+    const onAudio = data => frames.push(data.audioData);
+    sessionManager.on('audio_output', onAudio);
+    session.stsSession.emit('audio_output', sine(440, 24000, 100));
+    session.stsSession.emit('audio_output_done');
+    sessionManager.off('audio_output', onAudio);
+
+    expect(frames.length).toBe(5);
+    expect(frames.every(frame => frame.length === 160)).toBe(true);
+  });
+});
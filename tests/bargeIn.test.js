@@ -0,0 +1,216 @@
+/**
+ * Barge-in Test Suite
+ * Tests for: STSSession.interrupt() cancel + truncate, played-audio tracking
+ * through playback marks, provider clear, interrupted transcripts
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb());
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+const db = require('../db/postgres');
+const STSSession = require('../realtime/stsSession');
+const { startCall, endAllCalls, waitForEmit } = require('./utils/callTestHelpers');
+
+// 24 kHz pcm16
+const BYTES_PER_MS = 48;
+
+function audioDelta(itemId, ms) {
+  return {
+    type: 'response.audio.delta',
+    response_id: 'resp_1',
+    item_id: itemId,
+    delta: Buffer.alloc(ms * BYTES_PER_MS).toString('base64')
+  };
+}
+
+/**
+ * Test Suite: STSSession.interrupt
+ */
+describe('STSSession.interrupt', () => {
+  let session;
+
+  afterEach(async () => {
+    if (session) {
+      await session.stop();
+      session = null;
+    }
+  });
+
+  test('should cancel an in-flight response and truncate to the played audio', async () => {
+    session = new STSSession('unused', {
+      backendType: 'fake',
+      script: {
+        latencyMs: 2,
+        turns: [{ user: 'mera order kahan hai', assistant: 'Aapka order kal tak pahunch jayega, tracking SMS par bheja gaya hai' }]
+      }
+    });
+    await session.start('call-barge-1');
+
+    const firstAudio = waitForEmit(session, 'audio_output');
+    session.sendAudio(Buffer.alloc(9600));
+    await firstAudio;
+
+    const interrupted = waitForEmit(session, 'interrupted');
+    const result = session.interrupt({ audioEndMs: 40 });
+
+    expect(result).toMatchObject({ cancelled: true, truncated: true, audioEndMs: 40, sentMs: 100 });
+    expect(await interrupted).toEqual(result);
+
+    const sent = session.backend.sentEvents;
+    expect(sent.some(event => event.type === 'response.cancel')).toBe(true);
+    expect(sent.find(event => event.type === 'conversation.item.truncate')).toEqual({
+      type: 'conversation.item.truncate',
+      item_id: result.itemId,
+      content_index: 0,
+      audio_end_ms: 40
+    });
+  });
+
+  test('should trim a finished transcript to what the caller heard', async () => {
+    session = new STSSession('unused', { backendType: 'fake' });
+    await session.start('call-barge-2');
+
+    session.handleEvent(audioDelta('item_a', 1000));
+    session.handleEvent({
+      type: 'response.audio_transcript.done',
+      response_id: 'resp_1',
+      item_id: 'item_a',
+      transcript: 'one two three four five six seven eight nine ten'
+    });
+
+    const result = session.interrupt({ audioEndMs: 300 });
+
+    expect(result).toMatchObject({
+      cancelled: false,
+      truncated: true,
+      audioEndMs: 300,
+      sentMs: 1000,
+      fullTranscript: 'one two three four five six seven eight nine ten',
+      heardTranscript: 'one two three'
+    });
+    expect(session.conversationContext.pop()).toMatchObject({ content: 'one two three', interrupted: true });
+  });
+
+  test('should trim a transcript that completes after the interruption', async () => {
+    session = new STSSession('unused', { backendType: 'fake' });
+    await session.start('call-barge-3');
+
+    session.handleEvent(audioDelta('item_b', 1000));
+    session.interrupt({ audioEndMs: 500 });
+
+    const completed = waitForEmit(session, 'ai_transcript_completed');
+    session.handleEvent({ type: 'response.audio_transcript.done', item_id: 'item_b', transcript: 'a b c d' });
+
+    expect(await completed).toMatchObject({ transcript: 'a b', full_transcript: 'a b c d', interrupted: true });
+  });
+
+  test('should not truncate when everything sent was played', async () => {
+    session = new STSSession('unused', { backendType: 'fake' });
+    await session.start('call-barge-4');
+
+    session.handleEvent(audioDelta('item_c', 200));
+    const result = session.interrupt();
+
+    expect(result).toMatchObject({ truncated: false, audioEndMs: 200, sentMs: 200 });
+    expect(session.backend.sentEvents.some(event => event.type === 'conversation.item.truncate')).toBe(false);
+  });
+});
+
+/**
+ * Test Suite: Barge-in in the call session
+ */
+describe('CallSessionManager barge-in', () => {
+  const sessionManager = require('../sessions/CallSessionManager');
+
+  afterEach(async () => {
+    await endAllCalls();
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => sessionManager.destroy());
+
+  async function createStreamingSession(callId) {
+    const { session } = await startCall({ id: callId });
+    sessionManager.attachMediaStream(callId, {
+      provider: 'twilio',
+      streamSid: 'MZ1',
+      callSid: 'CA1',
+      mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000 }
+    });
+    return session;
+  }
+
+  test('should place playback marks and truncate to the last played mark', async () => {
+    const session = await createStreamingSession('call-barge-5');
+
+    const marks = [];
+    const cleared = jest.fn();
+    const onAudio = data => data.mark && marks.push(data.mark);
+    sessionManager.on('audio_output', onAudio);
+    sessionManager.on('audio_clear', cleared);
+
+    session.stsSession.handleEvent({ type: 'response.created', response: { id: 'resp_1' } });
+    for (let i = 0; i < 10; i++) {
+      session.stsSession.handleEvent(audioDelta('item_x', 100));
+    }
+    sessionManager.off('audio_output', onAudio);
+
+    expect(marks.length).toBeGreaterThanOrEqual(4);
+    expect(marks[0]).toMatch(/^item_x:\d+$/);
+
+    // Provider played the audio up to the second mark
+    sessionManager.handlePlaybackMark('call-barge-5', marks[1]);
+    const playedMs = Number(marks[1].split(':')[1]);
+
+    const interrupt = jest.spyOn(session.stsSession, 'interrupt');
+    session.stsSession.emit('speech_started');
+    sessionManager.off('audio_clear', cleared);
+
+    expect(cleared).toHaveBeenCalledWith({ callId: 'call-barge-5' });
+    expect(interrupt).toHaveBeenCalledWith({ audioEndMs: playedMs });
+    expect(session.stsSession.backend.sentEvents.find(e => e.type === 'conversation.item.truncate'))
+      .toMatchObject({ item_id: 'item_x', audio_end_ms: playedMs });
+    expect(db.callEvents.create).toHaveBeenCalledWith(expect.objectContaining({
+      event_type: 'barge_in',
+      payload: expect.objectContaining({ item_id: 'item_x', audio_end_ms: playedMs, sent_ms: 1000, cancelled: true })
+    }));
+    expect(session.playback).toBeNull();
+  });
+
+  test('should mark the stored assistant transcript as interrupted', async () => {
+    const session = await createStreamingSession('call-barge-6');
+
+    session.stsSession.handleEvent(audioDelta('item_y', 1000));
+    session.stsSession.handleEvent({
+      type: 'response.audio_transcript.done',
+      item_id: 'item_y',
+      transcript: 'aapka refund paanch din mein aa jayega'
+    });
+    sessionManager.handlePlaybackMark('call-barge-6', 'item_y:500');
+
+    session.stsSession.emit('speech_started');
+
+    const entry = session.conversationHistory.find(e => e.itemId === 'item_y');
+    expect(entry).toMatchObject({
+      content: 'aapka refund paanch',
+      fullContent: 'aapka refund paanch din mein aa jayega',
+      interrupted: true
+    });
+
+    await sessionManager.endSession('call-barge-6');
+    expect(db.calls.update).toHaveBeenCalledWith('call-barge-6', expect.objectContaining({
+      transcript_full: expect.stringContaining('assistant: aapka refund paanch [interrupted]')
+    }));
+  });
+
+  test('should ignore caller speech when nothing is playing', async () => {
+    const session = await createStreamingSession('call-barge-7');
+    const interrupt = jest.spyOn(session.stsSession, 'interrupt');
+
+    session.stsSession.emit('speech_started');
+
+    expect(interrupt).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * Call Summary Test Suite
+ * Tests for: post-call structured summary (reason, actions, resolution,
+ * follow-ups, sentiment), disposition from the client's code list, rule-based
+ * fallback, calls.summary in /api/calls/:id and call search filters
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb({
+  callCharges: { record: jest.fn().mockResolvedValue({}) }
+}));
+
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+jest.mock('../services/auditLogger', () => ({
+  AuditEventType: { SETTINGS_CHANGED: 'SETTINGS_CHANGED' },
+  logAuditEvent: jest.fn().mockResolvedValue(null)
+}));
+
+// Signed-in user comes from the test app; sector filter is not under test
+jest.mock('../auth/authMiddleware', () => ({
+  authMiddleware: (req, res, next) => next(),
+  requireRole: (roles) => (req, res, next) => (
+    roles.includes(req.user.role) ? next() : res.status(403).json({ error: 'Insufficient permissions' })
+  )
+}));
+
+jest.mock('../middleware/sectorFilter', () => ({
+  sectorFilterMiddleware: (req, res, next) => {
+    req.userSector = 'ecommerce';
+    next();
+  }
+}));
+
+// No model unless a test sets one
+delete process.env.OPENAI_API_KEY;
+
+const request = require('supertest');
+const express = require('express');
+const db = require('../db/postgres');
+const { logAuditEvent } = require('../services/auditLogger');
+const callSummaryService = require('../services/callSummaryService');
+const sessionManager = require('../sessions/CallSessionManager');
+const { DEFAULT_DISPOSITION_CODES } = require('../config/dispositionCodes');
+const callRoutes = require('../routes/calls');
+const { CLIENT_ID, startCall, endAllCalls, waitForEvent } = require('./utils/callTestHelpers');
+
+function buildApp(role = 'admin') {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: '22222222-2222-2222-2222-222222222222', client_id: CLIENT_ID, role };
+    next();
+  });
+  app.use('/api/calls', callRoutes);
+  return app;
+}
+
+function modelReturns(summary) {
+  const create = jest.fn().mockResolvedValue({
+    choices: [{ message: { content: JSON.stringify(summary) } }]
+  });
+  callSummaryService.client = { chat: { completions: { create } } };
+  return create;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.clients.getById.mockResolvedValue(null);
+  db.query.mockResolvedValue({ rows: [] });
+});
+
+afterEach(async () => {
+  callSummaryService.client = null;
+  await endAllCalls();
+});
+
+afterAll(() => sessionManager.destroy());
+
+describe('Rule-based summary', () => {
+  const summarize = (context, codes = DEFAULT_DISPOSITION_CODES) => callSummaryService.ruleBasedSummary({
+    transcript: [{ role: 'user', text: 'mera refund kab aayega' }],
+    ...context
+  }, codes);
+
+  test('a completed agent decides the disposition', () => {
+    const summary = summarize({
+      intents: ['REFUND'],
+      outcomes: [{ agent_type: 'RefundAgent', status: 'completed' }]
+    });
+
+    expect(summary).toEqual(expect.objectContaining({
+      reason: 'Customer called about refund',
+      actions_taken: ['RefundAgent completed'],
+      resolution_status: 'resolved',
+      follow_ups: [],
+      sentiment: 'neutral',
+      disposition: 'refund_initiated',
+      source: 'rules'
+    }));
+  });
+
+  test('transfers, callbacks and silent callers', () => {
+    expect(summarize({ transfer: { status: 'transferred' } })).toEqual(expect.objectContaining({
+      resolution_status: 'escalated',
+      disposition: 'escalated'
+    }));
+
+    expect(summarize({ transfer: { status: 'failed', fallback: 'callback' } })).toEqual(expect.objectContaining({
+      resolution_status: 'unresolved',
+      follow_ups: ['Call the customer back'],
+      disposition: 'callback_scheduled'
+    }));
+
+    expect(summarize({ transcript: [] }).disposition).toBe('no_response');
+    expect(summarize({ disposition: 'no_response' }).disposition).toBe('no_response');
+  });
+
+  test('only codes from the client\'s list', () => {
+    const codes = [{ code: 'done' }, { code: 'resolved' }];
+    const summary = summarize({ outcomes: [{ agent_type: 'RefundAgent', status: 'completed' }] }, codes);
+    expect(summary.disposition).toBe('resolved');
+
+    expect(summarize({}, [{ code: 'done' }]).disposition).toBe('done');
+  });
+
+  test('sentiment from the caller\'s words', () => {
+    expect(callSummaryService.ruleBasedSentiment([{ role: 'user', text: 'bakwas service, bahut gussa hai' }])).toBe('negative');
+    expect(callSummaryService.ruleBasedSentiment([{ role: 'user', text: 'thank you, dhanyavaad' }])).toBe('positive');
+  });
+});
+
+describe('Model summary', () => {
+  test('structured fields are checked against the allowed values', async () => {
+    const create = modelReturns({
+      reason: 'Customer wanted a refund for a damaged shoe.',
+      actions_taken: ['Verified the order', 'Started the refund'],
+      resolution_status: 'resolved',
+      follow_ups: [],
+      sentiment: 'furious',
+      disposition: 'made_up_code'
+    });
+
+    const summary = await callSummaryService.summarizeCall({
+      callId: 'call-1',
+      clientId: CLIENT_ID,
+      transcript: [{ role: 'user', text: 'refund chahiye' }],
+      intents: ['REFUND'],
+      outcomes: [{ agent_type: 'RefundAgent', status: 'completed' }]
+    });
+
+    expect(summary).toEqual(expect.objectContaining({
+      reason: 'Customer wanted a refund for a damaged shoe.',
+      actions_taken: ['Verified the order', 'Started the refund'],
+      sentiment: 'neutral',
+      disposition: 'refund_initiated',
+      source: 'model'
+    }));
+    expect(create.mock.calls[0][0].response_format).toEqual({ type: 'json_object' });
+    expect(create.mock.calls[0][0].messages[0].content).toContain('- refund_initiated:');
+    expect(db.calls.update).toHaveBeenCalledWith('call-1', {
+      summary,
+      disposition: 'refund_initiated',
+      resolution_status: 'resolved',
+      sentiment: 'neutral',
+      resolved: true
+    });
+  });
+
+  test('falls back to the rules when the model fails', async () => {
+    callSummaryService.client = { chat: { completions: { create: jest.fn().mockRejectedValue(new Error('rate limited')) } } };
+
+    const summary = await callSummaryService.summarizeCall({
+      callId: 'call-2',
+      transcript: [{ role: 'user', text: 'hello' }]
+    });
+
+    expect(summary.source).toBe('rules');
+    expect(summary.disposition).toBe('unresolved');
+  });
+});
+
+describe('After the call', () => {
+  test('the ended call is summarized from its redacted transcript', async () => {
+    const create = modelReturns({
+      reason: 'Order status',
+      actions_taken: ['Looked up the order'],
+      resolution_status: 'resolved',
+      follow_ups: [],
+      sentiment: 'positive',
+      disposition: 'information_provided'
+    });
+    const { callId, session } = await startCall();
+
+    const heard = waitForEvent('transcript', callId);
+    session.stsSession.backend.speak('mera number 9876543210 hai');
+    await heard;
+    await new Promise(resolvePromise => setImmediate(resolvePromise));
+
+    const summarized = waitForEvent('call_summarized', callId);
+    await sessionManager.endSession(callId);
+    const { summary } = await summarized;
+
+    expect(summary.disposition).toBe('information_provided');
+    expect(create.mock.calls[0][0].messages[1].content).toContain('Customer: mera number [PHONE] hai');
+    expect(db.calls.update).toHaveBeenLastCalledWith(callId, expect.objectContaining({
+      summary,
+      disposition: 'information_provided',
+      resolution_status: 'resolved',
+      sentiment: 'positive'
+    }));
+  });
+
+  test('replays are not summarized', async () => {
+    const summarize = jest.spyOn(callSummaryService, 'summarizeCall');
+    const { session } = await startCall({ id: 'summary-replay' }, { persist: false });
+
+    await sessionManager.endSession(session.callId);
+    await new Promise(resolvePromise => setImmediate(resolvePromise));
+
+    expect(summarize).not.toHaveBeenCalled();
+    summarize.mockRestore();
+  });
+});
+
+describe('Calls API', () => {
+  test('GET /api/calls/:id includes the summary', async () => {
+    const summary = { reason: 'Refund', disposition: 'refund_initiated' };
+    db.query.mockResolvedValueOnce({ rows: [{ id: 'call-1', summary }] });
+
+    const res = await request(buildApp()).get('/api/calls/call-1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual(summary);
+  });
+
+  test('calls can be searched by disposition, resolution status and sentiment', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+    const res = await request(buildApp())
+      .get('/api/calls')
+      .query({ disposition: 'refund_initiated', resolution_status: 'unresolved', sentiment: 'negative' });
+
+    expect(res.status).toBe(200);
+    const [countSql, countParams] = db.query.mock.calls[0];
+    expect(countSql).toContain('disposition = $3 AND resolution_status = $4 AND sentiment = $5');
+    expect(countParams).toEqual([CLIENT_ID, 'ecommerce', 'refund_initiated', 'unresolved', 'negative']);
+    expect(db.query.mock.calls[1][0]).toContain('summary');
+
+    const invalid = await request(buildApp()).get('/api/calls').query({ sentiment: 'furious' });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('disposition codes per client', async () => {
+    const res = await request(buildApp()).get('/api/calls/dispositions');
+    expect(res.status).toBe(404);
+
+    db.clients.getById.mockResolvedValue({ id: CLIENT_ID, settings: {} });
+    expect((await request(buildApp()).get('/api/calls/dispositions')).body.dispositions).toEqual(DEFAULT_DISPOSITION_CODES);
+
+    expect((await request(buildApp('viewer')).put('/api/calls/dispositions').send({ dispositions: [{ code: 'sold' }] })).status).toBe(403);
+    expect((await request(buildApp()).put('/api/calls/dispositions').send({ dispositions: [{ code: 'Not OK' }] })).status).toBe(400);
+
+    db.query.mockResolvedValueOnce({ rows: [{ id: CLIENT_ID }] });
+    const updated = await request(buildApp())
+      .put('/api/calls/dispositions')
+      .send({ dispositions: [{ code: 'sale_made', label: 'Sale made', description: 'Customer placed an order' }] });
+
+    expect(updated.status).toBe(200);
+    expect(db.query.mock.calls[0][1][0]).toBe(JSON.stringify([
+      { code: 'sale_made', label: 'Sale made', description: 'Customer placed an order' }
+    ]));
+    expect(logAuditEvent).toHaveBeenCalledWith('SETTINGS_CHANGED', expect.objectContaining({
+      resource: 'client_dispositions'
+    }));
+  });
+});
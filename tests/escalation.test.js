@@ -0,0 +1,302 @@
+/**
+ * Escalation Test Suite
+ * Tests for: agent need_escalation -> warm transfer, screen pop contents,
+ * voicemail/callback fallback, transfer routes, Exotel transfer target
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb({
+  callTransfers: {
+    create: jest.fn(),
+    updateStatus: jest.fn().mockResolvedValue({}),
+    getById: jest.fn(),
+    getRecentForUser: jest.fn(),
+    getTargetByCallSid: jest.fn()
+  }
+}));
+
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+jest.mock('../services/telephonyRouter', () => ({
+  transferCall: jest.fn()
+}));
+
+jest.mock('../services/agentRouter', () => ({
+  selectTeamAgent: jest.fn()
+}));
+
+// No model in tests: handoff summaries fall back to the caller's words
+delete process.env.OPENAI_API_KEY;
+
+const request = require('supertest');
+const express = require('express');
+const db = require('../db/postgres');
+const telephonyRouter = require('../services/telephonyRouter');
+const agentRouter = require('../services/agentRouter');
+const escalationService = require('../services/escalationService');
+const sessionManager = require('../sessions/CallSessionManager');
+const BaseAgent = require('../agents/BaseAgent');
+const transferRoutes = require('../routes/transfers');
+const exotelRoutes = require('../routes/exotel');
+const { CLIENT_ID, nextCallId, startCall, endAllCalls } = require('./utils/callTestHelpers');
+
+const TEAM_ID = '33333333-3333-3333-3333-333333333333';
+const MEMBER = {
+  id: '44444444-4444-4444-4444-444444444444',
+  team_id: TEAM_ID,
+  user_id: '55555555-5555-5555-5555-555555555555',
+  phone_number: '+919811112222',
+  name: 'Priya'
+};
+
+// Agent that can't finish on its own
+class EscalatingAgent extends BaseAgent {
+  async execute() {
+    this.emit('need_escalation', {
+      message: 'This requires immediate attention.',
+      reason: 'URGENT_SYMPTOMS',
+      severity: 'HIGH'
+    });
+  }
+}
+
+// A phone call to a team's number
+function startTeamCall(callData = {}) {
+  const callId = nextCallId('escalation-call');
+  return startCall({
+    id: callId,
+    call_sid: `CA-${callId}`,
+    phone_from: '+919800000000',
+    phone_to: '+918000000000',
+    team_id: TEAM_ID,
+    ...callData
+  });
+}
+
+function escalate(callId) {
+  const outcome = new Promise(resolvePromise => {
+    const done = (eventName) => (data) => {
+      if (data.callId !== callId) return;
+      sessionManager.off('call_transferred', onTransferred);
+      sessionManager.off('transfer_failed', onFailed);
+      resolvePromise({ eventName, ...data });
+    };
+    const onTransferred = done('call_transferred');
+    const onFailed = done('transfer_failed');
+    sessionManager.on('call_transferred', onTransferred);
+    sessionManager.on('transfer_failed', onFailed);
+  });
+
+  return sessionManager.agentOrchestrator.launchAgent(callId, 'EscalatingAgent', {}).then(() => outcome);
+}
+
+beforeAll(() => {
+  sessionManager.agentOrchestrator.agentRegistry.EscalatingAgent = EscalatingAgent;
+});
+
+afterAll(() => {
+  delete sessionManager.agentOrchestrator.agentRegistry.EscalatingAgent;
+  return sessionManager.destroy();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM teams WHERE id')) return { rows: [{ id: TEAM_ID, sector: 'healthcare' }] };
+    if (sql.includes('FROM team_members tm')) return { rows: [MEMBER] };
+    return { rows: [] };
+  });
+  db.callTransfers.create.mockImplementation(async (data) => ({ id: 'transfer-1', ...data }));
+  db.clients.getById.mockResolvedValue(null);
+  agentRouter.selectTeamAgent.mockResolvedValue({ type: 'team', team_member_id: MEMBER.id });
+  telephonyRouter.transferCall.mockResolvedValue({ success: true, provider: 'twilio', end_stream: false });
+});
+
+afterEach(() => endAllCalls());
+
+describe('Warm transfer', () => {
+  test('an escalating agent transfers the call with a screen pop', async () => {
+    const { callId, session } = await startTeamCall();
+    const updateContext = jest.spyOn(session.stsSession, 'updateContext');
+    const screenPops = [];
+    const onScreenPop = (data) => screenPops.push(data);
+    escalationService.on('screen_pop', onScreenPop);
+
+    session.conversationHistory.push(
+      { role: 'user', content: 'mujhe seene mein dard ho raha hai', timestamp: Date.now() },
+      { role: 'assistant', content: 'Aapke symptoms bataiye', timestamp: Date.now() }
+    );
+    sessionManager.trackIntent(session, {
+      source: 'tool', intent: 'TriageAgent', confidence: null, agentType: 'TriageAgent', entities: { symptoms: 'chest pain' }
+    });
+
+    const outcome = await escalate(callId);
+    escalationService.off('screen_pop', onScreenPop);
+
+    expect(outcome.eventName).toBe('call_transferred');
+    expect(agentRouter.selectTeamAgent).toHaveBeenCalledWith(CLIENT_ID, TEAM_ID, 'healthcare');
+    expect(telephonyRouter.transferCall).toHaveBeenCalledWith(CLIENT_ID, session.callData.call_sid, MEMBER.phone_number);
+
+    // Screen pop saved and pushed before the provider is asked to transfer
+    const created = db.callTransfers.create.mock.calls[0][0];
+    expect(created).toEqual(expect.objectContaining({
+      call_id: callId,
+      team_member_id: MEMBER.id,
+      user_id: MEMBER.user_id,
+      target_number: MEMBER.phone_number,
+      reason: 'URGENT_SYMPTOMS',
+      agent_type: 'EscalatingAgent'
+    }));
+    expect(created.screen_pop).toEqual(expect.objectContaining({
+      caller: { phone: '+919800000000', called_number: '+918000000000' },
+      intents: ['TriageAgent'],
+      entities: { symptoms: 'chest pain' },
+      summary: 'mujhe seene mein dard ho raha hai'
+    }));
+    expect(created.screen_pop.recent_transcript).toHaveLength(2);
+    expect(screenPops).toEqual([expect.objectContaining({ transferId: 'transfer-1', userId: MEMBER.user_id })]);
+    expect(db.callTransfers.create.mock.invocationCallOrder[0])
+      .toBeLessThan(telephonyRouter.transferCall.mock.invocationCallOrder[0]);
+
+    expect(db.callTransfers.updateStatus).toHaveBeenCalledWith('transfer-1', 'transferred', { provider: 'twilio' });
+    expect(db.calls.update).toHaveBeenCalledWith(callId, expect.objectContaining({
+      escalated: true, team_id: TEAM_ID, team_member_id: MEMBER.id
+    }));
+    expect(updateContext).toHaveBeenCalledWith(expect.stringContaining('connecting them to a team member'));
+    expect(session.transfer).toEqual(expect.objectContaining({ status: 'transferred', transferId: 'transfer-1' }));
+  });
+
+  test('providers that continue in the call flow get the stream closed', async () => {
+    telephonyRouter.transferCall.mockResolvedValue({ success: true, provider: 'exotel', end_stream: true });
+    const { callId } = await startTeamCall();
+    const streamEnds = [];
+    const onStreamEnd = (data) => streamEnds.push(data.callId);
+    sessionManager.on('stream_end', onStreamEnd);
+
+    await escalate(callId);
+    sessionManager.off('stream_end', onStreamEnd);
+
+    expect(streamEnds).toEqual([callId]);
+  });
+
+  test('nobody available: the caller is offered a callback', async () => {
+    agentRouter.selectTeamAgent.mockResolvedValue(null);
+    const { callId, session } = await startTeamCall();
+    const updateContext = jest.spyOn(session.stsSession, 'updateContext');
+
+    const outcome = await escalate(callId);
+
+    expect(outcome).toEqual(expect.objectContaining({ eventName: 'transfer_failed', fallback: 'callback' }));
+    expect(telephonyRouter.transferCall).not.toHaveBeenCalled();
+    expect(db.actions.create).toHaveBeenCalledWith(expect.objectContaining({
+      call_id: callId,
+      action_type: 'callback_request',
+      params: expect.objectContaining({ phone: '+919800000000', reason: 'URGENT_SYMPTOMS' })
+    }));
+    expect(updateContext).toHaveBeenLastCalledWith(expect.stringContaining('call them back'));
+    expect(db.callEvents.create).toHaveBeenCalledWith(expect.objectContaining({ event_type: 'transfer_failed' }));
+  });
+
+  test('provider failure falls back to the client voicemail setting', async () => {
+    db.clients.getById.mockResolvedValue({ id: CLIENT_ID, settings: { escalation: { fallback: 'voicemail' } } });
+    telephonyRouter.transferCall.mockRejectedValue(new Error('Provider twilio circuit breaker open'));
+    const { callId, session } = await startTeamCall();
+    const updateContext = jest.spyOn(session.stsSession, 'updateContext');
+
+    const outcome = await escalate(callId);
+
+    expect(outcome.fallback).toBe('voicemail');
+    expect(db.callTransfers.updateStatus).toHaveBeenCalledWith('transfer-1', 'failed', {
+      fallback: 'voicemail',
+      error: 'Provider twilio circuit breaker open'
+    });
+    expect(db.actions.create).not.toHaveBeenCalled();
+    expect(updateContext).toHaveBeenLastCalledWith(expect.stringContaining('leave a short message'));
+    expect(session.transfer.status).toBe('failed');
+  });
+
+  test('a call without a telephony leg is not transferred', async () => {
+    const { callId } = await startTeamCall({ call_sid: null });
+
+    const outcome = await escalate(callId);
+
+    expect(outcome.error).toBe('No telephony call to transfer');
+    expect(telephonyRouter.transferCall).not.toHaveBeenCalled();
+  });
+});
+
+describe('Handoff summary', () => {
+  afterEach(() => {
+    escalationService.client = null;
+  });
+
+  test('uses the model when available', async () => {
+    const create = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: 'Customer reports chest pain and needs a doctor.' } }]
+    });
+    escalationService.client = { chat: { completions: { create } } };
+
+    const summary = await escalationService.summarizeConversation([
+      { role: 'system', content: 'ignored' },
+      { role: 'user', content: 'seene mein dard' }
+    ]);
+
+    expect(summary).toBe('Customer reports chest pain and needs a doctor.');
+    expect(create.mock.calls[0][0].messages[1].content).toBe('Customer: seene mein dard');
+  });
+
+  test("falls back to the caller's own words", async () => {
+    escalationService.client = { chat: { completions: { create: jest.fn().mockRejectedValue(new Error('rate limited')) } } };
+
+    const summary = await escalationService.summarizeConversation([
+      { role: 'user', content: 'order 555 nahi aaya' },
+      { role: 'assistant', content: 'Main check karti hoon' },
+      { role: 'user', content: 'manager se baat karao' }
+    ]);
+
+    expect(summary).toBe('order 555 nahi aaya / manager se baat karao');
+  });
+});
+
+describe('Transfer routes', () => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: MEMBER.user_id, client_id: CLIENT_ID, role: 'user' };
+    next();
+  });
+  app.use('/api/transfers', transferRoutes);
+  app.get('/webhooks/exotel/transfer-target', exotelRoutes.handleTransferTarget);
+
+  test('GET /api/transfers/pending lists screen pops for the signed-in user', async () => {
+    db.callTransfers.getRecentForUser.mockResolvedValue([{ id: 'transfer-1', screen_pop: { summary: 'x' } }]);
+
+    const res = await request(app).get('/api/transfers/pending');
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+    expect(db.callTransfers.getRecentForUser).toHaveBeenCalledWith(MEMBER.user_id, CLIENT_ID);
+  });
+
+  test('GET /api/transfers/:id is tenant scoped', async () => {
+    db.callTransfers.getById.mockResolvedValue(undefined);
+
+    const res = await request(app).get('/api/transfers/transfer-9');
+
+    expect(res.status).toBe(404);
+    expect(db.callTransfers.getById).toHaveBeenCalledWith('transfer-9', CLIENT_ID);
+  });
+
+  test('Exotel Connect applet gets the transfer number', async () => {
+    db.callTransfers.getTargetByCallSid.mockResolvedValue({ id: 'transfer-1', target_number: MEMBER.phone_number });
+
+    const res = await request(app).get('/webhooks/exotel/transfer-target?CallSid=CA1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.destination.numbers).toEqual([MEMBER.phone_number]);
+
+    db.callTransfers.getTargetByCallSid.mockResolvedValue(undefined);
+    const missing = await request(app).get('/webhooks/exotel/transfer-target?CallSid=CA404');
+    expect(missing.status).toBe(404);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Graceful Drain Test Suite
+ * Tests for: shutdown lets live calls finish until the deadline, wraps up
+ * the rest with a goodbye and a callback request, refuses new calls, and
+ * reports not-ready on /health/ready
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb({
+  callCharges: { record: jest.fn().mockResolvedValue({}) }
+}));
+
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+jest.mock('../services/telephonyRouter', () => ({
+  endCall: jest.fn()
+}));
+
+const request = require('supertest');
+const express = require('express');
+const db = require('../db/postgres');
+const telephonyRouter = require('../services/telephonyRouter');
+const sessionManager = require('../sessions/CallSessionManager');
+const GracefulShutdown = require('../utils/gracefulShutdown');
+const healthRoutes = require('../routes/health');
+const { CLIENT_ID, nextCallId, startCall, endAllCalls, waitForEvent } = require('./utils/callTestHelpers');
+
+// A phone call the provider can hang up
+function startPhoneCall(callData = {}) {
+  const callId = nextCallId('drain-call');
+  return startCall({ id: callId, call_sid: `CA-${callId}`, phone_from: '+919800000000', ...callData });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sessionManager.draining = false;
+});
+
+afterEach(async () => {
+  sessionManager.draining = false;
+  await endAllCalls();
+});
+
+afterAll(() => sessionManager.destroy());
+
+describe('Draining call sessions', () => {
+  test('calls that end before the deadline are left alone', async () => {
+    const { callId } = await startPhoneCall();
+
+    const drained = sessionManager.drain({ timeoutMs: 2000 });
+    await new Promise(resolvePromise => setTimeout(resolvePromise, 20));
+    await sessionManager.endSession(callId);
+
+    expect(await drained).toEqual({ finished: 1, wrappedUp: 0 });
+    expect(db.actions.create).not.toHaveBeenCalled();
+    expect(telephonyRouter.endCall).not.toHaveBeenCalled();
+  });
+
+  test('calls still going at the deadline get a goodbye and a callback request', async () => {
+    const { callId, session } = await startPhoneCall();
+    session.currentIntent = 'REFUND';
+    session.intents.push({ intent: 'REFUND', agentType: 'RefundAgent', source: 'tool', at: Date.now() });
+    session.collectedEntities = { order_id: 'SHOP-1234', phone: '9876543210' };
+    session.stsSession.backend.speak('mera refund kab aayega');
+    await waitForEvent('transcript', callId);
+
+    jest.spyOn(session.stsSession, 'prompt');
+    const hungUp = waitForEvent('call_hangup', callId);
+
+    expect(await sessionManager.drain({ timeoutMs: 20 })).toEqual({ finished: 0, wrappedUp: 1 });
+
+    expect(await hungUp).toEqual({ callId, disposition: 'callback_scheduled' });
+    expect(session.stsSession.prompt.mock.calls[0][0]).toContain('the team will call them back');
+    expect(session.stsSession.prompt.mock.calls[0][0]).toContain('Say in Hindi: "Maaf kijiye sir, system maintenance');
+    expect(telephonyRouter.endCall).toHaveBeenCalledWith(CLIENT_ID, session.callData.call_sid);
+
+    expect(db.actions.create).toHaveBeenCalledWith({
+      call_id: callId,
+      action_type: 'callback_request',
+      params: {
+        phone: '+919800000000',
+        reason: 'server_shutdown',
+        summary: 'mera refund kab aayega',
+        intents: ['REFUND'],
+        in_progress: 'REFUND',
+        entities: { order_id: 'SHOP-1234', phone: '[PHONE]' },
+        language: 'hi'
+      },
+      confidence: 1.0
+    });
+    expect(db.callEvents.create).toHaveBeenCalledWith(expect.objectContaining({
+      call_id: callId,
+      event_type: 'shutdown_wrap_up'
+    }));
+
+    // Ended and summarized before drain() resolved
+    expect(sessionManager.getSession(callId)).toBeUndefined();
+    expect(db.calls.update).toHaveBeenCalledWith(callId, expect.objectContaining({
+      disposition: 'callback_scheduled',
+      summary: expect.any(Object)
+    }));
+  });
+
+  test('simulated calls are wrapped up without a callback request', async () => {
+    const { callId } = await startPhoneCall({ is_simulated: true });
+
+    await sessionManager.drain({ timeoutMs: 0 });
+
+    expect(sessionManager.getSession(callId)).toBeUndefined();
+    expect(db.actions.create).not.toHaveBeenCalled();
+  });
+
+  test('no new calls while draining', async () => {
+    await sessionManager.drain({ timeoutMs: 0 });
+
+    await expect(startPhoneCall()).rejects.toThrow('Server is shutting down, not taking new calls');
+  });
+
+  test('CALL_DRAIN_TIMEOUT_SECONDS sets the deadline', () => {
+    expect(sessionManager.getDrainTimeoutMs()).toBe(60000);
+
+    process.env.CALL_DRAIN_TIMEOUT_SECONDS = '5';
+    expect(sessionManager.getDrainTimeoutMs()).toBe(5000);
+    delete process.env.CALL_DRAIN_TIMEOUT_SECONDS;
+  });
+});
+
+describe('Shutdown', () => {
+  test('drains calls before closing the server, sockets and the database', async () => {
+    const steps = [];
+    const server = { close: jest.fn(() => steps.push('server')) };
+    const database = { close: jest.fn(async () => steps.push('database')) };
+    const manager = {
+      getSessionCount: () => 1,
+      drain: jest.fn(async () => {
+        steps.push('calls');
+        return { finished: 1, wrappedUp: 0 };
+      }),
+      registry: { stop: jest.fn(async () => steps.push('registry')) }
+    };
+    const wss = { close: jest.fn(() => steps.push('wss')) };
+    const onClosed = jest.fn(async () => steps.push('sentry'));
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+
+    const shutdown = new GracefulShutdown(server, database, null, {
+      sessionManager: manager,
+      webSocketServers: [wss],
+      onClosed
+    });
+    await shutdown.shutdown('SIGTERM');
+
+    expect(shutdown.isShuttingDown).toBe(true);
+    expect(steps).toEqual(['calls', 'server', 'wss', 'registry', 'database', 'sentry']);
+    expect(exit).toHaveBeenCalledWith(0);
+    exit.mockRestore();
+  });
+
+  test('/health/ready reports draining', async () => {
+    const app = express();
+    app.locals.shutdown = { isShuttingDown: true };
+    app.use('/health', healthRoutes);
+
+    const res = await request(app).get('/health/ready');
+
+    expect(res.status).toBe(503);
+    expect(res.body.status).toBe('draining');
+  });
+});
@@ -0,0 +1,313 @@
+/**
+ * Intent Classifier Test Suite
+ * Tests for: local TF-IDF intent classifier, confidence calibration and
+ * top-k alternatives, per-sector/client training, regex fallback and
+ * clarifying questions in regex intent mode, labeling transcripts
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb({
+  intentExamples: {
+    create: jest.fn(async (data) => ({ id: 'example-1', ...data })),
+    getByClient: jest.fn().mockResolvedValue([]),
+    getPatternExamples: jest.fn().mockResolvedValue([])
+  }
+}));
+
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+const request = require('supertest');
+const express = require('express');
+const db = require('../db/postgres');
+const IntentClassifier = require('../agents/intentClassifier');
+const IntentDetector = require('../agents/intentDetector');
+const intentModelService = require('../services/intentModelService');
+const sessionManager = require('../sessions/CallSessionManager');
+const sectorConfigRoutes = require('../routes/sectorConfig');
+const { CLIENT_ID, startCall, endAllCalls, waitForEvent } = require('./utils/callTestHelpers');
+
+const SHOP_CALL = { sector: 'ecommerce', intent_mode: 'regex' };
+
+async function say(session, text) {
+  const detected = waitForEvent('intent_detected', session.callId);
+  session.stsSession.backend.speak(text);
+  const detection = await detected;
+  await new Promise(resolvePromise => setImmediate(resolvePromise));
+  return detection;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  intentModelService.models.clear();
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await endAllCalls();
+});
+
+afterAll(() => sessionManager.destroy());
+
+describe('IntentClassifier', () => {
+  const examples = [
+    { text: 'mera order kahan hai', intent: 'ORDER_LOOKUP' },
+    { text: 'order abhi tak nahi aaya', intent: 'ORDER_LOOKUP' },
+    { text: 'delivery kab hogi', intent: 'ORDER_LOOKUP' },
+    { text: 'refund kab aayega', intent: 'REFUND' },
+    { text: 'paisa wapas chahiye', intent: 'REFUND' },
+    { text: 'mujhe mere paise wapas do', intent: 'REFUND' },
+    { text: 'theek hai', intent: 'CHAT' },
+    { text: 'haan ji bataiye', intent: 'CHAT' }
+  ];
+
+  test('classifies phrasing the regex patterns miss, with top-k alternatives', async () => {
+    const classifier = await intentModelService.getClassifier('ecommerce');
+    const text = 'mera parcel abhi tak nahi aaya';
+
+    expect(new IntentDetector().detect(text).intent).toBe('CHAT');
+
+    const prediction = classifier.classify(text);
+    expect(prediction.intent).toBe('ORDER_LOOKUP');
+    expect(prediction.alternatives).toHaveLength(3);
+    expect(prediction.alternatives[0]).toEqual({ intent: 'ORDER_LOOKUP', confidence: prediction.confidence });
+
+    const confidences = prediction.alternatives.map(({ confidence }) => confidence);
+    expect(confidences).toEqual([...confidences].sort((a, b) => b - a));
+    expect(confidences.reduce((sum, value) => sum + value, 0)).toBeLessThanOrEqual(1.001);
+
+    expect(classifier.classify(text, { topK: 5 }).alternatives).toHaveLength(5);
+  });
+
+  test('is surer of clear requests than of mixed ones', () => {
+    const classifier = new IntentClassifier().train(examples);
+
+    const clear = classifier.classify('paisa wapas kab aayega');
+    const mixed = classifier.classify('order ka paisa');
+
+    expect(clear.intent).toBe('REFUND');
+    expect(clear.confidence).toBeGreaterThan(0.8);
+    expect(mixed.confidence).toBeLessThan(clear.confidence);
+  });
+
+  test('fits the softmax temperature on the training examples', () => {
+    const classifier = new IntentClassifier().train(examples);
+
+    expect(classifier.exampleCount).toBe(8);
+    expect(classifier.intents.sort()).toEqual(['CHAT', 'ORDER_LOOKUP', 'REFUND']);
+    expect([0.01, 0.02, 0.03, 0.05, 0.075, 0.1, 0.15, 0.2, 0.3, 0.5, 1]).toContain(classifier.temperature);
+  });
+
+  test('returns null when untrained or when nothing in the text is known', () => {
+    expect(new IntentClassifier().classify('mera order')).toBeNull();
+    expect(new IntentClassifier().train(examples).classify('xyzzy')).toBeNull();
+    expect(new IntentClassifier().train(examples).classify('')).toBeNull();
+  });
+
+  test('handles native scripts', () => {
+    const classifier = new IntentClassifier().train([
+      { text: 'मेरा ऑर्डर कहाँ है', intent: 'ORDER_LOOKUP' },
+      { text: 'ऑर्डर अभी तक नहीं आया', intent: 'ORDER_LOOKUP' },
+      { text: 'पैसा वापस चाहिए', intent: 'REFUND' },
+      { text: 'रिफंड कब आएगा', intent: 'REFUND' }
+    ]);
+
+    expect(classifier.classify('मेरा पार्सल नहीं आया').intent).toBe('ORDER_LOOKUP');
+  });
+});
+
+describe('Intent models per sector and client', () => {
+  test('trains on pattern examples and the client\'s labeled transcripts', async () => {
+    db.intentExamples.getPatternExamples.mockResolvedValueOnce([
+      { intent: 'LOAN_STATUS', examples: ['loan kab approve hoga', 'loan ka status batao'] }
+    ]);
+    db.intentExamples.getByClient.mockResolvedValueOnce([
+      { text: 'emi kab katega', intent: 'EMI_DATE' },
+      { text: 'agli emi ki date', intent: 'EMI_DATE' }
+    ]);
+
+    const prediction = await intentModelService.classify('meri emi kab kategi', {
+      sector: 'fintech',
+      clientId: CLIENT_ID
+    });
+
+    expect(db.intentExamples.getPatternExamples).toHaveBeenCalledWith('fintech');
+    expect(db.intentExamples.getByClient).toHaveBeenCalledWith(CLIENT_ID, 'fintech');
+    expect(prediction.intent).toBe('EMI_DATE');
+    expect(prediction.alternatives.map(({ intent }) => intent)).toEqual(['EMI_DATE', 'LOAN_STATUS']);
+  });
+
+  test('maps pattern intent names onto the agent intents', async () => {
+    db.intentExamples.getPatternExamples.mockResolvedValueOnce([
+      { intent: 'REFUND_STATUS', examples: ['refund status kya hai'] }
+    ]);
+
+    const classifier = await intentModelService.getClassifier('ecommerce');
+
+    expect(classifier.intents).toContain('REFUND');
+    expect(classifier.intents).not.toContain('REFUND_STATUS');
+  });
+
+  test('caches models until invalidated', async () => {
+    await intentModelService.classify('mera order', { sector: 'ecommerce', clientId: CLIENT_ID });
+    await intentModelService.classify('mera refund', { sector: 'ecommerce', clientId: CLIENT_ID });
+    expect(db.intentExamples.getByClient).toHaveBeenCalledTimes(1);
+
+    intentModelService.invalidate('ecommerce', CLIENT_ID);
+    await intentModelService.classify('mera order', { sector: 'ecommerce', clientId: CLIENT_ID });
+    expect(db.intentExamples.getByClient).toHaveBeenCalledTimes(2);
+  });
+
+  test('falls back to the built-in examples when the database is down', async () => {
+    db.intentExamples.getPatternExamples.mockRejectedValueOnce(new Error('connection refused'));
+
+    const prediction = await intentModelService.classify('paisa wapas chahiye', { sector: 'ecommerce' });
+
+    expect(prediction.intent).toBe('REFUND');
+  });
+
+  test('no model for a sector without examples', async () => {
+    expect(await intentModelService.classify('kuch bhi', { sector: 'travel' })).toBeNull();
+  });
+});
+
+describe('Regex intent mode', () => {
+  test('a confident classifier launches the agent', async () => {
+    const launch = jest.spyOn(sessionManager.agentOrchestrator, 'launchAgent').mockResolvedValue();
+    const { callId, session } = await startCall(SHOP_CALL);
+
+    const detection = await say(session, 'mera parcel abhi tak nahi aaya');
+
+    expect(detection).toEqual(expect.objectContaining({
+      source: 'classifier',
+      intent: 'ORDER_LOOKUP',
+      agentType: 'OrderLookupAgent',
+      alternatives: expect.any(Array)
+    }));
+    expect(detection.confidence).toBeGreaterThanOrEqual(0.5);
+    expect(launch).toHaveBeenCalledWith(callId, 'OrderLookupAgent', expect.any(Object));
+    expect(session.intents[0]).toEqual(expect.objectContaining({ intent: 'ORDER_LOOKUP', source: 'classifier' }));
+  });
+
+  test('low confidence falls back to the regex patterns', async () => {
+    const launch = jest.spyOn(sessionManager.agentOrchestrator, 'launchAgent').mockResolvedValue();
+    jest.spyOn(intentModelService, 'classify').mockResolvedValue({
+      intent: 'TRACKING',
+      confidence: 0.35,
+      alternatives: [
+        { intent: 'TRACKING', confidence: 0.35 },
+        { intent: 'REFUND', confidence: 0.3 },
+        { intent: 'CHAT', confidence: 0.2 }
+      ]
+    });
+    const { callId, session } = await startCall(SHOP_CALL);
+
+    const detection = await say(session, 'mera refund kab aayega');
+
+    expect(detection.source).toBe('regex');
+    expect(detection.intent).toBe('REFUND');
+    expect(detection.alternatives[0].intent).toBe('TRACKING');
+    expect(launch).toHaveBeenCalledWith(callId, 'RefundAgent', expect.any(Object));
+  });
+
+  test('asks which one the caller means when two intents are close', async () => {
+    const launch = jest.spyOn(sessionManager.agentOrchestrator, 'launchAgent').mockResolvedValue();
+    jest.spyOn(intentModelService, 'classify').mockResolvedValue({
+      intent: 'REFUND',
+      confidence: 0.41,
+      alternatives: [
+        { intent: 'REFUND', confidence: 0.41 },
+        { intent: 'CHAT', confidence: 0.3 },
+        { intent: 'RETURN_REQUEST', confidence: 0.24 }
+      ]
+    });
+    const { session } = await startCall(SHOP_CALL);
+    const updateContext = jest.spyOn(session.stsSession, 'updateContext');
+
+    const detection = await say(session, 'woh saman ka kuch karna tha');
+
+    expect(detection.intent).toBe('CLARIFY');
+    expect(launch).not.toHaveBeenCalled();
+    expect(updateContext).toHaveBeenCalledWith(expect.stringContaining('a refund or returning a product'));
+    expect(updateContext.mock.calls[0][0]).toContain('Say in Hindi: "Sir, kya aap refund ke baare mein baat kar rahe hain ya product return ke baare mein?"');
+  });
+
+  test('cancellations stay with the regex patterns', async () => {
+    const classify = jest.spyOn(intentModelService, 'classify');
+    const cancel = jest.spyOn(sessionManager.agentOrchestrator, 'cancelAgent').mockResolvedValue();
+    const { callId, session } = await startCall(SHOP_CALL);
+
+    const detection = await say(session, 'rehne do');
+
+    expect(detection).toEqual(expect.objectContaining({ intent: 'CANCEL_ACTION', source: 'regex' }));
+    expect(classify).not.toHaveBeenCalled();
+    expect(cancel).toHaveBeenCalledWith(callId);
+  });
+});
+
+describe('Labeling transcripts', () => {
+  function createApp(user = { id: 'user-1', client_id: CLIENT_ID }) {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.use('/api/sector', sectorConfigRoutes);
+    return app;
+  }
+
+  beforeEach(() => {
+    db.query.mockResolvedValue({ rows: [{ client_id: CLIENT_ID, sector: 'ecommerce' }] });
+  });
+
+  test('saves the label and retrains the client\'s model', async () => {
+    db.calls.getById.mockResolvedValueOnce({ id: 'call-1', client_id: CLIENT_ID });
+    const invalidate = jest.spyOn(intentModelService, 'invalidate');
+
+    const res = await request(createApp())
+      .post('/api/sector/ecommerce/intent-examples')
+      .send({ text: ' mera parcel abhi tak nahi aaya ', intent: 'ORDER_LOOKUP', language: 'hi', call_id: 'call-1' });
+
+    expect(res.status).toBe(201);
+    expect(db.intentExamples.create).toHaveBeenCalledWith({
+      client_id: CLIENT_ID,
+      sector: 'ecommerce',
+      language: 'hi',
+      text: 'mera parcel abhi tak nahi aaya',
+      intent: 'ORDER_LOOKUP',
+      call_id: 'call-1',
+      labeled_by: 'user-1'
+    });
+    expect(invalidate).toHaveBeenCalledWith('ecommerce', CLIENT_ID);
+  });
+
+  test('rejects labels without text or with a malformed intent', async () => {
+    const app = createApp();
+
+    expect((await request(app).post('/api/sector/ecommerce/intent-examples').send({ intent: 'REFUND' })).status).toBe(400);
+    expect((await request(app).post('/api/sector/ecommerce/intent-examples').send({ text: 'refund', intent: 'refund please' })).status).toBe(400);
+    expect(db.intentExamples.create).not.toHaveBeenCalled();
+  });
+
+  test('calls of other clients are not found', async () => {
+    db.calls.getById.mockResolvedValueOnce({ id: 'call-2', client_id: '22222222-2222-2222-2222-222222222222' });
+
+    const res = await request(createApp())
+      .post('/api/sector/ecommerce/intent-examples')
+      .send({ text: 'refund chahiye', intent: 'REFUND', call_id: 'call-2' });
+
+    expect(res.status).toBe(404);
+    expect(db.intentExamples.create).not.toHaveBeenCalled();
+  });
+
+  test('lists the client\'s labels', async () => {
+    db.intentExamples.getByClient.mockResolvedValueOnce([{ id: 'example-1', text: 'refund chahiye', intent: 'REFUND' }]);
+
+    const res = await request(createApp()).get('/api/sector/ecommerce/intent-examples');
+
+    expect(res.status).toBe(200);
+    expect(db.intentExamples.getByClient).toHaveBeenCalledWith(CLIENT_ID, 'ecommerce');
+    expect(res.body.examples).toHaveLength(1);
+  });
+});
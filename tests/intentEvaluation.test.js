@@ -0,0 +1,204 @@
+/**
+ * Intent Evaluation Test Suite
+ * Tests for: labeled intent corpora per sector, precision/recall/F1,
+ * confusion matrix, entity accuracy, the baseline regression gate and the
+ * evaluation endpoint
+ *
+ * The first test is the gate: it fails when an edit to the intent patterns
+ * (or the classifier examples) drops any metric in agents/evaluation/baselines.json
+ * by more than the tolerance. Run `node scripts/evaluate-intents.js` to see
+ * what changed, and `--update-baseline` to accept an improvement.
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb({
+  intentExamples: {
+    create: jest.fn(),
+    getByClient: jest.fn().mockResolvedValue([]),
+    getPatternExamples: jest.fn().mockResolvedValue([])
+  }
+}));
+
+const request = require('supertest');
+const express = require('express');
+const db = require('../db/postgres');
+const IntentDetector = require('../agents/intentDetector');
+const intentEvaluator = require('../agents/evaluation/intentEvaluator');
+const sectorConfigRoutes = require('../routes/sectorConfig');
+const { CLIENT_ID } = require('./utils/callTestHelpers');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Baseline gate', () => {
+  const baselines = intentEvaluator.loadBaselines();
+  const runs = Object.entries(baselines.sectors)
+    .flatMap(([sector, detectors]) => Object.keys(detectors).map(detector => [sector, detector]));
+
+  test.each(runs)('%s / %s has not regressed', (sector, detector) => {
+    const report = intentEvaluator.evaluateCorpus(intentEvaluator.loadCorpus(sector), { detector });
+
+    expect(intentEvaluator.compareToBaseline(report, baselines.sectors[sector][detector], {
+      tolerance: baselines.tolerance
+    })).toEqual([]);
+  });
+
+  test('every corpus is covered by a baseline', () => {
+    expect(intentEvaluator.listCorpora()).toEqual(Object.keys(baselines.sectors).sort());
+  });
+
+  test('a broken intent pattern is caught', () => {
+    const detect = IntentDetector.prototype.detect;
+    jest.spyOn(IntentDetector.prototype, 'detect').mockImplementation(function (text, ...rest) {
+      const detection = detect.call(this, text, ...rest);
+      return detection.intent === 'REFUND' ? { ...detection, intent: 'CHAT' } : detection;
+    });
+
+    const report = intentEvaluator.evaluateCorpus(intentEvaluator.loadCorpus('ecommerce'), { detector: 'intentDetector' });
+    const regressions = intentEvaluator.compareToBaseline(report, baselines.sectors.ecommerce.intentDetector);
+
+    expect(regressions.map(({ metric }) => metric)).toEqual(expect.arrayContaining(['accuracy', 'f1.REFUND', 'f1.CHAT']));
+    expect(regressions.find(({ metric }) => metric === 'f1.REFUND')).toEqual({ metric: 'f1.REFUND', baseline: 1, actual: 0 });
+  });
+});
+
+describe('Corpora', () => {
+  test.each(intentEvaluator.listCorpora())('%s corpus covers Hindi, Hinglish and English', (sector) => {
+    const corpus = intentEvaluator.loadCorpus(sector);
+
+    expect(corpus.sector).toBe(sector);
+    expect(new Set(corpus.utterances.map(({ language }) => language))).toEqual(new Set(['hi', 'hinglish', 'en']));
+    corpus.utterances.forEach(utterance => {
+      expect(utterance).toEqual(expect.objectContaining({ text: expect.any(String), intent: expect.any(String) }));
+    });
+  });
+
+  test('only bundled corpora are loaded by sector name', () => {
+    expect(intentEvaluator.loadCorpus('travel')).toBeNull();
+    expect(intentEvaluator.loadCorpus('../baselines')).toBeNull();
+    expect(intentEvaluator.loadCorpus('corpus/ecommerce.json')).toBeNull();
+  });
+});
+
+describe('Metrics', () => {
+  const corpus = {
+    sector: 'ecommerce',
+    utterances: [
+      { text: 'mera refund kab aayega', language: 'hinglish', intent: 'REFUND', entities: {} },
+      { text: 'paisa wapas chahiye', language: 'hinglish', intent: 'REFUND', entities: {} },
+      { text: 'mera paisa nahi aaya', language: 'hinglish', intent: 'REFUND', entities: {} },
+      { text: 'order 458712 ka status', language: 'hinglish', intent: 'ORDER_LOOKUP', entities: { order_id: '458712' } },
+      { text: 'mera number 9876543210 hai', language: 'hinglish', intent: 'CHAT', entities: { phone: '9876543210' } },
+      { text: 'track my package', language: 'en', intent: 'TRACKING' }
+    ]
+  };
+
+  test('precision, recall, F1 and the confusion matrix', () => {
+    const report = intentEvaluator.evaluateCorpus(corpus, { detector: 'intentDetector' });
+
+    // "mera paisa nahi aaya" and "track my package" come out as CHAT
+    expect(report.accuracy).toBe(0.667);
+    expect(report.intents.REFUND).toEqual({ support: 3, precision: 1, recall: 0.667, f1: 0.8 });
+    expect(report.intents.CHAT).toEqual({ support: 1, precision: 0.333, recall: 1, f1: 0.5 });
+    expect(report.intents.TRACKING).toEqual({ support: 1, precision: 0, recall: 0, f1: 0 });
+    expect(report.macro_f1).toBe(0.575);
+    expect(report.confusion.REFUND).toEqual({ CHAT: 1, ORDER_LOOKUP: 0, REFUND: 2, TRACKING: 0 });
+    expect(report.confusion.TRACKING.CHAT).toBe(1);
+    expect(report.languages).toEqual({
+      hinglish: { total: 5, correct: 4, accuracy: 0.8 },
+      en: { total: 1, correct: 0, accuracy: 0 }
+    });
+    expect(report.errors).toEqual([
+      { text: 'mera paisa nahi aaya', language: 'hinglish', expected: 'REFUND', predicted: 'CHAT' },
+      { text: 'track my package', language: 'en', expected: 'TRACKING', predicted: 'CHAT' }
+    ]);
+  });
+
+  test('entity accuracy counts missed, wrong and spurious values', () => {
+    const report = intentEvaluator.evaluateCorpus(corpus, { detector: 'intentDetector' });
+
+    // The phone number is also read as an order id
+    expect(report.entities.labeled).toBe(5);
+    expect(report.entities.exact).toBe(4);
+    expect(report.entity_accuracy).toBe(0.8);
+    expect(report.entities.types.order_id).toEqual(expect.objectContaining({ expected: 1, correct: 1, spurious: 1 }));
+    expect(report.entities.types.phone).toEqual(expect.objectContaining({ expected: 1, correct: 1, recall: 1 }));
+  });
+
+  test('IntentDetectorV2 and the classifier run on the same corpus', () => {
+    const v2 = intentEvaluator.evaluateCorpus(corpus, { detector: 'intentDetectorV2' });
+    const classifier = intentEvaluator.evaluateCorpus(corpus, { detector: 'classifier' });
+
+    expect(v2.detector).toBe('intentDetectorV2');
+    expect(v2.labels).not.toContain('UNKNOWN');
+    expect(classifier.intents.TRACKING.recall).toBe(1);
+  });
+
+  test('unknown detectors are rejected', () => {
+    expect(() => intentEvaluator.evaluateCorpus(corpus, { detector: 'gpt' })).toThrow('Unknown detector: gpt');
+  });
+
+  test('drops within the tolerance are not regressions', () => {
+    const report = intentEvaluator.evaluateCorpus(corpus, { detector: 'intentDetector' });
+    const baseline = intentEvaluator.toBaseline(report);
+
+    expect(intentEvaluator.compareToBaseline(report, { ...baseline, accuracy: 0.68 })).toEqual([]);
+    expect(intentEvaluator.compareToBaseline(report, { ...baseline, accuracy: 0.7 })).toEqual([
+      { metric: 'accuracy', baseline: 0.7, actual: 0.667 }
+    ]);
+    expect(intentEvaluator.compareToBaseline(report, { ...baseline, f1: { ...baseline.f1, EXCHANGE: 1 } })).toEqual([
+      { metric: 'f1.EXCHANGE', baseline: 1, actual: null }
+    ]);
+  });
+});
+
+describe('Evaluation endpoint', () => {
+  function createApp() {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { id: 'user-1', client_id: CLIENT_ID };
+      next();
+    });
+    app.use('/api/sector', sectorConfigRoutes);
+    return app;
+  }
+
+  beforeEach(() => {
+    db.query.mockResolvedValue({ rows: [{ client_id: CLIENT_ID, sector: 'ecommerce' }] });
+  });
+
+  test('scores a detector against the baseline', async () => {
+    const res = await request(createApp()).get('/api/sector/ecommerce/intent-evaluation?detector=intentDetector');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({
+      sector: 'ecommerce',
+      detector: 'intentDetector',
+      regressions: []
+    }));
+    expect(res.body.confusion.REFUND.REFUND).toBeGreaterThan(0);
+  });
+
+  test('scores the client\'s own classifier', async () => {
+    db.intentExamples.getByClient.mockResolvedValueOnce([{ text: 'parcel nahi pahuncha', intent: 'ORDER_LOOKUP' }]);
+
+    const res = await request(createApp()).get('/api/sector/ecommerce/intent-evaluation?detector=classifier');
+
+    expect(res.status).toBe(200);
+    expect(db.intentExamples.getByClient).toHaveBeenCalledWith(CLIENT_ID, 'ecommerce');
+    expect(res.body.regressions).toBeNull();
+  });
+
+  test('rejects unknown detectors and sectors without a corpus', async () => {
+    const app = createApp();
+
+    expect((await request(app).get('/api/sector/ecommerce/intent-evaluation?detector=gpt')).status).toBe(400);
+    expect((await request(app).get('/api/sector/travel/intent-evaluation')).status).toBe(404);
+  });
+});
@@ -0,0 +1,324 @@
+/**
+ * Intent Queue Test Suite
+ * Tests for: several intents in one caller turn, the per-call agent queue in
+ * the orchestrator (order, shared entities, cancel/escalation), and what the
+ * model is told about pending requests in regex intent mode
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb({
+  intentExamples: {
+    create: jest.fn(),
+    getByClient: jest.fn().mockResolvedValue([]),
+    getPatternExamples: jest.fn().mockResolvedValue([])
+  }
+}));
+
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+const BaseAgent = require('../agents/BaseAgent');
+const IntentDetector = require('../agents/intentDetector');
+const orchestrator = require('../agents/orchestrator');
+const sessionManager = require('../sessions/CallSessionManager');
+const { nextCallId, startCall, endAllCalls, waitForEvent } = require('./utils/callTestHelpers');
+
+const SHOP_CALL = { sector: 'ecommerce', intent_mode: 'regex' };
+
+// Waits for an order id, then stays running until the test finishes it
+class StubAgent extends BaseAgent {
+  constructor(callId, initialData = {}) {
+    super(callId, initialData);
+    this.requiredFields = ['order_id'];
+  }
+
+  async execute() {
+    if (!this.hasRequiredData()) {
+      this.state = 'WAITING_FOR_INFO';
+      this.requestMissingInfo();
+      return;
+    }
+    this.state = 'RUNNING';
+  }
+}
+
+// Named like the agents they stand in for (events carry the class name)
+class CancelOrderAgent extends StubAgent {}
+class RefundAgent extends StubAgent {}
+class TrackingAgent extends StubAgent {}
+
+const STUB_AGENTS = { CancelOrderAgent, RefundAgent, TrackingAgent };
+const realAgents = {};
+
+async function say(session, text) {
+  const detected = waitForEvent('intent_detected', session.callId);
+  session.stsSession.backend.speak(text);
+  const detection = await detected;
+  await new Promise(resolvePromise => setImmediate(resolvePromise));
+  return detection;
+}
+
+function flush() {
+  return new Promise(resolvePromise => setImmediate(resolvePromise));
+}
+
+beforeAll(() => {
+  Object.entries(STUB_AGENTS).forEach(([agentType, AgentClass]) => {
+    realAgents[agentType] = orchestrator.agentRegistry[agentType];
+    orchestrator.agentRegistry[agentType] = AgentClass;
+  });
+});
+
+afterAll(() => {
+  Object.assign(orchestrator.agentRegistry, realAgents);
+  return sessionManager.destroy();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await endAllCalls();
+});
+
+describe('Detecting several intents', () => {
+  const detector = new IntentDetector();
+
+  test('returns the intents in the order the caller said them', () => {
+    const detection = detector.detect('Order cancel karo aur refund kab aayega batao', [], 'hi');
+
+    expect(detection.intent).toBe('CANCEL_ORDER');
+    expect(detection.agentType).toBe('CancelOrderAgent');
+    expect(detection.intents.map(({ intent }) => intent)).toEqual(['CANCEL_ORDER', 'REFUND']);
+    expect(detection.intents[1]).toEqual(expect.objectContaining({ agentType: 'RefundAgent', text: 'refund kab aayega batao' }));
+  });
+
+  test('entities of the whole turn are on the detection, each clause keeps its own', () => {
+    const detection = detector.detect('refund chahiye aur order 458712 track karna hai');
+
+    expect(detection.intents.map(({ intent }) => intent)).toEqual(['REFUND', 'ORDER_LOOKUP']);
+    expect(detection.entities.order_id).toBe('458712');
+    expect(detection.intents[0].entities).toEqual({});
+    expect(detection.intents[1].entities.order_id).toBe('458712');
+  });
+
+  test('one intent per turn has no intents list', () => {
+    const detection = detector.detect('mera refund kab aayega aur kitna aayega');
+
+    expect(detection.intent).toBe('REFUND');
+    expect(detection.intents).toBeUndefined();
+  });
+
+  test('"order cancel karo" cancels the order, plain "cancel karo" cancels the action', () => {
+    expect(detector.detect('mera order cancel karo').intent).toBe('CANCEL_ORDER');
+    expect(detector.detect('cancel karo').intent).toBe('CANCEL_ACTION');
+  });
+});
+
+describe('Agent queue', () => {
+  test('runs queued agents one after another with shared entities', async () => {
+    const callId = nextCallId();
+    const completed = [];
+    const onCompleted = data => data.callId === callId && completed.push(data.agentType);
+    orchestrator.on('agent_completed', onCompleted);
+
+    const result = await orchestrator.queueAgents(callId, [
+      { agentType: 'CancelOrderAgent', intent: 'CANCEL_ORDER', data: { order_id: '458712' } },
+      { agentType: 'RefundAgent', intent: 'REFUND', data: { reason: 'late' } }
+    ]);
+
+    expect(result).toEqual({
+      launched: 'CancelOrderAgent',
+      queued: ['RefundAgent'],
+      pending: [{ agentType: 'RefundAgent', intent: 'REFUND' }]
+    });
+
+    orchestrator.getAgent(callId).complete({ success: true, contextUpdate: 'Order cancelled.' });
+    await flush();
+
+    const refund = orchestrator.getAgent(callId);
+    expect(refund).toBeInstanceOf(RefundAgent);
+    // The order id the cancellation had carries over
+    expect(refund.data).toEqual(expect.objectContaining({ order_id: '458712', reason: 'late' }));
+    expect(refund.state).toBe('RUNNING');
+    expect(orchestrator.getQueue(callId)).toEqual([]);
+    expect(completed).toEqual(['CancelOrderAgent']);
+
+    orchestrator.off('agent_completed', onCompleted);
+    await orchestrator.cancelAgent(callId);
+  });
+
+  test('a new request waits behind a running agent instead of cancelling it', async () => {
+    const callId = nextCallId();
+    await orchestrator.queueAgents(callId, [{ agentType: 'CancelOrderAgent', intent: 'CANCEL_ORDER', data: { order_id: '458712' } }]);
+    const cancelAgent = orchestrator.getAgent(callId);
+
+    const result = await orchestrator.queueAgents(callId, [{ agentType: 'TrackingAgent', intent: 'TRACKING', data: {} }]);
+
+    expect(result.launched).toBeNull();
+    expect(result.queued).toEqual(['TrackingAgent']);
+    expect(orchestrator.getAgent(callId)).toBe(cancelAgent);
+    expect(cancelAgent.state).toBe('RUNNING');
+
+    await orchestrator.cancelAgent(callId);
+  });
+
+  test('an agent waiting for an answer makes way for a new request and resumes after it', async () => {
+    const callId = nextCallId();
+    await orchestrator.queueAgents(callId, [
+      { agentType: 'CancelOrderAgent', intent: 'CANCEL_ORDER', data: { reason: 'late' } },
+      { agentType: 'RefundAgent', intent: 'REFUND', data: {} }
+    ]);
+    const cancelAgent = orchestrator.getAgent(callId);
+    expect(cancelAgent.state).toBe('WAITING_FOR_INFO');
+
+    const result = await orchestrator.queueAgents(callId, [{ agentType: 'TrackingAgent', intent: 'TRACKING', data: { order_id: '998877' } }]);
+
+    expect(result).toEqual({
+      launched: 'TrackingAgent',
+      queued: ['CancelOrderAgent'],
+      pending: [
+        { agentType: 'CancelOrderAgent', intent: 'CANCEL_ORDER' },
+        { agentType: 'RefundAgent', intent: 'REFUND' }
+      ]
+    });
+    expect(cancelAgent.isCancelled).toBe(true);
+    expect(orchestrator.getAgent(callId)).toBeInstanceOf(TrackingAgent);
+
+    orchestrator.getAgent(callId).complete({ success: true, contextUpdate: 'Order is on the way.' });
+    await flush();
+
+    // Back with what it had gathered, and the order id the caller gave since
+    const resumed = orchestrator.getAgent(callId);
+    expect(resumed).toBeInstanceOf(CancelOrderAgent);
+    expect(resumed.data).toEqual(expect.objectContaining({ reason: 'late', order_id: '998877' }));
+    expect(orchestrator.getQueue(callId)).toEqual([{ agentType: 'RefundAgent', intent: 'REFUND' }]);
+
+    await orchestrator.cancelAgent(callId);
+  });
+
+  test('asking again for a running or queued agent adds to its data', async () => {
+    const callId = nextCallId();
+    await orchestrator.queueAgents(callId, [
+      { agentType: 'CancelOrderAgent', intent: 'CANCEL_ORDER', data: {} },
+      { agentType: 'RefundAgent', intent: 'REFUND', data: {} }
+    ]);
+
+    const result = await orchestrator.queueAgents(callId, [
+      { agentType: 'RefundAgent', intent: 'REFUND', data: { reason: 'damaged' } },
+      { agentType: 'CancelOrderAgent', intent: 'CANCEL_ORDER', data: { order_id: '776655' } }
+    ]);
+
+    expect(result.queued).toEqual([]);
+    expect(orchestrator.getAgent(callId).data.order_id).toBe('776655');
+    expect(orchestrator.agentQueues.get(callId)[0].data).toEqual({ reason: 'damaged' });
+
+    await orchestrator.cancelAgent(callId);
+  });
+
+  test('a failed agent moves the queue on', async () => {
+    const callId = nextCallId();
+    await orchestrator.queueAgents(callId, [
+      { agentType: 'CancelOrderAgent', intent: 'CANCEL_ORDER', data: { order_id: '1234' } },
+      { agentType: 'RefundAgent', intent: 'REFUND', data: {} }
+    ]);
+
+    orchestrator.getAgent(callId).handleError(new Error('Shopify down'));
+    await flush();
+
+    expect(orchestrator.getAgent(callId)).toBeInstanceOf(RefundAgent);
+    await orchestrator.cancelAgent(callId);
+  });
+
+  test('cancelling or escalating drops the queue', async () => {
+    const callId = nextCallId();
+    await orchestrator.queueAgents(callId, [
+      { agentType: 'CancelOrderAgent', intent: 'CANCEL_ORDER', data: {} },
+      { agentType: 'RefundAgent', intent: 'REFUND', data: {} }
+    ]);
+
+    await orchestrator.cancelAgent(callId);
+    expect(orchestrator.getQueue(callId)).toEqual([]);
+
+    const escalated = nextCallId();
+    await orchestrator.queueAgents(escalated, [
+      { agentType: 'CancelOrderAgent', intent: 'CANCEL_ORDER', data: {} },
+      { agentType: 'RefundAgent', intent: 'REFUND', data: {} }
+    ]);
+    orchestrator.getAgent(escalated).emit('need_escalation', { reason: 'angry customer' });
+
+    expect(orchestrator.getQueue(escalated)).toEqual([]);
+    await orchestrator.cancelAgent(escalated);
+  });
+});
+
+describe('Regex intent mode', () => {
+  test('launches the first request and tells the model what is pending', async () => {
+    const { callId, session } = await startCall(SHOP_CALL);
+    const updateContext = jest.spyOn(session.stsSession, 'updateContext');
+
+    const detection = await say(session, 'Order cancel karo aur refund kab aayega batao');
+
+    expect(detection.source).toBe('regex');
+    expect(detection.intents).toEqual([
+      { intent: 'CANCEL_ORDER', agentType: 'CancelOrderAgent' },
+      { intent: 'REFUND', agentType: 'RefundAgent' }
+    ]);
+    expect(session.intents.map(({ intent }) => intent)).toEqual(['CANCEL_ORDER', 'REFUND']);
+    expect(orchestrator.getAgent(callId)).toBeInstanceOf(CancelOrderAgent);
+    expect(orchestrator.getQueue(callId)).toEqual([{ agentType: 'RefundAgent', intent: 'REFUND' }]);
+    expect(session.currentIntent).toBe('CANCEL_ORDER');
+
+    const pendingPrompt = updateContext.mock.calls.map(([text]) => text).find(text => text.includes('also asked about'));
+    expect(pendingPrompt).toContain('The customer also asked about a refund. Help with cancelling an order first');
+    expect(pendingPrompt).toContain('Say in Hindi: "Ji sir, pehle order cancel karne wali baat kar lete hain, uske baad refund ke baare mein bhi madad karti hoon."');
+  });
+
+  test('the next request starts when the current agent finishes', async () => {
+    const { callId, session } = await startCall(SHOP_CALL);
+    await say(session, 'Order cancel karo aur refund kab aayega batao');
+    const updateContext = jest.spyOn(session.stsSession, 'updateContext');
+
+    // The caller gives the order id the cancellation asked for
+    await say(session, 'order 458712');
+    expect(orchestrator.getAgent(callId).data.order_id).toBe('458712');
+
+    orchestrator.getAgent(callId).complete({ success: true, contextUpdate: 'Order cancelled.' });
+    await flush();
+
+    expect(updateContext).toHaveBeenCalledWith(
+      'SYSTEM: Order cancelled. Then move on to the next thing the customer asked about: a refund.',
+      false
+    );
+    expect(orchestrator.getAgent(callId)).toBeInstanceOf(RefundAgent);
+    expect(orchestrator.getAgent(callId).data.order_id).toBe('458712');
+    expect(session.currentIntent).toBe('REFUND');
+    expect(session.agentOutcomes).toEqual([expect.objectContaining({ agent_type: 'CancelOrderAgent', status: 'completed' })]);
+  });
+
+  test('a new request while the agent waits for an answer starts right away', async () => {
+    const { callId, session } = await startCall(SHOP_CALL);
+    await say(session, 'mera order cancel karo');
+    expect(session.waitingForEntity).toBe('order_id');
+    const updateContext = jest.spyOn(session.stsSession, 'updateContext');
+
+    await say(session, 'refund kab aayega');
+
+    expect(orchestrator.getAgent(callId)).toBeInstanceOf(RefundAgent);
+    expect(orchestrator.getQueue(callId)).toEqual([{ agentType: 'CancelOrderAgent', intent: 'CANCEL_ORDER' }]);
+    expect(session.currentIntent).toBe('REFUND');
+    expect(updateContext).toHaveBeenCalledWith(expect.stringContaining('The customer also asked about cancelling an order. Help with a refund first'));
+  });
+
+  test('"rehne do" cancels the current request and the pending ones', async () => {
+    const { callId, session } = await startCall(SHOP_CALL);
+    await say(session, 'Order cancel karo aur refund kab aayega batao');
+
+    await say(session, 'rehne do');
+
+    expect(orchestrator.hasActiveAgent(callId)).toBe(false);
+    expect(orchestrator.getQueue(callId)).toEqual([]);
+  });
+});
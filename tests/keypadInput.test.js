@@ -0,0 +1,278 @@
+/**
+ * Keypad Input Test Suite
+ * Tests for: DTMF entry of agent fields ended with '#', masked PIN/OTP
+ * entry, "press 1 to confirm" before order cancellation
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb());
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+jest.mock('../services/ShopifyService', () => ({
+  getOrder: jest.fn(),
+  cancelOrder: jest.fn()
+}));
+
+const db = require('../db/postgres');
+const ShopifyService = require('../services/ShopifyService');
+const BaseAgent = require('../agents/BaseAgent');
+const orchestrator = require('../agents/orchestrator');
+const sessionManager = require('../sessions/CallSessionManager');
+const KeypadInput = require('../sessions/KeypadInput');
+const {
+  startCall,
+  endAllCalls,
+  waitUntil,
+  press,
+  sent,
+  systemMessages,
+  toolOutputs,
+  recordedEvents
+} = require('./utils/callTestHelpers');
+
+// Looks an order up once it has the order number
+class KeypadLookupAgent extends BaseAgent {
+  constructor(callId, initialData = {}) {
+    super(callId, initialData);
+    this.requiredFields = ['order_id'];
+  }
+
+  async execute() {
+    if (!this.hasRequiredData()) {
+      this.state = 'WAITING_FOR_INFO';
+      this.requestMissingInfo();
+      return;
+    }
+    this.complete({ success: true, contextUpdate: `Order ${this.data.order_id} is out for delivery` });
+  }
+}
+
+// Checks the account PIN typed on the keypad
+class KeypadPinAgent extends BaseAgent {
+  constructor(callId, initialData = {}) {
+    super(callId, initialData);
+    this.requiredFields = ['pin'];
+  }
+
+  async execute() {
+    if (!this.hasRequiredData()) {
+      this.state = 'WAITING_FOR_INFO';
+      this.requestMissingInfo();
+      return;
+    }
+    const verified = this.data.pin === '4321';
+    this.complete({ success: verified, contextUpdate: verified ? 'PIN verified' : 'Wrong PIN' });
+  }
+}
+
+// Registers the phone number typed on the keypad
+class KeypadPhoneAgent extends BaseAgent {
+  constructor(callId, initialData = {}) {
+    super(callId, initialData);
+    this.requiredFields = ['phone'];
+  }
+
+  async execute() {
+    if (!this.hasRequiredData()) {
+      this.state = 'WAITING_FOR_INFO';
+      this.requestMissingInfo();
+      return;
+    }
+    this.complete({ success: true, contextUpdate: 'Phone registered' });
+  }
+}
+
+beforeAll(() => {
+  orchestrator.agentRegistry.KeypadLookupAgent = KeypadLookupAgent;
+  orchestrator.agentRegistry.KeypadPinAgent = KeypadPinAgent;
+  orchestrator.agentRegistry.KeypadPhoneAgent = KeypadPhoneAgent;
+});
+
+afterAll(() => {
+  delete orchestrator.agentRegistry.KeypadLookupAgent;
+  delete orchestrator.agentRegistry.KeypadPinAgent;
+  delete orchestrator.agentRegistry.KeypadPhoneAgent;
+  return sessionManager.destroy();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.actions.create.mockResolvedValue({ id: 'act-1' });
+});
+
+afterEach(() => endAllCalls());
+
+describe('KeypadInput', () => {
+  test('collects digits for a field until #, * starts over', () => {
+    const keypad = new KeypadInput('call-1');
+    expect(keypad.expectEntity('order_id')).toBe(true);
+
+    expect(keypad.push('9')).toBeNull();
+    expect(keypad.push('*')).toBeNull();
+    ['1', '2', '3'].forEach(digit => expect(keypad.push(digit)).toBeNull());
+
+    expect(keypad.push('#')).toEqual({ kind: 'entity', field: 'order_id', value: '123', secret: false });
+    expect(keypad.expected).toBeNull();
+    expect(keypad.push('5')).toBeNull();
+  });
+
+  test('only number-like fields can be typed; PINs and OTPs are secret', () => {
+    const keypad = new KeypadInput('call-1');
+
+    expect(keypad.expectEntity('reason')).toBe(false);
+    expect(keypad.expected).toBeNull();
+
+    ['phone', 'pin_code', 'tracking_number', 'booking_reference'].forEach(field => {
+      expect(KeypadInput.acceptsField(field)).toBe(true);
+      expect(KeypadInput.isSecretField(field)).toBe(false);
+    });
+    ['pin', 'otp', 'upi_pin'].forEach(field => expect(KeypadInput.isSecretField(field)).toBe(true));
+
+    keypad.expectEntity('otp');
+    expect(keypad.isSecret()).toBe(true);
+  });
+
+  test('confirmation takes 1 or 2 and ignores other keys', () => {
+    const keypad = new KeypadInput('call-1');
+    keypad.expectConfirmation('CancelOrderAgent');
+
+    expect(keypad.push('5')).toBeNull();
+    expect(keypad.push('#')).toBeNull();
+    expect(keypad.push('1')).toEqual({ kind: 'confirm', agentType: 'CancelOrderAgent', confirmed: true });
+
+    keypad.expectConfirmation();
+    expect(keypad.push('2')).toEqual({ kind: 'confirm', agentType: null, confirmed: false });
+  });
+});
+
+describe('Keypad entry on calls', () => {
+  test('typed order number goes to the waiting agent and its result is spoken', async () => {
+    const { callId, session } = await startCall();
+
+    await sessionManager.handleFunctionCall(session, { call_id: 'fc-1', name: 'KeypadLookupAgent', arguments: {} });
+    const [needsInfo] = await waitUntil(() => toolOutputs(session).length && toolOutputs(session));
+
+    expect(needsInfo).toMatchObject({ status: 'needs_info', missing_field: 'order_id' });
+    expect(needsInfo.message).toContain('keypad and press #');
+    expect(session.waitingForEntity).toBe('order_id');
+
+    const keypadInput = jest.fn();
+    sessionManager.on('keypad_input', keypadInput);
+    const responsesBefore = sent(session).filter(event => event.type === 'response.create').length;
+
+    press(callId, '98765#');
+    sessionManager.off('keypad_input', keypadInput);
+
+    const result = await waitUntil(() => systemMessages(session).find(text => text.includes('out for delivery')));
+    expect(result).toBe('SYSTEM: Order 98765 is out for delivery');
+    expect(systemMessages(session)).toContain('SYSTEM: The customer typed the order_id on the keypad: 98765. It has been passed on - wait for the result.');
+
+    // The result is answered right away, without a caller turn
+    const events = sent(session);
+    const resultIndex = events.findIndex(event => event.item && event.item.content && event.item.content[0].text === result);
+    expect(events[resultIndex + 1]).toEqual({ type: 'response.create' });
+    expect(events.filter(event => event.type === 'response.create').length).toBe(responsesBefore + 1);
+
+    expect(keypadInput).toHaveBeenCalledWith({ callId, kind: 'entity', field: 'order_id', value: '98765' });
+    expect(session.waitingForEntity).toBeNull();
+    expect(session.collectedEntities.order_id).toBe('98765');
+    expect(recordedEvents('dtmf_entry')[0].payload).toEqual({ field: 'order_id', value: '98765' });
+  });
+
+  test('PIN digits are masked everywhere and never reach the model', async () => {
+    const { callId, session } = await startCall();
+
+    await sessionManager.handleFunctionCall(session, { call_id: 'fc-2', name: 'KeypadPinAgent', arguments: {} });
+    const [needsInfo] = await waitUntil(() => toolOutputs(session).length && toolOutputs(session));
+    expect(needsInfo.message).toContain('never ask them to say it aloud');
+
+    const dtmf = jest.fn();
+    sessionManager.on('dtmf', dtmf);
+    press(callId, '4321#');
+    sessionManager.off('dtmf', dtmf);
+
+    await waitUntil(() => systemMessages(session).includes('SYSTEM: PIN verified'));
+
+    expect(dtmf).toHaveBeenCalledTimes(5);
+    dtmf.mock.calls.forEach(([event]) => expect(event).toEqual({ callId, masked: true }));
+    expect(session.dtmfDigits.every(entry => entry.digit === null && entry.masked)).toBe(true);
+    expect(recordedEvents('dtmf').map(event => event.payload)).toEqual(Array(5).fill({ masked: true }));
+    expect(recordedEvents('dtmf_entry')[0].payload).toEqual({ field: 'pin', masked: true });
+
+    expect(JSON.stringify(sent(session))).not.toContain('4321');
+    expect(session.collectedEntities.pin).toBeUndefined();
+  });
+
+  test('a typed phone number is stored and relayed redacted, not key by key', async () => {
+    const { callId, session } = await startCall();
+    const keypadInput = jest.fn();
+    sessionManager.on('keypad_input', keypadInput);
+
+    await sessionManager.handleFunctionCall(session, { call_id: 'fc-5', name: 'KeypadPhoneAgent', arguments: {} });
+    await waitUntil(() => toolOutputs(session).length);
+
+    press(callId, '9876543210#');
+    await waitUntil(() => systemMessages(session).includes('SYSTEM: Phone registered'));
+    sessionManager.off('keypad_input', keypadInput);
+
+    expect(recordedEvents('dtmf').map(event => event.payload)).toEqual(Array(11).fill({ field: 'phone' }));
+    expect(recordedEvents('dtmf_entry')[0].payload).toEqual({ field: 'phone', value: '[PHONE]' });
+    expect(JSON.stringify(db.callEvents.create.mock.calls)).not.toContain('9876543210');
+    expect(keypadInput).toHaveBeenCalledWith({ callId, kind: 'entity', field: 'phone', value: '[PHONE]' });
+  });
+
+  test('keys pressed while nothing is expected are only recorded', async () => {
+    const { callId, session } = await startCall();
+    const sentBefore = sent(session).length;
+
+    press(callId, '12#');
+
+    expect(session.dtmfDigits.map(entry => entry.digit)).toEqual(['1', '2', '#']);
+    expect(recordedEvents('dtmf')).toHaveLength(3);
+    expect(recordedEvents('dtmf_entry')).toHaveLength(0);
+    expect(sent(session).length).toBe(sentBefore);
+  });
+});
+
+describe('Press 1 to confirm', () => {
+  test('order cancellation waits for 1 before touching the order', async () => {
+    ShopifyService.getOrder.mockResolvedValue({ id: '555' });
+    ShopifyService.cancelOrder.mockResolvedValue({ cancelled: true });
+    const { callId, session } = await startCall();
+
+    await sessionManager.handleFunctionCall(session, { call_id: 'fc-3', name: 'CancelOrderAgent', arguments: { order_id: '555' } });
+    const [needsConfirmation] = await waitUntil(() => toolOutputs(session).length && toolOutputs(session));
+
+    expect(needsConfirmation).toMatchObject({ success: false, status: 'needs_confirmation' });
+    expect(needsConfirmation.message).toContain('cancel order 555');
+    expect(needsConfirmation.message).toContain('press 1');
+    expect(db.actions.create).not.toHaveBeenCalled();
+    expect(ShopifyService.cancelOrder).not.toHaveBeenCalled();
+    expect(orchestrator.isAgentBusy(callId)).toBe(false);
+
+    press(callId, '1');
+
+    await waitUntil(() => systemMessages(session).find(text => text.includes('Order cancelled successfully')));
+    expect(db.actions.create).toHaveBeenCalledWith(expect.objectContaining({ action_type: 'cancel_order', params: { order_id: '555' } }));
+    expect(ShopifyService.cancelOrder).toHaveBeenCalled();
+    expect(recordedEvents('confirmation_requested')[0].payload).toEqual({ agent_type: 'CancelOrderAgent', summary: 'cancel order 555' });
+    expect(recordedEvents('dtmf_confirmation')[0].payload).toEqual({ agent_type: 'CancelOrderAgent', confirmed: true });
+  });
+
+  test('pressing 2 cancels nothing and tells the model', async () => {
+    const { callId, session } = await startCall();
+
+    await sessionManager.handleFunctionCall(session, { call_id: 'fc-4', name: 'CancelOrderAgent', arguments: { order_id: '777' } });
+    await waitUntil(() => toolOutputs(session).length);
+
+    press(callId, '2');
+
+    const declined = await waitUntil(() => systemMessages(session).find(text => text.includes('did not confirm')));
+    expect(declined).toContain('nothing was changed');
+    expect(systemMessages(session)).toContain('SYSTEM: The customer pressed 2 to cancel.');
+    expect(db.actions.create).not.toHaveBeenCalled();
+    expect(ShopifyService.getOrder).not.toHaveBeenCalled();
+    expect(session.keypad.expected).toBeNull();
+  });
+});
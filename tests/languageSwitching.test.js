@@ -0,0 +1,222 @@
+/**
+ * Language Switching Test Suite
+ * Tests for: per-turn language detection, allowed/default languages per client,
+ * switching instructions, voice and intent patterns, calls.language
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb());
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+const db = require('../db/postgres');
+const sessionManager = require('../sessions/CallSessionManager');
+const promptTemplateService = require('../services/promptTemplateService');
+const IntentDetector = require('../agents/intentDetector');
+const { detectLanguage } = require('../utils/languageDetector');
+const { CLIENT_ID, startCall, endAllCalls, waitForEvent } = require('./utils/callTestHelpers');
+
+function mockClient(localization = {}, persona = {}) {
+  db.clients.getById.mockResolvedValue({
+    id: CLIENT_ID,
+    name: 'Shoe Store',
+    settings: { localization: { language: 'hi', ...localization }, persona }
+  });
+}
+
+// Sends are spied from after the opening session.update
+async function startSpiedCall(callData = {}) {
+  const call = await startCall(callData);
+  jest.spyOn(call.session.stsSession, 'send');
+  return call;
+}
+
+// Caller turn, resolved once the session has handled it (language tracked, intent detected)
+async function say(session, text) {
+  const handled = waitForEvent('transcript', session.callId);
+  session.stsSession.backend.speak(text);
+  await handled;
+  await new Promise(resolvePromise => setImmediate(resolvePromise));
+}
+
+function sessionUpdates(session) {
+  return session.stsSession.send.mock.calls
+    .map(([event]) => event)
+    .filter(event => event.type === 'session.update')
+    .map(event => event.session);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.clients.getById.mockResolvedValue(null);
+});
+
+afterEach(() => endAllCalls());
+
+afterAll(() => sessionManager.destroy());
+
+describe('detectLanguage', () => {
+  test('native scripts', () => {
+    expect(detectLanguage('என் ஆர்டர் எங்கே')).toEqual({ language: 'ta', confidence: 0.95 });
+    expect(detectLanguage('আমার অর্ডার কোথায়')).toEqual({ language: 'bn', confidence: 0.95 });
+    expect(detectLanguage('मेरा ऑर्डर कहाँ है').language).toBe('hi');
+    expect(detectLanguage('माझा ऑर्डर कुठे आहे').language).toBe('mr');
+  });
+
+  test('romanized speech is told apart by common words', () => {
+    expect(detectLanguage('mera order kahan hai').language).toBe('hi');
+    expect(detectLanguage('enna aachu en order').language).toBe('ta');
+    expect(detectLanguage('amar order kothay').language).toBe('bn');
+    expect(detectLanguage('I want to cancel my order')).toEqual({ language: 'en', confidence: 0.85 });
+  });
+
+  test('English words in Hinglish do not make it English', () => {
+    expect(detectLanguage('I want to return karna hai').language).toBe('hi');
+  });
+
+  test('nothing to go on, or a language the client does not serve', () => {
+    expect(detectLanguage('12345')).toBeNull();
+    expect(detectLanguage('ok')).toBeNull();
+    expect(detectLanguage('என் ஆர்டர் எங்கே', { allowed: ['hi', 'en'] })).toBeNull();
+  });
+});
+
+describe('IntentDetector language patterns', () => {
+  const detector = new IntentDetector();
+
+  test('adds the call language\'s intents and entities', () => {
+    const tamil = 'என் ஆர்டர் எங்கே இருக்கு, ஆர்டர் நம்பர் 45678';
+
+    expect(detector.detect(tamil).intent).toBe('CHAT');
+
+    const detection = detector.detect(tamil, [], 'ta');
+    expect(detection.intent).toBe('ORDER_LOOKUP');
+    expect(detection.agentType).toBe('OrderLookupAgent');
+    expect(detection.entities.order_id).toBe('45678');
+
+    expect(detector.detect('টাকা ফেরত চাই', [], 'bn').intent).toBe('REFUND');
+    expect(detector.detect('where is my order', [], 'en').intent).toBe('ORDER_LOOKUP');
+  });
+
+  test('Hinglish patterns stay on in every language', () => {
+    expect(detector.detect('mera order kahan hai', [], 'ta').intent).toBe('ORDER_LOOKUP');
+    expect(detector.detect('வேண்டாம்', [], 'ta').intent).toBe('CANCEL_ACTION');
+  });
+});
+
+describe('Client languages', () => {
+  test('allowed languages come from settings.localization, default first', async () => {
+    mockClient({ language: 'en', languages: ['ta', 'bn', 'xx'] });
+    const persona = await promptTemplateService.resolveCallPersona(CLIENT_ID);
+
+    expect(persona.language).toBe('en');
+    expect(persona.allowedLanguages).toEqual(['en', 'ta', 'bn']);
+  });
+
+  test('every supported language when none are configured', async () => {
+    const persona = await promptTemplateService.resolveCallPersona(CLIENT_ID);
+    expect(persona.allowedLanguages).toEqual(['hi', 'en', 'ta', 'bn', 'mr']);
+  });
+
+  test('voice per language from settings.persona.voices', async () => {
+    mockClient({}, { voice: 'alloy', voices: { ta: 'shimmer' } });
+
+    const tamil = await promptTemplateService.resolveCallPersona(CLIENT_ID, { language: 'ta' });
+    const hindi = await promptTemplateService.resolveCallPersona(CLIENT_ID);
+
+    expect(tamil.voice).toBe('shimmer');
+    expect(tamil.sayLanguage).toBe('ta-IN');
+    expect(tamil.instructions).toContain('Speak ONLY in Tamil');
+    expect(hindi.voice).toBe('alloy');
+  });
+});
+
+describe('Switching languages on a call', () => {
+  test('a clear Tamil turn switches prompt, voice and calls.language', async () => {
+    mockClient({}, { voices: { ta: 'shimmer' } });
+    const { callId, session } = await startSpiedCall();
+    const switched = waitForEvent('language_switched', callId);
+
+    session.stsSession.backend.speak('என் ஆர்டர் எங்கே இருக்கு');
+
+    expect(await switched).toEqual({ callId, from: 'hi', to: 'ta', confidence: 0.95 });
+    expect(session.language).toBe('ta');
+    expect(session.persona.language).toBe('ta');
+
+    const update = sessionUpdates(session).pop();
+    expect(update.instructions).toContain('Speak ONLY in Tamil');
+    expect(update.instructions).toContain('reply only in Tamil');
+    expect(update.voice).toBe('shimmer');
+
+    expect(db.calls.update).toHaveBeenCalledWith(callId, { language: 'ta' });
+    expect(db.callEvents.create).toHaveBeenCalledWith(expect.objectContaining({
+      call_id: callId,
+      event_type: 'language_switched',
+      payload: { from: 'hi', to: 'ta', confidence: 0.95 }
+    }));
+
+    // Dead-air prompts and the stored call follow the new language
+    expect(sessionManager.buildSilencePrompt(session, 'reprompt')).toContain('Speak in Tamil.');
+    await sessionManager.endSession(callId);
+    expect(db.calls.update).toHaveBeenLastCalledWith(callId, expect.objectContaining({ language: 'ta' }));
+  });
+
+  test('a weak hint must repeat before switching', async () => {
+    const { callId, session } = await startSpiedCall();
+    const switched = jest.fn();
+    sessionManager.on('language_switched', switched);
+
+    await say(session, 'ok please');
+    expect(session.languageCandidate).toEqual({ language: 'en', turns: 1 });
+
+    // Back in Hindi: the hint is dropped
+    await say(session, 'haan ji, mera order kahan hai');
+    expect(session.languageCandidate).toBeNull();
+
+    await say(session, 'ok please');
+    expect(switched).not.toHaveBeenCalled();
+    await say(session, 'yes please');
+    sessionManager.off('language_switched', switched);
+
+    expect(switched).toHaveBeenCalledWith(expect.objectContaining({ callId, from: 'hi', to: 'en' }));
+    expect(session.language).toBe('en');
+  });
+
+  test('a client with one language never switches', async () => {
+    mockClient({ language: 'hi', languages: ['hi'] });
+    const { session } = await startSpiedCall();
+
+    await say(session, 'என் ஆர்டர் எங்கே இருக்கு');
+
+    expect(session.language).toBe('hi');
+    expect(sessionUpdates(session)).toHaveLength(0);
+  });
+
+  test('keeps the voice on backends that fix it once audio was produced', async () => {
+    mockClient({}, { voices: { bn: 'shimmer' } });
+    const { session } = await startSpiedCall();
+    session.stsSession.backend.voiceFixedAfterAudio = true;
+
+    await say(session, 'mera order kahan hai');
+    await new Promise(resolvePromise => setTimeout(resolvePromise, 50));
+    expect(session.stsSession.hasSpoken).toBe(true);
+
+    await say(session, 'আমার অর্ডার কোথায়');
+
+    const update = sessionUpdates(session).pop();
+    expect(session.language).toBe('bn');
+    expect(update.instructions).toContain('Speak ONLY in Bengali');
+    expect(update.voice).toBe('alloy');
+  });
+
+  test('regex intent detection uses the call language', async () => {
+    const { session } = await startSpiedCall({ intent_mode: 'regex' });
+    const detect = jest.spyOn(sessionManager.intentDetector, 'detect');
+
+    await say(session, 'வேண்டாம், விடுங்க');
+
+    expect(detect).toHaveBeenCalledWith('வேண்டாம், விடுங்க', expect.any(Array), 'ta');
+    expect(detect.mock.results[0].value.intent).toBe('CANCEL_ACTION');
+    detect.mockRestore();
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Media Stream Protocol Test Suite
+ * Tests for: Exotel/Twilio frame parsing, provider detection, outbound
+ * framing with streamSid, mark/clear playback tracking, DTMF routing
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb());
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+const db = require('../db/postgres');
+const { startCall, endAllCalls, createSocket } = require('./utils/callTestHelpers');
+const {
+  getMediaStreamProtocol,
+  detectMediaStreamProtocol,
+  MediaStreamConnection
+} = require('../realtime/mediaStreams');
+
+const PCM = Buffer.from([1, 2, 3, 4, 5, 6]);
+
+const exotelStart = {
+  event: 'start',
+  sequence_number: 1,
+  stream_sid: 'ex-stream-1',
+  start: {
+    stream_sid: 'ex-stream-1',
+    call_sid: 'ex-call-1',
+    account_sid: 'acct',
+    from: '+919800000000',
+    to: '+918000000000',
+    custom_parameters: { callId: 'call-1' },
+    media_format: { encoding: 'raw/slin', sample_rate: '8000', bit_rate: '128kbps' }
+  }
+};
+
+const twilioStart = {
+  event: 'start',
+  sequenceNumber: '1',
+  streamSid: 'MZ123',
+  start: {
+    streamSid: 'MZ123',
+    callSid: 'CA123',
+    accountSid: 'AC123',
+    tracks: ['inbound'],
+    customParameters: {},
+    mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 }
+  }
+};
+
+/**
+ * Test Suite: Frame parsing
+ */
+describe('Media stream protocols', () => {
+  test('should parse Exotel start frames with snake_case fields', () => {
+    const event = getMediaStreamProtocol('exotel').parse(JSON.stringify(exotelStart));
+
+    expect(event).toMatchObject({
+      event: 'start',
+      streamSid: 'ex-stream-1',
+      callSid: 'ex-call-1',
+      sequenceNumber: 1,
+      customParameters: { callId: 'call-1' },
+      mediaFormat: { encoding: 'raw/slin', sampleRate: 8000, channels: 1 }
+    });
+  });
+
+  test('should parse Twilio media, dtmf and mark frames', () => {
+    const twilio = getMediaStreamProtocol('twilio');
+
+    const media = twilio.parse({
+      event: 'media',
+      streamSid: 'MZ123',
+      media: { track: 'inbound', chunk: '2', timestamp: '40', payload: PCM.toString('base64') }
+    });
+    expect(media.payload.equals(PCM)).toBe(true);
+    expect(media).toMatchObject({ streamSid: 'MZ123', chunk: 2, timestamp: 40 });
+
+    expect(twilio.parse({ event: 'dtmf', streamSid: 'MZ123', dtmf: { track: 'inbound_track', digit: '5' } }).digit).toBe('5');
+    expect(twilio.parse({ event: 'mark', streamSid: 'MZ123', mark: { name: 'mark-1' } }).name).toBe('mark-1');
+  });
+
+  test('should build outbound frames with the provider SID field', () => {
+    expect(getMediaStreamProtocol('exotel').buildMedia('ex-stream-1', PCM)).toEqual({
+      event: 'media',
+      stream_sid: 'ex-stream-1',
+      media: { payload: PCM.toString('base64') }
+    });
+    expect(getMediaStreamProtocol('twilio').buildClear('MZ123')).toEqual({ event: 'clear', streamSid: 'MZ123' });
+  });
+
+  test('should detect the provider from field naming', () => {
+    expect(detectMediaStreamProtocol(exotelStart).name).toBe('exotel');
+    expect(detectMediaStreamProtocol(twilioStart).name).toBe('twilio');
+    expect(detectMediaStreamProtocol({ event: 'connected', protocol: 'Call' })).toBeNull();
+  });
+
+  test('should reject malformed frames and unknown providers', () => {
+    expect(getMediaStreamProtocol('twilio').parse('not json')).toBeNull();
+    expect(getMediaStreamProtocol('twilio').parse({ foo: 'bar' })).toBeNull();
+    expect(() => getMediaStreamProtocol('plivo')).toThrow('Unknown media stream provider');
+  });
+});
+
+/**
+ * Test Suite: MediaStreamConnection
+ */
+describe('MediaStreamConnection', () => {
+  test('should emit start and inbound media, ignoring echoed outbound track', () => {
+    const ws = createSocket();
+    const stream = new MediaStreamConnection(ws, { callId: 'call-1' });
+    const start = jest.fn();
+    const media = jest.fn();
+    stream.on('start', start);
+    stream.on('media', media);
+
+    ws.receive({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+    ws.receive(twilioStart);
+    ws.receive({ event: 'media', streamSid: 'MZ123', media: { track: 'inbound', payload: PCM.toString('base64') } });
+    ws.receive({ event: 'media', streamSid: 'MZ123', media: { track: 'outbound', payload: PCM.toString('base64') } });
+
+    expect(stream.provider).toBe('twilio');
+    expect(start).toHaveBeenCalledWith(expect.objectContaining({ streamSid: 'MZ123', callSid: 'CA123', provider: 'twilio' }));
+    expect(media).toHaveBeenCalledTimes(1);
+    expect(media.mock.calls[0][0].payload.equals(PCM)).toBe(true);
+  });
+
+  test('should queue audio until start, then frame it with the stream SID', () => {
+    const ws = createSocket();
+    const stream = new MediaStreamConnection(ws, { provider: 'exotel' });
+
+    stream.sendAudio(PCM);
+    expect(ws.send).not.toHaveBeenCalled();
+
+    ws.receive(exotelStart);
+    stream.sendMark('response-1');
+
+    expect(ws.sentMessages()).toEqual([
+      { event: 'media', stream_sid: 'ex-stream-1', media: { payload: PCM.toString('base64') } },
+      { event: 'mark', stream_sid: 'ex-stream-1', mark: { name: 'response-1' } }
+    ]);
+  });
+
+  test('should track playback with marks and clear unplayed audio', () => {
+    const ws = createSocket();
+    const stream = new MediaStreamConnection(ws);
+    ws.receive(twilioStart);
+
+    stream.sendAudio(PCM);
+    const first = stream.sendMark();
+    stream.sendAudio(PCM);
+    stream.sendMark();
+    expect(stream.isPlaying()).toBe(true);
+
+    const mark = jest.fn();
+    stream.on('mark', mark);
+    ws.receive({ event: 'mark', streamSid: 'MZ123', mark: { name: first } });
+    expect(mark).toHaveBeenCalledWith({ name: first, pendingMarks: 1 });
+
+    expect(stream.clear()).toBe(true);
+    expect(ws.sentMessages().pop()).toEqual({ event: 'clear', streamSid: 'MZ123' });
+    expect(stream.isPlaying()).toBe(false);
+    expect(stream.clear()).toBe(false);
+  });
+
+  test('should fall back to raw audio for binary frames', () => {
+    const ws = createSocket();
+    const stream = new MediaStreamConnection(ws);
+    const media = jest.fn();
+    stream.on('media', media);
+
+    ws.emit('message', PCM, true);
+    stream.sendAudio(PCM);
+
+    expect(media.mock.calls[0][0].payload.equals(PCM)).toBe(true);
+    expect(ws.send).toHaveBeenCalledWith(PCM);
+    expect(stream.sendMark()).toBeNull();
+  });
+});
+
+/**
+ * Test Suite: Routing stream events into the call session
+ */
+describe('CallSessionManager media stream events', () => {
+  const sessionManager = require('../sessions/CallSessionManager');
+
+  afterEach(async () => {
+    await endAllCalls();
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => sessionManager.destroy());
+
+  test('should store stream SIDs and route DTMF into the session', async () => {
+    const { session } = await startCall({ id: 'call-stream-1' });
+    const ws = createSocket();
+    const stream = new MediaStreamConnection(ws, { callId: 'call-stream-1' });
+    stream.on('start', info => sessionManager.attachMediaStream('call-stream-1', info));
+    stream.on('dtmf', event => sessionManager.handleDtmf('call-stream-1', event.digit));
+
+    const dtmf = jest.fn();
+    sessionManager.on('dtmf', dtmf);
+
+    ws.receive(exotelStart);
+    ws.receive({ event: 'dtmf', stream_sid: 'ex-stream-1', dtmf: { digit: '7', duration: '120' } });
+    sessionManager.off('dtmf', dtmf);
+
+    expect(session.mediaStream).toEqual({
+      provider: 'exotel',
+      streamSid: 'ex-stream-1',
+      callSid: 'ex-call-1',
+      mediaFormat: { encoding: 'raw/slin', sampleRate: 8000, channels: 1 }
+    });
+    expect(session.dtmfDigits.map(d => d.digit)).toEqual(['7']);
+    expect(dtmf).toHaveBeenCalledWith({ callId: 'call-stream-1', digit: '7' });
+
+    const eventTypes = db.callEvents.create.mock.calls.map(call => call[0].event_type);
+    expect(eventTypes).toEqual(['media_stream_started', 'dtmf']);
+  });
+
+  test('should ask the stream to clear when the caller barges in', async () => {
+    const { session } = await startCall({ id: 'call-stream-2' });
+    const clear = jest.fn();
+    sessionManager.on('audio_clear', clear);
+
+    // Assistant audio is still playing when the caller starts talking
+    session.stsSession.emit('audio_output', Buffer.alloc(48000), { item_id: 'item_1' });
+    session.stsSession.emit('speech_started');
+    sessionManager.off('audio_clear', clear);
+
+    expect(clear).toHaveBeenCalledWith({ callId: 'call-stream-2' });
+  });
+});
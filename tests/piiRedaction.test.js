@@ -0,0 +1,274 @@
+/**
+ * PII Redaction Test Suite
+ * Tests for: Indian PII detectors (card/Luhn, Aadhaar/Verhoeff, PAN, UPI, IFSC,
+ * phone, OTP context), client redaction policy, encrypted vault, masked
+ * transcripts in logs and the database, vault reveal with audit
+ */
+
+process.env.ENCRYPTION_KEY = 'a'.repeat(64);
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'pii-redaction-test-secret-that-is-long-enough';
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb({
+  callCharges: { record: jest.fn().mockResolvedValue({}) },
+  piiVault: {
+    store: jest.fn().mockResolvedValue([]),
+    getByCall: jest.fn().mockResolvedValue([]),
+    logAccess: jest.fn().mockResolvedValue({}),
+    getAccessLog: jest.fn().mockResolvedValue([])
+  }
+}));
+
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+jest.mock('../services/auditLogger', () => ({
+  AuditEventType: { SETTINGS_CHANGED: 'SETTINGS_CHANGED', DATA_ACCESSED: 'DATA_ACCESSED' },
+  logAuditEvent: jest.fn().mockResolvedValue(null)
+}));
+
+const request = require('supertest');
+const express = require('express');
+const db = require('../db/postgres');
+const logger = require('../utils/logger');
+const { logAuditEvent } = require('../services/auditLogger');
+const { errorHandler } = require('../middleware/errorHandler');
+const { redactText, isValidLuhn, isValidVerhoeff } = require('../utils/piiRedactor');
+const { encrypt } = require('../utils/encryption');
+const piiRedactionService = require('../services/piiRedactionService');
+const sessionManager = require('../sessions/CallSessionManager');
+const privacyRoutes = require('../routes/privacy');
+const { CLIENT_ID, startCall, endAllCalls } = require('./utils/callTestHelpers');
+
+const CALL_UUID = '33333333-3333-3333-3333-333333333333';
+const AADHAAR = '2345 6789 0124'; // valid Verhoeff check digit
+const CARD = '4111 1111 1111 1111'; // valid Luhn
+
+async function say(session, text) {
+  const stored = new Promise(resolvePromise => {
+    const handler = (data) => {
+      if (data.callId !== session.callId || data.role !== 'user') return;
+      sessionManager.off('transcript', handler);
+      resolvePromise();
+    };
+    sessionManager.on('transcript', handler);
+  });
+  session.stsSession.backend.speak(text);
+  await stored;
+  await new Promise(resolvePromise => setImmediate(resolvePromise));
+}
+
+function buildApp(role = 'admin') {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: '22222222-2222-2222-2222-222222222222', client_id: CLIENT_ID, role };
+    next();
+  });
+  app.use('/api/privacy', privacyRoutes);
+  app.use(errorHandler);
+  return app;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.clients.getById.mockResolvedValue(null);
+  db.query.mockResolvedValue({ rows: [] });
+  db.piiVault.getByCall.mockResolvedValue([]);
+});
+
+afterEach(() => endAllCalls());
+
+afterAll(() => sessionManager.destroy());
+
+describe('Detectors', () => {
+  test('checksums', () => {
+    expect(isValidLuhn('4111111111111111')).toBe(true);
+    expect(isValidLuhn('4111111111111112')).toBe(false);
+    expect(isValidVerhoeff('234567890124')).toBe(true);
+    expect(isValidVerhoeff('234567890123')).toBe(false);
+  });
+
+  test('card and Aadhaar numbers only when the checksum holds', () => {
+    expect(redactText(`card ${CARD} hai`).text).toBe('card [CARD] hai');
+    expect(redactText('card 4111 1111 1111 1112 hai').text).toBe('card 4111 1111 1111 1112 hai');
+    expect(redactText(`aadhaar ${AADHAAR}`).text).toBe('aadhaar [AADHAAR]');
+    expect(redactText('aadhaar 2345-6789-0123').text).toBe('aadhaar 2345-6789-0123');
+  });
+
+  test('PAN, IFSC, UPI and e-mail', () => {
+    expect(redactText('PAN ABCPE1234F, IFSC HDFC0001234').text).toBe('PAN [PAN], IFSC [IFSC]');
+    expect(redactText('upi rahul.k@okicici pe bhejo').text).toBe('upi [UPI] pe bhejo');
+    expect(redactText('mail rahul@gmail.com pe').text).toBe('mail [EMAIL] pe');
+  });
+
+  test('mobile numbers with and without the country code', () => {
+    expect(redactText('mera number 98765 43210 hai').text).toBe('mera number [PHONE] hai');
+    expect(redactText('+919876543210 ya 09876543210').text).toBe('[PHONE] ya [PHONE]');
+    expect(redactText('order 12345 ka status').text).toBe('order 12345 ka status');
+  });
+
+  test('OTPs and PINs next to their keyword, not pin codes', () => {
+    expect(redactText('OTP hai 4829 13').text).toBe('OTP hai [OTP]');
+    expect(redactText('mera ओटीपी 482913 hai').text).toBe('mera ओटीपी [OTP] hai');
+    expect(redactText('pin code 560001 hai').text).toBe('pin code 560001 hai');
+  });
+
+  test('only the requested detectors run', () => {
+    const { text, findings } = redactText(`card ${CARD}, number 9876543210`, { detectors: ['phone'] });
+    expect(text).toBe(`card ${CARD}, number [PHONE]`);
+    expect(findings).toEqual([expect.objectContaining({ type: 'phone', value: '9876543210' })]);
+  });
+});
+
+describe('Redaction policy and vault', () => {
+  test('client policy from settings.privacy.redaction, all on by default', async () => {
+    expect(await piiRedactionService.getPolicy(CLIENT_ID)).toEqual({
+      enabled: true,
+      detectors: ['card', 'aadhaar', 'pan', 'ifsc', 'email', 'upi', 'phone', 'otp'],
+      vault: true
+    });
+
+    db.clients.getById.mockResolvedValue({
+      id: CLIENT_ID,
+      settings: { privacy: { redaction: { detectors: ['otp', 'card', 'bogus'], vault: false } } }
+    });
+    expect(await piiRedactionService.getPolicy(CLIENT_ID)).toEqual({
+      enabled: true,
+      detectors: ['card', 'otp'],
+      vault: false
+    });
+  });
+
+  test('originals are encrypted into the vault behind tokens', async () => {
+    const policy = piiRedactionService.normalizePolicy();
+    const result = await piiRedactionService.redact(`aadhaar ${AADHAAR}`, policy, {
+      clientId: CLIENT_ID,
+      callId: CALL_UUID,
+      source: 'transcript_user'
+    });
+
+    expect(result.text).toMatch(/^aadhaar \[AADHAAR#[0-9a-f]{32}\]$/);
+    const [[entries]] = db.piiVault.store.mock.calls;
+    expect(entries).toEqual([expect.objectContaining({
+      token: result.findings[0].token,
+      client_id: CLIENT_ID,
+      call_id: CALL_UUID,
+      pii_type: 'aadhaar',
+      source: 'transcript_user'
+    })]);
+    expect(entries[0].value_encrypted).not.toContain('2345');
+  });
+
+  test('plain placeholders when the vault is off or cannot be written', async () => {
+    const noVault = piiRedactionService.normalizePolicy({ vault: false });
+    expect((await piiRedactionService.redact(`card ${CARD}`, noVault, { clientId: CLIENT_ID })).text).toBe('card [CARD]');
+    expect(db.piiVault.store).not.toHaveBeenCalled();
+
+    db.piiVault.store.mockRejectedValueOnce(new Error('pii_vault missing'));
+    const policy = piiRedactionService.normalizePolicy();
+    expect((await piiRedactionService.redact(`card ${CARD}`, policy, { clientId: CLIENT_ID })).text).toBe('card [CARD]');
+
+    const disabled = piiRedactionService.normalizePolicy({ enabled: false });
+    expect((await piiRedactionService.redact(`card ${CARD}`, disabled, { clientId: CLIENT_ID })).text).toBe(`card ${CARD}`);
+  });
+});
+
+describe('Masked call transcripts', () => {
+  test('logs and stored transcripts are masked, the live conversation is not', async () => {
+    const { callId, session } = await startCall();
+
+    await say(session, `mera card ${CARD} hai`);
+
+    const userLine = `mera card ${CARD} hai`;
+    expect(session.conversationHistory[0].content).toBe(userLine);
+    expect(logger.info).toHaveBeenCalledWith('USER SAID', {
+      callId,
+      transcript: expect.stringMatching(/^mera card \[CARD#[0-9a-f]{32}\] hai$/)
+    });
+    expect(db.entities.create).toHaveBeenCalledWith(expect.objectContaining({
+      entity_type: 'transcript_user',
+      value: expect.stringMatching(/\[CARD#[0-9a-f]{32}\]/)
+    }));
+    expect(db.piiVault.store).toHaveBeenCalledWith([expect.objectContaining({
+      call_id: callId,
+      pii_type: 'card',
+      source: 'transcript_user'
+    })]);
+
+    await sessionManager.endSession(callId);
+
+    const [, update] = db.calls.update.mock.calls.find(([, data]) => data.transcript_full !== undefined);
+    expect(update.transcript_full).toMatch(/user: mera card \[CARD#[0-9a-f]{32}\] hai/);
+    expect(update.transcript_full).not.toContain('4111');
+
+    const logged = JSON.stringify(logger.info.mock.calls);
+    expect(logged).not.toContain(CARD);
+  });
+
+  test('replays mask without writing to the vault', async () => {
+    const { session } = await startCall({}, { persist: false });
+
+    await say(session, `aadhaar ${AADHAAR}`);
+
+    expect(logger.info).toHaveBeenCalledWith('USER SAID', expect.objectContaining({ transcript: 'aadhaar [AADHAAR]' }));
+    expect(db.piiVault.store).not.toHaveBeenCalled();
+    expect(db.entities.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Privacy routes', () => {
+  test('admins update the policy, with an audit entry', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: CLIENT_ID }] });
+
+    const res = await request(buildApp())
+      .put('/api/privacy/redaction')
+      .send({ detectors: ['aadhaar', 'card'], vault: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body.policy).toEqual({ enabled: true, detectors: ['card', 'aadhaar'], vault: false });
+    expect(db.query.mock.calls[0][1][0]).toBe(JSON.stringify(res.body.policy));
+    expect(logAuditEvent).toHaveBeenCalledWith('SETTINGS_CHANGED', expect.objectContaining({
+      clientId: CLIENT_ID,
+      resource: 'privacy_redaction'
+    }));
+  });
+
+  test('unknown detectors are rejected', async () => {
+    const res = await request(buildApp()).put('/api/privacy/redaction').send({ detectors: ['voiceprint'] });
+    expect(res.status).toBe(400);
+  });
+
+  test('only admins reveal, with a reason, and every reveal is logged', async () => {
+    const body = { call_id: CALL_UUID, reason: 'Chargeback dispute #4411 from the bank' };
+
+    expect((await request(buildApp('viewer')).post('/api/privacy/vault/reveal').send(body)).status).toBe(403);
+    expect((await request(buildApp()).post('/api/privacy/vault/reveal').send({ call_id: CALL_UUID })).status).toBe(400);
+    expect(db.piiVault.getByCall).not.toHaveBeenCalled();
+
+    db.piiVault.getByCall.mockResolvedValue([{
+      token: 'ab12cd34',
+      pii_type: 'card',
+      value_encrypted: encrypt('4111111111111111'),
+      source: 'transcript_user',
+      created_at: '2026-01-01T00:00:00.000Z'
+    }]);
+
+    const res = await request(buildApp()).post('/api/privacy/vault/reveal').send(body);
+
+    expect(res.status).toBe(200);
+    expect(res.body.values).toEqual([expect.objectContaining({ token: 'ab12cd34', type: 'card', value: '4111111111111111' })]);
+    expect(db.piiVault.getByCall).toHaveBeenCalledWith(CALL_UUID, CLIENT_ID, null);
+    expect(db.piiVault.logAccess).toHaveBeenCalledWith({
+      client_id: CLIENT_ID,
+      call_id: CALL_UUID,
+      user_id: '22222222-2222-2222-2222-222222222222',
+      reason: body.reason,
+      tokens: ['ab12cd34']
+    });
+    expect(logAuditEvent).toHaveBeenCalledWith('DATA_ACCESSED', expect.objectContaining({
+      resource: 'pii_vault',
+      resourceId: CALL_UUID
+    }));
+  });
+});
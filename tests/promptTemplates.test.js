@@ -0,0 +1,241 @@
+/**
+ * Prompt Template Test Suite
+ * Tests for: template rendering, per-client persona resolution, versioning
+ * and rollback routes, preview endpoint
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mockPoolClient = {
+  query: jest.fn(),
+  release: jest.fn()
+};
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn().mockResolvedValue({ rows: [] }),
+  clients: { getById: jest.fn().mockResolvedValue(null) },
+  pool: { connect: jest.fn(() => Promise.resolve(mockPoolClient)) }
+}));
+
+jest.mock('../services/auditLogger', () => ({
+  AuditEventType: { SETTINGS_CHANGED: 'SETTINGS_CHANGED' },
+  logAuditEvent: jest.fn().mockResolvedValue(null)
+}));
+
+const request = require('supertest');
+const express = require('express');
+const db = require('../db/postgres');
+const { logAuditEvent } = require('../services/auditLogger');
+const { renderTemplate, extractVariables } = require('../utils/templateRenderer');
+const promptTemplateService = require('../services/promptTemplateService');
+const { errorHandler } = require('../middleware/errorHandler');
+const promptTemplateRoutes = require('../routes/promptTemplates');
+
+const CLIENT_ID = '11111111-1111-1111-1111-111111111111';
+
+const shoeClient = {
+  id: CLIENT_ID,
+  name: 'ShoeKart',
+  sector: 'ecommerce',
+  settings: {
+    business: { returnWindowDays: 7, refundAutoThreshold: 1500, cancelWindowHours: 12 },
+    localization: { language: 'en' },
+    persona: { agent_name: 'Priya', voice: 'shimmer', vad: { silence_duration_ms: 900 } }
+  }
+};
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: '22222222-2222-2222-2222-222222222222', client_id: CLIENT_ID, role: 'admin' };
+    next();
+  });
+  app.use('/api/prompt-templates', promptTemplateRoutes);
+  app.use(errorHandler);
+  return app;
+}
+
+afterEach(() => {
+  jest.clearAllMocks();
+  db.query.mockResolvedValue({ rows: [] });
+  db.clients.getById.mockResolvedValue(null);
+});
+
+/**
+ * Test Suite: Template rendering
+ */
+describe('templateRenderer', () => {
+  test('should substitute variables and report missing ones', () => {
+    const { text, missing } = renderTemplate('Hi {{ agent_name }} from {{brand_name}} {{unknown}}', {
+      agent_name: 'Priya',
+      brand_name: 'ShoeKart'
+    });
+
+    expect(text).toBe('Hi Priya from ShoeKart ');
+    expect(missing).toEqual(['unknown']);
+  });
+
+  test('should list variables once, in order', () => {
+    expect(extractVariables('{{a}} {{b}} {{a}}')).toEqual(['a', 'b']);
+  });
+});
+
+/**
+ * Test Suite: Persona resolution
+ */
+describe('promptTemplateService.resolveCallPersona', () => {
+  test('should render built-in templates with client persona and policies', async () => {
+    db.clients.getById.mockResolvedValue(shoeClient);
+
+    const persona = await promptTemplateService.resolveCallPersona(CLIENT_ID);
+
+    expect(persona.agentName).toBe('Priya');
+    expect(persona.voice).toBe('shimmer');
+    expect(persona.language).toBe('en');
+    expect(persona.sayLanguage).toBe('en-IN');
+    expect(persona.vad).toEqual({ threshold: 0.5, prefix_padding_ms: 300, silence_duration_ms: 900 });
+    expect(persona.greeting).toBe('Namaste, main Priya hoon, ShoeKart se. Aapki kaise madad kar sakti hoon?');
+    expect(persona.instructions).toContain('You are Priya');
+    expect(persona.instructions).toContain('customer support agent for ShoeKart');
+    expect(persona.instructions).toContain('Returns accepted within 7 days');
+    expect(persona.instructions).not.toMatch(/\{\{/);
+    expect(persona.templateVersions).toEqual({ system_prompt: 0, greeting: 0 });
+  });
+
+  test('should prefer sector template over client default template', async () => {
+    db.clients.getById.mockResolvedValue(shoeClient);
+    db.query.mockResolvedValue({
+      rows: [
+        { sector: 'default', kind: 'greeting', version: 2, body: 'Default {{agent_name}}', variables: {} },
+        { sector: 'ecommerce', kind: 'greeting', version: 5, body: 'Hello from {{brand_name}}, I am {{agent_name}}', variables: {} }
+      ]
+    });
+
+    const template = await promptTemplateService.getActiveTemplate(CLIENT_ID, 'ecommerce', 'greeting');
+    expect(template.version).toBe(5);
+    expect(template.source).toBe('client');
+  });
+
+  test('should let an explicit client greeting win over the template', async () => {
+    db.clients.getById.mockResolvedValue({
+      ...shoeClient,
+      settings: { ...shoeClient.settings, persona: { greeting: 'Welcome to {{brand_name}}!' } }
+    });
+
+    const persona = await promptTemplateService.resolveCallPersona(CLIENT_ID);
+    expect(persona.greeting).toBe('Welcome to ShoeKart!');
+    expect(persona.agentName).toBe('Caly');
+  });
+
+  test('should fall back to the default persona without a client', async () => {
+    const persona = await promptTemplateService.resolveCallPersona(null);
+    expect(persona.instructions).toBe(promptTemplateService.getDefaultPersona().instructions);
+    expect(persona.sayLanguage).toBe('hi-IN');
+  });
+});
+
+/**
+ * Test Suite: Template routes
+ */
+describe('Prompt template routes', () => {
+  const app = buildApp();
+
+  test('POST / should create a new active version', async () => {
+    mockPoolClient.query.mockImplementation(async (sql) => {
+      if (sql.includes('next_version')) return { rows: [{ next_version: 3 }] };
+      if (sql.includes('INSERT INTO prompt_templates')) {
+        return { rows: [{ id: 42, kind: 'greeting', sector: 'default', version: 3, is_active: true }] };
+      }
+      return { rows: [] };
+    });
+
+    const response = await request(app)
+      .post('/api/prompt-templates')
+      .send({ kind: 'greeting', body: 'Hello from {{brand_name}}' })
+      .expect(201);
+
+    expect(response.body.template.version).toBe(3);
+    const statements = mockPoolClient.query.mock.calls.map(call => call[0].trim().split(/\s+/)[0]);
+    expect(statements).toEqual(['BEGIN', 'SELECT', 'UPDATE', 'INSERT', 'COMMIT']);
+    expect(mockPoolClient.release).toHaveBeenCalled();
+    expect(logAuditEvent).toHaveBeenCalledWith('SETTINGS_CHANGED', expect.objectContaining({ resource: 'prompt_template' }));
+  });
+
+  test('POST / should reject unknown template kinds', async () => {
+    const response = await request(app)
+      .post('/api/prompt-templates')
+      .send({ kind: 'farewell', body: 'Bye' })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  test('POST /rollback should re-activate an older version', async () => {
+    mockPoolClient.query.mockImplementation(async (sql) => {
+      if (sql.includes('SELECT id FROM prompt_templates')) return { rows: [{ id: 7 }] };
+      if (sql.includes('SET is_active = true')) return { rows: [{ id: 7, version: 1, is_active: true }] };
+      return { rows: [] };
+    });
+
+    const response = await request(app)
+      .post('/api/prompt-templates/rollback')
+      .send({ kind: 'system_prompt', version: 1 })
+      .expect(200);
+
+    expect(response.body.template).toMatchObject({ version: 1, is_active: true });
+    expect(mockPoolClient.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  test('POST /rollback should 404 for a missing version', async () => {
+    mockPoolClient.query.mockResolvedValue({ rows: [] });
+
+    await request(app)
+      .post('/api/prompt-templates/rollback')
+      .send({ kind: 'system_prompt', version: 99 })
+      .expect(404);
+
+    expect(mockPoolClient.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  test('POST /preview should render a draft without saving', async () => {
+    db.clients.getById.mockResolvedValue(shoeClient);
+
+    const response = await request(app)
+      .post('/api/prompt-templates/preview')
+      .send({ kind: 'greeting', body: 'Hi, {{agent_name}} here from {{brand_name}}. {{offer}}' })
+      .expect(200);
+
+    expect(response.body.rendered).toBe('Hi, Priya here from ShoeKart. ');
+    expect(response.body.source).toBe('draft');
+    expect(response.body.missingVariables).toEqual(['offer']);
+    expect(db.pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('PUT /persona should validate VAD settings', async () => {
+    const response = await request(app)
+      .put('/api/prompt-templates/persona')
+      .send({ agent_name: 'Priya', vad: { threshold: 3 } })
+      .expect(400);
+
+    expect(response.body.error).toContain('vad.threshold');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('PUT /persona should merge into settings.persona', async () => {
+    db.query.mockResolvedValue({ rows: [shoeClient] });
+
+    const response = await request(app)
+      .put('/api/prompt-templates/persona')
+      .send({ agent_name: 'Priya', voice: 'shimmer' })
+      .expect(200);
+
+    expect(db.query.mock.calls[0][1]).toEqual([JSON.stringify({ agent_name: 'Priya', voice: 'shimmer' }), CLIENT_ID]);
+    expect(response.body.persona.agent_name).toBe('Priya');
+  });
+});
@@ -0,0 +1,346 @@
+/**
+ * Session Registry Test Suite
+ * Tests for: live calls shared between nodes (in-memory store), commands
+ * routed to the owning node, calls claimed from lost nodes, supervisors and
+ * /api/calls/active seeing calls on other nodes
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb({
+  auditLog: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+// Signed-in user comes from the test app
+jest.mock('../auth/authMiddleware', () => ({
+  authMiddleware: (req, res, next) => next(),
+  requireRole: (roles) => (req, res, next) => (
+    roles.includes(req.user.role) ? next() : res.status(403).json({ error: 'Insufficient permissions' })
+  )
+}));
+
+const request = require('supertest');
+const express = require('express');
+const db = require('../db/postgres');
+const sessionManager = require('../sessions/CallSessionManager');
+const { handleSupervisorSocket } = require('../realtime/supervisorSocket');
+const { createSessionRegistry, MemoryRegistryStore } = require('../sessions/registry/index');
+const liveCallRoutes = require('../routes/livecalls');
+const { CLIENT_ID, startCall, endAllCalls, createSocket } = require('./utils/callTestHelpers');
+
+const OTHER_CLIENT_ID = '99999999-9999-9999-9999-999999999999';
+const SUPERVISOR = { id: 'sup-1', client_id: CLIENT_ID, role: 'manager' };
+
+const registries = [];
+
+// Another node on the same store as the session manager (or on its own store)
+function createNode(nodeId, options = {}) {
+  const registry = createSessionRegistry({
+    store: options.store || sessionManager.registry.store,
+    nodeId,
+    onCommand: jest.fn().mockResolvedValue(null),
+    onOrphan: jest.fn().mockResolvedValue(undefined),
+    commandTimeoutMs: 200,
+    ...options
+  });
+  registries.push(registry);
+  return registry;
+}
+
+function buildApp(role = 'manager') {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'sup-1', client_id: CLIENT_ID, role };
+    next();
+  });
+  app.use('/api/calls', liveCallRoutes);
+  return app;
+}
+
+const nextTick = () => new Promise(resolvePromise => setImmediate(resolvePromise));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.query.mockResolvedValue({ rows: [] });
+  db.auditLog.mockResolvedValue(undefined);
+});
+
+afterEach(async () => {
+  await endAllCalls();
+  for (const registry of registries.splice(0)) {
+    for (const callId of registry.localCalls) {
+      await registry.unregister(callId);
+    }
+    await registry.stop();
+  }
+});
+
+afterAll(() => sessionManager.destroy());
+
+describe('Session registry', () => {
+  test('calls on every node are listed and commands reach the owning node', async () => {
+    const store = new MemoryRegistryStore();
+    const nodeA = createNode('node-a', { store });
+    const nodeB = createNode('node-b', { store });
+    nodeA.onCommand.mockResolvedValue({ id: 'call-a', transcript: [] });
+
+    await nodeA.register('call-a', { clientId: CLIENT_ID, startedAt: '2026-01-01T10:00:00.000Z' });
+    await nodeB.register('call-b', { clientId: OTHER_CLIENT_ID, startedAt: '2026-01-01T10:05:00.000Z' });
+
+    expect((await nodeB.list()).map(entry => [entry.callId, entry.nodeId])).toEqual([
+      ['call-a', 'node-a'],
+      ['call-b', 'node-b']
+    ]);
+    expect((await nodeB.list({ clientId: CLIENT_ID })).map(entry => entry.callId)).toEqual(['call-a']);
+
+    await expect(nodeB.sendCommand('call-a', 'inspect')).resolves.toEqual({ id: 'call-a', transcript: [] });
+    expect(nodeA.onCommand).toHaveBeenCalledWith('call-a', 'inspect', {});
+    expect(nodeB.onCommand).not.toHaveBeenCalled();
+
+    nodeA.onCommand.mockRejectedValueOnce(new Error('Session not found or inactive'));
+    await expect(nodeB.sendCommand('call-a', 'whisper', { text: 'refund offer karo' }))
+      .rejects.toThrow('Session not found or inactive');
+    await expect(nodeB.sendCommand('no-such-call', 'end')).rejects.toThrow('Call not found');
+
+    // Only the owner changes the entry
+    expect(await nodeB.update('call-a', { intent: 'REFUND' })).toBeNull();
+    expect((await nodeA.update('call-a', { intent: 'REFUND' })).intent).toBe('REFUND');
+  });
+
+  test('a node that stops answering times out', async () => {
+    const store = new MemoryRegistryStore();
+    const nodeA = createNode('node-a', { store });
+    const nodeB = createNode('node-b', { store });
+    await nodeA.register('call-a', { clientId: CLIENT_ID });
+    nodeA.onCommand.mockReturnValue(new Promise(() => {}));
+
+    await expect(nodeB.sendCommand('call-a', 'end')).rejects.toThrow('Node node-a did not answer');
+  });
+
+  test('calls of a lost node are claimed by exactly one node', async () => {
+    const store = new MemoryRegistryStore();
+    const nodeA = createNode('node-a', { store });
+    const nodeB = createNode('node-b', { store });
+    const nodeC = createNode('node-c', { store });
+    await Promise.all([nodeB.start(), nodeC.start()]);
+    await nodeA.register('call-a', { clientId: CLIENT_ID });
+
+    // Still alive - nothing to claim
+    expect(await nodeB.claimOrphans()).toBe(0);
+
+    await nodeA.stop();
+    const claimed = await Promise.all([nodeB.claimOrphans(), nodeC.claimOrphans()]);
+
+    const owner = claimed[0] === 1 ? nodeB : nodeC;
+    expect([...claimed].sort()).toEqual([0, 1]);
+    expect(owner.onOrphan).toHaveBeenCalledTimes(1);
+    expect(owner.onOrphan).toHaveBeenCalledWith(expect.objectContaining({
+      callId: 'call-a',
+      nodeId: owner.nodeId,
+      claimedFrom: 'node-a'
+    }));
+    expect((await nodeB.get('call-a')).nodeId).toBe(owner.nodeId);
+  });
+
+  test('calls left by an earlier run of the same node are claimed', async () => {
+    const store = new MemoryRegistryStore();
+    const before = createNode('node-a', { store });
+    await before.register('call-a', { clientId: CLIENT_ID });
+
+    const restarted = createNode('node-a', { store });
+    await restarted.start();
+
+    expect(await restarted.claimOrphans()).toBe(1);
+    expect(restarted.onOrphan).toHaveBeenCalledWith(expect.objectContaining({ callId: 'call-a', claimedFrom: 'node-a' }));
+  });
+});
+
+describe('Call sessions in the registry', () => {
+  test('live calls are registered, kept current and can be steered from another node', async () => {
+    const { callId, session } = await startCall({ phone_from: '+919800000000' });
+    const otherNode = createNode('node-other');
+
+    expect(await otherNode.get(callId)).toEqual(expect.objectContaining({
+      callId,
+      nodeId: sessionManager.registry.nodeId,
+      clientId: CLIENT_ID,
+      phoneFrom: '+919800000000'
+    }));
+
+    session.stsSession.backend.speak('mera order kahan hai');
+    await new Promise(resolvePromise => sessionManager.once('transcript', resolvePromise));
+
+    const snapshot = await otherNode.sendCommand(callId, 'inspect');
+    expect(snapshot.transcript[0]).toEqual(expect.objectContaining({ role: 'user', text: 'mera order kahan hai' }));
+
+    const updateContext = jest.spyOn(session.stsSession, 'updateContext');
+    await otherNode.sendCommand(callId, 'whisper', { text: 'offer a refund' });
+    expect(updateContext).toHaveBeenCalledWith(expect.stringContaining('offer a refund'));
+
+    await sessionManager.takeOver(callId, { userId: 'sup-1' });
+    await nextTick();
+    expect((await otherNode.get(callId)).takenOverBy).toBe('sup-1');
+    await otherNode.sendCommand(callId, 'hand_back', { note: 'refund approved' });
+    await nextTick();
+    expect((await otherNode.get(callId)).takenOverBy).toBeNull();
+
+    const ended = new Promise(resolvePromise => otherNode.watchCall(callId, (event) => {
+      if (event.type === 'session_ended') resolvePromise(event);
+    }));
+    await otherNode.sendCommand(callId, 'end');
+
+    await expect(ended).resolves.toEqual({ type: 'session_ended', callId });
+    expect(sessionManager.getSession(callId)).toBeUndefined();
+    expect(await otherNode.get(callId)).toBeNull();
+  });
+
+  test('replays are not registered', async () => {
+    await startCall({ id: 'registry-replay' }, { persist: false });
+
+    expect(await sessionManager.getLiveCall('registry-replay')).toBeNull();
+  });
+
+  test('a call left by a lost node is closed by the node that claims it', async () => {
+    const lostNode = createNode('node-lost');
+    await lostNode.register('lost-call', {
+      clientId: CLIENT_ID,
+      startedAt: new Date(Date.now() - 60000).toISOString()
+    });
+    await lostNode.stop();
+
+    expect(await sessionManager.registry.claimOrphans()).toBe(1);
+
+    expect(db.calls.update).toHaveBeenCalledWith('lost-call', expect.objectContaining({
+      end_ts: expect.any(Date),
+      duration_seconds: expect.any(Number)
+    }));
+    expect(db.callEvents.create).toHaveBeenCalledWith(expect.objectContaining({
+      call_id: 'lost-call',
+      event_type: 'node_lost',
+      payload: { node_id: 'node-lost', closed_by: sessionManager.registry.nodeId }
+    }));
+    expect(await sessionManager.getLiveCall('lost-call')).toBeNull();
+  });
+});
+
+describe('Supervisors on another node', () => {
+  async function remoteCall(clientId = CLIENT_ID) {
+    const carrier = createNode('node-carrier');
+    carrier.onCommand.mockImplementation(async (callId, command) => (command === 'inspect'
+      ? {
+        id: callId,
+        phone_from: '+919811111111',
+        started_at: '2026-01-01T10:00:00.000Z',
+        takenOver: false,
+        transcript: [{ role: 'user', text: 'refund chahiye', timestamp: 1 }]
+      }
+      : null));
+    await carrier.register('remote-call', { clientId, phoneFrom: '+919811111111', startedAt: '2026-01-01T10:00:00.000Z' });
+    return carrier;
+  }
+
+  test('listen, whisper and end a call carried elsewhere', async () => {
+    const carrier = await remoteCall();
+    const ws = createSocket();
+    handleSupervisorSocket(ws, SUPERVISOR, { socket: { remoteAddress: '10.0.0.5' } });
+
+    ws.receive({ type: 'listen', callId: 'remote-call' });
+    const listening = await ws.waitFor('listening');
+    expect(listening.call).toEqual({ id: 'remote-call', phone_from: '+919811111111', started_at: '2026-01-01T10:00:00.000Z' });
+    expect(listening.transcript).toEqual([{ role: 'user', text: 'refund chahiye', timestamp: 1 }]);
+    expect(db.auditLog).toHaveBeenCalledWith(expect.objectContaining({ call_id: 'remote-call', event_type: 'supervisor_listen' }));
+
+    await carrier.publishCallEvent('remote-call', 'transcript', { role: 'assistant', text: 'Ji, main check karti hoon', timestamp: 2 });
+    await ws.waitFor(m => m.type === 'transcript' && m.text === 'Ji, main check karti hoon');
+
+    ws.receive({ type: 'whisper', text: 'offer a replacement' });
+    await ws.waitFor('whispered');
+    expect(carrier.onCommand).toHaveBeenCalledWith('remote-call', 'whisper', { text: 'offer a replacement' });
+
+    ws.receive({ type: 'takeover' });
+    const error = await ws.waitFor('error');
+    expect(error.error).toBe('Takeover is only available on the node carrying the call');
+
+    ws.receive({ type: 'end' });
+    await ws.waitFor('ended');
+    expect(carrier.onCommand).toHaveBeenCalledWith('remote-call', 'end', {});
+    expect(db.auditLog).toHaveBeenCalledWith(expect.objectContaining({ call_id: 'remote-call', event_type: 'supervisor_end' }));
+
+    await carrier.unregister('remote-call');
+    await ws.waitFor('call_ended');
+  });
+
+  test("other tenants' remote calls are not found", async () => {
+    await remoteCall(OTHER_CLIENT_ID);
+    const ws = createSocket();
+    handleSupervisorSocket(ws, SUPERVISOR, {});
+
+    ws.receive({ type: 'listen', callId: 'remote-call' });
+    expect((await ws.waitFor('error')).error).toBe('Call not found');
+    expect(db.auditLog).not.toHaveBeenCalled();
+  });
+
+  test('audio of a remote call is refused', async () => {
+    await remoteCall();
+    const ws = createSocket();
+    handleSupervisorSocket(ws, SUPERVISOR, {});
+
+    ws.receive({ type: 'listen', callId: 'remote-call', audio: true });
+    expect((await ws.waitFor('error')).error).toBe('Audio is only available on the node carrying the call');
+  });
+});
+
+describe('Live calls API', () => {
+  test('GET /api/calls/active lists the company\'s calls on every node', async () => {
+    const { callId } = await startCall();
+    await startCall({ client_id: OTHER_CLIENT_ID });
+    const carrier = createNode('node-carrier');
+    await carrier.register('remote-call', {
+      clientId: CLIENT_ID,
+      phoneFrom: '+919811111111',
+      startedAt: new Date().toISOString()
+    });
+    db.query.mockResolvedValueOnce({ rows: [{ id: callId, client_name: 'Acme', call_sid: 'CA123' }] });
+
+    const res = await request(buildApp()).get('/api/calls/active');
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(2);
+    expect(res.body.calls.map(call => [call.id, call.node_id])).toEqual(expect.arrayContaining([
+      [callId, sessionManager.registry.nodeId],
+      ['remote-call', 'node-carrier']
+    ]));
+    expect(res.body.calls.find(call => call.id === callId)).toEqual(expect.objectContaining({
+      client_name: 'Acme',
+      call_sid: 'CA123'
+    }));
+    const [, params] = db.query.mock.calls.find(([sql]) => sql.includes('ANY($1::uuid[])'));
+    expect(params[0]).toEqual(expect.arrayContaining([callId, 'remote-call']));
+  });
+
+  test('inspect and end a live call on another node, supervisors only', async () => {
+    const carrier = createNode('node-carrier');
+    carrier.onCommand.mockResolvedValue({ id: 'remote-call', transcript: [] });
+    await carrier.register('remote-call', { clientId: CLIENT_ID, startedAt: new Date().toISOString() });
+
+    expect((await request(buildApp('viewer')).post('/api/calls/active/remote-call/end')).status).toBe(403);
+    expect((await request(buildApp()).get('/api/calls/active/unknown-call')).status).toBe(404);
+
+    const inspected = await request(buildApp()).get('/api/calls/active/remote-call');
+    expect(inspected.status).toBe(200);
+    expect(inspected.body).toEqual({ id: 'remote-call', transcript: [] });
+
+    const ended = await request(buildApp()).post('/api/calls/active/remote-call/end');
+    expect(ended.status).toBe(200);
+    expect(carrier.onCommand).toHaveBeenLastCalledWith('remote-call', 'end', {});
+    expect(db.auditLog).toHaveBeenCalledWith(expect.objectContaining({
+      call_id: 'remote-call',
+      client_id: CLIENT_ID,
+      event_type: 'supervisor_end',
+      user_id: 'sup-1'
+    }));
+  });
+});
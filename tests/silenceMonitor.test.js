@@ -0,0 +1,267 @@
+/**
+ * Silence Monitor Test Suite
+ * Tests for: dead-air timers, reprompts in the call's language, graceful
+ * hangup through the provider, no_response disposition, silence settings
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb());
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+jest.mock('../services/telephonyRouter', () => ({
+  endCall: jest.fn()
+}));
+
+const db = require('../db/postgres');
+const telephonyRouter = require('../services/telephonyRouter');
+const sessionManager = require('../sessions/CallSessionManager');
+const SilenceMonitor = require('../sessions/SilenceMonitor');
+const { CLIENT_ID, nextCallId, startCall, endAllCalls, waitForEvent } = require('./utils/callTestHelpers');
+
+// A phone call that goes quiet after 50ms, reprompted once
+function startSilentCall(callData = {}, options = {}) {
+  const callId = nextCallId('silent-call');
+  return startCall({
+    id: callId,
+    call_sid: `CA-${callId}`,
+    silence_timeout_seconds: 0.05,
+    silence_max_reprompts: 1,
+    ...callData
+  }, options);
+}
+
+// Read from the send spy: the backend is gone once the call has ended
+function sentPrompts(session) {
+  return session.stsSession.send.mock.calls
+    .map(([event]) => event)
+    .filter(event => event.type === 'conversation.item.create' && event.item.role === 'system')
+    .map(event => event.item.content[0].text);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  telephonyRouter.endCall.mockResolvedValue({ success: true, provider: 'exotel' });
+  db.clients.getById.mockResolvedValue(null);
+});
+
+afterEach(async () => {
+  delete process.env.SILENCE_TIMEOUT_SECONDS;
+  delete process.env.SILENCE_MAX_REPROMPTS;
+  await endAllCalls();
+});
+
+afterAll(() => sessionManager.destroy());
+
+describe('SilenceMonitor', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('reprompts maxReprompts times, then hangs up', () => {
+    const onReprompt = jest.fn();
+    const onHangup = jest.fn();
+    const monitor = new SilenceMonitor('call-1', { timeoutMs: 1000, maxReprompts: 2, onReprompt, onHangup });
+
+    monitor.arm();
+    jest.advanceTimersByTime(999);
+    expect(onReprompt).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(onReprompt).toHaveBeenLastCalledWith(1);
+
+    jest.advanceTimersByTime(1000);
+    expect(onReprompt).toHaveBeenLastCalledWith(2);
+    expect(onHangup).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1000);
+    expect(onHangup).toHaveBeenCalledWith(2);
+    expect(monitor.stopped).toBe(true);
+
+    // Nothing after the hangup
+    monitor.arm();
+    jest.advanceTimersByTime(5000);
+    expect(onReprompt).toHaveBeenCalledTimes(2);
+    expect(onHangup).toHaveBeenCalledTimes(1);
+  });
+
+  test('caller speech stops the timer and resets the count', () => {
+    const onReprompt = jest.fn();
+    const onHangup = jest.fn();
+    const monitor = new SilenceMonitor('call-1', { timeoutMs: 1000, maxReprompts: 1, onReprompt, onHangup });
+
+    monitor.arm();
+    jest.advanceTimersByTime(1000);
+    expect(monitor.reprompts).toBe(1);
+
+    monitor.reset();
+    expect(monitor.reprompts).toBe(0);
+    jest.advanceTimersByTime(5000);
+    expect(onHangup).not.toHaveBeenCalled();
+
+    // Next unanswered turn starts from the first reprompt again
+    monitor.arm();
+    jest.advanceTimersByTime(1000);
+    expect(onReprompt).toHaveBeenCalledTimes(2);
+    expect(onReprompt).toHaveBeenLastCalledWith(1);
+  });
+
+  test('expected silence (assistant playing, agent working) does not count', () => {
+    let busy = true;
+    const onReprompt = jest.fn();
+    const monitor = new SilenceMonitor('call-1', { timeoutMs: 1000, isBusy: () => busy, onReprompt });
+
+    monitor.arm();
+    jest.advanceTimersByTime(3000);
+    expect(onReprompt).not.toHaveBeenCalled();
+
+    busy = false;
+    jest.advanceTimersByTime(1000);
+    expect(onReprompt).toHaveBeenCalledWith(1);
+  });
+});
+
+describe('Dead air on calls', () => {
+  test('reprompts a silent caller, then says goodbye and hangs up with no_response', async () => {
+    const { callId, session } = await startSilentCall();
+    jest.spyOn(session.stsSession, 'send');
+    const reprompted = waitForEvent('silence_reprompt', callId);
+    const hungUp = waitForEvent('call_hangup', callId);
+    const ended = waitForEvent('session_ended', callId);
+    const streamEnded = waitForEvent('stream_end', callId);
+
+    session.stsSession.backend.speak('hello');
+
+    expect(await reprompted).toEqual({ callId, attempt: 1 });
+    expect(await hungUp).toEqual({ callId, disposition: 'no_response' });
+    await ended;
+    await streamEnded;
+
+    const prompts = sentPrompts(session);
+    expect(prompts).toHaveLength(2);
+    expect(prompts[0]).toContain('still on the line');
+    expect(prompts[0]).toContain('Speak in Hindi/Hinglish');
+    expect(prompts[0]).toContain('Say in Hindi: "Hello sir, kya aap line par hain?');
+    expect(prompts[1]).toContain('say goodbye');
+
+    expect(telephonyRouter.endCall).toHaveBeenCalledWith(CLIENT_ID, session.callData.call_sid);
+    expect(db.calls.update).toHaveBeenCalledWith(callId, expect.objectContaining({ disposition: 'no_response' }));
+
+    const events = db.callEvents.create.mock.calls.map(([event]) => event);
+    expect(events).toEqual(expect.arrayContaining([
+      expect.objectContaining({ call_id: callId, event_type: 'silence_reprompt', payload: { attempt: 1 } }),
+      expect.objectContaining({ call_id: callId, event_type: 'silence_hangup', payload: { reprompts: 1 } })
+    ]));
+    expect(sessionManager.getSession(callId)).toBeUndefined();
+  });
+
+  test('a caller who never speaks is reprompted and hung up', async () => {
+    const { callId, session } = await startSilentCall();
+    const reprompted = waitForEvent('silence_reprompt', callId);
+    const hungUp = waitForEvent('call_hangup', callId);
+
+    expect(session.silence.timer).not.toBeNull();
+    expect(await reprompted).toEqual({ callId, attempt: 1 });
+    expect(await hungUp).toEqual({ callId, disposition: 'no_response' });
+  });
+
+  test('the media stream starting restarts the count', async () => {
+    const { callId, session } = await startSilentCall({ silence_timeout_seconds: 5 });
+    const arm = jest.spyOn(session.silence, 'arm');
+
+    sessionManager.attachMediaStream(callId, { provider: 'exotel', streamSid: 'MZ1', callSid: 'CA1', mediaFormat: {} });
+
+    expect(arm).toHaveBeenCalledTimes(1);
+  });
+
+  test('answering a reprompt keeps the call going', async () => {
+    const { callId, session } = await startSilentCall({ silence_timeout_seconds: 0.1, silence_max_reprompts: 1 });
+
+    session.stsSession.backend.speak('hello');
+    await waitForEvent('silence_reprompt', callId);
+    expect(session.silence.reprompts).toBe(1);
+
+    session.stsSession.backend.speak('haan ji, main yahin hoon');
+    await waitForEvent('transcript', callId);
+    expect(session.silence.reprompts).toBe(0);
+
+    // The count starts over: another reprompt before any hangup
+    const reprompt = await waitForEvent('silence_reprompt', callId);
+    expect(reprompt.attempt).toBe(1);
+    expect(telephonyRouter.endCall).not.toHaveBeenCalled();
+  });
+
+  test('provider hangup failure still ends the session', async () => {
+    telephonyRouter.endCall.mockRejectedValue(new Error('Exotel unreachable'));
+    const { callId, session } = await startSilentCall({ silence_max_reprompts: 0 });
+    const ended = waitForEvent('session_ended', callId);
+    const streamEnded = waitForEvent('stream_end', callId);
+
+    session.stsSession.backend.speak('hello');
+
+    await ended;
+    await streamEnded;
+    expect(db.calls.update).toHaveBeenCalledWith(callId, expect.objectContaining({ disposition: 'no_response' }));
+  });
+
+  test('supervisor takeover pauses dead-air handling', async () => {
+    const { callId, session } = await startSilentCall();
+    const reprompted = jest.fn();
+    sessionManager.on('silence_reprompt', reprompted);
+
+    session.stsSession.backend.speak('hello');
+    await waitForEvent('transcript', callId);
+    await sessionManager.takeOver(callId, { userId: 'sup-1' });
+
+    await new Promise(resolvePromise => setTimeout(resolvePromise, 300));
+    sessionManager.off('silence_reprompt', reprompted);
+
+    expect(reprompted).not.toHaveBeenCalled();
+    expect(sessionManager.getSession(callId)).toBeDefined();
+  });
+
+  test('typed sessions and replays have no silence timers', async () => {
+    const { session: typed } = await startSilentCall({}, { textMode: true });
+    const { session: replay } = await startSilentCall({}, { persist: false });
+
+    expect(typed.silence).toBeNull();
+    expect(replay.silence).toBeNull();
+  });
+});
+
+describe('Silence settings', () => {
+  test('call override -> client settings.speech.silence -> env -> defaults', () => {
+    expect(sessionManager.resolveSilenceSettings({}, {})).toEqual({
+      timeoutMs: SilenceMonitor.DEFAULT_TIMEOUT_SECONDS * 1000,
+      maxReprompts: SilenceMonitor.DEFAULT_MAX_REPROMPTS
+    });
+
+    process.env.SILENCE_TIMEOUT_SECONDS = '12';
+    process.env.SILENCE_MAX_REPROMPTS = '3';
+    expect(sessionManager.resolveSilenceSettings({}, {})).toEqual({ timeoutMs: 12000, maxReprompts: 3 });
+
+    const speech = { silence: { timeout_seconds: 6, max_reprompts: 1 } };
+    expect(sessionManager.resolveSilenceSettings({}, speech)).toEqual({ timeoutMs: 6000, maxReprompts: 1 });
+
+    expect(sessionManager.resolveSilenceSettings({ silence_timeout_seconds: 4 }, speech))
+      .toEqual({ timeoutMs: 4000, maxReprompts: 1 });
+  });
+
+  test('a timeout of 0 turns dead-air handling off', async () => {
+    db.clients.getById.mockResolvedValue({
+      id: CLIENT_ID,
+      settings: { speech: { silence: { timeout_seconds: 0 } } }
+    });
+    const { session } = await startSilentCall({ silence_timeout_seconds: undefined });
+
+    expect(session.silence).toBeNull();
+  });
+
+  test('reprompts follow the call language', async () => {
+    db.clients.getById.mockResolvedValue({ id: CLIENT_ID, settings: { localization: { language: 'en' } } });
+    const { session } = await startSilentCall();
+
+    const instructions = sessionManager.buildSilencePrompt(session, 'reprompt');
+    expect(instructions).toContain('Speak in English.');
+    expect(instructions).not.toContain('Say in Hindi');
+  });
+});
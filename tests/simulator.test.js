@@ -0,0 +1,273 @@
+/**
+ * Conversation Simulator Test Suite
+ * Tests for: text-mode runs through CallSessionManager, intents/entities/
+ * actions per turn, saved and shared runs, REST routes, /simulator socket
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb({
+  simulatorRuns: {
+    create: jest.fn(),
+    appendTurn: jest.fn(),
+    end: jest.fn(),
+    getById: jest.fn(),
+    getByShareToken: jest.fn(),
+    getByClient: jest.fn().mockResolvedValue([])
+  }
+}));
+
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'simulator-test-secret-that-is-long-enough';
+
+const request = require('supertest');
+const express = require('express');
+const db = require('../db/postgres');
+const conversationSimulator = require('../services/conversationSimulator');
+const sessionManager = require('../sessions/CallSessionManager');
+const simulatorRoutes = require('../routes/simulator');
+const { handleSimulatorSocket } = require('../realtime/simulatorSocket');
+const { authenticateSocket } = require('../auth/authMiddleware');
+const JWTUtils = require('../auth/jwtUtils');
+const { errorHandler } = require('../middleware/errorHandler');
+const { endAllCalls, createSocket } = require('./utils/callTestHelpers');
+
+const CLIENT_ID = '11111111-1111-1111-1111-111111111111';
+const OTHER_CLIENT_ID = '33333333-3333-3333-3333-333333333333';
+const USER_ID = '22222222-2222-2222-2222-222222222222';
+
+const complaintScript = {
+  turns: [
+    {
+      user: 'mera parcel toota hua aaya',
+      tool: { name: 'ComplaintAgent', arguments: { order_id: '555', reason: 'damaged' } },
+      assistant: 'Aapki complaint darj ho gayi hai'
+    }
+  ]
+};
+
+let storedActions;
+let runs;
+let callCounter;
+
+function buildApp(user = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: USER_ID, client_id: CLIENT_ID, role: 'admin', ...user };
+    next();
+  });
+  app.use('/api/simulator', simulatorRoutes);
+  app.use(errorHandler);
+  return app;
+}
+
+beforeAll(() => {
+  conversationSimulator.turnSettleMs = 20;
+  conversationSimulator.turnTimeoutMs = 3000;
+});
+
+beforeEach(() => {
+  storedActions = [];
+  runs = new Map();
+  callCounter = 0;
+
+  db.query.mockImplementation(async (text, params) => {
+    if (text.includes('INSERT INTO calls')) {
+      callCounter++;
+      return { rows: [{ id: `sim-call-${callCounter}`, client_id: params[0], call_sid: params[1], is_simulated: true }] };
+    }
+    return { rows: [] };
+  });
+
+  db.actions.create.mockImplementation(async (data) => {
+    const action = { id: `act-${storedActions.length + 1}`, status: 'pending', ...data };
+    storedActions.push(action);
+    return action;
+  });
+  db.actions.getByCall.mockImplementation(async (callId) => storedActions.filter(a => a.call_id === callId));
+
+  db.simulatorRuns.create.mockImplementation(async (data) => {
+    const run = { id: `run-${runs.size + 1}`, status: 'active', turns: [], ...data };
+    runs.set(run.id, run);
+    return run;
+  });
+  db.simulatorRuns.appendTurn.mockImplementation(async (id, turn) => {
+    runs.get(id).turns.push(turn);
+    return runs.get(id);
+  });
+  db.simulatorRuns.end.mockImplementation(async (id, status) => {
+    Object.assign(runs.get(id), { status });
+    return runs.get(id);
+  });
+  db.simulatorRuns.getById.mockImplementation(async (id, clientId) => {
+    const run = runs.get(id);
+    return run && run.client_id === clientId ? run : undefined;
+  });
+  db.simulatorRuns.getByShareToken.mockImplementation(async (token, clientId) => {
+    return [...runs.values()].find(run => run.share_token === token && run.client_id === clientId);
+  });
+});
+
+afterEach(async () => {
+  await conversationSimulator.endAll();
+  await endAllCalls();
+  jest.clearAllMocks();
+});
+
+afterAll(() => sessionManager.destroy());
+
+/**
+ * Test Suite: Simulator runs
+ */
+describe('ConversationSimulator', () => {
+  test('should run a typed turn through tool calling, the agent and its actions', async () => {
+    const run = await conversationSimulator.startRun(CLIENT_ID, USER_ID, {
+      backend: 'fake',
+      intent_mode: 'tools',
+      script: complaintScript
+    });
+
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('is_simulated'), [CLIENT_ID, expect.stringMatching(/^sim-/)]);
+    expect(run).toMatchObject({ client_id: CLIENT_ID, call_id: 'sim-call-1', backend: 'fake', intent_mode: 'tools' });
+    expect(run.share_token).toMatch(/^[0-9a-f]{48}$/);
+
+    const session = sessionManager.getSession('sim-call-1');
+    expect(session.textMode).toBe(true);
+    expect(session.stsSession.backend.sentEvents[0].session).toMatchObject({ modalities: ['text'], turn_detection: null });
+
+    const turn = await conversationSimulator.sendTurn(CLIENT_ID, run.id, 'mera parcel toota hua aaya');
+
+    expect(turn).toMatchObject({
+      index: 0,
+      user: 'mera parcel toota hua aaya',
+      assistant: 'Aapki complaint darj ho gayi hai',
+      intents: [{ source: 'tool', intent: 'ComplaintAgent', agent_type: 'ComplaintAgent' }],
+      entities: { order_id: '555', reason: 'damaged' },
+      agent_events: [{ event: 'agent_completed', agent_type: 'ComplaintAgent', success: true }],
+      timed_out: false
+    });
+    expect(turn.actions).toEqual([
+      expect.objectContaining({ id: 'act-1', action_type: 'create_complaint', params: { order_id: '555', reason: 'damaged' } })
+    ]);
+    expect(db.simulatorRuns.appendTurn).toHaveBeenCalledWith(run.id, turn);
+  });
+
+  test('should report regex intents and agents waiting for information', async () => {
+    const run = await conversationSimulator.startRun(CLIENT_ID, USER_ID, {
+      backend: 'fake',
+      intent_mode: 'regex',
+      script: { turns: [{ assistant: 'Ji, order number batayiye' }] }
+    });
+
+    const turn = await conversationSimulator.sendTurn(CLIENT_ID, run.id, 'mera order kahan hai');
+
+    expect(turn.assistant).toBe('Ji, order number batayiye');
+    expect(turn.intents).toEqual([expect.objectContaining({ source: 'classifier', intent: 'ORDER_LOOKUP', agent_type: 'OrderLookupAgent' })]);
+    expect(turn.agent_events).toEqual([expect.objectContaining({ event: 'agent_needs_info', field: 'order_id' })]);
+    expect(turn.actions).toEqual([]);
+  });
+
+  test('should end the run and its synthetic call without charging it', async () => {
+    const run = await conversationSimulator.startRun(CLIENT_ID, USER_ID, { backend: 'fake' });
+
+    const ended = await conversationSimulator.endRun(CLIENT_ID, run.id);
+
+    expect(ended.status).toBe('ended');
+    expect(sessionManager.getSession(run.call_id)).toBeUndefined();
+    expect(db.calls.update).toHaveBeenCalledWith(run.call_id, expect.objectContaining({ charge_amount: 0 }));
+    await expect(conversationSimulator.sendTurn(CLIENT_ID, run.id, 'hello')).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('should keep runs inside the tenant', async () => {
+    const run = await conversationSimulator.startRun(CLIENT_ID, USER_ID, { backend: 'fake' });
+
+    await expect(conversationSimulator.sendTurn('other-client', run.id, 'hello')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(conversationSimulator.getRun('other-client', run.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+/**
+ * Test Suite: REST routes
+ */
+describe('Simulator routes', () => {
+  test('should start a run, play a turn and share it by token', async () => {
+    const app = buildApp();
+
+    const started = await request(app).post('/api/simulator/runs').send({ title: 'Complaint repro', backend: 'fake' });
+    expect(started.status).toBe(201);
+    const { run } = started.body;
+
+    const turn = await request(app).post(`/api/simulator/runs/${run.id}/turns`).send({ text: 'namaste' });
+    expect(turn.status).toBe(200);
+    expect(turn.body.turn).toMatchObject({ index: 0, user: 'namaste', assistant: 'Ji, main samajh gayi.' });
+
+    const fetched = await request(app).get(`/api/simulator/runs/${run.id}`);
+    expect(fetched.body.run).toMatchObject({ title: 'Complaint repro', active: true });
+    expect(fetched.body.run.turns).toHaveLength(1);
+
+    const shared = await request(app).get(`/api/simulator/shared/${run.share_token}`);
+    expect(shared.status).toBe(200);
+    expect(shared.body.run.turns).toHaveLength(1);
+    expect(shared.body.run.client_id).toBeUndefined();
+    expect(shared.body.run.share_token).toBeUndefined();
+
+    const ended = await request(app).post(`/api/simulator/runs/${run.id}/end`);
+    expect(ended.body.run.status).toBe('ended');
+  });
+
+  test('should validate input and map missing runs to 404', async () => {
+    const app = buildApp();
+
+    expect((await request(app).post('/api/simulator/runs').send({ backend: 'sip' })).status).toBe(400);
+    expect((await request(app).post('/api/simulator/runs/run-404/turns').send({})).status).toBe(400);
+    expect((await request(app).post('/api/simulator/runs/run-404/turns').send({ text: 'hi' })).status).toBe(404);
+    expect((await request(app).get('/api/simulator/shared/nope')).status).toBe(404);
+  });
+
+  test('should not open a shared run for a user of another client', async () => {
+    const { run } = (await request(buildApp()).post('/api/simulator/runs').send({ backend: 'fake' })).body;
+
+    const shared = await request(buildApp({ client_id: OTHER_CLIENT_ID })).get(`/api/simulator/shared/${run.share_token}`);
+
+    expect(shared.status).toBe(404);
+    expect(db.simulatorRuns.getByShareToken).toHaveBeenCalledWith(run.share_token, OTHER_CLIENT_ID);
+  });
+});
+
+/**
+ * Test Suite: /simulator WebSocket
+ */
+describe('Simulator socket', () => {
+  test('should authenticate with a token in the query string', () => {
+    const token = JWTUtils.signToken({ userId: USER_ID, client_id: CLIENT_ID, role: 'admin' });
+
+    expect(authenticateSocket({ url: `/simulator?token=${token}`, headers: {} }))
+      .toMatchObject({ id: USER_ID, client_id: CLIENT_ID });
+    expect(() => authenticateSocket({ url: '/simulator', headers: {} })).toThrow('Missing token');
+    expect(() => authenticateSocket({ url: '/simulator?token=forged', headers: {} })).toThrow('Invalid token');
+  });
+
+  test('should stream a turn and end the run when the socket closes', async () => {
+    const ws = createSocket();
+    handleSimulatorSocket(ws, { id: USER_ID, client_id: CLIENT_ID });
+
+    ws.receive({ type: 'start', backend: 'fake', intent_mode: 'tools', script: complaintScript });
+    const { run } = await ws.waitFor('run_started');
+
+    ws.receive({ type: 'user_text', text: 'mera parcel toota hua aaya' });
+    const { turn } = await ws.waitFor('turn');
+
+    const liveTypes = ws.sentMessages().map(m => m.type);
+    expect(liveTypes).toEqual(expect.arrayContaining(['intent', 'agent_event', 'assistant_text']));
+    expect(liveTypes.indexOf('assistant_text')).toBeLessThan(liveTypes.indexOf('turn'));
+    expect(turn.actions).toHaveLength(1);
+
+    ws.emit('close');
+    await new Promise(resolvePromise => setTimeout(resolvePromise, 20));
+
+    expect(runs.get(run.id).status).toBe('ended');
+    expect(sessionManager.getSession(run.call_id)).toBeUndefined();
+  });
+});
@@ -0,0 +1,318 @@
+/**
+ * Slot Schemas Test Suite
+ * Tests for: typed agent slots (normalize/validate), invalid answers asked
+ * for again with localized prompts, retry limits, and spoken or keypad
+ * confirmation of collected values before order cancellation
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb({
+  intentExamples: {
+    create: jest.fn(),
+    getByClient: jest.fn().mockResolvedValue([]),
+    getPatternExamples: jest.fn().mockResolvedValue([])
+  }
+}));
+
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+jest.mock('../services/ShopifyService', () => ({
+  getOrder: jest.fn(),
+  cancelOrder: jest.fn(),
+  createRefund: jest.fn()
+}));
+
+const db = require('../db/postgres');
+const ShopifyService = require('../services/ShopifyService');
+const BaseAgent = require('../agents/BaseAgent');
+const CancelOrderAgent = require('../agents/types/CancelOrderAgent');
+const RefundAgent = require('../agents/types/RefundAgent');
+const { checkSlotValue } = require('../agents/slotTypes');
+const { parseConfirmation } = require('../utils/spokenConfirmation');
+const sessionManager = require('../sessions/CallSessionManager');
+const {
+  startCall,
+  endAllCalls,
+  waitUntil,
+  press,
+  sent,
+  systemMessages,
+  toolOutputs,
+  recordedEvents
+} = require('./utils/callTestHelpers');
+
+const SHOP_CALL = { sector: 'ecommerce', intent_mode: 'regex' };
+
+// Collects a PIN code and a phone number, one invalid answer each allowed
+class DeliveryAgent extends BaseAgent {
+  constructor(callId, initialData = {}) {
+    super(callId, initialData);
+    this.defineSlots({
+      pin_code: { type: 'pin_code', maxRetries: 1 },
+      phone: { type: 'phone', prompts: { hi: 'Delivery ke liye mobile number batayiye.' } },
+      landmark: { type: 'text', required: false }
+    });
+  }
+
+  async execute() {
+    if (!this.hasRequiredData()) {
+      this.state = 'WAITING_FOR_INFO';
+      this.requestMissingInfo();
+      return;
+    }
+    this.complete({ success: true, contextUpdate: 'Delivery updated' });
+  }
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+afterEach(() => endAllCalls());
+
+afterAll(() => sessionManager.destroy());
+
+describe('Slot types', () => {
+  test.each([
+    ['order_id', '#1001', '1001'],
+    ['order_id', 'SHOP-1234', 'SHOP-1234'],
+    ['order_id', 'ek do teen chaar paanch', '12345'],
+    ['pin_code', '560 034', '560034'],
+    ['phone', '+91 98765 43210', '9876543210'],
+    ['phone', '09876543210', '9876543210'],
+    ['email', 'Ravi at the rate Gmail dot com', 'ravi@gmail.com'],
+    ['amount', '₹1,500', 1500],
+    ['date', 'paanch march 2026', '2026-03-05']
+  ])('%s "%s" -> %p', (type, given, expected) => {
+    expect(checkSlotValue(type, given)).toEqual({ valid: true, value: expected });
+  });
+
+  test.each([
+    ['order_id', 'abc'],
+    ['order_id', '12'],
+    ['pin_code', '012345'],
+    ['pin_code', '56003'],
+    ['phone', '12345'],
+    ['phone', '5876543210'],
+    ['email', 'ravi@gmail'],
+    ['amount', '0'],
+    ['date', '2026-02-30'],
+    ['text', '   ']
+  ])('%s "%s" is not valid', (type, given) => {
+    expect(checkSlotValue(type, given).valid).toBe(false);
+  });
+});
+
+describe('Slots in BaseAgent', () => {
+  test('defineSlots derives requiredFields and stores normalized values', async () => {
+    const agent = new DeliveryAgent('slot-unit-1', { pin_code: '560 034', phone: '+919876543210' });
+
+    expect(agent.requiredFields).toEqual(['pin_code', 'phone']);
+    expect(agent.hasRequiredData()).toBe(true);
+
+    await agent.start();
+    expect(agent.data).toMatchObject({ pin_code: '560034', phone: '9876543210' });
+    expect(agent.state).toBe('COMPLETED');
+  });
+
+  test('fields listed only by name are typed by their name', () => {
+    const agent = new BaseAgent('slot-unit-2', { order_id: 'xyz', reason: 'damaged' });
+    agent.requiredFields = ['order_id', 'reason'];
+
+    expect(agent.getMissingFields()).toEqual(['order_id']);
+
+    agent.validateSlots(agent.data);
+    expect(agent.data.order_id).toBeUndefined();
+    expect(agent.slotAttempts).toEqual({ order_id: 1 });
+    expect(agent.getPromptForField('order_id')).toBe('Order ID required');
+    expect(agent.getPromptForField('order_id', 'hi')).toBe('Ji, apna order number batayiye please.');
+  });
+
+  test('an invalid answer is not kept and the field is asked for again', async () => {
+    const agent = new DeliveryAgent('slot-unit-3', { phone: '9876543210' });
+    const needInfo = jest.fn();
+    agent.on('need_info', needInfo);
+
+    await agent.execute();
+    expect(needInfo).toHaveBeenLastCalledWith(expect.objectContaining({ field: 'pin_code', invalid: false, attempt: 1 }));
+
+    agent.updateData({ pin_code: '12345', landmark: 'near the temple' });
+
+    expect(agent.data.pin_code).toBeUndefined();
+    expect(agent.data.landmark).toBe('near the temple');
+    expect(needInfo).toHaveBeenCalledTimes(2);
+    expect(needInfo.mock.calls[1][0]).toEqual({
+      field: 'pin_code',
+      prompt: 'That PIN code is not valid (6 digits, not starting with 0)',
+      prompts: expect.objectContaining({ hi: expect.stringContaining('PIN code sahi nahi') }),
+      type: 'pin_code',
+      attempt: 2,
+      invalid: true
+    });
+  });
+
+  test('slot prompts replace the type prompts per language', async () => {
+    const agent = new DeliveryAgent('slot-unit-4', { pin_code: '560034' });
+    const needInfo = jest.fn();
+    agent.on('need_info', needInfo);
+
+    await agent.execute();
+
+    expect(needInfo.mock.calls[0][0].prompts).toEqual({
+      en: 'Phone number required',
+      hi: 'Delivery ke liye mobile number batayiye.'
+    });
+  });
+
+  test('too many invalid answers hand the call over instead of asking again', async () => {
+    const agent = new DeliveryAgent('slot-unit-5', { pin_code: '000000', phone: '9876543210' });
+    const needInfo = jest.fn();
+    const escalation = jest.fn();
+    agent.on('need_info', needInfo);
+    agent.on('need_escalation', escalation);
+
+    await agent.start();
+    agent.updateData({ pin_code: '99' });
+
+    expect(needInfo).toHaveBeenCalledTimes(1);
+    expect(escalation).toHaveBeenCalledWith({
+      reason: 'slot_retries_exceeded',
+      message: 'Could not get a valid pin_code after 2 attempts',
+      field: 'pin_code'
+    });
+  });
+
+  test('checking the status leaves the data and attempts alone', () => {
+    const agent = new DeliveryAgent('slot-unit-9', { pin_code: '12345', phone: '9876543210' });
+
+    expect(agent.getStatus()).toEqual(expect.objectContaining({ hasRequiredData: false, missingFields: ['pin_code'] }));
+    expect(agent.getStatus().missingFields).toEqual(['pin_code']);
+
+    expect(agent.data.pin_code).toBe('12345');
+    expect(agent.slotAttempts).toEqual({});
+    expect(agent.invalidSlots.size).toBe(0);
+  });
+
+  test('an invalid answer does not replace a valid value given before', () => {
+    const agent = new DeliveryAgent('slot-unit-6', { pin_code: '560034' });
+
+    agent.updateData({ pin_code: 'abc' });
+
+    expect(agent.data.pin_code).toBe('560034');
+  });
+});
+
+describe('Confirming destructive actions', () => {
+  test('cancel and refund agents ask to confirm the order number', async () => {
+    for (const [AgentClass, summary] of [[CancelOrderAgent, 'cancel order 45871'], [RefundAgent, 'refund for order 45871']]) {
+      const agent = new AgentClass('slot-unit-7', { order_id: '#45871' });
+      const needConfirmation = jest.fn();
+      agent.on('need_confirmation', needConfirmation);
+
+      await agent.start();
+
+      expect(needConfirmation).toHaveBeenCalledWith({ summary, values: { order_id: '45871' } });
+      expect(agent.state).toBe('WAITING_FOR_CONFIRMATION');
+    }
+    expect(db.actions.create).not.toHaveBeenCalled();
+  });
+
+  test('a new order number while confirming asks again for the new one', async () => {
+    const agent = new CancelOrderAgent('slot-unit-8', { order_id: '45871' });
+    const needConfirmation = jest.fn();
+    agent.on('need_confirmation', needConfirmation);
+
+    await agent.execute();
+    agent.updateData({ order_id: '45872' });
+    await waitUntil(() => needConfirmation.mock.calls.length === 2);
+
+    expect(needConfirmation).toHaveBeenLastCalledWith({ summary: 'cancel order 45872', values: { order_id: '45872' } });
+    expect(agent.confirmed).toBe(false);
+  });
+
+  test.each([
+    ['haan', true],
+    ['Haan ji, kar dijiye.', true],
+    ['ji', true],
+    ['yes please', true],
+    ['हाँ', true],
+    ['nahi', false],
+    ['ji nahi, rehne do', false],
+    ['no', false],
+    ['नहीं', false],
+    ['haan... nahi ruko', null],
+    ['mera doosra order bhi check karo aur uska status batao', null],
+    ['', null]
+  ])('"%s" answers %p', (text, expected) => {
+    expect(parseConfirmation(text)).toBe(expected);
+  });
+
+  test('saying "haan" confirms the cancellation on a regex-mode call', async () => {
+    ShopifyService.getOrder.mockResolvedValue({ id: '45871' });
+    ShopifyService.cancelOrder.mockResolvedValue({ cancelled: true });
+    const { session } = await startCall(SHOP_CALL);
+
+    session.stsSession.backend.speak('order 45871 cancel kar do');
+    const request = await waitUntil(() => systemMessages(session).find(text => text.includes('cancel order 45871')));
+
+    expect(request).toContain('Read back order_id 4 5 8 7 1 character by character');
+    expect(request).toContain("'haan' boliye ya 1 dabaiye");
+    expect(session.keypad.expected).toEqual({ kind: 'confirm', agentType: 'CancelOrderAgent' });
+
+    const intentDetected = jest.fn();
+    sessionManager.on('intent_detected', intentDetected);
+    session.stsSession.backend.speak('haan ji');
+
+    await waitUntil(() => systemMessages(session).find(text => text.includes('Order cancelled successfully')));
+    sessionManager.off('intent_detected', intentDetected);
+
+    expect(intentDetected).not.toHaveBeenCalled();
+    expect(systemMessages(session)).toContain('SYSTEM: The customer said yes. Going ahead - wait for the result.');
+    expect(ShopifyService.cancelOrder).toHaveBeenCalled();
+    expect(recordedEvents('confirmation_received')[0].payload).toEqual({ agent_type: 'CancelOrderAgent', confirmed: true, via: 'speech' });
+    expect(session.keypad.expected).toBeNull();
+
+    // The outcome is spoken, not left waiting for another caller turn
+    const events = sent(session);
+    const resultIndex = events.findIndex(event => event.type === 'conversation.item.create' &&
+      event.item.role === 'system' && event.item.content[0].text.includes('Order cancelled successfully'));
+    expect(events[resultIndex + 1]).toEqual({ type: 'response.create' });
+  });
+
+  test('saying "nahi" leaves the order alone', async () => {
+    const { session } = await startCall(SHOP_CALL);
+
+    session.stsSession.backend.speak('order 45871 cancel kar do');
+    await waitUntil(() => session.keypad.expected);
+
+    session.stsSession.backend.speak('nahi');
+
+    const declined = await waitUntil(() => systemMessages(session).find(text => text.includes('did not confirm')));
+    expect(declined).toContain('nothing was changed');
+    expect(ShopifyService.getOrder).not.toHaveBeenCalled();
+    expect(recordedEvents('confirmation_received')[0].payload).toEqual({ agent_type: 'CancelOrderAgent', confirmed: false, via: 'speech' });
+  });
+
+  test('an invalid order number from a tool call is asked again, then confirmed on the keypad', async () => {
+    ShopifyService.getOrder.mockResolvedValue({ id: '45871' });
+    ShopifyService.cancelOrder.mockResolvedValue({ cancelled: true });
+    const { callId, session } = await startCall({ ...SHOP_CALL, intent_mode: 'tools' });
+
+    await sessionManager.handleFunctionCall(session, { call_id: 'fc-1', name: 'CancelOrderAgent', arguments: { order_id: 'ab' } });
+    const [invalid] = await waitUntil(() => toolOutputs(session).length && toolOutputs(session));
+
+    expect(invalid).toMatchObject({ success: false, status: 'invalid_value', missing_field: 'order_id' });
+    expect(invalid.message).toContain('That order ID does not look right');
+    expect(invalid.message).toContain('Say in Hindi: "Maaf kijiye, yeh order number sahi nahi lag raha.');
+    expect(session.waitingForEntity).toBe('order_id');
+
+    press(callId, '45871#');
+    await waitUntil(() => session.keypad.expected && session.keypad.expected.kind === 'confirm');
+    expect(systemMessages(session).find(text => text.includes('cancel order 45871'))).toBeDefined();
+
+    press(callId, '1');
+    await waitUntil(() => systemMessages(session).find(text => text.includes('Order cancelled successfully')));
+    expect(db.actions.create).toHaveBeenCalledWith(expect.objectContaining({ params: { order_id: '45871' } }));
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Speech Backend Test Suite
+ * Tests for: scripted fake backend, fake Realtime server, STSSession and
+ * CallSessionManager driven end-to-end without OpenAI
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn().mockResolvedValue({ rows: [] }),
+  calls: { update: jest.fn().mockResolvedValue({}) },
+  entities: { create: jest.fn().mockResolvedValue({}) },
+  clients: { getById: jest.fn().mockResolvedValue(null) }
+}));
+
+jest.mock('../services/wasabiStorage', () => ({
+  uploadCallRecording: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../services/performanceTracker', () => ({
+  updateTeamMemberPerformance: jest.fn().mockResolvedValue(null)
+}));
+
+const db = require('../db/postgres');
+const { createSpeechBackend, ScriptedFakeBackend, OpenAIRealtimeBackend, CascadedBackend } = require('../realtime/backends');
+const FakeRealtimeServer = require('../realtime/fake/FakeRealtimeServer');
+const STSSession = require('../realtime/stsSession');
+
+/**
+ * Wait for an emitter event (with timeout so a broken test fails instead of hanging)
+ */
+function waitFor(emitter, eventName, timeoutMs = 2000) {
+  return new Promise((resolvePromise, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${eventName}`)), timeoutMs);
+    emitter.once(eventName, (...args) => {
+      clearTimeout(timer);
+      resolvePromise(args.length > 1 ? args : args[0]);
+    });
+  });
+}
+
+/**
+ * Test Suite: Backend factory
+ */
+describe('createSpeechBackend', () => {
+  const originalBackend = process.env.SPEECH_BACKEND;
+
+  afterEach(() => {
+    if (originalBackend === undefined) {
+      delete process.env.SPEECH_BACKEND;
+    } else {
+      process.env.SPEECH_BACKEND = originalBackend;
+    }
+  });
+
+  test('should create each backend type by name', () => {
+    expect(createSpeechBackend({ type: 'fake' })).toBeInstanceOf(ScriptedFakeBackend);
+    expect(createSpeechBackend({ type: 'openai', apiKey: 'sk-test' })).toBeInstanceOf(OpenAIRealtimeBackend);
+    expect(createSpeechBackend({ type: 'cascaded', apiKey: 'sk-test' })).toBeInstanceOf(CascadedBackend);
+  });
+
+  test('should fall back to SPEECH_BACKEND env var', () => {
+    process.env.SPEECH_BACKEND = 'fake';
+    expect(createSpeechBackend({}).name).toBe('fake');
+  });
+
+  test('should reject unknown backend types', () => {
+    expect(() => createSpeechBackend({ type: 'nope' })).toThrow('Unknown speech backend');
+  });
+});
+
+/**
+ * Test Suite: STSSession over the scripted fake
+ */
+describe('STSSession with scripted fake backend', () => {
+  let session;
+
+  afterEach(async () => {
+    if (session) {
+      await session.stop();
+      session = null;
+    }
+  });
+
+  test('should configure the session and stream a scripted turn', async () => {
+    session = new STSSession('unused', {
+      backendType: 'fake',
+      script: { turns: [{ user: 'mera order kahan hai', assistant: 'Ji, order number batayiye' }] }
+    });
+
+    const created = waitFor(session, 'session_created');
+    await session.start('call-fake-1');
+    await created;
+
+    const backend = session.backend;
+    expect(backend.sentEvents[0].type).toBe('session.update');
+
+    const userTranscript = waitFor(session, 'user_transcript_completed');
+    const aiTranscript = waitFor(session, 'ai_transcript_completed');
+    const audioChunks = [];
+    session.on('audio_output', chunk => audioChunks.push(chunk));
+
+    // 9600 bytes of caller audio = one scripted utterance
+    session.sendAudio(Buffer.alloc(9600));
+
+    expect((await userTranscript).transcript).toBe('mera order kahan hai');
+    expect((await aiTranscript).transcript).toBe('Ji, order number batayiye');
+    expect(audioChunks.length).toBeGreaterThan(0);
+    expect(session.getConversationHistory().map(m => m.role)).toEqual(['user', 'assistant']);
+  });
+
+  test('should emit text replies for text-only responses', async () => {
+    session = new STSSession('unused', { backendType: 'fake' });
+    await session.start('call-fake-2');
+
+    const aiTranscript = waitFor(session, 'ai_transcript_completed');
+    session.send({ type: 'response.create', response: { modalities: ['text'] } });
+
+    expect((await aiTranscript).transcript).toBe('Ji, main samajh gayi.');
+  });
+
+  test('should report closed when the backend drops and reconnection is disabled', async () => {
+    session = new STSSession('unused', { backendType: 'fake', maxReconnectAttempts: 0 });
+    await session.start('call-fake-3');
+
+    const closed = waitFor(session, 'closed');
+    session.backend.drop();
+    await closed;
+
+    expect(session.isActive()).toBe(false);
+  });
+});
+
+/**
+ * Test Suite: Fake Realtime server with the real OpenAI backend
+ */
+describe('FakeRealtimeServer', () => {
+  let server;
+  let session;
+
+  afterEach(async () => {
+    if (session) {
+      await session.stop();
+      session = null;
+    }
+    if (server) {
+      await server.close();
+      server = null;
+    }
+  });
+
+  test('should serve the Realtime protocol over a local socket', async () => {
+    server = new FakeRealtimeServer({
+      script: { turns: [{ user: 'refund chahiye', assistant: 'Ji, refund ke liye order number batayiye' }] }
+    });
+    const url = await server.listen();
+
+    const backend = new OpenAIRealtimeBackend({ url, apiKey: 'sk-test' });
+    expect(backend.getEndpoint()).toContain('model=');
+
+    session = new STSSession('sk-test', { backend });
+    const created = waitFor(session, 'session_created');
+    await session.start('call-ws-1');
+    await created;
+
+    const aiTranscript = waitFor(session, 'ai_transcript_completed');
+    session.send({ type: 'input_audio_buffer.commit' });
+
+    expect((await aiTranscript).transcript).toBe('Ji, refund ke liye order number batayiye');
+  });
+});
+
+/**
+ * Test Suite: CallSessionManager driven by the fake
+ */
+describe('CallSessionManager with fake speech backend', () => {
+  let sessionManager;
+  let orchestrator;
+
+  beforeAll(() => {
+    sessionManager = require('../sessions/CallSessionManager');
+    orchestrator = require('../agents/orchestrator');
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => sessionManager.destroy());
+
+  test('should pick the backend from call data, then client settings, then env', async () => {
+    expect(await sessionManager.resolveSpeechBackend({ speech_backend: 'fake' })).toBe('fake');
+
+    db.clients.getById.mockResolvedValueOnce({ settings: { speech: { backend: 'cascaded' } } });
+    expect(await sessionManager.resolveSpeechBackend({ client_id: 'client-1' })).toBe('cascaded');
+  });
+
+  test('should detect intent from a fake caller turn and launch an agent', async () => {
+    const launchSpy = jest.spyOn(orchestrator, 'launchAgent').mockResolvedValue({});
+    const audioOut = [];
+    const onAudio = data => audioOut.push(data);
+    sessionManager.on('audio_output', onAudio);
+
+    const session = await sessionManager.createSession('call-csm-1', { speech_backend: 'fake', intent_mode: 'regex' }, {
+      script: { turns: [{ user: 'mera order 12345 kahan hai', assistant: 'Ji, check kar rahi hoon' }] }
+    });
+
+    const aiDone = waitFor(session.stsSession, 'ai_transcript_completed');
+    sessionManager.processIncomingAudio('call-csm-1', Buffer.alloc(9600));
+    await aiDone;
+
+    expect(launchSpy).toHaveBeenCalledWith('call-csm-1', expect.any(String), expect.objectContaining({ order_id: '12345' }));
+    expect(db.entities.create).toHaveBeenCalledWith(expect.objectContaining({ entity_type: 'transcript_user' }));
+    expect(audioOut.length).toBeGreaterThan(0);
+
+    await sessionManager.endSession('call-csm-1');
+    expect(db.calls.update).toHaveBeenCalledWith('call-csm-1', expect.objectContaining({
+      transcript_full: expect.stringContaining('mera order 12345 kahan hai')
+    }));
+    expect(sessionManager.getSession('call-csm-1')).toBeUndefined();
+
+    sessionManager.removeListener('audio_output', onAudio);
+    launchSpy.mockRestore();
+  });
+});
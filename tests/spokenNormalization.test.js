@@ -0,0 +1,127 @@
+/**
+ * Spoken Entity Normalization Test Suite
+ * Tests for: Hindi/English number words, double/triple, multipliers, spoken
+ * emails and spelled letters, dates, and entity extraction on spoken turns
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+
+const { normalizeSpokenEntities, wordsToNumber, wordsToDigits } = require('../utils/spokenEntityNormalizer');
+const IntentDetector = require('../agents/intentDetector');
+const IntentDetectorV2 = require('../agents/intentDetectorV2');
+
+const now = new Date('2026-10-19T10:00:00Z');
+const normalize = text => normalizeSpokenEntities(text, { now });
+
+describe('Numbers', () => {
+  test.each([
+    ['order number ek do teen chaar paanch', 'order number 12345'],
+    ['one two three four five six', '123456'],
+    ['nau aath saat chhe paanch chaar teen do ek zero', '9876543210'],
+    ['एक दो तीन चार पांच', '12345'],
+    ['९८७६५४३२१० मेरा नंबर है', '9876543210 मेरा नंबर है'],
+    ['98 76 54 32 10', '9876543210'],
+    ['pin code paanch chhe zero zero three four', 'pin code 560034'],
+    ['order twenty twenty six', 'order 2026']
+  ])('"%s" -> "%s"', (spoken, expected) => {
+    expect(normalize(spoken)).toBe(expected);
+  });
+
+  test('double and triple repeat the next digit', () => {
+    expect(normalize('nine eight double five triple zero')).toBe('9855000');
+    expect(normalize('dabal paanch')).toBe('55');
+    expect(wordsToDigits(['double', '7', 'teen'])).toBe('773');
+  });
+
+  test('multipliers make amounts', () => {
+    expect(normalize('das hazaar')).toBe('10000');
+    expect(normalize('dedh lakh ka refund')).toBe('150000 ka refund');
+    expect(wordsToNumber(['do', 'hazaar', 'paanch', 'sau'])).toBe(2500);
+    expect(wordsToNumber(['2', 'lakh', '50', 'hazaar'])).toBe(250000);
+    expect(wordsToNumber(['dhai', 'sau'])).toBe(250);
+    expect(wordsToNumber(['ten', 'thousand', 'five', 'hundred'])).toBe(10500);
+  });
+
+  test('a number before a rupee word becomes an amount', () => {
+    expect(normalize('das hazaar rupaye wapas chahiye')).toBe('₹10000 wapas chahiye');
+    expect(normalize('500 rupees')).toBe('₹500');
+    expect(normalize('दस हज़ार रुपये')).toBe('₹10000');
+  });
+
+  test('everyday words that are also numbers are left alone', () => {
+    expect(normalize('cancel kar do')).toBe('cancel kar do');
+    expect(normalize('mujhe do teen din lagenge')).toBe('mujhe do teen din lagenge');
+    expect(normalize('i want a refund')).toBe('i want a refund');
+    expect(normalize('the one i ordered')).toBe('the one i ordered');
+  });
+
+  test('spoken digits do not run into a written number', () => {
+    expect(normalize('kar do 500 rupaye')).toBe('kar do ₹500');
+  });
+});
+
+describe('Emails and spelling', () => {
+  test.each([
+    ['a b c at the rate gmail dot com', 'abc@gmail.com'],
+    ['mera email ravi dot kumar at the rate yahoo dot co dot in hai', 'mera email ravi.kumar@yahoo.co.in hai'],
+    ['r for ravi a v i at the rate gmail dot com', 'ravi@gmail.com'],
+    ['ravi one two three at the rate gmail dot com', 'ravi123@gmail.com'],
+    ['priya underscore s at the rate outlook dot com', 'priya_s@outlook.com']
+  ])('"%s" -> "%s"', (spoken, expected) => {
+    expect(normalize(spoken)).toBe(expected);
+  });
+
+  test('phonetic letters need a word starting with the letter', () => {
+    expect(normalize('a for apple b for ball c for cat')).toBe('abc');
+    expect(normalize('a for refund')).toBe('a for refund');
+  });
+});
+
+describe('Dates', () => {
+  test.each([
+    ['paanch march ko order kiya', '2026-03-05 ko order kiya'],
+    ['5th march 2025', '2025-03-05'],
+    ['march 12', '2026-03-12'],
+    ['order 05/03/2026 ko kiya', 'order 2026-03-05 ko kiya'],
+    ['12 tareekh ko delivery', '2026-10-12 ko delivery'],
+    ['paanch march twenty twenty six', '2026-03-05']
+  ])('"%s" -> "%s"', (spoken, expected) => {
+    expect(normalize(spoken)).toBe(expected);
+  });
+
+  test('impossible dates stay as they were', () => {
+    expect(normalize('31 february')).toBe('31 february');
+  });
+});
+
+describe('Entity extraction', () => {
+  const detector = new IntentDetector();
+
+  test('order ids, phone numbers and PIN codes read out digit by digit', () => {
+    expect(detector.detect('mera order ek do teen chaar paanch chhe kahan hai').entities.order_id).toBe('123456');
+    expect(detector.extractEntities('phone nau aath saat chhe paanch chaar teen do ek zero').phone).toBe('9876543210');
+    expect(detector.extractEntities('pin code paanch chhe zero zero three four').pin_code).toBe('560034');
+  });
+
+  test('amounts, emails and dates', () => {
+    const entities = detector.detect('das hazaar rupaye ka refund chahiye').entities;
+
+    expect(entities.amount).toBe('10000');
+    expect(entities.order_id).toBeUndefined();
+    expect(detector.extractEntities('a b c at the rate gmail dot com').email).toBe('abc@gmail.com');
+    expect(detector.extractEntities('order 05/03/2026 ko kiya tha')).toEqual({ date: '2026-03-05' });
+  });
+
+  test('Hindi call language patterns see the normalized digits', () => {
+    const detection = detector.detect('मेरा ऑर्डर एक दो तीन चार पांच कहाँ है', [], 'hi');
+
+    expect(detection.entities.order_id).toBe('12345');
+  });
+
+  test('IntentDetectorV2 normalizes before its sector patterns', () => {
+    const v2 = new IntentDetectorV2(null);
+    const entities = v2.extractEntities('order ek do teen chaar paanch', v2.getDefaultEntityPatternsForSector('ecommerce'));
+
+    expect(entities.order_id).toBe('12345');
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * STS Reconnection Test Suite
+ * Tests for: backoff, session re-configuration, conversation replay,
+ * caller audio buffering during the gap, call event recording
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../db/postgres', () => ({
+  query: jest.fn().mockResolvedValue({ rows: [] }),
+  calls: { update: jest.fn().mockResolvedValue({}) },
+  entities: { create: jest.fn().mockResolvedValue({}) },
+  callEvents: { create: jest.fn().mockResolvedValue({}) },
+  clients: { getById: jest.fn().mockResolvedValue(null) }
+}));
+
+jest.mock('../services/wasabiStorage', () => ({
+  uploadCallRecording: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../services/performanceTracker', () => ({
+  updateTeamMemberPerformance: jest.fn().mockResolvedValue(null)
+}));
+
+const db = require('../db/postgres');
+const STSSession = require('../realtime/stsSession');
+
+function waitFor(emitter, eventName, timeoutMs = 2000) {
+  return new Promise((resolvePromise, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${eventName}`)), timeoutMs);
+    emitter.once(eventName, (data) => {
+      clearTimeout(timer);
+      resolvePromise(data);
+    });
+  });
+}
+
+/**
+ * Test Suite: STSSession reconnection
+ */
+describe('STSSession reconnection', () => {
+  let session;
+
+  afterEach(async () => {
+    if (session) {
+      await session.stop();
+      session = null;
+    }
+  });
+
+  test('should reconnect, re-configure, replay context and flush buffered audio', async () => {
+    session = new STSSession('unused', {
+      backendType: 'fake',
+      reconnectDelayMs: 5,
+      script: { turns: [{ user: 'mera order 12345 kahan hai', assistant: 'Ji, check kar rahi hoon' }] }
+    });
+    await session.start('call-reconnect-1', { instructions: 'Be helpful', voice: 'shimmer' });
+
+    const firstTurn = waitFor(session, 'ai_transcript_completed');
+    session.sendAudio(Buffer.alloc(9600));
+    await firstTurn;
+
+    const backend = session.backend;
+    const reconnecting = waitFor(session, 'reconnecting');
+    const reconnected = waitFor(session, 'reconnected');
+    backend.drop();
+
+    expect(await reconnecting).toMatchObject({ attempt: 1, delayMs: 5, code: 1006 });
+
+    // Caller keeps talking during the gap
+    session.sendAudio(Buffer.alloc(320));
+    session.sendAudio(Buffer.alloc(320));
+
+    const result = await reconnected;
+    expect(result).toMatchObject({ attempts: 1, replayedItems: 2, flushedBytes: 640 });
+
+    const sentAfterDrop = backend.sentEvents.slice(backend.sentEvents.findIndex(
+      (event, index) => index > 0 && event.type === 'session.update'
+    ));
+    expect(sentAfterDrop[0].session).toMatchObject({ instructions: 'Be helpful', voice: 'shimmer' });
+
+    const replayed = sentAfterDrop.filter(event => event.type === 'conversation.item.create');
+    expect(replayed.map(event => event.item.role)).toEqual(['user', 'assistant']);
+    expect(replayed[0].item.content[0]).toEqual({ type: 'input_text', text: 'mera order 12345 kahan hai' });
+    expect(replayed[1].item.content[0]).toEqual({ type: 'text', text: 'Ji, check kar rahi hoon' });
+
+    const flushed = sentAfterDrop.filter(event => event.type === 'input_audio_buffer.append');
+    expect(flushed).toHaveLength(2);
+    expect(session.isActive()).toBe(true);
+  });
+
+  test('should ask for a response when the drop swallowed the answer', async () => {
+    session = new STSSession('unused', { backendType: 'fake', reconnectDelayMs: 5 });
+    await session.start('call-reconnect-2');
+
+    session.conversationContext.push({ role: 'user', content: 'refund kab aayega', timestamp: Date.now() });
+
+    const reconnected = waitFor(session, 'reconnected');
+    session.backend.drop();
+    await reconnected;
+
+    const sent = session.backend.sentEvents;
+    expect(sent[sent.length - 1].type).toBe('response.create');
+  });
+
+  test('should back off exponentially and give up after max attempts', async () => {
+    session = new STSSession('unused', { backendType: 'fake', reconnectDelayMs: 5, maxReconnectAttempts: 3 });
+    await session.start('call-reconnect-3');
+
+    jest.spyOn(session.backend, 'connect').mockRejectedValue(new Error('ECONNREFUSED'));
+
+    const delays = [];
+    session.on('reconnecting', data => delays.push(data.delayMs));
+    const failed = waitFor(session, 'reconnect_failed');
+    const closed = waitFor(session, 'closed');
+
+    session.backend.drop();
+
+    expect(await failed).toMatchObject({ attempts: 3, code: 1006 });
+    await closed;
+    expect(delays).toEqual([5, 10, 20]);
+  });
+
+  test('should not reconnect after stop()', async () => {
+    session = new STSSession('unused', { backendType: 'fake', reconnectDelayMs: 5 });
+    await session.start('call-reconnect-4');
+
+    const backend = session.backend;
+    const connectSpy = jest.spyOn(backend, 'connect');
+    await session.stop();
+    session = null;
+
+    await new Promise(resolvePromise => setTimeout(resolvePromise, 30));
+    expect(connectSpy).not.toHaveBeenCalled();
+  });
+});
+
+/**
+ * Test Suite: Reconnects recorded on the call
+ */
+describe('CallSessionManager reconnect events', () => {
+  const sessionManager = require('../sessions/CallSessionManager');
+
+  afterEach(async () => {
+    for (const callId of sessionManager.getActiveSessions()) {
+      await sessionManager.endSession(callId);
+    }
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => sessionManager.destroy());
+
+  test('should record reconnecting and reconnected call events', async () => {
+    const session = await sessionManager.createSession('call-reconnect-5', {
+      speech_backend: 'fake',
+      client_id: 'client-1'
+    }, { reconnectDelayMs: 5 });
+
+    const reconnected = waitFor(session.stsSession, 'reconnected');
+    session.stsSession.backend.drop();
+    await reconnected;
+    await new Promise(resolvePromise => setImmediate(resolvePromise));
+
+    const eventTypes = db.callEvents.create.mock.calls.map(call => call[0].event_type);
+    expect(eventTypes).toEqual(['sts_reconnecting', 'sts_reconnected']);
+    expect(db.callEvents.create.mock.calls[0][0]).toMatchObject({ call_id: 'call-reconnect-5', client_id: 'client-1' });
+  });
+
+  test('should end the session when reconnecting fails', async () => {
+    const session = await sessionManager.createSession('call-reconnect-6', { speech_backend: 'fake' }, {
+      reconnectDelayMs: 1,
+      maxReconnectAttempts: 1
+    });
+    jest.spyOn(session.stsSession.backend, 'connect').mockRejectedValue(new Error('down'));
+
+    const failed = waitFor(session.stsSession, 'reconnect_failed');
+    session.stsSession.backend.drop();
+    await failed;
+    await new Promise(resolvePromise => setTimeout(resolvePromise, 10));
+
+    expect(db.callEvents.create).toHaveBeenCalledWith(expect.objectContaining({ event_type: 'sts_reconnect_failed' }));
+    expect(sessionManager.getSession('call-reconnect-6')).toBeUndefined();
+  });
+});
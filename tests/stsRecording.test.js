@@ -0,0 +1,282 @@
+/**
+ * STS Event Recording Test Suite
+ * Tests for: per-call event stream recording (audio stored separately),
+ * CallSessionManager integration, deterministic replay with mocked agents
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb({
+  stsRecordings: {
+    create: jest.fn().mockResolvedValue({}),
+    appendEvents: jest.fn(),
+    finish: jest.fn().mockResolvedValue({}),
+    getByCall: jest.fn(),
+    getEvents: jest.fn()
+  }
+}));
+
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage({
+  uploadStsAudio: jest.fn(),
+  downloadCallRecording: jest.fn()
+}));
+
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+const db = require('../db/postgres');
+const wasabiStorage = require('../services/wasabiStorage');
+const sessionManager = require('../sessions/CallSessionManager');
+const StsEventRecorder = require('../realtime/recording/StsEventRecorder');
+const piiRedactionService = require('../services/piiRedactionService');
+const ReplayBackend = require('../realtime/backends/ReplayBackend');
+const { loadRecording, replayCall } = require('../realtime/recording/callReplayer');
+const { CLIENT_ID, startCall, waitForEvent, waitUntil } = require('./utils/callTestHelpers');
+
+const complaintScript = {
+  turns: [
+    {
+      user: 'mera parcel toota hua aaya',
+      tool: { name: 'ComplaintAgent', arguments: { order_id: '555', reason: 'damaged' } },
+      assistant: 'Aapki complaint darj ho gayi hai'
+    }
+  ]
+};
+
+let storedEvents;
+
+/**
+ * Record a typed complaint call on the fake backend
+ */
+async function recordComplaintCall(callId) {
+  const { session } = await startCall({ id: callId, record_events: true }, { textMode: true, script: complaintScript });
+
+  sessionManager.sendUserText(callId, 'mera parcel toota hua aaya');
+  await waitUntil(() => session.stsSession.getConversationHistory()
+    .some(entry => entry.role === 'assistant' && entry.content === 'Aapki complaint darj ho gayi hai'));
+
+  // The post-call summary is written after the session has ended
+  const summarized = waitForEvent('call_summarized', callId);
+
+  await sessionManager.endSession(callId);
+  await summarized;
+  return storedEvents.filter(event => event.call_id === callId);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  storedEvents = [];
+  db.stsRecordings.appendEvents.mockImplementation(async (callId, events) => {
+    events.forEach(event => storedEvents.push({ call_id: callId, ...event }));
+    return events.length;
+  });
+  wasabiStorage.uploadStsAudio.mockImplementation(async (callId, track) => `https://wasabi.test/${callId}/${track}.pcm`);
+});
+
+afterAll(() => sessionManager.destroy());
+
+describe('StsEventRecorder', () => {
+  test('strips audio into per-direction tracks and keeps event order', async () => {
+    const recorder = new StsEventRecorder('call-1', { clientId: CLIENT_ID });
+    recorder.start({ backend: 'openai', intentMode: 'tools' });
+
+    const inbound = Buffer.from([1, 2, 3, 4]);
+    const outbound = Buffer.from([9, 8, 7, 6, 5, 4]);
+    recorder.record('client', { type: 'input_audio_buffer.append', audio: inbound.toString('base64') });
+    recorder.record('server', { type: 'response.audio.delta', item_id: 'item_1', delta: outbound.toString('base64') });
+    recorder.record('client', { type: 'input_audio_buffer.append', audio: inbound.toString('base64') });
+    recorder.record('server', { type: 'response.done' });
+
+    const summary = await recorder.finish();
+
+    expect(storedEvents.map(e => e.seq)).toEqual([1, 2, 3, 4]);
+    expect(storedEvents[0].payload).toEqual({
+      type: 'input_audio_buffer.append',
+      audio: { track: 'inbound', offset: 0, bytes: 4 }
+    });
+    expect(storedEvents[1].payload.delta).toBeUndefined();
+    expect(storedEvents[1].payload.audio).toEqual({ track: 'outbound', offset: 0, bytes: 6 });
+    expect(storedEvents[2].payload.audio).toEqual({ track: 'inbound', offset: 4, bytes: 4 });
+
+    expect(wasabiStorage.uploadStsAudio).toHaveBeenCalledWith('call-1', 'inbound', Buffer.concat([inbound, inbound]));
+    expect(wasabiStorage.uploadStsAudio).toHaveBeenCalledWith('call-1', 'outbound', outbound);
+    expect(summary).toEqual({
+      eventCount: 4,
+      inboundAudioUrl: 'https://wasabi.test/call-1/inbound.pcm',
+      outboundAudioUrl: 'https://wasabi.test/call-1/outbound.pcm',
+      audioTruncated: false
+    });
+    expect(db.stsRecordings.finish).toHaveBeenCalledWith('call-1', expect.objectContaining({ event_count: 4 }));
+  });
+
+  test('flushes in batches and marks audio truncated past the cap', async () => {
+    const recorder = new StsEventRecorder('call-2', { batchSize: 2, maxAudioBytes: 4 });
+    recorder.start({});
+
+    const chunk = Buffer.from([1, 2, 3]).toString('base64');
+    recorder.record('client', { type: 'input_audio_buffer.append', audio: chunk });
+    recorder.record('client', { type: 'input_audio_buffer.append', audio: chunk });
+    await recorder.flushing;
+
+    expect(db.stsRecordings.appendEvents).toHaveBeenCalledTimes(1);
+    expect(storedEvents[1].payload.audio).toEqual({ track: 'inbound', offset: null, bytes: 3 });
+
+    const summary = await recorder.finish();
+    expect(summary.audioTruncated).toBe(true);
+    expect(summary.outboundAudioUrl).toBeNull();
+  });
+
+  test('transcripts, tool arguments and injected context are stored masked', async () => {
+    const redaction = await piiRedactionService.getPolicy(CLIENT_ID);
+    const recorder = new StsEventRecorder('call-4', { clientId: CLIENT_ID, redaction });
+    recorder.start({});
+
+    recorder.record('server', {
+      type: 'conversation.item.input_audio_transcription.completed',
+      transcript: 'mera number 9876543210 hai'
+    });
+    recorder.record('server', {
+      type: 'response.output_item.done',
+      item: { type: 'function_call', name: 'RefundAgent', arguments: '{"phone":"9876543210","order_id":"555"}' }
+    });
+    recorder.record('client', {
+      type: 'conversation.item.create',
+      item: { type: 'message', role: 'system', content: [{ type: 'input_text', text: 'The customer typed the card on the keypad: 4111 1111 1111 1111.' }] }
+    });
+    await recorder.finish();
+
+    expect(storedEvents[0].payload.transcript).toBe('mera number [PHONE] hai');
+    expect(storedEvents[1].payload.item.arguments).toBe('{"phone":"[PHONE]","order_id":"555"}');
+    expect(storedEvents[2].payload.item.content[0].text).toBe('The customer typed the card on the keypad: [CARD].');
+    expect(JSON.stringify(storedEvents)).not.toMatch(/9876543210|4111/);
+  });
+
+  test('storage failures never reach the call', async () => {
+    db.stsRecordings.appendEvents.mockRejectedValue(new Error('db down'));
+    wasabiStorage.uploadStsAudio.mockRejectedValue(new Error('wasabi down'));
+
+    const recorder = new StsEventRecorder('call-3');
+    recorder.start({});
+    recorder.record('client', { type: 'input_audio_buffer.append', audio: 'AAAA' });
+
+    await expect(recorder.finish()).resolves.toEqual(expect.objectContaining({ inboundAudioUrl: null }));
+  });
+});
+
+describe('Call recording and replay', () => {
+  test('CallSessionManager records the call when record_events is set', async () => {
+    const events = await recordComplaintCall('rec-call-1');
+
+    expect(db.stsRecordings.create).toHaveBeenCalledWith(expect.objectContaining({
+      call_id: 'rec-call-1',
+      backend: 'fake',
+      intent_mode: 'tools'
+    }));
+    const types = events.map(e => `${e.direction}:${e.event_type}`);
+    expect(types).toContain('client:session.update');
+    expect(types).toContain('server:response.output_item.done');
+    expect(types).toContain('client:conversation.item.create');
+    expect(db.stsRecordings.finish).toHaveBeenCalledWith('rec-call-1', expect.objectContaining({
+      event_count: events.length
+    }));
+  });
+
+  test('calls are not recorded by default', async () => {
+    const { session } = await startCall({ id: 'rec-call-2' }, { textMode: true, script: complaintScript });
+
+    expect(session.eventRecorder).toBeNull();
+    await sessionManager.endSession('rec-call-2');
+    expect(db.stsRecordings.create).not.toHaveBeenCalled();
+  });
+
+  test('replays a recorded tool call with mocked agents and no divergence', async () => {
+    const events = await recordComplaintCall('rec-call-3');
+    db.actions.create.mockClear();
+    db.calls.update.mockClear();
+    db.stsRecordings.create.mockClear();
+
+    const report = await replayCall({
+      call: { id: 'rec-call-3', client_id: CLIENT_ID },
+      recording: { intent_mode: 'tools' },
+      events,
+      audio: {}
+    }, { clientWaitMs: 500 });
+
+    expect(report.divergences).toEqual([]);
+    expect(report.eventsReplayed).toBe(events.filter(e => e.direction === 'server').length);
+    expect(report.intents).toEqual([expect.objectContaining({ source: 'tool', agentType: 'ComplaintAgent' })]);
+    expect(report.agentEvents).toEqual([
+      { event: 'agent_completed', agentType: 'ComplaintAgent', success: true }
+    ]);
+    expect(report.transcript).toEqual([
+      { role: 'user', content: 'mera parcel toota hua aaya' },
+      { role: 'assistant', content: 'Aapki complaint darj ho gayi hai' }
+    ]);
+
+    // Mocked agents and no persistence: nothing written
+    expect(db.actions.create).not.toHaveBeenCalled();
+    expect(db.calls.update).not.toHaveBeenCalled();
+    expect(db.stsRecordings.create).not.toHaveBeenCalled();
+    expect(sessionManager.getSession('replay-rec-call-3')).toBeUndefined();
+  });
+
+  test('reports divergences when the session behaves differently', async () => {
+    const events = await recordComplaintCall('rec-call-4');
+
+    // Without the model's function call the session never answers it
+    const withoutToolCall = events.filter(e => !(e.event_type === 'response.output_item.done' &&
+      e.payload.item && e.payload.item.type === 'function_call'));
+
+    const report = await replayCall({
+      call: { id: 'rec-call-4', client_id: CLIENT_ID },
+      recording: { intent_mode: 'tools' },
+      events: withoutToolCall,
+      audio: {}
+    }, { clientWaitMs: 100 });
+
+    expect(report.divergences).toEqual(expect.arrayContaining([
+      expect.objectContaining({ kind: 'missing', expected: 'conversation.item.create:function_call_output' })
+    ]));
+    expect(report.agentEvents).toEqual([]);
+  });
+
+  test('loadRecording reads events and downloads audio tracks', async () => {
+    db.stsRecordings.getByCall.mockResolvedValue({
+      call_id: 'rec-call-5',
+      client_id: CLIENT_ID,
+      intent_mode: 'tools',
+      outbound_audio_url: 'https://wasabi.test/rec-call-5/outbound.pcm'
+    });
+    db.stsRecordings.getEvents.mockResolvedValue([{ seq: 1, direction: 'server', event_type: 'session.created', payload: {} }]);
+    db.calls.getById.mockResolvedValue({ id: 'rec-call-5', client_id: CLIENT_ID });
+    wasabiStorage.downloadCallRecording.mockResolvedValue(new Uint8Array([1, 2]).buffer);
+
+    const recording = await loadRecording('rec-call-5', { withAudio: true });
+
+    expect(recording.events).toHaveLength(1);
+    expect(recording.audio.outbound).toEqual(Buffer.from([1, 2]));
+    expect(recording.audio.inbound).toBeUndefined();
+
+    db.stsRecordings.getByCall.mockResolvedValue(undefined);
+    await expect(loadRecording('missing')).rejects.toThrow('No STS event recording');
+  });
+});
+
+describe('ReplayBackend', () => {
+  test('restores recorded audio, or silence when missing', async () => {
+    const backend = new ReplayBackend({
+      events: [
+        { seq: 1, direction: 'server', event_type: 'response.audio.delta', payload: { type: 'response.audio.delta', audio: { track: 'outbound', offset: 2, bytes: 2 } } },
+        { seq: 2, direction: 'server', event_type: 'response.audio.delta', payload: { type: 'response.audio.delta', audio: { track: 'outbound', offset: null, bytes: 3 } } }
+      ],
+      audio: { outbound: Buffer.from([1, 2, 3, 4]) }
+    });
+    const received = [];
+    backend.on('event', event => received.push(Buffer.from(event.delta, 'base64')));
+    const done = new Promise(resolvePromise => backend.once('replay_done', resolvePromise));
+
+    await backend.connect();
+    const result = await done;
+
+    expect(received).toEqual([Buffer.from([3, 4]), Buffer.alloc(3)]);
+    expect(result).toEqual({ eventsReplayed: 2, divergences: [] });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Supervisor Socket Test Suite
+ * Tests for: live transcript/audio streaming, whisper, takeover and
+ * handback, tenant and role checks, audit_logs entries
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb({
+  auditLog: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+const db = require('../db/postgres');
+const sessionManager = require('../sessions/CallSessionManager');
+const { handleSupervisorSocket } = require('../realtime/supervisorSocket');
+const { CLIENT_ID, startCall, endAllCalls, createSocket } = require('./utils/callTestHelpers');
+
+const SUPERVISOR = { id: 'sup-1', client_id: CLIENT_ID, role: 'manager' };
+const REQ = { socket: { remoteAddress: '10.0.0.5' } };
+
+async function listen(ws, callId, options = {}) {
+  ws.receive({ type: 'listen', callId, ...options });
+  return ws.waitFor('listening');
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.auditLog.mockResolvedValue(undefined);
+});
+
+afterEach(() => endAllCalls());
+
+afterAll(() => sessionManager.destroy());
+
+describe('Supervisor socket', () => {
+  test('rejects users without a supervisor role', () => {
+    const ws = createSocket();
+    handleSupervisorSocket(ws, { id: 'viewer-1', client_id: CLIENT_ID, role: 'viewer' }, REQ);
+
+    expect(ws.sentMessages()).toEqual([{ type: 'error', error: 'Insufficient permissions' }]);
+    expect(ws.close).toHaveBeenCalledWith(4403, 'Insufficient permissions');
+  });
+
+  test("other tenants' calls are not found", async () => {
+    const { callId } = await startCall({ client_id: '99999999-9999-9999-9999-999999999999' });
+    const ws = createSocket();
+    handleSupervisorSocket(ws, SUPERVISOR, REQ);
+
+    ws.receive({ type: 'listen', callId });
+    const error = await ws.waitFor('error');
+
+    expect(error.error).toBe('Call not found');
+    expect(db.auditLog).not.toHaveBeenCalled();
+  });
+
+  test('listens to the live transcript and audio, audited', async () => {
+    const { callId, session } = await startCall({ phone_from: '+919800000000' });
+    const ws = createSocket();
+    handleSupervisorSocket(ws, SUPERVISOR, REQ);
+
+    session.stsSession.backend.speak('mera order kahan hai');
+    await new Promise(resolvePromise => sessionManager.once('transcript', resolvePromise));
+
+    const listening = await listen(ws, callId, { audio: true });
+    expect(listening.call).toEqual(expect.objectContaining({ id: callId, phone_from: '+919800000000' }));
+    expect(listening.transcript[0]).toEqual(expect.objectContaining({ role: 'user', text: 'mera order kahan hai' }));
+    expect(listening.takenOver).toBe(false);
+    expect(db.auditLog).toHaveBeenCalledWith({
+      call_id: callId,
+      client_id: CLIENT_ID,
+      event_type: 'supervisor_listen',
+      payload: { audio: true },
+      user_id: 'sup-1',
+      ip_address: '10.0.0.5'
+    });
+
+    // Live events from here on
+    session.stsSession.backend.speak('aur kitna time lagega');
+    await ws.waitFor(m => m.type === 'transcript' && m.text === 'aur kitna time lagega');
+    await ws.waitFor(m => m.type === 'audio' && m.direction === 'assistant');
+
+    sessionManager.processIncomingAudio(callId, Buffer.from([1, 2, 3]));
+    const callerAudio = await ws.waitFor(m => m.type === 'audio' && m.direction === 'caller');
+    expect(callerAudio.payload).toBe(Buffer.from([1, 2, 3]).toString('base64'));
+  });
+
+  test('the transcript a supervisor sees is masked', async () => {
+    const { callId, session } = await startCall();
+    const ws = createSocket();
+    handleSupervisorSocket(ws, SUPERVISOR, REQ);
+
+    session.stsSession.backend.speak('mera card 4111 1111 1111 1111 hai');
+    await new Promise(resolvePromise => sessionManager.once('transcript', resolvePromise));
+
+    const listening = await listen(ws, callId);
+    expect(listening.transcript[0].text).toBe('mera card [CARD] hai');
+
+    session.stsSession.backend.speak('card 5555 5555 5555 4444 se pay kiya');
+    const live = await ws.waitFor(m => m.type === 'transcript' && m.role === 'user');
+    expect(live.text).toBe('card [CARD] se pay kiya');
+    expect(JSON.stringify(ws.sentMessages())).not.toMatch(/4111|5555/);
+  });
+
+  test('whisper is injected as context the caller does not hear', async () => {
+    const { callId, session } = await startCall();
+    const updateContext = jest.spyOn(session.stsSession, 'updateContext');
+    const ws = createSocket();
+    handleSupervisorSocket(ws, SUPERVISOR, REQ);
+    await listen(ws, callId);
+
+    ws.receive({ type: 'whisper', text: 'Offer a 10% coupon' });
+    await ws.waitFor('whispered');
+
+    expect(updateContext).toHaveBeenCalledWith(expect.stringContaining('Offer a 10% coupon'));
+    expect(db.auditLog).toHaveBeenCalledWith(expect.objectContaining({
+      event_type: 'supervisor_whisper',
+      payload: { text: 'Offer a 10% coupon' }
+    }));
+    expect(db.callEvents.create).toHaveBeenCalledWith(expect.objectContaining({ event_type: 'supervisor_whisper' }));
+  });
+
+  test('actions are refused when they cannot be audited', async () => {
+    const { callId, session } = await startCall();
+    const updateContext = jest.spyOn(session.stsSession, 'updateContext');
+    const ws = createSocket();
+    handleSupervisorSocket(ws, SUPERVISOR, REQ);
+    await listen(ws, callId);
+
+    db.auditLog.mockRejectedValueOnce(new Error('audit_logs unavailable'));
+    ws.receive({ type: 'whisper', text: 'Offer a coupon' });
+    const error = await ws.waitFor('error');
+
+    expect(error.error).toBe('audit_logs unavailable');
+    expect(updateContext).not.toHaveBeenCalled();
+  });
+
+  test('takeover silences the AI and routes audio between caller and supervisor', async () => {
+    const { callId, session } = await startCall();
+    const sendAudio = jest.spyOn(session.stsSession, 'sendAudio');
+    const outputs = [];
+    const onOutput = (data) => { if (data.callId === callId) outputs.push(data); };
+    const clears = [];
+    const onClear = (data) => clears.push(data.callId);
+    sessionManager.on('audio_output', onOutput);
+    sessionManager.on('audio_clear', onClear);
+
+    const ws = createSocket();
+    handleSupervisorSocket(ws, SUPERVISOR, REQ);
+    await listen(ws, callId);
+
+    ws.receive({ type: 'takeover' });
+    await ws.waitFor('taken_over');
+    expect(session.supervisor).toEqual(expect.objectContaining({ userId: 'sup-1' }));
+    expect(clears).toContain(callId);
+
+    // Caller audio no longer reaches the model, supervisor speech reaches the caller
+    sessionManager.processIncomingAudio(callId, Buffer.alloc(160));
+    expect(sendAudio).not.toHaveBeenCalled();
+    ws.receiveAudio(Buffer.from([7, 7, 7]));
+    expect(outputs).toEqual([expect.objectContaining({ audioData: Buffer.from([7, 7, 7]), source: 'supervisor' })]);
+
+    // Model audio is dropped while taken over
+    session.stsSession.emit('audio_output', Buffer.alloc(480), { item_id: 'item_x' });
+    expect(outputs).toHaveLength(1);
+
+    ws.receive({ type: 'handback', note: 'Refund approved' });
+    await ws.waitFor('handed_back');
+    expect(session.supervisor).toBeNull();
+
+    sessionManager.processIncomingAudio(callId, Buffer.alloc(160));
+    expect(sendAudio).toHaveBeenCalled();
+
+    expect(db.auditLog.mock.calls.map(call => call[0].event_type)).toEqual([
+      'supervisor_listen', 'supervisor_takeover', 'supervisor_handback'
+    ]);
+    expect(db.auditLog).toHaveBeenLastCalledWith(expect.objectContaining({ payload: { note: 'Refund approved' } }));
+
+    sessionManager.off('audio_output', onOutput);
+    sessionManager.off('audio_clear', onClear);
+  });
+
+  test('a supervisor disconnecting mid-takeover hands the call back', async () => {
+    const { callId, session } = await startCall();
+    const ws = createSocket();
+    handleSupervisorSocket(ws, SUPERVISOR, REQ);
+    await listen(ws, callId);
+    ws.receive({ type: 'takeover' });
+    await ws.waitFor('taken_over');
+
+    ws.emit('close');
+    await new Promise(resolvePromise => sessionManager.once('supervisor_handback', resolvePromise));
+
+    expect(session.supervisor).toBeNull();
+    expect(db.auditLog).toHaveBeenLastCalledWith(expect.objectContaining({
+      event_type: 'supervisor_handback',
+      payload: { reason: 'disconnected' }
+    }));
+  });
+
+  test('reports the end of the call and stops listening', async () => {
+    const { callId } = await startCall();
+    const ws = createSocket();
+    handleSupervisorSocket(ws, SUPERVISOR, REQ);
+    await listen(ws, callId);
+    const listenersBefore = sessionManager.listenerCount('transcript');
+
+    await sessionManager.endSession(callId);
+    await ws.waitFor('call_ended');
+
+    expect(sessionManager.listenerCount('transcript')).toBe(listenersBefore - 1);
+    ws.receive({ type: 'whisper', text: 'hello' });
+    expect((await ws.waitFor('error')).error).toBe('Listen to a call first');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Turn Latency Test Suite
+ * Tests for: per-turn stage timestamps, p50/p95 aggregation,
+ * CallSessionManager instrumentation, analytics and live metrics routes
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb({
+  query: jest.fn().mockResolvedValue({ rows: [{ total: 0 }] }),
+  turnLatency: {
+    create: jest.fn().mockResolvedValue({}),
+    getPercentiles: jest.fn()
+  }
+}));
+
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+jest.mock('../auth/authMiddleware', () => ({
+  authMiddleware: (req, res, next) => {
+    req.user = { id: 'user-1', client_id: '11111111-1111-1111-1111-111111111111' };
+    next();
+  }
+}));
+
+const request = require('supertest');
+const express = require('express');
+const db = require('../db/postgres');
+const TurnLatencyTracker = require('../sessions/TurnLatencyTracker');
+const latencyMetrics = require('../services/latencyMetrics');
+const sessionManager = require('../sessions/CallSessionManager');
+const analyticsPerformanceRoutes = require('../routes/analyticsPerformance');
+const metricsLiveRoutes = require('../routes/metricsLive');
+const { CLIENT_ID, startCall, waitUntil } = require('./utils/callTestHelpers');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  latencyMetrics.reset();
+});
+
+afterAll(() => sessionManager.destroy());
+
+describe('TurnLatencyTracker', () => {
+  test('measures stages from the end of caller speech', () => {
+    const turns = [];
+    const tracker = new TurnLatencyTracker('call-1', { clientId: CLIENT_ID, provider: 'openai', onTurn: t => turns.push(t) });
+
+    tracker.mark('speech_stopped', {}, 1000);
+    tracker.mark('transcript_completed', {}, 1300);
+    tracker.mark('intent_detected', { agentType: 'OrderLookupAgent' }, 1500);
+    tracker.mark('agent_launched', { agentType: 'OrderLookupAgent' }, 1510);
+    tracker.mark('first_audio', {}, 1700);
+    tracker.mark('first_audio', {}, 1900); // later chunks do not move it
+    tracker.mark('agent_completed', { agentType: 'OrderLookupAgent' }, 2410);
+
+    // Next caller turn closes this one
+    tracker.mark('speech_stopped', {}, 5000);
+
+    expect(turns).toHaveLength(1);
+    expect(turns[0]).toEqual(expect.objectContaining({
+      call_id: 'call-1',
+      client_id: CLIENT_ID,
+      turn_index: 0,
+      provider: 'openai',
+      agent_type: 'OrderLookupAgent',
+      transcript_ms: 300,
+      intent_ms: 500,
+      agent_ms: 900,
+      response_ms: 700
+    }));
+    expect(turns[0].speech_stopped_at).toEqual(new Date(1000));
+
+    expect(tracker.finishTurn()).toEqual(expect.objectContaining({
+      turn_index: 1,
+      agent_type: null,
+      transcript_ms: null,
+      response_ms: null
+    }));
+    expect(tracker.finishTurn()).toBeNull();
+  });
+
+  test('a transcript without a VAD event opens the turn; stray stages are ignored', () => {
+    const tracker = new TurnLatencyTracker('call-2');
+
+    tracker.mark('first_audio', {}, 500); // greeting, before any caller turn
+    tracker.mark('transcript_completed', {}, 1000);
+    tracker.mark('first_audio', {}, 1800);
+
+    expect(tracker.finishTurn()).toEqual(expect.objectContaining({
+      turn_index: 0,
+      transcript_ms: 0,
+      response_ms: 800
+    }));
+  });
+});
+
+describe('latencyMetrics', () => {
+  test('nearest-rank percentiles', () => {
+    const values = [100, 200, 300, 400, 500, 600, 700, 800, 900, 1000];
+    expect(latencyMetrics.percentile(values, 50)).toBe(500);
+    expect(latencyMetrics.percentile(values, 95)).toBe(1000);
+    expect(latencyMetrics.percentile([], 50)).toBeNull();
+  });
+
+  test('snapshot per client, agent and provider', () => {
+    latencyMetrics.record({ client_id: CLIENT_ID, agent_type: 'ComplaintAgent', provider: 'openai', response_ms: 800, agent_ms: 100 });
+    latencyMetrics.record({ client_id: CLIENT_ID, agent_type: null, provider: 'openai', response_ms: 600, agent_ms: null });
+    latencyMetrics.record({ client_id: 'other-client', agent_type: null, provider: 'cascaded', response_ms: 5000 });
+
+    const snapshot = latencyMetrics.getSnapshot(CLIENT_ID);
+
+    expect(snapshot.overall.turns).toBe(2);
+    expect(snapshot.overall.response_ms).toEqual({ p50: 600, p95: 800 });
+    expect(snapshot.overall.agent_ms).toEqual({ p50: 100, p95: 100 });
+    expect(snapshot.byAgent.ComplaintAgent.response_ms).toEqual({ p50: 800, p95: 800 });
+    expect(snapshot.byAgent.none.turns).toBe(1);
+    expect(Object.keys(snapshot.byProvider)).toEqual(['openai']);
+  });
+});
+
+describe('CallSessionManager instrumentation', () => {
+  test('records a voice turn with its agent', async () => {
+    const callId = 'latency-call-1';
+    const { session } = await startCall({ id: callId }, {
+      script: {
+        turns: [{
+          user: 'mera parcel toota hua aaya',
+          tool: { name: 'ComplaintAgent', arguments: { order_id: '555', reason: 'damaged' } },
+          assistant: 'Aapki complaint darj ho gayi hai'
+        }]
+      }
+    });
+
+    // Caller audio committed: the scripted turn runs
+    session.stsSession.send({ type: 'input_audio_buffer.commit' });
+    await waitUntil(() => session.conversationHistory.some(entry => entry.role === 'assistant'));
+    await sessionManager.endSession(callId);
+
+    expect(db.turnLatency.create).toHaveBeenCalledTimes(1);
+    const turn = db.turnLatency.create.mock.calls[0][0];
+    expect(turn).toEqual(expect.objectContaining({
+      call_id: callId,
+      client_id: CLIENT_ID,
+      turn_index: 0,
+      provider: 'fake',
+      agent_type: 'ComplaintAgent'
+    }));
+    ['transcript_ms', 'intent_ms', 'agent_ms', 'response_ms'].forEach(stage => {
+      expect(typeof turn[stage]).toBe('number');
+    });
+    expect(turn.response_ms).toBeGreaterThanOrEqual(turn.agent_ms);
+
+    expect(latencyMetrics.getSnapshot(CLIENT_ID).byAgent.ComplaintAgent.turns).toBe(1);
+  });
+
+  test('typed sessions are not measured', async () => {
+    const { session } = await startCall({ id: 'latency-call-2' }, { textMode: true });
+
+    expect(session.latency).toBeNull();
+    await sessionManager.endSession('latency-call-2');
+    expect(db.turnLatency.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Latency routes', () => {
+  const app = express();
+  app.use('/api/analytics', analyticsPerformanceRoutes);
+  app.use('/api/metrics', metricsLiveRoutes);
+
+  test('GET /api/analytics/performance/latency returns p50/p95 groups', async () => {
+    db.turnLatency.getPercentiles.mockImplementation(async (clientId, startDate, endDate, groupBy) => {
+      const row = { turns: 4, response_ms_p50: '750', response_ms_p95: '1400', agent_ms_p50: null, agent_ms_p95: null };
+      if (groupBy === 'agent') return [{ group_key: 'ComplaintAgent', ...row }];
+      if (groupBy === 'provider') return [{ group_key: 'openai', ...row }];
+      return [row];
+    });
+
+    const res = await request(app)
+      .get('/api/analytics/performance/latency?startDate=2026-10-01&endDate=2026-10-19');
+
+    expect(res.status).toBe(200);
+    expect(db.turnLatency.getPercentiles).toHaveBeenCalledWith(CLIENT_ID, '2026-10-01', '2026-10-19', 'agent');
+    expect(res.body.data.overall.response_ms).toEqual({ p50: 750, p95: 1400 });
+    expect(res.body.data.overall.agent_ms).toEqual({ p50: null, p95: null });
+    expect(res.body.data.byAgent.ComplaintAgent.turns).toBe(4);
+    expect(res.body.data.byProvider.openai.response_ms.p95).toBe(1400);
+  });
+
+  test('GET /api/analytics/performance/latency requires a date range', async () => {
+    const res = await request(app).get('/api/analytics/performance/latency');
+    expect(res.status).toBe(400);
+  });
+
+  test('GET /api/metrics/latency and /live include live percentiles', async () => {
+    latencyMetrics.record({ client_id: CLIENT_ID, agent_type: null, provider: 'openai', response_ms: 900 });
+
+    const latency = await request(app).get('/api/metrics/latency');
+    expect(latency.status).toBe(200);
+    expect(latency.body.data.overall.response_ms).toEqual({ p50: 900, p95: 900 });
+
+    const live = await request(app).get('/api/metrics/live');
+    expect(live.status).toBe(200);
+    expect(live.body.data.turnLatency.response_ms).toEqual({ p50: 900, p95: 900 });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Usage Metering Test Suite
+ * Tests for: token usage from response.done, rate card pricing, telephony
+ * minutes, call_cost and call_charges/call_billing at call end
+ */
+
+jest.mock('../utils/logger', () => require('./utils/callTestHelpers').mockLogger());
+jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb({
+  callCharges: { record: jest.fn().mockResolvedValue({}) }
+}));
+
+jest.mock('../services/wasabiStorage', () => require('./utils/callTestHelpers').mockWasabiStorage());
+jest.mock('../services/performanceTracker', () => require('./utils/callTestHelpers').mockPerformanceTracker());
+
+const db = require('../db/postgres');
+const sessionManager = require('../sessions/CallSessionManager');
+const UsageMeter = require('../sessions/UsageMeter');
+const { DEFAULT_RATE_CARD, loadRateCard, getModelRates } = require('../config/usageRates');
+const { CLIENT_ID, startCall, endAllCalls, waitForEvent } = require('./utils/callTestHelpers');
+
+// Realtime response.done usage
+function realtimeUsage({ text = 0, audio = 0, cachedText = 0, cachedAudio = 0, outText = 0, outAudio = 0 }) {
+  return {
+    input_token_details: {
+      text_tokens: text,
+      audio_tokens: audio,
+      cached_tokens: cachedText + cachedAudio,
+      cached_tokens_details: { text_tokens: cachedText, audio_tokens: cachedAudio }
+    },
+    output_token_details: { text_tokens: outText, audio_tokens: outAudio }
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.clients.getById.mockResolvedValue(null);
+});
+
+afterEach(async () => {
+  delete process.env.USAGE_RATE_CARD;
+  delete process.env.USD_TO_INR;
+  await endAllCalls();
+});
+
+afterAll(() => sessionManager.destroy());
+
+describe('Rate card', () => {
+  test('models are priced by the longest matching prefix', () => {
+    const rateCard = loadRateCard();
+
+    expect(getModelRates(rateCard, 'gpt-4o-mini-realtime-preview-2024-12-17').key).toBe('gpt-4o-mini-realtime');
+    expect(getModelRates(rateCard, 'gpt-4o-realtime-preview').key).toBe('gpt-4o-realtime');
+    expect(getModelRates(rateCard, 'gpt-4o-mini').key).toBe('gpt-4o-mini');
+    expect(getModelRates(rateCard, null).key).toBe('default');
+  });
+
+  test('USAGE_RATE_CARD and USD_TO_INR override the defaults', () => {
+    process.env.USAGE_RATE_CARD = JSON.stringify({
+      models: { 'my-model': { input_text: 1, output_audio: 2 } },
+      telephony_per_minute: { exotel: 0.4 }
+    });
+    process.env.USD_TO_INR = '85';
+
+    const rateCard = loadRateCard();
+    expect(rateCard.usd_to_inr).toBe(85);
+    expect(rateCard.models['my-model']).toEqual({ input_text: 1, output_audio: 2 });
+    expect(rateCard.models.default).toEqual(DEFAULT_RATE_CARD.models.default);
+    expect(rateCard.telephony_per_minute).toEqual({ ...DEFAULT_RATE_CARD.telephony_per_minute, exotel: 0.4 });
+  });
+
+  test('invalid USAGE_RATE_CARD falls back to the defaults', () => {
+    process.env.USAGE_RATE_CARD = '{not json';
+    expect(loadRateCard()).toEqual(DEFAULT_RATE_CARD);
+  });
+});
+
+describe('UsageMeter', () => {
+  const rateCard = {
+    currency: 'INR',
+    usd_to_inr: 100,
+    models: {
+      default: {
+        input_text: 5, cached_input_text: 1, input_audio: 40, cached_input_audio: 2, output_text: 20, output_audio: 80
+      }
+    },
+    telephony_per_minute: { exotel: 0.5, default: 0.6 }
+  };
+
+  test('adds responses up, pricing cached input apart', () => {
+    const meter = new UsageMeter('call-1', { rateCard });
+
+    meter.add(realtimeUsage({ text: 1000, audio: 2000, cachedText: 400, cachedAudio: 500, outText: 100, outAudio: 1000 }));
+    const totals = meter.add(realtimeUsage({ text: 200, outAudio: 500 }));
+
+    expect(totals.responses).toBe(2);
+    expect(totals.tokens).toEqual({
+      input_text: 800,
+      cached_input_text: 400,
+      input_audio: 1500,
+      cached_input_audio: 500,
+      output_text: 100,
+      output_audio: 1500
+    });
+    // USD: (800*5 + 400*1 + 1500*40 + 500*2 + 100*20 + 1500*80) / 1e6 = 0.1874
+    expect(totals.ai_cost).toBe(18.74);
+  });
+
+  test('without cached_tokens_details, cached tokens count as text', () => {
+    const meter = new UsageMeter('call-1', { rateCard });
+    meter.add({ input_token_details: { text_tokens: 100, audio_tokens: 0, cached_tokens: 60 }, output_token_details: {} });
+
+    expect(meter.tokens.input_text).toBe(40);
+    expect(meter.tokens.cached_input_text).toBe(60);
+  });
+
+  test('telephony is charged per started minute at the provider rate', () => {
+    const meter = new UsageMeter('call-1', { rateCard });
+
+    expect(meter.getTelephonyCost(61, 'exotel')).toEqual({ minutes: 2, cost: 1 });
+    expect(meter.getTelephonyCost(30, 'plivo')).toEqual({ minutes: 1, cost: 0.6 });
+    expect(meter.getTelephonyCost(300, null)).toEqual({ minutes: 0, cost: 0 });
+
+    meter.add(realtimeUsage({ outAudio: 10000 }));
+    expect(meter.summary({ durationSeconds: 90, provider: 'exotel' })).toEqual(expect.objectContaining({
+      rate_key: 'default',
+      provider: 'exotel',
+      telephony_minutes: 2,
+      ai_cost: 80,
+      telephony_cost: 1,
+      total_cost: 81,
+      currency: 'INR'
+    }));
+  });
+});
+
+describe('Metering live calls', () => {
+  test('usage accumulates per response and is saved with the call', async () => {
+    const { callId, session } = await startCall({ provider: 'exotel', sector: 'ecommerce' });
+    const usageEvent = waitForEvent('call_usage', callId);
+
+    session.stsSession.backend.speak('mera order kahan hai');
+
+    const live = await usageEvent;
+    expect(live.responses).toBe(1);
+    expect(live.tokens.output_audio).toBeGreaterThan(0);
+    expect(live.ai_cost).toBeGreaterThan(0);
+
+    await sessionManager.endSession(callId);
+
+    const usage = session.usage.summary({ durationSeconds: 0, provider: 'exotel' });
+    expect(db.calls.update).toHaveBeenCalledWith(callId, expect.objectContaining({
+      call_cost: usage.total_cost
+    }));
+    expect(db.callCharges.record).toHaveBeenCalledWith(expect.objectContaining({
+      call_id: callId,
+      client_id: CLIENT_ID,
+      sector: 'ecommerce',
+      rate_per_minute: 30,
+      status: 'completed',
+      escalated: false,
+      usage: expect.objectContaining({
+        provider: 'exotel',
+        responses: 1,
+        telephony_minutes: 0,
+        ai_cost: live.ai_cost,
+        total_cost: usage.total_cost
+      })
+    }));
+  });
+
+  test('typed sessions have no telephony cost', async () => {
+    const { callId } = await startCall({ provider: 'exotel' }, { textMode: true });
+
+    await sessionManager.endSession(callId);
+
+    const [[charge]] = db.callCharges.record.mock.calls;
+    expect(charge.usage.provider).toBeNull();
+    expect(charge.usage.telephony_cost).toBe(0);
+  });
+
+  test('replays are not metered', async () => {
+    const { callId, session } = await startCall({}, { persist: false });
+
+    expect(session.usage).toBeNull();
+    await sessionManager.endSession(callId);
+    expect(db.callCharges.record).not.toHaveBeenCalled();
+  });
+
+  test('a failed charge write does not block the call end', async () => {
+    db.callCharges.record.mockRejectedValueOnce(new Error('call_billing missing'));
+    const { callId } = await startCall();
+    const ended = waitForEvent('session_ended', callId);
+
+    await sessionManager.endSession(callId);
+
+    await ended;
+    expect(sessionManager.getSession(callId)).toBeUndefined();
+  });
+});
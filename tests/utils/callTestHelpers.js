@@ -0,0 +1,231 @@
+/**
+ * Call Test Utilities - Shared fixtures for the call pipeline suites
+ * Mocks for what a call touches (database, storage), calls on the fake
+ * speech backend and what was sent to the model
+ *
+ * jest.mock factories may only use require, so the mocks are built here:
+ *   jest.mock('../db/postgres', () => require('./utils/callTestHelpers').mockDb({
+ *     clients: { getById: jest.fn().mockResolvedValue({ id: 'client-1', settings: {} }) }
+ *   }));
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+const CLIENT_ID = '11111111-1111-1111-1111-111111111111';
+
+let callCounter = 0;
+
+// Loaded on first use, after the test file's mocks are in place
+function getSessionManager() {
+  return require('../../sessions/CallSessionManager');
+}
+
+function mockLogger() {
+  return {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+}
+
+/**
+ * db/postgres with the tables every call writes to; tables given are
+ * added, or replace the default one of the same name
+ */
+function mockDb(tables = {}) {
+  return {
+    query: jest.fn().mockResolvedValue({ rows: [] }),
+    calls: {
+      update: jest.fn().mockResolvedValue({}),
+      getById: jest.fn().mockResolvedValue(null)
+    },
+    entities: { create: jest.fn().mockResolvedValue({}) },
+    callEvents: { create: jest.fn().mockResolvedValue({}) },
+    clients: { getById: jest.fn().mockResolvedValue(null) },
+    actions: {
+      create: jest.fn().mockResolvedValue({ id: 'act-1' }),
+      updateStatus: jest.fn().mockResolvedValue({}),
+      getByCall: jest.fn().mockResolvedValue([])
+    },
+    turnLatency: { create: jest.fn().mockResolvedValue({}) },
+    ...tables
+  };
+}
+
+function mockWasabiStorage(methods = {}) {
+  return {
+    uploadCallRecording: jest.fn().mockResolvedValue(null),
+    ...methods
+  };
+}
+
+function mockPerformanceTracker() {
+  return {
+    updateTeamMemberPerformance: jest.fn().mockResolvedValue(null)
+  };
+}
+
+/**
+ * @param {string} prefix - e.g. 'keypad-call'
+ */
+function nextCallId(prefix = 'test-call') {
+  callCounter++;
+  return `${prefix}-${callCounter}`;
+}
+
+/**
+ * Start a call on the fake backend, with silence prompts off and model
+ * audio at 1ms a word
+ * @param {object} callData - calls row fields (id defaults to a new call id)
+ * @param {object} options - createSession options
+ * @returns {Promise<{callId, session}>}
+ */
+async function startCall(callData = {}, options = {}) {
+  const callId = callData.id || nextCallId();
+  const session = await getSessionManager().createSession(callId, {
+    id: callId,
+    client_id: CLIENT_ID,
+    silence_timeout_seconds: 0,
+    ...callData
+  }, {
+    backendType: 'fake',
+    script: { audioMsPerWord: 1 },
+    ...options
+  });
+  return { callId, session };
+}
+
+/**
+ * End every call still going (afterEach)
+ */
+function endAllCalls() {
+  const sessionManager = getSessionManager();
+  return Promise.all(sessionManager.getActiveSessions().map(callId => sessionManager.endSession(callId)));
+}
+
+/**
+ * Next session manager event for this call
+ */
+function waitForEvent(eventName, callId) {
+  const sessionManager = getSessionManager();
+  return new Promise(resolvePromise => {
+    const handler = (data) => {
+      if (data.callId !== callId) return;
+      sessionManager.off(eventName, handler);
+      resolvePromise(data);
+    };
+    sessionManager.on(eventName, handler);
+  });
+}
+
+/**
+ * Next emit of eventName on any emitter (a session, a backend)
+ */
+function waitForEmit(emitter, eventName, timeoutMs = 2000) {
+  return new Promise((resolvePromise, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${eventName}`)), timeoutMs);
+    emitter.once(eventName, (data) => {
+      clearTimeout(timer);
+      resolvePromise(data);
+    });
+  });
+}
+
+/**
+ * Poll until predicate returns something truthy
+ * @returns {Promise<*>} What the predicate returned
+ */
+function waitUntil(predicate, timeoutMs = 3000) {
+  return new Promise((resolvePromise, reject) => {
+    const started = Date.now();
+    const check = () => {
+      const value = predicate();
+      if (value) return resolvePromise(value);
+      if (Date.now() - started > timeoutMs) return reject(new Error('Timed out'));
+      setTimeout(check, 5);
+    };
+    check();
+  });
+}
+
+/**
+ * Client events the fake backend received
+ */
+function sent(session) {
+  return session.stsSession.backend.sentEvents;
+}
+
+function systemMessages(session) {
+  return sent(session)
+    .filter(event => event.type === 'conversation.item.create' && event.item.role === 'system')
+    .map(event => event.item.content[0].text);
+}
+
+function toolOutputs(session) {
+  return sent(session)
+    .filter(event => event.type === 'conversation.item.create' && event.item.type === 'function_call_output')
+    .map(event => JSON.parse(event.item.output));
+}
+
+/**
+ * Caller key presses, one DTMF digit at a time
+ */
+function press(callId, keys) {
+  const sessionManager = getSessionManager();
+  keys.split('').forEach(digit => sessionManager.handleDtmf(callId, digit));
+}
+
+/**
+ * call_events rows written, of one type
+ */
+function recordedEvents(eventType) {
+  const db = require('../../db/postgres');
+  return db.callEvents.create.mock.calls.map(([event]) => event).filter(event => event.event_type === eventType);
+}
+
+/**
+ * Fake WebSocket: receive() delivers a JSON message, sentMessages() and
+ * waitFor(type or predicate) look at what was sent back
+ */
+function createSocket() {
+  const ws = new EventEmitter();
+  ws.readyState = WebSocket.OPEN;
+  ws.send = jest.fn();
+  ws.close = jest.fn();
+  ws.receive = (message) => ws.emit('message', Buffer.from(JSON.stringify(message)), false);
+  ws.receiveAudio = (buffer) => ws.emit('message', buffer, true);
+  ws.sentMessages = () => ws.send.mock.calls.map(call => JSON.parse(call[0]));
+  ws.waitFor = (predicate, timeoutMs = 3000) => new Promise((resolvePromise, reject) => {
+    const started = Date.now();
+    const check = () => {
+      const message = ws.sentMessages().find(m => (typeof predicate === 'string' ? m.type === predicate : predicate(m)));
+      if (message) return resolvePromise(message);
+      if (Date.now() - started > timeoutMs) return reject(new Error(`Timed out waiting for ${predicate}`));
+      setTimeout(check, 10);
+    };
+    check();
+  });
+  return ws;
+}
+
+module.exports = {
+  CLIENT_ID,
+  mockLogger,
+  mockDb,
+  mockWasabiStorage,
+  mockPerformanceTracker,
+  nextCallId,
+  startCall,
+  endAllCalls,
+  waitForEvent,
+  waitForEmit,
+  waitUntil,
+  sent,
+  systemMessages,
+  toolOutputs,
+  recordedEvents,
+  press,
+  createSocket
+};
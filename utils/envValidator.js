@@ -30,6 +30,13 @@ class EnvValidator {
       WASABI_REGION: { required: false, default: 'us-west-1' },
       WASABI_ENDPOINT: { required: false, default: 'https://s3.us-west-1.wasabisys.com' },
       SENTRY_DSN: { required: false },
+      SPEECH_BACKEND: { required: false, default: 'openai', values: ['openai', 'cascaded', 'fake'] },
+      OPENAI_REALTIME_URL: { required: false },
+      OPENAI_REALTIME_MODEL: { required: false },
+      INTENT_MODE: { required: false, default: 'tools', values: ['tools', 'regex'] },
+      CALL_DRAIN_TIMEOUT_SECONDS: { required: false, type: 'number' },
+      SESSION_REGISTRY: { required: false, default: 'memory', values: ['memory', 'redis'] },
+      NODE_ID: { required: false },
     };
 
     this.errors = [];
@@ -2,20 +2,32 @@ const logger = require('./logger');
 
 /**
  * Graceful Shutdown Handler
- * Cleanly closes database, cache, and pending requests
- * Prevents data corruption on redeploy/restart
+ * Drains live calls, then cleanly closes database, cache, and pending requests
+ * Prevents data corruption and dropped calls on redeploy/restart
  * 
  * Usage in server.js:
  *   const GracefulShutdown = require('./utils/gracefulShutdown');
- *   const shutdown = new GracefulShutdown(server, db, redisClient);
+ *   const shutdown = new GracefulShutdown(server, db, redisClient, {
+ *     sessionManager, webSocketServers: [wss], onClosed: () => flushSentry()
+ *   });
  *   shutdown.attachHandlers();
+ *
+ * While shutting down isShuttingDown is true: /health/ready reports 503 and
+ * new /audio connections are refused (server.js checks it on upgrade).
  */
 
 class GracefulShutdown {
-  constructor(server, db, redisClient) {
+  /**
+   * @param {object} options - sessionManager (calls to drain), webSocketServers
+   *   (closed once the calls are drained), onClosed (last step before exit)
+   */
+  constructor(server, db, redisClient, options = {}) {
     this.server = server;
     this.db = db;
     this.redisClient = redisClient;
+    this.sessionManager = options.sessionManager || null;
+    this.webSocketServers = options.webSocketServers || [];
+    this.onClosed = options.onClosed || null;
     this.isShuttingDown = false;
     this.activeRequests = new Set();
   }
@@ -51,22 +63,34 @@ class GracefulShutdown {
     logger.warn(`\n${signal} received. Starting graceful shutdown...`);
 
     try {
-      // Step 1: Stop accepting new requests
+      // Step 1: Let live calls finish, wrap up the rest. The server keeps
+      // listening meanwhile: readiness reports 503 and new /audio connections
+      // are refused, but the call-end and transfer webhooks still get through
+      await this.drainCalls();
+
+      // Step 2: Stop accepting new requests
       logger.info('Stopping HTTP server from accepting new connections...');
       this.server.close(() => {
         logger.info('HTTP server closed, no more requests accepted');
       });
 
-      // Step 2: Wait for active requests to complete (max 30 seconds)
+      // Step 3: Wait for active requests to complete (max 30 seconds)
       await this.drainActiveRequests();
 
-      // Step 3: Close database connections
+      // Step 4: Close WebSocket servers and leave the session registry
+      await this.closeWebSockets();
+
+      // Step 5: Close database connections
       await this.closeDatabase();
 
-      // Step 4: Close Redis connections
+      // Step 6: Close Redis connections
       await this.closeRedis();
 
-      // Step 5: Log shutdown complete
+      if (this.onClosed) {
+        await this.onClosed();
+      }
+
+      // Step 7: Log shutdown complete
       logger.info('✓ Graceful shutdown completed successfully');
       process.exit(0);
     } catch (error) {
@@ -75,6 +99,36 @@ class GracefulShutdown {
     }
   }
 
+  /**
+   * Calls in progress finish until CALL_DRAIN_TIMEOUT_SECONDS, the callers
+   * still on the line after that are told the team will call back
+   * @private
+   */
+  async drainCalls() {
+    if (!this.sessionManager) return;
+
+    try {
+      logger.info(`Draining ${this.sessionManager.getSessionCount()} live call(s)...`);
+      const { finished, wrappedUp } = await this.sessionManager.drain();
+      logger.info('Live calls drained', { finished, wrappedUp });
+    } catch (error) {
+      // Carry on with the shutdown - the calls end with the process
+      logger.error('Error draining live calls', { error: error.message });
+    }
+  }
+
+  /**
+   * Close WebSocket servers and leave the session registry
+   * @private
+   */
+  async closeWebSockets() {
+    this.webSocketServers.forEach(wss => wss.close());
+
+    if (this.sessionManager && this.sessionManager.registry) {
+      await this.sessionManager.registry.stop();
+    }
+  }
+
   /**
    * Wait for all active requests to complete
    * Force close after timeout to prevent indefinite hanging
@@ -134,8 +188,10 @@ class GracefulShutdown {
         }
       }
       
-      // Handle direct connection
-      if (this.db.end) {
+      // Handle direct connection (db/postgres exposes close())
+      if (this.db.close) {
+        await this.db.close();
+      } else if (this.db.end) {
         await this.db.end();
       }
 
@@ -0,0 +1,106 @@
+// utils/languageDetector.js - Which language a caller transcript is in
+
+// Native scripts (Marathi shares Devanagari with Hindi)
+const SCRIPT_PATTERNS = {
+  devanagari: /[\u0900-\u097F]/g,
+  ta: /[\u0B80-\u0BFF]/g,
+  bn: /[\u0980-\u09FF]/g
+};
+
+// Words that tell Marathi from Hindi in Devanagari
+const DEVANAGARI_MARKERS = {
+  hi: ['है', 'हैं', 'नहीं', 'मेरा', 'मेरी', 'मुझे', 'क्या', 'चाहिए', 'करना', 'कहाँ', 'कब', 'हूँ'],
+  mr: ['आहे', 'आहेत', 'नाही', 'माझा', 'माझी', 'माझे', 'मला', 'काय', 'पाहिजे', 'करायचा', 'कुठे', 'केव्हा']
+};
+
+// Common words of each language written in Latin script
+const ROMANIZED_MARKERS = {
+  hi: ['hai', 'hain', 'mera', 'meri', 'mujhe', 'nahi', 'nahin', 'kya', 'kab', 'kahan', 'kaha', 'chahiye',
+    'karna', 'karo', 'kijiye', 'ji', 'haan', 'wapas', 'paisa', 'aap', 'abhi', 'kyun', 'theek', 'bhai', 'hua'],
+  mr: ['aahe', 'ahe', 'aahet', 'majha', 'maza', 'majhi', 'mazi', 'mala', 'pahije', 'kay', 'kuthe', 'zala',
+    'jhala', 'kela', 'tumhi', 'karaycha', 'nako'],
+  ta: ['enna', 'illa', 'illai', 'vanakkam', 'venum', 'vendum', 'romba', 'naan', 'ungal', 'unga', 'eppo',
+    'enga', 'irukku', 'sollunga', 'seri', 'panna', 'pannunga', 'vandhuchu', 'aachu'],
+  bn: ['ami', 'amar', 'ache', 'achhe', 'nei', 'kemon', 'bolun', 'kothay', 'korte', 'hobe', 'apni',
+    'apnar', 'ekhon', 'keno', 'dorkar', 'holo'],
+  en: ['the', 'is', 'are', 'was', 'my', 'i', 'want', 'please', 'where', 'what', 'when', 'can', 'you',
+    'your', 'it', 'not', 'to', 'have', 'has', 'been', 'would', 'like', 'this', 'with', 'for', 'do', 'does']
+};
+
+/**
+ * Count marker words in a transcript
+ * @returns {object} Hits by language
+ */
+function countMarkers(words, markers) {
+  const hits = {};
+  for (const [language, list] of Object.entries(markers)) {
+    hits[language] = words.filter(word => list.includes(word)).length;
+  }
+  return hits;
+}
+
+/**
+ * Best-scoring allowed language
+ * @returns {{ language: string, confidence: number }|null}
+ */
+function pickLanguage(hits, allowed) {
+  const scores = Object.entries(hits).filter(([language, count]) => count > 0 && allowed.includes(language));
+  if (scores.length === 0) {
+    return null;
+  }
+
+  scores.sort((a, b) => b[1] - a[1]);
+  const [language, top] = scores[0];
+  const total = scores.reduce((sum, [, count]) => sum + count, 0);
+  // One marker word is a hint, two or more are a good sign
+  const confidence = Math.min(0.95, (top / total) * (0.45 + 0.2 * top));
+
+  return { language, confidence: Math.round(confidence * 100) / 100 };
+}
+
+/**
+ * Identify the language of one caller transcript.
+ * Native script decides Tamil/Bengali/Devanagari; Marathi vs Hindi and
+ * romanized speech (Hinglish, Tanglish...) are told apart by common words.
+ * @param {string} text - Transcript
+ * @param {object} options
+ * @param {string[]} options.allowed - Languages the client serves (default: all)
+ * @returns {{ language: string, confidence: number }|null} null if nothing to go on
+ */
+function detectLanguage(text, { allowed = Object.keys(ROMANIZED_MARKERS) } = {}) {
+  const transcript = String(text || '').toLowerCase();
+  const letters = transcript.replace(/[\s\d\p{P}\p{S}]/gu, '').length;
+  if (letters === 0) {
+    return null;
+  }
+
+  const words = transcript.split(/[^\p{L}\p{M}]+/u).filter(Boolean);
+
+  // Mostly one native script
+  for (const [script, pattern] of Object.entries(SCRIPT_PATTERNS)) {
+    const share = (transcript.match(pattern) || []).length / letters;
+    if (share < 0.5) {
+      continue;
+    }
+
+    if (script !== 'devanagari') {
+      return allowed.includes(script) ? { language: script, confidence: 0.95 } : null;
+    }
+
+    const detected = pickLanguage(countMarkers(words, DEVANAGARI_MARKERS), allowed);
+    if (detected) {
+      return { language: detected.language, confidence: Math.max(detected.confidence, 0.75) };
+    }
+    // Devanagari without marker words is most likely Hindi
+    return allowed.includes('hi') ? { language: 'hi', confidence: 0.75 } : null;
+  }
+
+  const hits = countMarkers(words, ROMANIZED_MARKERS);
+  // English words are common in Hinglish/Tanglish, so they count half
+  hits.en = hits.en / 2;
+  return pickLanguage(hits, allowed);
+}
+
+module.exports = {
+  detectLanguage
+};
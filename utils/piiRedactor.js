@@ -0,0 +1,174 @@
+// utils/piiRedactor.js - Find and mask personal data in transcripts
+/**
+ * Detectors for what Indian callers read out on support calls: card
+ * numbers (Luhn-checked), Aadhaar (Verhoeff-checked), PAN, UPI IDs, IFSC
+ * codes, mobile numbers, e-mail addresses and OTPs/PINs (digits said right
+ * next to "OTP", "PIN", "CVV"...).
+ *
+ * Detectors run in DETECTOR_ORDER; a span already claimed by an earlier
+ * detector is not matched again (a card number is not also a phone number,
+ * an e-mail is not also a UPI ID).
+ */
+
+const DETECTOR_ORDER = ['card', 'aadhaar', 'pan', 'ifsc', 'email', 'upi', 'phone', 'otp'];
+
+const LABELS = {
+  card: 'CARD',
+  aadhaar: 'AADHAAR',
+  pan: 'PAN',
+  ifsc: 'IFSC',
+  email: 'EMAIL',
+  upi: 'UPI',
+  phone: 'PHONE',
+  otp: 'OTP'
+};
+
+// Digits may be read out in groups: "4111 1111 1111 1111", "2345-6789-0123"
+const PATTERNS = {
+  card: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+  aadhaar: /(?<!\d)[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}(?!\d)/g,
+  // 4th letter is the holder type (P person, C company, H HUF...)
+  pan: /\b[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]\b/gi,
+  ifsc: /\b[A-Z]{4}0[A-Z0-9]{6}\b/gi,
+  email: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g,
+  // handle@bank - no dot after the @, unlike an e-mail
+  upi: /\b[\w.-]{2,}@[a-z][a-z0-9]{1,63}\b(?!\.\w)/gi,
+  phone: /(?:(?:\+91|\b91|\b0)[ -]?|(?<!\d))[6-9]\d{4}[ -]?\d{5}(?!\d)/g,
+  // Keyword, a few filler words, then the code; "pin code" is a postal code
+  otp: /(?:\b(?:otp|o\.t\.p|cvv|cvc|m?pin(?!\s*code)|passcode|password|verification code|security code)\b|ओटीपी|पिन(?!\s*कोड))[^\d]{0,24}?(\d(?:[ -]?\d){3,7})(?!\d)/gi
+};
+
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+/**
+ * Luhn checksum (payment card numbers)
+ * @param {string} digits
+ */
+function isValidLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Verhoeff checksum (Aadhaar numbers)
+ * @param {string} digits
+ */
+function isValidVerhoeff(digits) {
+  let check = 0;
+  for (let i = 0; i < digits.length; i++) {
+    const digit = Number(digits[digits.length - 1 - i]);
+    check = VERHOEFF_D[check][VERHOEFF_P[i % 8][digit]];
+  }
+  return check === 0;
+}
+
+// Whether a match is really what the detector looks for
+function isValidMatch(type, value) {
+  const digits = value.replace(/\D/g, '');
+
+  switch (type) {
+    case 'card':
+      return digits.length >= 13 && digits.length <= 19 && isValidLuhn(digits);
+    case 'aadhaar':
+      return isValidVerhoeff(digits);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Find personal data in a text
+ * @param {string} text
+ * @param {object} options - { detectors: names to run (default all) }
+ * @returns {Array} Findings sorted by position: { type, value, start, end }
+ */
+function findPii(text, options = {}) {
+  if (typeof text !== 'string' || !text) {
+    return [];
+  }
+
+  const enabled = options.detectors || DETECTOR_ORDER;
+  const findings = [];
+  const overlaps = (start, end) => findings.some(found => start < found.end && end > found.start);
+
+  for (const type of DETECTOR_ORDER) {
+    if (!enabled.includes(type)) continue;
+
+    for (const match of text.matchAll(PATTERNS[type])) {
+      // The OTP detector masks the code, not the keyword before it
+      const value = match[1] !== undefined ? match[1] : match[0];
+      const start = match.index + match[0].length - value.length;
+      const end = start + value.length;
+
+      if (!overlaps(start, end) && isValidMatch(type, value)) {
+        findings.push({ type, value, start, end });
+      }
+    }
+  }
+
+  return findings.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Mask personal data in a text
+ * @param {string} text
+ * @param {object} options - { detectors, placeholder(finding) -> string
+ *   (default '[AADHAAR]', '[CARD]'...), findings already found with findPii }
+ * @returns {object} { text, findings }
+ */
+function redactText(text, options = {}) {
+  const findings = options.findings || findPii(text, options);
+  if (findings.length === 0) {
+    return { text, findings };
+  }
+
+  const placeholder = options.placeholder || (finding => `[${LABELS[finding.type]}]`);
+  let redacted = '';
+  let position = 0;
+
+  for (const finding of findings) {
+    redacted += text.slice(position, finding.start) + placeholder(finding);
+    position = finding.end;
+  }
+
+  return { text: redacted + text.slice(position), findings };
+}
+
+module.exports = {
+  DETECTOR_ORDER,
+  LABELS,
+  findPii,
+  redactText,
+  isValidLuhn,
+  isValidVerhoeff
+};
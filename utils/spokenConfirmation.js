@@ -0,0 +1,46 @@
+// utils/spokenConfirmation.js - Spoken yes/no to a "shall I go ahead?" question
+/**
+ * While an agent waits for the customer to confirm (cancel order, refund),
+ * the answer can be said instead of pressed: "haan ji, kar dijiye", "nahi
+ * rehne do", "yes", "हाँ". Only short replies count - anything longer is a
+ * new request and goes through intent detection - and a reply with both a
+ * yes and a no word ("haan... nahi, ruko") counts as neither.
+ */
+
+// Longest reply still read as a bare yes/no
+const MAX_WORDS = 6;
+
+const YES_PATTERN = /(?:^|\s)(?:haan|han|haa|haanji|hanji|yes|yeah|yep|ok|okay|confirm|confirmed|bilkul|theek hai|thik hai|sahi hai|kar do|kar dijiye|kijiye|go ahead|हाँ|हां|हा|ठीक है|सही है|बिल्कुल|कर दो|कर दीजिए|कीजिए)(?=\s|$)/;
+const NO_PATTERN = /(?:^|\s)(?:nahi|nahin|nai|na|no|nope|mat karo|mat kijiye|rehne do|rehne dijiye|ruko|don't|dont|नहीं|नही|ना|मत|रहने दो|रुको)(?=\s|$)/;
+// "Ji" alone is a yes
+const BARE_YES = /^(?:ji|जी)$/;
+
+/**
+ * @param {string} text - Caller transcript
+ * @returns {boolean|null} true for yes, false for no, null if it is not a plain answer
+ */
+function parseConfirmation(text) {
+  const cleaned = String(text || '')
+    .toLowerCase()
+    .replace(/[.,!?।"]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!cleaned || cleaned.split(' ').length > MAX_WORDS) {
+    return null;
+  }
+  if (BARE_YES.test(cleaned)) {
+    return true;
+  }
+
+  const yes = YES_PATTERN.test(cleaned);
+  const no = NO_PATTERN.test(cleaned);
+  if (yes === no) {
+    return null;
+  }
+  return yes;
+}
+
+module.exports = {
+  parseConfirmation
+};
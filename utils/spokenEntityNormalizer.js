@@ -0,0 +1,389 @@
+// utils/spokenEntityNormalizer.js - Spoken numbers, emails and dates in canonical form
+/**
+ * Callers read out order ids, phone numbers, PIN codes, amounts and dates
+ * ("ek do teen chaar paanch", "double five", "das hazaar rupaye", "a b c at
+ * the rate gmail dot com", "paanch march"). The speech transcript keeps the
+ * words; entity patterns look for digits, "@" and dates. This rewrites the
+ * spoken forms so the patterns can find them:
+ *
+ *   nau aath saat chhe paanch chaar teen do ek zero -> 9876543210
+ *   double five, triple zero                        -> 55, 000
+ *   das hazaar rupaye, dedh lakh                    -> ₹10000, 150000
+ *   r for ravi a v i at the rate gmail dot com      -> ravi@gmail.com
+ *   paanch march, 5/3/2026, 12 tareekh              -> 2026-03-05, 2026-03-05, 2026-10-12
+ *
+ * Number words are only rewritten where they clearly are a number (4+
+ * digits, a multiplier, double/triple, a rupee word or month after, an
+ * "order number"/"pin" cue before), so "cancel kar do" keeps its "do".
+ */
+
+const DIGIT_WORDS = {
+  zero: 0, shunya: 0, shoonya: 0, sunya: 0, sifar: 0, 'शून्य': 0,
+  one: 1, ek: 1, 'एक': 1,
+  two: 2, do: 2, 'दो': 2,
+  three: 3, teen: 3, 'तीन': 3,
+  four: 4, char: 4, chaar: 4, 'चार': 4,
+  five: 5, paanch: 5, panch: 5, 'पांच': 5, 'पाँच': 5,
+  six: 6, chhe: 6, chhah: 6, chah: 6, chheh: 6, 'छह': 6, 'छः': 6, 'छे': 6,
+  seven: 7, saat: 7, 'सात': 7,
+  eight: 8, aath: 8, 'आठ': 8,
+  nine: 9, nau: 9, 'नौ': 9
+};
+
+// 10 and up: said as one number ("twenty five" = 25, "bees" = 20)
+const TENS_WORDS = {
+  ten: 10, das: 10, 'दस': 10,
+  eleven: 11, gyarah: 11, 'ग्यारह': 11,
+  twelve: 12, barah: 12, 'बारह': 12,
+  thirteen: 13, terah: 13,
+  fourteen: 14, chaudah: 14,
+  fifteen: 15, pandrah: 15, 'पंद्रह': 15,
+  sixteen: 16, solah: 16,
+  seventeen: 17, satrah: 17,
+  eighteen: 18, atharah: 18,
+  nineteen: 19, unnis: 19,
+  twenty: 20, bees: 20, 'बीस': 20,
+  pachees: 25, pachchis: 25, 'पच्चीस': 25,
+  thirty: 30, tees: 30, 'तीस': 30,
+  forty: 40, chalis: 40, chaalis: 40, 'चालीस': 40,
+  fifty: 50, pachas: 50, pachaas: 50, 'पचास': 50,
+  sixty: 60,
+  seventy: 70, sattar: 70, 'सत्तर': 70,
+  eighty: 80, assi: 80, 'अस्सी': 80,
+  ninety: 90, nabbe: 90, 'नब्बे': 90
+};
+
+const MULTIPLIERS = {
+  hundred: 100, sau: 100, 'सौ': 100,
+  thousand: 1000, hazaar: 1000, hazar: 1000, hajar: 1000, 'हज़ार': 1000, 'हजार': 1000,
+  lakh: 100000, lac: 100000, 'लाख': 100000,
+  crore: 10000000, karod: 10000000, 'करोड़': 10000000
+};
+
+// "dedh hazaar" = 1500, "dhai lakh" = 250000
+const FRACTIONS = { dedh: 1.5, derh: 1.5, 'डेढ़': 1.5, dhai: 2.5, dhaai: 2.5, 'ढाई': 2.5 };
+
+const REPEATS = { double: 2, dabal: 2, dubble: 2, triple: 3, tripple: 3, 'डबल': 2, 'ट्रिपल': 3 };
+
+const RUPEE_WORDS = ['rupees', 'rupee', 'rupaye', 'rupaiye', 'rupay', 'rupiya', 'rupiye', 'rs', 'inr', 'रुपये', 'रुपए', 'रुपया'];
+
+// Words before a number that say it is an id or code
+const NUMBER_CUES = ['number', 'no', 'id', 'pin', 'pincode', 'code', 'otp', 'order', 'नंबर'];
+
+const MONTHS = {
+  jan: 1, january: 1, janvari: 1, 'जनवरी': 1,
+  feb: 2, february: 2, farvari: 2, 'फरवरी': 2,
+  march: 3, 'मार्च': 3,
+  apr: 4, april: 4, aprail: 4, 'अप्रैल': 4,
+  may: 5, 'मई': 5,
+  jun: 6, june: 6, joon: 6, 'जून': 6,
+  jul: 7, july: 7, julai: 7, 'जुलाई': 7,
+  aug: 8, august: 8, agast: 8, 'अगस्त': 8,
+  sep: 9, sept: 9, september: 9, sitambar: 9, 'सितंबर': 9,
+  oct: 10, october: 10, aktubar: 10, 'अक्टूबर': 10,
+  nov: 11, november: 11, navambar: 11, 'नवंबर': 11,
+  dec: 12, december: 12, disambar: 12, 'दिसंबर': 12
+};
+
+const DAY_OF_MONTH_WORDS = ['tareekh', 'tarikh', 'taarikh', 'tarik', 'तारीख'];
+
+const EMAIL_AT = /\s*\b(?:at the rate of|at the rate|at d rate|at rate)\b\s*/;
+const EMAIL_CONNECTORS = { dot: '.', underscore: '_', dash: '-', hyphen: '-' };
+
+const DEVANAGARI_DIGITS = /[०-९]/g;
+
+function stripPunctuation(token) {
+  return token.replace(/[.,!?;:]+$/, '');
+}
+
+function isNumberToken(word) {
+  return /^\d+$/.test(word) ||
+    word in DIGIT_WORDS ||
+    word in TENS_WORDS ||
+    word in MULTIPLIERS ||
+    word in FRACTIONS;
+}
+
+/**
+ * Value of number words ("das hazaar paanch sau" = 10500, "dedh lakh" = 150000)
+ * @param {string[]} words - Number words and digit strings
+ * @returns {number}
+ */
+function wordsToNumber(words) {
+  let total = 0;
+  let current = 0;
+
+  for (const word of words) {
+    if (word in MULTIPLIERS) {
+      const multiplier = MULTIPLIERS[word];
+      if (multiplier === 100) {
+        current = (current || 1) * 100;
+      } else {
+        total += (current || 1) * multiplier;
+        current = 0;
+      }
+    } else if (word in FRACTIONS) {
+      current += FRACTIONS[word];
+    } else if (/^\d+$/.test(word)) {
+      current += Number(word);
+    } else if (word in TENS_WORDS) {
+      current += TENS_WORDS[word];
+    } else if (word in DIGIT_WORDS) {
+      current += DIGIT_WORDS[word];
+    }
+  }
+
+  return Math.round(total + current);
+}
+
+/**
+ * Digits read out one by one ("nau aath double five" = "9855",
+ * "twenty twenty six" = "2026")
+ * @param {string[]} words - Number words, digit strings and double/triple
+ * @returns {string}
+ */
+function wordsToDigits(words) {
+  let digits = '';
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const next = words[i + 1];
+
+    if (word in REPEATS && next !== undefined) {
+      const value = /^\d+$/.test(next) ? next : String(DIGIT_WORDS[next] ?? '');
+      digits += value.repeat(REPEATS[word]);
+      i++;
+    } else if (word in TENS_WORDS) {
+      const tens = TENS_WORDS[word];
+      // "twenty five": one number
+      if (tens >= 20 && tens % 10 === 0 && next in DIGIT_WORDS && DIGIT_WORDS[next] > 0) {
+        digits += String(tens + DIGIT_WORDS[next]);
+        i++;
+      } else {
+        digits += String(tens);
+      }
+    } else if (word in DIGIT_WORDS) {
+      digits += String(DIGIT_WORDS[word]);
+    } else {
+      digits += word;
+    }
+  }
+
+  return digits;
+}
+
+/**
+ * Spoken digits don't run into a number the speech-to-text already wrote
+ * out ("kar do 500 rupaye" is not 2500), unless a multiplier joins them
+ * ("2 lakh", "10 hazaar")
+ */
+function joinsRun(run, word, next) {
+  if (run.length === 0 || word in MULTIPLIERS || (next && next in MULTIPLIERS)) {
+    return true;
+  }
+  const isWritten = (token) => /^\d{2,}$/.test(token);
+  const isSpoken = (token) => !/^\d+$/.test(token) && !(token in MULTIPLIERS);
+  return isWritten(word) ? !run.some(isSpoken) : !(isSpoken(word) && run.some(isWritten));
+}
+
+/**
+ * Rewrite runs of spoken numbers as digits
+ */
+function normalizeNumbers(tokens) {
+  const output = [];
+
+  for (let i = 0; i < tokens.length;) {
+    const start = i;
+    const run = [];
+
+    // A run: number words/digits, double/triple before a digit
+    while (i < tokens.length) {
+      const word = stripPunctuation(tokens[i]);
+      const next = tokens[i + 1] && stripPunctuation(tokens[i + 1]);
+      if (word in REPEATS && next && (next in DIGIT_WORDS || /^\d$/.test(next))) {
+        run.push(word);
+      } else if (isNumberToken(word) && joinsRun(run, word, next)) {
+        run.push(word);
+      } else {
+        break;
+      }
+      i++;
+      // Punctuation ends the number
+      if (tokens[i - 1] !== word) {
+        break;
+      }
+    }
+
+    if (run.length === 0) {
+      output.push(tokens[i]);
+      i++;
+      continue;
+    }
+
+    const before = start > 0 ? stripPunctuation(tokens[start - 1]) : null;
+    const after = i < tokens.length ? stripPunctuation(tokens[i]) : null;
+    const hasMultiplier = run.some(word => word in MULTIPLIERS);
+    const hasRepeat = run.some(word => word in REPEATS);
+    const value = hasMultiplier ? String(wordsToNumber(run)) : wordsToDigits(run);
+    const isAmount = after !== null && RUPEE_WORDS.includes(after);
+    const isEmail = after === 'at' || after === '@';
+    const isDate = (after !== null && (after in MONTHS || DAY_OF_MONTH_WORDS.includes(after))) ||
+      (before !== null && before in MONTHS);
+    const allDigits = run.every(word => /^\d+$/.test(word));
+
+    const rewrite = !allDigits && (
+      hasMultiplier || hasRepeat || value.length >= 4 || isAmount || isDate || isEmail ||
+      (before !== null && NUMBER_CUES.includes(before))
+    );
+
+    if (isAmount) {
+      // "das hazaar rupaye" -> "₹10000"
+      output.push(`₹${value}`);
+      i++;
+    } else if (rewrite || (allDigits && run.length > 1 && value.length >= 4)) {
+      // Spaced digits from speech-to-text ("98 76 54 32 10") join up too
+      output.push(value + tokens[i - 1].slice(run[run.length - 1].length));
+    } else {
+      output.push(...tokens.slice(start, i));
+    }
+  }
+
+  return output;
+}
+
+/**
+ * "a for apple" -> "a", then spelled letters and digits joined
+ * ("r a v i" -> "ravi", "a b 1 2" -> "ab12")
+ */
+function normalizeSpelling(text) {
+  const phonetic = text.replace(/\b([a-z])\s+(?:for|as in|se|jaise)\s+([a-z]+)\b/g, (match, letter, word) => (
+    word.startsWith(letter) ? letter : match
+  ));
+
+  return phonetic.replace(/\b(?:[a-z0-9]\s+){1,}[a-z0-9]\b/g, (match) => {
+    const parts = match.split(/\s+/);
+    const letters = parts.filter(part => /[a-z]/.test(part)).length;
+    const digits = parts.length - letters;
+    // Two words like "i a" are not spelling; letters with digits or 3+ letters are
+    return (digits > 0 && letters > 0) || letters >= 3 ? parts.join('') : match;
+  });
+}
+
+/**
+ * "ravi dot kumar at the rate gmail dot com" -> "ravi.kumar@gmail.com"
+ */
+function normalizeEmails(text) {
+  if (!EMAIL_AT.test(text) && !/\s@|@\s/.test(text)) {
+    return text;
+  }
+
+  const withAt = text.replace(new RegExp(EMAIL_AT.source, 'g'), ' @ ');
+  const tokens = withAt.split(/\s+/).filter(Boolean);
+  const output = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i] !== '@') {
+      output.push(tokens[i]);
+      continue;
+    }
+
+    // Local part: the word before, and more words joined by dot/underscore/dash
+    let local = '';
+    while (output.length > 0) {
+      const word = output.pop();
+      local = word + local;
+      // "ravi 123" -> "ravi123"
+      if (/^\d+$/.test(word) && /^[a-z]+$/.test(output[output.length - 1] || '')) {
+        local = output.pop() + local;
+      }
+      const connector = output.length > 0 ? EMAIL_CONNECTORS[output[output.length - 1]] : undefined;
+      if (connector === undefined) {
+        break;
+      }
+      output.pop();
+      local = connector + local;
+    }
+
+    // Domain: a word, then more words joined by "dot"
+    let domain = tokens[i + 1] ? stripPunctuation(tokens[i + 1]) : '';
+    let j = i + 2;
+    while (tokens[j] === 'dot' && tokens[j + 1]) {
+      domain += `.${stripPunctuation(tokens[j + 1])}`;
+      j += 2;
+    }
+
+    output.push(`${local}@${domain}`);
+    i = j - 1;
+  }
+
+  return output.join(' ');
+}
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Day + month (+ year), "12 tareekh" and dd/mm/yyyy as YYYY-MM-DD
+ */
+function normalizeDates(text, now) {
+  const year = now.getFullYear();
+  const monthNames = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+  const dayWords = DAY_OF_MONTH_WORDS.join('|');
+
+  return text
+    // 05/03/2026, 5-3-26 (Indian day-month order)
+    .replace(/\b(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})\b/g, (match, day, month, yy) => (
+      isoDate(yy.length === 2 ? 2000 + Number(yy) : Number(yy), Number(month), Number(day)) || match
+    ))
+    // 5 march, 5th march 2026
+    .replace(new RegExp(`(^|\\s)(\\d{1,2})(?:st|nd|rd|th)?\\s+(${monthNames})(?:\\s+(\\d{4}))?(?=\\s|$|[.,!?])`, 'g'),
+      (match, lead, day, month, yy) => {
+        const date = isoDate(yy ? Number(yy) : year, MONTHS[month], Number(day));
+        return date ? `${lead}${date}` : match;
+      })
+    // march 5, march 5th 2026
+    .replace(new RegExp(`(^|\\s)(${monthNames})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+(\\d{4}))?(?=\\s|$|[.,!?])`, 'g'),
+      (match, lead, month, day, yy) => {
+        const date = isoDate(yy ? Number(yy) : year, MONTHS[month], Number(day));
+        return date ? `${lead}${date}` : match;
+      })
+    // 12 tareekh: this month
+    .replace(new RegExp(`(^|\\s)(\\d{1,2})\\s+(?:${dayWords})(?=\\s|$|[.,!?])`, 'g'), (match, lead, day) => {
+      const date = isoDate(year, now.getMonth() + 1, Number(day));
+      return date ? `${lead}${date}` : match;
+    });
+}
+
+/**
+ * Rewrite spoken numbers, spelled letters, spoken emails and dates in a
+ * transcript into the form entity patterns match
+ * @param {string} text - Caller transcript
+ * @param {object} options
+ * @param {Date} options.now - Reference date for dates without a year (default: today)
+ * @returns {string} Lowercased transcript with canonical values
+ */
+function normalizeSpokenEntities(text, { now = new Date() } = {}) {
+  const lowered = String(text || '')
+    .replace(DEVANAGARI_DIGITS, digit => String('०१२३४५६७८९'.indexOf(digit)))
+    .toLowerCase()
+    .trim();
+  if (!lowered) {
+    return lowered;
+  }
+
+  const numbers = normalizeNumbers(lowered.split(/\s+/)).join(' ');
+  const spelled = normalizeSpelling(numbers);
+  const emails = normalizeEmails(spelled);
+  return normalizeDates(emails, now);
+}
+
+module.exports = {
+  normalizeSpokenEntities,
+  wordsToNumber,
+  wordsToDigits
+};
@@ -0,0 +1,46 @@
+// utils/templateRenderer.js - {{variable}} substitution for prompt templates
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+/**
+ * List variable names used in a template
+ * @param {string} template
+ * @returns {string[]} Unique variable names, in order of appearance
+ */
+function extractVariables(template = '') {
+  const names = [];
+  for (const match of template.matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+/**
+ * Render a template
+ * @param {string} template - Text with {{variable}} placeholders
+ * @param {object} variables - Values by name
+ * @returns {{ text: string, missing: string[] }} Rendered text and unresolved names
+ */
+function renderTemplate(template = '', variables = {}) {
+  const missing = [];
+
+  const text = template.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) {
+      if (!missing.includes(name)) {
+        missing.push(name);
+      }
+      return '';
+    }
+    return String(value);
+  });
+
+  return { text, missing };
+}
+
+module.exports = {
+  extractVariables,
+  renderTemplate
+};